@@ -3,6 +3,7 @@
 const API_BASE = 'http://localhost:5001/api/v1';
 let authToken = localStorage.getItem('adminToken');
 let currentUser = null;
+let twoFactorChallenge = null;
 let selectedTags = [];
 let selectedImages = [];
 let availableCategories = [];
@@ -102,25 +103,14 @@ document.getElementById('loginForm').addEventListener('submit', async function(e
         const data = await response.json();
         console.log('Login response data:', data);
 
-        if (data.status === 'success') {
-            authToken = data.token;
-            currentUser = data.data.user;
-            localStorage.setItem('adminToken', authToken);
-            
-            // ✅ FIXED: Ensure currentUser is properly stored
-            localStorage.setItem('currentUser', JSON.stringify(currentUser));
-            
-            console.log('✅ Login successful - currentUser set:', currentUser);
-            console.log('✅ User ID:', currentUser._id);
-            console.log('✅ User role:', currentUser.role);
-            
-            if (['admin', 'super_admin'].includes(currentUser.role)) {
-                showDashboard();
-                loadDashboardData();
-                showAlert('✅ Login successful!', 'success');
-            } else {
-                showAlert('❌ Access denied. Admin privileges required.', 'error');
-            }
+        if (data.status === 'success' && data.data.twoFactorRequired) {
+            // Password accepted; ask for the authenticator code next
+            twoFactorChallenge = data.data.challengeToken;
+            document.getElementById('loginForm').style.display = 'none';
+            document.getElementById('twoFactorForm').style.display = 'block';
+            document.getElementById('twoFactorCode').focus();
+        } else if (data.status === 'success') {
+            completeLogin(data);
         } else {
             showAlert('❌ ' + (data.message || 'Login failed'), 'error');
         }
@@ -130,6 +120,66 @@ document.getElementById('loginForm').addEventListener('submit', async function(e
     }
 });
 
+function completeLogin(data) {
+    authToken = data.token;
+    currentUser = data.data.user;
+    localStorage.setItem('adminToken', authToken);
+    
+    // ✅ FIXED: Ensure currentUser is properly stored
+    localStorage.setItem('currentUser', JSON.stringify(currentUser));
+    
+    console.log('✅ Login successful - currentUser set:', currentUser);
+    console.log('✅ User ID:', currentUser._id);
+    console.log('✅ User role:', currentUser.role);
+    
+    if (['admin', 'super_admin'].includes(currentUser.role)) {
+        showDashboard();
+        loadDashboardData();
+        showAlert('✅ Login successful!', 'success');
+    } else {
+        showAlert('❌ Access denied. Admin privileges required.', 'error');
+    }
+}
+
+function resetTwoFactorStep() {
+    twoFactorChallenge = null;
+    document.getElementById('twoFactorCode').value = '';
+    document.getElementById('twoFactorForm').style.display = 'none';
+    document.getElementById('loginForm').style.display = 'block';
+}
+
+// Second login step for accounts with two-factor authentication
+document.getElementById('twoFactorForm').addEventListener('submit', async function(e) {
+    e.preventDefault();
+
+    const value = document.getElementById('twoFactorCode').value.trim();
+    // Six digits is an authenticator code, anything else a recovery code
+    const codes = /^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value };
+
+    try {
+        const response = await fetch(`${API_BASE}/auth/2fa/verify`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ challengeToken: twoFactorChallenge, ...codes })
+        });
+
+        const data = await response.json();
+
+        if (data.status === 'success') {
+            resetTwoFactorStep();
+            completeLogin(data);
+        } else {
+            if (/expired/i.test(data.message || '')) resetTwoFactorStep();
+            showAlert('❌ ' + (data.message || 'Verification failed'), 'error');
+        }
+    } catch (error) {
+        console.error('Two-factor error:', error);
+        showAlert('❌ Network error: ' + error.message, 'error');
+    }
+});
+
 // ✅ FIXED: Enhanced logout function
 function logout() {
     authToken = null;
@@ -466,6 +516,7 @@ async function loadUsers() {
                                 <span class="status-badge ${user.isActive ? 'status-confirmed' : 'status-cancelled'}">
                                     ${user.isActive ? 'Active' : 'Inactive'}
                                 </span>
+                                ${user.isLocked ? '<span class="status-badge status-pending">Locked</span>' : ''}
                             </td>
                             <td>${new Date(user.createdAt).toLocaleDateString()}</td>
                             <td>
@@ -473,6 +524,10 @@ async function loadUsers() {
                                         onclick="toggleUserStatus('${user._id}', ${user.isActive})">
                                     ${user.isActive ? 'Deactivate' : 'Activate'}
                                 </button>
+                                ${user.isLocked ? `
+                                <button class="btn btn-primary" onclick="unlockUser('${user._id}')">
+                                    Unlock
+                                </button>` : ''}
                             </td>
                         </tr>
                     `).join('')}
@@ -941,6 +996,19 @@ async function toggleUserStatus(userId, isActive) {
     }
 }
 
+async function unlockUser(userId) {
+    try {
+        await apiCall(`/admin/users/${userId}/unlock`, {
+            method: 'PATCH'
+        });
+        showAlert('✅ User unlocked successfully', 'success');
+        loadUsers();
+    } catch (error) {
+        console.error('User unlock error:', error);
+        showAlert('❌ Error unlocking user: ' + error.message, 'error');
+    }
+}
+
 function showCreateUserForm() {
     document.getElementById('createUserForm').style.display = 'block';
 }
@@ -1179,6 +1247,7 @@ window.debugProductCreation = function() {
 
 window.updateOrderStatus = updateOrderStatus;
 window.toggleUserStatus = toggleUserStatus;
+window.unlockUser = unlockUser;
 window.showCreateUserForm = showCreateUserForm;
 window.hideCreateUserForm = hideCreateUserForm;
 window.showAddProductForm = showAddProductForm;
@@ -55,7 +55,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Guest-Token'],
   exposedHeaders: ['Content-Length', 'Content-Type', 'ETag', 'Last-Modified'],
   maxAge: 600 // Cache preflight request for 10 minutes
 }));
@@ -88,7 +88,7 @@ const limiter = rateLimit({
 app.use('/api', limiter);
 
 // Cookie parser middleware
-app.use(cookieParser());
+app.use(cookieParser(process.env.COOKIE_SECRET || process.env.JWT_SECRET));
 
 // Body parsing middleware - parse application/json and application/x-www-form-urlencoded
 app.use(express.json({ limit: '10mb' }));
@@ -139,6 +139,7 @@ app.get('/', (req, res) => {
     quickStart: {
       apiBase: '/api/v1',
       auth: '/api/v1/auth',
+      users: '/api/v1/users',
       products: '/api/v1/products',
       categories: '/api/v1/categories',
       orders: '/api/v1/orders'
@@ -158,7 +159,7 @@ app.get('/api/v1', (req, res) => {
       products: '/api/v1/products',
       categories: '/api/v1/categories',
       orders: '/api/v1/orders',
-      payments: '/api/v1/payments (coming soon)',
+      payments: '/api/v1/payments',
       admin: '/api/v1/admin (coming soon)'
     }
   });
@@ -166,18 +167,26 @@ app.get('/api/v1', (req, res) => {
 
 // Import and use routes
 const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
 const productRoutes = require('./routes/products');
 const categoriesRouter = require('./routes/categories');
 const orderRoutes = require('./routes/orders');
 const cartRoutes = require('./routes/cart');
 const adminRoutes = require('./routes/admin');
+const paymentRoutes = require('./routes/payment');
+const shippingRoutes = require('./routes/shipping');
+const taxRoutes = require('./routes/tax');
 
 app.use('/api/v1/auth', authRoutes);
+app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/products', productRoutes);
 app.use('/api/v1/categories', categoriesRouter);
 app.use('/api/v1/orders', orderRoutes);
 app.use('/api/v1/cart', cartRoutes);
 app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/shipping', shippingRoutes);
+app.use('/api/v1/tax', taxRoutes);
 
 // Test endpoint to verify image serving
 app.get('/test-image', (req, res) => {
@@ -0,0 +1,112 @@
+// backend/src/config/auth.js
+
+// Account security settings shared by the auth controllers and middleware
+
+const authConfig = {
+  tokens: {
+    // Short-lived JWT sent as a Bearer token or the 'jwt' cookie
+    accessTokenExpiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
+
+    // Opaque rotating refresh token, one family per logged-in device
+    refreshTokenExpiresDays: parseInt(process.env.JWT_REFRESH_EXPIRES_DAYS, 10) || 30,
+    refreshCookieName: 'refreshToken',
+    refreshCookiePath: '/api/v1/auth',
+
+    // A just-spent token replayed within this window is treated as a client
+    // race (two tabs refreshing at once) rather than theft
+    refreshReuseGraceSeconds: 10,
+
+    // How long protect may trust a cached session before re-reading it
+    sessionCacheSeconds: 300,
+  },
+
+  loginProtection: {
+    // Failed password attempts per account before it is locked
+    maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5,
+    lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES, 10) || 15,
+
+    // Failures are counted over a sliding window that restarts on each failure
+    attemptWindowMinutes: 15,
+
+    // Failed attempts from one IP across all accounts before it is refused
+    maxFailedPerIp: parseInt(process.env.LOGIN_MAX_FAILED_PER_IP, 10) || 50,
+
+    // Slow down responses once failures start piling up: the delay doubles
+    // for each failure after delayAfter, capped at maxDelayMs
+    delayAfter: 2,
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+  },
+
+  twoFactor: {
+    // Label shown in authenticator apps
+    issuer: process.env.APP_NAME || 'ShopSawa',
+
+    // Roles that may enrol, and roles that must before using admin routes
+    allowedRoles: ['admin', 'super_admin'],
+    requiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || 'super_admin')
+      .split(',')
+      .map((role) => role.trim())
+      .filter(Boolean),
+
+    // Time allowed between the password step and the code step
+    challengeExpiresIn: '5m',
+
+    // Accept codes one 30s step either side of now
+    window: 1,
+
+    recoveryCodeCount: 10,
+
+    // Failed code attempts before the second step is locked
+    maxAttempts: 5,
+    lockMinutes: 15,
+  },
+
+  phoneOtp: {
+    codeLength: 6,
+    expiresMinutes: parseInt(process.env.PHONE_OTP_EXPIRES_MINUTES, 10) || 5,
+
+    // Wrong guesses allowed before a code is burnt
+    maxAttempts: 5,
+
+    // Issuance throttling per phone number and per client IP
+    resendCooldownSeconds: 60,
+    maxPerPhonePerHour: parseInt(process.env.PHONE_OTP_MAX_PER_HOUR, 10) || 5,
+    maxPerIpPerHour: 20,
+
+    // Time allowed to finish a phone signup after the code is checked
+    signupTokenExpiresIn: '15m',
+  },
+
+  passwordReset: {
+    // How long an emailed reset link stays valid; codes sent by SMS follow phoneOtp
+    linkExpiresMinutes: 10,
+
+    // Reset emails per account per hour; requests past it are quietly dropped
+    maxEmailsPerHour: 5,
+  },
+
+  emailVerification: {
+    // How long a verification link stays valid
+    tokenExpiresHours: parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_HOURS, 10) || 24,
+
+    // Resend throttling: minimum gap between emails and hourly cap per account
+    resendCooldownSeconds: parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN, 10) || 60,
+    maxResendsPerHour: parseInt(process.env.EMAIL_VERIFICATION_MAX_RESENDS, 10) || 5,
+
+    // Block createOrder until the customer has verified their email
+    requiredForCheckout: process.env.REQUIRE_VERIFIED_EMAIL_FOR_CHECKOUT === 'true',
+  },
+
+  guestOrders: {
+    // How long a guest's order link (and the token behind it) stays valid
+    linkExpiresDays: parseInt(process.env.GUEST_ORDER_LINK_EXPIRES_DAYS, 10) || 30,
+
+    // Header guests send the token in, in place of a login
+    tokenHeader: 'x-guest-token',
+  },
+};
+
+module.exports = {
+  authConfig,
+};
@@ -0,0 +1,17 @@
+// backend/src/config/cart.js
+
+// Guest carts, used by cartSessionService. Shoppers who aren't logged in get
+// a cart on the server, found again from a signed cookie.
+
+const cartConfig = {
+  guest: {
+    // Signed cookie holding the guest cart's token (see COOKIE_SECRET)
+    cookieName: 'cartId',
+
+    // Days a guest cart is kept after it was last changed; the cookie lasts
+    // as long and the cart is then deleted by a TTL index
+    expiresDays: parseInt(process.env.GUEST_CART_EXPIRES_DAYS, 10) || 30,
+  },
+};
+
+module.exports = { cartConfig };
@@ -93,6 +93,23 @@ const reviewStorage = new CloudinaryStorage({
   },
 });
 
+// Return evidence photos storage
+const returnStorage = new CloudinaryStorage({
+  cloudinary: cloudinary,
+  params: {
+    folder: 'ecommerce/returns',
+    allowed_formats: ['jpg', 'jpeg', 'png', 'webp'],
+    transformation: [
+      { width: 1200, height: 1200, crop: 'limit', quality: 'auto:good' },
+      { fetch_format: 'auto' }
+    ],
+    public_id: (req, file) => {
+      const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+      return `return-${uniqueSuffix}`;
+    },
+  },
+});
+
 // File filter function
 const fileFilter = (allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp']) => {
   return (req, file, cb) => {
@@ -141,6 +158,15 @@ const uploadReview = multer({
   fileFilter: fileFilter(['image/jpeg', 'image/jpg', 'image/png', 'image/webp']),
 });
 
+const uploadReturn = multer({
+  storage: returnStorage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 5, // Maximum 5 files
+  },
+  fileFilter: fileFilter(['image/jpeg', 'image/jpg', 'image/png', 'image/webp']),
+});
+
 // Delete image from Cloudinary
 const deleteImage = async (publicId) => {
   try {
@@ -192,6 +218,7 @@ module.exports = {
   uploadAvatar,
   uploadCategory,
   uploadReview,
+  uploadReturn,
   deleteImage,
   deleteImages,
   getImageDetails,
@@ -92,8 +92,39 @@ const getDatabaseStats = async () => {
   }
 };
 
+// Indexes whose options changed after databases were created with them.
+// Mongoose only builds indexes that are missing, so an existing index with
+// the old options stays in force until it is dropped and rebuilt.
+const STALE_INDEXES = [
+  // Email became sparse so that phone signups can leave it empty
+  { model: () => require('../models/User'), name: 'email_1', isStale: (index) => !index.sparse },
+  // One cart per user only counts carts that have one, so guest carts don't clash
+  { model: () => require('../models/Cart'), name: 'user_1', isStale: (index) => !index.partialFilterExpression },
+];
+
+// Drop any stale index and rebuild it from the schema; run once connected
+const rebuildStaleIndexes = async () => {
+  for (const { model, name, isStale } of STALE_INDEXES) {
+    const Model = model();
+
+    // A collection that doesn't exist yet has no stale indexes
+    const indexes = await Model.collection.indexes().catch((error) => {
+      if (error.codeName === 'NamespaceNotFound') return [];
+      throw error;
+    });
+
+    const index = indexes.find((entry) => entry.name === name);
+    if (!index || !isStale(index)) continue;
+
+    await Model.collection.dropIndex(name);
+    await Model.createIndexes();
+    logger.info(`Rebuilt index ${Model.collection.collectionName}.${name}`);
+  }
+};
+
 module.exports = {
   connectDB,
+  rebuildStaleIndexes,
   testConnection,
   getDatabaseStats,
 };
\ No newline at end of file
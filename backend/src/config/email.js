@@ -7,10 +7,15 @@ const logger = require('./logger').emailLogger;
 let transporter = null;
 
 const createTransporter = () => {
+  if (process.env.NODE_ENV === 'test') {
+    // Tests - render messages to JSON instead of sending them
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+  
   if (process.env.NODE_ENV === 'production') {
     // Production email service (SendGrid, Mailgun, etc.)
     if (process.env.SENDGRID_API_KEY) {
-      return nodemailer.createTransporter({
+      return nodemailer.createTransport({
         service: 'SendGrid',
         auth: {
           user: 'apikey',
@@ -18,7 +23,7 @@ const createTransporter = () => {
         },
       });
     } else if (process.env.MAILGUN_API_KEY) {
-      return nodemailer.createTransporter({
+      return nodemailer.createTransport({
         service: 'Mailgun',
         auth: {
           user: process.env.MAILGUN_USERNAME,
@@ -27,7 +32,7 @@ const createTransporter = () => {
       });
     } else {
       // Fallback to SMTP
-      return nodemailer.createTransporter({
+      return nodemailer.createTransport({
         host: process.env.SMTP_HOST,
         port: process.env.SMTP_PORT || 587,
         secure: process.env.SMTP_SECURE === 'true',
@@ -40,9 +45,19 @@ const createTransporter = () => {
         },
       });
     }
+  } else if (process.env.SMTP_HOST) {
+    // Development - use the configured SMTP server
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: process.env.SMTP_PORT || 587,
+      auth: {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS,
+      },
+    });
   } else {
     // Development - use Ethereal for testing
-    return nodemailer.createTransporter({
+    return nodemailer.createTransport({
       host: 'smtp.ethereal.email',
       port: 587,
       auth: {
@@ -70,7 +85,7 @@ const initializeEmailService = async () => {
 
 const getTransporter = () => {
   if (!transporter) {
-    throw new Error('Email service not initialized. Call initializeEmailService() first.');
+    transporter = createTransporter();
   }
   return transporter;
 };
@@ -114,6 +129,41 @@ const emailTemplates = {
     template: 'password-reset',
   },
   
+  // Password changed notice
+  passwordChanged: {
+    subject: 'Your Password Was Changed',
+    template: 'password-changed',
+  },
+  
+  // Email changed notice, sent to the old address
+  emailChanged: {
+    subject: 'Your Email Address Was Changed',
+    template: 'email-changed',
+  },
+  
+  // Account locked after failed logins
+  accountLocked: {
+    subject: 'Your Account Has Been Locked',
+    template: 'account-locked',
+  },
+  
+  // Wishlist alerts
+  wishlistPriceDrop: {
+    subject: 'A Wishlist Item Just Dropped in Price',
+    template: 'wishlist-price-drop',
+  },
+  
+  wishlistBackInStock: {
+    subject: 'A Wishlist Item Is Back in Stock',
+    template: 'wishlist-back-in-stock',
+  },
+  
+  // Link to a guest checkout's orders
+  guestOrderAccess: {
+    subject: 'View Your Order',
+    template: 'guest-order-access',
+  },
+  
   // Order confirmation
   orderConfirmation: {
     subject: 'Order Confirmation',
@@ -132,6 +182,18 @@ const emailTemplates = {
     template: 'order-delivered',
   },
   
+  // Order cancelled
+  orderCancelled: {
+    subject: 'Your Order Has Been Cancelled',
+    template: 'order-cancelled',
+  },
+  
+  // Order refunded
+  orderRefunded: {
+    subject: 'Your Order Has Been Refunded',
+    template: 'order-refunded',
+  },
+  
   // Payment confirmation
   paymentConfirmation: {
     subject: 'Payment Confirmation',
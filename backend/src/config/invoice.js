@@ -0,0 +1,21 @@
+// backend/src/config/invoice.js
+
+// The seller details printed on tax invoices. KRA requires the seller's PIN
+// on every tax invoice, so set BUSINESS_KRA_PIN before issuing real ones.
+
+const invoiceConfig = {
+  seller: {
+    name: process.env.BUSINESS_NAME || process.env.APP_NAME || 'ShopSawa',
+    kraPin: process.env.BUSINESS_KRA_PIN || '',
+    address: process.env.BUSINESS_ADDRESS || '',
+    phone: process.env.BUSINESS_PHONE || '',
+    email: process.env.BUSINESS_EMAIL || process.env.EMAIL_FROM || '',
+  },
+
+  currency: 'KES',
+
+  // Invoice dates are printed in this UTC offset (Kenya has no daylight saving)
+  utcOffsetHours: 3,
+};
+
+module.exports = { invoiceConfig };
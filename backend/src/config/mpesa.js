@@ -14,38 +14,53 @@ const mpesaConfig = {
   shortCode: process.env.MPESA_SHORTCODE,
   passKey: process.env.MPESA_PASSKEY,
   
+  // Refunds (reversal and B2C) are made by an API initiator
+  initiatorName: process.env.MPESA_INITIATOR_NAME,
+  securityCredential: process.env.MPESA_SECURITY_CREDENTIAL,
+  b2cShortCode: process.env.MPESA_B2C_SHORTCODE || process.env.MPESA_SHORTCODE,
+  
   // Callback URLs
   callbackURL: process.env.MPESA_CALLBACK_URL,
   timeoutURL: process.env.MPESA_TIMEOUT_URL,
   confirmationURL: process.env.MPESA_CONFIRMATION_URL,
   validationURL: process.env.MPESA_VALIDATION_URL,
+  refundResultURL: process.env.MPESA_REFUND_RESULT_URL,
+  refundTimeoutURL: process.env.MPESA_REFUND_TIMEOUT_URL,
+  
+  // Secret path segment added to the callback URLs above (Daraja doesn't
+  // sign callbacks), and optionally the only addresses they may come from
+  callbackToken: process.env.MPESA_CALLBACK_TOKEN,
+  callbackIPs: (process.env.MPESA_CALLBACK_IPS || '').split(',').map((ip) => ip.trim()).filter(Boolean),
+  
+  // API base URLs (MPESA_BASE_URL overrides them, e.g. to point at a local Daraja stand-in)
+  baseURL: process.env.MPESA_BASE_URL,
+  baseURLs: {
+    production: 'https://api.safaricom.co.ke',
+    sandbox: 'https://sandbox.safaricom.co.ke',
+  },
   
-  // API endpoints
-  endpoints: {
-    production: {
-      oauth: 'https://api.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials',
-      stkPush: 'https://api.safaricom.co.ke/mpesa/stkpush/v1/processrequest',
-      stkQuery: 'https://api.safaricom.co.ke/mpesa/stkpushquery/v1/query',
-      registerUrl: 'https://api.safaricom.co.ke/mpesa/c2b/v1/registerurl',
-      reversal: 'https://api.safaricom.co.ke/mpesa/reversal/v1/request',
-    },
-    sandbox: {
-      oauth: 'https://sandbox.safaricom.co.ke/oauth/v1/generate?grant_type=client_credentials',
-      stkPush: 'https://sandbox.safaricom.co.ke/mpesa/stkpush/v1/processrequest',
-      stkQuery: 'https://sandbox.safaricom.co.ke/mpesa/stkpushquery/v1/query',
-      registerUrl: 'https://sandbox.safaricom.co.ke/mpesa/c2b/v1/registerurl',
-      reversal: 'https://sandbox.safaricom.co.ke/mpesa/reversal/v1/request',
-    },
+  // API endpoint paths
+  paths: {
+    oauth: '/oauth/v1/generate?grant_type=client_credentials',
+    stkPush: '/mpesa/stkpush/v1/processrequest',
+    stkQuery: '/mpesa/stkpushquery/v1/query',
+    registerUrl: '/mpesa/c2b/v1/registerurl',
+    reversal: '/mpesa/reversal/v1/request',
+    b2c: '/mpesa/b2c/v1/paymentrequest',
   },
   
   // Transaction settings
   transactionType: 'CustomerPayBillOnline',
+  // How long an STK push holds its order before another may be sent; the
+  // customer has about a minute to answer the prompt
+  attemptWindow: 3 * 60 * 1000, // 3 minutes
   
   // Timeout settings
   timeouts: {
     oauth: 30000, // 30 seconds
     stkPush: 60000, // 60 seconds
     query: 30000, // 30 seconds
+    refund: 30000, // 30 seconds
   },
   
   // Retry settings
@@ -56,9 +71,19 @@ const mpesaConfig = {
   },
 };
 
+// Get current environment base URL
+const getBaseURL = () => {
+  return (mpesaConfig.baseURL || mpesaConfig.baseURLs[mpesaConfig.environment]).replace(/\/+$/, '');
+};
+
 // Get current environment endpoints
 const getEndpoints = () => {
-  return mpesaConfig.endpoints[mpesaConfig.environment];
+  const baseURL = getBaseURL();
+  
+  return Object.keys(mpesaConfig.paths).reduce((endpoints, name) => {
+    endpoints[name] = `${baseURL}${mpesaConfig.paths[name]}`;
+    return endpoints;
+  }, {});
 };
 
 // Validate M-Pesa configuration
@@ -69,6 +94,7 @@ const validateConfig = () => {
     'shortCode',
     'passKey',
     'callbackURL',
+    'callbackToken',
   ];
   
   const missing = required.filter(key => !mpesaConfig[key]);
@@ -207,6 +233,7 @@ const getErrorMessage = (code) => {
 
 module.exports = {
   mpesaConfig,
+  getBaseURL,
   getEndpoints,
   validateConfig,
   formatMpesaPhone,
@@ -0,0 +1,34 @@
+// backend/src/config/numbering.js
+
+// Human-friendly document numbers such as SS-2026-000123, drawn from atomic
+// counters. Each sequence can be configured from the environment with
+// <NAME>_NUMBER_PREFIX, _FORMAT, _PADDING and _RESET, e.g. ORDER_NUMBER_PREFIX.
+//
+//   format   tokens {prefix}, {year} and {seq} (the counter, zero-padded)
+//   reset    'yearly' starts the counter again each year; 'never' doesn't.
+//            A yearly sequence needs {year} in its format to stay unique.
+
+const sequence = (name, prefix) => {
+  const env = name.toUpperCase();
+
+  return {
+    prefix: process.env[`${env}_NUMBER_PREFIX`] || prefix,
+    format: process.env[`${env}_NUMBER_FORMAT`] || '{prefix}-{year}-{seq}',
+    padding: parseInt(process.env[`${env}_NUMBER_PADDING`], 10) || 6,
+    reset: process.env[`${env}_NUMBER_RESET`] || 'yearly',
+  };
+};
+
+const numberingConfig = {
+  // Whose calendar decides which year a number belongs to
+  timeZone: process.env.NUMBERING_TIMEZONE || 'Africa/Nairobi',
+
+  sequences: {
+    order: sequence('order', 'SS'),
+    payment: sequence('payment', 'PAY'),
+    invoice: sequence('invoice', 'INV'),
+    return: sequence('return', 'RMA'),
+  },
+};
+
+module.exports = { numberingConfig };
@@ -154,11 +154,11 @@ const processEmailQueue = async () => {
   if (!emailQueue) return;
   
   emailQueue.process('sendEmail', async (job) => {
-    const { to, subject, template, data } = job.data;
+    const { to, subject, template, data, attachments } = job.data;
     const EmailService = require('../services/email/emailService');
     
     try {
-      await new EmailService({ email: to }).send(template, subject, data);
+      await new EmailService({ email: to }).send(template, subject, data, attachments);
       return { success: true, message: 'Email sent successfully' };
     } catch (error) {
       logger.error('Email job failed:', error);
@@ -198,9 +198,14 @@ const processPaymentQueue = async () => {
         case 'verify':
           // Verify payment status
           break;
-        case 'refund':
-          // Process refund
+        case 'refund': {
+          // Let the queue retry a refund the gateway refused; the last attempt fails it
+          const { processRefund } = require('../services/payment/refundService');
+          await processRefund(paymentId, job.data.refundId, {
+            finalAttempt: job.attemptsMade + 1 >= (job.opts.attempts || 1)
+          });
           break;
+        }
         default:
           throw new Error(`Unknown payment job type: ${type}`);
       }
@@ -234,14 +239,15 @@ const processOrderQueue = async () => {
 const processInventoryQueue = async () => {
   if (!inventoryQueue) return;
   
-  inventoryQueue.process('updateInventory', async (job) => {
-    const { productId, quantity, operation } = job.data;
+  // Each job is one movement from the inventory ledger
+  inventoryQueue.process('inventoryMovement', async (job) => {
+    const { movementId } = job.data;
+    const { processMovement } = require('../services/inventory/stockAlertService');
     
     try {
-      // Update inventory
-      // Check low stock alerts
+      const alert = await processMovement(movementId);
       
-      return { success: true, message: 'Inventory updated successfully' };
+      return { success: true, message: alert ? `Low stock alert sent (${alert.level})` : 'No alert needed' };
     } catch (error) {
       logger.error('Inventory job failed:', error);
       throw error;
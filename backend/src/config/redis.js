@@ -1,7 +1,7 @@
 // backend/src/config/redis.js
 
 const redis = require('redis');
-const logger = require('./logger');
+const logger = require('./logger').logger;
 
 let redisClient = null;
 
@@ -221,13 +221,26 @@ const rateLimit = {
       multi.incr(key);
       multi.expire(key, Math.ceil(windowMs / 1000));
       const results = await multi.exec();
-      return results[0][1]; // Return the incremented value
+      return Number(results[0]); // node-redis v4 resolves exec() to the raw replies
     } catch (error) {
       logger.error(`Error incrementing rate limit for key ${key}:`, error);
       return 1;
     }
   },
 
+  // Clear a counter
+  reset: async (key) => {
+    if (!isRedisAvailable()) return false;
+    
+    try {
+      await redisClient.del(key);
+      return true;
+    } catch (error) {
+      logger.error(`Error resetting rate limit for key ${key}:`, error);
+      return false;
+    }
+  },
+
   // Get current count
   get: async (key) => {
     if (!isRedisAvailable()) return 0;
@@ -0,0 +1,99 @@
+// backend/src/config/shipping.js
+
+// Shipping zones, rate tables and delivery methods used by shippingService.
+// Fees are in KES and weights in kg (Product.dimensions.weight).
+
+const shippingConfig = {
+  // Counties in each zone; counties not listed anywhere are in defaultZone
+  zones: {
+    nairobi: {
+      name: 'Nairobi',
+      counties: ['Nairobi'],
+    },
+    major_towns: {
+      name: 'Major towns',
+      counties: ['Mombasa', 'Kisumu', 'Nakuru', 'Uasin Gishu', 'Kiambu', 'Machakos', 'Kajiado'],
+    },
+    rest_of_kenya: {
+      name: 'Rest of Kenya',
+      counties: [],
+    },
+  },
+  defaultZone: 'rest_of_kenya',
+
+  // Zone quoted before the customer has given a county
+  estimateZone: process.env.SHIPPING_ESTIMATE_ZONE || 'nairobi',
+
+  // Orders with a subtotal above this ship free (standard delivery and pickup)
+  freeShippingOver: parseFloat(process.env.FREE_SHIPPING_OVER) || 5000,
+
+  // Weight assumed for products that don't have one
+  defaultWeightKg: 0.5,
+
+  // Rate tables: per zone, [up to kg, fee] bands, then perExtraKg for every
+  // kg (or part of one) above the last band
+  rates: {
+    parcel: {
+      nairobi: { bands: [[2, 300], [5, 400], [10, 550]], perExtraKg: 40 },
+      major_towns: { bands: [[2, 450], [5, 550], [10, 750]], perExtraKg: 50 },
+      rest_of_kenya: { bands: [[2, 600], [5, 750], [10, 1000]], perExtraKg: 70 },
+    },
+    freight: {
+      nairobi: { bands: [[30, 1500]], perExtraKg: 40 },
+      major_towns: { bands: [[30, 2500]], perExtraKg: 60 },
+      rest_of_kenya: { bands: [[30, 3500]], perExtraKg: 80 },
+    },
+  },
+
+  // Product.shipping.shippingClass => which rate table it ships on, a flat
+  // handling fee per order, whether the free shipping threshold covers it and
+  // whether it fits in a pickup station. Unknown classes ship as standard.
+  classes: {
+    standard: { rates: 'parcel' },
+    fragile: { rates: 'parcel', handlingFee: 150 },
+    bulky: { rates: 'freight', freeOverThreshold: false, pickup: false },
+  },
+
+  // Delivery methods (Cart.preferredDelivery.method). Express costs a
+  // surcharge on top of standard and is only offered in the zones it lists;
+  // pickup is a flat fee per zone.
+  methods: {
+    standard: {
+      name: 'Standard delivery',
+      days: { nairobi: [1, 2], major_towns: [2, 3], rest_of_kenya: [3, 5] },
+    },
+    express: {
+      name: 'Express delivery',
+      surcharge: { nairobi: 250, major_towns: 400 },
+      days: { nairobi: [0, 1], major_towns: [1, 1] },
+    },
+    pickup: {
+      name: 'Pickup station',
+      fee: { nairobi: 100, major_towns: 150, rest_of_kenya: 200 },
+      days: { nairobi: [1, 2], major_towns: [2, 3], rest_of_kenya: [3, 5] },
+    },
+  },
+
+  // Booking a delivery time slot (home delivery) or a collection day (pickup
+  // station) at checkout. Days are Kenyan calendar days; the first bookable
+  // one is the method's earliest delivery day (see methods.*.days), and
+  // same-day windows close leadHours before they start. A booking is held
+  // for holdMinutes while the customer checks out, then given back.
+  slots: {
+    windows: [
+      { code: 'morning', label: '8am - 12pm', starts: 8 },
+      { code: 'afternoon', label: '12pm - 4pm', starts: 12 },
+      { code: 'evening', label: '4pm - 8pm', starts: 16 },
+    ],
+    // Home deliveries per window per day; change single slots from the admin
+    capacity: parseInt(process.env.DELIVERY_SLOT_CAPACITY, 10) || 20,
+    daysAhead: 7,
+    // Days of the week (0 = Sunday) couriers don't deliver on
+    closedDays: [0],
+    leadHours: 2,
+    holdMinutes: parseInt(process.env.DELIVERY_SLOT_HOLD_MINUTES, 10) || 20,
+    utcOffsetHours: 3,
+  },
+};
+
+module.exports = { shippingConfig };
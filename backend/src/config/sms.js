@@ -5,15 +5,65 @@ const logger = require('./logger').smsLogger;
 
 let smsService = null;
 
+// Every transport implements send({ to: string[], message, from }) and
+// resolves to an Africa's Talking style SMSMessageData response.
+
+const createAfricasTalkingTransport = () => {
+  const africasTalking = AfricasTalking({
+    apiKey: process.env.AFRICASTALKING_API_KEY,
+    username: process.env.AFRICASTALKING_USERNAME || 'sandbox',
+  });
+
+  return africasTalking.SMS;
+};
+
+// Records messages instead of sending them; used in tests and local development
+class FakeSMSTransport {
+  constructor() {
+    this.messages = [];
+  }
+
+  async send({ to, message, from }) {
+    const recipients = Array.isArray(to) ? to : [to];
+    recipients.forEach((number) => {
+      this.messages.push({ to: number, message, from, sentAt: new Date() });
+    });
+    logger.info('SMS recorded by fake transport', { to: recipients });
+
+    return {
+      SMSMessageData: {
+        Message: `Sent to ${recipients.length}/${recipients.length}`,
+        Recipients: recipients.map((number) => ({ number, status: 'Success' })),
+      },
+    };
+  }
+
+  // Latest message sent to a number, in any of its formats
+  lastMessageTo(phone) {
+    const digits = String(phone).replace(/\D/g, '').slice(-9);
+    return [...this.messages].reverse().find((m) => m.to.replace(/\D/g, '').endsWith(digits));
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+const transports = {
+  africastalking: createAfricasTalkingTransport,
+  fake: () => new FakeSMSTransport(),
+};
+
 const initializeSMSService = () => {
+  const name = process.env.SMS_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'fake' : 'africastalking');
+
   try {
-    const africasTalking = AfricasTalking({
-      apiKey: process.env.AFRICASTALKING_API_KEY,
-      username: process.env.AFRICASTALKING_USERNAME || 'sandbox',
-    });
-    
-    smsService = africasTalking.SMS;
-    logger.info('SMS service initialized successfully');
+    if (!transports[name]) {
+      throw new Error(`Unknown SMS transport: ${name}`);
+    }
+
+    smsService = transports[name]();
+    logger.info(`SMS service initialized successfully (${name})`);
     
     return smsService;
   } catch (error) {
@@ -29,6 +79,11 @@ const getSMSService = () => {
   return smsService;
 };
 
+// Swap the transport, e.g. for a FakeSMSTransport in tests
+const setSMSService = (transport) => {
+  smsService = transport;
+};
+
 // Test SMS service
 const testSMSService = async () => {
   try {
@@ -52,10 +107,22 @@ const smsTemplates = {
   orderConfirmation: (orderNumber) =>
     `Your order ${orderNumber} has been confirmed. Thank you for shopping with us!`,
   
+  // Link to a guest checkout's orders
+  guestOrderAccess: (url) =>
+    `View and track your ${process.env.APP_NAME || 'ShopSawa'} orders here: ${url}`,
+  
   // Order shipped
   orderShipped: (orderNumber, trackingUrl) =>
     `Your order ${orderNumber} has been shipped! Track it here: ${trackingUrl || 'Contact us for tracking info'}`,
   
+  // Order cancelled
+  orderCancelled: (orderNumber) =>
+    `Your order ${orderNumber} has been cancelled. Contact us if you have any questions.`,
+  
+  // Order refunded
+  orderRefunded: (orderNumber, amount) =>
+    `We have refunded KES ${amount} for order ${orderNumber}.`,
+  
   // Payment confirmation
   paymentConfirmation: (orderNumber, amount) =>
     `Payment of KES ${amount} for order ${orderNumber} has been confirmed. Thank you!`,
@@ -72,9 +139,24 @@ const smsTemplates = {
   verificationCode: (code) =>
     `Your verification code is: ${code}. Do not share this code with anyone.`,
   
+  // Phone login / signup code
+  loginCode: (code, minutes) =>
+    `${code} is your ${process.env.APP_NAME || 'ShopSawa'} login code. It expires in ${minutes} minutes. Do not share it with anyone.`,
+  
   // Password reset
-  passwordReset: (resetCode) =>
-    `Your password reset code is: ${resetCode}. This code expires in 10 minutes.`,
+  passwordReset: (resetCode, expiresInMinutes = 10) =>
+    `Your password reset code is: ${resetCode}. This code expires in ${expiresInMinutes} minutes.`,
+  
+  // Account locked after failed logins
+  accountLocked: (minutes) =>
+    `Your ${process.env.APP_NAME || 'ShopSawa'} account was locked for ${minutes} minutes after several failed sign-in attempts. If this wasn't you, reset your password.`,
+  
+  // Wishlist alerts
+  wishlistPriceDrop: (productName, price) =>
+    `${productName} on your ${process.env.APP_NAME || 'ShopSawa'} wishlist is now KES ${price}.`,
+  
+  wishlistBackInStock: (productName) =>
+    `${productName} on your ${process.env.APP_NAME || 'ShopSawa'} wishlist is back in stock.`,
   
   // Low stock alert (for admins)
   lowStockAlert: (productName, quantity) =>
@@ -142,8 +224,10 @@ const validatePhoneNumber = (phone, countryCode = 'KE') => {
 };
 
 module.exports = {
+  FakeSMSTransport,
   initializeSMSService,
   getSMSService,
+  setSMSService,
   testSMSService,
   smsTemplates,
   smsConfig,
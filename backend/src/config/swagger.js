@@ -180,7 +180,7 @@ const options = {
             },
             orderNumber: {
               type: 'string',
-              example: 'ORD1698765432101',
+              example: 'SS-2026-000123',
             },
             customer: {
               $ref: '#/components/schemas/User',
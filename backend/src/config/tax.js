@@ -0,0 +1,29 @@
+// backend/src/config/tax.js
+
+// VAT classes and how prices are entered and shown, used by taxService.
+// Rates are fractions (0.16 is 16%).
+
+const taxConfig = {
+  // Product.taxClass / Category.taxClass => rate. Zero-rated supplies are
+  // taxable at 0%; exempt ones are outside VAT and reported separately.
+  classes: {
+    standard: { name: 'Standard rate', rate: parseFloat(process.env.VAT_RATE) || 0.16 },
+    zero_rated: { name: 'Zero rated', rate: 0 },
+    exempt: { name: 'Exempt', rate: 0, exempt: true },
+  },
+
+  // Class for products with none set on them or on any of their categories
+  defaultClass: 'standard',
+
+  // Whether catalogue prices already include VAT (tax is worked back out of
+  // them) or VAT is added on top at the cart
+  pricesIncludeTax: process.env.PRICES_INCLUDE_TAX === 'true',
+
+  // Whether the storefront shows prices with VAT in or out
+  displayPricesIncludingTax: process.env.DISPLAY_PRICES_INCLUDING_TAX !== 'false',
+
+  // Delivery charges are taxed in this class
+  shippingClass: process.env.SHIPPING_TAX_CLASS || 'standard',
+};
+
+module.exports = { taxConfig };
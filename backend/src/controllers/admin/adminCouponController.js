@@ -0,0 +1,274 @@
+// backend/src/controllers/admin/adminCouponController.js
+
+const mongoose = require('mongoose');
+const Coupon = require('../../models/Coupon');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const APIFeatures = require('../../utils/apiFeatures');
+const { logger } = require('../../config/logger');
+
+const COUPON_TYPES = ['percentage', 'fixed', 'shipping'];
+const ID_LIST_FIELDS = ['products', 'categories', 'excludedProducts', 'excludedCategories'];
+const BOOLEAN_FIELDS = ['firstOrderOnly', 'stackable', 'isActive'];
+const LIMIT_FIELDS = ['usageLimit', 'usageLimitPerCustomer'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const toDate = (value) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+/**
+ * Validate and pick the coupon fields from a request body. `current` is the
+ * stored coupon on update so cross-field rules see the combined result.
+ * Returns { data } or { error }.
+ */
+const couponInput = (body, current = {}) => {
+  const data = {};
+
+  if (body.code !== undefined) {
+    if (typeof body.code !== 'string' || !/^[A-Z0-9_-]{3,30}$/i.test(body.code.trim())) {
+      return { error: 'Code must be 3-30 letters, numbers, dashes or underscores' };
+    }
+    data.code = body.code.trim().toUpperCase();
+  }
+
+  if (body.description !== undefined) data.description = String(body.description);
+
+  if (body.type !== undefined) {
+    if (!COUPON_TYPES.includes(body.type)) {
+      return { error: `Type must be one of: ${COUPON_TYPES.join(', ')}` };
+    }
+    data.type = body.type;
+  }
+
+  for (const field of ['value', 'maxDiscount', 'minSubtotal']) {
+    if (body[field] === undefined) continue;
+    if (field === 'maxDiscount' && body[field] === null) {
+      data[field] = null;
+      continue;
+    }
+    if (!isNumber(body[field]) || body[field] < 0) {
+      return { error: `${field} must be a positive number` };
+    }
+    data[field] = body[field];
+  }
+
+  for (const field of LIMIT_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (body[field] !== null && (!Number.isInteger(body[field]) || body[field] < 1)) {
+      return { error: `${field} must be a whole number of at least 1, or null for unlimited` };
+    }
+    data[field] = body[field];
+  }
+
+  for (const field of ['startsAt', 'expiresAt']) {
+    if (body[field] === undefined) continue;
+    const date = toDate(body[field]);
+    if (date === undefined) return { error: `${field} must be a valid date` };
+    data[field] = date;
+  }
+
+  for (const field of ID_LIST_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (!Array.isArray(body[field]) || !body[field].every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: `${field} must be a list of ids` };
+    }
+    data[field] = body[field];
+  }
+
+  for (const field of BOOLEAN_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'boolean') return { error: `${field} must be true or false` };
+    data[field] = body[field];
+  }
+
+  const merged = { ...current, ...data };
+
+  if (!merged.code) return { error: 'Coupon code is required' };
+  if (!merged.type) return { error: 'Coupon type is required' };
+  if (merged.type !== 'shipping' && !(merged.value > 0)) {
+    return { error: 'A percentage or fixed coupon needs a value above zero' };
+  }
+  if (merged.type === 'percentage' && merged.value > 100) {
+    return { error: 'A percentage coupon cannot exceed 100%' };
+  }
+  if (merged.startsAt && merged.expiresAt && merged.expiresAt <= merged.startsAt) {
+    return { error: 'expiresAt must be after startsAt' };
+  }
+
+  return { data };
+};
+
+const findCoupon = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Coupon.findById(id);
+};
+
+/**
+ * Get all coupons with pagination and filtering
+ * GET /api/admin/coupons
+ */
+const getAllCoupons = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(Coupon.find().select('-redemptions'), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const coupons = await features.query;
+  const total = await Coupon.countDocuments();
+
+  res.status(200).json({
+    status: 'success',
+    results: coupons.length,
+    total,
+    data: {
+      coupons
+    }
+  });
+});
+
+/**
+ * Get a coupon with its redemption history
+ * GET /api/admin/coupons/:id
+ */
+const getCoupon = catchAsync(async (req, res, next) => {
+  const coupon = await findCoupon(req.params.id);
+
+  if (!coupon) {
+    return next(new AppError('Coupon not found', 404));
+  }
+
+  await coupon.populate([
+    { path: 'redemptions.user', select: 'firstName lastName email' },
+    { path: 'redemptions.order', select: 'orderNumber summary.total status' }
+  ]);
+
+  const totalDiscount = coupon.redemptions.reduce((sum, r) => sum + (r.discount || 0), 0);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      coupon,
+      statistics: {
+        redemptions: coupon.usedCount,
+        customers: new Set(coupon.redemptions.map((r) => String(r.user?._id || r.user))).size,
+        totalDiscount
+      }
+    }
+  });
+});
+
+/**
+ * Create a coupon
+ * POST /api/admin/coupons
+ */
+const createCoupon = catchAsync(async (req, res, next) => {
+  const { data, error } = couponInput(req.body);
+
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+
+  if (await Coupon.exists({ code: data.code })) {
+    return next(new AppError(`Coupon code "${data.code}" is already in use`, 400));
+  }
+
+  const coupon = await Coupon.create({ ...data, createdBy: req.user._id });
+
+  logger.info('Coupon created', { couponId: coupon._id, code: coupon.code, adminId: req.user._id });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Coupon created successfully',
+    data: {
+      coupon
+    }
+  });
+});
+
+/**
+ * Update a coupon
+ * PATCH /api/admin/coupons/:id
+ */
+const updateCoupon = catchAsync(async (req, res, next) => {
+  const coupon = await findCoupon(req.params.id);
+
+  if (!coupon) {
+    return next(new AppError('Coupon not found', 404));
+  }
+
+  const { data, error } = couponInput(req.body, coupon.toObject());
+
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+
+  if (data.code && data.code !== coupon.code) {
+    if (coupon.usedCount > 0) {
+      return next(new AppError('The code of a coupon that has been redeemed cannot be changed', 400));
+    }
+    if (await Coupon.exists({ code: data.code })) {
+      return next(new AppError(`Coupon code "${data.code}" is already in use`, 400));
+    }
+  }
+
+  if (data.usageLimit && data.usageLimit < coupon.usedCount) {
+    return next(new AppError(`This coupon has already been redeemed ${coupon.usedCount} times`, 400));
+  }
+
+  coupon.set(data);
+  await coupon.save();
+
+  logger.info('Coupon updated', {
+    couponId: coupon._id,
+    code: coupon.code,
+    fields: Object.keys(data),
+    adminId: req.user._id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Coupon updated successfully',
+    data: {
+      coupon
+    }
+  });
+});
+
+/**
+ * Delete a coupon that has never been redeemed
+ * DELETE /api/admin/coupons/:id
+ */
+const deleteCoupon = catchAsync(async (req, res, next) => {
+  const coupon = await findCoupon(req.params.id);
+
+  if (!coupon) {
+    return next(new AppError('Coupon not found', 404));
+  }
+
+  // Orders keep a reference to the coupons they used
+  if (coupon.usedCount > 0) {
+    return next(new AppError('This coupon has been redeemed; deactivate it instead', 400));
+  }
+
+  await coupon.deleteOne();
+
+  logger.info('Coupon deleted', { couponId: coupon._id, code: coupon.code, adminId: req.user._id });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+module.exports = {
+  getAllCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
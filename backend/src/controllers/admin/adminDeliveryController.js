@@ -0,0 +1,256 @@
+// backend/src/controllers/admin/adminDeliveryController.js
+
+const mongoose = require('mongoose');
+const PickupStation = require('../../models/PickupStation');
+const DeliverySlot = require('../../models/DeliverySlot');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const APIFeatures = require('../../utils/apiFeatures');
+const { isDayKey, windowFor } = require('../../services/shipping/deliverySlotService');
+const { shippingConfig } = require('../../config/shipping');
+const { logger } = require('../../config/logger');
+
+const TEXT_FIELDS = ['code', 'name', 'address', 'town', 'county', 'phone'];
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const isCapacity = (value) => Number.isInteger(value) && value >= 0;
+
+const openingHoursError = (openingHours) => {
+  if (!Array.isArray(openingHours)) return 'openingHours must be a list';
+
+  for (const hours of openingHours) {
+    if (!hours || !Number.isInteger(hours.day) || hours.day < 0 || hours.day > 6) {
+      return 'Each opening hours entry needs a day from 0 (Sunday) to 6';
+    }
+    if (!TIME.test(hours.opens) || !TIME.test(hours.closes)) return 'Opening and closing times must be HH:MM';
+    if (hours.closes <= hours.opens) return 'A station must close after it opens';
+  }
+
+  const days = openingHours.map((hours) => hours.day);
+  if (new Set(days).size !== days.length) return 'A day can only appear once in openingHours';
+
+  return null;
+};
+
+/**
+ * Validate and pick the station fields from a request body. `current` is the
+ * stored station on update. Returns { data } or { error }.
+ */
+const stationInput = (body, current = {}) => {
+  const data = {};
+
+  for (const field of TEXT_FIELDS) {
+    if (body[field] !== undefined) data[field] = String(body[field]).trim();
+  }
+
+  if (body.location !== undefined) {
+    const { lat, lng } = body.location || {};
+    if (typeof lat !== 'number' || typeof lng !== 'number') return { error: 'location needs a lat and lng' };
+    data.location = { lat, lng };
+  }
+
+  if (body.openingHours !== undefined) {
+    const error = openingHoursError(body.openingHours);
+    if (error) return { error };
+    data.openingHours = body.openingHours.map(({ day, opens, closes }) => ({ day, opens, closes }));
+  }
+
+  if (body.capacity !== undefined) {
+    if (!isCapacity(body.capacity)) return { error: 'capacity must be a whole number of zero or more' };
+    data.capacity = body.capacity;
+  }
+
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive !== 'boolean') return { error: 'isActive must be true or false' };
+    data.isActive = body.isActive;
+  }
+
+  const merged = { ...current, ...data };
+
+  for (const field of ['code', 'name', 'address', 'county']) {
+    if (!merged[field]) return { error: `Station ${field} is required` };
+  }
+  if (merged.capacity === undefined) return { error: 'Station capacity is required' };
+
+  return { data };
+};
+
+const findStation = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return PickupStation.findById(id);
+};
+
+/**
+ * Get all pickup stations, including closed ones
+ * GET /api/admin/pickup-stations
+ */
+const getPickupStations = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(PickupStation.find(), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const stations = await features.query;
+  const total = await PickupStation.countDocuments();
+
+  res.status(200).json({
+    status: 'success',
+    results: stations.length,
+    total,
+    data: {
+      stations
+    }
+  });
+});
+
+/**
+ * Create a pickup station
+ * POST /api/admin/pickup-stations
+ */
+const createPickupStation = catchAsync(async (req, res, next) => {
+  const { data, error } = stationInput(req.body);
+
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+
+  if (await PickupStation.exists({ code: data.code.toUpperCase() })) {
+    return next(new AppError(`A station with code ${data.code.toUpperCase()} already exists`, 400));
+  }
+
+  const station = await PickupStation.create(data);
+
+  logger.info('Pickup station created', { stationId: station._id, code: station.code, adminId: req.user._id });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Pickup station created successfully',
+    data: {
+      station
+    }
+  });
+});
+
+/**
+ * Update a pickup station; set isActive to false to stop taking bookings
+ * PATCH /api/admin/pickup-stations/:id
+ */
+const updatePickupStation = catchAsync(async (req, res, next) => {
+  const station = await findStation(req.params.id);
+
+  if (!station) {
+    return next(new AppError('Pickup station not found', 404));
+  }
+
+  const { data, error } = stationInput(req.body, station.toObject());
+
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+
+  station.set(data);
+  await station.save();
+
+  logger.info('Pickup station updated', { stationId: station._id, fields: Object.keys(data), adminId: req.user._id });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Pickup station updated successfully',
+    data: {
+      station
+    }
+  });
+});
+
+/**
+ * Get booked delivery slots and their capacity, by day
+ * (?from=YYYY-MM-DD&to=YYYY-MM-DD, &station= for a pickup station's days)
+ * GET /api/admin/delivery-slots
+ */
+const getDeliverySlots = catchAsync(async (req, res, next) => {
+  const { from, to, station } = req.query;
+  const filter = {};
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value !== undefined && !isDayKey(value)) {
+      return next(new AppError(`${name} must be a day in the form YYYY-MM-DD`, 400));
+    }
+  }
+  if (from || to) {
+    filter.date = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+  }
+
+  if (station !== undefined) {
+    if (station !== 'none' && !mongoose.Types.ObjectId.isValid(station)) {
+      return next(new AppError('Invalid station id', 400));
+    }
+    filter.station = station === 'none' ? null : station;
+  }
+
+  const slots = await DeliverySlot.find(filter)
+    .populate('station', 'code name')
+    .sort('date timeSlot');
+
+  res.status(200).json({
+    status: 'success',
+    results: slots.length,
+    data: {
+      slots
+    }
+  });
+});
+
+/**
+ * Set the capacity of one slot: a home delivery time window on a day, or a
+ * pickup station's collections on a day. 0 closes it to new bookings.
+ * PUT /api/admin/delivery-slots
+ */
+const setSlotCapacity = catchAsync(async (req, res, next) => {
+  const { date, timeSlot, station: stationId, capacity } = req.body;
+
+  if (!isDayKey(date)) {
+    return next(new AppError('Date must be a day in the form YYYY-MM-DD', 400));
+  }
+
+  if (!isCapacity(capacity)) {
+    return next(new AppError('capacity must be a whole number of zero or more', 400));
+  }
+
+  let station = null;
+  if (stationId) {
+    station = await findStation(stationId);
+    if (!station) {
+      return next(new AppError('Pickup station not found', 404));
+    }
+  } else if (!windowFor(timeSlot)) {
+    const windows = shippingConfig.slots.windows.map((window) => window.code);
+    return next(new AppError(`Time slot must be one of: ${windows.join(', ')}`, 400));
+  }
+
+  const slot = await DeliverySlot.findOneAndUpdate(
+    { date, timeSlot: station ? null : timeSlot, station: station ? station._id : null },
+    { $set: { capacity } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  logger.info('Delivery slot capacity set', { slotId: slot._id, date, timeSlot, capacity, adminId: req.user._id });
+
+  res.status(200).json({
+    status: 'success',
+    message: slot.taken > capacity
+      ? `Capacity set; ${slot.taken} bookings already exceed it and are kept`
+      : 'Capacity set',
+    data: {
+      slot
+    }
+  });
+});
+
+module.exports = {
+  getPickupStations,
+  createPickupStation,
+  updatePickupStation,
+  getDeliverySlots,
+  setSlotCapacity
+};
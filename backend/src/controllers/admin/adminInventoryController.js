@@ -0,0 +1,194 @@
+// backend/src/controllers/admin/adminInventoryController.js
+
+const mongoose = require('mongoose');
+const InventoryMovement = require('../../models/InventoryMovement');
+const Product = require('../../models/Product');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const { adjustStock } = require('../../services/inventory/inventoryService');
+const { logger } = require('../../config/logger');
+
+const pageOf = (query) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  limit: Math.min(parseInt(query.limit, 10) || 20, 100)
+});
+
+const toDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Record a manual stock movement for a product
+ * POST /api/admin/inventory/:productId/adjustments
+ */
+const createAdjustment = catchAsync(async (req, res, next) => {
+  const { type = 'adjustment', quantity, variant, reason } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.productId)) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  if (typeof reason !== 'string' || !reason.trim()) {
+    return next(new AppError('A reason is required for stock adjustments', 400));
+  }
+
+  if (variant !== undefined && (!variant || !variant.name || !variant.value)) {
+    return next(new AppError('variant needs a name and a value', 400));
+  }
+
+  const { product, movement } = await adjustStock(req.params.productId, {
+    type,
+    quantity,
+    variant: variant ? { name: String(variant.name), value: String(variant.value) } : undefined,
+    reason: reason.trim(),
+    user: req.user._id
+  });
+
+  logger.info('Stock adjusted', {
+    productId: product._id,
+    type,
+    quantity,
+    adminId: req.user._id
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Stock adjusted successfully',
+    data: {
+      movement,
+      inventory: product.inventory
+    }
+  });
+});
+
+/**
+ * Browse the movement ledger, newest first. Filter by product, sku, type,
+ * order, user and a from/to date range.
+ * GET /api/admin/inventory/movements
+ */
+const getMovements = catchAsync(async (req, res, next) => {
+  const { page, limit } = pageOf(req.query);
+  const filter = {};
+
+  for (const field of ['product', 'order', 'user']) {
+    if (req.query[field] === undefined) continue;
+    if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+      return next(new AppError(`${field} must be a valid id`, 400));
+    }
+    filter[field] = req.query[field];
+  }
+
+  if (req.query.sku) filter.sku = String(req.query.sku);
+
+  if (req.query.type) {
+    const types = String(req.query.type).split(',');
+    if (!types.every((type) => InventoryMovement.TYPES.includes(type))) {
+      return next(new AppError(`type must be one of: ${InventoryMovement.TYPES.join(', ')}`, 400));
+    }
+    filter.type = { $in: types };
+  }
+
+  for (const [field, operator] of [['from', '$gte'], ['to', '$lte']]) {
+    if (req.query[field] === undefined) continue;
+    const date = toDate(req.query[field]);
+    if (!date) return next(new AppError(`${field} must be a valid date`, 400));
+    filter.createdAt = { ...filter.createdAt, [operator]: date };
+  }
+
+  const [movements, total] = await Promise.all([
+    InventoryMovement.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('product', 'name sku')
+      .populate('order', 'orderNumber')
+      .populate('user', 'firstName lastName email'),
+    InventoryMovement.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: movements.length,
+    total,
+    data: {
+      movements
+    }
+  });
+});
+
+/**
+ * Stock levels as they were at a point in time (`at`, default now), worked
+ * back from today's counters by undoing every movement recorded since.
+ * Filter by product, sku or category.
+ * GET /api/admin/inventory/report
+ */
+const getStockReport = catchAsync(async (req, res, next) => {
+  const { page, limit } = pageOf(req.query);
+  const at = req.query.at === undefined ? new Date() : toDate(req.query.at);
+
+  if (!at) {
+    return next(new AppError('at must be a valid date', 400));
+  }
+
+  const filter = { 'inventory.trackQuantity': true, createdAt: { $lte: at } };
+
+  for (const field of ['product', 'category']) {
+    if (req.query[field] === undefined) continue;
+    if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+      return next(new AppError(`${field} must be a valid id`, 400));
+    }
+    filter[field === 'product' ? '_id' : field] = req.query[field];
+  }
+
+  if (req.query.sku) filter.sku = String(req.query.sku);
+
+  const [products, total] = await Promise.all([
+    Product.find(filter)
+      .sort({ name: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('name sku status inventory'),
+    Product.countDocuments(filter)
+  ]);
+
+  const since = await InventoryMovement.aggregate([
+    { $match: { product: { $in: products.map((p) => p._id) }, createdAt: { $gt: at } } },
+    { $group: { _id: '$product', quantity: { $sum: '$quantity' }, reserved: { $sum: '$reserved' } } }
+  ]);
+  const changes = new Map(since.map((change) => [String(change._id), change]));
+
+  const stock = products.map((product) => {
+    const change = changes.get(String(product._id)) || { quantity: 0, reserved: 0 };
+    const quantity = product.inventory.quantity - change.quantity;
+    const reserved = product.inventory.reserved - change.reserved;
+
+    return {
+      product: product._id,
+      name: product.name,
+      sku: product.sku,
+      status: product.status,
+      quantity,
+      reserved,
+      available: Math.max(quantity - reserved, 0),
+      lowStockThreshold: product.inventory.lowStockThreshold,
+      lowStock: quantity <= product.inventory.lowStockThreshold
+    };
+  });
+
+  res.status(200).json({
+    status: 'success',
+    results: stock.length,
+    total,
+    data: {
+      at,
+      stock
+    }
+  });
+});
+
+module.exports = {
+  createAdjustment,
+  getMovements,
+  getStockReport
+};
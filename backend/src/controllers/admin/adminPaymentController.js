@@ -0,0 +1,226 @@
+// backend/src/controllers/admin/adminPaymentController.js
+
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const { replayWebhook } = require('../../services/payment/mpesaCallbackService');
+const refundService = require('../../services/payment/refundService');
+const { logger } = require('../../config/logger');
+
+const findOrder = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Order.findById(id);
+};
+
+/**
+ * Browse the webhook ledger across all payments
+ * GET /api/admin/payments/webhooks
+ */
+const getWebhooks = catchAsync(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  const match = {};
+  if (req.query.event) match['webhookData.event'] = req.query.event;
+  if (req.query.outcome) match['webhookData.outcome'] = req.query.outcome;
+  if (req.query.source) match['webhookData.source'] = req.query.source;
+  if (req.query.processed !== undefined) match['webhookData.processed'] = req.query.processed === 'true';
+  if (req.query.checkoutRequestID) match['mpesa.checkoutRequestID'] = req.query.checkoutRequestID;
+
+  const [result] = await Payment.aggregate([
+    { $match: { 'webhookData.0': { $exists: true } } },
+    { $unwind: '$webhookData' },
+    { $match: match },
+    { $sort: { 'webhookData.receivedAt': -1 } },
+    {
+      $facet: {
+        webhooks: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              _id: '$webhookData._id',
+              payment: '$_id',
+              paymentNumber: 1,
+              order: 1,
+              paymentStatus: '$status',
+              checkoutRequestID: '$mpesa.checkoutRequestID',
+              event: '$webhookData.event',
+              source: '$webhookData.source',
+              outcome: '$webhookData.outcome',
+              reason: '$webhookData.reason',
+              processed: '$webhookData.processed',
+              receivedAt: '$webhookData.receivedAt',
+              processedAt: '$webhookData.processedAt',
+              replayOf: '$webhookData.replayOf',
+              data: '$webhookData.data'
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: result.webhooks.length,
+    total: result.total[0]?.count || 0,
+    data: {
+      webhooks: result.webhooks
+    }
+  });
+});
+
+/**
+ * Get the webhook history for a single payment
+ * GET /api/admin/payments/:id/webhooks
+ */
+const getPaymentWebhooks = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError('Payment not found', 404));
+  }
+
+  const payment = await Payment.findById(req.params.id)
+    .select('paymentNumber order status amount actualAmount mpesa webhookData risk');
+
+  if (!payment) {
+    return next(new AppError('Payment not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    results: payment.webhookData.length,
+    data: {
+      payment
+    }
+  });
+});
+
+/**
+ * Replay a stored webhook through the idempotent callback pipeline
+ * POST /api/admin/payments/:id/webhooks/:webhookId/replay
+ */
+const replayPaymentWebhook = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError('Payment not found', 404));
+  }
+
+  const payment = await Payment.findById(req.params.id);
+
+  if (!payment) {
+    return next(new AppError('Payment not found', 404));
+  }
+
+  const result = await replayWebhook(payment, req.params.webhookId);
+
+  if (!result) {
+    return next(new AppError('Webhook not found for this payment', 404));
+  }
+
+  if (!result.payment) {
+    return next(new AppError(`Stored webhook could not be replayed: ${result.reason}`, 422));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: `Webhook replayed: ${result.outcome}`,
+    data: {
+      outcome: result.outcome,
+      reason: result.reason,
+      payment: result.payment
+    }
+  });
+});
+
+/**
+ * Refund an order in full (no amount) or in part. M-Pesa payments are
+ * reversed or paid back by B2C; cash on delivery and card payments are
+ * recorded as refunded by hand, with an optional reference.
+ * POST /api/admin/orders/:id/refunds
+ */
+const createRefund = catchAsync(async (req, res, next) => {
+  const { amount, reason, description, reference } = req.body;
+  const order = await findOrder(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  if (!['paid', 'partial_refund'].includes(order.payment.status)) {
+    return next(new AppError('Only a paid order can be refunded', 409));
+  }
+
+  const result = await refundService.refundOrder(order, {
+    amount,
+    reason,
+    description,
+    reference,
+    user: req.user
+  });
+
+  if (!result) {
+    return next(new AppError('Nothing is left to refund on this order', 409));
+  }
+
+  logger.info('Refund requested', {
+    orderId: order._id,
+    paymentId: result.payment._id,
+    refundId: result.refund._id,
+    amount: result.refund.amount,
+    adminId: req.user._id
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: result.refund.status === 'completed'
+      ? 'Refund recorded'
+      : 'Refund sent. It completes when the payment provider confirms it.',
+    data: {
+      refund: result.refund,
+      payment: result.payment
+    }
+  });
+});
+
+/**
+ * Get the refunds on an order's payments
+ * GET /api/admin/orders/:id/refunds
+ */
+const getOrderRefunds = catchAsync(async (req, res, next) => {
+  const order = await findOrder(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  const payments = await Payment.find({ order: order._id, 'refunds.0': { $exists: true } })
+    .select('paymentNumber method status amount actualAmount refunds')
+    .populate('refunds.refundedBy', 'firstName lastName');
+
+  const refunds = payments.flatMap((payment) => payment.refunds.map((refund) => ({
+    ...refund.toObject(),
+    payment: payment._id,
+    paymentNumber: payment.paymentNumber
+  })));
+
+  res.status(200).json({
+    status: 'success',
+    results: refunds.length,
+    data: {
+      refunds,
+      paymentStatus: order.payment.status,
+      refundable: payments.reduce((sum, payment) => sum + payment.refundableAmount, 0)
+    }
+  });
+});
+
+module.exports = {
+  createRefund,
+  getOrderRefunds,
+  getWebhooks,
+  getPaymentWebhooks,
+  replayPaymentWebhook
+};
@@ -0,0 +1,306 @@
+// backend/src/controllers/admin/adminPromotionController.js
+
+const mongoose = require('mongoose');
+const Promotion = require('../../models/Promotion');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const APIFeatures = require('../../utils/apiFeatures');
+const { logger } = require('../../config/logger');
+
+const PROMOTION_TYPES = ['buy_x_get_y', 'tiered_spend', 'bundle'];
+const TIER_TYPES = ['percentage', 'fixed'];
+const ID_LIST_FIELDS = ['products', 'categories', 'excludedProducts', 'excludedCategories'];
+const BOOLEAN_FIELDS = ['stackable', 'isActive'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isCount = (value) => Number.isInteger(value) && value >= 1;
+
+const toDate = (value) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+const tiersError = (tiers) => {
+  if (!Array.isArray(tiers)) return 'tiers must be a list';
+
+  for (const tier of tiers) {
+    if (!tier || !isNumber(tier.minSubtotal) || tier.minSubtotal < 0) {
+      return 'Each tier needs a minSubtotal of zero or more';
+    }
+    if (!TIER_TYPES.includes(tier.type)) {
+      return `Tier type must be one of: ${TIER_TYPES.join(', ')}`;
+    }
+    if (!isNumber(tier.value) || tier.value <= 0) return 'Each tier needs a value above zero';
+    if (tier.type === 'percentage' && tier.value > 100) return 'A percentage tier cannot exceed 100%';
+  }
+
+  return null;
+};
+
+const bundleItemsError = (bundleItems) => {
+  if (!Array.isArray(bundleItems)) return 'bundleItems must be a list';
+
+  for (const item of bundleItems) {
+    if (!item || !mongoose.Types.ObjectId.isValid(item.product)) return 'Each bundle item needs a product id';
+    if (item.quantity !== undefined && !isCount(item.quantity)) {
+      return 'Bundle item quantity must be a whole number of at least 1';
+    }
+  }
+
+  const ids = bundleItems.map((item) => String(item.product));
+  if (new Set(ids).size !== ids.length) return 'A product can only appear once in a bundle';
+
+  return null;
+};
+
+/**
+ * Validate and pick the promotion fields from a request body. `current` is
+ * the stored promotion on update so the rules for its type see the combined
+ * result. Returns { data } or { error }.
+ */
+const promotionInput = (body, current = {}) => {
+  const data = {};
+
+  for (const field of ['name', 'description']) {
+    if (body[field] !== undefined) data[field] = String(body[field]).trim();
+  }
+
+  if (body.type !== undefined) {
+    if (!PROMOTION_TYPES.includes(body.type)) {
+      return { error: `Type must be one of: ${PROMOTION_TYPES.join(', ')}` };
+    }
+    data.type = body.type;
+  }
+
+  if (body.priority !== undefined) {
+    if (!Number.isInteger(body.priority)) return { error: 'priority must be a whole number' };
+    data.priority = body.priority;
+  }
+
+  for (const field of ['buyQuantity', 'getQuantity']) {
+    if (body[field] === undefined) continue;
+    if (!isCount(body[field])) return { error: `${field} must be a whole number of at least 1` };
+    data[field] = body[field];
+  }
+
+  if (body.getDiscountPercent !== undefined) {
+    if (!isNumber(body.getDiscountPercent) || body.getDiscountPercent <= 0 || body.getDiscountPercent > 100) {
+      return { error: 'getDiscountPercent must be between 1 and 100' };
+    }
+    data.getDiscountPercent = body.getDiscountPercent;
+  }
+
+  if (body.tiers !== undefined) {
+    const error = tiersError(body.tiers);
+    if (error) return { error };
+    data.tiers = body.tiers.map(({ minSubtotal, type, value }) => ({ minSubtotal, type, value }));
+  }
+
+  if (body.bundleItems !== undefined) {
+    const error = bundleItemsError(body.bundleItems);
+    if (error) return { error };
+    data.bundleItems = body.bundleItems.map(({ product, quantity = 1 }) => ({ product, quantity }));
+  }
+
+  if (body.bundlePrice !== undefined) {
+    if (!isNumber(body.bundlePrice) || body.bundlePrice < 0) {
+      return { error: 'bundlePrice must be a positive number' };
+    }
+    data.bundlePrice = body.bundlePrice;
+  }
+
+  for (const field of ['startsAt', 'expiresAt']) {
+    if (body[field] === undefined) continue;
+    const date = toDate(body[field]);
+    if (date === undefined) return { error: `${field} must be a valid date` };
+    data[field] = date;
+  }
+
+  for (const field of ID_LIST_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (!Array.isArray(body[field]) || !body[field].every((id) => mongoose.Types.ObjectId.isValid(id))) {
+      return { error: `${field} must be a list of ids` };
+    }
+    data[field] = body[field];
+  }
+
+  for (const field of BOOLEAN_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'boolean') return { error: `${field} must be true or false` };
+    data[field] = body[field];
+  }
+
+  const merged = { ...current, ...data };
+
+  if (!merged.name) return { error: 'Promotion name is required' };
+  if (!merged.type) return { error: 'Promotion type is required' };
+
+  switch (merged.type) {
+    case 'buy_x_get_y':
+      if (!merged.buyQuantity || !merged.getQuantity) {
+        return { error: 'A buy X get Y promotion needs buyQuantity and getQuantity' };
+      }
+      break;
+    case 'tiered_spend':
+      if (!merged.tiers || merged.tiers.length === 0) {
+        return { error: 'A tiered spend promotion needs at least one tier' };
+      }
+      break;
+    case 'bundle':
+      if (!merged.bundleItems || merged.bundleItems.length < 2) {
+        return { error: 'A bundle needs at least two products' };
+      }
+      if (!isNumber(merged.bundlePrice)) return { error: 'A bundle needs a bundlePrice' };
+      break;
+    default:
+      break;
+  }
+
+  if (merged.startsAt && merged.expiresAt && merged.expiresAt <= merged.startsAt) {
+    return { error: 'expiresAt must be after startsAt' };
+  }
+
+  return { data };
+};
+
+const findPromotion = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Promotion.findById(id);
+};
+
+/**
+ * Get all promotions with pagination and filtering
+ * GET /api/admin/promotions
+ */
+const getAllPromotions = catchAsync(async (req, res, next) => {
+  const features = new APIFeatures(Promotion.find(), req.query)
+    .filter()
+    .sort()
+    .limitFields()
+    .paginate();
+
+  const promotions = await features.query;
+  const total = await Promotion.countDocuments();
+
+  res.status(200).json({
+    status: 'success',
+    results: promotions.length,
+    total,
+    data: {
+      promotions
+    }
+  });
+});
+
+/**
+ * Get a promotion
+ * GET /api/admin/promotions/:id
+ */
+const getPromotion = catchAsync(async (req, res, next) => {
+  const promotion = await findPromotion(req.params.id);
+
+  if (!promotion) {
+    return next(new AppError('Promotion not found', 404));
+  }
+
+  await promotion.populate([
+    { path: 'products', select: 'name sku price' },
+    { path: 'bundleItems.product', select: 'name sku price' }
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      promotion
+    }
+  });
+});
+
+/**
+ * Create a promotion
+ * POST /api/admin/promotions
+ */
+const createPromotion = catchAsync(async (req, res, next) => {
+  const { data, error } = promotionInput(req.body);
+
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+
+  const promotion = await Promotion.create({ ...data, createdBy: req.user._id });
+
+  logger.info('Promotion created', { promotionId: promotion._id, type: promotion.type, adminId: req.user._id });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Promotion created successfully',
+    data: {
+      promotion
+    }
+  });
+});
+
+/**
+ * Update a promotion
+ * PATCH /api/admin/promotions/:id
+ */
+const updatePromotion = catchAsync(async (req, res, next) => {
+  const promotion = await findPromotion(req.params.id);
+
+  if (!promotion) {
+    return next(new AppError('Promotion not found', 404));
+  }
+
+  const { data, error } = promotionInput(req.body, promotion.toObject());
+
+  if (error) {
+    return next(new AppError(error, 400));
+  }
+
+  promotion.set(data);
+  await promotion.save();
+
+  logger.info('Promotion updated', {
+    promotionId: promotion._id,
+    fields: Object.keys(data),
+    adminId: req.user._id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Promotion updated successfully',
+    data: {
+      promotion
+    }
+  });
+});
+
+/**
+ * Delete a promotion. Orders keep their own copy of the promotion lines.
+ * DELETE /api/admin/promotions/:id
+ */
+const deletePromotion = catchAsync(async (req, res, next) => {
+  const promotion = await findPromotion(req.params.id);
+
+  if (!promotion) {
+    return next(new AppError('Promotion not found', 404));
+  }
+
+  await promotion.deleteOne();
+
+  logger.info('Promotion deleted', { promotionId: promotion._id, adminId: req.user._id });
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+module.exports = {
+  getAllPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+};
@@ -0,0 +1,58 @@
+// backend/src/controllers/admin/adminReportController.js
+
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const { vatReport } = require('../../services/orders/invoiceService');
+const { invoiceConfig } = require('../../config/invoice');
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OFFSET_MS = invoiceConfig.utcOffsetHours * 60 * 60 * 1000;
+
+// The moment a 'YYYY-MM-DD' day starts in the invoice time zone, or null
+const startOfDay = (day) => {
+  if (!DAY.test(day)) return null;
+
+  // Dates like 2026-02-31 parse, as another day
+  const start = new Date(`${day}T00:00:00Z`);
+  if (Number.isNaN(start.getTime()) || start.toISOString().slice(0, 10) !== day) return null;
+
+  return new Date(start.getTime() - OFFSET_MS);
+};
+
+// Today as 'YYYY-MM-DD' in the invoice time zone
+const today = () => new Date(Date.now() + OFFSET_MS).toISOString().slice(0, 10);
+
+/**
+ * Get the output VAT for a period, per tax class and per month, for filing
+ * (?from=YYYY-MM-DD&to=YYYY-MM-DD, both days included; this month so far
+ * by default)
+ * GET /api/admin/reports/vat
+ */
+const getVatReport = catchAsync(async (req, res, next) => {
+  const { from = `${today().slice(0, 8)}01`, to = today() } = req.query;
+
+  const start = startOfDay(from);
+  const end = startOfDay(to);
+
+  if (!start || !end) {
+    return next(new AppError('from and to must be days in the form YYYY-MM-DD', 400));
+  }
+
+  if (end < start) {
+    return next(new AppError('to must not be before from', 400));
+  }
+
+  const report = await vatReport(start, new Date(end.getTime() + DAY_MS));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      report: { ...report, from, to }
+    }
+  });
+});
+
+module.exports = {
+  getVatReport
+};
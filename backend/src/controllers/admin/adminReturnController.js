@@ -0,0 +1,130 @@
+// backend/src/controllers/admin/adminReturnController.js
+
+const mongoose = require('mongoose');
+const Return = require('../../models/Return');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const returnService = require('../../services/returns/returnService');
+const { logger } = require('../../config/logger');
+
+const pageOf = (query) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  limit: Math.min(parseInt(query.limit, 10) || 20, 100)
+});
+
+const findReturn = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Return.findById(id);
+};
+
+/**
+ * Get returns, oldest first so the approval queue is worked in order.
+ * Filter by status (comma-separated), order or customer.
+ * GET /api/admin/returns
+ */
+const getReturns = catchAsync(async (req, res, next) => {
+  const { page, limit } = pageOf(req.query);
+  const filter = {};
+
+  if (req.query.status) {
+    const statuses = String(req.query.status).split(',');
+    if (!statuses.every((status) => Return.STATUSES.includes(status))) {
+      return next(new AppError(`status must be one of: ${Return.STATUSES.join(', ')}`, 400));
+    }
+    filter.status = { $in: statuses };
+  }
+
+  for (const field of ['order', 'customer']) {
+    if (req.query[field] === undefined) continue;
+    if (!mongoose.Types.ObjectId.isValid(req.query[field])) {
+      return next(new AppError(`${field} must be a valid id`, 400));
+    }
+    filter[field] = req.query[field];
+  }
+
+  const [returns, total] = await Promise.all([
+    Return.find(filter)
+      .sort({ createdAt: 1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('order', 'orderNumber status')
+      .populate('customer', 'firstName lastName email phone'),
+    Return.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: returns.length,
+    total,
+    data: {
+      returns
+    }
+  });
+});
+
+/**
+ * Get a return with its order and history
+ * GET /api/admin/returns/:id
+ */
+const getReturn = catchAsync(async (req, res, next) => {
+  const ret = await findReturn(req.params.id);
+
+  if (!ret) {
+    return next(new AppError('Return not found', 404));
+  }
+
+  await ret.populate([
+    { path: 'order', select: 'orderNumber status summary payment tracking' },
+    { path: 'customer', select: 'firstName lastName email phone' },
+    { path: 'statusHistory.updatedBy', select: 'firstName lastName' }
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      return: ret,
+      transitions: returnService.transitionsFrom(ret.status)
+    }
+  });
+});
+
+/**
+ * Approve, reject, receive or refund a return
+ * PATCH /api/admin/returns/:id/status
+ */
+const updateReturnStatus = catchAsync(async (req, res, next) => {
+  const { status, note } = req.body;
+  const ret = await findReturn(req.params.id);
+
+  if (!ret) {
+    return next(new AppError('Return not found', 404));
+  }
+
+  // Checks the transition, restocks received items and refunds refunded ones
+  const updated = await returnService.transition(ret, status, {
+    user: req.user,
+    note: typeof note === 'string' ? note.trim() : undefined
+  });
+
+  logger.info('Return status updated', {
+    returnId: updated._id,
+    status,
+    adminId: req.user._id
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: updated.status === 'refund_pending'
+      ? 'Refund sent. The return will be marked refunded once the money is back with the customer'
+      : `Return status updated to ${updated.status}`,
+    data: {
+      return: updated
+    }
+  });
+});
+
+module.exports = {
+  getReturns,
+  getReturn,
+  updateReturnStatus
+};
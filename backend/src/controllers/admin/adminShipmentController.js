@@ -0,0 +1,81 @@
+// backend/src/controllers/admin/adminShipmentController.js
+
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const trackingService = require('../../services/orders/trackingService');
+const { logger } = require('../../config/logger');
+
+const findOrder = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return Order.findById(id);
+};
+
+/**
+ * Add a shipment (carrier and tracking number) to an order
+ * POST /api/admin/orders/:id/shipments
+ */
+const addShipment = catchAsync(async (req, res, next) => {
+  const order = await findOrder(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  const { carrier, trackingNumber, url, estimatedDelivery } = req.body;
+  const updated = await trackingService.addShipment(order, { carrier, trackingNumber, url, estimatedDelivery }, req.user);
+
+  logger.info('Shipment added', { orderId: order._id, trackingNumber, adminId: req.user._id });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Shipment added',
+    data: {
+      shipment: updated.shipments.at(-1),
+      order: updated
+    }
+  });
+});
+
+/**
+ * Record a carrier scan (status, location and time) on a shipment. Scans
+ * that show the parcel left or arrived move the order to shipped or delivered.
+ * POST /api/admin/orders/:id/shipments/:shipmentId/events
+ */
+const addTrackingEvent = catchAsync(async (req, res, next) => {
+  const order = await findOrder(req.params.id);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  const { status, description, location, timestamp } = req.body;
+  const updated = await trackingService.addTrackingEvent(
+    order,
+    req.params.shipmentId,
+    { status, description, location, timestamp },
+    req.user
+  );
+
+  logger.info('Tracking event added', {
+    orderId: order._id,
+    shipmentId: req.params.shipmentId,
+    status,
+    adminId: req.user._id
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Tracking event added',
+    data: {
+      shipment: updated.shipments.id(req.params.shipmentId),
+      order: updated
+    }
+  });
+});
+
+module.exports = {
+  addShipment,
+  addTrackingEvent
+};
@@ -5,13 +5,16 @@ const catchAsync = require('../../utils/catchAsync');
 const AppError = require('../../utils/appError');
 const APIFeatures = require('../../utils/apiFeatures');
 const { createSendToken } = require('../../middleware/auth');
+const { unlockAccount } = require('../../services/auth/loginProtectionService');
+const { authLogger } = require('../../config/logger');
 
 /**
  * Get all users with pagination and filtering
  * GET /api/admin/users
  */
 const getAllUsers = catchAsync(async (req, res, next) => {
-  const features = new APIFeatures(User.find(), req.query)
+  // lockUntil is hidden by default but drives the isLocked flag admins need
+  const features = new APIFeatures(User.find().select('+lockUntil'), req.query)
     .filter()
     .sort()
     .limitFields()
@@ -223,6 +226,37 @@ const activateUser = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Lift a failed-login lock
+ * PATCH /api/admin/users/:id/unlock
+ */
+const unlockUser = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id).select('+loginAttempts +lockUntil');
+
+  if (!user) {
+    return next(new AppError('User not found', 404));
+  }
+
+  await unlockAccount(user);
+
+  authLogger.info('Account unlocked by admin', {
+    userId: user._id,
+    adminId: req.user._id,
+    wasLocked: user.isLocked
+  });
+
+  user.loginAttempts = 0;
+  user.lockUntil = undefined;
+
+  res.status(200).json({
+    status: 'success',
+    message: 'User unlocked successfully',
+    data: {
+      user
+    }
+  });
+});
+
 /**
  * Delete user permanently (super admin only)
  * DELETE /api/admin/users/:id
@@ -403,6 +437,7 @@ module.exports = {
   updateUser,
   deactivateUser,
   activateUser,
+  unlockUser,
   deleteUser,
   getUserAnalytics,
   bulkUserOperations
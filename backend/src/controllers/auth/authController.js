@@ -1,10 +1,35 @@
 // backend/src/controllers/auth/authController.js
 
-const crypto = require('crypto');
 const User = require('../../models/User');
 const catchAsync = require('../../utils/catchAsync');
 const AppError = require('../../utils/appError');
-const { createSendToken } = require('../../middleware/auth');
+const { createSendToken, sendSessionTokens, clearAuthCookies } = require('../../middleware/auth');
+const EmailService = require('../../services/email/emailService');
+const { authLogger } = require('../../config/logger');
+const { authConfig } = require('../../config/auth');
+const {
+  rotateRefreshToken,
+  revokeByRefreshToken,
+  revokeSession,
+  revokeUserSessions
+} = require('../../services/auth/sessionService');
+const { signChallenge } = require('../../services/auth/twoFactorService');
+const loginProtection = require('../../services/auth/loginProtectionService');
+const rateLimits = require('../../services/auth/rateLimitService');
+const phoneOtp = require('../../services/auth/phoneOtpService');
+const { claimOrders } = require('../../services/orders/guestOrderService');
+
+const frontendURL = () => process.env.FRONTEND_URL || 'http://localhost:3000';
+
+// Issue a fresh verification token and email the link
+const sendVerificationEmail = async (user) => {
+  const { tokenExpiresHours } = authConfig.emailVerification;
+  const verificationToken = user.createVerificationToken({ expiresInHours: tokenExpiresHours });
+  await user.save({ validateBeforeSave: false });
+
+  const verifyURL = `${frontendURL()}/verify-email/${verificationToken}`;
+  await new EmailService(user, verifyURL).sendEmailVerification({ expiresInHours: tokenExpiresHours });
+};
 
 const registerAdmin = catchAsync(async (req, res, next) => {
   const { firstName, lastName, email, phone, password, passwordConfirm } = req.body;
@@ -42,7 +67,7 @@ const registerAdmin = catchAsync(async (req, res, next) => {
   newAdmin.password = undefined;
 
   // 5) Send response with token
-  createSendToken(newAdmin, 201, res);
+  await createSendToken(newAdmin, 201, req, res);
 });
 
 const signup = catchAsync(async (req, res, next) => {
@@ -66,11 +91,27 @@ const signup = catchAsync(async (req, res, next) => {
     email,
     phone,
     password,
-    role: role || 'customer', // Allow role to be set, default to customer
-    isVerified: true // Skip email verification for now
+    role: role || 'customer' // Allow role to be set, default to customer
   });
 
-  createSendToken(newUser, 201, res);
+  // A failed email must not block signup; the user can ask for a resend
+  try {
+    await sendVerificationEmail(newUser);
+  } catch (err) {
+    authLogger.error('Failed to send verification email', { userId: newUser._id, error: err.message });
+  }
+
+  await createSendToken(newUser, 201, req, res);
+});
+
+// Answer with a short-lived 2FA challenge in place of tokens
+const sendChallenge = (user, res, message) => res.status(200).json({
+  status: 'success',
+  message,
+  data: {
+    twoFactorRequired: true,
+    challengeToken: signChallenge(user._id)
+  }
 });
 
 const login = catchAsync(async (req, res, next) => {
@@ -81,29 +122,67 @@ const login = catchAsync(async (req, res, next) => {
     return next(new AppError('Please provide email and password!', 400));
   }
 
-  // 2) Check if user exists && password is correct
-  const user = await User.findOne({ email }).select('+password +isActive');
+  // 2) Refuse clients that have failed too often, then locked accounts
+  await loginProtection.assertIpAllowed(req);
+
+  const user = await User.findOne({ email }).select('+password +isActive +loginAttempts +lockUntil');
+  loginProtection.assertNotLocked(user);
 
+  // 3) Check if user exists && password is correct
   if (!user || !(await user.comparePassword(password))) {
+    const { lockedUntil } = await loginProtection.recordFailure(req, email, user);
+    if (lockedUntil) {
+      return next(loginProtection.lockedError(lockedUntil));
+    }
     return next(new AppError('Incorrect email or password', 401));
   }
 
-  // 3) Check if user is active
+  await loginProtection.recordSuccess(req, user);
+
+  // 4) Check if user is active
   if (!user.isActive) {
     return next(new AppError('Your account has been deactivated', 401));
   }
 
-  // 4) If everything ok, send token to client
-  createSendToken(user, 200, res);
+  // 5) Accounts with 2FA get a short-lived challenge instead of tokens
+  if (user.twoFactor?.enabled) {
+    authLogger.info('Password accepted, awaiting second factor', { userId: user._id, ip: req.ip });
+    return sendChallenge(user, res, 'Enter the code from your authenticator app');
+  }
+
+  // 6) If everything ok, send token to client
+  await createSendToken(user, 200, req, res);
 });
 
-const logout = (req, res) => {
-  res.cookie('jwt', 'loggedout', {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true
-  });
+const logout = catchAsync(async (req, res, next) => {
+  const refreshToken = req.body.refreshToken || req.cookies[authConfig.tokens.refreshCookieName];
+
+  if (refreshToken) {
+    await revokeByRefreshToken(refreshToken, 'logout');
+  }
+
+  clearAuthCookies(res);
   res.status(200).json({ status: 'success' });
-};
+});
+
+const refreshToken = catchAsync(async (req, res, next) => {
+  const presented = req.body.refreshToken || req.cookies[authConfig.tokens.refreshCookieName];
+
+  if (!presented) {
+    return next(new AppError('No refresh token provided. Please log in again.', 401));
+  }
+
+  const { session, refreshToken: nextRefreshToken } = await rotateRefreshToken(presented, req);
+
+  const user = await User.findById(session.user);
+  if (!user || !user.isActive) {
+    await revokeSession(session._id, 'admin');
+    clearAuthCookies(res);
+    return next(new AppError('Your account is no longer active. Please log in again.', 401));
+  }
+
+  sendSessionTokens(user, session, nextRefreshToken, 200, res);
+});
 
 const getMe = catchAsync(async (req, res, next) => {
   const user = await User.findById(req.user.id);
@@ -116,95 +195,280 @@ const getMe = catchAsync(async (req, res, next) => {
   });
 });
 
+const verifyEmail = catchAsync(async (req, res, next) => {
+  const user = await User.findOne({
+    verificationToken: User.hashToken(req.params.token),
+    verificationTokenExpires: { $gt: Date.now() }
+  });
+
+  if (!user) {
+    return next(new AppError('Verification link is invalid or has expired', 400));
+  }
+
+  user.isVerified = true;
+  user.verificationToken = undefined;
+  user.verificationTokenExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  authLogger.info('Email verified', { userId: user._id });
+
+  // Orders placed as a guest with this email now belong to the account
+  const claimedOrders = await claimOrders(user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Email verified successfully',
+    data: {
+      user: {
+        _id: user._id,
+        email: user.email,
+        isVerified: true
+      },
+      ...(claimedOrders > 0 && { claimedOrders })
+    }
+  });
+});
+
+const resendVerification = catchAsync(async (req, res, next) => {
+  const { resendCooldownSeconds, maxResendsPerHour } = authConfig.emailVerification;
+  const user = await User.findById(req.user.id);
+
+  if (user.isVerified) {
+    return next(new AppError('Your email address is already verified', 400));
+  }
+
+  // Per-account cooldown is kept on the document so it holds without Redis
+  const elapsed = user.verificationSentAt ? Date.now() - user.verificationSentAt.getTime() : Infinity;
+  if (elapsed < resendCooldownSeconds * 1000) {
+    const wait = Math.ceil((resendCooldownSeconds * 1000 - elapsed) / 1000);
+    return next(new AppError(`Please wait ${wait} seconds before requesting another email`, 429));
+  }
+
+  const sent = await rateLimits.increment(`email-verification:${user._id}`, 60 * 60 * 1000);
+  if (sent > maxResendsPerHour) {
+    return next(new AppError('Too many verification emails requested. Please try again later.', 429));
+  }
+
+  try {
+    await sendVerificationEmail(user);
+  } catch (err) {
+    authLogger.error('Failed to resend verification email', { userId: user._id, error: err.message });
+    return next(new AppError('There was an error sending the email. Try again later.', 500));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Verification email sent'
+  });
+});
+
+const forgotPasswordMessage = 'If an account exists for those details, password reset instructions have been sent.';
+
+// Fire-and-forget notice; a mail failure must not undo a completed reset
+const notifyPasswordChanged = (user) => {
+  new EmailService(user).sendPasswordChanged().catch((err) => {
+    authLogger.error('Failed to send password changed email', { userId: user._id, error: err.message });
+  });
+};
+
 const updatePassword = catchAsync(async (req, res, next) => {
+  const currentPassword = req.body.passwordCurrent || req.body.currentPassword;
+  const newPassword = req.body.password || req.body.newPassword;
+
+  if (!currentPassword || !newPassword) {
+    return next(new AppError('Please provide your current and new password', 400));
+  }
+
   // 1) Get user from collection
   const user = await User.findById(req.user.id).select('+password');
 
   // 2) Check if POSTed current password is correct
-  if (!(await user.comparePassword(req.body.passwordCurrent))) {
+  if (!(await user.comparePassword(currentPassword))) {
     return next(new AppError('Your current password is incorrect.', 401));
   }
 
-  // 3) If so, update password
-  user.password = req.body.password;
+  // 3) If so, update password and sign out every other device
+  user.password = newPassword;
   await user.save();
+  await revokeUserSessions(user._id, 'password_changed');
+
+  notifyPasswordChanged(user);
 
   // 4) Log user in, send JWT
-  createSendToken(user, 200, res);
+  await createSendToken(user, 200, req, res);
 });
 
-const forgotPassword = catchAsync(async (req, res, next) => {
-  // 1) Get user based on POSTed email
-  const user = await User.findOne({ email: req.body.email });
-  if (!user) {
-    return next(new AppError('There is no user with that email address.', 404));
+// Text a reset code to the account on `phone`. A number with no active
+// account is throttled like the rest but sent nothing; one shared by several
+// accounts is refused, as phone login refuses it.
+const sendResetCode = async (phone, req) => {
+  const user = await phoneOtp.findAccountByPhone(phone);
+
+  if (!user || !user.isActive) {
+    await phoneOtp.throttle(phone, 'password_reset', req);
+    authLogger.info('Password reset code requested for unknown account', { phone, ip: req.ip });
+    return;
   }
 
-  // 2) Generate the random reset token (simplified for now)
-  const resetToken = crypto.randomBytes(32).toString('hex');
-  
-  user.passwordResetToken = crypto
-    .createHash('sha256')
-    .update(resetToken)
-    .digest('hex');
-  
-  user.passwordResetExpires = Date.now() + 10 * 60 * 1000; // 10 minutes
-  
+  await phoneOtp.issueCode(phone, 'password_reset', req, { user: user._id, carryAttempts: true });
+  authLogger.info('Password reset code issued', { userId: user._id, ip: req.ip });
+};
+
+// Email a reset link, at most maxEmailsPerHour a hour per account
+const sendResetLink = async (user, req) => {
+  const { linkExpiresMinutes, maxEmailsPerHour } = authConfig.passwordReset;
+
+  const sent = await rateLimits.increment(`password-reset:${user._id}`, 60 * 60 * 1000);
+  if (sent > maxEmailsPerHour) {
+    authLogger.warn('Password reset emails capped', { userId: user._id, ip: req.ip });
+    return;
+  }
+
+  const resetToken = user.createPasswordResetToken({ expiresInMinutes: linkExpiresMinutes });
   await user.save({ validateBeforeSave: false });
 
-  // 3) Send it to user's email
+  const resetURL = `${frontendURL()}/reset-password?token=${resetToken}`;
+
   try {
-    // Here you would typically send an email
-    // For now, we'll just return the token (remove this in production)
-    res.status(200).json({
-      status: 'success',
-      message: 'Token sent to email!',
-      resetToken // Remove this line in production
-    });
+    await new EmailService(user, resetURL).sendPasswordReset({ expiresInMinutes: linkExpiresMinutes });
   } catch (err) {
-    user.passwordResetToken = undefined;
-    user.passwordResetExpires = undefined;
+    authLogger.error('Failed to deliver password reset', { userId: user._id, error: err.message });
+
+    user.clearPasswordReset();
     await user.save({ validateBeforeSave: false });
 
-    return next(
-      new AppError('There was an error sending the email. Try again later.', 500)
-    );
+    throw new AppError('There was an error sending the reset instructions. Try again later.', 500);
   }
+
+  authLogger.info('Password reset issued', { userId: user._id, ip: req.ip });
+};
+
+const forgotPassword = catchAsync(async (req, res, next) => {
+  const { email, phone } = req.body;
+  const bySms = req.body.channel === 'sms' || (!!phone && !email);
+
+  if (!email && !phone) {
+    return next(new AppError('Please provide your email address or phone number', 400));
+  }
+
+  // 1) Codes by SMS go to the number given, or the phone on the account
+  // with the email given
+  if (bySms && phone) {
+    await sendResetCode(phoneOtp.normalisePhone(phone), req);
+    return res.status(200).json({ status: 'success', message: forgotPasswordMessage });
+  }
+
+  const user = await User.findOne({ email: String(email).toLowerCase() });
+
+  // Respond the same way whether or not the account exists
+  if (!user || !user.isActive) {
+    authLogger.info('Password reset requested for unknown account', { email, ip: req.ip });
+    return res.status(200).json({ status: 'success', message: forgotPasswordMessage });
+  }
+
+  // 2) Send the code or the link
+  if (bySms) {
+    await sendResetCode(phoneOtp.normalisePhone(user.phone), req);
+  } else {
+    await sendResetLink(user, req);
+  }
+
+  res.status(200).json({ status: 'success', message: forgotPasswordMessage });
 });
 
-const resetPassword = catchAsync(async (req, res, next) => {
-  // 1) Get user based on the token
-  const hashedToken = crypto
-    .createHash('sha256')
-    .update(req.params.token)
-    .digest('hex');
+const findUserByResetToken = (token) => User.findOne({
+  passwordResetToken: User.hashToken(token),
+  passwordResetExpires: { $gt: Date.now() }
+});
 
-  const user = await User.findOne({
-    passwordResetToken: hashedToken,
-    passwordResetExpires: { $gt: Date.now() }
+const completeReset = async (user, password, req, res) => {
+  user.password = password;
+  user.clearPasswordReset();
+  await user.save();
+  await revokeUserSessions(user._id, 'password_changed');
+  // Proving control of the email or phone lifts a failed-login lock
+  await loginProtection.unlockAccount(user);
+
+  authLogger.info('Password reset completed', { userId: user._id, ip: req.ip });
+  notifyPasswordChanged(user);
+
+  // A reset proves the email or phone, not the second factor
+  if (user.twoFactor?.enabled) {
+    return sendChallenge(user, res, 'Your password has been reset. Enter the code from your authenticator app');
+  }
+
+  // Log the user in, send JWT
+  await createSendToken(user, 200, req, res);
+};
+
+const validateResetToken = catchAsync(async (req, res, next) => {
+  const user = await findUserByResetToken(req.params.token);
+
+  if (!user) {
+    return next(new AppError('Token is invalid or has expired', 400));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      valid: true,
+      expiresAt: user.passwordResetExpires
+    }
   });
+});
+
+const resetPassword = catchAsync(async (req, res, next) => {
+  if (!req.body.password) {
+    return next(new AppError('Please provide a new password', 400));
+  }
+
+  if (req.body.passwordConfirm !== undefined && req.body.password !== req.body.passwordConfirm) {
+    return next(new AppError('Passwords do not match', 400));
+  }
+
+  // 1) Get user based on the token
+  const user = await findUserByResetToken(req.params.token);
 
   // 2) If token has not expired, and there is user, set the new password
   if (!user) {
     return next(new AppError('Token is invalid or has expired', 400));
   }
-  
-  user.password = req.body.password;
-  user.passwordResetToken = undefined;
-  user.passwordResetExpires = undefined;
-  await user.save();
 
-  // 3) Log the user in, send JWT
-  createSendToken(user, 200, res);
+  await completeReset(user, req.body.password, req, res);
+});
+
+const resetPasswordWithCode = catchAsync(async (req, res, next) => {
+  const { code, password } = req.body;
+
+  if (!req.body.phone || !code || !password) {
+    return next(new AppError('Please provide your phone number, reset code and new password', 400));
+  }
+
+  const phone = phoneOtp.normalisePhone(req.body.phone);
+  const user = await phoneOtp.findAccountByPhone(phone);
+
+  if (!user || !user.isActive) {
+    return next(new AppError('Code is invalid or has expired', 400));
+  }
+
+  await phoneOtp.verifyCode(phone, 'password_reset', code, { user: user._id });
+
+  await completeReset(user, password, req, res);
 });
 
 module.exports = {
   signup,
   login,
   logout,
+  refreshToken,
   getMe,
+  verifyEmail,
+  resendVerification,
   updatePassword,
   forgotPassword,
+  validateResetToken,
   resetPassword,
-  registerAdmin
+  resetPasswordWithCode,
+  registerAdmin,
+  sendVerificationEmail
 };
\ No newline at end of file
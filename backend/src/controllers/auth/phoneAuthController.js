@@ -0,0 +1,175 @@
+// backend/src/controllers/auth/phoneAuthController.js
+
+const User = require('../../models/User');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const { createSendToken } = require('../../middleware/auth');
+const { sendVerificationEmail } = require('./authController');
+const phoneOtp = require('../../services/auth/phoneOtpService');
+const { signChallenge } = require('../../services/auth/twoFactorService');
+const { claimOrders } = require('../../services/orders/guestOrderService');
+const { authLogger } = require('../../config/logger');
+
+// Show only the last three digits when echoing a number back
+const maskPhone = (phone) => `${phone.slice(0, 3)}******${phone.slice(-3)}`;
+
+/**
+ * Send a login code to a phone number
+ * POST /api/auth/phone/request-code
+ */
+const requestLoginCode = catchAsync(async (req, res, next) => {
+  const { phone, expiresInMinutes, resendAfterSeconds } = await phoneOtp.issueCode(req.body.phone, 'login', req);
+
+  res.status(200).json({
+    status: 'success',
+    message: `We sent a code to ${maskPhone(phone)}`,
+    data: {
+      expiresInMinutes,
+      resendAfterSeconds
+    }
+  });
+});
+
+/**
+ * Log in with a code, or get a signup token if no account uses the number
+ * POST /api/auth/phone/verify-code
+ */
+const verifyLoginCode = catchAsync(async (req, res, next) => {
+  const phone = await phoneOtp.verifyCode(req.body.phone, 'login', req.body.code);
+  const user = await phoneOtp.findAccountByPhone(phone);
+
+  if (!user) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'Phone number verified. Tell us your name to finish creating your account.',
+      data: {
+        signupRequired: true,
+        signupToken: phoneOtp.signSignupToken(phone)
+      }
+    });
+  }
+
+  if (!user.isActive) {
+    return next(new AppError('Your account has been deactivated', 401));
+  }
+
+  await phoneOtp.markPhoneVerified(user._id);
+  user.phoneVerified = true;
+
+  // The SMS code stands in for the password, not for the second factor
+  if (user.twoFactor?.enabled) {
+    return res.status(200).json({
+      status: 'success',
+      message: 'Enter the code from your authenticator app',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: signChallenge(user._id)
+      }
+    });
+  }
+
+  authLogger.info('Phone login', { userId: user._id, ip: req.ip });
+
+  await createSendToken(user, 200, req, res);
+});
+
+/**
+ * Create an account for a phone number that has just passed OTP
+ * POST /api/auth/phone/signup
+ */
+const completePhoneSignup = catchAsync(async (req, res, next) => {
+  const { signupToken, firstName, lastName, email } = req.body;
+
+  if (!signupToken || !firstName || !lastName) {
+    return next(new AppError('Please provide your first and last name', 400));
+  }
+
+  const phone = phoneOtp.verifySignupToken(signupToken);
+
+  if (await phoneOtp.findAccountByPhone(phone)) {
+    return next(new AppError('An account already uses this phone number. Please log in.', 400));
+  }
+
+  if (email && await User.findOne({ email: String(email).toLowerCase() })) {
+    return next(new AppError('User with this email or phone already exists', 400));
+  }
+
+  const newUser = await User.create({
+    firstName,
+    lastName,
+    email: email || undefined,
+    phone,
+    phoneVerified: true,
+    phoneVerifiedAt: new Date(),
+    signupMethod: 'phone'
+  });
+
+  if (email) {
+    // A failed email must not block signup; the user can ask for a resend
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (err) {
+      authLogger.error('Failed to send verification email', { userId: newUser._id, error: err.message });
+    }
+  }
+
+  authLogger.info('Phone signup', { userId: newUser._id, ip: req.ip });
+
+  await createSendToken(newUser, 201, req, res);
+});
+
+/**
+ * Send a code to the logged-in user's phone number
+ * POST /api/auth/phone/send-verification
+ */
+const sendPhoneVerification = catchAsync(async (req, res, next) => {
+  if (req.user.phoneVerified) {
+    return next(new AppError('Your phone number is already verified', 400));
+  }
+
+  const { phone, expiresInMinutes, resendAfterSeconds } = await phoneOtp.issueCode(
+    req.user.phone,
+    'verify_phone',
+    req,
+    { user: req.user._id }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    message: `We sent a code to ${maskPhone(phone)}`,
+    data: {
+      expiresInMinutes,
+      resendAfterSeconds
+    }
+  });
+});
+
+/**
+ * Confirm the logged-in user's phone number
+ * POST /api/auth/phone/verify
+ */
+const verifyPhone = catchAsync(async (req, res, next) => {
+  await phoneOtp.verifyCode(req.user.phone, 'verify_phone', req.body.code, { user: req.user._id });
+  await phoneOtp.markPhoneVerified(req.user._id);
+
+  // Orders placed as a guest with this number now belong to the account
+  req.user.phoneVerified = true;
+  const claimedOrders = await claimOrders(req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Phone number verified',
+    data: {
+      phoneVerified: true,
+      ...(claimedOrders > 0 && { claimedOrders })
+    }
+  });
+});
+
+module.exports = {
+  requestLoginCode,
+  verifyLoginCode,
+  completePhoneSignup,
+  sendPhoneVerification,
+  verifyPhone
+};
@@ -0,0 +1,84 @@
+// backend/src/controllers/auth/sessionController.js
+
+const mongoose = require('mongoose');
+const Session = require('../../models/Session');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const { listSessions, revokeSession, revokeUserSessions } = require('../../services/auth/sessionService');
+
+/**
+ * List the current user's logged-in devices
+ * GET /api/auth/sessions
+ */
+const getSessions = catchAsync(async (req, res, next) => {
+  const sessions = await listSessions(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    results: sessions.length,
+    data: {
+      sessions: sessions.map((session) => ({
+        _id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    }
+  });
+});
+
+/**
+ * Log out one of the current user's devices
+ * DELETE /api/auth/sessions/:id
+ */
+const deleteSession = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError('Session not found', 404));
+  }
+
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    revokedAt: null
+  });
+
+  if (!session) {
+    return next(new AppError('Session not found', 404));
+  }
+
+  await revokeSession(session._id, 'user_revoked');
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Session revoked',
+    data: {
+      current: session._id.toString() === req.sessionId
+    }
+  });
+});
+
+/**
+ * Log out every device except the one making the request
+ * DELETE /api/auth/sessions
+ */
+const deleteOtherSessions = catchAsync(async (req, res, next) => {
+  const revoked = await revokeUserSessions(req.user._id, 'user_revoked', { except: req.sessionId });
+
+  res.status(200).json({
+    status: 'success',
+    message: `${revoked} other session${revoked === 1 ? '' : 's'} revoked`,
+    data: {
+      revoked
+    }
+  });
+});
+
+module.exports = {
+  getSessions,
+  deleteSession,
+  deleteOtherSessions
+};
@@ -0,0 +1,167 @@
+// backend/src/controllers/auth/twoFactorController.js
+
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const { createSendToken, signToken, cookieOptions } = require('../../middleware/auth');
+const { markTwoFactorVerified } = require('../../services/auth/sessionService');
+const twoFactor = require('../../services/auth/twoFactorService');
+const { authLogger } = require('../../config/logger');
+
+/**
+ * Get the current user's two-factor status
+ * GET /api/auth/2fa/status
+ */
+const getStatus = catchAsync(async (req, res, next) => {
+  const enabled = !!req.user.twoFactor?.enabled;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      enabled,
+      required: twoFactor.isRequiredForRole(req.user.role),
+      available: twoFactor.isAllowedForRole(req.user.role),
+      enabledAt: req.user.twoFactor?.enabledAt,
+      sessionVerified: req.twoFactorVerified,
+      recoveryCodesRemaining: enabled ? await twoFactor.countRecoveryCodes(req.user._id) : 0
+    }
+  });
+});
+
+/**
+ * Start enrolment and return the QR code for an authenticator app
+ * POST /api/auth/2fa/setup
+ */
+const setup = catchAsync(async (req, res, next) => {
+  if (!twoFactor.isAllowedForRole(req.user.role)) {
+    return next(new AppError('Two-factor authentication is not available for your account', 403));
+  }
+
+  if (req.user.twoFactor?.enabled) {
+    return next(new AppError('Two-factor authentication is already enabled', 400));
+  }
+
+  const { secret, otpauthUrl, qrCode } = await twoFactor.beginEnrolment(req.user);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: {
+      secret,
+      otpauthUrl,
+      qrCode
+    }
+  });
+});
+
+/**
+ * Confirm enrolment with a code and receive recovery codes
+ * POST /api/auth/2fa/enable
+ */
+const enable = catchAsync(async (req, res, next) => {
+  if (!req.body.code) {
+    return next(new AppError('Please provide the code from your authenticator app', 400));
+  }
+
+  const recoveryCodes = await twoFactor.completeEnrolment(req.user._id, req.body.code);
+
+  // The code just proved possession, so this session counts as verified
+  let token;
+  if (req.sessionId) {
+    await markTwoFactorVerified(req.sessionId);
+    token = signToken(req.user._id, req.sessionId, { twoFactor: true });
+    res.cookie('jwt', token, cookieOptions(new Date(jwt.decode(token).exp * 1000)));
+  }
+
+  authLogger.info('Two-factor authentication enabled', { userId: req.user._id });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+    token,
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+/**
+ * Second login step: exchange the login challenge and a code for tokens
+ * POST /api/auth/2fa/verify
+ */
+const verifyLogin = catchAsync(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(new AppError('Please provide your authentication code', 400));
+  }
+
+  const userId = twoFactor.verifyChallenge(challengeToken);
+  const { user, method } = await twoFactor.verifySecondFactor(userId, { code, recoveryCode }, req);
+
+  if (!user.isActive) {
+    return next(new AppError('Your account has been deactivated', 401));
+  }
+
+  authLogger.info('Two-factor login completed', { userId: user._id, method, ip: req.ip });
+
+  await createSendToken(await User.findById(user._id), 200, req, res, { twoFactorVerified: true });
+});
+
+/**
+ * Replace all recovery codes
+ * POST /api/auth/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  await twoFactor.verifySecondFactor(req.user._id, { code: req.body.code }, req);
+
+  const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user._id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'New recovery codes generated. Your old codes no longer work.',
+    data: {
+      recoveryCodes
+    }
+  });
+});
+
+/**
+ * Turn two-factor authentication off
+ * POST /api/auth/2fa/disable
+ */
+const disable = catchAsync(async (req, res, next) => {
+  if (twoFactor.isRequiredForRole(req.user.role)) {
+    return next(new AppError('Two-factor authentication is required for your role and cannot be disabled', 403));
+  }
+
+  const { password, code } = req.body;
+  if (!password || !code) {
+    return next(new AppError('Please provide your password and an authentication code', 400));
+  }
+
+  const user = await User.findById(req.user._id).select('+password');
+  if (!(await user.comparePassword(password))) {
+    return next(new AppError('Your password is incorrect.', 401));
+  }
+
+  await twoFactor.verifySecondFactor(req.user._id, { code }, req);
+  await twoFactor.disable(req.user._id);
+
+  authLogger.info('Two-factor authentication disabled', { userId: req.user._id });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Two-factor authentication disabled'
+  });
+});
+
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  verifyLogin,
+  regenerateRecoveryCodes,
+  disable
+};
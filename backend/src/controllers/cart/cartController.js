@@ -1,43 +1,39 @@
 // backend/src/controllers/cart/cartController.js
 
+const mongoose = require('mongoose');
 const Cart = require('../../models/Cart');
+const Coupon = require('../../models/Coupon');
 const Product = require('../../models/Product');
+const PickupStation = require('../../models/PickupStation');
 const catchAsync = require('../../utils/catchAsync');
 const AppError = require('../../utils/appError');
+const { priceCoupons } = require('../../services/coupons/couponService');
+const { METHODS } = require('../../services/shipping/shippingService');
+const deliverySlotService = require('../../services/shipping/deliverySlotService');
+const { findCart, findOrCreateCart } = require('../../services/cart/cartSessionService');
 
 /**
- * Get user's cart
+ * Get the user's or guest's cart
  * GET /api/cart
  */
 const getCart = catchAsync(async (req, res, next) => {
-  const userId = req.user._id;
+  // Guests' carts are only stored once they add something
+  let cart = req.user ? await findOrCreateCart(req, res) : await findCart(req, res);
 
-  let cart = await Cart.findOne({ 
-    user: userId, 
-    isActive: true 
-  }).populate('items.product', 'name price images status stock');
-
-  // Create cart if it doesn't exist
   if (!cart) {
-    cart = await Cart.create({
-      user: userId,
-      items: [],
-      totals: {
-        subtotal: 0,
-        discount: 0,
-        tax: 0,
-        shipping: 0,
-        total: 0,
-        itemCount: 0,
-        uniqueItems: 0
-      }
-    });
+    cart = new Cart({ isGuest: true, items: [] });
+  } else if (!cart.isEmpty) {
+    // Promotions start and end on their own, so refresh the totals on read
+    await cart.save();
   }
 
+  await cart.populate('items.product', 'name price images status inventory');
+
   res.status(200).json({
     status: 'success',
     data: {
-      cart
+      cart,
+      removedCoupons: cart.$locals.rejectedCoupons || []
     }
   });
 });
@@ -50,11 +46,10 @@ const addToCart = catchAsync(async (req, res, next) => {
   try {
     console.log('Received add to cart request:', {
       body: req.body,
-      user: req.user._id
+      user: req.user?._id
     });
 
     const { productId, quantity = 1, variant } = req.body;
-    const userId = req.user._id;
 
     // Validate input
     if (!productId) {
@@ -79,40 +74,15 @@ const addToCart = catchAsync(async (req, res, next) => {
       return next(new AppError('Product is not available', 400));
     }
 
-    if (product.stock < quantity) {
-      console.error('Insufficient stock:', { requested: quantity, available: product.stock });
-      return next(new AppError(`Only ${product.stock} units available`, 400));
+    // null means the product's stock isn't tracked
+    const available = product.availableQuantity(variant);
+    if (available !== null && available < quantity) {
+      console.error('Insufficient stock:', { requested: quantity, available });
+      return next(new AppError(`Only ${available} units available`, 400));
     }
 
-    // Get or create user's cart
-    let cart = await Cart.findOne({ 
-      user: userId, 
-      isActive: true 
-    });
-
-    console.log('Found existing cart:', cart ? cart._id : 'No cart found, creating new one');
-
-    if (!cart) {
-      try {
-        cart = await Cart.create({
-          user: userId,
-          items: [],
-          totals: {
-            subtotal: 0,
-            discount: 0,
-            tax: 0,
-            shipping: 300, // Default shipping cost
-            total: 300,    // Shipping cost only for empty cart
-            itemCount: 0,
-            uniqueItems: 0
-          }
-        });
-        console.log('Created new cart:', cart._id);
-      } catch (createError) {
-        console.error('Error creating cart:', createError);
-        return next(new AppError('Failed to create cart', 500));
-      }
-    }
+    // Get or create the cart; a guest's first item starts their cart cookie
+    const cart = await findOrCreateCart(req, res);
 
     // Prepare cart item data
     const cartItemData = {
@@ -127,8 +97,8 @@ const addToCart = catchAsync(async (req, res, next) => {
         alt: product.images[0]?.alt || product.name
       },
       availability: {
-        inStock: product.stock > 0,
-        quantity: product.stock
+        inStock: available === null || available > 0,
+        quantity: available === null ? 0 : available
       }
     };
 
@@ -144,7 +114,7 @@ const addToCart = catchAsync(async (req, res, next) => {
     console.log('Item added to cart successfully');
 
     // Refresh the cart from database to get the latest state
-    const updatedCart = await Cart.findById(cart._id).populate('items.product', 'name price images status stock');
+    const updatedCart = await Cart.findById(cart._id).populate('items.product', 'name price images status inventory');
     
     if (!updatedCart) {
       console.error('Failed to retrieve updated cart');
@@ -185,17 +155,13 @@ const addToCart = catchAsync(async (req, res, next) => {
 const updateCartItem = catchAsync(async (req, res, next) => {
   const { productId } = req.params;
   const { quantity, variant } = req.body;
-  const userId = req.user._id;
 
   if (quantity < 0) {
     return next(new AppError('Quantity cannot be negative', 400));
   }
 
-  // Get user's cart
-  const cart = await Cart.findOne({ 
-    user: userId, 
-    isActive: true 
-  });
+  // Get the user's or guest's cart
+  const cart = await findCart(req, res);
 
   if (!cart) {
     return next(new AppError('Cart not found', 404));
@@ -208,8 +174,9 @@ const updateCartItem = catchAsync(async (req, res, next) => {
       return next(new AppError('Product not found', 404));
     }
 
-    if (product.stock < quantity) {
-      return next(new AppError(`Only ${product.stock} units available`, 400));
+    const available = product.availableQuantity(variant);
+    if (available !== null && available < quantity) {
+      return next(new AppError(`Only ${available} units available`, 400));
     }
   }
 
@@ -217,13 +184,15 @@ const updateCartItem = catchAsync(async (req, res, next) => {
   await cart.updateQuantity(productId, quantity, variant);
 
   // Populate product details for response
-  await cart.populate('items.product', 'name price images status stock');
+  await cart.populate('items.product', 'name price images status inventory');
 
   res.status(200).json({
     status: 'success',
     message: quantity === 0 ? 'Item removed from cart' : 'Cart updated successfully',
     data: {
-      cart
+      cart,
+      // Coupons the cart no longer qualifies for, with the reason
+      removedCoupons: cart.$locals.rejectedCoupons || []
     }
   });
 });
@@ -235,13 +204,9 @@ const updateCartItem = catchAsync(async (req, res, next) => {
 const removeFromCart = catchAsync(async (req, res, next) => {
   const { productId } = req.params;
   const { variant } = req.body;
-  const userId = req.user._id;
 
-  // Get user's cart
-  const cart = await Cart.findOne({ 
-    user: userId, 
-    isActive: true 
-  });
+  // Get the user's or guest's cart
+  const cart = await findCart(req, res);
 
   if (!cart) {
     return next(new AppError('Cart not found', 404));
@@ -251,13 +216,14 @@ const removeFromCart = catchAsync(async (req, res, next) => {
   await cart.removeItem(productId, variant);
 
   // Populate product details for response
-  await cart.populate('items.product', 'name price images status stock');
+  await cart.populate('items.product', 'name price images status inventory');
 
   res.status(200).json({
     status: 'success',
     message: 'Item removed from cart successfully',
     data: {
-      cart
+      cart,
+      removedCoupons: cart.$locals.rejectedCoupons || []
     }
   });
 });
@@ -267,18 +233,17 @@ const removeFromCart = catchAsync(async (req, res, next) => {
  * DELETE /api/cart
  */
 const clearCart = catchAsync(async (req, res, next) => {
-  const userId = req.user._id;
 
-  // Get user's cart
-  const cart = await Cart.findOne({ 
-    user: userId, 
-    isActive: true 
-  });
+  // Get the user's or guest's cart
+  const cart = await findCart(req, res);
 
   if (!cart) {
     return next(new AppError('Cart not found', 404));
   }
 
+  // An empty cart doesn't need its delivery slot any more
+  await deliverySlotService.releaseHold(cart);
+
   // Clear cart using model method
   await cart.clear();
 
@@ -297,17 +262,13 @@ const clearCart = catchAsync(async (req, res, next) => {
  */
 const applyCoupon = catchAsync(async (req, res, next) => {
   const { couponCode } = req.body;
-  const userId = req.user._id;
 
-  if (!couponCode) {
+  if (typeof couponCode !== 'string' || !couponCode.trim()) {
     return next(new AppError('Coupon code is required', 400));
   }
 
-  // Get user's cart
-  const cart = await Cart.findOne({ 
-    user: userId, 
-    isActive: true 
-  });
+  // Get the user's or guest's cart
+  const cart = await findCart(req, res);
 
   if (!cart) {
     return next(new AppError('Cart not found', 404));
@@ -317,43 +278,39 @@ const applyCoupon = catchAsync(async (req, res, next) => {
     return next(new AppError('Cannot apply coupon to empty cart', 400));
   }
 
-  // Simple coupon validation (you can enhance this)
-  let couponData;
-  switch (couponCode.toUpperCase()) {
-    case 'SAVE10':
-      couponData = {
-        type: 'percentage',
-        value: 10,
-        discount: cart.totals.subtotal * 0.10
-      };
-      break;
-    case 'NEWUSER':
-      couponData = {
-        type: 'fixed',
-        value: 500,
-        discount: 500
-      };
-      break;
-    case 'FREESHIP':
-      couponData = {
-        type: 'shipping',
-        value: cart.totals.shipping,
-        discount: cart.totals.shipping
-      };
-      break;
-    default:
-      return next(new AppError('Invalid coupon code', 400));
+  const code = couponCode.trim().toUpperCase();
+
+  if (cart.appliedCoupons.some((c) => c.code === code)) {
+    return next(new AppError(`Coupon "${code}" is already applied`, 400));
+  }
+
+  const coupon = await Coupon.findOne({ code });
+  if (!coupon) {
+    return next(new AppError('Invalid coupon code', 400));
+  }
+
+  // Price the new coupon after the ones already on the cart so stacking rules apply
+  const { applied, rejected } = await priceCoupons(cart, [
+    ...cart.appliedCoupons,
+    { coupon: coupon._id, code }
+  ]);
+
+  const refusal = rejected.find((r) => r.code === code);
+  if (refusal) {
+    return next(new AppError(refusal.reason, 400));
   }
 
+  const couponData = applied.find((c) => c.code === code);
+
   // Apply coupon using cart model method
-  await cart.applyCoupon(couponCode, couponData);
+  await cart.applyCoupon(code, couponData);
 
   // Populate product details for response
-  await cart.populate('items.product', 'name price images status stock');
+  await cart.populate('items.product', 'name price images status inventory');
 
   res.status(200).json({
     status: 'success',
-    message: `Coupon "${couponCode}" applied successfully`,
+    message: `Coupon "${code}" applied successfully`,
     data: {
       cart,
       savings: couponData.discount
@@ -367,13 +324,9 @@ const applyCoupon = catchAsync(async (req, res, next) => {
  */
 const removeCoupon = catchAsync(async (req, res, next) => {
   const { couponCode } = req.params;
-  const userId = req.user._id;
 
-  // Get user's cart
-  const cart = await Cart.findOne({ 
-    user: userId, 
-    isActive: true 
-  });
+  // Get the user's or guest's cart
+  const cart = await findCart(req, res);
 
   if (!cart) {
     return next(new AppError('Cart not found', 404));
@@ -381,13 +334,13 @@ const removeCoupon = catchAsync(async (req, res, next) => {
 
   // Remove coupon
   cart.appliedCoupons = cart.appliedCoupons.filter(
-    coupon => coupon.code !== couponCode
+    coupon => coupon.code !== couponCode.toUpperCase()
   );
 
   await cart.save();
 
   // Populate product details for response
-  await cart.populate('items.product', 'name price images status stock');
+  await cart.populate('items.product', 'name price images status inventory');
 
   res.status(200).json({
     status: 'success',
@@ -403,12 +356,8 @@ const removeCoupon = catchAsync(async (req, res, next) => {
  * GET /api/cart/summary
  */
 const getCartSummary = catchAsync(async (req, res, next) => {
-  const userId = req.user._id;
 
-  const cart = await Cart.findOne({ 
-    user: userId, 
-    isActive: true 
-  });
+  const cart = await findCart(req, res);
 
   if (!cart) {
     return res.status(200).json({
@@ -433,6 +382,8 @@ const getCartSummary = catchAsync(async (req, res, next) => {
         subtotal: cart.totals.subtotal,
         discount: cart.totals.discount,
         tax: cart.totals.tax,
+        taxIncluded: cart.totals.taxIncluded,
+        taxBreakdown: cart.totals.taxBreakdown,
         shipping: cart.totals.shipping,
         total: cart.totals.total,
         appliedCoupons: cart.appliedCoupons.map(c => c.code)
@@ -441,6 +392,72 @@ const getCartSummary = catchAsync(async (req, res, next) => {
   });
 });
 
+/**
+ * Choose how the cart is delivered: the method, the county or pickup station,
+ * and optionally a day and time window, which is held while the customer
+ * checks out. Leaving out the date gives back any slot held.
+ * PUT /api/cart/delivery
+ */
+const setDelivery = catchAsync(async (req, res, next) => {
+  const { method = 'standard', county, pickupStation, date, timeSlot } = req.body;
+
+  if (!METHODS.includes(method)) {
+    return next(new AppError(`Delivery method must be one of: ${METHODS.join(', ')}`, 400));
+  }
+
+  if (date !== undefined && date !== null && !deliverySlotService.isDayKey(date)) {
+    return next(new AppError('Date must be a day in the form YYYY-MM-DD', 400));
+  }
+
+  if (date && method !== 'pickup' && !deliverySlotService.windowFor(timeSlot)) {
+    return next(new AppError('Please choose a time slot for that day', 400));
+  }
+
+  const cart = await findCart(req, res);
+
+  if (!cart || cart.items.length === 0) {
+    return next(new AppError('Your cart is empty', 400));
+  }
+
+  let station = null;
+  if (method === 'pickup') {
+    station = mongoose.Types.ObjectId.isValid(pickupStation)
+      && await PickupStation.findOne({ _id: pickupStation, isActive: true });
+
+    if (!station) {
+      return next(new AppError('Please choose a pickup station', 400));
+    }
+  }
+
+  cart.preferredDelivery.method = method;
+  cart.preferredDelivery.pickupStation = station ? station._id : undefined;
+  if (county !== undefined) cart.preferredDelivery.county = county;
+
+  if (date) {
+    await deliverySlotService.hold(cart, { date, timeSlot, station });
+  } else {
+    await deliverySlotService.releaseHold(cart);
+  }
+
+  await cart.save(); // saving re-quotes shipping
+
+  res.status(200).json({
+    status: 'success',
+    message: date ? 'Delivery slot reserved' : 'Delivery updated',
+    data: {
+      cart,
+      delivery: {
+        method,
+        pickupStation: station,
+        date: date || null,
+        timeSlot: cart.preferredDelivery.timeSlot || null,
+        heldUntil: cart.preferredDelivery.heldUntil || null
+      },
+      shippingQuote: cart.$locals.shippingQuote
+    }
+  });
+});
+
 module.exports = {
   getCart,
   addToCart,
@@ -449,5 +466,6 @@ module.exports = {
   clearCart,
   applyCoupon,
   removeCoupon,
-  getCartSummary
+  getCartSummary,
+  setDelivery
 };
\ No newline at end of file
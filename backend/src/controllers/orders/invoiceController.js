@@ -0,0 +1,59 @@
+// backend/src/controllers/orders/invoiceController.js
+
+const Order = require('../../models/Order');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const invoiceService = require('../../services/orders/invoiceService');
+const { buyerFilter } = require('../../services/orders/guestOrderService');
+
+// The order with the requested id, if the user (or guest) may see its
+// invoice; customers only get invoices for their own orders
+const findInvoiceableOrder = (req) => Order.findOne({ _id: req.params.id, ...buyerFilter(req) });
+
+/**
+ * Get an order's receipt: the details on its tax invoice
+ * GET /api/orders/:id/receipt
+ */
+const getOrderReceipt = catchAsync(async (req, res, next) => {
+  const order = await findInvoiceableOrder(req);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  await invoiceService.ensureInvoice(order);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      receipt: await invoiceService.invoiceData(order)
+    }
+  });
+});
+
+/**
+ * Download an order's tax invoice as a PDF
+ * GET /api/orders/:id/invoice.pdf
+ */
+const downloadInvoice = catchAsync(async (req, res, next) => {
+  const order = await findInvoiceableOrder(req);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  const { filename, content } = await invoiceService.invoicePdf(order);
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Content-Length': content.length,
+    'Cache-Control': 'private, no-store'
+  });
+  res.status(200).send(content);
+});
+
+module.exports = {
+  getOrderReceipt,
+  downloadInvoice
+};
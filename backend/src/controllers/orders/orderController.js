@@ -1,28 +1,44 @@
 // backend/src/controllers/orders/orderController.js
 
+const mongoose = require('mongoose');
 const Order = require('../../models/Order');
-const Cart = require('../../models/Cart');
 const Product = require('../../models/Product');
 const User = require('../../models/User');
 const catchAsync = require('../../utils/catchAsync');
 const AppError = require('../../utils/appError');
 const APIFeatures = require('../../utils/apiFeatures');
+const { authConfig } = require('../../config/auth');
+const { twoFactorError } = require('../../middleware/auth');
+const couponService = require('../../services/coupons/couponService');
+const inventoryService = require('../../services/inventory/inventoryService');
+const orderStatusService = require('../../services/orders/orderStatusService');
+const returnService = require('../../services/returns/returnService');
+const shippingService = require('../../services/shipping/shippingService');
+const deliverySlotService = require('../../services/shipping/deliverySlotService');
+const { nextNumber } = require('../../services/numbering/numberingService');
+const { findCart } = require('../../services/cart/cartSessionService');
+const guestOrderService = require('../../services/orders/guestOrderService');
+const { logger } = require('../../config/logger');
 
 /**
- * Create a new order from user's cart
+ * Create a new order from the user's cart, or a guest's with their contact
+ * details (contact: { firstName, lastName, email, phone })
  * POST /api/orders
  */
 const createOrder = catchAsync(async (req, res, next) => {
-  const { shippingAddress, billingAddress, paymentMethod, notes } = req.body;
-  const userId = req.user._id;
+  const { shippingAddress, billingAddress, paymentMethod, deliveryMethod, notes, contact } = req.body;
+  const userId = req.user?._id;
+
+  if (req.user && authConfig.emailVerification.requiredForCheckout && !req.user.isVerified) {
+    return next(new AppError('Please verify your email address before placing an order', 403));
+  }
 
-  console.log('🔍 Creating order for user:', userId);
+  // Guests check out with their contact details in place of an account
+  const guestContact = req.user ? null : guestOrderService.checkContact(contact);
 
-  // 1. Get user's active cart
-  const cart = await Cart.findOne({ 
-    user: userId, 
-    isActive: true 
-  }).populate('items.product');
+  // 1. Get the user's (or guest's) active cart
+  const cart = await findCart(req, res);
+  if (cart) await cart.populate('items.product');
 
   console.log('🛒 Cart found:', cart ? `${cart.items.length} items` : 'No cart');
 
@@ -50,8 +66,11 @@ const createOrder = catchAsync(async (req, res, next) => {
       continue;
     }
 
-    if (product.stock < cartItem.quantity) {
-      stockIssues.push(`Only ${product.stock} units of ${cartItem.name} available (requested: ${cartItem.quantity})`);
+    // A quick check so every short item is reported at once; the
+    // reservation below is what actually guarantees the stock
+    const available = product.availableQuantity(cartItem.variant);
+    if (available !== null && available < cartItem.quantity) {
+      stockIssues.push(`Only ${available} units of ${cartItem.name} available (requested: ${cartItem.quantity})`);
       hasStockIssues = true;
       continue;
     }
@@ -75,23 +94,64 @@ const createOrder = catchAsync(async (req, res, next) => {
 
   console.log('📦 Order items prepared:', orderItems.length);
 
-  // 3. Generate order number manually (since pre-save might not be working)
-  const orderCount = await Order.countDocuments();
-  const orderNumber = `ORD${Date.now()}${String(orderCount + 1).padStart(4, '0')}`;
+  if (deliveryMethod && !shippingService.METHODS.includes(deliveryMethod)) {
+    return next(new AppError(`Delivery method must be one of: ${shippingService.METHODS.join(', ')}`, 400));
+  }
+
+  // Ship by the chosen method to the delivery county (pickup is priced by
+  // the station's county, see shippingService.quoteCart)
+  cart.preferredDelivery.method = deliveryMethod || cart.preferredDelivery.method;
+  cart.preferredDelivery.county = shippingAddress?.county;
+
+  // Re-price promotions, coupons and shipping against the cart as it is now.
+  // Coupons that stopped qualifying are dropped so the customer can review the new total.
+  await cart.save(); // saving recalculates the totals
+  const rejected = cart.$locals.rejectedCoupons || [];
+
+  if (rejected.length > 0) {
+    const reasons = rejected.map((r) => `${r.code}: ${r.reason}`).join(', ');
+    return next(new AppError(`Some coupons no longer apply (${reasons}). Please review your cart total.`, 400));
+  }
+
+  const { shippingQuote } = cart.$locals;
+  if (shippingQuote.method !== cart.preferredDelivery.method) {
+    const { unavailableReason } = shippingQuote.options.find((option) => option.method === cart.preferredDelivery.method);
+    return next(new AppError(unavailableReason, 400));
+  }
+
+  // Each line keeps the VAT the cart worked out for it, so the order adds up
+  // to exactly the cart's total. Order lines were built from the cart's in
+  // order (any stock issue stopped above), so matching by position keeps two
+  // options of the same variant (Size: M and Size: L) apart
+  orderItems.forEach((orderItem, index) => {
+    orderItem.tax = cart.items[index].tax;
+  });
+
+  // 3. Take the next order number from the order sequence
+  const orderNumber = await nextNumber('order');
   
   console.log('🔢 Generated order number:', orderNumber);
 
+  const guest = guestContact && await guestOrderService.findOrCreateGuest(guestContact);
+
   // 4. Create order data
   const orderData = {
-    orderNumber, // ✅ Manually set order number
+    _id: new mongoose.Types.ObjectId(),
+    orderNumber,
     customer: userId,
+    guest: guest?._id,
+    contact: guestContact || undefined,
     items: orderItems,
     summary: {
       subtotal: cart.totals.subtotal,
       shipping: cart.totals.shipping,
       tax: cart.totals.tax,
+      taxIncluded: cart.totals.taxIncluded,
+      shippingTax: cart.totals.shippingTax,
+      taxBreakdown: cart.totals.taxBreakdown,
       discount: cart.totals.discount,
-      total: cart.totals.total
+      total: cart.totals.total,
+      promotions: cart.totals.promotions
     },
     shippingAddress: {
       name: shippingAddress.name,
@@ -101,6 +161,10 @@ const createOrder = catchAsync(async (req, res, next) => {
       county: shippingAddress.county,
       coordinates: shippingAddress.coordinates
     },
+    delivery: {
+      method: shippingQuote.method,
+      zone: shippingQuote.zone.code
+    },
     payment: {
       method: paymentMethod,
       amount: cart.totals.total,
@@ -125,33 +189,70 @@ const createOrder = catchAsync(async (req, res, next) => {
 
   // Add discount if applied
   if (cart.appliedCoupons.length > 0) {
-    const coupon = cart.appliedCoupons[0]; // Use first coupon
-    orderData.discount = {
+    orderData.coupons = cart.appliedCoupons.map((coupon) => ({
+      coupon: coupon.coupon,
       code: coupon.code,
       type: coupon.type,
       value: coupon.value,
       amount: coupon.discount
-    };
+    }));
+    const { coupon, ...discount } = orderData.coupons[0]; // First coupon
+    orderData.discount = discount;
   }
 
   console.log('💾 Creating order with data:', JSON.stringify(orderData, null, 2));
 
-  // 5. Create order
-  const order = await Order.create(orderData);
+  // 5. Reserve the stock (fails if someone else got the last units), book the
+  // delivery slot (fails if it filled up), redeem coupons (fails if a usage
+  // limit was reached meanwhile), then create the order
+  const allocations = await inventoryService.reserveStock(cart.items.map((cartItem) => ({
+    product: cartItem.product._id,
+    name: cartItem.name,
+    quantity: cartItem.quantity,
+    variant: cartItem.variant
+  })), { order: orderData._id, user: userId });
+  orderItems.forEach((item, i) => { item.allocation = allocations[i]; });
+  orderData.inventory = {
+    status: 'reserved',
+    reservedUntil: inventoryService.reservationExpiry(),
+    updatedAt: new Date()
+  };
+
+  let booking;
+  let redeemed;
+  let order;
+  try {
+    booking = await deliverySlotService.bookForOrder(cart);
+    Object.assign(orderData.delivery, booking);
+
+    redeemed = await couponService.redeemCoupons(cart.appliedCoupons, {
+      user: userId,
+      contacts: couponService.contactsOf(guestContact || req.user),
+      order: orderData._id
+    });
+
+    try {
+      order = await Order.create(orderData);
+    } catch (error) {
+      await couponService.releaseCoupons(redeemed, orderData._id);
+      throw error;
+    }
+  } catch (error) {
+    if (booking?.slot) await deliverySlotService.giveBack(booking.slot);
+    await inventoryService.releaseLines(orderItems, { order: orderData._id, user: userId, reason: 'Checkout failed' });
+    throw error;
+  }
 
   console.log('✅ Order created:', order.orderNumber);
 
-  // 6. Update product stock
-  for (const item of orderItems) {
-    await Product.findByIdAndUpdate(
-      item.product,
-      { $inc: { stock: -item.quantity, sold: item.quantity } }
-    );
+  // 6. M-Pesa orders hold the stock until the payment settles; the rest take it now
+  if (paymentMethod !== 'mpesa') {
+    await inventoryService.commitOrderStock(order, userId);
   }
 
   console.log('📦 Product stock updated');
 
-  // 7. Clear user's cart
+  // 7. Clear the cart
   await cart.clear();
 
   console.log('🛒 Cart cleared');
@@ -160,6 +261,8 @@ const createOrder = catchAsync(async (req, res, next) => {
   order.statusHistory.push({
     status: 'pending',
     note: 'Order created',
+    updatedBy: userId,
+    actor: 'customer',
     timestamp: new Date()
   });
   await order.save();
@@ -167,27 +270,41 @@ const createOrder = catchAsync(async (req, res, next) => {
   // 9. Populate order for response
   await order.populate([
     { path: 'customer', select: 'firstName lastName email' },
+    { path: 'guest', select: 'firstName lastName email phone' },
     { path: 'items.product', select: 'name images category' }
   ]);
 
+  // 10. Guests get a link to their orders by email, and a token for just
+  // this order now so they can pay and follow it straight away
+  let guestToken;
+  if (guest) {
+    guestToken = guestOrderService.signAccessToken({ orders: order._id });
+    guestOrderService.emailAccessLink(guestContact, { orderNumber: order.orderNumber }).catch((error) => {
+      logger.error('Guest order link email failed', { orderId: order._id, error: error.message });
+    });
+  }
+
   console.log('🎉 Order creation completed successfully');
 
   res.status(201).json({
     status: 'success',
     message: 'Order created successfully',
     data: {
-      order
+      order,
+      ...(guestToken && { guestToken })
     }
   });
 });
 
 /**
- * Get current user's orders
+ * Get current user's orders, or a guest's from their order link
  * GET /api/orders/my-orders
  */
 const getMyOrders = catchAsync(async (req, res, next) => {
+  const filter = guestOrderService.ownerFilter(req);
+
   const features = new APIFeatures(
-    Order.find({ customer: req.user._id }),
+    Order.find(filter),
     req.query
   )
     .filter()
@@ -199,36 +316,48 @@ const getMyOrders = catchAsync(async (req, res, next) => {
     { path: 'items.product', select: 'name images category' }
   ]);
 
-  const total = await Order.countDocuments({ customer: req.user._id });
+  const total = await Order.countDocuments(filter);
+
+  // Each order's returns and whether more of it can still be returned
+  const returns = await returnService.summarise(orders);
 
   res.status(200).json({
     status: 'success',
     results: orders.length,
     total,
     data: {
-      orders
+      orders: orders.map((order) => ({ ...order.toJSON(), ...returns.get(String(order._id)) }))
     }
   });
 });
 
+/**
+ * Send a guest a fresh link to their orders, by email or SMS to the contact
+ * they checked out with. Answers the same whether or not anyone matches.
+ * POST /api/orders/guest/link
+ */
+const requestGuestOrderLink = catchAsync(async (req, res, next) => {
+  const { email, phone } = req.body;
+
+  await guestOrderService.requestAccessLink({ email, phone });
+
+  res.status(200).json({
+    status: 'success',
+    message: `If you have checked out with that ${email ? 'email' : 'phone number'}, we've sent you a link to your orders.`
+  });
+});
+
 /**
  * Get a specific order
  * GET /api/orders/:id
  */
 const getOrder = catchAsync(async (req, res, next) => {
   const { id } = req.params;
-  const userId = req.user._id;
-  const userRole = req.user.role;
-
-  let query = { _id: id };
-  
-  // Non-admin users can only see their own orders
-  if (!['admin', 'super_admin'].includes(userRole)) {
-    query.customer = userId;
-  }
 
-  const order = await Order.findOne(query).populate([
+  // Non-admins can only see their own orders (guests those of their link)
+  const order = await Order.findOne({ _id: id, ...guestOrderService.buyerFilter(req) }).populate([
     { path: 'customer', select: 'firstName lastName email phone' },
+    { path: 'guest', select: 'firstName lastName email phone' },
     { path: 'items.product', select: 'name images category description' },
     { path: 'statusHistory.updatedBy', select: 'firstName lastName' }
   ]);
@@ -240,7 +369,10 @@ const getOrder = catchAsync(async (req, res, next) => {
   res.status(200).json({
     status: 'success',
     data: {
-      order
+      order,
+      // The statuses this user may move the order to next (guests sign up to
+      // cancel or return)
+      transitions: req.user ? Order.transitionsFrom(order.status, orderStatusService.actorFor(req.user)) : []
     }
   });
 });
@@ -252,11 +384,8 @@ const getOrder = catchAsync(async (req, res, next) => {
 const updateOrderStatus = catchAsync(async (req, res, next) => {
   const { id } = req.params;
   const { status, note, trackingInfo } = req.body;
-  const adminId = req.user._id;
 
-  const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'];
-  
-  if (!validStatuses.includes(status)) {
+  if (!orderStatusService.STATUSES.includes(status)) {
     return next(new AppError('Invalid order status', 400));
   }
 
@@ -266,60 +395,14 @@ const updateOrderStatus = catchAsync(async (req, res, next) => {
     return next(new AppError('Order not found', 404));
   }
 
-  // Prevent certain status changes
-  if (order.status === 'delivered' && !['refunded'].includes(status)) {
-    return next(new AppError('Cannot change status of delivered order', 400));
-  }
-
-  if (order.status === 'cancelled' && status !== 'pending') {
-    return next(new AppError('Cannot change status of cancelled order', 400));
-  }
-
-  // Update order status
-  const oldStatus = order.status;
-  order.status = status;
-
-  // Add to status history
-  order.statusHistory.push({
-    status,
-    note: note || `Status changed from ${oldStatus} to ${status}`,
-    updatedBy: adminId,
-    timestamp: new Date()
+  // Checks the transition, runs its side effects and records it in statusHistory
+  await orderStatusService.transition(order, status, {
+    actor: 'admin',
+    user: req.user,
+    note,
+    trackingInfo
   });
 
-  // Handle specific status updates
-  if (status === 'shipped' && trackingInfo) {
-    order.tracking = {
-      number: trackingInfo.number,
-      carrier: trackingInfo.carrier,
-      url: trackingInfo.url,
-      estimatedDelivery: trackingInfo.estimatedDelivery
-    };
-  }
-
-  if (status === 'confirmed') {
-    order.payment.status = 'paid';
-    order.payment.paidAt = new Date();
-  }
-
-  if (status === 'cancelled') {
-    order.cancellation = {
-      reason: note || 'Cancelled by admin',
-      cancelledBy: adminId,
-      cancelledAt: new Date()
-    };
-
-    // Restore product stock
-    for (const item of order.items) {
-      await Product.findByIdAndUpdate(
-        item.product,
-        { $inc: { stock: item.quantity, sold: -item.quantity } }
-      );
-    }
-  }
-
-  await order.save();
-
   await order.populate([
     { path: 'customer', select: 'firstName lastName email' },
     { path: 'items.product', select: 'name images' }
@@ -327,7 +410,9 @@ const updateOrderStatus = catchAsync(async (req, res, next) => {
 
   res.status(200).json({
     status: 'success',
-    message: `Order status updated to ${status}`,
+    message: order.status === status
+      ? `Order status updated to ${status}`
+      : 'Refund sent. The order will be marked refunded once the money is back with the customer',
     data: {
       order
     }
@@ -349,6 +434,10 @@ const cancelOrder = catchAsync(async (req, res, next) => {
   // Non-admin users can only cancel their own orders
   if (!['admin', 'super_admin'].includes(userRole)) {
     query.customer = userId;
+  } else {
+    // Admins reach everyone's orders only from a session that passed 2FA
+    const error = twoFactorError(req);
+    if (error) return next(error);
   }
 
   const order = await Order.findOne(query);
@@ -357,37 +446,13 @@ const cancelOrder = catchAsync(async (req, res, next) => {
     return next(new AppError('Order not found', 404));
   }
 
-  // Check if order can be cancelled
-  if (!['pending', 'confirmed', 'processing'].includes(order.status)) {
-    return next(new AppError('This order cannot be cancelled', 400));
-  }
-
-  // Update order
-  order.status = 'cancelled';
-  order.cancellation = {
-    reason: reason || 'Cancelled by customer',
-    cancelledBy: userId,
-    cancelledAt: new Date()
-  };
-
-  // Add to status history
-  order.statusHistory.push({
-    status: 'cancelled',
-    note: reason || 'Order cancelled',
-    updatedBy: userId,
-    timestamp: new Date()
+  // Puts back the stock, whether it was sold or only reserved
+  await orderStatusService.transition(order, 'cancelled', {
+    actor: orderStatusService.actorFor(req.user),
+    user: req.user,
+    note: reason
   });
 
-  // Restore product stock
-  for (const item of order.items) {
-    await Product.findByIdAndUpdate(
-      item.product,
-      { $inc: { stock: item.quantity, sold: -item.quantity } }
-    );
-  }
-
-  await order.save();
-
   res.status(200).json({
     status: 'success',
     message: 'Order cancelled successfully',
@@ -525,6 +590,7 @@ const getAllOrders = catchAsync(async (req, res, next) => {
 
   const orders = await features.query.populate([
     { path: 'customer', select: 'firstName lastName email' },
+    { path: 'guest', select: 'firstName lastName email' },
     { path: 'items.product', select: 'name images category' }
   ]);
 
@@ -547,5 +613,6 @@ module.exports = {
   updateOrderStatus,
   cancelOrder,
   getOrderStats,
-  getAllOrders
+  getAllOrders,
+  requestGuestOrderLink
 };
\ No newline at end of file
@@ -0,0 +1,117 @@
+// backend/src/controllers/orders/returnController.js
+
+const multer = require('multer');
+const Order = require('../../models/Order');
+const Return = require('../../models/Return');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const { uploadReturn, deleteImages } = require('../../config/cloudinary');
+const { twoFactorError } = require('../../middleware/auth');
+const returnService = require('../../services/returns/returnService');
+const { logger } = require('../../config/logger');
+
+// Multipart requests send the items as a JSON string next to the photos
+const parseItems = (items) => {
+  if (typeof items !== 'string') return items;
+
+  try {
+    return JSON.parse(items);
+  } catch (error) {
+    throw new AppError('items must be a JSON array', 400);
+  }
+};
+
+/**
+ * Request a return for items of a delivered order, with up to 5 photos
+ * POST /api/orders/:id/return
+ */
+const requestReturn = (req, res, next) => {
+  uploadReturn.array('photos', 5)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return next(new AppError('File too large. Maximum size is 5MB', 400));
+      }
+      return next(new AppError(`Upload error: ${err.message}`, 400));
+    }
+    if (err) {
+      return next(new AppError(err.message, 400));
+    }
+
+    return saveReturn(req, res, next);
+  });
+};
+
+const saveReturn = catchAsync(async (req, res, next) => {
+  const photos = (req.files || []).map((file) => ({ public_id: file.filename, url: file.path }));
+
+  let ret;
+  try {
+    const order = await Order.findOne({ _id: req.params.id, customer: req.user._id });
+
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    ret = await returnService.requestReturn(order, req.user, {
+      items: parseItems(req.body.items),
+      reason: req.body.reason,
+      description: req.body.description,
+      photos
+    });
+  } catch (error) {
+    // The photos are only evidence for this request, so don't keep them around
+    if (photos.length > 0) {
+      deleteImages(photos.map((photo) => photo.public_id)).catch(() => {});
+    }
+    throw error;
+  }
+
+  logger.info('Return requested', { returnId: ret._id, orderId: ret.order, userId: req.user._id });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Return requested successfully',
+    data: {
+      return: ret
+    }
+  });
+});
+
+/**
+ * Get the returns on one of the user's orders
+ * GET /api/orders/:id/returns
+ */
+const getOrderReturns = catchAsync(async (req, res, next) => {
+  const query = { _id: req.params.id };
+
+  // Non-admin users can only see returns on their own orders, and admins
+  // need the same 2FA as on admin routes to see anyone's
+  if (!['admin', 'super_admin'].includes(req.user.role)) {
+    query.customer = req.user._id;
+  } else {
+    const error = twoFactorError(req);
+    if (error) return next(error);
+  }
+
+  const order = await Order.findOne(query);
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  const returns = await Return.find({ order: order._id }).sort({ createdAt: -1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: returns.length,
+    data: {
+      returns,
+      returnDeadline: returnService.returnDeadline(order)
+    }
+  });
+});
+
+module.exports = {
+  requestReturn,
+  getOrderReturns
+};
@@ -0,0 +1,54 @@
+// backend/src/controllers/orders/trackingController.js
+
+const Order = require('../../models/Order');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const trackingService = require('../../services/orders/trackingService');
+const { buyerFilter } = require('../../services/orders/guestOrderService');
+
+/**
+ * Get the tracking timeline of one of the user's (or guest's) orders
+ * GET /api/orders/:id/tracking
+ */
+const getOrderTracking = catchAsync(async (req, res, next) => {
+  // Non-admins can only track their own orders
+  const order = await Order.findOne({ _id: req.params.id, ...buyerFilter(req) });
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: trackingService.trackingFor(order)
+  });
+});
+
+/**
+ * Track an order without signing in, by its order number and the phone
+ * number it was placed with
+ * POST /api/orders/track
+ */
+const trackOrder = catchAsync(async (req, res, next) => {
+  const { orderNumber, phone } = req.body;
+
+  if (!orderNumber || !phone) {
+    return next(new AppError('Order number and phone number are required', 400));
+  }
+
+  const order = await trackingService.findForGuest(orderNumber, phone);
+
+  if (!order) {
+    return next(new AppError('No order matches that order number and phone number', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: trackingService.trackingFor(order)
+  });
+});
+
+module.exports = {
+  getOrderTracking,
+  trackOrder
+};
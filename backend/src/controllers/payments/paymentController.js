@@ -0,0 +1,264 @@
+// backend/src/controllers/payments/paymentController.js
+
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const MpesaService = require('../../services/payment/mpesaService');
+const { processWebhook, WEBHOOK_EVENTS } = require('../../services/payment/mpesaCallbackService');
+const refundService = require('../../services/payment/refundService');
+const inventoryService = require('../../services/inventory/inventoryService');
+const couponService = require('../../services/coupons/couponService');
+const { ownerFilter, paymentFilter } = require('../../services/orders/guestOrderService');
+const { mpesaConfig, validateMpesaPhone, formatMpesaPhone } = require('../../config/mpesa');
+const { businessLogger, paymentLogger } = require('../../config/logger');
+
+const mpesa = new MpesaService();
+
+// Acknowledgement body Daraja expects from callback URLs
+const DARAJA_ACK = { ResultCode: 0, ResultDesc: 'Accepted' };
+
+// Map a webhook outcome to the HTTP error Daraja should see, if any
+const webhookError = ({ outcome, reason }) => {
+  switch (outcome) {
+    case 'invalid':
+      return new AppError('Invalid M-Pesa callback payload', 400);
+    case 'unknown':
+      return new AppError(reason, 404);
+    case 'rejected':
+      return new AppError(reason, 422);
+    default:
+      return null;
+  }
+};
+
+/**
+ * Initiate an M-Pesa STK push for one of the user's (or guest's) orders
+ * POST /api/v1/payments/mpesa/initiate
+ */
+const initiateMpesaPayment = catchAsync(async (req, res, next) => {
+  const { orderId, phoneNumber } = req.body;
+
+  if (!orderId || !phoneNumber) {
+    return next(new AppError('Order ID and phone number are required', 400));
+  }
+
+  if (!validateMpesaPhone(phoneNumber)) {
+    return next(new AppError('Please provide a valid M-Pesa phone number (254XXXXXXXXX)', 400));
+  }
+
+  const order = await Order.findOne({ _id: orderId, ...ownerFilter(req) });
+
+  if (!order) {
+    return next(new AppError('Order not found', 404));
+  }
+
+  if (order.payment.method !== 'mpesa') {
+    return next(new AppError('This order is not set up for M-Pesa payment', 400));
+  }
+
+  if (order.payment.status === 'paid') {
+    return next(new AppError('Order is already paid', 400));
+  }
+
+  if (['cancelled', 'refunded'].includes(order.status)) {
+    return next(new AppError(`Cannot pay for a ${order.status} order`, 400));
+  }
+
+  // One STK push at a time per order, so the customer can't be charged twice
+  const paymentId = new mongoose.Types.ObjectId();
+  if (!(await Order.claimPaymentAttempt(order._id, paymentId, mpesaConfig.attemptWindow))) {
+    return next(new AppError('A payment for this order is already in progress. Please complete it on your phone or try again in a few minutes.', 409));
+  }
+
+  // Hold the stock and coupons for this attempt; they were given back if an earlier one failed
+  try {
+    await inventoryService.reserveOrderStock(order, req.user?._id);
+  } catch (error) {
+    await Order.releasePaymentAttempt(order._id, paymentId);
+    return next(error);
+  }
+
+  try {
+    await couponService.redeemOrderCoupons(order);
+  } catch (error) {
+    await inventoryService.releaseOrderStock(order, 'coupon_unavailable', req.user?._id);
+    await Order.releasePaymentAttempt(order._id, paymentId);
+    return next(error);
+  }
+
+  const payment = await Payment.create({
+    _id: paymentId,
+    order: order._id,
+    customer: order.customer,
+    guest: order.guest,
+    amount: Math.ceil(order.summary.total),
+    currency: 'KES',
+    method: 'mpesa',
+    paymentGateway: 'mpesa',
+    status: 'pending',
+    reference: order.orderNumber,
+    mpesa: {
+      phoneNumber: formatMpesaPhone(phoneNumber),
+      accountNumber: order.orderNumber,
+      transactionType: 'CustomerPayBillOnline'
+    },
+    metadata: {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }
+  });
+
+  let stkResponse;
+  try {
+    stkResponse = await mpesa.stkPush({
+      phoneNumber,
+      amount: payment.amount,
+      accountReference: order.orderNumber,
+      transactionDesc: `Order ${order.orderNumber}`
+    });
+  } catch (error) {
+    payment.status = 'failed';
+    payment.failure = { message: error.message, reason: 'stk_push_failed' };
+    await payment.save();
+    await Order.releasePaymentAttempt(order._id, paymentId);
+    return next(error);
+  }
+
+  payment.status = 'processing';
+  payment.mpesa.checkoutRequestID = stkResponse.checkoutRequestID;
+  payment.mpesa.merchantRequestID = stkResponse.merchantRequestID;
+  await payment.save();
+
+  order.payment.transactionId = payment._id.toString();
+  await order.save();
+
+  businessLogger.payment(payment._id, 'mpesa_initiated', {
+    orderId: order._id,
+    checkoutRequestID: stkResponse.checkoutRequestID
+  });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Payment initiated. Please complete the payment on your phone.',
+    data: {
+      paymentId: payment._id,
+      customerMessage: stkResponse.customerMessage
+    }
+  });
+});
+
+/**
+ * Daraja STK push result callback
+ * POST /api/v1/payments/mpesa/callback/:token
+ */
+const mpesaCallback = catchAsync(async (req, res, next) => {
+  const result = await processWebhook(WEBHOOK_EVENTS.STK_CALLBACK, req.body);
+  const error = webhookError(result);
+
+  if (error) {
+    return next(error);
+  }
+
+  res.status(200).json(DARAJA_ACK);
+});
+
+/**
+ * Daraja queue timeout callback
+ * POST /api/v1/payments/mpesa/timeout/:token
+ */
+const mpesaTimeout = catchAsync(async (req, res, next) => {
+  const result = await processWebhook(WEBHOOK_EVENTS.STK_TIMEOUT, req.body);
+  const error = webhookError(result);
+
+  if (error) {
+    return next(error);
+  }
+
+  res.status(200).json(DARAJA_ACK);
+});
+
+/**
+ * Daraja reversal or B2C result for a refund
+ * POST /api/v1/payments/mpesa/refund/result/:token
+ */
+const mpesaRefundResult = catchAsync(async (req, res, next) => {
+  const result = await refundService.handleMpesaResult(req.body);
+  const error = webhookError(result);
+
+  if (error) {
+    return next(error);
+  }
+
+  res.status(200).json(DARAJA_ACK);
+});
+
+/**
+ * Daraja queue timeout for a refund
+ * POST /api/v1/payments/mpesa/refund/timeout/:token
+ */
+const mpesaRefundTimeout = catchAsync(async (req, res, next) => {
+  const result = await refundService.handleMpesaResult(req.body, { timedOut: true });
+  const error = webhookError(result);
+
+  if (error) {
+    return next(error);
+  }
+
+  res.status(200).json(DARAJA_ACK);
+});
+
+/**
+ * Check payment status, querying Daraja while it is still in flight
+ * GET /api/v1/payments/status/:paymentId
+ */
+const checkPaymentStatus = catchAsync(async (req, res, next) => {
+  // Non-admins can only see their own payments
+  let payment = await Payment.findOne({ _id: req.params.paymentId, ...(await paymentFilter(req)) });
+
+  if (!payment) {
+    return next(new AppError('Payment not found', 404));
+  }
+
+  if (payment.status === 'processing' && payment.mpesa.checkoutRequestID) {
+    try {
+      const data = await mpesa.stkQuery(payment.mpesa.checkoutRequestID);
+
+      // A missing result code means Daraja is still waiting on the customer
+      if (data.ResultCode !== undefined) {
+        ({ payment } = await processWebhook(WEBHOOK_EVENTS.STK_QUERY, data, { source: 'query' }));
+      }
+    } catch (error) {
+      // Daraja answers queries for in-flight requests with an error, so keep the stored status
+      paymentLogger.warn(`STK query for payment ${payment._id} did not resolve: ${error.message}`);
+    }
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      payment: {
+        id: payment._id,
+        paymentNumber: payment.paymentNumber,
+        order: payment.order,
+        status: payment.status,
+        amount: payment.amount,
+        method: payment.method,
+        receiptNumber: payment.mpesa.receiptNumber,
+        failure: payment.failure,
+        paidAt: payment.paidAt,
+        createdAt: payment.createdAt
+      }
+    }
+  });
+});
+
+module.exports = {
+  initiateMpesaPayment,
+  mpesaCallback,
+  mpesaTimeout,
+  mpesaRefundResult,
+  mpesaRefundTimeout,
+  checkPaymentStatus
+};
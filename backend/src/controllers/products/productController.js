@@ -4,6 +4,9 @@ const Category = require('../../models/Category');
 const catchAsync = require('../../utils/catchAsync');
 const AppError = require('../../utils/appError');
 const APIFeatures = require('../../utils/apiFeatures');
+const wishlistAlerts = require('../../services/wishlist/wishlistAlertService');
+const inventoryMovements = require('../../services/inventory/movementService');
+const { productTaxClasses, withTax } = require('../../services/tax/taxService');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -65,7 +68,8 @@ const getAllProducts = catchAsync(async (req, res, next) => {
     .paginate();
 
   // ✅ Always populate category information
-  const products = await features.query.populate('category', 'name slug description');
+  const products = await features.query.populate('category', 'name slug description taxClass');
+  const taxClasses = await productTaxClasses(products.map((product) => product._id));
 
   console.log(`📊 Found ${products.length} products for admin`); // ✅ Debug log
 
@@ -73,7 +77,8 @@ const getAllProducts = catchAsync(async (req, res, next) => {
     status: 'success',
     results: products.length,
     data: {
-      products,
+      // Each with the VAT class it's taxed in, so prices can be shown with or without VAT
+      products: products.map((product) => withTax(product, taxClasses)),
     },
   });
 });
@@ -85,16 +90,18 @@ const getProduct = catchAsync(async (req, res, next) => {
   
   // ✅ For admin, show products regardless of status
   const product = await Product.findOne(query)
-    .populate('category', 'name slug description');
+    .populate('category', 'name slug description taxClass');
 
   if (!product) {
     return next(new AppError('Product not found', 404));
   }
 
+  const taxClasses = await productTaxClasses([product._id]);
+
   res.status(200).json({
     status: 'success',
     data: {
-      product,
+      product: withTax(product, taxClasses),
     },
   });
 });
@@ -265,7 +272,7 @@ const createProduct = catchAsync(async (req, res, next) => {
     const product = await Product.create(finalProductData);
     
     // ✅ Populate the created product
-    await product.populate('category', 'name slug description');
+    await product.populate('category', 'name slug description taxClass');
 
     console.log('✅ Product created successfully:', product._id, product.name);
 
@@ -307,6 +314,9 @@ const updateProduct = catchAsync(async (req, res, next) => {
     }
   }
   
+  // Keep the current state so wishlist alerts can see what changed
+  const existingProduct = await Product.findById(id);
+
   // ✅ Handle image files if any
   if (req.files && req.files.length > 0) {
     const newImages = req.files.map((file, index) => ({
@@ -316,8 +326,7 @@ const updateProduct = catchAsync(async (req, res, next) => {
       isMain: false // Don't set new images as main by default during update
     }));
     
-    // Get existing product to append new images
-    const existingProduct = await Product.findById(id);
+    // Append new images to the existing ones
     updateData.images = [...(existingProduct?.images || []), ...newImages];
     
     console.log('📸 Added new images to product:', newImages.length);
@@ -326,7 +335,7 @@ const updateProduct = catchAsync(async (req, res, next) => {
   const product = await Product.findByIdAndUpdate(id, updateData, {
     new: true,
     runValidators: true,
-  }).populate('category', 'name slug description');
+  }).populate('category', 'name slug description taxClass');
 
   if (!product) {
     return next(new AppError('Product not found', 404));
@@ -334,6 +343,22 @@ const updateProduct = catchAsync(async (req, res, next) => {
 
   console.log(`✅ Product updated successfully: ${product.name}`);
 
+  // Stock edited on the product form goes in the ledger as an adjustment
+  const stockChange = product.inventory.quantity - (existingProduct?.inventory.quantity ?? product.inventory.quantity);
+  if (stockChange !== 0 && product.inventory.trackQuantity) {
+    await inventoryMovements.record(product, {
+      type: 'adjustment',
+      quantity: stockChange,
+      user: req.user?._id,
+      reason: 'Stock edited on the product'
+    });
+  }
+
+  // Price drops and restocks are announced in the background
+  wishlistAlerts.productChanged(existingProduct, product).catch((error) => {
+    console.error('❌ Wishlist alerts failed:', error.message);
+  });
+
   res.status(200).json({
     status: 'success',
     data: {
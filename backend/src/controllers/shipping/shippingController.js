@@ -0,0 +1,119 @@
+// backend/src/controllers/shipping/shippingController.js
+
+const mongoose = require('mongoose');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const PickupStation = require('../../models/PickupStation');
+const shippingService = require('../../services/shipping/shippingService');
+const deliverySlotService = require('../../services/shipping/deliverySlotService');
+
+const MAX_QUOTE_LINES = 100;
+
+/**
+ * Quote delivery of a list of items to a county, for every delivery method.
+ * Works without signing in so the cart page can show it to guests too.
+ * POST /api/shipping/quote
+ */
+const getShippingQuote = catchAsync(async (req, res, next) => {
+  const { items, county, method = 'standard' } = req.body;
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return next(new AppError('Items are required', 400));
+  }
+
+  if (items.length > MAX_QUOTE_LINES) {
+    return next(new AppError(`A quote can cover at most ${MAX_QUOTE_LINES} items`, 400));
+  }
+
+  if (!shippingService.METHODS.includes(method)) {
+    return next(new AppError(`Delivery method must be one of: ${shippingService.METHODS.join(', ')}`, 400));
+  }
+
+  const invalid = items.some((item) => (
+    !mongoose.Types.ObjectId.isValid(item?.productId) || !Number.isInteger(item.quantity) || item.quantity < 1
+  ));
+  if (invalid) {
+    return next(new AppError('Each item needs a productId and a whole quantity of at least 1', 400));
+  }
+
+  // Prices come from the catalogue, never from the request
+  const quote = await shippingService.quote(
+    items.map((item) => ({ product: item.productId, quantity: item.quantity })),
+    { county, method }
+  );
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      quote
+    }
+  });
+});
+
+/**
+ * List the pickup stations open for collections, optionally in one county
+ * GET /api/shipping/pickup-stations
+ */
+const getPickupStations = catchAsync(async (req, res, next) => {
+  const filter = { isActive: true };
+
+  if (typeof req.query.county === 'string' && req.query.county.trim()) {
+    filter.county = req.query.county.trim().replace(/\s+county$/i, '');
+  }
+
+  // Counties match whatever their case
+  const stations = await PickupStation.find(filter)
+    .collation({ locale: 'en', strength: 2 })
+    .select('-createdAt -updatedAt -__v')
+    .sort('county name');
+
+  res.status(200).json({
+    status: 'success',
+    results: stations.length,
+    data: {
+      stations
+    }
+  });
+});
+
+/**
+ * The days and time windows that can be booked for a delivery method and
+ * county, or the collection days of a pickup station (?method=pickup&station=)
+ * GET /api/shipping/slots
+ */
+const getDeliverySlots = catchAsync(async (req, res, next) => {
+  const { method = 'standard', county, station: stationId } = req.query;
+
+  if (!shippingService.METHODS.includes(method)) {
+    return next(new AppError(`Delivery method must be one of: ${shippingService.METHODS.join(', ')}`, 400));
+  }
+
+  let station = null;
+  if (method === 'pickup') {
+    station = mongoose.Types.ObjectId.isValid(stationId)
+      && await PickupStation.findOne({ _id: stationId, isActive: true });
+
+    if (!station) {
+      return next(new AppError('Pickup station not found', 404));
+    }
+  }
+
+  const calendar = await deliverySlotService.calendar({
+    method,
+    county: typeof county === 'string' ? county : undefined,
+    station
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      calendar
+    }
+  });
+});
+
+module.exports = {
+  getShippingQuote,
+  getPickupStations,
+  getDeliverySlots
+};
@@ -0,0 +1,22 @@
+// backend/src/controllers/tax/taxController.js
+
+const catchAsync = require('../../utils/catchAsync');
+const taxService = require('../../services/tax/taxService');
+
+/**
+ * Get the VAT classes and whether prices are entered and shown with VAT in,
+ * so the shop can show prices the way they're charged
+ * GET /api/tax/settings
+ */
+const getTaxSettings = catchAsync(async (req, res, next) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      settings: taxService.settings()
+    }
+  });
+});
+
+module.exports = {
+  getTaxSettings
+};
@@ -0,0 +1,484 @@
+// backend/src/controllers/users/userController.js
+
+const multer = require('multer');
+const User = require('../../models/User');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+const { uploadAvatar: avatarUpload, deleteImage } = require('../../config/cloudinary');
+const EmailService = require('../../services/email/emailService');
+const { sendVerificationEmail } = require('../auth/authController');
+const { normalisePhone } = require('../../services/auth/phoneOtpService');
+const { authLogger } = require('../../config/logger');
+
+const MAX_ADDRESSES = 10;
+const MAX_PAYMENT_METHODS = 5;
+
+const ADDRESS_FIELDS = ['label', 'name', 'phone', 'address', 'city', 'county'];
+const REQUIRED_ADDRESS_FIELDS = ['name', 'phone', 'address', 'city', 'county'];
+const NOTIFICATION_FIELDS = ['orderUpdates', 'promotions', 'wishlistAlerts', 'newsletter', 'smsNotifications'];
+const PRIVACY_FIELDS = ['profileVisibility', 'showPurchaseHistory', 'allowReviews'];
+
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+// Keep exactly one default entry: the preferred one, else the current one, else the first
+const settleDefault = (list, preferred) => {
+  if (!list.length) return;
+  const chosen = preferred || list.find((item) => item.isDefault) || list[0];
+  list.forEach((item) => {
+    item.isDefault = item._id.equals(chosen._id);
+  });
+};
+
+const missingAddressFields = (address) => REQUIRED_ADDRESS_FIELDS.filter((field) => !address[field]);
+
+const notificationPreferences = (user) => ({
+  orderUpdates: user.preferences.orderUpdates,
+  promotions: user.preferences.promotions,
+  wishlistAlerts: user.preferences.wishlistAlerts,
+  newsletter: user.preferences.newsletter,
+  smsNotifications: user.preferences.smsNotifications
+});
+
+/**
+ * Get the current user's profile
+ * GET /api/users/me
+ */
+const getMe = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user
+    }
+  });
+});
+
+/**
+ * Update the current user's name, email or phone. Changing the email takes
+ * the current password, and the old address is told about it.
+ * PATCH /api/users/me
+ */
+const updateMe = catchAsync(async (req, res, next) => {
+  if (req.body.password || req.body.passwordConfirm || req.body.newPassword) {
+    return next(new AppError('This route is not for password updates. Please use /users/me/password.', 400));
+  }
+
+  const user = await User.findById(req.user.id).select('+password');
+  const updates = pick(req.body, ['firstName', 'lastName']);
+  const previousEmail = user.email;
+  let emailChanged = false;
+
+  if (Object.values(updates).some((name) => !String(name).trim())) {
+    return next(new AppError('First and last name cannot be empty', 400));
+  }
+
+  if (req.body.email !== undefined && req.body.email !== '') {
+    const email = String(req.body.email).toLowerCase().trim();
+
+    if (email !== user.email) {
+      // Whoever holds the email can reset the password, so moving it takes the password
+      if (!user.password) {
+        return next(new AppError('Please set a password before changing your email', 400));
+      }
+      if (!req.body.currentPassword || !(await user.comparePassword(req.body.currentPassword))) {
+        return next(new AppError('Your current password is incorrect.', 401));
+      }
+      if (await User.exists({ email, _id: { $ne: user._id } })) {
+        return next(new AppError('Email already in use', 400));
+      }
+      // A new address has to be verified again
+      Object.assign(updates, { email, isVerified: false });
+      emailChanged = true;
+    }
+  }
+
+  if (req.body.phone !== undefined && req.body.phone !== '') {
+    const phone = normalisePhone(req.body.phone);
+
+    if (phone !== user.phone) {
+      Object.assign(updates, { phone, phoneVerified: false, phoneVerifiedAt: undefined });
+    }
+  }
+
+  user.set(updates);
+  await user.save({ validateModifiedOnly: true });
+
+  if (emailChanged) {
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      authLogger.error('Failed to send verification email after email change', { userId: user._id, error: error.message });
+    }
+
+    // Let the old address know, in case the change wasn't theirs
+    if (previousEmail) {
+      new EmailService({ email: previousEmail, firstName: user.firstName }).sendEmailChanged({ newEmail: user.email }).catch((error) => {
+        authLogger.error('Failed to send email changed notice', { userId: user._id, error: error.message });
+      });
+    }
+  }
+
+  user.password = undefined;
+
+  res.status(200).json({
+    status: 'success',
+    message: emailChanged
+      ? 'Profile updated. Please verify your new email address.'
+      : 'Profile updated successfully',
+    data: {
+      user
+    }
+  });
+});
+
+/**
+ * Upload a new profile picture
+ * PATCH /api/users/upload-avatar
+ */
+const uploadAvatar = (req, res, next) => {
+  avatarUpload.single('avatar')(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      if (err.code === 'LIMIT_FILE_SIZE') {
+        return next(new AppError('File too large. Maximum size is 5MB', 400));
+      }
+      return next(new AppError(`Upload error: ${err.message}`, 400));
+    }
+    if (err) {
+      return next(new AppError(err.message, 400));
+    }
+
+    return saveAvatar(req, res, next);
+  });
+};
+
+const saveAvatar = catchAsync(async (req, res, next) => {
+  if (!req.file) {
+    return next(new AppError('No image file provided', 400));
+  }
+
+  const user = await User.findById(req.user.id);
+  const previous = user.avatar?.public_id;
+
+  user.avatar = {
+    public_id: req.file.filename,
+    url: req.file.path
+  };
+  await user.save({ validateModifiedOnly: true });
+
+  // The old image is only clean-up, so a failure here must not fail the upload
+  if (previous && previous !== req.file.filename) {
+    deleteImage(previous).catch(() => {});
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Avatar updated successfully',
+    data: {
+      avatarUrl: user.avatar.url,
+      user
+    }
+  });
+});
+
+/**
+ * List saved addresses
+ * GET /api/users/me/addresses
+ */
+const getAddresses = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('addresses');
+
+  res.status(200).json({
+    status: 'success',
+    results: user.addresses.length,
+    data: {
+      addresses: user.addresses
+    }
+  });
+});
+
+/**
+ * Save a new address; the first one becomes the default
+ * POST /api/users/me/addresses
+ */
+const addAddress = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.addresses.length >= MAX_ADDRESSES) {
+    return next(new AppError(`You can save up to ${MAX_ADDRESSES} addresses`, 400));
+  }
+
+  const data = pick(req.body, ADDRESS_FIELDS);
+  const missing = missingAddressFields(data);
+  if (missing.length) {
+    return next(new AppError(`Please provide the address ${missing.join(', ')}`, 400));
+  }
+  data.phone = normalisePhone(data.phone);
+
+  user.addresses.push(data);
+  const address = user.addresses[user.addresses.length - 1];
+  settleDefault(user.addresses, req.body.isDefault ? address : undefined);
+
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Address added successfully',
+    data: {
+      address,
+      addresses: user.addresses
+    }
+  });
+});
+
+/**
+ * Update a saved address. Setting isDefault moves the default here;
+ * the default can only be cleared by choosing another address.
+ * PUT /api/users/me/addresses/:addressId
+ */
+const updateAddress = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const address = user.addresses.id(req.params.addressId);
+
+  if (!address) {
+    return next(new AppError('Address not found', 404));
+  }
+
+  const data = pick(req.body, ADDRESS_FIELDS);
+  const missing = missingAddressFields({ ...address.toObject(), ...data });
+  if (missing.length) {
+    return next(new AppError(`Please provide the address ${missing.join(', ')}`, 400));
+  }
+  if (data.phone) data.phone = normalisePhone(data.phone);
+
+  address.set(data);
+  settleDefault(user.addresses, req.body.isDefault ? address : undefined);
+
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Address updated successfully',
+    data: {
+      address,
+      addresses: user.addresses
+    }
+  });
+});
+
+/**
+ * Delete a saved address, promoting another one if it was the default
+ * DELETE /api/users/me/addresses/:addressId
+ */
+const deleteAddress = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const address = user.addresses.id(req.params.addressId);
+
+  if (!address) {
+    return next(new AppError('Address not found', 404));
+  }
+
+  address.deleteOne();
+  settleDefault(user.addresses);
+
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Address deleted successfully',
+    data: {
+      addresses: user.addresses
+    }
+  });
+});
+
+/**
+ * List saved M-Pesa numbers
+ * GET /api/users/me/payment-methods
+ */
+const getPaymentMethods = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('paymentMethods');
+
+  res.status(200).json({
+    status: 'success',
+    results: user.paymentMethods.length,
+    data: {
+      paymentMethods: user.paymentMethods
+    }
+  });
+});
+
+/**
+ * Save an M-Pesa number for checkout
+ * POST /api/users/me/payment-methods
+ */
+const addPaymentMethod = catchAsync(async (req, res, next) => {
+  const type = req.body.type || 'mpesa';
+
+  if (type !== 'mpesa') {
+    return next(new AppError('Only M-Pesa numbers can be saved as payment methods', 400));
+  }
+
+  const user = await User.findById(req.user.id);
+  const phone = normalisePhone(req.body.phone);
+
+  if (user.paymentMethods.some((method) => method.phone === phone)) {
+    return next(new AppError('This number is already saved', 400));
+  }
+
+  if (user.paymentMethods.length >= MAX_PAYMENT_METHODS) {
+    return next(new AppError(`You can save up to ${MAX_PAYMENT_METHODS} payment methods`, 400));
+  }
+
+  user.paymentMethods.push({ type, phone, label: req.body.label });
+  const paymentMethod = user.paymentMethods[user.paymentMethods.length - 1];
+  settleDefault(user.paymentMethods, req.body.isDefault ? paymentMethod : undefined);
+
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Payment method added successfully',
+    data: {
+      paymentMethod,
+      paymentMethods: user.paymentMethods
+    }
+  });
+});
+
+/**
+ * Remove a saved payment method
+ * DELETE /api/users/me/payment-methods/:methodId
+ */
+const removePaymentMethod = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const paymentMethod = user.paymentMethods.id(req.params.methodId);
+
+  if (!paymentMethod) {
+    return next(new AppError('Payment method not found', 404));
+  }
+
+  paymentMethod.deleteOne();
+  settleDefault(user.paymentMethods);
+
+  await user.save({ validateModifiedOnly: true });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Payment method removed successfully',
+    data: {
+      paymentMethods: user.paymentMethods
+    }
+  });
+});
+
+/**
+ * Get notification preferences
+ * GET /api/users/me/notifications/preferences
+ */
+const getNotificationPreferences = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('preferences');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      preferences: notificationPreferences(user)
+    }
+  });
+});
+
+/**
+ * Update notification preferences
+ * PATCH /api/users/me/notifications/preferences
+ */
+const updateNotificationPreferences = catchAsync(async (req, res, next) => {
+  const updates = {};
+  NOTIFICATION_FIELDS.forEach((field) => {
+    if (typeof req.body[field] === 'boolean') updates[`preferences.${field}`] = req.body[field];
+  });
+
+  if (!Object.keys(updates).length) {
+    return next(new AppError('No notification preferences provided', 400));
+  }
+
+  const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true, runValidators: true });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Notification preferences updated',
+    data: {
+      preferences: notificationPreferences(user)
+    }
+  });
+});
+
+/**
+ * Get all account preferences
+ * GET /api/users/me/preferences
+ */
+const getPreferences = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select('preferences');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      preferences: user.preferences
+    }
+  });
+});
+
+/**
+ * Update privacy settings and favourite categories
+ * PATCH /api/users/me/preferences
+ */
+const updatePreferences = catchAsync(async (req, res, next) => {
+  const updates = {};
+
+  const privacy = pick(req.body.privacy || {}, PRIVACY_FIELDS);
+
+  if (privacy.profileVisibility !== undefined && !['public', 'private'].includes(privacy.profileVisibility)) {
+    return next(new AppError('Profile visibility must be public or private', 400));
+  }
+
+  Object.entries(privacy).forEach(([field, value]) => {
+    updates[`preferences.privacy.${field}`] = field === 'profileVisibility' ? value : Boolean(value);
+  });
+
+  if (Array.isArray(req.body.categories)) {
+    updates['preferences.categories'] = req.body.categories.map(String);
+  }
+
+  if (!Object.keys(updates).length) {
+    return next(new AppError('No preferences provided', 400));
+  }
+
+  const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true, runValidators: true });
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Preferences updated',
+    data: {
+      preferences: user.preferences
+    }
+  });
+});
+
+module.exports = {
+  getMe,
+  updateMe,
+  uploadAvatar,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  getPaymentMethods,
+  addPaymentMethod,
+  removePaymentMethod,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  getPreferences,
+  updatePreferences
+};
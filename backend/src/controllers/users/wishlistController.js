@@ -0,0 +1,205 @@
+// backend/src/controllers/users/wishlistController.js
+
+const mongoose = require('mongoose');
+const User = require('../../models/User');
+const Product = require('../../models/Product');
+const Cart = require('../../models/Cart');
+const catchAsync = require('../../utils/catchAsync');
+const AppError = require('../../utils/appError');
+
+const MAX_WISHLIST_ITEMS = 100;
+
+const WISHLIST_PRODUCT_FIELDS = 'name slug sku price comparePrice images status inventory ratings';
+
+// Shape a populated product with the live price and stock the page needs
+const wishlistItem = (product) => ({
+  _id: product._id,
+  name: product.name,
+  slug: product.slug,
+  price: product.price,
+  comparePrice: product.comparePrice,
+  image: product.images?.[0] || null,
+  ratings: product.ratings,
+  status: product.status,
+  isAvailable: product.isAvailable,
+  availableQuantity: product.inventory.trackQuantity
+    ? Math.max(product.inventory.quantity - product.inventory.reserved, 0)
+    : null
+});
+
+// Load the wishlist with its products, dropping any that have been deleted
+const loadWishlist = async (userId) => {
+  const user = await User.findById(userId).populate('wishlist', WISHLIST_PRODUCT_FIELDS);
+  const products = user.wishlist.filter(Boolean);
+
+  if (products.length !== user.wishlist.length) {
+    await User.updateOne({ _id: userId }, { $set: { wishlist: products.map((p) => p._id) } });
+  }
+
+  return products.map(wishlistItem);
+};
+
+const sendWishlist = async (res, userId, statusCode = 200, message) => {
+  const items = await loadWishlist(userId);
+
+  res.status(statusCode).json({
+    status: 'success',
+    ...(message && { message }),
+    results: items.length,
+    data: {
+      items
+    }
+  });
+};
+
+/**
+ * Get the current user's wishlist
+ * GET /api/users/me/wishlist
+ */
+const getWishlist = catchAsync(async (req, res, next) => {
+  await sendWishlist(res, req.user.id);
+});
+
+/**
+ * Add a product to the wishlist
+ * POST /api/users/me/wishlist
+ */
+const addToWishlist = catchAsync(async (req, res, next) => {
+  const { productId } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return next(new AppError('Please provide a valid product', 400));
+  }
+
+  const product = await Product.findOne({ _id: productId, status: 'active' }).select('_id');
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  const user = await User.findById(req.user.id).select('wishlist');
+  const alreadySaved = user.wishlist.some((id) => id.equals(product._id));
+
+  if (!alreadySaved && user.wishlist.length >= MAX_WISHLIST_ITEMS) {
+    return next(new AppError(`You can save up to ${MAX_WISHLIST_ITEMS} products in your wishlist`, 400));
+  }
+
+  await User.updateOne({ _id: req.user.id }, { $addToSet: { wishlist: product._id } });
+
+  await sendWishlist(res, req.user.id, alreadySaved ? 200 : 201, 'Product added to wishlist');
+});
+
+/**
+ * Remove a product from the wishlist
+ * DELETE /api/users/me/wishlist/:productId
+ */
+const removeFromWishlist = catchAsync(async (req, res, next) => {
+  const { productId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return next(new AppError('Please provide a valid product', 400));
+  }
+
+  await User.updateOne({ _id: req.user.id }, { $pull: { wishlist: productId } });
+
+  await sendWishlist(res, req.user.id, 200, 'Product removed from wishlist');
+});
+
+/**
+ * Merge a guest wishlist into the account after login
+ * POST /api/users/me/wishlist/merge
+ */
+const mergeWishlist = catchAsync(async (req, res, next) => {
+  const { productIds } = req.body;
+
+  if (!Array.isArray(productIds)) {
+    return next(new AppError('Please provide a list of products', 400));
+  }
+
+  const validIds = productIds.filter((id) => mongoose.Types.ObjectId.isValid(id));
+  const products = await Product.find({ _id: { $in: validIds }, status: 'active' }).select('_id');
+
+  const user = await User.findById(req.user.id).select('wishlist');
+  const saved = new Set(user.wishlist.map(String));
+  const room = Math.max(MAX_WISHLIST_ITEMS - saved.size, 0);
+  const toAdd = products.map((p) => p._id).filter((id) => !saved.has(String(id))).slice(0, room);
+
+  if (toAdd.length) {
+    await User.updateOne({ _id: req.user.id }, { $addToSet: { wishlist: { $each: toAdd } } });
+  }
+
+  await sendWishlist(res, req.user.id, 200, `${toAdd.length} product(s) added to wishlist`);
+});
+
+/**
+ * Move a wishlist product into the cart
+ * POST /api/users/me/wishlist/:productId/move-to-cart
+ */
+const moveToCart = catchAsync(async (req, res, next) => {
+  const { productId } = req.params;
+  const quantity = parseInt(req.body.quantity, 10) || 1;
+
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    return next(new AppError('Please provide a valid product', 400));
+  }
+
+  const user = await User.findById(req.user.id).select('wishlist');
+  if (!user.wishlist.some((id) => id.equals(productId))) {
+    return next(new AppError('Product is not in your wishlist', 404));
+  }
+
+  const product = await Product.findById(productId);
+  if (!product) {
+    return next(new AppError('Product not found', 404));
+  }
+
+  if (!product.isAvailable) {
+    return next(new AppError('This product is currently out of stock', 400));
+  }
+
+  const available = product.inventory.quantity - product.inventory.reserved;
+  if (product.inventory.trackQuantity && quantity > available) {
+    return next(new AppError(`Only ${available} items available in stock`, 400));
+  }
+
+  let cart = await Cart.findOne({ user: req.user.id, isActive: true });
+  if (!cart) {
+    cart = await Cart.create({ user: req.user.id, items: [] });
+  }
+
+  await cart.addItem({
+    product: product._id,
+    name: product.name,
+    sku: product.sku,
+    price: product.price,
+    quantity,
+    image: {
+      url: product.images[0]?.url || '',
+      alt: product.images[0]?.alt || product.name
+    },
+    availability: {
+      inStock: true,
+      quantity: product.inventory.trackQuantity ? available : undefined
+    }
+  });
+
+  await User.updateOne({ _id: req.user.id }, { $pull: { wishlist: product._id } });
+
+  const items = await loadWishlist(req.user.id);
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Product moved to cart',
+    data: {
+      items,
+      cart
+    }
+  });
+});
+
+module.exports = {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  mergeWishlist,
+  moveToCart
+};
@@ -4,38 +4,90 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
+const { authConfig } = require('../config/auth');
+const { createSession, isSessionActive } = require('../services/auth/sessionService');
+const { mergeGuestCart } = require('../services/cart/cartSessionService');
+const { verifyAccessToken, claimOrders } = require('../services/orders/guestOrderService');
+const { logger } = require('../config/logger');
 
-const signToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
+const ADMIN_ROLES = ['admin', 'super_admin'];
+
+// Access tokens always belong to a session, so logging out or revoking the
+// session ends them too (see protect)
+const signToken = (id, sessionId, { twoFactor = false } = {}) => {
+  const payload = { id, sid: sessionId.toString() };
+  if (twoFactor) payload.tfa = true;
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: authConfig.tokens.accessTokenExpiresIn,
   });
 };
 
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id);
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-  };
-  
-  if (process.env.NODE_ENV === 'production') cookieOptions.secure = true;
-  
-  res.cookie('jwt', token, cookieOptions);
-  
+const cookieOptions = (expires, path) => ({
+  expires,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  ...(path && { path }),
+});
+
+// Send a fresh access token plus the session's current refresh token, what
+// became of the guest cart when one was merged at login and how many guest
+// orders moved into the account
+const sendSessionTokens = (user, session, refreshToken, statusCode, res, { cartMerge, claimedOrders } = {}) => {
+  const token = signToken(user._id, session._id, { twoFactor: session.twoFactorVerified });
+  const { exp } = jwt.decode(token);
+  const { refreshCookieName, refreshCookiePath } = authConfig.tokens;
+
+  res.cookie('jwt', token, cookieOptions(new Date(exp * 1000)));
+  res.cookie(refreshCookieName, refreshToken, cookieOptions(session.expiresAt, refreshCookiePath));
+
   // Remove password from output
   user.password = undefined;
-  
+
   res.status(statusCode).json({
     status: 'success',
     token,
+    refreshToken,
+    expiresIn: exp - Math.floor(Date.now() / 1000),
     data: {
       user,
+      ...(cartMerge && { cartMerge }),
+      ...(claimedOrders > 0 && { claimedOrders }),
     },
   });
 };
 
+// Start a new session for a user who just authenticated, move any guest
+// cart and guest orders over to them and send the session's tokens
+const createSendToken = async (user, statusCode, req, res, { twoFactorVerified = false } = {}) => {
+  const { session, refreshToken } = await createSession(user, req, { twoFactorVerified });
+
+  // A cart that can't be merged mustn't stop the login
+  let merge = null;
+  try {
+    merge = await mergeGuestCart(req, res, user);
+  } catch (error) {
+    logger.error('Guest cart merge failed', { userId: user._id.toString(), error: error.message });
+  }
+
+  const claimedOrders = await claimOrders(user);
+
+  const cartMerge = merge && {
+    merged: merge.merged,
+    adjusted: merge.adjusted,
+    removed: merge.removed,
+    removedCoupons: merge.removedCoupons,
+  };
+
+  sendSessionTokens(user, session, refreshToken, statusCode, res, { cartMerge, claimedOrders });
+};
+
+const clearAuthCookies = (res) => {
+  const { refreshCookieName, refreshCookiePath } = authConfig.tokens;
+  res.clearCookie('jwt');
+  res.clearCookie(refreshCookieName, { path: refreshCookiePath });
+};
+
 const protect = catchAsync(async (req, res, next) => {
   // 1) Getting token and check if it's there
   let token;
@@ -57,6 +109,12 @@ const protect = catchAsync(async (req, res, next) => {
   // 2) Verification token
   const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+  // Purpose tokens (2FA challenges, phone signup, guest order links) are
+  // signed with the same secret but are not logins
+  if (decoded.purpose) {
+    return next(new AppError('Invalid token. Please log in again.', 401));
+  }
+
   // 3) Check if user still exists
   const currentUser = await User.findById(decoded.id).select('+role');
   if (!currentUser) {
@@ -73,23 +131,73 @@ const protect = catchAsync(async (req, res, next) => {
     return next(new AppError('Your account has been deactivated.', 401));
   }
 
-  // Add detailed auth logging
-  console.log('🔐 Auth Debug:', {
-    tokenFound: !!token,
-    decodedUserId: decoded?.id,
-    userFound: !!currentUser,
-    finalUserId: currentUser?._id,
-    endpoint: req.originalUrl,
-    method: req.method,
-    userRole: currentUser?.role,
-    isActive: currentUser?.isActive
-  });
+  // 5) Check if user changed password after the token was issued
+  if (currentUser.changedPasswordAfter(decoded.iat)) {
+    return next(
+      new AppError('User recently changed password! Please log in again.', 401)
+    );
+  }
+
+  // 6) Check the session has not been logged out or revoked. Tokens from
+  // before sessions have no sid and can't be revoked, so they are refused.
+  if (!decoded.sid || !(await isSessionActive(decoded.sid, currentUser._id))) {
+    return next(
+      new AppError('Your session has ended. Please log in again.', 401)
+    );
+  }
 
   // Grant access to protected route
   req.user = currentUser;
+  req.sessionId = decoded.sid;
+  req.twoFactorVerified = decoded.tfa === true;
   next();
 });
 
+// Like protect for requests that carry a token, but lets requests without
+// one through as guests (req.user unset)
+const identify = (req, res, next) => {
+  const hasToken = (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) ||
+    req.cookies.jwt;
+
+  if (!hasToken) return next();
+  return protect(req, res, next);
+};
+
+// For order routes guests can use too: a logged-in request goes through
+// protect, anything else needs the token from a guest order link, whose
+// scope is put on req.guestAccess (see guestOrderService.ownerFilter)
+const protectBuyer = (req, res, next) => {
+  const guestToken = req.get(authConfig.guestOrders.tokenHeader);
+  const hasToken = (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) ||
+    req.cookies.jwt;
+
+  if (hasToken || !guestToken) return protect(req, res, next);
+
+  try {
+    req.guestAccess = verifyAccessToken(guestToken);
+  } catch (error) {
+    return next(error);
+  }
+  next();
+};
+
+// Admin access needs a session that has passed 2FA when the account uses it,
+// and an enrolled account when the role requires it. Also checked where a
+// route open to customers gives admins more (e.g. other people's orders).
+const twoFactorError = (req) => {
+  const { enabled } = req.user.twoFactor || {};
+
+  if (enabled && !req.twoFactorVerified) {
+    return new AppError('Two-factor authentication required. Please log in again and enter your authentication code.', 401);
+  }
+
+  if (!enabled && authConfig.twoFactor.requiredRoles.includes(req.user.role)) {
+    return new AppError('Two-factor authentication must be set up before using admin features.', 403);
+  }
+
+  return null;
+};
+
 const restrictTo = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -97,13 +205,25 @@ const restrictTo = (...roles) => {
         new AppError('You do not have permission to perform this action', 403)
       );
     }
+
+    if (ADMIN_ROLES.includes(req.user.role)) {
+      const error = twoFactorError(req);
+      if (error) return next(error);
+    }
+
     next();
   };
 };
 
 module.exports = {
   signToken,
+  cookieOptions,
   createSendToken,
+  sendSessionTokens,
+  clearAuthCookies,
   protect,
+  identify,
+  protectBuyer,
   restrictTo,
+  twoFactorError,
 };
\ No newline at end of file
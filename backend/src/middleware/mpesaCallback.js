@@ -0,0 +1,34 @@
+// backend/src/middleware/mpesaCallback.js
+
+const crypto = require('crypto');
+const AppError = require('../utils/appError');
+const { mpesaConfig } = require('../config/mpesa');
+const { paymentLogger } = require('../config/logger');
+
+const digest = (value) => crypto.createHash('sha256').update(String(value || '')).digest();
+
+// The address a request came from, without the IPv4-mapped IPv6 prefix
+const clientIP = (req) => String(req.ip || '').replace(/^::ffff:/, '');
+
+// Daraja doesn't sign its callbacks, so only take ones sent to the secret
+// path in the callback URLs we gave it (and from Safaricom's addresses when
+// MPESA_CALLBACK_IPS lists them). Anything else is answered as if the route
+// didn't exist.
+const verifyMpesaCallback = (req, res, next) => {
+  const { callbackToken, callbackIPs } = mpesaConfig;
+  const tokenValid = Boolean(callbackToken) && crypto.timingSafeEqual(digest(req.params.token), digest(callbackToken));
+  const ipAllowed = callbackIPs.length === 0 || callbackIPs.includes(clientIP(req));
+
+  if (!tokenValid || !ipAllowed) {
+    paymentLogger.warn('Refused M-Pesa callback', {
+      route: `${req.baseUrl}${req.route.path}`,
+      ip: clientIP(req),
+      reason: tokenValid ? 'address' : 'token'
+    });
+    return next(new AppError('Not found', 404));
+  }
+
+  next();
+};
+
+module.exports = { verifyMpesaCallback };
@@ -1,14 +1,27 @@
 // backend/src/models/Cart.js
 
 const mongoose = require('mongoose'); // ✅ Added this missing line!
+const { priceCoupons } = require('../services/coupons/couponService');
+const { applyPromotions } = require('../services/promotions/promotionService');
+const { quoteCart } = require('../services/shipping/shippingService');
+const { taxCart } = require('../services/tax/taxService');
+const { roundKES } = require('../services/pricing/cartScope');
+const { cartConfig } = require('../config/cart');
+
+// VAT on one line, or one tax class added up (see taxService)
+const taxLine = new mongoose.Schema({
+  taxClass: String,
+  rate: Number,
+  taxableAmount: Number,
+  tax: Number
+}, { _id: false });
 
 const cartSchema = new mongoose.Schema({
+    // Guest carts have no user until they're merged at login
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: [true, 'User is required for cart'],
-      unique: true,
-      index: true
+      required: [function() { return !this.isGuest; }, 'User is required for cart']
     },
     items: [{
       product: {
@@ -78,7 +91,9 @@ const cartSchema = new mongoose.Schema({
       // For personalization
       customization: mongoose.Schema.Types.Mixed,
       // Item-specific notes
-      notes: String
+      notes: String,
+      // VAT on the line after its share of the discounts
+      tax: taxLine
     }],
     totals: {
       subtotal: {
@@ -96,6 +111,14 @@ const cartSchema = new mongoose.Schema({
         default: 0,
         min: 0
       },
+      // Whether tax is already in the prices (and so not added to total)
+      taxIncluded: {
+        type: Boolean,
+        default: false
+      },
+      // VAT on the delivery charge, and all the VAT per tax class
+      shippingTax: taxLine,
+      taxBreakdown: [taxLine],
       shipping: {
         type: Number,
         default: 0,
@@ -115,9 +138,30 @@ const cartSchema = new mongoose.Schema({
         type: Number,
         default: 0,
         min: 0
-      }
+      },
+      // Automatic promotions the cart currently qualifies for
+      promotions: [{
+        _id: false,
+        promotion: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Promotion'
+        },
+        name: String,
+        type: {
+          type: String,
+          enum: ['buy_x_get_y', 'tiered_spend', 'bundle']
+        },
+        discount: {
+          type: Number,
+          min: 0
+        }
+      }]
     },
     appliedCoupons: [{
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+      },
       code: {
         type: String,
         required: true
@@ -150,9 +194,23 @@ const cartSchema = new mongoose.Schema({
         enum: ['standard', 'express', 'pickup'],
         default: 'standard'
       },
+      // Where it's going, which decides the shipping zone
+      county: String,
+      pickupStation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PickupStation'
+      },
+      // The booked day and time window (none for pickup), held for this
+      // checkout until heldUntil (see deliverySlotService)
       date: Date,
-      timeSlot: String
+      timeSlot: String,
+      slot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DeliverySlot'
+      },
+      heldUntil: Date
     },
+    // Guest carts: hash of the token in the cart cookie (see cartSessionService)
     sessionId: String,
     ipAddress: String,
     userAgent: String,
@@ -183,7 +241,9 @@ const cartSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
-    guestEmail: String
+    guestEmail: String,
+    // Pushed back on every save; the cart is deleted once it passes
+    guestExpiresAt: Date
   }, {
     timestamps: true,
     toJSON: { virtuals: true },
@@ -191,11 +251,15 @@ const cartSchema = new mongoose.Schema({
   });
   
   // Indexes for performance
+  // One cart per user; guest carts have none
+  cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: 'objectId' } } });
   cartSchema.index({ user: 1, isActive: 1 });
   cartSchema.index({ sessionId: 1 });
+  cartSchema.index({ guestExpiresAt: 1 }, { expireAfterSeconds: 0 });
   cartSchema.index({ lastActivity: 1 });
   cartSchema.index({ isAbandoned: 1, abandonedAt: 1 });
   cartSchema.index({ 'items.product': 1 });
+  cartSchema.index({ 'preferredDelivery.heldUntil': 1 }, { sparse: true });
   
   // Virtual for cart age
   cartSchema.virtual('age').get(function() {
@@ -214,7 +278,7 @@ const cartSchema = new mongoose.Schema({
   });
   
   // Pre-save middleware to calculate totals
-  cartSchema.pre('save', function(next) {
+  cartSchema.pre('save', async function() {
     // Remove expired items
     const now = new Date();
     this.items = this.items.filter(item => !item.expiresAt || item.expiresAt > now);
@@ -232,19 +296,44 @@ const cartSchema = new mongoose.Schema({
       return total + (itemPrice * item.quantity);
     }, 0);
   
-    // Apply coupon discounts
-    this.totals.discount = this.appliedCoupons.reduce((total, coupon) => {
+    // Shipping by zone, weight and delivery method; the quote is left on
+    // $locals so checkout can tell when the chosen method isn't available
+    const shippingQuote = await quoteCart(this);
+    this.totals.shipping = shippingQuote ? shippingQuote.fee : 0;
+    this.$locals.shippingQuote = shippingQuote;
+  
+    // Automatic promotions come off before coupons, which are capped by what is left
+    this.totals.promotions = await applyPromotions(this);
+  
+    // Re-validate coupons against the cart as it is now; the ones that no
+    // longer qualify are dropped and left on $locals for the response
+    if (this.appliedCoupons.length > 0) {
+      const { applied, rejected } = await priceCoupons(this);
+      this.appliedCoupons = applied;
+      this.$locals.rejectedCoupons = rejected;
+    }
+  
+    // Apply promotion and coupon discounts
+    this.totals.discount = this.totals.promotions.reduce((total, promotion) => {
+      return total + promotion.discount;
+    }, 0) + this.appliedCoupons.reduce((total, coupon) => {
       return total + coupon.discount;
     }, 0);
   
-    // Calculate tax (could be based on shipping address)
-    this.totals.tax = this.totals.subtotal * 0.16; // 16% VAT for Kenya
-  
-    // Calculate shipping (simplified)
-    this.totals.shipping = this.totals.subtotal > 5000 ? 0 : 300;
+    // VAT per line by tax class, after discounts; added to the total unless
+    // the prices already include it
+    const tax = await taxCart(this);
+    this.items.forEach((item, i) => {
+      item.tax = tax.items[i];
+    });
+    this.totals.tax = tax.tax;
+    this.totals.taxIncluded = tax.included;
+    this.totals.shippingTax = tax.shipping;
+    this.totals.taxBreakdown = tax.breakdown;
   
-    // Calculate final total
-    this.totals.total = this.totals.subtotal - this.totals.discount + this.totals.tax + this.totals.shipping;
+    // Calculate final total, to the cent
+    this.totals.total = roundKES(this.totals.subtotal - this.totals.discount + this.totals.shipping +
+      (tax.included ? 0 : tax.tax));
   
     // Update item counts
     this.totals.itemCount = this.items.reduce((total, item) => total + item.quantity, 0);
@@ -252,6 +341,11 @@ const cartSchema = new mongoose.Schema({
   
     // Update last activity
     this.lastActivity = new Date();
+
+    // Guest carts are kept for a while after they were last touched
+    this.guestExpiresAt = this.isGuest
+      ? new Date(Date.now() + cartConfig.guest.expiresDays * 24 * 60 * 60 * 1000)
+      : undefined;
   
     // Check if cart should be marked as abandoned
     const hoursSinceLastActivity = (Date.now() - this.lastActivity) / (1000 * 60 * 60);
@@ -259,8 +353,6 @@ const cartSchema = new mongoose.Schema({
       this.isAbandoned = true;
       this.abandonedAt = new Date();
     }
-  
-    next();
   });
   
   // Instance method to add item
@@ -370,6 +462,7 @@ const cartSchema = new mongoose.Schema({
   
     // Add new coupon
     this.appliedCoupons.push({
+      coupon: couponData.coupon,
       code: couponCode,
       type: couponData.type,
       value: couponData.value,
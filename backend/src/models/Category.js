@@ -1,6 +1,7 @@
 // backend/src/models/Category.js
 
 const mongoose = require('mongoose');
+const { taxConfig } = require('../config/tax');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -72,6 +73,20 @@ const categorySchema = new mongoose.Schema({
     default: false,
     index: true
   },
+  // Products in a non-returnable category (or any of its subcategories) can't be returned
+  returnable: {
+    type: Boolean,
+    default: true
+  },
+  // VAT class for its products (and its subcategories') that don't set their
+  // own; when empty the parent category's applies (see taxService)
+  taxClass: {
+    type: String,
+    validate: {
+      validator: (value) => !value || Boolean(taxConfig.classes[value]),
+      message: (props) => `${props.value} is not a tax class`
+    }
+  },
   seo: {
     title: {
       type: String,
@@ -0,0 +1,37 @@
+// backend/src/models/Counter.js
+
+const mongoose = require('mongoose');
+
+// Named sequences for document numbers (orders, payments, invoices, returns).
+// The key is the _id, so concurrent first uses upsert the same document.
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Atomically take the next value of a sequence, starting from 1
+counterSchema.statics.increment = async function(key) {
+  const update = () => this.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  try {
+    return (await update()).seq;
+  } catch (error) {
+    // Two first uses raced to insert the counter; the loser just increments it
+    if (error.code === 11000) return (await update()).seq;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
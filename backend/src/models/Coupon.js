@@ -0,0 +1,189 @@
+// backend/src/models/Coupon.js
+
+const mongoose = require('mongoose');
+
+// A discount code managed from the admin API. Eligibility (dates, limits,
+// minimum subtotal, product and category lists, first-order rule) is checked
+// by the coupon service; redemptions are recorded here with a conditional
+// update so usage limits hold under concurrent checkouts.
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Coupon code cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'shipping'],
+    required: [true, 'Coupon type is required']
+  },
+  // Percent off for percentage coupons, KES off for fixed ones; unused for shipping
+  value: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Upper bound on a percentage discount in KES
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  minSubtotal: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Limits; null means unlimited
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  usageLimitPerCustomer: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // When set, only these products/categories count towards the discount
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  excludedProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  excludedCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Whether the coupon may be combined with other coupons on the same cart
+  stackable: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  redemptions: [{
+    // Unset for guest checkouts until the guest claims the order
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // The email and phone the order was placed with, so a per-customer limit
+    // also holds for guests and for customers who check out as one
+    contacts: [String],
+    order: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    },
+    discount: Number,
+    redeemedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+couponSchema.index({ 'redemptions.user': 1 });
+couponSchema.index({ 'redemptions.contacts': 1 });
+
+// Redemptions by a customer: their account's, and any made with their email or phone
+couponSchema.methods.redemptionsBy = function(userId, contacts = []) {
+  return this.redemptions.filter((r) => (
+    (userId && r.user && r.user.equals(userId)) ||
+    (r.contacts || []).some((contact) => contacts.includes(contact))
+  )).length;
+};
+
+// Record a redemption for `order` only if both usage limits still allow it
+// and the order hasn't redeemed the coupon already. `contacts` are the email
+// and phone it was placed with (see couponService.contactsOf). Resolves to
+// the updated coupon, or null when it can't be redeemed.
+couponSchema.statics.redeem = function(couponId, { user, contacts = [], order, discount }) {
+  const userId = user ? new mongoose.Types.ObjectId(String(user)) : null;
+  const redemption = { order, contacts, discount, redeemedAt: new Date() };
+  if (userId) redemption.user = userId;
+
+  // Matches this customer's earlier redemptions, by account or by contact
+  const byCustomer = {
+    $or: [
+      { $in: ['$$this.user', userId ? [userId] : []] },
+      { $gt: [{ $size: { $setIntersection: [{ $ifNull: ['$$this.contacts', []] }, contacts] } }, 0] }
+    ]
+  };
+
+  return this.findOneAndUpdate(
+    {
+      _id: couponId,
+      isActive: true,
+      ...(order && { 'redemptions.order': { $ne: order } }),
+      $expr: {
+        $and: [
+          {
+            $or: [
+              { $eq: [{ $ifNull: ['$usageLimit', null] }, null] },
+              { $lt: ['$usedCount', '$usageLimit'] }
+            ]
+          },
+          {
+            $or: [
+              { $eq: [{ $ifNull: ['$usageLimitPerCustomer', null] }, null] },
+              {
+                $lt: [
+                  {
+                    $size: {
+                      $filter: {
+                        input: '$redemptions',
+                        cond: byCustomer
+                      }
+                    }
+                  },
+                  '$usageLimitPerCustomer'
+                ]
+              }
+            ]
+          }
+        ]
+      }
+    },
+    {
+      $inc: { usedCount: 1 },
+      $push: { redemptions: redemption }
+    },
+    { new: true }
+  );
+};
+
+// Undo a redemption, e.g. when the order it was taken for could not be saved
+couponSchema.statics.release = function(couponId, order) {
+  return this.updateOne(
+    { _id: couponId, 'redemptions.order': order },
+    {
+      $inc: { usedCount: -1 },
+      $pull: { redemptions: { order } }
+    }
+  );
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,42 @@
+// backend/src/models/DeliverySlot.js
+
+const mongoose = require('mongoose');
+
+// How much of one bookable slot is taken: a home delivery time window on a
+// day, or a pickup station's collections on a day (station set, no window).
+// Documents are created on first booking with the capacity of the day;
+// taken only moves by conditional updates (see deliverySlotService) so a
+// slot is never overbooked.
+const deliverySlotSchema = new mongoose.Schema({
+  // Kenyan calendar day, YYYY-MM-DD
+  date: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  },
+  timeSlot: {
+    type: String,
+    default: null
+  },
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PickupStation',
+    default: null
+  },
+  capacity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  taken: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+deliverySlotSchema.index({ date: 1, timeSlot: 1, station: 1 }, { unique: true });
+
+module.exports = mongoose.model('DeliverySlot', deliverySlotSchema);
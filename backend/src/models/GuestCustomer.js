@@ -0,0 +1,61 @@
+// backend/src/models/GuestCustomer.js
+
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+// Someone who checked out without an account, one record per email address,
+// made on their first checkout and not changed by later ones. Orders point
+// at it (Order.guest) but keep their own contact details (Order.contact),
+// which is where their messages go and what claims match: signing up or
+// logging in with a verified email or phone an order was placed with moves
+// it into the account (claimedBy).
+const guestCustomerSchema = new mongoose.Schema({
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true,
+    maxlength: 50
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true,
+    maxlength: 50
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    validate: {
+      validator: function(email) {
+        return validator.isEmail(email);
+      },
+      message: 'Please provide a valid email'
+    }
+  },
+  // Stored as 254XXXXXXXXX (see formatPhoneNumber) so it can be matched
+  phone: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    validate: {
+      validator: function(phone) {
+        return validator.isMobilePhone(phone, 'en-KE');
+      },
+      message: 'Please provide a valid Kenyan phone number (254XXXXXXXXX)'
+    }
+  },
+  lastOrderAt: Date,
+  claimedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  claimedAt: Date
+}, {
+  timestamps: true
+});
+
+guestCustomerSchema.index({ phone: 1 });
+
+module.exports = mongoose.model('GuestCustomer', guestCustomerSchema);
@@ -0,0 +1,67 @@
+// backend/src/models/InventoryMovement.js
+
+const mongoose = require('mongoose');
+
+// One change to a product's stock counters. Movements are only ever appended,
+// so the ledger can replay a product's stock to any point in time.
+//   quantity   signed change to inventory.quantity (stock on hand)
+//   reserved   signed change to inventory.reserved (held for unpaid orders)
+// Order movements reference the order; admin adjustments reference the user.
+const MOVEMENT_TYPES = ['sale', 'return', 'restock', 'adjustment', 'damage', 'reservation', 'release'];
+
+const inventoryMovementSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: [true, 'Movement must belong to a product']
+  },
+  // The option SKU for variant lines, otherwise the product SKU
+  sku: {
+    type: String,
+    trim: true
+  },
+  variant: {
+    name: String,
+    value: String
+  },
+  type: {
+    type: String,
+    enum: MOVEMENT_TYPES,
+    required: [true, 'Movement type is required']
+  },
+  quantity: {
+    type: Number,
+    default: 0
+  },
+  reserved: {
+    type: Number,
+    default: 0
+  },
+  // Product-level counters right after the movement
+  quantityAfter: Number,
+  reservedAfter: Number,
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Reason cannot exceed 300 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+inventoryMovementSchema.index({ product: 1, createdAt: -1 });
+inventoryMovementSchema.index({ sku: 1, createdAt: -1 });
+inventoryMovementSchema.index({ order: 1 });
+inventoryMovementSchema.index({ createdAt: -1 });
+
+inventoryMovementSchema.statics.TYPES = MOVEMENT_TYPES;
+
+module.exports = mongoose.model('InventoryMovement', inventoryMovementSchema);
@@ -1,6 +1,27 @@
 // backend/src/models/Order.js
 
 const mongoose = require('mongoose'); // ✅ Added this missing line!
+const { nextNumber } = require('../services/numbering/numberingService');
+
+// What a carrier can report about a shipment, in the order it usually happens
+const SHIPMENT_EVENTS = [
+  'label_created',
+  'picked_up',
+  'in_transit',
+  'arrived_at_facility',
+  'out_for_delivery',
+  'delivery_attempted',
+  'delivered',
+  'exception'
+];
+
+// VAT on one line, or one tax class added up (see taxService)
+const taxLine = new mongoose.Schema({
+  taxClass: String,
+  rate: Number,
+  taxableAmount: Number,
+  tax: Number
+}, { _id: false });
 
 const orderSchema = new mongoose.Schema({
   orderNumber: {
@@ -8,10 +29,25 @@ const orderSchema = new mongoose.Schema({
     unique: true,
     required: true
   },
+  // The account the order belongs to. Guest checkouts have none until the
+  // guest claims the order by signing up (see guestOrderService)
   customer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true
+    required: [function() { return !this.guest; }, 'Order customer is required']
+  },
+  guest: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GuestCustomer'
+  },
+  // The details a guest checked out with. The guest's order links, tracking
+  // and claiming the order go by these rather than the guest record, which
+  // anyone checking out with the same email shares.
+  contact: {
+    firstName: String,
+    lastName: String,
+    email: { type: String, lowercase: true, trim: true },
+    phone: String
   },
   items: [{
     product: {
@@ -28,14 +64,43 @@ const orderSchema = new mongoose.Schema({
     image: {
       url: String,
       alt: String
+    },
+    // VAT on the line after its share of the discounts, as the cart worked it out
+    tax: taxLine,
+    // Units on returns that weren't rejected (see returnService)
+    returnedQuantity: { type: Number, default: 0 },
+    // Where the line's stock came from, so it can be given back exactly
+    allocation: {
+      tracked: { type: Boolean, default: false },
+      option: {
+        name: String,
+        value: String
+      }
     }
   }],
   summary: {
     subtotal: { type: Number, required: true },
     shipping: { type: Number, default: 0 },
     tax: { type: Number, default: 0 },
+    // Whether tax is already in the prices (and so not added to total), the
+    // VAT on the delivery charge and all the VAT per tax class. Orders placed
+    // before tax classes have no breakdown (see taxService.orderTax).
+    taxIncluded: { type: Boolean, default: false },
+    shippingTax: taxLine,
+    taxBreakdown: [taxLine],
     discount: { type: Number, default: 0 },
-    total: { type: Number, required: true }
+    total: { type: Number, required: true },
+    // Automatic promotions included in discount above
+    promotions: [{
+      _id: false,
+      promotion: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Promotion'
+      },
+      name: String,
+      type: { type: String, enum: ['buy_x_get_y', 'tiered_spend', 'bundle'] },
+      discount: Number
+    }]
   },
   shippingAddress: {
     name: { type: String, required: true },
@@ -71,18 +136,107 @@ const orderSchema = new mongoose.Schema({
     mpesaReceiptNumber: String,
     paidAt: Date,
     amount: Number,
-    currency: { type: String, default: 'KES' }
+    currency: { type: String, default: 'KES' },
+    // The M-Pesa payment in flight. Another STK push can't be sent until it
+    // resolves or expiresAt passes, so the customer isn't charged twice.
+    attempt: {
+      payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+      },
+      expiresAt: Date
+    }
   },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'],
     default: 'pending'
   },
+  // Stock held for the order: reserved while an M-Pesa payment is pending,
+  // committed once it is paid, released or restocked when it falls through
+  inventory: {
+    status: {
+      type: String,
+      enum: ['reserved', 'committed', 'released', 'restocked']
+    },
+    reservedUntil: Date,
+    updatedAt: Date
+  },
   tracking: {
     number: String,
     carrier: String,
     url: String,
-    estimatedDelivery: Date
+    estimatedDelivery: Date,
+    shippedAt: Date,
+    deliveredAt: Date
+  },
+  // Parcels handed to carriers, each with the carrier's scan events.
+  // tracking above mirrors the latest one.
+  shipments: [{
+    carrier: { type: String, required: true, trim: true },
+    trackingNumber: { type: String, required: true, trim: true },
+    url: String,
+    estimatedDelivery: Date,
+    events: [{
+      status: {
+        type: String,
+        enum: SHIPMENT_EVENTS,
+        required: true
+      },
+      description: { type: String, maxlength: 500 },
+      location: { type: String, maxlength: 200 },
+      timestamp: {
+        type: Date,
+        default: Date.now
+      },
+      recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    }],
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // How it's delivered, as quoted at checkout (see shippingService)
+  delivery: {
+    method: {
+      type: String,
+      enum: ['standard', 'express', 'pickup'],
+      default: 'standard'
+    },
+    zone: String,
+    // The pickup station, as it was when the order was placed
+    pickupStation: {
+      station: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PickupStation'
+      },
+      code: String,
+      name: String,
+      address: String,
+      town: String,
+      county: String,
+      phone: String
+    },
+    // The booked delivery (or collection) day and time window
+    date: Date,
+    timeSlot: String,
+    timeSlotLabel: String,
+    slot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliverySlot'
+    },
+    slotStatus: {
+      type: String,
+      enum: ['booked', 'released']
+    }
+  },
+  // The tax invoice, numbered when the order is confirmed
+  invoice: {
+    number: String,
+    issuedAt: Date
   },
   statusHistory: [{
     status: {
@@ -94,6 +248,11 @@ const orderSchema = new mongoose.Schema({
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     },
+    // Who moved the order: the customer, staff or the system (payments, jobs)
+    actor: {
+      type: String,
+      enum: ['customer', 'admin', 'system']
+    },
     timestamp: {
       type: Date,
       default: Date.now
@@ -105,10 +264,21 @@ const orderSchema = new mongoose.Schema({
   },
   discount: {
     code: String,
-    type: { type: String, enum: ['percentage', 'fixed'] },
+    type: { type: String, enum: ['percentage', 'fixed', 'shipping'] },
     value: Number,
     amount: Number
   },
+  // Every coupon redeemed on the order; discount above holds the first one
+  coupons: [{
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: { type: String, enum: ['percentage', 'fixed', 'shipping'] },
+    value: Number,
+    amount: Number
+  }],
   cancellation: {
     reason: String,
     cancelledBy: {
@@ -127,22 +297,127 @@ const orderSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
+// Legal status transitions and who may make each one; anything not listed
+// here is rejected. Customers may cancel until the order ships, staff may
+// reopen a cancelled order, and refunds follow a cancellation or a delivery
+// (marked by the system once an M-Pesa refund staff asked for is back).
+const STATUS_TRANSITIONS = {
+  pending: {
+    confirmed: ['admin', 'system'],
+    cancelled: ['customer', 'admin', 'system']
+  },
+  confirmed: {
+    processing: ['admin'],
+    cancelled: ['customer', 'admin']
+  },
+  processing: {
+    shipped: ['admin'],
+    cancelled: ['customer', 'admin']
+  },
+  shipped: {
+    delivered: ['admin', 'system']
+  },
+  delivered: {
+    refunded: ['admin', 'system']
+  },
+  cancelled: {
+    pending: ['admin'],
+    refunded: ['admin', 'system']
+  },
+  refunded: {}
+};
+
 // Indexes
 orderSchema.index({ customer: 1, createdAt: -1 });
+orderSchema.index({ 'contact.email': 1, createdAt: -1 });
+orderSchema.index({ 'contact.phone': 1, createdAt: -1 });
 orderSchema.index({ orderNumber: 1 });
 orderSchema.index({ status: 1 });
 orderSchema.index({ 'payment.status': 1 });
+orderSchema.index({ 'inventory.status': 1, 'inventory.reservedUntil': 1 });
 orderSchema.index({ createdAt: -1 });
+orderSchema.index({ 'shipments.trackingNumber': 1 });
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
+orderSchema.index({ 'delivery.date': 1, 'delivery.timeSlot': 1 });
 
-// Pre-save middleware to generate order number
-orderSchema.pre('save', async function(next) {
-  if (this.isNew && !this.orderNumber) { // ✅ Added !this.orderNumber check
-    const count = await mongoose.model('Order').countDocuments();
-    this.orderNumber = `ORD${Date.now()}${String(count + 1).padStart(4, '0')}`;
+// Number new orders from the order sequence (before validation, which requires it)
+orderSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.orderNumber) {
+    this.orderNumber = await nextNumber('order');
   }
   next();
 });
 
+// Remember the persisted status so saves can validate the transition
+orderSchema.post('init', function(doc) {
+  doc.$locals.persistedStatus = doc.status;
+});
+
+// Reject illegal status transitions, whoever makes them
+orderSchema.pre('save', function(next) {
+  const from = this.$locals.persistedStatus;
+
+  if (!this.isNew && from && from !== this.status && !this.constructor.canTransition(from, this.status)) {
+    return next(new Error(`Illegal order status transition from ${from} to ${this.status}`));
+  }
+
+  next();
+});
+
+orderSchema.post('save', function(doc) {
+  doc.$locals.persistedStatus = doc.status;
+});
+
+orderSchema.statics.SHIPMENT_EVENTS = SHIPMENT_EVENTS;
+
+// Whether an order may move from one status to another, optionally by a given actor
+orderSchema.statics.canTransition = function(from, to, actor) {
+  const actors = STATUS_TRANSITIONS[from]?.[to];
+  return Boolean(actors) && (!actor || actors.includes(actor));
+};
+
+// The statuses an actor may move an order to from `from`
+orderSchema.statics.transitionsFrom = function(from, actor) {
+  return Object.entries(STATUS_TRANSITIONS[from] || {})
+    .filter(([, actors]) => !actor || actors.includes(actor))
+    .map(([to]) => to);
+};
+
+// Move the order's status from `from` to `to` only if it is still `from`, so
+// of two callers moving the same order one wins. Resolves to whether this did.
+orderSchema.statics.claimStatus = async function(orderId, from, to) {
+  const claimed = await this.updateOne({ _id: orderId, status: from }, { $set: { status: to } });
+  return claimed.matchedCount === 1;
+};
+
+// Put back a status claimed by claimStatus whose change then failed
+orderSchema.statics.releaseStatus = function(orderId, from, to) {
+  return this.updateOne({ _id: orderId, status: to }, { $set: { status: from } });
+};
+
+// Hold the order for M-Pesa payment `paymentId` for `windowMs`. Resolves to
+// false when the order is paid or another payment holds it.
+orderSchema.statics.claimPaymentAttempt = async function(orderId, paymentId, windowMs) {
+  const now = new Date();
+  const claimed = await this.updateOne(
+    {
+      _id: orderId,
+      'payment.status': { $ne: 'paid' },
+      $or: [{ 'payment.attempt.expiresAt': null }, { 'payment.attempt.expiresAt': { $lte: now } }]
+    },
+    { $set: { 'payment.attempt': { payment: paymentId, expiresAt: new Date(now.getTime() + windowMs) } } }
+  );
+  return claimed.modifiedCount === 1;
+};
+
+// Let go of the order once payment `paymentId` has resolved
+orderSchema.statics.releasePaymentAttempt = function(orderId, paymentId) {
+  return this.updateOne(
+    { _id: orderId, 'payment.attempt.payment': paymentId },
+    { $unset: { 'payment.attempt': 1 } }
+  );
+};
+
 // Virtual for formatted order number
 orderSchema.virtual('formattedOrderNumber').get(function() {
   return `#${this.orderNumber}`;
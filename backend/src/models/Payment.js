@@ -1,5 +1,8 @@
 // backend/src/models/Payment.js
 
+const mongoose = require('mongoose');
+const { nextNumber } = require('../services/numbering/numberingService');
+
 const paymentSchema = new mongoose.Schema({
     // Core payment information
     order: {
@@ -11,7 +14,13 @@ const paymentSchema = new mongoose.Schema({
     customer: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
-      required: [true, 'Customer is required for payment'],
+      required: [function() { return !this.guest; }, 'Customer is required for payment'],
+      index: true
+    },
+    // Payments for guest checkouts, until the guest claims the order
+    guest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GuestCustomer',
       index: true
     },
     paymentNumber: {
@@ -50,7 +59,7 @@ const paymentSchema = new mongoose.Schema({
     },
     paymentGateway: {
       type: String,
-      enum: ['mpesa', 'stripe', 'paypal', 'flutterwave', 'paystack', 'razorpay'],
+      enum: ['mpesa', 'stripe', 'paypal', 'flutterwave', 'paystack', 'razorpay', 'manual'],
       default: 'mpesa'
     },
     
@@ -177,8 +186,32 @@ const paymentSchema = new mongoose.Schema({
         enum: ['pending', 'processing', 'completed', 'failed'],
         default: 'pending'
       },
-      refundId: String,
-      gatewayRefundId: String,
+      // How the money goes back: an M-Pesa reversal of the whole payment, an
+      // M-Pesa B2C payment for part of it, or by hand (cash, bank, card)
+      method: {
+        type: String,
+        enum: ['mpesa_reversal', 'mpesa_b2c', 'manual']
+      },
+      refundId: String, // M-Pesa OriginatorConversationID
+      conversationID: String, // M-Pesa ConversationID, matched by the result callback
+      gatewayRefundId: String, // M-Pesa transaction ID, or the reference of a manual refund
+      attempts: {
+        type: Number,
+        default: 0
+      },
+      // Set when the refund is for an order being marked refunded, which
+      // moves to refunded once this completes (see refundService)
+      closesOrder: Boolean,
+      // The return this refunds, which moves to refunded once this completes
+      // (or back to received if it fails, see returnService.settleRefund)
+      closesReturn: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Return'
+      },
+      failure: {
+        code: String,
+        message: String
+      },
       processedAt: Date,
       refundedBy: {
         type: mongoose.Schema.Types.ObjectId,
@@ -222,6 +255,11 @@ const paymentSchema = new mongoose.Schema({
     // Webhook and callback data
     webhookData: [{
       event: String,
+      source: {
+        type: String,
+        enum: ['gateway', 'query', 'replay'],
+        default: 'gateway'
+      },
       data: mongoose.Schema.Types.Mixed,
       receivedAt: {
         type: Date,
@@ -230,7 +268,14 @@ const paymentSchema = new mongoose.Schema({
       processed: {
         type: Boolean,
         default: false
-      }
+      },
+      processedAt: Date,
+      outcome: {
+        type: String,
+        enum: ['applied', 'duplicate', 'ignored', 'rejected']
+      },
+      reason: String,
+      replayOf: mongoose.Schema.Types.ObjectId
     }],
     
     // Processing attempts and retry logic
@@ -294,6 +339,19 @@ const paymentSchema = new mongoose.Schema({
     toObject: { virtuals: true }
   });
   
+  // Legal status transitions; anything not listed here is rejected
+  const STATUS_TRANSITIONS = {
+    pending: ['processing', 'completed', 'failed', 'cancelled', 'timeout', 'expired'],
+    processing: ['completed', 'failed', 'cancelled', 'timeout', 'expired'],
+    timeout: ['completed', 'failed'],
+    failed: ['pending'],
+    completed: ['partial_refund', 'refunded'],
+    partial_refund: ['partial_refund', 'refunded'],
+    cancelled: [],
+    refunded: [],
+    expired: []
+  };
+  
   // Indexes for performance and queries
   paymentSchema.index({ order: 1, status: 1 });
   paymentSchema.index({ customer: 1, status: 1, createdAt: -1 });
@@ -306,6 +364,8 @@ const paymentSchema = new mongoose.Schema({
   paymentSchema.index({ status: 1, createdAt: -1 });
   paymentSchema.index({ paidAt: 1 });
   paymentSchema.index({ nextRetryAt: 1 });
+  paymentSchema.index({ 'webhookData.outcome': 1, 'webhookData.receivedAt': -1 });
+  paymentSchema.index({ 'refunds.conversationID': 1 });
   
   // Virtual for payment reference number
   paymentSchema.virtual('paymentReference').get(function() {
@@ -319,10 +379,14 @@ const paymentSchema = new mongoose.Schema({
       .reduce((total, refund) => total + refund.amount, 0);
   });
   
-  // Virtual for remaining refundable amount
+  // Virtual for remaining refundable amount. Refunds still in flight count
+  // against it, so the same money can't be refunded twice.
   paymentSchema.virtual('refundableAmount').get(function() {
-    if (this.status !== 'completed') return 0;
-    return Math.max(0, this.actualAmount - this.totalRefunded);
+    if (!['completed', 'partial_refund'].includes(this.status)) return 0;
+    const committed = this.refunds
+      .filter(refund => refund.status !== 'failed')
+      .reduce((total, refund) => total + refund.amount, 0);
+    return Math.max(0, (this.actualAmount ?? this.amount) - committed);
   });
   
   // Virtual for payment duration
@@ -338,18 +402,39 @@ const paymentSchema = new mongoose.Schema({
   
   // Virtual for is payment refundable
   paymentSchema.virtual('isRefundable').get(function() {
-    return this.status === 'completed' && this.refundableAmount > 0;
+    return this.refundableAmount > 0;
   });
   
-  // Pre-save middleware
+  // Remember the persisted status so saves can validate the transition
+  paymentSchema.post('init', function(doc) {
+    doc.$locals.persistedStatus = doc.status;
+  });
+  
+  // Reject illegal status transitions
   paymentSchema.pre('save', function(next) {
-    // Generate payment number if new
+    const from = this.$locals.persistedStatus;
+  
+    if (!this.isNew && from && from !== this.status && !this.constructor.canTransition(from, this.status)) {
+      return next(new Error(`Illegal payment status transition from ${from} to ${this.status}`));
+    }
+  
+    next();
+  });
+  
+  paymentSchema.post('save', function(doc) {
+    doc.$locals.persistedStatus = doc.status;
+  });
+  
+  // Number new payments from the payment sequence
+  paymentSchema.pre('validate', async function(next) {
     if (this.isNew && !this.paymentNumber) {
-      const timestamp = Date.now().toString();
-      const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-      this.paymentNumber = `PAY${timestamp}${random}`;
+      this.paymentNumber = await nextNumber('payment');
     }
+    next();
+  });
   
+  // Pre-save middleware
+  paymentSchema.pre('save', function(next) {
     // Update fees total
     this.fees.total = this.fees.gateway + this.fees.processing + this.fees.fixed;
   
@@ -379,31 +464,38 @@ const paymentSchema = new mongoose.Schema({
     next();
   });
   
-  // Instance method to add refund
+  // Instance method to add a pending refund. The payment's status moves to
+  // partial_refund or refunded once the refund completes (see refundService).
+  // The refund is pushed only if no other refund was added since this payment
+  // was read, so two admins can't refund the same money at once. Resolves to
+  // the updated payment; the new refund is its last entry.
   paymentSchema.methods.addRefund = async function(refundData, refundedBy) {
-    if (this.status !== 'completed') {
+    if (!['completed', 'partial_refund'].includes(this.status)) {
       throw new Error('Can only refund completed payments');
     }
   
+    if (!(refundData.amount > 0)) {
+      throw new Error('Refund amount must be greater than zero');
+    }
+  
     if (refundData.amount > this.refundableAmount) {
       throw new Error('Refund amount exceeds refundable amount');
     }
   
-    this.refunds.push({
-      ...refundData,
-      refundedBy,
-      createdAt: new Date()
-    });
-  
-    // Update payment status if fully refunded
-    if (this.totalRefunded + refundData.amount >= this.actualAmount) {
-      this.status = 'refunded';
-    } else {
-      this.status = 'partial_refund';
+    const updated = await this.constructor.findOneAndUpdate(
+      { _id: this._id, __v: this.__v },
+      {
+        $push: { refunds: { ...refundData, status: 'pending', refundedBy, createdAt: new Date() } },
+        $inc: { __v: 1 }
+      },
+      { new: true }
+    );
+  
+    if (!updated) {
+      throw new Error('The payment changed while the refund was being added');
     }
   
-    await this.save();
-    return this;
+    return updated;
   };
   
   // Instance method to retry payment
@@ -433,6 +525,16 @@ const paymentSchema = new mongoose.Schema({
     return this;
   };
   
+  // Static method to check whether a status transition is legal
+  paymentSchema.statics.canTransition = function(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+  };
+  
+  // Static method to list the statuses a payment may move to `to` from
+  paymentSchema.statics.statusesAllowingTransitionTo = function(to) {
+    return Object.keys(STATUS_TRANSITIONS).filter(from => STATUS_TRANSITIONS[from].includes(to));
+  };
+  
   // Static method to find failed payments for retry
   paymentSchema.statics.findFailedPaymentsForRetry = async function() {
     const now = new Date();
@@ -0,0 +1,45 @@
+// backend/src/models/PhoneOtp.js
+
+const mongoose = require('mongoose');
+
+// A one-time code sent by SMS. Only the hash is stored, and only the newest
+// code for a phone number and purpose is accepted.
+const phoneOtpSchema = new mongoose.Schema({
+  phone: {
+    type: String,
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['login', 'verify_phone', 'password_reset'],
+    required: true
+  },
+  // Set for verify_phone and password_reset, where the code belongs to one account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  ipAddress: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  consumedAt: Date
+}, {
+  timestamps: true
+});
+
+phoneOtpSchema.index({ phone: 1, purpose: 1, createdAt: -1 });
+// Keep spent and expired codes for a day for auditing, then let MongoDB drop them
+phoneOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('PhoneOtp', phoneOtpSchema);
@@ -0,0 +1,86 @@
+// backend/src/models/PickupStation.js
+
+const mongoose = require('mongoose');
+
+const TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A place customers collect orders from. Its county decides the shipping
+// zone (and so the pickup fee); capacity is how many orders it takes in for
+// collection a day, booked through DeliverySlot.
+const pickupStationSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Station code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [20, 'Station code cannot exceed 20 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Station name is required'],
+    trim: true,
+    maxlength: [100, 'Station name cannot exceed 100 characters']
+  },
+  address: {
+    type: String,
+    required: [true, 'Station address is required'],
+    trim: true
+  },
+  town: {
+    type: String,
+    trim: true
+  },
+  county: {
+    type: String,
+    required: [true, 'Station county is required'],
+    trim: true
+  },
+  location: {
+    lat: Number,
+    lng: Number
+  },
+  phone: String,
+  // Opening hours by day of the week (0 = Sunday); days not listed are closed
+  openingHours: [{
+    _id: false,
+    day: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 6
+    },
+    opens: {
+      type: String,
+      required: true,
+      match: [TIME, 'Opening time must be HH:MM']
+    },
+    closes: {
+      type: String,
+      required: true,
+      match: [TIME, 'Closing time must be HH:MM']
+    }
+  }],
+  capacity: {
+    type: Number,
+    required: [true, 'Daily capacity is required'],
+    min: [0, 'Capacity cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+pickupStationSchema.index({ county: 1, isActive: 1 });
+
+/**
+ * The station's hours on a day of the week, or undefined when it's closed
+ */
+pickupStationSchema.methods.hoursOn = function(day) {
+  return this.openingHours.find((hours) => hours.day === day);
+};
+
+module.exports = mongoose.model('PickupStation', pickupStationSchema);
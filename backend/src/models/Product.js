@@ -1,6 +1,7 @@
 // backend/src/models/Product.js
 
 const mongoose = require('mongoose');
+const { taxConfig } = require('../config/tax');
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -120,6 +121,14 @@ const productSchema = new mongoose.Schema({
       unit: { type: String, enum: ['hours', 'days'], default: 'days' }
     }
   },
+  // VAT class (see config/tax.js); when empty the category's applies
+  taxClass: {
+    type: String,
+    validate: {
+      validator: (value) => !value || Boolean(taxConfig.classes[value]),
+      message: (props) => `${props.value} is not a tax class`
+    }
+  },
   tags: [String],
   status: {
     type: String,
@@ -177,6 +186,25 @@ productSchema.virtual('isAvailable').get(function() {
           (this.inventory.quantity - this.inventory.reserved) > 0);
 });
 
+// The variant option a cart or order line refers to ({ name, value }), if the product has it
+productSchema.methods.findVariantOption = function(variant) {
+  if (!variant || !variant.name || !variant.value) return null;
+
+  const group = this.variants.find(v => v.name === variant.name);
+  return (group && group.options.find(o => o.value === variant.value)) || null;
+};
+
+// Units that can still be sold, optionally of one variant option; null when stock isn't tracked
+productSchema.methods.availableQuantity = function(variant) {
+  if (!this.inventory.trackQuantity) return null;
+
+  const available = Math.max(this.inventory.quantity - this.inventory.reserved, 0);
+  const option = this.findVariantOption(variant);
+  if (!option) return available;
+
+  return Math.min(available, Math.max(option.inventory.quantity - option.inventory.reserved, 0));
+};
+
 // Virtual for discount percentage
 productSchema.virtual('discountPercentage').get(function() {
   if (this.comparePrice && this.comparePrice > this.price) {
@@ -0,0 +1,119 @@
+// backend/src/models/Promotion.js
+
+const mongoose = require('mongoose');
+
+// A discount that applies on its own when a cart meets the rule, no code
+// needed. The promotion service evaluates the active ones on every cart save.
+//   buy_x_get_y   buy `buyQuantity` in scope, get `getQuantity` (the cheapest) at `getDiscountPercent` off
+//   tiered_spend  the highest tier whose minSubtotal the in-scope subtotal reaches
+//   bundle        each complete set of `bundleItems` costs `bundlePrice`
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  type: {
+    type: String,
+    enum: ['buy_x_get_y', 'tiered_spend', 'bundle'],
+    required: [true, 'Promotion type is required']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  startsAt: Date,
+  expiresAt: Date,
+  // Higher priority promotions are applied first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Whether the promotion may be combined with other promotions
+  stackable: {
+    type: Boolean,
+    default: true
+  },
+  // Scope for buy_x_get_y and tiered_spend; empty means the whole cart
+  products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  excludedProducts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+  excludedCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  // buy_x_get_y
+  buyQuantity: {
+    type: Number,
+    min: 1
+  },
+  getQuantity: {
+    type: Number,
+    min: 1
+  },
+  getDiscountPercent: {
+    type: Number,
+    default: 100,
+    min: 1,
+    max: 100
+  },
+  // tiered_spend
+  tiers: [{
+    minSubtotal: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+      required: true
+    },
+    value: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  // bundle
+  bundleItems: [{
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    quantity: {
+      type: Number,
+      default: 1,
+      min: 1
+    }
+  }],
+  bundlePrice: {
+    type: Number,
+    min: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, startsAt: 1, expiresAt: 1 });
+
+// Promotions running right now, highest priority first
+promotionSchema.statics.findRunning = function(now = new Date()) {
+  return this.find({
+    isActive: true,
+    $and: [
+      { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+      { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }
+    ]
+  }).sort({ priority: -1, createdAt: 1 });
+};
+
+module.exports = mongoose.model('Promotion', promotionSchema);
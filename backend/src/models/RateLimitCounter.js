@@ -0,0 +1,60 @@
+// backend/src/models/RateLimitCounter.js
+
+const mongoose = require('mongoose');
+
+// Fixed-window counter used in place of the Redis rateLimit helpers when
+// Redis is not connected
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Count a hit on `key` and resolve to the count so far. Same sliding window
+// as rateLimit.increment: every hit pushes the expiry out.
+rateLimitCounterSchema.statics.hit = async function(key, windowMs) {
+  const now = new Date();
+  const update = { $inc: { count: 1 }, $set: { expiresAt: new Date(now.getTime() + windowMs) } };
+
+  // A window TTL cleanup has not removed yet starts again from zero
+  await this.deleteOne({ key, expiresAt: { $lte: now } });
+
+  try {
+    const counter = await this.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+    return counter.count;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    // Lost the upsert race to a parallel request, so the counter exists now
+    const counter = await this.findOneAndUpdate({ key }, update, { new: true });
+    return counter.count;
+  }
+};
+
+// Hold `key` for windowMs unless it is already held: resolves to true when
+// this call took it. The unique key settles parallel claims.
+rateLimitCounterSchema.statics.claim = async function(key, windowMs) {
+  const now = new Date();
+  await this.deleteOne({ key, expiresAt: { $lte: now } });
+
+  try {
+    await this.create({ key, count: 1, expiresAt: new Date(now.getTime() + windowMs) });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
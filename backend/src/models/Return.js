@@ -0,0 +1,169 @@
+// backend/src/models/Return.js
+
+const mongoose = require('mongoose');
+const { nextNumber } = require('../services/numbering/numberingService');
+
+const STATUSES = ['requested', 'approved', 'rejected', 'received', 'refund_pending', 'refunded'];
+const REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+
+const returnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    unique: true,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  customer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The order lines being sent back, copied from the order when requested
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    name: { type: String, required: true },
+    sku: String,
+    variant: String,
+    price: { type: Number, required: true },
+    quantity: { type: Number, required: true, min: 1 },
+    total: { type: Number, required: true },
+    // The order line's allocation, so receiving puts the units back where they came from
+    allocation: {
+      tracked: { type: Boolean, default: false },
+      option: {
+        name: String,
+        value: String
+      }
+    }
+  }],
+  reason: {
+    type: String,
+    enum: REASONS,
+    required: [true, 'Return reason is required']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  photos: [{
+    public_id: String,
+    url: String
+  }],
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'requested'
+  },
+  // What the customer gets back: the items' share of the order after discounts
+  refundAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  rejectionReason: String,
+  receivedAt: Date,
+  refundedAt: Date,
+  statusHistory: [{
+    status: {
+      type: String,
+      enum: STATUSES
+    },
+    note: String,
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Legal status transitions. A request is approved or rejected, approved items
+// are received back into stock, and received items are refunded: the return
+// waits in refund_pending until the refund completes, and goes back to
+// received if it fails.
+const STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['received', 'rejected'],
+  received: ['refund_pending'],
+  refund_pending: ['refunded', 'received'],
+  rejected: [],
+  refunded: []
+};
+
+// Indexes
+returnSchema.index({ order: 1 });
+returnSchema.index({ customer: 1, createdAt: -1 });
+returnSchema.index({ status: 1, createdAt: 1 });
+
+// Number new returns from the return sequence (before validation, which requires it)
+returnSchema.pre('validate', async function(next) {
+  if (this.isNew && !this.returnNumber) {
+    this.returnNumber = await nextNumber('return');
+  }
+  next();
+});
+
+// Remember the persisted status so saves can validate the transition
+returnSchema.post('init', function(doc) {
+  doc.$locals.persistedStatus = doc.status;
+});
+
+// Reject illegal status transitions, whoever makes them
+returnSchema.pre('save', function(next) {
+  const from = this.$locals.persistedStatus;
+
+  if (!this.isNew && from && from !== this.status && !this.constructor.canTransition(from, this.status)) {
+    return next(new Error(`Illegal return status transition from ${from} to ${this.status}`));
+  }
+
+  next();
+});
+
+returnSchema.post('save', function(doc) {
+  doc.$locals.persistedStatus = doc.status;
+});
+
+returnSchema.statics.STATUSES = STATUSES;
+returnSchema.statics.REASONS = REASONS;
+
+// Whether a return may move from one status to another
+returnSchema.statics.canTransition = function(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// The statuses a return may move to from `from`
+returnSchema.statics.transitionsFrom = function(from) {
+  return STATUS_TRANSITIONS[from] || [];
+};
+
+// Virtual for the number of units being returned
+returnSchema.virtual('itemCount').get(function() {
+  return (this.items || []).reduce((sum, item) => sum + item.quantity, 0);
+});
+
+module.exports = mongoose.model('Return', returnSchema);
@@ -0,0 +1,71 @@
+// backend/src/models/Session.js
+
+const mongoose = require('mongoose');
+
+// A logged-in device. Each session is one refresh token family: the token is
+// rotated on every refresh and the hashes of spent tokens are kept so a replay
+// of any of them can be recognised as reuse.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Session must belong to a user'],
+    index: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  // Set once the second login step (TOTP or recovery code) has been passed
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  userAgent: String,
+  ipAddress: String,
+  device: {
+    browser: String,
+    os: String,
+    type: {
+      type: String,
+      enum: ['desktop', 'mobile', 'tablet', 'unknown'],
+      default: 'unknown'
+    }
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_revoked', 'token_reuse', 'password_changed', 'admin']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Let MongoDB drop sessions a week after they can no longer be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,6 @@
 // backend/src/models/User.js
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const validator = require('validator');
@@ -19,8 +20,10 @@ const userSchema = new mongoose.Schema({
   },
   email: {
     type: String,
-    required: [true, 'Email is required'],
+    // Phone signups may add an email later
+    required: [function() { return this.signupMethod !== 'phone'; }, 'Email is required'],
     unique: true,
+    sparse: true,
     lowercase: true,
     validate: {
       validator: function(email) {
@@ -39,9 +42,20 @@ const userSchema = new mongoose.Schema({
       message: 'Please provide a valid Kenyan phone number (254XXXXXXXXX)'
     }
   },
+  phoneVerified: {
+    type: Boolean,
+    default: false
+  },
+  phoneVerifiedAt: Date,
+  // How the account was created; phone accounts log in with SMS codes
+  signupMethod: {
+    type: String,
+    enum: ['email', 'phone'],
+    default: 'email'
+  },
   password: {
     type: String,
-    required: [true, 'Password is required'],
+    required: [function() { return this.signupMethod !== 'phone'; }, 'Password is required'],
     minlength: 8,
     select: false
   },
@@ -60,14 +74,71 @@ const userSchema = new mongoose.Schema({
   },
   verificationToken: String,
   verificationTokenExpires: Date,
+  verificationSentAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
+  passwordChangedAt: Date,
+  // Failed password logins in the current window, and the lock they triggered
+  loginAttempts: {
+    type: Number,
+    default: 0,
+    select: false
+  },
+  lockUntil: {
+    type: Date,
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // TOTP secrets are encrypted, not hashed, because codes are derived from them
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    failedAttempts: {
+      type: Number,
+      default: 0,
+      select: false
+    },
+    lockedUntil: {
+      type: Date,
+      select: false
+    },
+    enabledAt: Date
+  },
   addresses: [{
-    name: String,
-    phone: String,
-    address: String,
-    city: String,
-    county: String,
+    label: { type: String, trim: true, maxlength: 30 },
+    name: { type: String, required: [true, 'Recipient name is required'], trim: true },
+    phone: { type: String, required: [true, 'Phone number is required'] },
+    address: { type: String, required: [true, 'Street address is required'], trim: true },
+    city: { type: String, required: [true, 'City is required'], trim: true },
+    county: { type: String, required: [true, 'County is required'], trim: true },
+    isDefault: { type: Boolean, default: false }
+  }],
+  // Saved M-Pesa numbers for checkout; card details are never stored here
+  paymentMethods: [{
+    type: { type: String, enum: ['mpesa'], default: 'mpesa' },
+    phone: { type: String, required: [true, 'Phone number is required'] },
+    label: { type: String, trim: true, maxlength: 30 },
     isDefault: { type: Boolean, default: false }
   }],
   wishlist: [{
@@ -77,7 +148,15 @@ const userSchema = new mongoose.Schema({
   preferences: {
     newsletter: { type: Boolean, default: true },
     smsNotifications: { type: Boolean, default: true },
-    categories: [String]
+    orderUpdates: { type: Boolean, default: true },
+    promotions: { type: Boolean, default: false },
+    wishlistAlerts: { type: Boolean, default: true },
+    categories: [String],
+    privacy: {
+      profileVisibility: { type: String, enum: ['public', 'private'], default: 'private' },
+      showPurchaseHistory: { type: Boolean, default: false },
+      allowReviews: { type: Boolean, default: true }
+    }
   },
   lastLogin: Date,
   isActive: {
@@ -90,8 +169,7 @@ const userSchema = new mongoose.Schema({
   toObject: { virtuals: true }
 });
 
-// Indexes
-userSchema.index({ email: 1 });
+// Indexes (email is indexed by its unique option)
 userSchema.index({ phone: 1 });
 userSchema.index({ role: 1 });
 
@@ -107,9 +185,63 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Record when the password changed so older JWTs stop working
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) return next();
+  // Backdate by a second so a token issued right after the change stays valid
+  this.passwordChangedAt = Date.now() - 1000;
+  next();
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
+  // Phone signups have no password until they set one
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether the password changed after a JWT was issued
+userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > JWTTimestamp;
+};
+
+// Whether failed logins have locked the account (needs +lockUntil selected)
+userSchema.virtual('isLocked').get(function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Hash a reset or verification token for storage
+userSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Create a password reset token for an emailed link; only the hash is stored.
+// Codes sent by SMS go through phoneOtpService instead.
+userSchema.methods.createPasswordResetToken = function({ expiresInMinutes = 10 } = {}) {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+
+  this.passwordResetToken = this.constructor.hashToken(resetToken);
+  this.passwordResetExpires = Date.now() + expiresInMinutes * 60 * 1000;
+
+  return resetToken;
+};
+
+// Create an email verification token; only the hash is stored
+userSchema.methods.createVerificationToken = function({ expiresInHours = 24 } = {}) {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.verificationToken = this.constructor.hashToken(verificationToken);
+  this.verificationTokenExpires = Date.now() + expiresInHours * 60 * 60 * 1000;
+  this.verificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
+// Clear any outstanding password reset credentials
+userSchema.methods.clearPasswordReset = function() {
+  this.passwordResetToken = undefined;
+  this.passwordResetExpires = undefined;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -26,6 +26,7 @@ const {
   updateUser,
   deactivateUser,
   activateUser,
+  unlockUser,
   deleteUser,
   getUserAnalytics,
   bulkUserOperations
@@ -39,6 +40,57 @@ const {
   getOrderStats
 } = require('../controllers/orders/orderController');
 
+const {
+  addShipment,
+  addTrackingEvent
+} = require('../controllers/admin/adminShipmentController');
+
+const {
+  createRefund,
+  getOrderRefunds,
+  getWebhooks,
+  getPaymentWebhooks,
+  replayPaymentWebhook
+} = require('../controllers/admin/adminPaymentController');
+
+const {
+  getAllCoupons,
+  getCoupon,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../controllers/admin/adminCouponController');
+
+const {
+  getAllPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+} = require('../controllers/admin/adminPromotionController');
+
+const {
+  createAdjustment,
+  getMovements,
+  getStockReport
+} = require('../controllers/admin/adminInventoryController');
+
+const {
+  getReturns,
+  getReturn,
+  updateReturnStatus
+} = require('../controllers/admin/adminReturnController');
+
+const {
+  getPickupStations,
+  createPickupStation,
+  updatePickupStation,
+  getDeliverySlots,
+  setSlotCapacity
+} = require('../controllers/admin/adminDeliveryController');
+
+const { getVatReport } = require('../controllers/admin/adminReportController');
+
 const {
   getAllProducts,
   getProduct,
@@ -164,6 +216,13 @@ router.patch('/users/:id/activate', activateUser);
  */
 router.patch('/users/:id/deactivate', deactivateUser);
 
+/**
+ * @route   PATCH /api/admin/users/:id/unlock
+ * @desc    Unlock an account locked by failed logins
+ * @access  Admin
+ */
+router.patch('/users/:id/unlock', unlockUser);
+
 /**
  * @route   DELETE /api/admin/users/:id
  * @desc    Permanently delete user (super admin only)
@@ -203,6 +262,237 @@ router.get('/orders/:id', getOrder);
  */
 router.patch('/orders/:id/status', updateOrderStatus);
 
+/**
+ * @route   POST /api/admin/orders/:id/shipments
+ * @desc    Add a shipment (carrier and tracking number) to an order
+ * @access  Admin
+ */
+router.post('/orders/:id/shipments', addShipment);
+
+/**
+ * @route   POST /api/admin/orders/:id/shipments/:shipmentId/events
+ * @desc    Record a carrier tracking event on a shipment
+ * @access  Admin
+ */
+router.post('/orders/:id/shipments/:shipmentId/events', addTrackingEvent);
+
+/**
+ * @route   GET /api/admin/orders/:id/refunds
+ * @desc    Get the refunds on an order
+ * @access  Admin
+ */
+router.get('/orders/:id/refunds', getOrderRefunds);
+
+/**
+ * @route   POST /api/admin/orders/:id/refunds
+ * @desc    Refund an order in full or in part (M-Pesa reversal/B2C, or a manual record)
+ * @access  Admin
+ */
+router.post('/orders/:id/refunds', createRefund);
+
+// ======================
+// PAYMENT ROUTES
+// ======================
+
+/**
+ * @route   GET /api/admin/payments/webhooks
+ * @desc    Browse stored M-Pesa webhooks across payments
+ * @access  Admin
+ */
+router.get('/payments/webhooks', getWebhooks);
+
+/**
+ * @route   GET /api/admin/payments/:id/webhooks
+ * @desc    Get the webhook history for a payment
+ * @access  Admin
+ */
+router.get('/payments/:id/webhooks', getPaymentWebhooks);
+
+/**
+ * @route   POST /api/admin/payments/:id/webhooks/:webhookId/replay
+ * @desc    Replay a stored webhook (safe to repeat; processing is idempotent)
+ * @access  Admin
+ */
+router.post('/payments/:id/webhooks/:webhookId/replay', replayPaymentWebhook);
+
+// ======================
+// COUPON ROUTES
+// ======================
+
+/**
+ * @route   GET /api/admin/coupons
+ * @desc    Get all coupons with pagination and filtering
+ * @access  Admin
+ */
+router.get('/coupons', getAllCoupons);
+
+/**
+ * @route   POST /api/admin/coupons
+ * @desc    Create a coupon
+ * @access  Admin
+ */
+router.post('/coupons', createCoupon);
+
+/**
+ * @route   GET /api/admin/coupons/:id
+ * @desc    Get a coupon with its redemption history
+ * @access  Admin
+ */
+router.get('/coupons/:id', getCoupon);
+
+/**
+ * @route   PATCH /api/admin/coupons/:id
+ * @desc    Update a coupon
+ * @access  Admin
+ */
+router.patch('/coupons/:id', updateCoupon);
+
+/**
+ * @route   DELETE /api/admin/coupons/:id
+ * @desc    Delete a coupon that has never been redeemed
+ * @access  Admin
+ */
+router.delete('/coupons/:id', deleteCoupon);
+
+// ======================
+// PROMOTION ROUTES
+// ======================
+
+/**
+ * @route   GET /api/admin/promotions
+ * @desc    Get all promotions with pagination and filtering
+ * @access  Admin
+ */
+router.get('/promotions', getAllPromotions);
+
+/**
+ * @route   POST /api/admin/promotions
+ * @desc    Create an automatic cart promotion
+ * @access  Admin
+ */
+router.post('/promotions', createPromotion);
+
+/**
+ * @route   GET /api/admin/promotions/:id
+ * @desc    Get a promotion
+ * @access  Admin
+ */
+router.get('/promotions/:id', getPromotion);
+
+/**
+ * @route   PATCH /api/admin/promotions/:id
+ * @desc    Update a promotion
+ * @access  Admin
+ */
+router.patch('/promotions/:id', updatePromotion);
+
+/**
+ * @route   DELETE /api/admin/promotions/:id
+ * @desc    Delete a promotion
+ * @access  Admin
+ */
+router.delete('/promotions/:id', deletePromotion);
+
+// ======================
+// INVENTORY ROUTES
+// ======================
+
+/**
+ * @route   GET /api/admin/inventory/movements
+ * @desc    Get the inventory movement ledger, filterable by product, SKU, type and date
+ * @access  Admin
+ */
+router.get('/inventory/movements', getMovements);
+
+/**
+ * @route   GET /api/admin/inventory/report
+ * @desc    Get stock levels at a point in time
+ * @access  Admin
+ */
+router.get('/inventory/report', getStockReport);
+
+/**
+ * @route   POST /api/admin/inventory/:productId/adjustments
+ * @desc    Adjust a product's stock on hand with a reason
+ * @access  Admin
+ */
+router.post('/inventory/:productId/adjustments', createAdjustment);
+
+// ======================
+// RETURN ROUTES
+// ======================
+
+/**
+ * @route   GET /api/admin/returns
+ * @desc    Get return requests, oldest first (?status=requested for the approval queue)
+ * @access  Admin
+ */
+router.get('/returns', getReturns);
+
+/**
+ * @route   GET /api/admin/returns/:id
+ * @desc    Get a return request with its order and history
+ * @access  Admin
+ */
+router.get('/returns/:id', getReturn);
+
+/**
+ * @route   PATCH /api/admin/returns/:id/status
+ * @desc    Approve, reject, receive (restocks) or refund a return
+ * @access  Admin
+ */
+router.patch('/returns/:id/status', updateReturnStatus);
+
+// ======================
+// DELIVERY ROUTES
+// ======================
+
+/**
+ * @route   GET /api/admin/pickup-stations
+ * @desc    Get all pickup stations
+ * @access  Admin
+ */
+router.get('/pickup-stations', getPickupStations);
+
+/**
+ * @route   POST /api/admin/pickup-stations
+ * @desc    Create a pickup station with its opening hours and daily capacity
+ * @access  Admin
+ */
+router.post('/pickup-stations', createPickupStation);
+
+/**
+ * @route   PATCH /api/admin/pickup-stations/:id
+ * @desc    Update a pickup station (isActive: false stops new bookings)
+ * @access  Admin
+ */
+router.patch('/pickup-stations/:id', updatePickupStation);
+
+/**
+ * @route   GET /api/admin/delivery-slots
+ * @desc    Get booked delivery slots with their capacity, by day
+ * @access  Admin
+ */
+router.get('/delivery-slots', getDeliverySlots);
+
+/**
+ * @route   PUT /api/admin/delivery-slots
+ * @desc    Set the capacity of one delivery slot or pickup station day
+ * @access  Admin
+ */
+router.put('/delivery-slots', setSlotCapacity);
+
+// ======================
+// REPORT ROUTES
+// ======================
+
+/**
+ * @route   GET /api/admin/reports/vat
+ * @desc    Get output VAT per tax class and month for a period of invoices
+ * @access  Admin
+ */
+router.get('/reports/vat', getVatReport);
+
 // ======================
 // PRODUCT ROUTES
 // ======================
@@ -335,7 +625,14 @@ function getAdminPermissions(role) {
     'update_category',
     'view_users',
     'update_user',
-    'view_analytics'
+    'view_analytics',
+    'view_coupons',
+    'view_promotions',
+    'view_inventory',
+    'view_returns',
+    'manage_shipments',
+    'view_delivery',
+    'view_tax_reports'
   ];
 
   const adminPermissions = [
@@ -344,7 +641,13 @@ function getAdminPermissions(role) {
     'delete_category',
     'deactivate_user',
     'create_admin',
-    'bulk_operations'
+    'bulk_operations',
+    'manage_coupons',
+    'manage_promotions',
+    'manage_inventory',
+    'manage_returns',
+    'manage_refunds',
+    'manage_delivery'
   ];
 
   const superAdminPermissions = [
@@ -6,9 +6,24 @@ const {
   signup,
   login,
   logout,
+  refreshToken,
   getMe,
   registerAdmin,
+  verifyEmail,
+  resendVerification,
+  updatePassword,
+  forgotPassword,
+  validateResetToken,
+  resetPassword,
+  resetPasswordWithCode,
 } = require('../controllers/auth/authController');
+const {
+  getSessions,
+  deleteSession,
+  deleteOtherSessions,
+} = require('../controllers/auth/sessionController');
+const twoFactor = require('../controllers/auth/twoFactorController');
+const phoneAuth = require('../controllers/auth/phoneAuthController');
 
 const router = express.Router();
 
@@ -16,41 +31,31 @@ const router = express.Router();
 router.post('/signup', signup);
 router.post('/login', login);
 router.post('/logout', logout);
+router.post('/refresh-token', refreshToken);
+router.post('/2fa/verify', twoFactor.verifyLogin);
+router.post('/phone/request-code', phoneAuth.requestLoginCode);
+router.post('/phone/verify-code', phoneAuth.verifyLoginCode);
+router.post('/phone/signup', phoneAuth.completePhoneSignup);
 router.post('/admin/register', registerAdmin);
-
-// Placeholder routes for missing functions (temporary)
-router.get('/verify-email/:token', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Email verification endpoint - coming soon',
-    data: { token: req.params.token }
-  });
-});
-
-router.post('/forgot-password', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Password reset email sent (coming soon)',
-    data: { email: req.body.email }
-  });
-});
-
-router.patch('/reset-password/:token', (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Password reset successful (coming soon)',
-    data: { token: req.params.token }
-  });
-});
-
-router.patch('/update-password', protect, (req, res) => {
-  res.status(200).json({
-    success: true,
-    message: 'Password updated successfully (coming soon)'
-  });
-});
+router.get('/verify-email/:token', verifyEmail);
+router.post('/forgot-password', forgotPassword);
+router.get('/reset-password/:token', validateResetToken);
+router.patch('/reset-password/:token', resetPassword);
+router.patch('/reset-password', resetPasswordWithCode);
 
 // Protected routes
+router.post('/resend-verification', protect, resendVerification);
+router.patch('/update-password', protect, updatePassword);
 router.get('/me', protect, getMe);
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, deleteOtherSessions);
+router.delete('/sessions/:id', protect, deleteSession);
+router.post('/phone/send-verification', protect, phoneAuth.sendPhoneVerification);
+router.post('/phone/verify', protect, phoneAuth.verifyPhone);
+router.get('/2fa/status', protect, twoFactor.getStatus);
+router.post('/2fa/setup', protect, twoFactor.setup);
+router.post('/2fa/enable', protect, twoFactor.enable);
+router.post('/2fa/recovery-codes', protect, twoFactor.regenerateRecoveryCodes);
+router.post('/2fa/disable', protect, twoFactor.disable);
 
 module.exports = router;
\ No newline at end of file
@@ -1,7 +1,7 @@
 // backend/src/routes/cart.js
 
 const express = require('express');
-const { protect } = require('../middleware/auth');
+const { identify } = require('../middleware/auth');
 const {
   getCart,
   addToCart,
@@ -10,13 +10,15 @@ const {
   clearCart,
   applyCoupon,
   removeCoupon,
-  getCartSummary
+  getCartSummary,
+  setDelivery
 } = require('../controllers/cart/cartController');
 
 const router = express.Router();
 
-// All cart routes require authentication
-router.use(protect);
+// Logged-in users shop with their own cart, guests with the one in their
+// cart cookie
+router.use(identify);
 
 // Cart management
 router.get('/', getCart);
@@ -28,6 +30,9 @@ router.post('/items', addToCart);
 router.patch('/items/:productId', updateCartItem);
 router.delete('/items/:productId', removeFromCart);
 
+// Delivery method, pickup station and slot
+router.put('/delivery', setDelivery);
+
 // Coupon management
 router.post('/coupon', applyCoupon);
 router.delete('/coupon/:couponCode', removeCoupon);
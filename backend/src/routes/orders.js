@@ -1,7 +1,8 @@
 // backend/src/routes/orders.js
 
 const express = require('express');
-const { protect, restrictTo } = require('../middleware/auth');
+const rateLimit = require('express-rate-limit');
+const { protect, identify, protectBuyer, restrictTo } = require('../middleware/auth');
 const {
   createOrder,
   getMyOrders,
@@ -9,19 +10,60 @@ const {
   updateOrderStatus,
   cancelOrder,
   getOrderStats,
-  getAllOrders  // Added this
+  getAllOrders,  // Added this
+  requestGuestOrderLink
 } = require('../controllers/orders/orderController');
+const { requestReturn, getOrderReturns } = require('../controllers/orders/returnController');
+const { getOrderTracking, trackOrder } = require('../controllers/orders/trackingController');
+const { getOrderReceipt, downloadInvoice } = require('../controllers/orders/invoiceController');
 
 const router = express.Router();
 
+// Guest lookups are keyed on guessable order numbers, so keep attempts low
+const trackLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: {
+    status: 'error',
+    message: 'Too many tracking lookups, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Each request sends an email or SMS, so allow only a few
+const guestLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: {
+    status: 'error',
+    message: 'Too many order link requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Public routes
+router.post('/track', trackLimiter, trackOrder);
+router.post('/guest/link', guestLinkLimiter, requestGuestOrderLink);
+
+// Checkout, logged in or as a guest
+router.post('/', identify, createOrder);
+
+// Customer routes guests can reach with their order link too
+router.get('/my-orders', protectBuyer, getMyOrders);
+router.get('/:id', protectBuyer, getOrder);
+router.get('/:id/tracking', protectBuyer, getOrderTracking);
+router.get('/:id/receipt', protectBuyer, getOrderReceipt);
+router.get('/:id/invoice.pdf', protectBuyer, downloadInvoice);
+
 // Protected routes
 router.use(protect);
 
 // Customer routes
-router.post('/', createOrder);
-router.get('/my-orders', getMyOrders);
-router.get('/:id', getOrder);
 router.patch('/:id/cancel', cancelOrder);
+router.post('/:id/return', requestReturn);
+router.get('/:id/returns', getOrderReturns);
 
 // Admin routes
 router.use(restrictTo('admin', 'super_admin'));
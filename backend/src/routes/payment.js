@@ -1,22 +1,27 @@
 // backend/src/routes/payment.js
 
 const express = require('express');
-const { protect } = require('../middleware/auth');
+const { protectBuyer } = require('../middleware/auth');
+const { verifyMpesaCallback } = require('../middleware/mpesaCallback');
 const {
   initiateMpesaPayment,
   mpesaCallback,
   mpesaTimeout,
+  mpesaRefundResult,
+  mpesaRefundTimeout,
   checkPaymentStatus,
 } = require('../controllers/payments/paymentController');
 
 const router = express.Router();
 
-// Public routes (for M-Pesa callbacks)
-router.post('/mpesa/callback', mpesaCallback);
-router.post('/mpesa/timeout', mpesaTimeout);
+// Public routes (for M-Pesa callbacks), on the secret path given to Daraja
+router.post('/mpesa/callback/:token', verifyMpesaCallback, mpesaCallback);
+router.post('/mpesa/timeout/:token', verifyMpesaCallback, mpesaTimeout);
+router.post('/mpesa/refund/result/:token', verifyMpesaCallback, mpesaRefundResult);
+router.post('/mpesa/refund/timeout/:token', verifyMpesaCallback, mpesaRefundTimeout);
 
-// Protected routes
-router.use(protect);
+// Protected routes, which guests reach with their order link
+router.use(protectBuyer);
 
 router.post('/mpesa/initiate', initiateMpesaPayment);
 router.get('/status/:paymentId', checkPaymentStatus);
@@ -0,0 +1,17 @@
+// backend/src/routes/shipping.js
+
+const express = require('express');
+const {
+  getShippingQuote,
+  getPickupStations,
+  getDeliverySlots
+} = require('../controllers/shipping/shippingController');
+
+const router = express.Router();
+
+// Public: guests see delivery prices in their cart too
+router.post('/quote', getShippingQuote);
+router.get('/pickup-stations', getPickupStations);
+router.get('/slots', getDeliverySlots);
+
+module.exports = router;
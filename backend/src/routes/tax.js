@@ -0,0 +1,11 @@
+// backend/src/routes/tax.js
+
+const express = require('express');
+const { getTaxSettings } = require('../controllers/tax/taxController');
+
+const router = express.Router();
+
+// Public: the shop shows prices with or without VAT before anyone signs in
+router.get('/settings', getTaxSettings);
+
+module.exports = router;
@@ -0,0 +1,65 @@
+// backend/src/routes/users.js
+
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { updatePassword } = require('../controllers/auth/authController');
+const {
+  getMe,
+  updateMe,
+  uploadAvatar,
+  getAddresses,
+  addAddress,
+  updateAddress,
+  deleteAddress,
+  getPaymentMethods,
+  addPaymentMethod,
+  removePaymentMethod,
+  getNotificationPreferences,
+  updateNotificationPreferences,
+  getPreferences,
+  updatePreferences
+} = require('../controllers/users/userController');
+const {
+  getWishlist,
+  addToWishlist,
+  removeFromWishlist,
+  mergeWishlist,
+  moveToCart
+} = require('../controllers/users/wishlistController');
+
+const router = express.Router();
+
+// All user routes act on the logged-in account
+router.use(protect);
+
+// Profile
+router.get('/me', getMe);
+router.patch('/me', updateMe);
+router.patch('/me/password', updatePassword);
+router.patch('/upload-avatar', uploadAvatar);
+
+// Addresses
+router.get('/me/addresses', getAddresses);
+router.post('/me/addresses', addAddress);
+router.put('/me/addresses/:addressId', updateAddress);
+router.delete('/me/addresses/:addressId', deleteAddress);
+
+// Payment methods
+router.get('/me/payment-methods', getPaymentMethods);
+router.post('/me/payment-methods', addPaymentMethod);
+router.delete('/me/payment-methods/:methodId', removePaymentMethod);
+
+// Wishlist
+router.get('/me/wishlist', getWishlist);
+router.post('/me/wishlist', addToWishlist);
+router.post('/me/wishlist/merge', mergeWishlist);
+router.delete('/me/wishlist/:productId', removeFromWishlist);
+router.post('/me/wishlist/:productId/move-to-cart', moveToCart);
+
+// Preferences
+router.get('/me/notifications/preferences', getNotificationPreferences);
+router.patch('/me/notifications/preferences', updateNotificationPreferences);
+router.get('/me/preferences', getPreferences);
+router.patch('/me/preferences', updatePreferences);
+
+module.exports = router;
@@ -2,7 +2,8 @@
 
 require('dotenv').config();
 const app = require('./app');
-const { connectDB } = require('./config/database');
+const { connectDB, rebuildStaleIndexes } = require('./config/database');
+const { logger } = require('./config/logger');
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
@@ -11,13 +12,30 @@ process.on('uncaughtException', (err) => {
   process.exit(1);
 });
 
+// Run a background job every `ms`, logging failures; returns the timer
+const every = (ms, name, job) => setInterval(() => {
+  job().catch((error) => {
+    logger.error(`${name} failed`, { error: error.message });
+  });
+}, ms).unref();
+
 async function startServer() {
   try {
     console.log('🚀 Starting ShopSawa E-commerce Server...');
     
     // Connect to database
     await connectDB();
-    
+    await rebuildStaleIndexes();
+
+    // Give back stock held for M-Pesa payments that never completed, and
+    // delivery slots held by checkouts that were abandoned
+    const { releaseExpiredReservations } = require('./services/inventory/inventoryService');
+    const { releaseExpiredHolds } = require('./services/shipping/deliverySlotService');
+    const jobs = [
+      every(60 * 1000, 'Releasing expired stock reservations', releaseExpiredReservations),
+      every(60 * 1000, 'Releasing expired delivery slot holds', releaseExpiredHolds),
+    ];
+
     // Initialize other services
     //const { connectRedis } = require('./config/redis');
     //await connectRedis();
@@ -46,6 +64,7 @@ async function startServer() {
     // Graceful shutdown
     process.on('SIGTERM', () => {
       console.log('👋 SIGTERM RECEIVED. Shutting down gracefully');
+      jobs.forEach(clearInterval);
       server.close(() => {
         console.log('💥 Process terminated!');
       });
@@ -0,0 +1,165 @@
+// backend/src/services/auth/loginProtectionService.js
+
+// Brute-force protection for password login. Failures are counted per
+// submitted email and per client IP in Redis, or in Mongo when Redis is down.
+// Repeated failures slow responses down, and too many lock the account for a
+// while and tell its owner.
+
+const User = require('../../models/User');
+const AppError = require('../../utils/appError');
+const EmailService = require('../email/emailService');
+const SMSService = require('../sms/smsService');
+const rateLimits = require('./rateLimitService');
+const { authConfig } = require('../../config/auth');
+const { authLogger, securityLogger } = require('../../config/logger');
+
+// Keyed by email rather than user id so unknown accounts behave the same
+const emailKey = (email) => `login-fail:email:${String(email).trim().toLowerCase()}`;
+const ipKey = (ip) => `login-fail:ip:${ip}`;
+
+const windowMs = () => authConfig.loginProtection.attemptWindowMinutes * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const increment = (key) => rateLimits.increment(key, windowMs());
+
+const delayFor = (failures) => {
+  const { delayAfter, baseDelayMs, maxDelayMs } = authConfig.loginProtection;
+  if (failures <= delayAfter) return 0;
+  return Math.min(baseDelayMs * 2 ** (failures - delayAfter - 1), maxDelayMs);
+};
+
+const minutesUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 60000), 1);
+
+/**
+ * Refuse a client IP that has failed too many logins across all accounts.
+ * Call before looking at the password.
+ */
+const assertIpAllowed = async (req) => {
+  const failures = await rateLimits.peek(ipKey(req.ip));
+
+  if (failures >= authConfig.loginProtection.maxFailedPerIp) {
+    securityLogger.suspiciousActivity('login_ip_blocked', { failures }, req.ip, req.get('user-agent'));
+    throw new AppError('Too many failed login attempts. Please try again later.', 429);
+  }
+};
+
+const lockedError = (lockUntil) => {
+  const minutes = minutesUntil(lockUntil);
+  return new AppError(
+    `Your account is temporarily locked after too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`,
+    423
+  );
+};
+
+/**
+ * Refuse a locked account, whatever password was given. The user must have
+ * been loaded with +lockUntil.
+ */
+const assertNotLocked = (user) => {
+  if (user && user.isLocked) {
+    throw lockedError(user.lockUntil);
+  }
+};
+
+// Email and SMS the owner; failures here must not affect the login response
+const notifyLocked = (user, ipAddress) => {
+  const { lockMinutes } = authConfig.loginProtection;
+  const resetURL = `${process.env.FRONTEND_URL || 'http://localhost:3000'}/forgot-password`;
+
+  if (user.email) {
+    new EmailService(user, resetURL).sendAccountLocked({ lockMinutes, ipAddress }).catch((err) => {
+      authLogger.error('Failed to send account locked email', { userId: user._id, error: err.message });
+    });
+  }
+
+  if (user.phone) {
+    new SMSService().sendAccountLocked(user.phone, lockMinutes).catch((err) => {
+      authLogger.error('Failed to send account locked SMS', { userId: user._id, error: err.message });
+    });
+  }
+};
+
+const lockAccount = async (user, failures, req) => {
+  const { lockMinutes } = authConfig.loginProtection;
+  const lockUntil = new Date(Date.now() + lockMinutes * 60 * 1000);
+
+  // Only the request that actually sets the lock logs and notifies
+  const result = await User.updateOne(
+    { _id: user._id, $or: [{ lockUntil: null }, { lockUntil: { $lte: new Date() } }] },
+    { $set: { lockUntil, loginAttempts: failures } }
+  );
+
+  if (result.modifiedCount === 0) return null;
+
+  // Failures after the lock expires start a fresh count
+  await rateLimits.reset(emailKey(user.email));
+
+  securityLogger.suspiciousActivity(
+    'account_locked',
+    { userId: user._id, email: user.email, failures, lockUntil },
+    req.ip,
+    req.get('user-agent')
+  );
+
+  notifyLocked(user, req.ip);
+
+  return lockUntil;
+};
+
+/**
+ * Count a failed password login for the submitted email and the client IP,
+ * lock the account at the limit, and hold the response back progressively.
+ * Resolves to { lockedUntil } when this failure locked the account.
+ */
+const recordFailure = async (req, email, user) => {
+  const [emailFailures, ipFailures] = await Promise.all([
+    increment(emailKey(email)),
+    increment(ipKey(req.ip))
+  ]);
+
+  securityLogger.authAttempt(email, false, req.ip, req.get('user-agent'));
+
+  let lockedUntil = null;
+  if (user) {
+    if (emailFailures >= authConfig.loginProtection.maxFailedAttempts) {
+      lockedUntil = await lockAccount(user, emailFailures, req);
+    } else {
+      await User.updateOne({ _id: user._id }, { $set: { loginAttempts: emailFailures } });
+    }
+  }
+
+  await sleep(delayFor(emailFailures));
+
+  return { emailFailures, ipFailures, lockedUntil };
+};
+
+/**
+ * Clear the failure count after a correct password
+ */
+const recordSuccess = async (req, user) => {
+  if (user.email) await rateLimits.reset(emailKey(user.email));
+
+  if (user.loginAttempts || user.lockUntil) {
+    await User.updateOne({ _id: user._id }, { $set: { loginAttempts: 0 }, $unset: { lockUntil: 1 } });
+  }
+
+  securityLogger.authAttempt(user.email, true, req.ip, req.get('user-agent'));
+};
+
+/**
+ * Lift a lock early, e.g. by an admin or after a password reset
+ */
+const unlockAccount = async (user) => {
+  await User.updateOne({ _id: user._id }, { $set: { loginAttempts: 0 }, $unset: { lockUntil: 1 } });
+  if (user.email) await rateLimits.reset(emailKey(user.email));
+};
+
+module.exports = {
+  lockedError,
+  assertIpAllowed,
+  assertNotLocked,
+  recordFailure,
+  recordSuccess,
+  unlockAccount
+};
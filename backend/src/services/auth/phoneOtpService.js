@@ -0,0 +1,219 @@
+// backend/src/services/auth/phoneOtpService.js
+
+// One-time SMS codes for passwordless login, phone verification and password
+// resets: issuance is throttled per number and per IP, codes are stored
+// hashed, and each code allows a limited number of guesses.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const PhoneOtp = require('../../models/PhoneOtp');
+const User = require('../../models/User');
+const RateLimitCounter = require('../../models/RateLimitCounter');
+const AppError = require('../../utils/appError');
+const SMSService = require('../sms/smsService');
+const rateLimits = require('./rateLimitService');
+const { formatPhoneNumber, validatePhoneNumber } = require('../../config/sms');
+const { authConfig } = require('../../config/auth');
+const { securityLogger, smsLogger } = require('../../config/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const SIGNUP_PURPOSE = 'phone_signup';
+
+// Keyed hash: a six digit code is trivial to brute force from a plain digest
+const hashCode = (phone, code) => crypto
+  .createHmac('sha256', process.env.JWT_SECRET)
+  .update(`${phone}:${String(code).trim()}`)
+  .digest('hex');
+
+const normalisePhone = (phone) => {
+  if (!phone || !validatePhoneNumber(String(phone))) {
+    throw new AppError('Please provide a valid Kenyan phone number', 400);
+  }
+  return formatPhoneNumber(String(phone));
+};
+
+const generateCode = () => {
+  const { codeLength } = authConfig.phoneOtp;
+  return crypto.randomInt(0, 10 ** codeLength).toString().padStart(codeLength, '0');
+};
+
+const sendCode = (purpose, phone, code, expiresMinutes) => {
+  const sms = new SMSService();
+  return purpose === 'password_reset'
+    ? sms.sendPasswordResetCode(phone, code, expiresMinutes)
+    : sms.sendLoginCode(phone, code, expiresMinutes);
+};
+
+/**
+ * Count a request for a code against the number's and the client's limits
+ * without sending one, so numbers nobody has can be throttled like the rest.
+ * Throws 429 during the resend cooldown or once an hourly limit is reached;
+ * resolves to the cooldown's key.
+ */
+const throttle = async (phone, purpose, req) => {
+  const { resendCooldownSeconds, maxPerPhonePerHour, maxPerIpPerHour } = authConfig.phoneOtp;
+
+  // Taken atomically so parallel requests cannot both send a code
+  const cooldownKey = `phone-otp:cooldown:${purpose}:${phone}`;
+  if (!(await RateLimitCounter.claim(cooldownKey, resendCooldownSeconds * 1000))) {
+    const held = await RateLimitCounter.findOne({ key: cooldownKey });
+    const waitSeconds = held ? Math.max(Math.ceil((held.expiresAt.getTime() - Date.now()) / 1000), 1) : resendCooldownSeconds;
+    throw new AppError(`Please wait ${waitSeconds} seconds before requesting another code`, 429);
+  }
+
+  const [phoneCount, ipCount] = await Promise.all([
+    rateLimits.increment(`phone-otp:phone:${phone}`, HOUR_MS),
+    rateLimits.increment(`phone-otp:ip:${req.ip}`, HOUR_MS)
+  ]);
+
+  if (phoneCount > maxPerPhonePerHour || ipCount > maxPerIpPerHour) {
+    securityLogger.suspiciousActivity(
+      'phone_otp_rate_limited',
+      { phone, purpose, phoneCount, ipCount },
+      req.ip,
+      req.get('user-agent')
+    );
+    throw new AppError('Too many codes requested. Please try again later.', 429);
+  }
+
+  return cooldownKey;
+};
+
+/**
+ * Create a code for a phone number and send it by SMS.
+ * Throws 429 during the resend cooldown or once an hourly limit is reached.
+ * With carryAttempts a new code starts with the wrong guesses made on the
+ * last unused one from the past hour, so asking again buys no more guesses.
+ */
+const issueCode = async (phoneInput, purpose, req, { user, carryAttempts = false } = {}) => {
+  const phone = normalisePhone(phoneInput);
+  const { resendCooldownSeconds, expiresMinutes } = authConfig.phoneOtp;
+
+  const cooldownKey = await throttle(phone, purpose, req);
+
+  const previous = carryAttempts && await PhoneOtp.findOne({
+    phone,
+    purpose,
+    consumedAt: null,
+    createdAt: { $gte: new Date(Date.now() - HOUR_MS) }
+  }).sort({ createdAt: -1 });
+
+  const code = generateCode();
+  const otp = await PhoneOtp.create({
+    phone,
+    purpose,
+    user,
+    codeHash: hashCode(phone, code),
+    attempts: previous ? previous.attempts : 0,
+    ipAddress: req.ip,
+    expiresAt: new Date(Date.now() + expiresMinutes * 60 * 1000)
+  });
+
+  try {
+    await sendCode(purpose, phone, code, expiresMinutes);
+  } catch (error) {
+    await Promise.all([PhoneOtp.deleteOne({ _id: otp._id }), RateLimitCounter.deleteOne({ key: cooldownKey })]);
+    smsLogger.error('Failed to send phone OTP', { phone, purpose, error: error.message });
+    throw new AppError('We could not send a code to that number. Please try again.', 502);
+  }
+
+  return { phone, expiresInMinutes: expiresMinutes, resendAfterSeconds: resendCooldownSeconds };
+};
+
+/**
+ * Check a code against the newest one issued for the phone and purpose and
+ * consume it. Resolves to the normalised phone number.
+ */
+const verifyCode = async (phoneInput, purpose, code, { user } = {}) => {
+  const phone = normalisePhone(phoneInput);
+  const { maxAttempts } = authConfig.phoneOtp;
+
+  const otp = await PhoneOtp.findOne({ phone, purpose, ...(user && { user }) })
+    .sort({ createdAt: -1 })
+    .select('+codeHash');
+
+  if (!code || !otp || otp.consumedAt || otp.expiresAt <= new Date()) {
+    throw new AppError('Code is invalid or has expired', 400);
+  }
+
+  // Count the guess before comparing so parallel guesses cannot exceed the limit
+  const counted = await PhoneOtp.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null, attempts: { $lt: maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!counted) {
+    throw new AppError('Too many incorrect codes. Please request a new one.', 429);
+  }
+
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(otp.codeHash, 'hex'),
+    Buffer.from(hashCode(phone, code), 'hex')
+  );
+
+  if (!matches) {
+    if (counted.attempts >= maxAttempts) {
+      securityLogger.suspiciousActivity('phone_otp_exhausted', { phone, purpose }, otp.ipAddress);
+    }
+    throw new AppError('Code is invalid or has expired', 400);
+  }
+
+  const consumed = await PhoneOtp.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+
+  if (!consumed) {
+    throw new AppError('Code is invalid or has expired', 400);
+  }
+
+  return phone;
+};
+
+/**
+ * The account registered to a phone number, or null. Several accounts can
+ * share a number, in which case phone login is ambiguous and refused.
+ */
+const findAccountByPhone = async (phone) => {
+  const users = await User.find({ phone }).select('+isActive').limit(2);
+
+  if (users.length > 1) {
+    throw new AppError('More than one account uses this phone number. Please log in with your email.', 409);
+  }
+
+  return users[0] || null;
+};
+
+const markPhoneVerified = (userId) => User.updateOne(
+  { _id: userId, phoneVerified: { $ne: true } },
+  { $set: { phoneVerified: true, phoneVerifiedAt: new Date() } }
+);
+
+// Proof that a phone number passed OTP, exchanged for an account at /auth/phone/signup
+const signSignupToken = (phone) => jwt.sign(
+  { phone, purpose: SIGNUP_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: authConfig.phoneOtp.signupTokenExpiresIn }
+);
+
+const verifySignupToken = (signupToken) => {
+  try {
+    const decoded = jwt.verify(signupToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== SIGNUP_PURPOSE) throw new Error('Wrong token purpose');
+    return decoded.phone;
+  } catch (error) {
+    throw new AppError('Your phone verification has expired. Please request a new code.', 401);
+  }
+};
+
+module.exports = {
+  normalisePhone,
+  throttle,
+  issueCode,
+  verifyCode,
+  findAccountByPhone,
+  markPhoneVerified,
+  signSignupToken,
+  verifySignupToken
+};
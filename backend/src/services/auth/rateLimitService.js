@@ -0,0 +1,35 @@
+// backend/src/services/auth/rateLimitService.js
+
+// Counters behind the auth throttles (failed logins, verification emails,
+// phone codes). They live in Redis when it is connected and in Mongo
+// otherwise, so the limits hold either way: the Redis rateLimit helpers on
+// their own count every hit as the first when Redis is down.
+
+const RateLimitCounter = require('../../models/RateLimitCounter');
+const { rateLimit, isRedisAvailable } = require('../../config/redis');
+
+/**
+ * Count a hit on `key` within a sliding window of `windowMs` and resolve to
+ * the count so far
+ */
+const increment = (key, windowMs) => (isRedisAvailable()
+  ? rateLimit.increment(key, windowMs)
+  : RateLimitCounter.hit(key, windowMs));
+
+/**
+ * The current count for `key`, without counting a hit
+ */
+const peek = async (key) => {
+  if (isRedisAvailable()) return rateLimit.get(key);
+
+  const counter = await RateLimitCounter.findOne({ key, expiresAt: { $gt: new Date() } });
+  return counter ? counter.count : 0;
+};
+
+const reset = (key) => (isRedisAvailable() ? rateLimit.reset(key) : RateLimitCounter.deleteOne({ key }));
+
+module.exports = {
+  increment,
+  peek,
+  reset
+};
@@ -0,0 +1,228 @@
+// backend/src/services/auth/sessionService.js
+
+// Server-side refresh token sessions. Sessions live in MongoDB; the Redis
+// session helpers cache the "is this session still alive" check that protect
+// runs on every request, and are simply skipped when Redis is unavailable.
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../../models/Session');
+const AppError = require('../../utils/appError');
+const { authConfig } = require('../../config/auth');
+const { session: sessionCache } = require('../../config/redis');
+const { securityLogger, authLogger } = require('../../config/logger');
+
+// Spent token hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 200;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(48).toString('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the family can be found from the token alone
+const buildRefreshToken = (sessionId, secret) => `${sessionId}.${secret}`;
+
+const parseRefreshToken = (token) => {
+  if (typeof token !== 'string') return null;
+
+  const [sessionId, secret] = token.split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) return null;
+
+  return { sessionId, secret };
+};
+
+const parseUserAgent = (userAgent = '') => {
+  const browser = (/(Edg|OPR|Chrome|Firefox|Safari)\/[\d.]+/.exec(userAgent) || [])[1];
+  const os = (/(Windows|Android|iPhone|iPad|Mac OS X|Linux)/.exec(userAgent) || [])[1];
+
+  let type = 'unknown';
+  if (/iPad|Tablet/.test(userAgent)) type = 'tablet';
+  else if (/Mobi|Android|iPhone/.test(userAgent)) type = 'mobile';
+  else if (os) type = 'desktop';
+
+  return {
+    browser: { Edg: 'Edge', OPR: 'Opera' }[browser] || browser,
+    os: os === 'Mac OS X' ? 'macOS' : os,
+    type
+  };
+};
+
+const refreshExpiry = () =>
+  new Date(Date.now() + authConfig.tokens.refreshTokenExpiresDays * 24 * 60 * 60 * 1000);
+
+const cacheSession = (session) => sessionCache.set(
+  session._id.toString(),
+  { user: session.user.toString() },
+  authConfig.tokens.sessionCacheSeconds
+);
+
+/**
+ * Start a new session (token family) for a user who has just authenticated.
+ * Resolves to { session, refreshToken }.
+ */
+const createSession = async (user, req, { twoFactorVerified = false } = {}) => {
+  const secret = generateSecret();
+  const userAgent = req.get ? req.get('user-agent') : undefined;
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    userAgent,
+    ipAddress: req.ip,
+    device: parseUserAgent(userAgent),
+    twoFactorVerified,
+    expiresAt: refreshExpiry()
+  });
+
+  await cacheSession(session);
+
+  return { session, refreshToken: buildRefreshToken(session._id, secret) };
+};
+
+/**
+ * Record that a session has passed the second login step
+ */
+const markTwoFactorVerified = (sessionId) =>
+  Session.findByIdAndUpdate(sessionId, { $set: { twoFactorVerified: true } }, { new: true });
+
+const revokeSession = async (sessionId, reason) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await sessionCache.del(sessionId.toString());
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Revoke every active session for a user, optionally keeping one
+ */
+const revokeUserSessions = async (userId, reason, { except } = {}) => {
+  const filter = { user: userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+
+  const sessions = await Session.find(filter).select('_id');
+  if (sessions.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map((s) => s._id) }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await Promise.all(sessions.map((s) => sessionCache.del(s._id.toString())));
+
+  return sessions.length;
+};
+
+/**
+ * Exchange a refresh token for a new one. The presented token is spent
+ * atomically, so of two concurrent refreshes with the same token only one
+ * succeeds. Presenting an already spent token is treated as theft and
+ * revokes the whole family, unless it is the token spent a moment ago.
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new AppError('Invalid refresh token. Please log in again.', 401);
+  }
+
+  const presentedHash = hashToken(parsed.secret);
+  const secret = generateSecret();
+
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: presentedHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        lastUsedAt: new Date(),
+        ipAddress: req.ip
+      },
+      $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_TOKENS } },
+      $inc: { rotationCount: 1 }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    await cacheSession(session);
+    return { session, refreshToken: buildRefreshToken(session._id, secret) };
+  }
+
+  const existing = await Session.findById(parsed.sessionId).select('+previousTokenHashes');
+  const spent = existing ? existing.previousTokenHashes : [];
+  const racedRefresh = spent[spent.length - 1] === presentedHash &&
+    Date.now() - existing.lastUsedAt.getTime() < authConfig.tokens.refreshReuseGraceSeconds * 1000;
+
+  if (racedRefresh) {
+    authLogger.info('Refresh token already rotated by a concurrent request', { sessionId: existing._id, ip: req.ip });
+  } else if (spent.includes(presentedHash)) {
+    await revokeSession(existing._id, 'token_reuse');
+    securityLogger.suspiciousActivity(
+      'refresh_token_reuse',
+      { sessionId: existing._id, userId: existing.user, action: 'session_family_revoked' },
+      req.ip,
+      req.get ? req.get('user-agent') : undefined
+    );
+  } else {
+    authLogger.info('Rejected refresh token', { sessionId: parsed.sessionId, ip: req.ip });
+  }
+
+  throw new AppError('Invalid refresh token. Please log in again.', 401);
+};
+
+/**
+ * Revoke the session a refresh token belongs to, if the token is current
+ */
+const revokeByRefreshToken = async (refreshToken, reason) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const session = await Session.findOne({
+    _id: parsed.sessionId,
+    refreshTokenHash: hashToken(parsed.secret)
+  });
+  if (!session) return false;
+
+  return revokeSession(session._id, reason);
+};
+
+/**
+ * Whether an access token's session is still alive
+ */
+const isSessionActive = async (sessionId, userId) => {
+  const cached = await sessionCache.get(sessionId);
+  if (cached) return cached.user === String(userId);
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  });
+  if (!session) return false;
+
+  await cacheSession(session);
+  return true;
+};
+
+const listSessions = (userId) => Session.find({
+  user: userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() }
+}).sort('-lastUsedAt');
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  markTwoFactorVerified,
+  revokeSession,
+  revokeUserSessions,
+  revokeByRefreshToken,
+  isSessionActive,
+  listSessions,
+  parseUserAgent
+};
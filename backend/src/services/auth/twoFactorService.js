@@ -0,0 +1,260 @@
+// backend/src/services/auth/twoFactorService.js
+
+// TOTP (RFC 6238) two-factor authentication: enrolment, code checks with
+// replay protection, recovery codes and the short-lived login challenge that
+// links the password step to the code step.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+const User = require('../../models/User');
+const AppError = require('../../utils/appError');
+const { authConfig } = require('../../config/auth');
+const { securityLogger } = require('../../config/logger');
+
+const STEP_SECONDS = 30;
+const CHALLENGE_PURPOSE = '2fa_login';
+
+const encryptionKey = () => {
+  if (process.env.TWO_FACTOR_ENCRYPTION_KEY) {
+    return Buffer.from(process.env.TWO_FACTOR_ENCRYPTION_KEY, 'hex');
+  }
+  return crypto.createHash('sha256').update(`2fa:${process.env.JWT_SECRET}`).digest();
+};
+
+// AES-256-GCM, stored as iv:tag:ciphertext
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('hex')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map((part) => Buffer.from(part, 'hex'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(String(code).replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+const generateRecoveryCodes = () => Array.from(
+  { length: authConfig.twoFactor.recoveryCodeCount },
+  () => crypto.randomBytes(5).toString('hex').replace(/^(.{5})/, '$1-')
+);
+
+const isAllowedForRole = (role) => authConfig.twoFactor.allowedRoles.includes(role);
+
+const isRequiredForRole = (role) => authConfig.twoFactor.requiredRoles.includes(role);
+
+/**
+ * The TOTP step a code matches, or null. Only codes newer than the last
+ * accepted step count, so an intercepted code cannot be used twice.
+ */
+const matchStep = (code, secret, lastUsedStep) => {
+  authenticator.options = { window: authConfig.twoFactor.window };
+  const delta = authenticator.checkDelta(String(code).replace(/\s/g, ''), secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+  if (lastUsedStep !== undefined && step <= lastUsedStep) return null;
+
+  return step;
+};
+
+/**
+ * Start enrolment: store an encrypted pending secret and return what the
+ * authenticator app needs
+ */
+const beginEnrolment = async (user) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, authConfig.twoFactor.issuer, secret);
+
+  await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+};
+
+/**
+ * Finish enrolment with a code from the app. Resolves to the plain recovery
+ * codes, which are only ever shown this once.
+ */
+const completeEnrolment = async (userId, code) => {
+  const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+
+  if (!user.twoFactor?.pendingSecret) {
+    throw new AppError('Start two-factor setup before confirming it', 400);
+  }
+
+  const step = matchStep(code, decryptSecret(user.twoFactor.pendingSecret));
+  if (step === null) {
+    throw new AppError('Invalid authentication code', 400);
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.enabledAt': new Date(),
+      'twoFactor.secret': user.twoFactor.pendingSecret,
+      'twoFactor.lastUsedStep': step,
+      'twoFactor.recoveryCodes': recoveryCodes.map((c) => ({ hash: hashRecoveryCode(c) })),
+      'twoFactor.failedAttempts': 0
+    },
+    $unset: { 'twoFactor.pendingSecret': 1, 'twoFactor.lockedUntil': 1 }
+  });
+
+  return recoveryCodes;
+};
+
+// Count a guess before checking it, so parallel guesses can't get past
+// maxAttempts. Resolves to how many guesses have now been made, or null
+// while the second factor is locked.
+const countAttempt = async (user) => {
+  const counted = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      $and: [
+        { $or: [{ 'twoFactor.failedAttempts': { $lt: authConfig.twoFactor.maxAttempts } }, { 'twoFactor.failedAttempts': null }] },
+        { $or: [{ 'twoFactor.lockedUntil': null }, { 'twoFactor.lockedUntil': { $lte: new Date() } }] }
+      ]
+    },
+    { $inc: { 'twoFactor.failedAttempts': 1 } },
+    { new: true }
+  ).select('+twoFactor.failedAttempts');
+
+  return counted ? counted.twoFactor.failedAttempts : null;
+};
+
+// A counted guess was wrong: lock the second factor once it was the last one allowed
+const recordFailure = async (user, attempts, req) => {
+  const { maxAttempts, lockMinutes } = authConfig.twoFactor;
+  if (attempts < maxAttempts) return;
+
+  await User.updateOne(
+    { _id: user._id, 'twoFactor.failedAttempts': { $gte: maxAttempts } },
+    { $set: { 'twoFactor.lockedUntil': new Date(Date.now() + lockMinutes * 60 * 1000), 'twoFactor.failedAttempts': 0 } }
+  );
+  securityLogger.suspiciousActivity(
+    'two_factor_locked',
+    { userId: user._id, attempts },
+    req.ip,
+    req.get ? req.get('user-agent') : undefined
+  );
+};
+
+/**
+ * Check a TOTP code or an unused recovery code for an enrolled user.
+ * Throws 429 while locked and 401 on a wrong code.
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }, req) => {
+  const user = await User.findById(userId).select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+  if (!user || !user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is not enabled for this account', 400);
+  }
+
+  const attempts = await countAttempt(user);
+  if (attempts === null) {
+    throw new AppError('Too many invalid codes. Please try again later.', 429);
+  }
+
+  if (recoveryCode) {
+    // Mark the code used in the same write that matches it, so it works once
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } }
+      },
+      { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date(), 'twoFactor.failedAttempts': 0 } }
+    );
+
+    if (result.modifiedCount === 0) {
+      await recordFailure(user, attempts, req);
+      throw new AppError('Invalid recovery code', 401);
+    }
+
+    return { user, method: 'recovery_code' };
+  }
+
+  const step = code ? matchStep(code, decryptSecret(user.twoFactor.secret), user.twoFactor.lastUsedStep) : null;
+
+  // Only advance lastUsedStep forwards, even if two requests race
+  const accepted = step !== null && (await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step, 'twoFactor.failedAttempts': 0 } }
+  )).modifiedCount > 0;
+
+  if (!accepted) {
+    await recordFailure(user, attempts, req);
+    throw new AppError('Invalid authentication code', 401);
+  }
+
+  return { user, method: 'totp' };
+};
+
+const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne({ _id: userId }, {
+    $set: { 'twoFactor.recoveryCodes': recoveryCodes.map((c) => ({ hash: hashRecoveryCode(c) })) }
+  });
+  return recoveryCodes;
+};
+
+const disable = (userId) => User.updateOne({ _id: userId }, {
+  $set: { 'twoFactor.enabled': false, 'twoFactor.failedAttempts': 0 },
+  $unset: {
+    'twoFactor.secret': 1,
+    'twoFactor.pendingSecret': 1,
+    'twoFactor.recoveryCodes': 1,
+    'twoFactor.lastUsedStep': 1,
+    'twoFactor.lockedUntil': 1,
+    'twoFactor.enabledAt': 1
+  }
+});
+
+const countRecoveryCodes = async (userId) => {
+  const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+  return (user.twoFactor?.recoveryCodes || []).filter((c) => !c.usedAt).length;
+};
+
+// Issued after a correct password; exchanged for real tokens at /auth/2fa/verify
+const signChallenge = (userId) => jwt.sign(
+  { id: userId, purpose: CHALLENGE_PURPOSE },
+  process.env.JWT_SECRET,
+  { expiresIn: authConfig.twoFactor.challengeExpiresIn }
+);
+
+const verifyChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (decoded.purpose !== CHALLENGE_PURPOSE) throw new Error('Wrong token purpose');
+    return decoded.id;
+  } catch (error) {
+    throw new AppError('Your login attempt has expired. Please log in again.', 401);
+  }
+};
+
+module.exports = {
+  isAllowedForRole,
+  isRequiredForRole,
+  beginEnrolment,
+  completeEnrolment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+  countRecoveryCodes,
+  signChallenge,
+  verifyChallenge
+};
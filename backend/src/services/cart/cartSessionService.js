@@ -0,0 +1,220 @@
+// backend/src/services/cart/cartSessionService.js
+
+// Finds the cart a request is shopping with: the logged-in user's, or a
+// guest cart found from a signed cookie holding a random token (only its
+// hash is stored, in Cart.sessionId). Guest carts are created on the first
+// add to cart, so browsing alone never stores one.
+//
+// At login the guest cart is merged into the user's:
+// - the same product and variant in both keeps the larger quantity
+// - products that are gone, no longer on sale or out of stock are dropped,
+//   and quantities above what's in stock are cut down to it
+// - the user's coupons are kept first and the guest's added after them;
+//   any that no longer qualify (or don't stack) are dropped
+// - the user's delivery choice is kept and the guest's slot hold released
+// A user with no cart, or an empty one, simply takes over the guest cart,
+// delivery choice and all. Everything dropped or cut down is reported back.
+
+const crypto = require('crypto');
+const Cart = require('../../models/Cart');
+const Product = require('../../models/Product');
+const deliverySlotService = require('../shipping/deliverySlotService');
+const { cartConfig } = require('../../config/cart');
+const { idOf } = require('../pricing/cartScope');
+
+const { cookieName, expiresDays } = cartConfig.guest;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const cookieOptions = () => ({
+  expires: new Date(Date.now() + expiresDays * 24 * 60 * 60 * 1000),
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax',
+  signed: true,
+});
+
+// The guest token from the signed cookie; cookie-parser gives false for a
+// cookie whose signature doesn't match
+const guestToken = (req) => {
+  const token = req.signedCookies && req.signedCookies[cookieName];
+  return typeof token === 'string' && token ? token : null;
+};
+
+const setGuestCookie = (res, token) => res.cookie(cookieName, token, cookieOptions());
+
+const clearGuestCookie = (res) => res.clearCookie(cookieName);
+
+const variantKey = (item) => `${item.variant?.name || ''}:${item.variant?.value || ''}`;
+
+const lineKey = (item) => `${idOf(item.product)}|${variantKey(item)}`;
+
+/**
+ * The active cart for the request: the user's when logged in, else the
+ * guest cart named by the cookie (whose lifetime is then pushed back).
+ * Resolves to null when there isn't one yet.
+ */
+const findCart = async (req, res) => {
+  if (req.user) {
+    return Cart.findOne({ user: req.user._id, isActive: true });
+  }
+
+  const token = guestToken(req);
+  if (!token) return null;
+
+  const cart = await Cart.findOne({ sessionId: hashToken(token), isGuest: true, isActive: true });
+  if (cart && res) setGuestCookie(res, token);
+
+  return cart;
+};
+
+/**
+ * The request's cart, creating it when there isn't one. A new guest cart
+ * gets a fresh token, sent back in the cart cookie.
+ */
+const findOrCreateCart = async (req, res) => {
+  const existing = await findCart(req, res);
+  if (existing) return existing;
+
+  if (req.user) {
+    return Cart.create({ user: req.user._id, items: [] });
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const cart = await Cart.create({
+    isGuest: true,
+    sessionId: hashToken(token),
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    items: []
+  });
+  setGuestCookie(res, token);
+
+  return cart;
+};
+
+/**
+ * Check guest lines against the catalogue before they go in a user's cart.
+ * Resolves to { lines, removed }: the lines that can be kept, each with
+ * the most that can be bought (null when stock isn't tracked), and the
+ * ones dropped with the reason.
+ */
+const checkLines = async (items) => {
+  const products = await Product.find({ _id: { $in: items.map((item) => idOf(item.product)) } });
+  const byId = new Map(products.map((product) => [idOf(product), product]));
+
+  const lines = [];
+  const removed = [];
+
+  items.forEach((item) => {
+    const product = byId.get(idOf(item.product));
+    const entry = { product: idOf(item.product), name: item.name, variant: item.variant?.name || null };
+
+    if (!product || product.status !== 'active') {
+      removed.push({ ...entry, reason: 'No longer available' });
+      return;
+    }
+
+    const available = product.availableQuantity(item.variant);
+    if (available !== null && available <= 0) {
+      removed.push({ ...entry, reason: 'Out of stock' });
+      return;
+    }
+
+    lines.push({ item, available, entry });
+  });
+
+  return { lines, removed };
+};
+
+const capped = (quantity, available) => (available === null ? quantity : Math.min(quantity, available));
+
+/**
+ * Merge the request's guest cart (if any) into `user`'s cart by the rules
+ * above, then forget the guest cart and its cookie. Resolves to null when
+ * there was nothing to merge, else { cart, merged, adjusted, removed,
+ * removedCoupons }: the user's cart, how many guest lines made it in, and
+ * what was cut down or dropped on the way.
+ */
+const mergeGuestCart = async (req, res, user) => {
+  const token = guestToken(req);
+  if (!token) return null;
+
+  clearGuestCookie(res);
+
+  const guestCart = await Cart.findOne({ sessionId: hashToken(token), isGuest: true, isActive: true });
+  if (!guestCart) return null;
+
+  let cart = await Cart.findOne({ user: user._id, isActive: true });
+  const { lines, removed } = await checkLines(guestCart.items);
+  const adjusted = [];
+
+  if (!cart || cart.items.length === 0) {
+    // Nothing to merge with: the guest cart becomes the user's
+    if (cart) {
+      await deliverySlotService.releaseHold(cart);
+      await Cart.deleteOne({ _id: cart._id });
+    }
+
+    cart = guestCart;
+    cart.user = user._id;
+    cart.isGuest = false;
+    cart.sessionId = undefined;
+    cart.items = lines.map(({ item, available, entry }) => {
+      const quantity = capped(item.quantity, available);
+      if (quantity < item.quantity) adjusted.push({ ...entry, quantity, reason: `Only ${available} available` });
+      item.quantity = quantity;
+      return item;
+    });
+  } else {
+    const existing = new Map(cart.items.map((item) => [lineKey(item), item]));
+
+    lines.forEach(({ item, available, entry }) => {
+      const current = existing.get(lineKey(item));
+      const wanted = Math.max(item.quantity, current ? current.quantity : 0);
+      const quantity = capped(wanted, available);
+
+      if (quantity < wanted) adjusted.push({ ...entry, quantity, reason: `Only ${available} available` });
+
+      if (current) {
+        current.quantity = quantity;
+        current.updatedAt = new Date();
+      } else {
+        const { _id, ...line } = item.toObject();
+        cart.items.push({ ...line, quantity, updatedAt: new Date() });
+      }
+    });
+
+    // The user's coupons first, so theirs win when two don't stack
+    const codes = new Set(cart.appliedCoupons.map((coupon) => coupon.code));
+    guestCart.appliedCoupons
+      .filter((coupon) => !codes.has(coupon.code))
+      .forEach((coupon) => {
+        const { _id, ...entry } = coupon.toObject();
+        cart.appliedCoupons.push(entry);
+      });
+
+    await deliverySlotService.releaseHold(guestCart);
+    guestCart.isActive = false;
+    await guestCart.save();
+  }
+
+  // Saving re-prices the coupons for the user, dropping the ones that no
+  // longer qualify
+  await cart.save();
+
+  return {
+    cart,
+    merged: lines.length,
+    adjusted,
+    removed,
+    removedCoupons: cart.$locals.rejectedCoupons || []
+  };
+};
+
+module.exports = {
+  findCart,
+  findOrCreateCart,
+  mergeGuestCart,
+  clearGuestCookie
+};
@@ -0,0 +1,219 @@
+// backend/src/services/coupons/couponService.js
+
+// Works out which coupons a cart qualifies for and what they are worth.
+// Carts run this on every save and checkout runs it once more before the
+// coupons are redeemed, so a discount is never taken on stale terms.
+// Redemptions are given back when the order is cancelled or its payment
+// fails, and taken again if it is reopened or paid after all.
+
+const Coupon = require('../../models/Coupon');
+const Order = require('../../models/Order');
+const User = require('../../models/User');
+const AppError = require('../../utils/appError');
+const { idOf, loadCategories, scopedSubtotal, roundKES } = require('../pricing/cartScope');
+
+/**
+ * The keys a customer's per-customer limits are counted on besides their
+ * account: the email and phone of a user, a guest's contact or an order's
+ */
+const contactsOf = (details) => [details?.email?.toLowerCase(), details?.phone].filter(Boolean);
+
+// Reason the coupon can't be used on this cart, or null when it can
+const ineligibility = (coupon, { userId, contacts, subtotal, eligible, orderCount, now }) => {
+  if (!coupon || !coupon.isActive) return 'This coupon is not valid';
+  if (coupon.startsAt && coupon.startsAt > now) return 'This coupon is not active yet';
+  if (coupon.expiresAt && coupon.expiresAt <= now) return 'This coupon has expired';
+
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return 'This coupon has reached its usage limit';
+  }
+  // A first order needs an account to count orders on; a guest's limit per
+  // customer is checked against their contact details when they check out
+  if (!userId && coupon.firstOrderOnly) {
+    return 'Sign in to use this coupon';
+  }
+  if (userId && coupon.usageLimitPerCustomer && coupon.redemptionsBy(userId, contacts) >= coupon.usageLimitPerCustomer) {
+    return 'You have already used this coupon';
+  }
+  if (coupon.firstOrderOnly && orderCount > 0) {
+    return 'This coupon is only valid on your first order';
+  }
+  if (subtotal < coupon.minSubtotal) {
+    return `Spend at least KES ${coupon.minSubtotal.toLocaleString()} to use this coupon`;
+  }
+  if (eligible <= 0) return 'This coupon does not apply to any items in your cart';
+
+  return null;
+};
+
+const discountFor = (coupon, { eligible, shipping }) => {
+  switch (coupon.type) {
+    case 'percentage': {
+      const discount = eligible * (coupon.value / 100);
+      return coupon.maxDiscount ? Math.min(discount, coupon.maxDiscount) : discount;
+    }
+    case 'fixed':
+      return Math.min(coupon.value, eligible);
+    case 'shipping':
+      return shipping;
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Price a list of coupon entries (in the order they were applied) against a cart.
+ * Entries are cart.appliedCoupons by default; each needs a `code` and may carry
+ * the `coupon` id. Resolves to { applied, rejected }: the entries that still
+ * qualify with their current discount, and the codes that don't with a reason.
+ */
+const priceCoupons = async (cart, entries = cart.appliedCoupons) => {
+  const applied = [];
+  const rejected = [];
+
+  if (!entries.length) return { applied, rejected };
+
+  const coupons = await Coupon.find({
+    $or: [
+      { _id: { $in: entries.filter((e) => e.coupon).map((e) => idOf(e.coupon)) } },
+      { code: { $in: entries.map((e) => e.code.toUpperCase()) } }
+    ]
+  });
+  const byCode = new Map(coupons.map((coupon) => [coupon.code, coupon]));
+  const byId = new Map(coupons.map((coupon) => [idOf(coupon), coupon]));
+
+  // Guest carts have no user
+  const userId = cart.user ? idOf(cart.user) : null;
+  const categories = await loadCategories(cart.items);
+  const orderCount = userId && coupons.some((coupon) => coupon.firstOrderOnly)
+    ? await Order.countDocuments({ customer: userId, status: { $ne: 'cancelled' } })
+    : 0;
+  const contacts = userId && coupons.some((coupon) => coupon.usageLimitPerCustomer)
+    ? contactsOf(await User.findById(userId).select('email phone'))
+    : [];
+
+  const { subtotal, shipping } = cart.totals;
+  const promotionDiscount = (cart.totals.promotions || []).reduce((sum, p) => sum + p.discount, 0);
+  // Coupons can take the cart down to zero (after promotions) but never below it
+  let remaining = subtotal + shipping - promotionDiscount;
+  const now = new Date();
+
+  for (const entry of entries) {
+    const coupon = (entry.coupon && byId.get(idOf(entry.coupon))) || byCode.get(entry.code.toUpperCase());
+    const eligible = coupon ? scopedSubtotal(coupon, cart.items, categories) : 0;
+
+    let reason = ineligibility(coupon, { userId, contacts, subtotal, eligible, orderCount, now });
+
+    if (!reason && applied.some((a) => a.coupon.equals(coupon._id))) {
+      reason = 'This coupon has already been applied';
+    }
+    if (!reason && applied.length > 0 && (!coupon.stackable || applied.some((a) => !a.stackable))) {
+      reason = 'This coupon cannot be combined with other coupons';
+    }
+
+    if (reason) {
+      rejected.push({ code: entry.code, reason });
+      continue;
+    }
+
+    const discount = roundKES(Math.min(discountFor(coupon, { eligible, shipping }), remaining));
+    remaining -= discount;
+
+    applied.push({
+      coupon: coupon._id,
+      code: coupon.code,
+      type: coupon.type,
+      value: coupon.value,
+      discount,
+      stackable: coupon.stackable,
+      appliedAt: entry.appliedAt || now
+    });
+  }
+
+  return {
+    applied: applied.map(({ stackable, ...entry }) => entry),
+    rejected
+  };
+};
+
+// Why `coupon` could not be redeemed by this customer
+const unavailable = async (entry, { user, contacts }) => {
+  const coupon = await Coupon.findById(entry.coupon);
+
+  if (coupon?.usageLimitPerCustomer && coupon.redemptionsBy(user, contacts) >= coupon.usageLimitPerCustomer) {
+    return new AppError(`You have already used coupon "${entry.code}". Please remove it and try again.`, 400);
+  }
+  return new AppError(`Coupon "${entry.code}" is no longer available. Please remove it and try again.`, 400);
+};
+
+/**
+ * Redeem the applied coupons for an order placed by `user` or a guest with
+ * `contacts` (see contactsOf). Each redemption is a conditional update, so if
+ * a usage limit was reached by someone else in the meantime the checkout
+ * fails here and any coupons already redeemed for it are released.
+ */
+const redeemCoupons = async (applied, { user, contacts = [], order }) => {
+  const redeemed = [];
+
+  for (const entry of applied) {
+    const coupon = await Coupon.redeem(entry.coupon, { user, contacts, order, discount: entry.discount });
+
+    if (!coupon) {
+      await releaseCoupons(redeemed, order);
+      throw await unavailable(entry, { user, contacts });
+    }
+
+    redeemed.push(entry);
+  }
+
+  return redeemed;
+};
+
+const releaseCoupons = async (redeemed, order) => {
+  await Promise.all(redeemed.map((entry) => Coupon.release(entry.coupon, order)));
+};
+
+/**
+ * Give back the coupons redeemed for an order that was cancelled or whose
+ * payment failed. Safe to repeat; see redeemOrderCoupons for the way back.
+ */
+const releaseOrderCoupons = (order) => releaseCoupons(order.coupons || [], order._id);
+
+/**
+ * Take an order's coupons again after releaseOrderCoupons, when it is
+ * reopened or paid for once more. Coupons it still holds are left as they
+ * are. Throws a 409 AppError when one is no longer available to it.
+ */
+const redeemOrderCoupons = async (order) => {
+  if (!order.coupons?.length) return;
+
+  const contacts = order.contact?.email
+    ? contactsOf(order.contact)
+    : contactsOf(await User.findById(idOf(order.customer)).select('email phone'));
+  const taken = [];
+
+  for (const entry of order.coupons) {
+    const coupon = await Coupon.redeem(entry.coupon, {
+      user: order.customer ? idOf(order.customer) : null,
+      contacts,
+      order: order._id,
+      discount: entry.amount
+    });
+
+    if (coupon) {
+      taken.push(entry);
+    } else if (!(await Coupon.exists({ _id: entry.coupon, 'redemptions.order': order._id }))) {
+      await releaseCoupons(taken, order._id);
+      throw new AppError(`Coupon "${entry.code}" is no longer available, so this order can't go ahead as placed`, 409);
+    }
+  }
+};
+
+module.exports = {
+  contactsOf,
+  priceCoupons,
+  redeemCoupons,
+  releaseCoupons,
+  releaseOrderCoupons,
+  redeemOrderCoupons
+};
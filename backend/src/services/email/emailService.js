@@ -0,0 +1,82 @@
+// backend/src/services/email/emailService.js
+
+const { getTransporter, emailTemplates } = require('../../config/email');
+const logger = require('../../config/logger').emailLogger;
+const { renderTemplate } = require('./templates');
+
+class EmailService {
+  constructor(user, url) {
+    this.to = user.email;
+    this.firstName = user.firstName;
+    this.url = url;
+    this.from = emailTemplates.defaults.from;
+  }
+
+  async send(template, subject, data = {}, attachments = []) {
+    const { html, text } = renderTemplate(template, {
+      firstName: this.firstName,
+      url: this.url,
+      ...data,
+    });
+
+    const info = await getTransporter().sendMail({
+      from: this.from,
+      replyTo: emailTemplates.defaults.replyTo,
+      to: this.to,
+      subject,
+      html,
+      text,
+      attachments,
+    });
+
+    logger.info(`Email "${template}" sent`, { to: this.to, messageId: info.messageId });
+    return info;
+  }
+
+  async sendEmailVerification({ expiresInHours }) {
+    const { subject, template } = emailTemplates.emailVerification;
+    return this.send(template, subject, { expiresInHours });
+  }
+
+  async sendPasswordReset({ expiresInMinutes }) {
+    const { subject, template } = emailTemplates.passwordReset;
+    return this.send(template, subject, { expiresInMinutes });
+  }
+
+  async sendPasswordChanged() {
+    const { subject, template } = emailTemplates.passwordChanged;
+    return this.send(template, subject);
+  }
+
+  async sendEmailChanged({ newEmail }) {
+    const { subject, template } = emailTemplates.emailChanged;
+    return this.send(template, subject, { newEmail });
+  }
+
+  async sendAccountLocked({ lockMinutes, ipAddress }) {
+    const { subject, template } = emailTemplates.accountLocked;
+    return this.send(template, subject, { lockMinutes, ipAddress });
+  }
+
+  async sendGuestOrderAccess({ orderNumber, expiresInDays }) {
+    const { subject, template } = emailTemplates.guestOrderAccess;
+    return this.send(template, subject, { orderNumber, expiresInDays });
+  }
+
+  async sendWishlistPriceDrop({ productName, previousPrice, price }) {
+    const { subject, template } = emailTemplates.wishlistPriceDrop;
+    return this.send(template, subject, { productName, previousPrice, price });
+  }
+
+  async sendWishlistBackInStock({ productName, price }) {
+    const { subject, template } = emailTemplates.wishlistBackInStock;
+    return this.send(template, subject, { productName, price });
+  }
+
+  async sendLowStock({ productName, sku, quantity, threshold, outOfStock }) {
+    const { subject, template } = emailTemplates.lowStock;
+    return this.send(template, subject, { productName, sku, quantity, threshold, outOfStock });
+  }
+}
+
+module.exports = EmailService;
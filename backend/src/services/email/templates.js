@@ -0,0 +1,161 @@
+// backend/src/services/email/templates.js
+
+// Plain HTML/text renderers keyed by the template names in config/email.js
+
+const appName = () => process.env.APP_NAME || 'ShopSawa';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #1f2937; max-width: 600px; margin: 0 auto;">
+    <h2 style="color: #2563eb;">${escapeHtml(title)}</h2>
+    ${body}
+    <p style="color: #6b7280; font-size: 12px;">${escapeHtml(appName())}</p>
+  </body>
+</html>`;
+
+const button = (url, label) =>
+  `<p><a href="${escapeHtml(url)}" style="background: #2563eb; color: #fff; padding: 10px 16px; border-radius: 4px; text-decoration: none;">${escapeHtml(label)}</a></p>`;
+
+const templates = {
+  'email-verification': ({ firstName, url, expiresInHours }) => ({
+    html: layout('Verify your email address', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Please confirm your email address to finish setting up your account. This link expires in ${expiresInHours} hours.</p>
+    ${button(url, 'Verify email')}
+    <p>If you did not create an account, you can ignore this email.</p>`),
+    text: `Hi ${firstName},\n\nConfirm your email address (expires in ${expiresInHours} hours): ${url}\n\nIf you did not create an account, you can ignore this email.`,
+  }),
+
+  'password-reset': ({ firstName, url, code, expiresInMinutes }) => ({
+    html: layout('Reset your password', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>We received a request to reset your password. This link expires in ${expiresInMinutes} minutes.</p>
+    ${button(url, 'Reset password')}
+    ${code ? `<p>Or enter this code: <strong>${escapeHtml(code)}</strong></p>` : ''}
+    <p>If you did not request this, you can ignore this email.</p>`),
+    text: `Hi ${firstName},\n\nReset your password (expires in ${expiresInMinutes} minutes): ${url}\n${code ? `Code: ${code}\n` : ''}\nIf you did not request this, you can ignore this email.`,
+  }),
+
+  'password-changed': ({ firstName }) => ({
+    html: layout('Your password was changed', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>The password for your account was just changed and all other sessions were signed out.</p>
+    <p>If this wasn't you, reset your password immediately and contact support.</p>`),
+    text: `Hi ${firstName},\n\nThe password for your account was just changed and all other sessions were signed out.\nIf this wasn't you, reset your password immediately and contact support.`,
+  }),
+
+  'email-changed': ({ firstName, newEmail }) => ({
+    html: layout('Your email address was changed', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>The email address on your account was just changed to <strong>${escapeHtml(newEmail)}</strong>. We will send account emails there from now on.</p>
+    <p>If this wasn't you, reset your password immediately and contact support.</p>`),
+    text: `Hi ${firstName},\n\nThe email address on your account was just changed to ${newEmail}. We will send account emails there from now on.\nIf this wasn't you, reset your password immediately and contact support.`,
+  }),
+
+  'account-locked': ({ firstName, url, lockMinutes, ipAddress }) => ({
+    html: layout('Your account has been locked', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>We locked your account for ${lockMinutes} minutes after several failed sign-in attempts${ipAddress ? ` from ${escapeHtml(ipAddress)}` : ''}.</p>
+    <p>If this was you, wait and try again, or reset your password to unlock it now.</p>
+    ${button(url, 'Reset password')}
+    <p>If this wasn't you, we recommend resetting your password.</p>`),
+    text: `Hi ${firstName},\n\nWe locked your account for ${lockMinutes} minutes after several failed sign-in attempts${ipAddress ? ` from ${ipAddress}` : ''}.\nReset your password to unlock it now: ${url}\n\nIf this wasn't you, we recommend resetting your password.`,
+  }),
+
+  'wishlist-price-drop': ({ firstName, url, productName, previousPrice, price }) => ({
+    html: layout('Price drop on your wishlist', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p><strong>${escapeHtml(productName)}</strong> from your wishlist is now KES ${escapeHtml(price)} (was KES ${escapeHtml(previousPrice)}).</p>
+    ${button(url, 'View product')}
+    <p>You can turn off wishlist alerts in your notification preferences.</p>`),
+    text: `Hi ${firstName},\n\n${productName} from your wishlist is now KES ${price} (was KES ${previousPrice}).\nView it here: ${url}\n\nYou can turn off wishlist alerts in your notification preferences.`,
+  }),
+
+  'wishlist-back-in-stock': ({ firstName, url, productName, price }) => ({
+    html: layout('Back in stock', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p><strong>${escapeHtml(productName)}</strong> from your wishlist is back in stock at KES ${escapeHtml(price)}.</p>
+    ${button(url, 'View product')}
+    <p>You can turn off wishlist alerts in your notification preferences.</p>`),
+    text: `Hi ${firstName},\n\n${productName} from your wishlist is back in stock at KES ${price}.\nView it here: ${url}\n\nYou can turn off wishlist alerts in your notification preferences.`,
+  }),
+
+  'guest-order-access': ({ firstName, url, orderNumber, expiresInDays }) => ({
+    html: layout('Your orders', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>${orderNumber ? `Thank you for your order <strong>${escapeHtml(orderNumber)}</strong>. ` : ''}Use the link below to view and track your orders without an account. It is valid for ${expiresInDays} days.</p>
+    ${button(url, 'View my orders')}
+    <p>Create an account with this email address to keep your orders in one place.</p>`),
+    text: `Hi ${firstName},\n\n${orderNumber ? `Thank you for your order ${orderNumber}. ` : ''}View and track your orders here (valid for ${expiresInDays} days): ${url}\n\nCreate an account with this email address to keep your orders in one place.`,
+  }),
+
+  'order-confirmation': ({ firstName, url, orderNumber, total, invoiceNumber, delivery }) => ({
+    html: layout('Your order is confirmed', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Thank you! Your order <strong>${escapeHtml(orderNumber)}</strong> for KES ${escapeHtml(total)} is confirmed and we're getting it ready.</p>
+    ${delivery ? `<p>Delivery: <strong>${escapeHtml(delivery)}</strong></p>` : ''}
+    ${invoiceNumber ? `<p>Your tax invoice ${escapeHtml(invoiceNumber)} is attached.</p>` : ''}
+    ${button(url, 'View order')}`),
+    text: `Hi ${firstName},\n\nThank you! Your order ${orderNumber} for KES ${total} is confirmed and we're getting it ready.${delivery ? `\nDelivery: ${delivery}` : ''}${invoiceNumber ? `\nYour tax invoice ${invoiceNumber} is attached.` : ''}\nView it here: ${url}`,
+  }),
+
+  'order-shipped': ({ firstName, url, orderNumber, carrier, trackingNumber, trackingUrl }) => ({
+    html: layout('Your order is on its way', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Your order <strong>${escapeHtml(orderNumber)}</strong> has shipped${carrier ? ` with ${escapeHtml(carrier)}` : ''}.${trackingNumber ? ` Tracking number: <strong>${escapeHtml(trackingNumber)}</strong>.` : ''}</p>
+    ${button(trackingUrl || url, trackingUrl ? 'Track package' : 'View order')}`),
+    text: `Hi ${firstName},\n\nYour order ${orderNumber} has shipped${carrier ? ` with ${carrier}` : ''}.${trackingNumber ? ` Tracking number: ${trackingNumber}.` : ''}\nTrack it here: ${trackingUrl || url}`,
+  }),
+
+  'order-delivered': ({ firstName, url, orderNumber }) => ({
+    html: layout('Your order has been delivered', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Your order <strong>${escapeHtml(orderNumber)}</strong> has been delivered. We hope you enjoy it!</p>
+    ${button(url, 'Review your order')}`),
+    text: `Hi ${firstName},\n\nYour order ${orderNumber} has been delivered. We hope you enjoy it!\nReview it here: ${url}`,
+  }),
+
+  'order-cancelled': ({ firstName, url, orderNumber, reason, refundDue }) => ({
+    html: layout('Your order was cancelled', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>Your order <strong>${escapeHtml(orderNumber)}</strong> has been cancelled${reason ? `: ${escapeHtml(reason)}` : ''}.</p>
+    ${refundDue ? '<p>You have already paid for this order, so we will refund you shortly.</p>' : ''}
+    ${button(url, 'View order')}`),
+    text: `Hi ${firstName},\n\nYour order ${orderNumber} has been cancelled${reason ? `: ${reason}` : ''}.\n${refundDue ? 'You have already paid for this order, so we will refund you shortly.\n' : ''}View it here: ${url}`,
+  }),
+
+  'order-refunded': ({ firstName, url, orderNumber, amount }) => ({
+    html: layout('Your refund is on its way', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p>We've refunded KES ${escapeHtml(amount)} for order <strong>${escapeHtml(orderNumber)}</strong>.</p>
+    ${button(url, 'View order')}`),
+    text: `Hi ${firstName},\n\nWe've refunded KES ${amount} for order ${orderNumber}.\nView it here: ${url}`,
+  }),
+
+  'low-stock': ({ firstName, url, productName, sku, quantity, threshold, outOfStock }) => ({
+    html: layout(outOfStock ? 'Out of stock' : 'Low stock alert', `
+    <p>Hi ${escapeHtml(firstName)},</p>
+    <p><strong>${escapeHtml(productName)}</strong> (SKU ${escapeHtml(sku)}) ${outOfStock ? 'has sold out' : `is down to ${escapeHtml(quantity)} units, at or below its threshold of ${escapeHtml(threshold)}`}.</p>
+    ${button(url, 'Manage stock')}`),
+    text: `Hi ${firstName},\n\n${productName} (SKU ${sku}) ${outOfStock ? 'has sold out' : `is down to ${quantity} units, at or below its threshold of ${threshold}`}.\nManage stock: ${url}`,
+  }),
+};
+
+const renderTemplate = (name, data) => {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+  return template(data);
+};
+
+module.exports = {
+  renderTemplate,
+  escapeHtml,
+};
@@ -0,0 +1,418 @@
+// backend/src/services/inventory/inventoryService.js
+
+// Stock movements for orders. Every change to a product's counters is a
+// single conditional update, so two checkouts racing for the last unit can
+// never both get it, and every change to an order's stock state is claimed
+// with a conditional update on the order, so a duplicate callback or a
+// double cancel can never move stock twice.
+//
+//   reserved   inventory.reserved holds the units while payment is pending
+//   committed  the units have left inventory.quantity and count as sold
+//   released   the reservation was given back (payment failed or expired)
+//   restocked  a committed order was cancelled and its units put back
+//
+// Each change is also written to the inventory movement ledger, referencing
+// the order (and the user, when one is known) that caused it.
+
+const Order = require('../../models/Order');
+const Product = require('../../models/Product');
+const AppError = require('../../utils/appError');
+const { businessLogger, orderLogger } = require('../../config/logger');
+const movements = require('./movementService');
+
+const RESERVATION_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES, 10) || 30;
+
+const OPTION_INVENTORY = 'variants.$[group].options.$[option].inventory';
+
+const idOf = (value) => value?._id || value;
+
+const reservationExpiry = () => new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000);
+
+const optionFilters = ({ name, value }) => [{ 'group.name': name }, { 'option.value': value }];
+
+// $expr: the named variant option has at least `quantity` unreserved units
+const optionAvailable = ({ name, value }, quantity) => ({
+  $let: {
+    vars: {
+      option: {
+        $arrayElemAt: [{
+          $filter: {
+            input: {
+              $reduce: {
+                input: '$variants',
+                initialValue: [],
+                in: { $concatArrays: ['$$value', { $cond: [{ $eq: ['$$this.name', name] }, '$$this.options', []] }] }
+              }
+            },
+            as: 'candidate',
+            cond: { $eq: ['$$candidate.value', value] }
+          }
+        }, 0]
+      }
+    },
+    in: { $gte: [{ $subtract: ['$$option.inventory.quantity', '$$option.inventory.reserved'] }, quantity] }
+  }
+});
+
+/**
+ * Reserve one line's units. `line` is { product, name, quantity, variant }
+ * where variant is the { name, value } option picked, if any. `context` is
+ * { order, user } for the ledger. Resolves to the allocation to keep on the
+ * order line; throws a 400 AppError when the product is unavailable or short.
+ */
+const reserveLine = async (line, context = {}) => {
+  const product = await Product.findById(idOf(line.product)).select('name status inventory variants');
+
+  if (!product || product.status !== 'active') {
+    throw new AppError(`Product ${line.name} is currently unavailable`, 400);
+  }
+
+  const option = product.findVariantOption(line.variant);
+  const allocation = {
+    tracked: product.inventory.trackQuantity,
+    option: option ? { name: line.variant.name, value: line.variant.value } : undefined
+  };
+
+  if (!allocation.tracked) return allocation;
+
+  const conditions = [
+    { $gte: [{ $subtract: ['$inventory.quantity', '$inventory.reserved'] }, line.quantity] }
+  ];
+  const inc = { 'inventory.reserved': line.quantity };
+
+  if (option) {
+    conditions.push(optionAvailable(allocation.option, line.quantity));
+    inc[`${OPTION_INVENTORY}.reserved`] = line.quantity;
+  }
+
+  const updated = await Product.findOneAndUpdate(
+    { _id: product._id, status: 'active', 'inventory.trackQuantity': true, $expr: { $and: conditions } },
+    { $inc: inc },
+    { new: true, arrayFilters: option ? optionFilters(allocation.option) : undefined }
+  );
+
+  if (!updated) {
+    const current = await Product.findById(product._id);
+    const available = current ? current.availableQuantity(line.variant) || 0 : 0;
+    throw new AppError(`Only ${available} units of ${line.name} available (requested: ${line.quantity})`, 400);
+  }
+
+  await movements.record(updated, {
+    ...context,
+    type: 'reservation',
+    reserved: line.quantity,
+    variant: allocation.option
+  });
+
+  return allocation;
+};
+
+// Apply counter changes to the product (and option) behind an allocated order
+// line and record them as a `type` movement
+const adjustLine = async (item, type, { quantity = 0, reserved = 0, sold = 0 }, context = {}) => {
+  const { tracked, option } = item.allocation || {};
+  const inc = {};
+
+  if (tracked) {
+    if (quantity) inc['inventory.quantity'] = quantity;
+    if (reserved) inc['inventory.reserved'] = reserved;
+    if (option && option.value) {
+      if (quantity) inc[`${OPTION_INVENTORY}.quantity`] = quantity;
+      if (reserved) inc[`${OPTION_INVENTORY}.reserved`] = reserved;
+    }
+  }
+
+  if (sold) {
+    inc['sales.totalSold'] = sold * item.quantity;
+    inc['sales.revenue'] = sold * item.total;
+  }
+
+  if (Object.keys(inc).length === 0) return;
+
+  const product = await Product.findOneAndUpdate(
+    { _id: idOf(item.product) },
+    { $inc: inc },
+    { new: true, arrayFilters: tracked && option && option.value ? optionFilters(option) : undefined }
+  );
+
+  // Untracked products only count sales; their stock never moves
+  if (!product || !tracked) return;
+
+  await movements.record(product, {
+    ...context,
+    type,
+    quantity,
+    reserved,
+    variant: option && option.value ? option : undefined
+  });
+};
+
+const releaseLines = (items, context) => Promise.all(items.map((item) => adjustLine(item, 'release', {
+  reserved: -item.quantity
+}, context)));
+
+const commitLines = (items, context) => Promise.all(items.map((item) => adjustLine(item, 'sale', {
+  quantity: -item.quantity,
+  reserved: -item.quantity,
+  sold: 1
+}, context)));
+
+const restockLines = (items, context) => Promise.all(items.map((item) => adjustLine(item, 'restock', {
+  quantity: item.quantity,
+  sold: -1
+}, context)));
+
+const returnLines = (items, context) => Promise.all(items.map((item) => adjustLine(item, 'return', {
+  quantity: item.quantity,
+  sold: -1
+}, context)));
+
+/**
+ * Reserve stock for a list of lines, all or nothing: if any line is short the
+ * ones already reserved are released and the error is rethrown. Resolves to
+ * the allocations in line order.
+ */
+const reserveStock = async (lines, context = {}) => {
+  const allocations = [];
+
+  try {
+    for (const line of lines) {
+      allocations.push(await reserveLine(line, context));
+    }
+  } catch (error) {
+    await releaseLines(
+      lines.slice(0, allocations.length).map((line, i) => ({ ...line, allocation: allocations[i] })),
+      { ...context, reason: 'Checkout failed' }
+    );
+    throw error;
+  }
+
+  return allocations;
+};
+
+// Move an order's stock state from one of `from` to `to`. Only one caller can
+// win; resolves to whether this one did, and keeps `order` in step.
+const claim = async (order, from, to, extra = {}) => {
+  const updates = { 'inventory.status': to, 'inventory.updatedAt': new Date(), ...extra };
+
+  const result = await Order.updateOne(
+    { _id: order._id, 'inventory.status': { $in: from } },
+    { $set: updates }
+  );
+
+  if (result.modifiedCount === 0) return false;
+
+  order.set(updates);
+  return true;
+};
+
+const lineFor = (item) => ({
+  product: item.product,
+  name: item.name,
+  quantity: item.quantity,
+  variant: item.allocation?.option?.value ? item.allocation.option : undefined
+});
+
+// Ledger context for an order's movements; `user` is whoever acted, if known
+const orderContext = (order, user, reason) => ({ order: order._id, user: user ? idOf(user) : undefined, reason });
+
+/**
+ * Take stock for an order that gave its stock back (released or restocked),
+ * e.g. when a customer retries a failed M-Pesa payment. Throws a 400
+ * AppError when the items are no longer in stock.
+ */
+const reserveOrderStock = async (order, user) => {
+  if (order.inventory?.status === 'reserved') {
+    await claim(order, ['reserved'], 'reserved', { 'inventory.reservedUntil': reservationExpiry() });
+    return;
+  }
+
+  if (!(await claim(order, ['released', 'restocked'], 'reserved', { 'inventory.reservedUntil': reservationExpiry() }))) {
+    return;
+  }
+
+  let allocations;
+  try {
+    allocations = await reserveStock(order.items.map(lineFor), orderContext(order, user));
+  } catch (error) {
+    await claim(order, ['reserved'], 'released');
+    throw error;
+  }
+
+  order.items.forEach((item, i) => { item.allocation = allocations[i]; });
+  await Order.updateOne(
+    { _id: order._id },
+    { $set: Object.fromEntries(allocations.map((allocation, i) => [`items.${i}.allocation`, allocation])) }
+  );
+
+  businessLogger.order(order._id, 'stock_reserved', { reservedUntil: order.inventory.reservedUntil });
+};
+
+/**
+ * The order is paid (or otherwise confirmed): turn its reservation into sold
+ * stock. A payment that lands after the reservation was released reserves
+ * again first; if the stock has gone meanwhile the order is left for staff.
+ */
+const commitOrderStock = async (order, user) => {
+  if (await claim(order, ['reserved'], 'committed')) {
+    await commitLines(order.items, orderContext(order, user));
+    businessLogger.order(order._id, 'stock_committed', { items: order.items.length });
+    return true;
+  }
+
+  if (['released', 'restocked'].includes(order.inventory?.status)) {
+    try {
+      await reserveOrderStock(order, user);
+    } catch (error) {
+      orderLogger.error('Paid order could not be given stock', { orderId: order._id, reason: error.message });
+      return false;
+    }
+    // Someone else may have moved the order on while we were reserving
+    return order.inventory.status === 'reserved' && commitOrderStock(order, user);
+  }
+
+  return false;
+};
+
+/**
+ * Give a pending order's reservation back (payment failed, timed out or the
+ * reservation expired). Later payment attempts reserve again.
+ */
+const releaseOrderStock = async (order, reason = 'released', user) => {
+  if (!(await claim(order, ['reserved'], 'released', { 'inventory.reservedUntil': null }))) {
+    return false;
+  }
+
+  await releaseLines(order.items, orderContext(order, user, reason));
+  businessLogger.order(order._id, 'stock_released', { reason });
+  return true;
+};
+
+/**
+ * Put a cancelled order's stock back, whether it was sold or only reserved
+ */
+const restockOrder = async (order, user) => {
+  if (await claim(order, ['committed'], 'restocked')) {
+    await restockLines(order.items, orderContext(order, user, 'cancelled'));
+    businessLogger.order(order._id, 'stock_restocked', { items: order.items.length });
+    return true;
+  }
+
+  return releaseOrderStock(order, 'cancelled', user);
+};
+
+/**
+ * Put the items of a received return back into stock. Each return item
+ * carries its order line's allocation, so the units go back to the option
+ * they were sold from.
+ */
+const restockReturn = async (ret, user) => {
+  await returnLines(ret.items, { order: idOf(ret.order), user: idOf(user) || undefined, reason: `Return ${ret.returnNumber}` });
+  businessLogger.order(idOf(ret.order), 'stock_returned', { returnId: ret._id, items: ret.items.length });
+};
+
+// Which way each manual movement may move stock on hand
+const ADJUSTMENT_DIRECTIONS = {
+  restock: 1,
+  return: 1,
+  damage: -1,
+  adjustment: 0
+};
+
+/**
+ * Change a product's stock on hand outside an order: goods received, a
+ * return put back on the shelf, damaged stock written off or a stock-take
+ * correction. `quantity` is the signed change; restock and return must add,
+ * damage must remove. Units reserved for unpaid orders can't be removed.
+ * Resolves to { product, movement }; throws a 400/404 AppError.
+ */
+const adjustStock = async (productId, { type, quantity, variant, reason, user }) => {
+  if (!(type in ADJUSTMENT_DIRECTIONS)) {
+    throw new AppError(`Type must be one of: ${Object.keys(ADJUSTMENT_DIRECTIONS).join(', ')}`, 400);
+  }
+  if (!Number.isInteger(quantity) || quantity === 0) {
+    throw new AppError('quantity must be a whole number other than zero', 400);
+  }
+  if (ADJUSTMENT_DIRECTIONS[type] * quantity < 0) {
+    throw new AppError(`A ${type} must ${ADJUSTMENT_DIRECTIONS[type] > 0 ? 'add' : 'remove'} stock`, 400);
+  }
+
+  const product = await Product.findById(productId).select('name inventory variants');
+  if (!product) {
+    throw new AppError('Product not found', 404);
+  }
+  if (!product.inventory.trackQuantity) {
+    throw new AppError(`Stock isn't tracked for ${product.name}`, 400);
+  }
+
+  const option = product.findVariantOption(variant);
+  if (variant && !option) {
+    throw new AppError(`${product.name} has no ${variant.name} option "${variant.value}"`, 400);
+  }
+
+  const conditions = [];
+  const inc = { 'inventory.quantity': quantity };
+
+  if (quantity < 0) {
+    conditions.push({ $gte: [{ $subtract: ['$inventory.quantity', '$inventory.reserved'] }, -quantity] });
+  }
+  if (option) {
+    inc[`${OPTION_INVENTORY}.quantity`] = quantity;
+    if (quantity < 0) conditions.push(optionAvailable(variant, -quantity));
+  }
+
+  const updated = await Product.findOneAndUpdate(
+    { _id: product._id, 'inventory.trackQuantity': true, ...(conditions.length ? { $expr: { $and: conditions } } : {}) },
+    { $inc: inc },
+    { new: true, arrayFilters: option ? optionFilters(variant) : undefined }
+  );
+
+  if (!updated) {
+    const current = await Product.findById(product._id);
+    const available = current ? current.availableQuantity(variant) || 0 : 0;
+    throw new AppError(`Only ${available} unreserved units of ${product.name} can be removed (requested: ${-quantity})`, 400);
+  }
+
+  const movement = await movements.record(updated, {
+    type,
+    quantity,
+    variant: option ? variant : undefined,
+    user: idOf(user),
+    reason
+  });
+
+  businessLogger.inventory(updated._id, type, updated.inventory.quantity - quantity, updated.inventory.quantity);
+
+  return { product: updated, movement };
+};
+
+/**
+ * Release reservations whose hold has run out. Run periodically.
+ */
+const releaseExpiredReservations = async (now = new Date()) => {
+  const orders = await Order.find({
+    'inventory.status': 'reserved',
+    'inventory.reservedUntil': { $lte: now }
+  });
+
+  let released = 0;
+  for (const order of orders) {
+    if (await releaseOrderStock(order, 'expired')) released += 1;
+  }
+
+  return released;
+};
+
+module.exports = {
+  RESERVATION_MINUTES,
+  reservationExpiry,
+  reserveStock,
+  releaseLines,
+  reserveOrderStock,
+  commitOrderStock,
+  releaseOrderStock,
+  restockOrder,
+  restockReturn,
+  releaseExpiredReservations,
+  adjustStock
+};
@@ -0,0 +1,62 @@
+// backend/src/services/inventory/movementService.js
+
+// Writes the inventory movement ledger and hands each movement to the
+// inventory queue, whose processor raises low-stock alerts. Without Redis
+// there is no queue and the movement is checked in the background instead.
+
+const InventoryMovement = require('../../models/InventoryMovement');
+const { logger } = require('../../config/logger');
+
+const dispatch = (movement) => {
+  const { inventoryQueue } = require('../../config/queue');
+
+  if (inventoryQueue) {
+    return inventoryQueue.add('inventoryMovement', { movementId: String(movement._id) });
+  }
+
+  const { processMovement } = require('./stockAlertService');
+  return processMovement(movement);
+};
+
+/**
+ * Record a movement against `product`, the product document as it is right
+ * after the change (its counters become quantityAfter / reservedAfter).
+ * `entry` is { type, quantity, reserved, variant, order, user, reason }.
+ *
+ * The stock has already moved by the time this runs, so a failure to write
+ * the ledger is logged rather than thrown. Resolves to the movement or null.
+ */
+const record = async (product, entry) => {
+  const option = product.findVariantOption(entry.variant);
+
+  let movement;
+  try {
+    movement = await InventoryMovement.create({
+      ...entry,
+      product: product._id,
+      sku: option?.sku || product.sku,
+      variant: option ? { name: entry.variant.name, value: entry.variant.value } : undefined,
+      quantityAfter: product.inventory.quantity,
+      reservedAfter: product.inventory.reserved
+    });
+  } catch (error) {
+    logger.error('Inventory movement could not be recorded', {
+      productId: product._id,
+      type: entry.type,
+      error: error.message
+    });
+    return null;
+  }
+
+  Promise.resolve()
+    .then(() => dispatch(movement))
+    .catch((error) => {
+      logger.error('Inventory movement could not be processed', { movementId: movement._id, error: error.message });
+    });
+
+  return movement;
+};
+
+module.exports = {
+  record
+};
@@ -0,0 +1,83 @@
+// backend/src/services/inventory/stockAlertService.js
+
+// Low-stock alerts for the shop's admins, raised from the movement ledger.
+// Only a movement that takes stock on hand down across the product's
+// lowStockThreshold (or to zero) raises one, so a product sitting below its
+// threshold doesn't alert on every sale.
+
+const InventoryMovement = require('../../models/InventoryMovement');
+const Product = require('../../models/Product');
+const User = require('../../models/User');
+const EmailService = require('../email/emailService');
+const { logger, businessLogger } = require('../../config/logger');
+
+const productURL = (product) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}/admin/products/edit/${product._id}`;
+
+/**
+ * The alert level a movement deserves given the threshold: 'out_of_stock',
+ * 'low_stock' or null
+ */
+const alertLevel = (movement, threshold) => {
+  if (!(movement.quantity < 0) || typeof movement.quantityAfter !== 'number') return null;
+
+  const after = movement.quantityAfter;
+  const before = after - movement.quantity;
+
+  if (after <= 0 && before > 0) return 'out_of_stock';
+  if (after <= threshold && before > threshold) return 'low_stock';
+  return null;
+};
+
+const notifyAdmins = async (product, level) => {
+  const admins = await User.find({
+    role: { $in: ['admin', 'super_admin'] },
+    isActive: true
+  }).select('firstName email');
+
+  const url = productURL(product);
+  const results = await Promise.allSettled(admins.filter((admin) => admin.email).map((admin) => (
+    new EmailService(admin, url).sendLowStock({
+      productName: product.name,
+      sku: product.sku,
+      quantity: product.inventory.quantity,
+      threshold: product.inventory.lowStockThreshold,
+      outOfStock: level === 'out_of_stock'
+    })
+  )));
+
+  results.filter((r) => r.status === 'rejected').forEach((r) => {
+    logger.error('Low stock email failed', { productId: product._id, error: r.reason?.message });
+  });
+
+  return results.filter((r) => r.status === 'fulfilled').length;
+};
+
+/**
+ * Check one movement (document or id) for a low-stock crossing and alert the
+ * admins. Resolves to { level, notified } when an alert went out, else null.
+ */
+const processMovement = async (movementOrId) => {
+  const movement = movementOrId instanceof InventoryMovement
+    ? movementOrId
+    : await InventoryMovement.findById(movementOrId);
+
+  // Only stock leaving the shelf can cross the threshold
+  if (!movement || !(movement.quantity < 0)) return null;
+
+  const product = await Product.findById(movement.product).select('name sku inventory');
+  if (!product || !product.inventory.trackQuantity) return null;
+
+  const level = alertLevel(movement, product.inventory.lowStockThreshold);
+  if (!level) return null;
+
+  businessLogger.inventory(product._id, level, movement.quantityAfter - movement.quantity, movement.quantityAfter);
+
+  const notified = await notifyAdmins(product, level);
+  return { level, notified };
+};
+
+module.exports = {
+  alertLevel,
+  processMovement
+};
@@ -0,0 +1,247 @@
+// backend/src/services/orders/guestOrderService.js
+
+// Checkout without an account. A guest order keeps the contact details it
+// was placed with (Order.contact) and points at a GuestCustomer, one per
+// email address, made on the first checkout and never changed by later ones.
+// The guest gets back to their orders with a link holding a signed token,
+// sent in the X-Guest-Token header in place of a login (see protectBuyer).
+// What a token opens depends on where it was sent:
+//
+//   { orders }  the order just placed, handed back at checkout
+//   { email }   the guest orders placed with that email, in links sent to it
+//   { phone }   the guest orders placed with that phone number, sent by SMS
+//
+// When someone signs up or logs in with a verified email or phone number
+// that guest orders were placed with, those orders move into their account
+// (claimOrders). From then on they are only seen by logging in.
+
+const jwt = require('jsonwebtoken');
+const validator = require('validator');
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const Coupon = require('../../models/Coupon');
+const GuestCustomer = require('../../models/GuestCustomer');
+const AppError = require('../../utils/appError');
+const EmailService = require('../email/emailService');
+const SMSService = require('../sms/smsService');
+const { formatPhoneNumber, validatePhoneNumber } = require('../../config/sms');
+const { authConfig } = require('../../config/auth');
+const { logger } = require('../../config/logger');
+
+const ACCESS_PURPOSE = 'guest_orders';
+
+const { linkExpiresDays } = authConfig.guestOrders;
+
+const ADMIN_ROLES = ['admin', 'super_admin'];
+
+// Guest orders not yet claimed into an account
+const UNCLAIMED = { guest: { $ne: null }, customer: null };
+
+const accessURL = (token) => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders/guest?token=${token}`;
+
+const normaliseEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Check the contact details a guest checks out with. Resolves to them
+ * tidied up (email lower case, phone as 254XXXXXXXXX); throws a 400
+ * AppError naming what's missing or invalid.
+ */
+const checkContact = (contact = {}) => {
+  const firstName = String(contact.firstName || '').trim();
+  const lastName = String(contact.lastName || '').trim();
+  const email = normaliseEmail(contact.email);
+  const phone = String(contact.phone || '').trim();
+
+  if (!firstName || !lastName || !email || !phone) {
+    throw new AppError('Your name, email and phone number are required to check out as a guest', 400);
+  }
+
+  if (!validator.isEmail(email)) {
+    throw new AppError('Please provide a valid email', 400);
+  }
+
+  if (!validatePhoneNumber(phone)) {
+    throw new AppError('Please provide a valid Kenyan phone number', 400);
+  }
+
+  return { firstName, lastName, email, phone: formatPhoneNumber(phone) };
+};
+
+/**
+ * The guest record for the email a checkout's contact details (checked with
+ * checkContact) give, created on the first order. Later checkouts only
+ * stamp lastOrderAt, so they can't change where the guest's messages go.
+ */
+const findOrCreateGuest = (details) => GuestCustomer.findOneAndUpdate(
+  { email: details.email },
+  { $setOnInsert: details, $set: { lastOrderAt: new Date() } },
+  { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+);
+
+// Token for the guest orders of an { orders }, { email } or { phone } scope
+const signAccessToken = ({ orders, email, phone }) => {
+  let scope;
+  if (orders) scope = { orders: [].concat(orders).map(String) };
+  else if (email) scope = { email: normaliseEmail(email) };
+  else scope = { phone: formatPhoneNumber(String(phone)) };
+
+  return jwt.sign({ ...scope, purpose: ACCESS_PURPOSE }, process.env.JWT_SECRET, { expiresIn: `${linkExpiresDays}d` });
+};
+
+/**
+ * The scope a token from an order link grants: { orders }, { email } or
+ * { phone }. Throws a 401 AppError when it is invalid or has expired.
+ */
+const verifyAccessToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== ACCESS_PURPOSE) throw new Error('Wrong token purpose');
+
+    if (Array.isArray(decoded.orders)) return { orders: decoded.orders };
+    if (decoded.email) return { email: decoded.email };
+    if (decoded.phone) return { phone: decoded.phone };
+    throw new Error('Token has no scope');
+  } catch (error) {
+    throw new AppError('Your order link is invalid or has expired. Please request a new one.', 401);
+  }
+};
+
+/**
+ * Email a link to the guest orders placed with `contact`'s email, thanking
+ * them for `orderNumber` when given
+ */
+const emailAccessLink = (contact, { orderNumber } = {}) => {
+  const url = accessURL(signAccessToken({ email: contact.email }));
+  return new EmailService(contact, url).sendGuestOrderAccess({ orderNumber, expiresInDays: linkExpiresDays });
+};
+
+/**
+ * Send a fresh order link to whoever checked out as a guest with `email` (by
+ * email) or `phone` (by SMS). Resolves the same way whether or not a guest
+ * matches (and if the message fails to go, which is logged), so the lookup
+ * can't be used to find out who has ordered.
+ */
+const requestAccessLink = async ({ email, phone }) => {
+  if (email && !validator.isEmail(normaliseEmail(email))) {
+    throw new AppError('Please provide a valid email', 400);
+  }
+
+  if (!email && (!phone || !validatePhoneNumber(String(phone)))) {
+    throw new AppError('Please provide your email or a valid Kenyan phone number', 400);
+  }
+
+  try {
+    if (email) {
+      const latest = await Order.findOne({ ...UNCLAIMED, 'contact.email': normaliseEmail(email) })
+        .sort({ createdAt: -1 })
+        .select('contact');
+      if (latest) await emailAccessLink(latest.contact);
+      return;
+    }
+
+    const number = formatPhoneNumber(String(phone));
+    if (await Order.exists({ ...UNCLAIMED, 'contact.phone': number })) {
+      await new SMSService().sendGuestOrderAccess(number, accessURL(signAccessToken({ phone: number })));
+    }
+  } catch (error) {
+    logger.error('Guest order link failed to send', { channel: email ? 'email' : 'sms', error: error.message });
+  }
+};
+
+/**
+ * The query conditions for the orders the request's buyer placed: the
+ * user's own, or for a guest the unclaimed orders their link opens
+ */
+const ownerFilter = (req) => {
+  if (req.user) return { customer: req.user._id };
+
+  const { orders, email, phone } = req.guestAccess || {};
+
+  // Under $and so it can be spread next to an _id of the caller's own
+  if (orders) return { ...UNCLAIMED, $and: [{ _id: { $in: orders } }] };
+  if (email) return { ...UNCLAIMED, 'contact.email': email };
+  if (phone) return { ...UNCLAIMED, 'contact.phone': phone };
+  return { _id: null };
+};
+
+/**
+ * Like ownerFilter, but admins may see everything. Throws the AppError
+ * restrictTo would for an admin session that hasn't passed 2FA.
+ */
+const buyerFilter = (req) => {
+  if (!ADMIN_ROLES.includes(req.user?.role)) return ownerFilter(req);
+
+  // Required here, as the auth middleware requires this service
+  const { twoFactorError } = require('../../middleware/auth');
+  const error = twoFactorError(req);
+  if (error) throw error;
+
+  return {};
+};
+
+/**
+ * The query conditions for the payments the request's buyer may see: like
+ * buyerFilter, with a guest's going by the orders their link opens
+ */
+const paymentFilter = async (req) => {
+  if (req.user) return buyerFilter(req);
+
+  const orders = await Order.find(ownerFilter(req)).distinct('_id');
+  return { order: { $in: orders } };
+};
+
+// Claim the unclaimed guest orders placed with any of `contacts`
+const moveOrders = async (user, contacts) => {
+  const placedWith = contacts.map(({ email, phone }) => (email ? { 'contact.email': email } : { 'contact.phone': phone }));
+  const orders = await Order.find({ ...UNCLAIMED, $or: placedWith }).select('_id');
+  if (orders.length === 0) return 0;
+
+  const orderIds = orders.map((order) => order._id);
+
+  await Order.updateMany({ _id: { $in: orderIds }, customer: null }, { $set: { customer: user._id } });
+  await Payment.updateMany({ order: { $in: orderIds }, customer: null }, { $set: { customer: user._id } });
+  await Coupon.updateMany(
+    { 'redemptions.order': { $in: orderIds } },
+    { $set: { 'redemptions.$[redemption].user': user._id } },
+    { arrayFilters: [{ 'redemption.order': { $in: orderIds } }] }
+  );
+  await GuestCustomer.updateMany({ $or: contacts, claimedBy: null }, { $set: { claimedBy: user._id, claimedAt: new Date() } });
+
+  logger.info('Guest orders claimed', { userId: user._id.toString(), orders: orderIds.length });
+
+  return orderIds.length;
+};
+
+/**
+ * Move the unclaimed guest orders placed with `user`'s verified email or
+ * phone into the user's account, with their payments and coupon
+ * redemptions. Resolves to how many orders were claimed. Never throws: a
+ * failed claim is logged and tried again at the next login.
+ */
+const claimOrders = async (user) => {
+  const contacts = [];
+  if (user.isVerified && user.email) contacts.push({ email: normaliseEmail(user.email) });
+  if (user.phoneVerified && user.phone) contacts.push({ phone: formatPhoneNumber(user.phone) });
+  if (contacts.length === 0) return 0;
+
+  try {
+    return await moveOrders(user, contacts);
+  } catch (error) {
+    logger.error('Guest order claim failed', { userId: user._id.toString(), error: error.message });
+    return 0;
+  }
+};
+
+module.exports = {
+  checkContact,
+  findOrCreateGuest,
+  signAccessToken,
+  verifyAccessToken,
+  accessURL,
+  emailAccessLink,
+  requestAccessLink,
+  ownerFilter,
+  buyerFilter,
+  paymentFilter,
+  claimOrders
+};
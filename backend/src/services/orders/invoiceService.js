@@ -0,0 +1,411 @@
+// backend/src/services/orders/invoiceService.js
+
+// Tax invoices for orders. An order is given its invoice number (from the
+// 'invoice' sequence, e.g. INV-2026-000042) when it's confirmed; orders
+// confirmed before invoices existed get theirs the first time one is asked
+// for. The PDF is drawn from the order alone and dated by the invoice, so the
+// same invoice always renders to the same bytes.
+
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const AppError = require('../../utils/appError');
+const PdfDocument = require('../../utils/pdfDocument');
+const { nextNumber } = require('../numbering/numberingService');
+const { orderTax, classFor } = require('../tax/taxService');
+const { roundKES } = require('../pricing/cartScope');
+const { invoiceConfig } = require('../../config/invoice');
+const { businessLogger } = require('../../config/logger');
+
+// Orders that have been confirmed, and so can be invoiced
+const INVOICEABLE_STATUSES = ['confirmed', 'processing', 'shipped', 'delivered', 'refunded'];
+
+const PAYMENT_METHODS = {
+  mpesa: 'M-Pesa',
+  card: 'Card',
+  cod: 'Cash on delivery'
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * 1234.5 => '1,234.50'
+ */
+const formatMoney = (amount) => Number(amount || 0)
+  .toFixed(2)
+  .replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+
+/**
+ * 0.16 => '16%', 0.125 => '12.5%'
+ */
+const formatRate = (rate) => `${Number((rate * 100).toFixed(2))}%`;
+
+/**
+ * A date as printed on invoices, e.g. '19 Oct 2026', in Kenyan time
+ */
+const formatDate = (value) => {
+  if (!value) return '';
+
+  const date = new Date(new Date(value).getTime() + invoiceConfig.utcOffsetHours * 60 * 60 * 1000);
+  return `${date.getUTCDate()} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+};
+
+const toPlain = (value) => (value?.toObject ? value.toObject() : value);
+
+/**
+ * Number `order`'s invoice if it hasn't got one yet. Only sets it on the
+ * document; the caller saves it (orderStatusService does, on confirmation).
+ */
+const issueInvoice = async (order) => {
+  if (order.invoice?.number) return order;
+
+  order.invoice = { number: await nextNumber('invoice'), issuedAt: new Date() };
+  return order;
+};
+
+/**
+ * Make sure `order` has an invoice, numbering it now if it was confirmed
+ * before invoices were issued. Throws a 409 AppError for an order that was
+ * never confirmed. Resolves to the order.
+ */
+const ensureInvoice = async (order) => {
+  if (order.invoice?.number) return order;
+
+  if (!INVOICEABLE_STATUSES.includes(order.status)) {
+    throw new AppError('An invoice is issued once the order is confirmed', 409);
+  }
+
+  // Only the first request gets to number it; a concurrent one loses its
+  // number (a gap in the sequence) and uses the winner's
+  const number = await nextNumber('invoice');
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, 'invoice.number': { $exists: false } },
+    { $set: { invoice: { number, issuedAt: new Date() } } },
+    { new: true }
+  ) || await Order.findById(order._id);
+
+  order.invoice = toPlain(updated.invoice);
+
+  businessLogger.order(order._id, 'invoice_issued', { invoiceNumber: order.invoice.number });
+
+  return order;
+};
+
+// The M-Pesa receipt the order was paid with. Orders paid before the receipt
+// was copied onto them have it only on their payment.
+const mpesaReceiptFor = async (order) => {
+  if (order.payment.method !== 'mpesa') return undefined;
+  if (order.payment.mpesaReceiptNumber) return order.payment.mpesaReceiptNumber;
+
+  const payment = await Payment.findOne({
+    order: order._id,
+    'mpesa.receiptNumber': { $exists: true }
+  }).select('mpesa.receiptNumber');
+
+  return payment?.mpesa?.receiptNumber;
+};
+
+const addressOf = ({ name, phone, address, city, county } = {}) => ({ name, phone, address, city, county });
+
+/**
+ * What goes on `order`'s invoice, which must have been issued (see
+ * ensureInvoice). Also served as the order's receipt.
+ */
+const invoiceData = async (order) => {
+  const { summary } = order;
+  const tax = orderTax(order);
+  const billing = toPlain(order.billingAddress);
+  const billedSeparately = billing && billing.sameAsShipping === false && billing.name;
+
+  return {
+    invoiceNumber: order.invoice.number,
+    issuedAt: order.invoice.issuedAt,
+    orderNumber: order.orderNumber,
+    orderDate: order.createdAt,
+    seller: { ...invoiceConfig.seller },
+    billTo: addressOf(billedSeparately ? billing : order.shippingAddress),
+    shipTo: addressOf(order.shippingAddress),
+    payment: {
+      method: PAYMENT_METHODS[order.payment.method] || order.payment.method,
+      status: order.payment.status,
+      mpesaReceiptNumber: await mpesaReceiptFor(order),
+      paidAt: order.payment.paidAt
+    },
+    items: order.items.map((item, i) => ({
+      description: item.variant ? `${item.name} (${item.variant})` : item.name,
+      sku: item.sku,
+      quantity: item.quantity,
+      unitPrice: item.price,
+      vatClass: tax.items[i]?.taxClass,
+      vatRate: tax.items[i]?.rate || 0,
+      vat: tax.items[i]?.tax || 0,
+      amount: item.total
+    })),
+    totals: {
+      subtotal: summary.subtotal,
+      discount: summary.discount || 0,
+      shipping: summary.shipping || 0,
+      shippingVat: tax.shipping?.tax || 0,
+      vat: tax.tax,
+      // Whether the VAT is already in the prices rather than added to them
+      vatIncluded: tax.included,
+      vatBreakdown: tax.breakdown.map((line) => ({
+        vatClass: line.taxClass,
+        name: classFor(line.taxClass).name,
+        exempt: classFor(line.taxClass).exempt,
+        rate: line.rate,
+        taxableValue: line.taxableAmount,
+        vat: line.tax
+      })),
+      total: summary.total
+    },
+    currency: invoiceConfig.currency
+  };
+};
+
+// Layout, in points
+const MARGIN = 50;
+const RIGHT = 545;
+const ROW_HEIGHT = 18;
+const CONTENT_BOTTOM = 770;
+const COLUMNS = {
+  description: { x: 56, width: 190 },
+  sku: { x: 252, width: 62 },
+  quantity: { right: 345 },
+  unitPrice: { right: 405 },
+  vatRate: { right: 440 },
+  vat: { right: 490 },
+  amount: { right: RIGHT - 6 }
+};
+
+const drawTableHeader = (pdf, y) => {
+  pdf.rect(MARGIN, y, RIGHT - MARGIN, ROW_HEIGHT + 2, { gray: 0.92 });
+
+  const style = { size: 9, bold: true };
+  pdf.text('Description', COLUMNS.description.x, y + 5, style)
+    .text('SKU', COLUMNS.sku.x, y + 5, style)
+    .text('Qty', COLUMNS.quantity.right, y + 5, { ...style, align: 'right' })
+    .text('Unit price', COLUMNS.unitPrice.right, y + 5, { ...style, align: 'right' })
+    .text('VAT %', COLUMNS.vatRate.right, y + 5, { ...style, align: 'right' })
+    .text('VAT', COLUMNS.vat.right, y + 5, { ...style, align: 'right' })
+    .text('Amount', COLUMNS.amount.right, y + 5, { ...style, align: 'right' });
+
+  return y + ROW_HEIGHT + 8;
+};
+
+const drawAddress = (pdf, title, address, x, y) => {
+  pdf.text(title, x, y, { size: 8, bold: true, gray: 0.4 });
+
+  [address.name, address.address, [address.city, address.county].filter(Boolean).join(', '), address.phone]
+    .filter(Boolean)
+    .forEach((line, i) => {
+      pdf.text(pdf.fit(line, 230, { size: 10, bold: i === 0 }), x, y + 14 + i * 14, { size: 10, bold: i === 0 });
+    });
+};
+
+/**
+ * Render an invoice (see invoiceData) as a PDF. Returns a Buffer.
+ */
+const renderInvoice = (invoice) => {
+  const { seller, totals, currency } = invoice;
+  const pdf = new PdfDocument({
+    title: `Tax Invoice ${invoice.invoiceNumber}`,
+    author: seller.name,
+    creator: seller.name,
+    createdAt: invoice.issuedAt
+  });
+
+  // Seller and invoice details
+  pdf.text(seller.name, MARGIN, MARGIN, { size: 18, bold: true })
+    .text('TAX INVOICE', RIGHT, MARGIN, { size: 16, bold: true, align: 'right' });
+
+  [
+    seller.address,
+    [seller.phone, seller.email].filter(Boolean).join('  |  '),
+    seller.kraPin && `KRA PIN: ${seller.kraPin}`
+  ].filter(Boolean).forEach((line, i) => {
+    pdf.text(line, MARGIN, MARGIN + 28 + i * 13, { size: 9, gray: 0.3 });
+  });
+
+  [
+    ['Invoice No.', invoice.invoiceNumber],
+    ['Invoice date', formatDate(invoice.issuedAt)],
+    ['Order No.', invoice.orderNumber],
+    ['Order date', formatDate(invoice.orderDate)]
+  ].forEach(([label, value], i) => {
+    pdf.text(label, 360, MARGIN + 28 + i * 14, { size: 9, gray: 0.4 })
+      .text(value, RIGHT, MARGIN + 28 + i * 14, { size: 9, bold: true, align: 'right' });
+  });
+
+  pdf.line(MARGIN, 145, RIGHT, 145);
+
+  drawAddress(pdf, 'BILL TO', invoice.billTo, MARGIN, 160);
+  drawAddress(pdf, 'SHIP TO', invoice.shipTo, 300, 160);
+
+  const { payment } = invoice;
+  pdf.text([
+    `Payment: ${payment.method}`,
+    payment.mpesaReceiptNumber && `M-Pesa receipt ${payment.mpesaReceiptNumber}`,
+    payment.paidAt && `Paid ${formatDate(payment.paidAt)}`
+  ].filter(Boolean).join('  |  '), MARGIN, 240, { size: 9 });
+
+  // Items, over as many pages as they need
+  let y = drawTableHeader(pdf, 262);
+
+  invoice.items.forEach((item) => {
+    if (y + ROW_HEIGHT > CONTENT_BOTTOM) {
+      pdf.addPage();
+      y = drawTableHeader(pdf, MARGIN);
+    }
+
+    pdf.text(pdf.fit(item.description, COLUMNS.description.width), COLUMNS.description.x, y)
+      .text(pdf.fit(item.sku || '', COLUMNS.sku.width, { size: 9 }), COLUMNS.sku.x, y + 1, { size: 9, gray: 0.3 })
+      .text(String(item.quantity), COLUMNS.quantity.right, y, { align: 'right' })
+      .text(formatMoney(item.unitPrice), COLUMNS.unitPrice.right, y, { align: 'right' })
+      .text(classFor(item.vatClass).exempt ? 'Exempt' : formatRate(item.vatRate), COLUMNS.vatRate.right, y + 1,
+        { size: 9, align: 'right' })
+      .text(formatMoney(item.vat), COLUMNS.vat.right, y, { align: 'right' })
+      .text(formatMoney(item.amount), COLUMNS.amount.right, y, { align: 'right' });
+
+    y += ROW_HEIGHT;
+  });
+
+  // Totals, kept together. The VAT is one row per rate; with tax-inclusive
+  // prices it's already in the amounts above and only shown.
+  const vatRows = totals.vatBreakdown.map((line) => (line.exempt
+    ? [`Exempt from VAT: ${formatMoney(line.taxableValue)}`, formatMoney(0)]
+    : [`${totals.vatIncluded ? 'Includes ' : ''}VAT ${formatRate(line.rate)} on ${formatMoney(line.taxableValue)}`,
+      formatMoney(line.vat)]
+  ));
+  const rows = [
+    ['Subtotal', formatMoney(totals.subtotal)],
+    totals.discount > 0 && ['Discount', `-${formatMoney(totals.discount)}`],
+    ['Shipping', formatMoney(totals.shipping)],
+    ...vatRows
+  ].filter(Boolean);
+
+  if (y + (rows.length + 2) * ROW_HEIGHT > CONTENT_BOTTOM) {
+    pdf.addPage();
+    y = MARGIN;
+  }
+
+  pdf.line(MARGIN, y, RIGHT, y);
+  y += 10;
+
+  rows.forEach(([label, value]) => {
+    pdf.text(label, 300, y)
+      .text(value, COLUMNS.amount.right, y, { align: 'right' });
+    y += ROW_HEIGHT;
+  });
+
+  pdf.line(300, y, RIGHT, y);
+  pdf.text(`Total (${currency})`, 300, y + 8, { size: 11, bold: true })
+    .text(formatMoney(totals.total), COLUMNS.amount.right, y + 8, { size: 11, bold: true, align: 'right' });
+
+  pdf.forEachPage((page, pages) => {
+    pdf.line(MARGIN, 795, RIGHT, 795, { gray: 0.7 })
+      .text(`${seller.name}  |  ${invoice.invoiceNumber}`, MARGIN, 803, { size: 8, gray: 0.4 })
+      .text(`Page ${page} of ${pages}`, RIGHT, 803, { size: 8, gray: 0.4, align: 'right' });
+  });
+
+  return pdf.toBuffer();
+};
+
+/**
+ * `order`'s invoice as a PDF, issuing it first if need be (see ensureInvoice).
+ * Resolves to { filename, content } with content a Buffer.
+ */
+const invoicePdf = async (order) => {
+  await ensureInvoice(order);
+
+  return {
+    filename: `${order.invoice.number}.pdf`,
+    content: renderInvoice(await invoiceData(order))
+  };
+};
+
+/**
+ * `order`'s invoice as an email attachment. The content is base64 so the
+ * attachment survives being queued as JSON.
+ */
+const invoiceAttachment = async (order) => {
+  const { filename, content } = await invoicePdf(order);
+
+  return {
+    filename,
+    content: content.toString('base64'),
+    encoding: 'base64',
+    contentType: 'application/pdf'
+  };
+};
+
+// 'YYYY-MM' of a date in the invoice time zone
+const monthOf = (value) => {
+  const date = new Date(new Date(value).getTime() + invoiceConfig.utcOffsetHours * 60 * 60 * 1000);
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+};
+
+const addLine = (entries, key, fields, line) => {
+  const entry = entries.get(key) || { ...fields, taxableValue: 0, vat: 0 };
+  entry.taxableValue = roundKES(entry.taxableValue + line.taxableAmount);
+  entry.vat = roundKES(entry.vat + line.tax);
+  entries.set(key, entry);
+};
+
+/**
+ * The output VAT on the invoices issued from `from` up to (not including)
+ * `to`, per tax class and rate, and per month. The tax point is the invoice date;
+ * orders confirmed before invoices were issued count from when they were
+ * placed. Cancelled orders are left out. Refunds aren't taken off.
+ */
+const vatReport = async (from, to) => {
+  const cursor = Order.find({
+    status: { $in: INVOICEABLE_STATUSES },
+    $or: [
+      { 'invoice.issuedAt': { $gte: from, $lt: to } },
+      { 'invoice.issuedAt': { $exists: false }, createdAt: { $gte: from, $lt: to } }
+    ]
+  })
+    .select('items.total items.tax summary createdAt invoice')
+    .lean()
+    .cursor();
+
+  const classes = new Map();
+  const months = new Map();
+  let invoices = 0;
+
+  for await (const order of cursor) {
+    invoices += 1;
+    const month = monthOf(order.invoice?.issuedAt || order.createdAt);
+
+    orderTax(order).breakdown.forEach((line) => {
+      const { name, exempt } = classFor(line.taxClass);
+      addLine(classes, `${line.taxClass}:${line.rate}`, { vatClass: line.taxClass, name, exempt, rate: line.rate }, line);
+      addLine(months, month, { month }, line);
+    });
+  }
+
+  const byClass = [...classes.values()];
+
+  return {
+    from,
+    to,
+    invoices,
+    classes: byClass,
+    months: [...months.values()].sort((a, b) => a.month.localeCompare(b.month)),
+    totals: {
+      taxableValue: roundKES(byClass.reduce((total, entry) => total + entry.taxableValue, 0)),
+      vat: roundKES(byClass.reduce((total, entry) => total + entry.vat, 0))
+    }
+  };
+};
+
+module.exports = {
+  INVOICEABLE_STATUSES,
+  issueInvoice,
+  ensureInvoice,
+  invoiceData,
+  renderInvoice,
+  invoicePdf,
+  invoiceAttachment,
+  vatReport
+};
@@ -0,0 +1,191 @@
+// backend/src/services/orders/orderNotificationService.js
+
+// Tells customers about status changes and refunds on their orders. Messages go through
+// the email and SMS queues when Redis is up, and are sent directly otherwise.
+// Customers who turned off order updates get neither. Guests (orders not yet
+// claimed into an account) get both, linking to their orders with a guest link.
+
+const User = require('../../models/User');
+const EmailService = require('../email/emailService');
+const SMSService = require('../sms/smsService');
+const { emailTemplates } = require('../../config/email');
+const { smsTemplates } = require('../../config/sms');
+const { invoiceAttachment } = require('./invoiceService');
+const { describeDelivery } = require('../shipping/deliverySlotService');
+const { signAccessToken, accessURL } = require('./guestOrderService');
+const { logger } = require('../../config/logger');
+
+const ordersURL = () => `${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders`;
+
+// For each status that notifies: the email template key, its data, the SMS
+// text and optionally the email's attachments
+const MESSAGES = {
+  confirmed: {
+    email: 'orderConfirmation',
+    data: (order) => ({
+      orderNumber: order.orderNumber,
+      total: order.summary.total,
+      invoiceNumber: order.invoice?.number,
+      delivery: describeDelivery(order.delivery)
+    }),
+    sms: (order) => smsTemplates.orderConfirmation(order.orderNumber),
+    attachments: async (order) => [await invoiceAttachment(order)]
+  },
+  shipped: {
+    email: 'orderShipped',
+    data: (order) => ({
+      orderNumber: order.orderNumber,
+      carrier: order.tracking?.carrier,
+      trackingNumber: order.tracking?.number,
+      trackingUrl: order.tracking?.url
+    }),
+    sms: (order) => smsTemplates.orderShipped(order.orderNumber, order.tracking?.url)
+  },
+  delivered: {
+    email: 'orderDelivered',
+    data: (order) => ({ orderNumber: order.orderNumber }),
+    sms: (order) => smsTemplates.deliveryNotification(order.orderNumber)
+  },
+  cancelled: {
+    email: 'orderCancelled',
+    data: (order) => ({
+      orderNumber: order.orderNumber,
+      reason: order.cancellation?.reason,
+      refundDue: order.cancellation?.refundStatus === 'pending'
+    }),
+    sms: (order) => smsTemplates.orderCancelled(order.orderNumber)
+  }
+};
+
+// Refunds are announced when the money has actually gone back (see notifyRefund),
+// not when the order is marked refunded
+const REFUND_MESSAGE = {
+  email: 'orderRefunded',
+  data: (order, refund) => ({ orderNumber: order.orderNumber, amount: refund.amount }),
+  sms: (order, refund) => smsTemplates.orderRefunded(order.orderNumber, refund.amount)
+};
+
+const sendEmail = async (customer, key, data, attachments = []) => {
+  const { emailQueue } = require('../../config/queue');
+  const { subject, template } = emailTemplates[key];
+  const payload = { firstName: customer.firstName, url: customer.ordersURL, ...data };
+
+  if (emailQueue) {
+    return emailQueue.add('sendEmail', { to: customer.email, subject, template, data: payload, attachments });
+  }
+
+  return new EmailService(customer, payload.url).send(template, subject, payload, attachments);
+};
+
+// The message's attachments. The email still goes without them when they
+// can't be made (e.g. the invoice fails to render).
+const attachmentsFor = async (order, message, context) => {
+  if (!message.attachments) return [];
+
+  try {
+    return await message.attachments(order);
+  } catch (error) {
+    logger.error('Order notification attachments failed', {
+      orderId: order._id,
+      ...context,
+      error: error.message
+    });
+    return [];
+  }
+};
+
+const sendSMS = async (phoneNumber, message) => {
+  const { smsQueue } = require('../../config/queue');
+
+  if (smsQueue) {
+    return smsQueue.add('sendSMS', { phoneNumber, message });
+  }
+
+  return new SMSService().sendSMS(phoneNumber, message);
+};
+
+// Who to tell about the order, as { firstName, email, phone, sms, ordersURL }:
+// the account holder, or the contact details a guest checked out with. Null
+// when they turned off order updates.
+const recipientFor = async (order) => {
+  if (order.customer) {
+    const user = await User.findById(order.customer).select('firstName email phone preferences');
+    if (!user || user.preferences?.orderUpdates === false) return null;
+
+    return {
+      firstName: user.firstName,
+      email: user.email,
+      phone: user.phone,
+      sms: Boolean(user.preferences?.smsNotifications),
+      ordersURL: ordersURL()
+    };
+  }
+
+  const contact = order.guest && order.contact;
+  if (!contact?.email) return null;
+
+  return {
+    firstName: contact.firstName,
+    email: contact.email,
+    phone: contact.phone,
+    sms: true,
+    ordersURL: accessURL(signAccessToken({ email: contact.email }))
+  };
+};
+
+// Send `message` to the order's customer on the channels they accept
+const notify = async (order, message, args, context) => {
+  const customer = await recipientFor(order);
+  if (!customer) return [];
+
+  const channels = [];
+  const jobs = [];
+
+  if (customer.email) {
+    channels.push('email');
+    jobs.push(attachmentsFor(order, message, context)
+      .then((attachments) => sendEmail(customer, message.email, message.data(order, ...args), attachments)));
+  }
+
+  if (customer.phone && customer.sms) {
+    channels.push('sms');
+    jobs.push(sendSMS(customer.phone, message.sms(order, ...args)));
+  }
+
+  const results = await Promise.allSettled(jobs);
+  results.forEach((result, i) => {
+    if (result.status === 'rejected') {
+      logger.error('Order notification failed', {
+        orderId: order._id,
+        ...context,
+        channel: channels[i],
+        error: result.reason?.message
+      });
+    }
+  });
+
+  return channels.filter((_, i) => results[i].status === 'fulfilled');
+};
+
+/**
+ * Notify the customer that their order moved to `status`. Statuses without a
+ * message (pending, processing, refunded) are skipped. Resolves to the
+ * channels used.
+ */
+const notifyStatusChange = async (order, status) => {
+  const message = MESSAGES[status];
+  if (!message) return [];
+
+  return notify(order, message, [], { status });
+};
+
+/**
+ * Tell the customer that `refund` on their order has been paid out. Resolves
+ * to the channels used.
+ */
+const notifyRefund = (order, refund) => notify(order, REFUND_MESSAGE, [refund], { refundId: refund._id });
+
+module.exports = {
+  notifyStatusChange,
+  notifyRefund
+};
@@ -0,0 +1,219 @@
+// backend/src/services/orders/orderStatusService.js
+
+// The one way an order's status changes. The transitions themselves (and who
+// may make each) live on the Order model; this runs the side effects that go
+// with each one, records the change in statusHistory and tells the customer.
+//
+//   confirmed  stock is committed; staff confirming a prepaid order marks it paid;
+//              the tax invoice is numbered
+//   shipped    tracking details are stamped with the ship date
+//   delivered  delivery is stamped; cash on delivery is marked paid
+//   cancelled  stock is restocked or released; the delivery slot and coupons are
+//              given back; a paid order is flagged for refund
+//   refunded   whatever is left on the payment is refunded (see refundService);
+//              an M-Pesa refund completes later, and the order stays as it is
+//              until then (and if the refund fails)
+//   pending    (reopening a cancelled order) coupons are redeemed and stock is
+//              reserved again; the delivery slot isn't, as it may have been
+//              taken meanwhile
+
+const Order = require('../../models/Order');
+const AppError = require('../../utils/appError');
+const inventoryService = require('../inventory/inventoryService');
+const refundService = require('../payment/refundService');
+const invoiceService = require('./invoiceService');
+const deliverySlotService = require('../shipping/deliverySlotService');
+const couponService = require('../coupons/couponService');
+const { notifyStatusChange } = require('./orderNotificationService');
+const { businessLogger, orderLogger } = require('../../config/logger');
+
+const STATUSES = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'refunded'];
+const ADMIN_ROLES = ['admin', 'super_admin'];
+
+const idOf = (value) => value?._id || value;
+
+/**
+ * Which actor a signed-in user acts as on orders
+ */
+const actorFor = (user) => (ADMIN_ROLES.includes(user?.role) ? 'admin' : 'customer');
+
+const TRACKING_FIELDS = ['number', 'carrier', 'url', 'estimatedDelivery'];
+
+const stampTracking = (order, trackingInfo = {}, field) => {
+  const tracking = order.tracking?.toObject ? order.tracking.toObject() : { ...order.tracking };
+
+  TRACKING_FIELDS.forEach((key) => {
+    if (trackingInfo[key] !== undefined) tracking[key] = trackingInfo[key];
+  });
+  tracking[field] = new Date();
+
+  order.tracking = tracking;
+};
+
+const markPaid = (order) => {
+  if (order.payment.status === 'paid') return;
+  order.payment.status = 'paid';
+  order.payment.paidAt = new Date();
+};
+
+// Refund whatever is left on the order's payment. M-Pesa refunds complete
+// when Daraja reports back, which is when the order's payment status follows.
+const refundPayment = (order, user, note) => refundService.refundOrder(order, {
+  reason: 'other',
+  description: note || `Order ${order.orderNumber} refunded`,
+  user
+});
+
+// Resolves to { deferred: true } when the status change has to wait for them
+const runSideEffects = async (order, from, to, { actor, user, note, trackingInfo }) => {
+  const userId = idOf(user);
+
+  switch (to) {
+    case 'confirmed':
+      if (actor === 'admin' && order.payment.method !== 'cod') markPaid(order);
+      await inventoryService.commitOrderStock(order, userId);
+      await invoiceService.issueInvoice(order);
+      break;
+
+    case 'shipped':
+      stampTracking(order, trackingInfo, 'shippedAt');
+      break;
+
+    case 'delivered':
+      stampTracking(order, trackingInfo, 'deliveredAt');
+      if (order.payment.method === 'cod') markPaid(order);
+      break;
+
+    case 'cancelled':
+      order.cancellation = {
+        reason: note || (actor === 'customer' ? 'Cancelled by customer' : 'Cancelled by admin'),
+        cancelledBy: userId,
+        cancelledAt: new Date(),
+        refundStatus: order.payment.status === 'paid' ? 'pending' : undefined
+      };
+      await inventoryService.restockOrder(order, userId);
+      await deliverySlotService.releaseOrderBooking(order);
+      await couponService.releaseOrderCoupons(order);
+      break;
+
+    case 'refunded': {
+      const refunded = await refundPayment(order, user, note);
+
+      // Nothing left to refund, but staff mustn't get ahead of a refund still out
+      if (!refunded && actor !== 'system' && await refundService.hasRefundInFlight(order)) {
+        throw new AppError('A refund on this order is still being paid out. Please wait for it to complete', 409);
+      }
+      if (!refunded || refunded.refund.status === 'completed') break;
+
+      const status = await refundService.closeOrderWhenRefunded(refunded.payment._id, refunded.refund._id);
+      if (status === 'failed') {
+        throw new AppError('The refund failed, so the order was not marked refunded', 502);
+      }
+      if (status !== 'completed') return { deferred: true };
+      break;
+    }
+
+    case 'pending':
+      if (from === 'cancelled') {
+        await couponService.redeemOrderCoupons(order);
+        try {
+          await inventoryService.reserveOrderStock(order, userId);
+        } catch (error) {
+          await couponService.releaseOrderCoupons(order);
+          throw error;
+        }
+        order.cancellation = undefined;
+      }
+      break;
+
+    default:
+      break;
+  }
+};
+
+// Take the status change in the database before acting on it
+const claimStatus = async (order, from, to) => {
+  if (!(await Order.claimStatus(order._id, from, to))) {
+    throw new AppError(`This order is no longer ${from}; it was updated meanwhile. Please reload it and try again`, 409);
+  }
+  return true;
+};
+
+/**
+ * Move `order` to status `to`. `actor` is 'customer', 'admin' or 'system';
+ * `user` is whoever acted (none for the system). Throws a 409 AppError for a
+ * transition the order can't make (or another caller made first) and a 403
+ * for one this actor may not make. The status is claimed in the database
+ * before the side effects run, so they run once however many callers race.
+ * Saves and resolves to the order; the customer is notified in the background.
+ * An order being refunded through M-Pesa resolves unchanged, and is moved
+ * when the refund completes.
+ */
+const transition = async (order, to, { actor, user, note, trackingInfo } = {}) => {
+  const from = order.status;
+
+  if (!STATUSES.includes(to)) {
+    throw new AppError('Invalid order status', 400);
+  }
+
+  if (!Order.canTransition(from, to)) {
+    const allowed = Order.transitionsFrom(from, actor);
+    throw new AppError(
+      `Cannot move an order from ${from} to ${to}. ${allowed.length ? `Allowed next: ${allowed.join(', ')}` : `A ${from} order is final`}`,
+      409
+    );
+  }
+
+  if (!Order.canTransition(from, to, actor)) {
+    throw new AppError(`You are not allowed to move an order from ${from} to ${to}`, 403);
+  }
+
+  if (to === 'refunded' && !['paid', 'partial_refund', 'refunded'].includes(order.payment.status)) {
+    throw new AppError('Only a paid order can be refunded', 409);
+  }
+
+  // A refund decides whether the order moves at all, so it goes out first
+  // (refundService keeps to one refund at a time) and the status is claimed after
+  let claimed = to !== 'refunded' && await claimStatus(order, from, to);
+
+  try {
+    const effects = await runSideEffects(order, from, to, { actor, user, note, trackingInfo });
+
+    // The status follows later, once the side effect finishes (an M-Pesa refund)
+    if (effects?.deferred) {
+      businessLogger.order(order._id, `status_${to}_pending`, { from, actor, updatedBy: idOf(user) });
+      return order;
+    }
+
+    if (!claimed) claimed = await claimStatus(order, from, to);
+
+    order.status = to;
+    order.statusHistory.push({
+      status: to,
+      note: note || `Status changed from ${from} to ${to}`,
+      updatedBy: idOf(user),
+      actor,
+      timestamp: new Date()
+    });
+
+    await order.save();
+  } catch (error) {
+    // Leave the order where it was for whoever tries next
+    if (claimed) await Order.releaseStatus(order._id, from, to);
+    throw error;
+  }
+
+  businessLogger.order(order._id, `status_${to}`, { from, actor, updatedBy: idOf(user) });
+
+  notifyStatusChange(order, to).catch((error) => {
+    orderLogger.error('Order status notification failed', { orderId: order._id, status: to, error: error.message });
+  });
+
+  return order;
+};
+
+module.exports = {
+  STATUSES,
+  actorFor,
+  transition
+};
@@ -0,0 +1,221 @@
+// backend/src/services/orders/trackingService.js
+
+// Shipments and their carrier scan events, and the tracking timeline built
+// from them and the order's status history. Scans move the order along too:
+// a parcel picked up ships a processing order, and once every shipment is
+// delivered so is the order (which marks cash on delivery paid).
+
+const Order = require('../../models/Order');
+const User = require('../../models/User');
+const AppError = require('../../utils/appError');
+const orderStatusService = require('./orderStatusService');
+const { formatPhoneNumber } = require('../../config/sms');
+const { businessLogger } = require('../../config/logger');
+
+// Orders a parcel can still be sent for
+const SHIPPABLE_STATUSES = ['confirmed', 'processing', 'shipped'];
+
+// Scans that mean the parcel has left the warehouse
+const DEPARTED_EVENTS = ['picked_up', 'in_transit', 'arrived_at_facility', 'out_for_delivery'];
+
+const idOf = (value) => value?._id || value;
+
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`${field} must be a valid date`, 400);
+  }
+  return date;
+};
+
+const trackingInfoFor = (shipment) => ({
+  number: shipment.trackingNumber,
+  carrier: shipment.carrier,
+  url: shipment.url,
+  estimatedDelivery: shipment.estimatedDelivery
+});
+
+// Keep order.tracking (read by notifications and older clients) on the latest shipment
+const mirrorTracking = (order, shipment) => {
+  const tracking = order.tracking?.toObject ? order.tracking.toObject() : { ...order.tracking };
+  Object.entries(trackingInfoFor(shipment)).forEach(([key, value]) => {
+    if (value !== undefined) tracking[key] = value;
+  });
+  order.tracking = tracking;
+};
+
+// Move the order along after a scan, when the scan says it has moved
+const advanceOrder = async (order, shipment, event, user) => {
+  const note = `${shipment.carrier} ${shipment.trackingNumber}: ${event.description || event.status.replace(/_/g, ' ')}`;
+  const options = { actor: 'admin', user, note, trackingInfo: trackingInfoFor(shipment) };
+
+  if (order.status === 'processing' && DEPARTED_EVENTS.includes(event.status)) {
+    return orderStatusService.transition(order, 'shipped', options);
+  }
+
+  const allDelivered = order.shipments.every((entry) => entry.events.some((e) => e.status === 'delivered'));
+  if (order.status === 'shipped' && event.status === 'delivered' && allDelivered) {
+    return orderStatusService.transition(order, 'delivered', options);
+  }
+
+  return order.save();
+};
+
+/**
+ * Add a shipment to `order` on behalf of staff member `user`. Throws a 400
+ * AppError for missing details and a 409 when the order can't be shipped or
+ * already has a shipment with this tracking number. Resolves to the order.
+ */
+const addShipment = async (order, { carrier, trackingNumber, url, estimatedDelivery } = {}, user) => {
+  if (!carrier || !trackingNumber) {
+    throw new AppError('carrier and trackingNumber are required', 400);
+  }
+
+  if (!SHIPPABLE_STATUSES.includes(order.status)) {
+    throw new AppError(`Shipments can't be added to a ${order.status} order`, 409);
+  }
+
+  const number = String(trackingNumber).trim();
+  if (order.shipments.some((shipment) => shipment.trackingNumber === number)) {
+    throw new AppError(`This order already has a shipment with tracking number ${number}`, 409);
+  }
+
+  order.shipments.push({
+    carrier: String(carrier).trim(),
+    trackingNumber: number,
+    url,
+    estimatedDelivery: parseDate(estimatedDelivery, 'estimatedDelivery'),
+    events: [{ status: 'label_created', description: 'Shipping label created', recordedBy: idOf(user) }]
+  });
+
+  const shipment = order.shipments.at(-1);
+  mirrorTracking(order, shipment);
+  await order.save();
+
+  businessLogger.order(order._id, 'shipment_added', {
+    shipmentId: shipment._id,
+    carrier: shipment.carrier,
+    trackingNumber: shipment.trackingNumber,
+    addedBy: idOf(user)
+  });
+
+  return order;
+};
+
+/**
+ * Record a carrier scan on one of `order`'s shipments. Throws a 404 AppError
+ * for an unknown shipment and a 400 for an invalid event. Resolves to the
+ * order, moved to shipped or delivered when the scan calls for it.
+ */
+const addTrackingEvent = async (order, shipmentId, { status, description, location, timestamp } = {}, user) => {
+  const shipment = order.shipments.id(shipmentId);
+
+  if (!shipment) {
+    throw new AppError('Shipment not found', 404);
+  }
+
+  if (!Order.SHIPMENT_EVENTS.includes(status)) {
+    throw new AppError(`status must be one of: ${Order.SHIPMENT_EVENTS.join(', ')}`, 400);
+  }
+
+  const at = parseDate(timestamp, 'timestamp') || new Date();
+  if (at > new Date()) {
+    throw new AppError('timestamp can\'t be in the future', 400);
+  }
+
+  shipment.events.push({ status, description, location, timestamp: at, recordedBy: idOf(user) });
+  const event = shipment.events.at(-1);
+
+  const updated = await advanceOrder(order, shipment, event, user);
+
+  businessLogger.order(order._id, 'shipment_event', {
+    shipmentId: shipment._id,
+    status,
+    location,
+    recordedBy: idOf(user)
+  });
+
+  return updated;
+};
+
+/**
+ * What the customer sees of an order's progress: its status history and
+ * shipment events, each on their own and merged into one timeline, newest
+ * first. Staff ids are left out.
+ */
+const trackingFor = (order) => {
+  const statusHistory = order.statusHistory.map((entry) => ({
+    status: entry.status,
+    note: entry.note,
+    timestamp: entry.timestamp
+  }));
+
+  const shipments = order.shipments.map((shipment) => ({
+    _id: shipment._id,
+    carrier: shipment.carrier,
+    trackingNumber: shipment.trackingNumber,
+    url: shipment.url,
+    estimatedDelivery: shipment.estimatedDelivery,
+    events: shipment.events
+      .map((event) => ({
+        status: event.status,
+        description: event.description,
+        location: event.location,
+        timestamp: event.timestamp
+      }))
+      .sort((a, b) => b.timestamp - a.timestamp)
+  }));
+
+  const timeline = [
+    ...statusHistory.map((entry) => ({ type: 'status', ...entry })),
+    ...shipments.flatMap((shipment) => shipment.events.map((event) => ({
+      type: 'shipment',
+      carrier: shipment.carrier,
+      trackingNumber: shipment.trackingNumber,
+      ...event
+    })))
+  ].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    status: order.status,
+    placedAt: order.createdAt,
+    estimatedDelivery: order.tracking?.estimatedDelivery,
+    deliveredAt: order.tracking?.deliveredAt,
+    itemCount: order.items.reduce((sum, item) => sum + item.quantity, 0),
+    statusHistory,
+    shipments,
+    timeline
+  };
+};
+
+/**
+ * The order with this order number whose delivery phone (or the phone of the
+ * customer, or the one a guest checked out with) is `phone`, for tracking
+ * without signing in. Resolves to null when either doesn't match, so callers
+ * can't tell which was wrong.
+ */
+const findForGuest = async (orderNumber, phone) => {
+  if (!orderNumber || !phone) return null;
+
+  const order = await Order.findOne({ orderNumber: String(orderNumber).trim().toUpperCase() });
+  if (!order) return null;
+
+  const wanted = formatPhoneNumber(String(phone));
+  if (formatPhoneNumber(order.shippingAddress.phone) === wanted) return order;
+
+  const customer = order.customer
+    ? await User.findById(order.customer).select('phone')
+    : order.contact;
+  return customer?.phone && formatPhoneNumber(customer.phone) === wanted ? order : null;
+};
+
+module.exports = {
+  addShipment,
+  addTrackingEvent,
+  trackingFor,
+  findForGuest
+};
@@ -0,0 +1,277 @@
+// backend/src/services/payment/mpesaCallbackService.js
+
+// Idempotent processing of Daraja STK results. Every payload is written to
+// Payment.webhookData before it is acted on, and status changes are applied
+// with a conditional update so a duplicate or racing callback can never move
+// a payment (or its order) twice.
+
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const MpesaService = require('./mpesaService');
+const { REFUND_EVENTS, handleMpesaResult } = require('./refundService');
+const inventoryService = require('../inventory/inventoryService');
+const couponService = require('../coupons/couponService');
+const orderStatusService = require('../orders/orderStatusService');
+const { getErrorMessage } = require('../../config/mpesa');
+const { businessLogger, paymentLogger } = require('../../config/logger');
+
+const mpesa = new MpesaService();
+
+const WEBHOOK_EVENTS = {
+  STK_CALLBACK: 'stk_callback',
+  STK_TIMEOUT: 'stk_timeout',
+  STK_QUERY: 'stk_query',
+};
+
+// Daraja "DS timeout user cannot be reached"
+const TIMEOUT_RESULT_CODE = 1037;
+
+// Turn a stored raw payload back into a result object
+const parseWebhook = (event, data) => {
+  switch (event) {
+    case WEBHOOK_EVENTS.STK_CALLBACK:
+      return mpesa.parseCallback(data);
+    case WEBHOOK_EVENTS.STK_QUERY:
+      return mpesa.parseQueryResult(data);
+    case WEBHOOK_EVENTS.STK_TIMEOUT: {
+      const parsed = mpesa.parseCallback(data);
+      const checkoutRequestID = parsed ? parsed.checkoutRequestID : data?.CheckoutRequestID;
+      if (!checkoutRequestID) return null;
+
+      return {
+        resultCode: TIMEOUT_RESULT_CODE,
+        resultDesc: getErrorMessage(TIMEOUT_RESULT_CODE),
+        checkoutRequestID,
+        timedOut: true,
+      };
+    }
+    default:
+      return null;
+  }
+};
+
+const targetStatusFor = (result) => {
+  if (result.timedOut) return 'timeout';
+  return result.resultCode === 0 ? 'completed' : 'failed';
+};
+
+// Decide what to do with a result without touching the database
+const evaluate = (payment, result) => {
+  const target = targetStatusFor(result);
+
+  if (target === 'completed' && result.amount !== undefined && Number(result.amount) !== payment.amount) {
+    return { outcome: 'rejected', reason: `Amount mismatch: expected ${payment.amount}, received ${result.amount}` };
+  }
+
+  if (payment.status === target) {
+    return { outcome: 'duplicate', reason: `Payment already ${target}` };
+  }
+
+  if (!Payment.canTransition(payment.status, target)) {
+    return { outcome: 'ignored', reason: `Illegal transition from ${payment.status} to ${target}` };
+  }
+
+  return { outcome: 'applied', target };
+};
+
+const buildUpdate = (payment, result, target) => {
+  const now = new Date();
+
+  if (target === 'completed') {
+    const actualAmount = result.amount !== undefined ? Number(result.amount) : payment.amount;
+
+    return {
+      status: 'completed',
+      actualAmount,
+      paidAt: now,
+      capturedAt: now,
+      transactionId: result.receiptNumber,
+      'mpesa.receiptNumber': result.receiptNumber,
+      'mpesa.transactionID': result.receiptNumber,
+    };
+  }
+
+  return {
+    status: target,
+    failedAt: now,
+    failure: {
+      code: String(result.resultCode),
+      message: result.resultDesc || getErrorMessage(result.resultCode),
+    },
+  };
+};
+
+// A second payment completed for an order that was already paid (e.g. one
+// pushed after an earlier push's hold ran out): leave it for staff to refund
+const flagExtraPayment = async (payment, order) => {
+  await Payment.updateOne(
+    { _id: payment._id },
+    { $set: { 'risk.level': 'high', 'risk.reviewRequired': true }, $addToSet: { 'risk.factors': 'order_already_paid' } }
+  );
+
+  paymentLogger.warn('M-Pesa payment completed for an order that was already paid', {
+    paymentId: payment._id,
+    orderId: order._id,
+    receiptNumber: payment.mpesa.receiptNumber,
+    paidWith: order.payment.mpesaReceiptNumber
+  });
+};
+
+// Bring the order in line with a payment that has just changed status
+const syncOrder = async (payment) => {
+  // Either way the payment no longer holds the order
+  await Order.releasePaymentAttempt(payment.order, payment._id);
+
+  if (payment.status === 'completed') {
+    const order = await Order.findById(payment.order);
+    if (!order) return;
+
+    if (order.payment.status === 'paid') {
+      if (order.payment.mpesaReceiptNumber !== payment.mpesa.receiptNumber) {
+        await flagExtraPayment(payment, order);
+      }
+      return;
+    }
+
+    order.payment.status = 'paid';
+    order.payment.mpesaReceiptNumber = payment.mpesa.receiptNumber;
+    order.payment.paidAt = payment.paidAt;
+    order.payment.amount = payment.actualAmount;
+
+    // Confirming commits the stock and tells the customer
+    if (order.status === 'pending') {
+      try {
+        await orderStatusService.transition(order, 'confirmed', {
+          actor: 'system',
+          note: `Payment confirmed via M-Pesa (${payment.mpesa.receiptNumber})`
+        });
+        return;
+      } catch (error) {
+        // Staff moved the order on meanwhile; the payment is still recorded below
+        if (error.statusCode !== 409) throw error;
+      }
+    }
+
+    await inventoryService.commitOrderStock(order);
+    await order.save();
+    return;
+  }
+
+  // Never downgrade an order that another payment has already settled
+  await Order.updateOne(
+    { _id: payment.order, 'payment.status': { $in: ['pending', 'failed'] } },
+    { $set: { 'payment.status': 'failed' } }
+  );
+
+  // Give the held stock and coupons back; paying again takes them again
+  const order = await Order.findById(payment.order);
+  if (order && order.payment.status !== 'paid') {
+    await inventoryService.releaseOrderStock(order, `payment_${payment.status}`);
+    await couponService.releaseOrderCoupons(order);
+  }
+};
+
+const finishEntry = (paymentId, entryId, { outcome, reason }) => Payment.updateOne(
+  { _id: paymentId, 'webhookData._id': entryId },
+  {
+    $set: {
+      'webhookData.$.processed': true,
+      'webhookData.$.processedAt': new Date(),
+      'webhookData.$.outcome': outcome,
+      'webhookData.$.reason': reason,
+    }
+  }
+);
+
+/**
+ * Record a raw Daraja payload against its payment and apply it at most once.
+ *
+ * Resolves to { outcome, reason, payment } where outcome is one of
+ * 'applied', 'duplicate', 'ignored' or 'rejected'. Payloads that cannot be
+ * parsed ('invalid') or match no CheckoutRequestID ('unknown') have no
+ * payment to be recorded against and are only logged.
+ */
+const processWebhook = async (event, data, { source = 'gateway', replayOf } = {}) => {
+  const result = parseWebhook(event, data);
+
+  if (!result) {
+    return { outcome: 'invalid', reason: 'Unrecognised payload' };
+  }
+
+  const payment = await Payment.findOne({ 'mpesa.checkoutRequestID': result.checkoutRequestID });
+
+  if (!payment) {
+    paymentLogger.warn('M-Pesa webhook for unknown CheckoutRequestID', { event, checkoutRequestID: result.checkoutRequestID, data });
+    return { outcome: 'unknown', reason: `No payment for CheckoutRequestID ${result.checkoutRequestID}` };
+  }
+
+  const entryId = new mongoose.Types.ObjectId();
+  await Payment.updateOne(
+    { _id: payment._id },
+    { $push: { webhookData: { _id: entryId, event, source, data, replayOf, receivedAt: new Date() } } }
+  );
+
+  let decision = evaluate(payment, result);
+  let current = payment;
+
+  if (decision.outcome === 'applied') {
+    // Only one writer can win the move away from the status we read
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: payment.status },
+      { $set: buildUpdate(payment, result, decision.target) },
+      { new: true }
+    );
+
+    if (updated) {
+      current = updated;
+      await syncOrder(updated);
+    } else {
+      current = await Payment.findById(payment._id);
+      decision = { outcome: 'duplicate', reason: `Payment changed concurrently to ${current.status}` };
+    }
+  }
+
+  if (decision.outcome === 'rejected') {
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $set: { 'risk.level': 'high', 'risk.reviewRequired': true }, $addToSet: { 'risk.factors': 'callback_amount_mismatch' } }
+    );
+  }
+
+  await finishEntry(payment._id, entryId, decision);
+
+  businessLogger.payment(payment._id, `mpesa_${event}_${decision.outcome}`, {
+    orderId: payment.order,
+    checkoutRequestID: result.checkoutRequestID,
+    resultCode: result.resultCode,
+    reason: decision.reason,
+    source
+  });
+
+  return { outcome: decision.outcome, reason: decision.reason, payment: current };
+};
+
+/**
+ * Re-run a stored webhook entry through processWebhook, or through the refund
+ * service for refund results
+ */
+const replayWebhook = async (payment, entryId) => {
+  const entry = payment.webhookData.id(entryId);
+  if (!entry) return null;
+
+  const options = { source: 'replay', replayOf: entry._id };
+
+  if (Object.values(REFUND_EVENTS).includes(entry.event)) {
+    return handleMpesaResult(entry.data, { ...options, timedOut: entry.event === REFUND_EVENTS.TIMEOUT });
+  }
+
+  return processWebhook(entry.event, entry.data, options);
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  parseWebhook,
+  processWebhook,
+  replayWebhook,
+};
@@ -0,0 +1,227 @@
+// backend/src/services/payment/mpesaService.js
+
+const axios = require('axios');
+const AppError = require('../../utils/appError');
+const logger = require('../../config/logger').paymentLogger;
+const {
+  mpesaConfig,
+  getEndpoints,
+  getAccessToken,
+  generatePassword,
+  generateTimestamp,
+  formatMpesaPhone,
+  getErrorMessage,
+} = require('../../config/mpesa');
+
+class MpesaService {
+  constructor(config = mpesaConfig) {
+    this.config = config;
+  }
+
+  // A callback URL with the secret path segment Daraja must call it on
+  withCallbackToken(url) {
+    return `${String(url).replace(/\/+$/, '')}/${this.config.callbackToken}`;
+  }
+
+  buildCredentials() {
+    const timestamp = generateTimestamp();
+    const password = generatePassword(this.config.shortCode, this.config.passKey, timestamp);
+    return { password, timestamp };
+  }
+
+  async post(endpoint, payload, timeout) {
+    const accessToken = await getAccessToken();
+
+    const response = await axios.post(getEndpoints()[endpoint], payload, {
+      headers: {
+        Authorization: `Bearer ${accessToken}`,
+        'Content-Type': 'application/json',
+      },
+      timeout,
+    });
+
+    return response.data;
+  }
+
+  async stkPush({ phoneNumber, amount, accountReference, transactionDesc }) {
+    const { password, timestamp } = this.buildCredentials();
+    const phone = formatMpesaPhone(phoneNumber);
+
+    const payload = {
+      BusinessShortCode: this.config.shortCode,
+      Password: password,
+      Timestamp: timestamp,
+      TransactionType: this.config.transactionType,
+      Amount: Math.ceil(amount),
+      PartyA: phone,
+      PartyB: this.config.shortCode,
+      PhoneNumber: phone,
+      CallBackURL: this.withCallbackToken(this.config.callbackURL),
+      AccountReference: accountReference.slice(0, 12),
+      TransactionDesc: transactionDesc.slice(0, 13),
+    };
+
+    try {
+      const data = await this.post('stkPush', payload, this.config.timeouts.stkPush);
+
+      if (String(data.ResponseCode) !== '0') {
+        throw new AppError(data.ResponseDescription || 'M-Pesa rejected the payment request', 502);
+      }
+
+      logger.info('STK push accepted', {
+        checkoutRequestID: data.CheckoutRequestID,
+        accountReference: payload.AccountReference,
+      });
+
+      return {
+        checkoutRequestID: data.CheckoutRequestID,
+        merchantRequestID: data.MerchantRequestID,
+        customerMessage: data.CustomerMessage,
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+
+      logger.error('STK push failed:', error.response?.data || error.message);
+      throw new AppError('Failed to initiate M-Pesa payment', 502);
+    }
+  }
+
+  async stkQuery(checkoutRequestID) {
+    const { password, timestamp } = this.buildCredentials();
+
+    try {
+      const data = await this.post('stkQuery', {
+        BusinessShortCode: this.config.shortCode,
+        Password: password,
+        Timestamp: timestamp,
+        CheckoutRequestID: checkoutRequestID,
+      }, this.config.timeouts.query);
+
+      return { CheckoutRequestID: checkoutRequestID, ...data };
+    } catch (error) {
+      logger.error('STK query failed:', error.response?.data || error.message);
+      throw new AppError('Failed to query M-Pesa payment status', 502);
+    }
+  }
+
+  // Send an initiator request (reversal, B2C) and return its conversation IDs.
+  // The outcome arrives later on refundResultURL.
+  async initiatorRequest(endpoint, payload, label) {
+    try {
+      const data = await this.post(endpoint, {
+        ...payload,
+        SecurityCredential: this.config.securityCredential,
+        ResultURL: this.withCallbackToken(this.config.refundResultURL),
+        QueueTimeOutURL: this.withCallbackToken(this.config.refundTimeoutURL),
+      }, this.config.timeouts.refund);
+
+      if (String(data.ResponseCode) !== '0') {
+        throw new AppError(data.ResponseDescription || `M-Pesa rejected the ${label} request`, 502);
+      }
+
+      logger.info(`M-Pesa ${label} accepted`, { conversationID: data.ConversationID });
+
+      return {
+        conversationID: data.ConversationID,
+        originatorConversationID: data.OriginatorConversationID,
+      };
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+
+      logger.error(`M-Pesa ${label} failed:`, error.response?.data || error.message);
+
+      // Without a response Daraja may still have taken the request, so it
+      // must not be sent again
+      const failure = new AppError(`Failed to send M-Pesa ${label} request`, 502);
+      failure.maybeSent = !error.response;
+      throw failure;
+    }
+  }
+
+  // Reverse a whole C2B payment back to the customer
+  async reversal({ transactionID, amount, remarks }) {
+    return this.initiatorRequest('reversal', {
+      Initiator: this.config.initiatorName,
+      CommandID: 'TransactionReversal',
+      TransactionID: transactionID,
+      Amount: Math.floor(amount),
+      ReceiverParty: this.config.shortCode,
+      RecieverIdentifierType: '11',
+      Remarks: remarks.slice(0, 100),
+      Occasion: '',
+    }, 'reversal');
+  }
+
+  // Pay part of a payment back to the customer's phone
+  async b2cPayment({ phoneNumber, amount, remarks }) {
+    return this.initiatorRequest('b2c', {
+      InitiatorName: this.config.initiatorName,
+      CommandID: 'BusinessPayment',
+      Amount: Math.floor(amount),
+      PartyA: this.config.b2cShortCode,
+      PartyB: formatMpesaPhone(phoneNumber),
+      Remarks: remarks.slice(0, 100),
+      Occasion: '',
+    }, 'B2C');
+  }
+
+  // Flatten a reversal or B2C result callback body into a plain result object
+  parseResult(body) {
+    const result = body?.Result;
+    if (!result || !result.ConversationID) return null;
+
+    const parameters = {};
+    [].concat(result.ResultParameters?.ResultParameter || []).forEach((parameter) => {
+      parameters[parameter.Key] = parameter.Value;
+    });
+
+    const resultCode = Number(result.ResultCode);
+
+    return {
+      resultCode,
+      resultDesc: result.ResultDesc || getErrorMessage(resultCode),
+      conversationID: result.ConversationID,
+      originatorConversationID: result.OriginatorConversationID,
+      transactionID: result.TransactionID,
+      parameters,
+    };
+  }
+
+  // Flatten an STK query response into the same shape as parseCallback
+  parseQueryResult(data) {
+    if (!data || !data.CheckoutRequestID) return null;
+
+    return {
+      resultCode: data.ResultCode !== undefined ? Number(data.ResultCode) : null,
+      resultDesc: data.ResultDesc,
+      checkoutRequestID: data.CheckoutRequestID,
+      merchantRequestID: data.MerchantRequestID,
+    };
+  }
+
+  // Flatten an STK callback body into a plain result object
+  parseCallback(body) {
+    const stkCallback = body?.Body?.stkCallback;
+    if (!stkCallback || !stkCallback.CheckoutRequestID) return null;
+
+    const metadata = {};
+    (stkCallback.CallbackMetadata?.Item || []).forEach((item) => {
+      metadata[item.Name] = item.Value;
+    });
+
+    const resultCode = Number(stkCallback.ResultCode);
+
+    return {
+      resultCode,
+      resultDesc: stkCallback.ResultDesc || getErrorMessage(resultCode),
+      checkoutRequestID: stkCallback.CheckoutRequestID,
+      merchantRequestID: stkCallback.MerchantRequestID,
+      amount: metadata.Amount,
+      receiptNumber: metadata.MpesaReceiptNumber,
+      transactionDate: metadata.TransactionDate,
+      phoneNumber: metadata.PhoneNumber ? String(metadata.PhoneNumber) : undefined,
+    };
+  }
+}
+
+module.exports = MpesaService;
@@ -0,0 +1,59 @@
+// backend/src/services/payment/refundGateways.js
+
+// How each kind of refund leaves the business. A gateway's refund() either
+// finishes the refund ({ status: 'completed' }) or hands it to a provider that
+// reports back later ({ status: 'processing' } plus the IDs its callback will
+// carry). Throwing means the attempt failed and may be retried.
+
+const MpesaService = require('./mpesaService');
+
+const mpesa = new MpesaService();
+
+const mpesaGateway = {
+  refund: async (payment, refund) => {
+    const remarks = refund.description || `Refund ${payment.paymentNumber || payment._id}`;
+
+    const request = refund.method === 'mpesa_reversal'
+      ? mpesa.reversal({ transactionID: payment.mpesa.receiptNumber, amount: refund.amount, remarks })
+      : mpesa.b2cPayment({ phoneNumber: payment.mpesa.phoneNumber, amount: refund.amount, remarks });
+
+    const { conversationID, originatorConversationID } = await request;
+
+    return { status: 'processing', conversationID, originatorConversationID };
+  }
+};
+
+// Cash, bank and card refunds are paid out by staff; recording them is the refund
+const manualGateway = {
+  refund: async (payment, refund) => ({
+    status: 'completed',
+    gatewayRefundId: refund.gatewayRefundId || `MANUAL-${refund._id}`
+  })
+};
+
+const GATEWAYS = {
+  mpesa_reversal: mpesaGateway,
+  mpesa_b2c: mpesaGateway,
+  manual: manualGateway
+};
+
+/**
+ * The refund method for `amount` of `payment`: M-Pesa payments are reversed
+ * when the whole payment goes back in one refund and paid back by B2C
+ * otherwise; everything else is refunded by hand.
+ */
+const refundMethodFor = (payment, amount) => {
+  if (payment.method !== 'mpesa') return 'manual';
+
+  const whole = amount >= (payment.actualAmount ?? payment.amount) &&
+    payment.refunds.every((refund) => refund.status === 'failed');
+
+  return whole && payment.mpesa?.receiptNumber ? 'mpesa_reversal' : 'mpesa_b2c';
+};
+
+const gatewayFor = (refund) => GATEWAYS[refund.method] || manualGateway;
+
+module.exports = {
+  refundMethodFor,
+  gatewayFor
+};
@@ -0,0 +1,499 @@
+// backend/src/services/payment/refundService.js
+
+// Refunds against a payment, full or partial. A refund is added to the
+// payment as pending (Payment.addRefund) and handed to the payment queue,
+// whose 'refund' job sends it out through the refund's gateway:
+//
+//   mpesa_reversal  the whole M-Pesa payment is reversed
+//   mpesa_b2c       part of an M-Pesa payment is paid back to the phone
+//   manual          cash on delivery, card and bank refunds paid out by staff
+//
+//   pending -> processing -> completed
+//                         -> failed
+//
+// M-Pesa refunds stay processing until Daraja posts the result to
+// refundResultURL. Each move is claimed with a conditional update on the
+// refund, so a retried job or a repeated callback never pays out twice, and
+// a refund that may have reached Daraja (a queue timeout, a request without
+// a response) is never sent again: it stays processing for its result or a
+// check by staff. Once a refund completes the payment becomes partial_refund
+// or refunded and the order's payment status (and cancellation.refundStatus)
+// follow it; a refund asked for by marking the order refunded moves the order
+// to refunded then too (see closeOrderWhenRefunded), and a refund for a return
+// settles the return (see returnService.settleRefund).
+
+const mongoose = require('mongoose');
+const Order = require('../../models/Order');
+const Payment = require('../../models/Payment');
+const AppError = require('../../utils/appError');
+const MpesaService = require('./mpesaService');
+const { refundMethodFor, gatewayFor } = require('./refundGateways');
+const { notifyRefund } = require('../orders/orderNotificationService');
+const { businessLogger, paymentLogger } = require('../../config/logger');
+
+const mpesa = new MpesaService();
+
+const REFUND_EVENTS = {
+  RESULT: 'refund_result',
+  TIMEOUT: 'refund_timeout',
+};
+
+const REFUND_REASONS = Payment.schema.path('refunds').schema.path('reason').enumValues;
+
+// Payment methods of orders that are refunded by hand when they have no
+// payment record of their own
+const MANUAL_METHODS = {
+  cod: 'cash_on_delivery',
+  card: 'card',
+};
+
+const idOf = (value) => value?._id || value;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const refundOf = (payment, refundId) => payment.refunds.id(refundId);
+
+/**
+ * Send a pending refund out: on the payment queue when Redis is up, right
+ * away otherwise. `order`, when given, is the order document to keep in sync
+ * instead of loading it.
+ */
+const dispatch = async (paymentId, refundId, order) => {
+  const { paymentQueue } = require('../../config/queue');
+
+  if (paymentQueue) {
+    return paymentQueue.add('processPayment', { paymentId, refundId, type: 'refund' });
+  }
+
+  return processRefund(paymentId, refundId, { order });
+};
+
+// Bring the order in line with a payment whose refunds just changed. The
+// changes are written straight to the order and mirrored onto `order`, the
+// document a caller may be about to save.
+const syncOrder = async (payment, order) => {
+  const current = await Order.findById(payment.order);
+  if (!current) return null;
+
+  const changes = {};
+
+  if (payment.refunds.some((refund) => refund.status === 'completed') &&
+      ['partial_refund', 'refunded'].includes(payment.status)) {
+    changes['payment.status'] = payment.status;
+  }
+
+  if (current.cancellation?.refundStatus) {
+    if (payment.status === 'refunded') changes['cancellation.refundStatus'] = 'processed';
+    else if (payment.refunds.at(-1)?.status === 'failed') changes['cancellation.refundStatus'] = 'failed';
+  }
+
+  if (Object.keys(changes).length === 0) return current;
+
+  await Order.updateOne({ _id: current._id }, { $set: changes });
+
+  [current, order]
+    .filter((doc) => doc && String(doc._id) === String(current._id))
+    .forEach((doc) => Object.entries(changes).forEach(([path, value]) => doc.set(path, value)));
+
+  return current;
+};
+
+// Move the payment to partial_refund or refunded to match its completed refunds
+const settlePayment = async (paymentId) => {
+  const payment = await Payment.findById(paymentId);
+  const paid = payment.actualAmount ?? payment.amount;
+  const target = payment.totalRefunded >= paid ? 'refunded' : 'partial_refund';
+
+  if (payment.status === target) return payment;
+
+  const updated = await Payment.findOneAndUpdate(
+    { _id: paymentId, status: { $in: Payment.statusesAllowingTransitionTo(target) } },
+    { $set: { status: target } },
+    { new: true }
+  );
+
+  return updated || payment;
+};
+
+// Move an order to refunded now its refund is back with the customer.
+// Required here as orderStatusService refunds through this service.
+const closeOrder = async (order) => {
+  const orderStatusService = require('../orders/orderStatusService');
+
+  try {
+    await orderStatusService.transition(order, 'refunded', { actor: 'system', note: 'Refund completed' });
+  } catch (error) {
+    paymentLogger.error('Could not mark the refunded order refunded', { orderId: order._id, error: error.message });
+  }
+};
+
+// Move the return a refund was for on, now the refund has finished either way.
+// Required here as returnService refunds through this service.
+const settleReturn = async (refund, completed) => {
+  if (!refund.closesReturn) return;
+
+  const returnService = require('../returns/returnService');
+  await returnService.settleRefund(refund.closesReturn, completed);
+};
+
+const completeRefund = async (paymentId, refundId, { gatewayRefundId, order } = {}) => {
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: paymentId, refunds: { $elemMatch: { _id: refundId, status: 'processing' } } },
+    {
+      $set: {
+        'refunds.$.status': 'completed',
+        'refunds.$.gatewayRefundId': gatewayRefundId,
+        'refunds.$.processedAt': new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!claimed) return null;
+
+  const payment = await settlePayment(paymentId);
+  const refund = refundOf(payment, refundId);
+  const synced = await syncOrder(payment, order);
+
+  businessLogger.payment(payment._id, 'refund_completed', {
+    orderId: payment.order,
+    refundId,
+    amount: refund.amount,
+    method: refund.method,
+    gatewayRefundId
+  });
+
+  if (synced) {
+    notifyRefund(synced, refund).catch((error) => {
+      paymentLogger.error('Refund notification failed', { paymentId, refundId, error: error.message });
+    });
+  }
+
+  if (synced && refund.closesOrder) {
+    await closeOrder(synced);
+  }
+
+  await settleReturn(refund, true);
+
+  return payment;
+};
+
+const failRefund = async (paymentId, refundId, { code, message }, { order } = {}) => {
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, refunds: { $elemMatch: { _id: refundId, status: { $in: ['pending', 'processing'] } } } },
+    {
+      $set: {
+        'refunds.$.status': 'failed',
+        'refunds.$.failure': { code, message },
+        'refunds.$.processedAt': new Date()
+      }
+    },
+    { new: true }
+  );
+
+  if (!payment) return null;
+
+  await syncOrder(payment, order);
+  await settleReturn(refundOf(payment, refundId), false);
+
+  paymentLogger.error('Refund failed', { paymentId, refundId, code, message });
+  businessLogger.payment(payment._id, 'refund_failed', { orderId: payment.order, refundId, code, message });
+
+  return payment;
+};
+
+// Put a refund that could not be sent back to pending for another attempt
+const releaseRefund = (paymentId, refundId) => Payment.updateOne(
+  { _id: paymentId, refunds: { $elemMatch: { _id: refundId, status: 'processing' } } },
+  { $set: { 'refunds.$.status': 'pending' } }
+);
+
+/**
+ * Send a pending refund through its gateway. This is the payment queue's
+ * 'refund' job. When the gateway refuses it, the refund goes back to pending
+ * and the error is rethrown so the queue retries it, unless this is the
+ * `finalAttempt`, which fails the refund instead. A request that may have
+ * got through leaves the refund processing. Resolves to the payment, or
+ * null when the refund was not pending (already sent by another attempt).
+ */
+const processRefund = async (paymentId, refundId, { finalAttempt = true, order } = {}) => {
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, refunds: { $elemMatch: { _id: refundId, status: 'pending' } } },
+    { $set: { 'refunds.$.status': 'processing' }, $inc: { 'refunds.$.attempts': 1 } },
+    { new: true }
+  );
+
+  if (!payment) return null;
+
+  const refund = refundOf(payment, refundId);
+
+  let result;
+  try {
+    result = await gatewayFor(refund).refund(payment, refund);
+  } catch (error) {
+    if (error.maybeSent) {
+      paymentLogger.warn('Refund request got no response; left processing', { paymentId, refundId, error: error.message });
+      return payment;
+    }
+
+    if (!finalAttempt) {
+      await releaseRefund(paymentId, refundId);
+      throw error;
+    }
+
+    return failRefund(paymentId, refundId, { code: 'gateway_error', message: error.message }, { order });
+  }
+
+  if (result.status === 'completed') {
+    return completeRefund(paymentId, refundId, { gatewayRefundId: result.gatewayRefundId, order });
+  }
+
+  businessLogger.payment(payment._id, 'refund_sent', {
+    orderId: payment.order,
+    refundId,
+    method: refund.method,
+    conversationID: result.conversationID
+  });
+
+  return Payment.findOneAndUpdate(
+    { _id: paymentId, 'refunds._id': refundId },
+    {
+      $set: {
+        'refunds.$.conversationID': result.conversationID,
+        'refunds.$.refundId': result.originatorConversationID
+      }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Refund `amount` (everything still refundable by default) of `payment` on
+ * behalf of staff member `user`. `reference` is the receipt or transfer
+ * reference of a manual refund; `closesReturn` the return it pays for. Throws a 400 AppError for an amount or reason
+ * the payment can't take and a 409 when it can't be refunded right now.
+ * Resolves to { payment, refund } once the refund is sent (M-Pesa refunds
+ * complete later, when Daraja reports back), or throws a 502 when it could
+ * not be sent.
+ */
+const requestRefund = async (payment, { amount, reason = 'other', description, reference, closesReturn, user } = {}, order) => {
+  const refundable = payment.refundableAmount;
+
+  if (refundable <= 0) {
+    throw new AppError('Nothing is left to refund on this payment', 409);
+  }
+
+  const value = amount === undefined || amount === null || amount === '' ? refundable : roundAmount(Number(amount));
+
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new AppError('Refund amount must be greater than zero', 400);
+  }
+
+  if (value > refundable) {
+    throw new AppError(`Refund amount exceeds the refundable amount of ${refundable}`, 400);
+  }
+
+  if (!REFUND_REASONS.includes(reason)) {
+    throw new AppError(`reason must be one of: ${REFUND_REASONS.join(', ')}`, 400);
+  }
+
+  const method = refundMethodFor(payment, value);
+
+  if (method === 'mpesa_b2c' && !payment.mpesa?.phoneNumber) {
+    throw new AppError('This M-Pesa payment has no phone number to refund to', 409);
+  }
+
+  let updated;
+  try {
+    updated = await payment.addRefund({
+      amount: value,
+      reason,
+      description,
+      method,
+      gatewayRefundId: method === 'manual' ? reference : undefined,
+      closesReturn
+    }, idOf(user));
+  } catch (error) {
+    throw new AppError(error.message, 409);
+  }
+
+  const refund = updated.refunds.at(-1);
+
+  businessLogger.payment(updated._id, 'refund_requested', {
+    orderId: updated.order,
+    refundId: refund._id,
+    amount: value,
+    method,
+    requestedBy: idOf(user)
+  });
+
+  await dispatch(updated._id, refund._id, order);
+
+  const current = await Payment.findById(updated._id);
+  const sent = refundOf(current, refund._id);
+
+  // Without a queue the refund was sent right here, and a failure is final
+  if (sent.status === 'failed') {
+    throw new AppError(`Refund failed: ${sent.failure.message}`, 502);
+  }
+
+  return { payment: current, refund: sent };
+};
+
+// A record of what the customer paid for an order that was settled outside
+// the payment gateways, so it can be refunded against
+const recordManualPayment = (order) => Payment.create({
+  order: order._id,
+  customer: order.customer,
+  guest: order.guest,
+  amount: order.payment.amount ?? order.summary.total,
+  actualAmount: order.payment.amount ?? order.summary.total,
+  currency: 'KES',
+  method: MANUAL_METHODS[order.payment.method],
+  paymentGateway: 'manual',
+  status: 'completed',
+  reference: order.orderNumber,
+  paidAt: order.payment.paidAt || new Date()
+});
+
+/**
+ * Refund on `order`'s payment (see requestRefund). Paid cash on delivery and
+ * card orders have no payment record, so one is made for them first. Resolves
+ * to { payment, refund }, or null when nothing is left to refund and no
+ * amount was asked for. Throws a 409 AppError when the order has no payment.
+ */
+const refundOrder = async (order, options = {}) => {
+  let payment = await Payment.findOne({ order: order._id, status: { $in: ['completed', 'partial_refund', 'refunded'] } })
+    .sort({ createdAt: -1 });
+
+  if (!payment && order.payment.status === 'paid' && MANUAL_METHODS[order.payment.method]) {
+    payment = await recordManualPayment(order);
+  }
+
+  if (!payment) {
+    throw new AppError('This order has no payment to refund', 409);
+  }
+
+  if (payment.refundableAmount <= 0 && options.amount === undefined) {
+    return null;
+  }
+
+  return requestRefund(payment, options, order);
+};
+
+/**
+ * Whether any refund on `order`'s payments is still pending or processing
+ */
+const hasRefundInFlight = async (order) => Boolean(await Payment.exists({
+  order: idOf(order),
+  'refunds.status': { $in: ['pending', 'processing'] }
+}));
+
+/**
+ * Have the order a refund was asked for move to refunded once the refund
+ * completes. Resolves to the refund's status: still pending or processing
+ * when the order will follow it, else completed or failed (it finished
+ * first, so the caller acts on it).
+ */
+const closeOrderWhenRefunded = async (paymentId, refundId) => {
+  const flagged = await Payment.findOneAndUpdate(
+    { _id: paymentId, refunds: { $elemMatch: { _id: refundId, status: { $in: ['pending', 'processing'] } } } },
+    { $set: { 'refunds.$.closesOrder': true } },
+    { new: true }
+  );
+
+  return refundOf(flagged || await Payment.findById(paymentId), refundId).status;
+};
+
+/**
+ * Handle a Daraja reversal or B2C result (or queue timeout) posted to the
+ * refund callback URLs. The payload is recorded in Payment.webhookData first.
+ * A timed-out refund is left processing, never sent again.
+ * Resolves to { outcome, reason, payment } like processWebhook.
+ */
+const handleMpesaResult = async (data, { timedOut = false, source = 'gateway', replayOf } = {}) => {
+  const event = timedOut ? REFUND_EVENTS.TIMEOUT : REFUND_EVENTS.RESULT;
+  const result = mpesa.parseResult(data);
+
+  if (!result) {
+    return { outcome: 'invalid', reason: 'Unrecognised payload' };
+  }
+
+  const payment = await Payment.findOne({ 'refunds.conversationID': result.conversationID });
+
+  if (!payment) {
+    paymentLogger.warn('M-Pesa refund result for unknown ConversationID', { event, conversationID: result.conversationID, data });
+    return { outcome: 'unknown', reason: `No refund for ConversationID ${result.conversationID}` };
+  }
+
+  const refund = payment.refunds.find((entry) => entry.conversationID === result.conversationID);
+
+  const entryId = new mongoose.Types.ObjectId();
+  await Payment.updateOne(
+    { _id: payment._id },
+    { $push: { webhookData: { _id: entryId, event, source, data, replayOf, receivedAt: new Date() } } }
+  );
+
+  let decision;
+  let current = payment;
+
+  if (refund.status !== 'processing') {
+    decision = { outcome: 'duplicate', reason: `Refund already ${refund.status}` };
+  } else if (timedOut) {
+    // Daraja may still have paid it out, so the refund waits for its result
+    // (or for staff to check the M-Pesa statement) rather than being resent
+    paymentLogger.warn('M-Pesa refund timed out in the queue; left processing', {
+      paymentId: payment._id,
+      refundId: refund._id,
+      conversationID: result.conversationID
+    });
+    decision = { outcome: 'ignored', reason: 'Timed out; waiting for the result' };
+  } else if (result.resultCode !== 0) {
+    current = await failRefund(payment._id, refund._id, {
+      code: String(result.resultCode),
+      message: result.resultDesc
+    });
+    decision = current
+      ? { outcome: 'applied', reason: result.resultDesc }
+      : { outcome: 'duplicate', reason: 'Refund changed concurrently' };
+  } else {
+    current = await completeRefund(payment._id, refund._id, { gatewayRefundId: result.transactionID });
+    decision = current
+      ? { outcome: 'applied' }
+      : { outcome: 'duplicate', reason: 'Refund changed concurrently' };
+  }
+
+  await Payment.updateOne(
+    { _id: payment._id, 'webhookData._id': entryId },
+    {
+      $set: {
+        'webhookData.$.processed': true,
+        'webhookData.$.processedAt': new Date(),
+        'webhookData.$.outcome': decision.outcome,
+        'webhookData.$.reason': decision.reason,
+      }
+    }
+  );
+
+  businessLogger.payment(payment._id, `mpesa_${event}_${decision.outcome}`, {
+    orderId: payment.order,
+    refundId: refund._id,
+    conversationID: result.conversationID,
+    resultCode: result.resultCode,
+    reason: decision.reason,
+    source
+  });
+
+  return { outcome: decision.outcome, reason: decision.reason, payment: current || await Payment.findById(payment._id) };
+};
+
+module.exports = {
+  REFUND_EVENTS,
+  REFUND_REASONS,
+  requestRefund,
+  refundOrder,
+  processRefund,
+  closeOrderWhenRefunded,
+  hasRefundInFlight,
+  handleMpesaResult
+};
@@ -0,0 +1,52 @@
+// backend/src/services/pricing/cartScope.js
+
+// Helpers shared by coupons and promotions for deciding which cart lines a
+// discount rule covers.
+
+const Product = require('../../models/Product');
+
+const idOf = (value) => String(value?._id || value);
+
+const includes = (list = [], id) => list.some((entry) => idOf(entry) === id);
+
+const unitPrice = (item) => item.price + (item.variant?.priceAdjustment || 0);
+
+// Map product id -> category id for the products in the cart
+const loadCategories = async (items) => {
+  const products = await Product.find({ _id: { $in: items.map((item) => idOf(item.product)) } })
+    .select('category');
+
+  return new Map(products.map((product) => [idOf(product), product.category && idOf(product.category)]));
+};
+
+/**
+ * Whether a cart line falls inside a rule's product/category lists. Empty
+ * inclusion lists cover everything; exclusions always win.
+ */
+const inScope = (rule, item, categories) => {
+  const productId = idOf(item.product);
+  const categoryId = categories.get(productId);
+
+  if (includes(rule.excludedProducts, productId)) return false;
+  if (categoryId && includes(rule.excludedCategories, categoryId)) return false;
+
+  const restricted = (rule.products || []).length > 0 || (rule.categories || []).length > 0;
+  if (!restricted) return true;
+
+  return includes(rule.products, productId) || Boolean(categoryId && includes(rule.categories, categoryId));
+};
+
+const scopedSubtotal = (rule, items, categories) => items.reduce((total, item) => (
+  inScope(rule, item, categories) ? total + unitPrice(item) * item.quantity : total
+), 0);
+
+const roundKES = (amount) => Math.round(amount * 100) / 100;
+
+module.exports = {
+  idOf,
+  unitPrice,
+  loadCategories,
+  inScope,
+  scopedSubtotal,
+  roundKES
+};
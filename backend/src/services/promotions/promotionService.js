@@ -0,0 +1,119 @@
+// backend/src/services/promotions/promotionService.js
+
+// Works out which automatic promotions a cart qualifies for. Unlike coupons
+// nothing is stored on the cart between saves: the lines are recomputed from
+// the running promotions every time the totals are.
+
+const Promotion = require('../../models/Promotion');
+const { idOf, unitPrice, loadCategories, inScope, scopedSubtotal, roundKES } = require('../pricing/cartScope');
+
+// Buy X get Y: every (buy + get) units in scope earn `get` units off, and the
+// cheapest units are the ones given away
+const buyXGetYDiscount = (promotion, items, categories) => {
+  const { buyQuantity, getQuantity, getDiscountPercent = 100 } = promotion;
+  if (!buyQuantity || !getQuantity) return 0;
+
+  const prices = [];
+  for (const item of items) {
+    if (!inScope(promotion, item, categories)) continue;
+    for (let i = 0; i < item.quantity; i++) prices.push(unitPrice(item));
+  }
+
+  const freeUnits = Math.floor(prices.length / (buyQuantity + getQuantity)) * getQuantity;
+  if (!freeUnits) return 0;
+
+  prices.sort((a, b) => a - b);
+  const freeValue = prices.slice(0, freeUnits).reduce((sum, price) => sum + price, 0);
+
+  return freeValue * (getDiscountPercent / 100);
+};
+
+// Tiered spend: the highest tier the in-scope subtotal reaches
+const tieredSpendDiscount = (promotion, items, categories) => {
+  const eligible = scopedSubtotal(promotion, items, categories);
+
+  const tier = [...(promotion.tiers || [])]
+    .sort((a, b) => b.minSubtotal - a.minSubtotal)
+    .find((t) => eligible > 0 && eligible >= t.minSubtotal);
+
+  if (!tier) return 0;
+
+  return tier.type === 'percentage'
+    ? eligible * (tier.value / 100)
+    : Math.min(tier.value, eligible);
+};
+
+// Bundle: each complete set of the bundle's products costs the bundle price
+const bundleDiscount = (promotion, items) => {
+  const bundleItems = promotion.bundleItems || [];
+  if (!bundleItems.length || promotion.bundlePrice == null) return 0;
+
+  let bundles = Infinity;
+  let regularPrice = 0;
+
+  for (const { product, quantity = 1 } of bundleItems) {
+    const lines = items.filter((item) => idOf(item.product) === idOf(product));
+    const inCart = lines.reduce((sum, item) => sum + item.quantity, 0);
+    if (!inCart) return 0;
+
+    bundles = Math.min(bundles, Math.floor(inCart / quantity));
+    // Price the bundle from the cheapest line when the product is in the cart more than once
+    regularPrice += Math.min(...lines.map(unitPrice)) * quantity;
+  }
+
+  return bundles * Math.max(regularPrice - promotion.bundlePrice, 0);
+};
+
+const CALCULATORS = {
+  buy_x_get_y: buyXGetYDiscount,
+  tiered_spend: tieredSpendDiscount,
+  bundle: bundleDiscount
+};
+
+const sum = (lines) => lines.reduce((total, line) => total + line.discount, 0);
+
+/**
+ * Promotion lines for a cart: [{ promotion, name, type, discount }].
+ * Stackable promotions combine; a non-stackable one only applies on its own,
+ * so whichever of the two gives the customer more wins. The total never
+ * exceeds the cart subtotal.
+ */
+const applyPromotions = async (cart) => {
+  if (!cart.items.length) return [];
+
+  const promotions = await Promotion.findRunning();
+  if (!promotions.length) return [];
+
+  const categories = await loadCategories(cart.items);
+
+  const lines = promotions
+    .map((promotion) => ({
+      promotion: promotion._id,
+      name: promotion.name,
+      type: promotion.type,
+      stackable: promotion.stackable,
+      discount: roundKES(CALCULATORS[promotion.type](promotion, cart.items, categories))
+    }))
+    .filter((line) => line.discount > 0);
+
+  const stacked = lines.filter((line) => line.stackable);
+  const bestSolo = lines
+    .filter((line) => !line.stackable)
+    .reduce((best, line) => (!best || line.discount > best.discount ? line : best), null);
+
+  const chosen = bestSolo && bestSolo.discount > sum(stacked) ? [bestSolo] : stacked;
+
+  // Lines are in priority order, so the lowest priority ones give way first
+  let remaining = cart.totals.subtotal;
+  return chosen
+    .map(({ stackable, ...line }) => {
+      const discount = roundKES(Math.min(line.discount, remaining));
+      remaining -= discount;
+      return { ...line, discount };
+    })
+    .filter((line) => line.discount > 0);
+};
+
+module.exports = {
+  applyPromotions
+};
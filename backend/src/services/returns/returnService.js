@@ -0,0 +1,440 @@
+// backend/src/services/returns/returnService.js
+
+// Return requests (RMAs) for delivered orders. A customer may return items
+// within RETURN_WINDOW_DAYS of delivery, up to the quantity they were sent
+// less whatever is already on a return that wasn't rejected (claimed on the
+// order line, see claimQuantities), and never items from a non-returnable
+// category (or a subcategory of one).
+//
+//   requested  the customer asked; waiting in the admin approval queue
+//   approved   staff agreed and the customer can send the items back
+//   rejected   staff refused, with a reason
+//   received        the items arrived and went back into stock
+//   refund_pending  staff marked it refunded and the refund is on its way
+//   refunded        the customer got their money back
+//
+// Staff refund a received return by marking it refunded. It waits in
+// refund_pending until the refund completes (an M-Pesa one completes when
+// Daraja reports back, see settleRefund), and goes back to received if the
+// refund fails, so it can be tried again.
+//
+// Status changes are claimed with a conditional update on the return, so two
+// admins acting at once can never restock or refund the same return twice.
+
+const Order = require('../../models/Order');
+const Return = require('../../models/Return');
+const Payment = require('../../models/Payment');
+const Product = require('../../models/Product');
+const Category = require('../../models/Category');
+const AppError = require('../../utils/appError');
+const inventoryService = require('../inventory/inventoryService');
+const refundService = require('../payment/refundService');
+const taxService = require('../tax/taxService');
+const { businessLogger } = require('../../config/logger');
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const idOf = (value) => value?._id || value;
+
+/**
+ * When the order was delivered: the tracking stamp, or the delivered entry in
+ * its status history for orders delivered before tracking was stamped
+ */
+const deliveredAt = (order) => {
+  if (order.tracking?.deliveredAt) return order.tracking.deliveredAt;
+
+  const entry = [...(order.statusHistory || [])].reverse().find((e) => e.status === 'delivered');
+  return entry ? entry.timestamp : null;
+};
+
+/**
+ * The last moment items of a delivered order can be returned, or null
+ */
+const returnDeadline = (order) => {
+  const delivered = deliveredAt(order);
+  return delivered ? new Date(new Date(delivered).getTime() + RETURN_WINDOW_DAYS * DAY_MS) : null;
+};
+
+/**
+ * The ids (as strings) of those products that sit in a non-returnable
+ * category or under one
+ */
+const nonReturnableProducts = async (productIds) => {
+  const blocked = await Category.find({ returnable: false }).select('_id').lean();
+  if (blocked.length === 0) return new Set();
+
+  const blockedIds = new Set(blocked.map((category) => String(category._id)));
+  const products = await Product.find({ _id: { $in: productIds } }).select('category').lean();
+  const categories = await Category.find({ _id: { $in: products.map((p) => p.category) } }).select('path').lean();
+
+  const isBlocked = new Map(categories.map((category) => [
+    String(category._id),
+    [String(category._id), ...(category.path ? category.path.split('/') : [])].some((id) => blockedIds.has(id))
+  ]));
+
+  return new Set(products.filter((p) => isBlocked.get(String(p.category))).map((p) => String(p._id)));
+};
+
+// Units of each order line already on a return that wasn't rejected
+const returnedQuantities = (returns) => {
+  const quantities = new Map();
+
+  returns
+    .filter((ret) => ret.status !== 'rejected')
+    .forEach((ret) => ret.items.forEach((item) => {
+      const key = String(item.orderItem);
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    }));
+
+  return quantities;
+};
+
+// What the customer paid for the returned items: their price less their
+// share of the order's coupons and promotions, plus their share of each
+// line's VAT when it was added on top of the prices
+const refundFor = (order, returnItems) => {
+  const { subtotal, discount = 0 } = order.summary;
+  const paidShare = subtotal > 0 ? Math.min(Math.max((subtotal - discount) / subtotal, 0), 1) : 1;
+  const tax = taxService.orderTax(order);
+
+  const total = returnItems.reduce((sum, item) => {
+    const index = order.items.findIndex((line) => String(line._id) === String(item.orderItem));
+    const line = order.items[index];
+    const lineTax = tax.included ? 0 : (tax.items[index]?.tax || 0) * (item.quantity / line.quantity);
+    return sum + item.total * paidShare + lineTax;
+  }, 0);
+
+  return Math.round(total * 100) / 100;
+};
+
+// Give back units claimed by claimQuantities, e.g. when a return is rejected
+const releaseQuantities = (orderId, items) => Promise.all(items.map((item) => Order.updateOne(
+  { _id: orderId, items: { $elemMatch: { _id: item.orderItem, returnedQuantity: { $gte: item.quantity } } } },
+  { $inc: { 'items.$.returnedQuantity': -item.quantity } }
+)));
+
+// Count the items against each order line's returned quantity, with a
+// conditional update per line so parallel requests can't both return the
+// same units. Orders from before the count have none yet.
+const claimQuantities = async (order, items) => {
+  const claimed = [];
+
+  for (const item of items) {
+    const line = order.items.id(item.orderItem);
+    const result = await Order.updateOne(
+      {
+        _id: order._id,
+        items: {
+          $elemMatch: {
+            _id: line._id,
+            $or: [
+              { returnedQuantity: { $exists: false } },
+              { returnedQuantity: { $lte: line.quantity - item.quantity } }
+            ]
+          }
+        }
+      },
+      { $inc: { 'items.$.returnedQuantity': item.quantity } }
+    );
+
+    if (result.modifiedCount === 0) {
+      await releaseQuantities(order._id, claimed);
+      throw new AppError(`${line.name} is already on another return. Please reload the order and try again`, 409);
+    }
+
+    claimed.push(item);
+  }
+};
+
+const checkWindow = (order, now) => {
+  if (order.status !== 'delivered') {
+    throw new AppError('Only delivered orders can be returned', 409);
+  }
+
+  const deadline = returnDeadline(order);
+  if (!deadline || now > deadline) {
+    throw new AppError(`The ${RETURN_WINDOW_DAYS}-day return window for this order has closed`, 409);
+  }
+};
+
+/**
+ * Open a return for items of a delivered order. `items` are
+ * `{ item, quantity }` where `item` is the order line's id (or `product` to
+ * pick the line by product). Throws a 409 AppError when the order is outside
+ * the return window and a 400 for items that can't be returned.
+ */
+const requestReturn = async (order, user, { items, reason, description, photos = [] }, now = new Date()) => {
+  checkWindow(order, now);
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('At least one item must be selected for return', 400);
+  }
+
+  if (!Return.REASONS.includes(reason)) {
+    throw new AppError(`reason must be one of: ${Return.REASONS.join(', ')}`, 400);
+  }
+
+  const returned = returnedQuantities(await Return.find({ order: order._id }).select('status items'));
+  const requested = new Map();
+
+  for (const entry of items) {
+    const line = entry.item
+      ? order.items.id(entry.item)
+      : order.items.find((item) => String(item.product) === String(entry.product));
+
+    if (!line) {
+      throw new AppError('One of the items is not part of this order', 400);
+    }
+
+    const quantity = Number(entry.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      throw new AppError(`Quantity for ${line.name} must be a whole number of at least 1`, 400);
+    }
+
+    const key = String(line._id);
+    requested.set(key, { line, quantity: (requested.get(key)?.quantity || 0) + quantity });
+  }
+
+  const blocked = await nonReturnableProducts([...requested.values()].map(({ line }) => line.product));
+
+  const returnItems = [...requested.values()].map(({ line, quantity }) => {
+    if (blocked.has(String(line.product))) {
+      throw new AppError(`${line.name} is in a category that can't be returned`, 400);
+    }
+
+    const remaining = line.quantity - (returned.get(String(line._id)) || 0);
+    if (quantity > remaining) {
+      throw new AppError(`Only ${remaining} of ${line.name} can still be returned (requested: ${quantity})`, 400);
+    }
+
+    return {
+      orderItem: line._id,
+      product: line.product,
+      name: line.name,
+      sku: line.sku,
+      variant: line.variant,
+      price: line.price,
+      quantity,
+      total: line.price * quantity,
+      allocation: line.allocation
+    };
+  });
+
+  await claimQuantities(order, returnItems);
+
+  let ret;
+  try {
+    ret = await Return.create({
+      order: order._id,
+      customer: order.customer,
+      items: returnItems,
+      reason,
+      description,
+      photos,
+      refundAmount: refundFor(order, returnItems),
+      statusHistory: [{
+        status: 'requested',
+        note: 'Return requested',
+        updatedBy: idOf(user),
+        timestamp: now
+      }]
+    });
+  } catch (error) {
+    await releaseQuantities(order._id, returnItems);
+    throw error;
+  }
+
+  businessLogger.order(order._id, 'return_requested', { returnId: ret._id, returnNumber: ret.returnNumber });
+
+  return ret;
+};
+
+// Refund the return on the order's payment, capped at what is still
+// refundable on it (the order may have been refunded in part already)
+const refundReturn = async (ret, user) => {
+  const order = await Order.findById(idOf(ret.order));
+  const payment = await Payment.findOne({ order: order._id, status: { $in: ['completed', 'partial_refund'] } });
+  const refundable = payment ? payment.refundableAmount : ret.refundAmount;
+
+  return refundService.refundOrder(order, {
+    amount: Math.min(ret.refundAmount, refundable),
+    reason: 'requested_by_customer',
+    description: `Return ${ret.returnNumber}`,
+    closesReturn: ret._id,
+    user
+  });
+};
+
+// Fields stamped on the return for each status it moves to
+const STAMPS = {
+  approved: (user) => ({ approvedBy: idOf(user), approvedAt: new Date() }),
+  rejected: (user, note) => ({ rejectionReason: note }),
+  received: () => ({ receivedAt: new Date() }),
+  refund_pending: () => ({}),
+  refunded: () => ({ refundedAt: new Date() })
+};
+
+// Staff mark a return refunded; it is refund_pending until the money is back
+const asRequested = (status) => (status === 'refund_pending' ? 'refunded' : status);
+
+/**
+ * The statuses staff may move a return to from `from`. None while its refund
+ * is on its way; that finishes by itself.
+ */
+const transitionsFrom = (from) => (from === 'refund_pending' ? [] : Return.transitionsFrom(from).map(asRequested));
+
+/**
+ * Move a return to status `to` on behalf of staff member `user`. Receiving
+ * puts the items back into stock and refunding refunds the payment (the
+ * return is refund_pending until that completes). Throws a 409 AppError for a
+ * transition the return can't make (or lost to another admin) and a 400 when
+ * rejecting without a reason. Resolves to the return.
+ */
+const transition = async (ret, to, { user, note } = {}) => {
+  const from = ret.status;
+
+  if (!Return.STATUSES.includes(to) || to === 'refund_pending') {
+    throw new AppError('Invalid return status', 400);
+  }
+
+  if (from === 'refund_pending') {
+    throw new AppError('The refund for this return is still being paid out. Please wait for it to complete', 409);
+  }
+
+  if (!transitionsFrom(from).includes(to)) {
+    const allowed = transitionsFrom(from);
+    throw new AppError(
+      `Cannot move a return from ${from} to ${to}. ${allowed.length ? `Allowed next: ${allowed.join(', ')}` : `A ${from} return is final`}`,
+      409
+    );
+  }
+
+  if (to === 'rejected' && !note) {
+    throw new AppError('A reason is required to reject a return', 400);
+  }
+
+  const status = to === 'refunded' ? 'refund_pending' : to;
+  const entry = {
+    status,
+    note: note || `Status changed from ${from} to ${status}`,
+    updatedBy: idOf(user),
+    timestamp: new Date()
+  };
+
+  let updated = await Return.findOneAndUpdate(
+    { _id: ret._id, status: from },
+    { $set: { status, ...STAMPS[status](user, note) }, $push: { statusHistory: entry } },
+    { new: true }
+  );
+
+  if (!updated) {
+    throw new AppError('This return was updated by someone else. Please reload it and try again', 409);
+  }
+
+  if (to === 'rejected') {
+    await releaseQuantities(idOf(updated.order), updated.items);
+  }
+
+  if (to === 'received') {
+    await inventoryService.restockReturn(updated, user);
+  }
+
+  if (to === 'refunded') {
+    try {
+      await refundReturn(updated, user);
+    } catch (error) {
+      // Put the return back so the refund can be tried again
+      await Return.updateOne(
+        { _id: updated._id, status: 'refund_pending' },
+        { $set: { status: from }, $pull: { statusHistory: { _id: updated.statusHistory.at(-1)._id } } }
+      );
+      throw new AppError(`Refund failed: ${error.message}`, 409);
+    }
+
+    // A refund paid by hand has completed (and settled the return) already
+    updated = await Return.findById(updated._id);
+  }
+
+  businessLogger.order(idOf(updated.order), `return_${status}`, { returnId: updated._id, from, updatedBy: idOf(user) });
+
+  return updated;
+};
+
+/**
+ * Finish a refund_pending return now its refund is done: refunded when the
+ * refund completed, back to received when it failed. Resolves to the return,
+ * or null when it wasn't waiting on a refund.
+ */
+const settleRefund = async (returnId, completed) => {
+  const to = completed ? 'refunded' : 'received';
+
+  const updated = await Return.findOneAndUpdate(
+    { _id: returnId, status: 'refund_pending' },
+    {
+      $set: { status: to, ...(completed && STAMPS.refunded()) },
+      $push: { statusHistory: { status: to, note: completed ? 'Refund completed' : 'Refund failed', timestamp: new Date() } }
+    },
+    { new: true }
+  );
+
+  if (updated) {
+    businessLogger.order(idOf(updated.order), `return_${to}`, { returnId: updated._id, from: 'refund_pending' });
+  }
+
+  return updated;
+};
+
+/**
+ * The returns on each order and whether more of it can be returned, keyed by
+ * order id. Category rules are checked too, so a delivered order of only
+ * non-returnable items shows no return option.
+ */
+const summarise = async (orders, now = new Date()) => {
+  const returns = await Return.find({ order: { $in: orders.map((order) => order._id) } })
+    .select('returnNumber order status items refundAmount createdAt')
+    .sort({ createdAt: -1 });
+
+  const open = orders.filter((order) => {
+    const deadline = order.status === 'delivered' ? returnDeadline(order) : null;
+    return deadline && now <= deadline;
+  });
+  const blocked = open.length
+    ? await nonReturnableProducts(open.flatMap((order) => order.items.map((item) => item.product?._id || item.product)))
+    : new Set();
+
+  return new Map(orders.map((order) => {
+    const orderReturns = returns.filter((ret) => String(ret.order) === String(order._id));
+    const returned = returnedQuantities(orderReturns);
+
+    const canReturn = open.includes(order) && order.items.some((item) => (
+      !blocked.has(String(item.product?._id || item.product)) &&
+      item.quantity > (returned.get(String(item._id)) || 0)
+    ));
+
+    return [String(order._id), {
+      canReturn,
+      returnDeadline: returnDeadline(order),
+      returns: orderReturns.map((ret) => ({
+        _id: ret._id,
+        returnNumber: ret.returnNumber,
+        status: ret.status,
+        refundAmount: ret.refundAmount,
+        itemCount: ret.itemCount,
+        createdAt: ret.createdAt
+      }))
+    }];
+  }));
+};
+
+module.exports = {
+  RETURN_WINDOW_DAYS,
+  deliveredAt,
+  returnDeadline,
+  requestReturn,
+  transitionsFrom,
+  transition,
+  settleRefund,
+  summarise
+};
@@ -0,0 +1,378 @@
+// backend/src/services/shipping/deliverySlotService.js
+
+// Booking a delivery time slot (home delivery) or a collection day at a
+// pickup station, with the calendar and limits in config/shipping.js.
+//
+//   held      picking a slot at checkout takes one from its DeliverySlot and
+//             records it on the cart until preferredDelivery.heldUntil;
+//             picking another gives the first back
+//   released  holds that run out (the checkout was abandoned) are given back
+//             by releaseExpiredHolds, which runs periodically
+//   booked    placing the order moves the hold from the cart to the order;
+//             cancelling the order gives the slot back
+//
+// Slots are taken and given back with conditional updates, and a hold is
+// claimed off the cart before it's given back or booked, so a slot can't be
+// overbooked or given back twice.
+
+const DeliverySlot = require('../../models/DeliverySlot');
+const PickupStation = require('../../models/PickupStation');
+const Cart = require('../../models/Cart');
+const Order = require('../../models/Order');
+const AppError = require('../../utils/appError');
+const { shippingConfig } = require('../../config/shipping');
+const { zoneFor } = require('./shippingService');
+const { businessLogger } = require('../../config/logger');
+
+const { slots: slotConfig } = shippingConfig;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const DAY_KEY = /^\d{4}-\d{2}-\d{2}$/;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const idOf = (value) => value?._id || value;
+
+// The Kenyan calendar day (YYYY-MM-DD) an instant falls on
+const dayKey = (date) => new Date(date.getTime() + slotConfig.utcOffsetHours * HOUR).toISOString().slice(0, 10);
+
+const addDays = (key, days) => new Date(Date.parse(key) + days * DAY).toISOString().slice(0, 10);
+
+const weekdayOf = (key) => new Date(key).getUTCDay();
+
+// The instant a window starts on a day, Kenyan time
+const windowStart = (key, window) => new Date(Date.parse(key) + (window.starts - slotConfig.utcOffsetHours) * HOUR);
+
+/**
+ * 'Tue 21 Oct 2026' for a day key, or for a Date stored as its day (midnight UTC)
+ */
+const formatDay = (day) => {
+  const date = new Date(day instanceof Date ? day.toISOString().slice(0, 10) : day);
+  return `${WEEKDAYS[date.getUTCDay()]} ${date.getUTCDate()} ${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}`;
+};
+
+const windowFor = (code) => slotConfig.windows.find((window) => window.code === code);
+
+const isDayKey = (value) => typeof value === 'string' && DAY_KEY.test(value) && !Number.isNaN(Date.parse(value));
+
+// The days a method can be booked on in a zone, from its earliest delivery day
+const bookableDays = (method, zone, now) => {
+  const earliest = shippingConfig.methods[method].days?.[zone]?.[0];
+  if (earliest === undefined) return [];
+
+  const first = addDays(dayKey(now), earliest);
+  return Array.from({ length: slotConfig.daysAhead }, (_, i) => addDays(first, i));
+};
+
+// What can be booked on `key`, without capacities: the time windows still
+// open for home delivery, or the station's hours for pickup
+const slotsOn = (key, { station, now }) => {
+  if (station) {
+    const hours = station.hoursOn(weekdayOf(key));
+    return hours
+      ? [{ timeSlot: null, label: `${hours.opens} - ${hours.closes}`, capacity: station.capacity }]
+      : [];
+  }
+
+  if (slotConfig.closedDays.includes(weekdayOf(key))) return [];
+
+  return slotConfig.windows
+    .filter((window) => windowStart(key, window).getTime() - slotConfig.leadHours * HOUR > now.getTime())
+    .map((window) => ({ timeSlot: window.code, label: window.label, capacity: slotConfig.capacity }));
+};
+
+const slotKey = (date, timeSlot) => `${date}|${timeSlot || ''}`;
+
+/**
+ * The bookable calendar for delivery by `method` to `county`, or for
+ * collection from `station` (a PickupStation) with method 'pickup'. Resolves
+ * to { method, zone, station, days: [{ date, label, slots: [{ timeSlot,
+ * label, remaining, available }] }] }, leaving out days with nothing to book.
+ */
+const calendar = async ({ method, county, station, now = new Date() }) => {
+  const zone = zoneFor(station ? station.county : county).code;
+  const days = bookableDays(method, zone, now);
+
+  const counters = await DeliverySlot.find({ date: { $in: days }, station: station?._id || null });
+  const booked = new Map(counters.map((counter) => [slotKey(counter.date, counter.timeSlot), counter]));
+
+  return {
+    method,
+    zone,
+    station: station?._id || null,
+    days: days
+      .map((date) => ({
+        date,
+        label: formatDay(date),
+        slots: slotsOn(date, { station, now }).map(({ timeSlot, label, capacity: defaultCapacity }) => {
+          const counter = booked.get(slotKey(date, timeSlot));
+          const capacity = counter ? counter.capacity : defaultCapacity;
+          const remaining = Math.max(capacity - (counter?.taken || 0), 0);
+          return { timeSlot, label, remaining, available: remaining > 0 };
+        })
+      }))
+      .filter((day) => day.slots.length > 0)
+  };
+};
+
+// The slot on `date` if it can be booked, with its default capacity
+const offeredSlot = ({ method, county, station, date, timeSlot, now }) => {
+  const zone = zoneFor(station ? station.county : county).code;
+  if (!bookableDays(method, zone, now).includes(date)) return null;
+
+  return slotsOn(date, { station, now }).find((slot) => slot.timeSlot === (station ? null : timeSlot)) || null;
+};
+
+// Take one booking of a slot, creating its counter with `capacity` on first
+// use. Resolves to the DeliverySlot, or null when it's full.
+const take = async ({ date, timeSlot, station }, capacity) => {
+  const key = { date, timeSlot: timeSlot || null, station: idOf(station) || null };
+
+  try {
+    await DeliverySlot.updateOne(key, { $setOnInsert: { capacity } }, { upsert: true });
+  } catch (error) {
+    // Another booking created it first
+    if (error.code !== 11000) throw error;
+  }
+
+  return DeliverySlot.findOneAndUpdate(
+    { ...key, $expr: { $lt: ['$taken', '$capacity'] } },
+    { $inc: { taken: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Give back one booking of a slot
+ */
+const giveBack = (slotId) => DeliverySlot.updateOne({ _id: slotId, taken: { $gt: 0 } }, { $inc: { taken: -1 } });
+
+// Take the hold off a cart. Resolves to true when this call took it (and so
+// owns the booking), false when it was already gone.
+const claimHold = async (cart, slotId, extra = {}) => {
+  const { modifiedCount } = await Cart.updateOne(
+    { _id: cart._id, 'preferredDelivery.slot': slotId, ...extra },
+    { $unset: { 'preferredDelivery.slot': 1, 'preferredDelivery.heldUntil': 1 } }
+  );
+  return modifiedCount === 1;
+};
+
+const clearSlot = (cart, { keepChoice = false } = {}) => {
+  cart.preferredDelivery.slot = undefined;
+  cart.preferredDelivery.heldUntil = undefined;
+  if (!keepChoice) {
+    cart.preferredDelivery.date = undefined;
+    cart.preferredDelivery.timeSlot = undefined;
+  }
+};
+
+/**
+ * Give back the slot `cart` holds, if any, and forget the choice. Changes the
+ * cart document without saving it.
+ */
+const releaseHold = async (cart) => {
+  const slotId = cart.preferredDelivery?.slot;
+
+  if (slotId && await claimHold(cart, slotId)) {
+    await giveBack(slotId);
+  }
+
+  clearSlot(cart);
+  return cart;
+};
+
+const heldSlotIs = async (slotId, { date, timeSlot, station }) => {
+  const slot = await DeliverySlot.findById(slotId);
+  return Boolean(slot)
+    && slot.date === date
+    && (slot.timeSlot || null) === (timeSlot || null)
+    && String(slot.station || '') === String(idOf(station) || '');
+};
+
+/**
+ * Hold the slot on `date` (YYYY-MM-DD) in `timeSlot` (home delivery) for
+ * `cart`, which has its method, county and (for pickup) station set. Picking
+ * the slot it already holds renews the hold. Throws a 400 AppError for a slot
+ * that can't be booked and a 409 for one that's full. Changes the cart
+ * document without saving it.
+ */
+const hold = async (cart, { date, timeSlot, station, now = new Date() }) => {
+  const { method, county } = cart.preferredDelivery;
+  const slot = offeredSlot({ method, county, station, date, timeSlot, now });
+
+  if (!slot) {
+    throw new AppError(station
+      ? `${station.name} doesn't take collections on that day`
+      : 'That delivery slot can\'t be booked. Please choose one from the calendar', 400);
+  }
+
+  const wanted = { date, timeSlot: slot.timeSlot, station };
+  const heldUntil = new Date(now.getTime() + slotConfig.holdMinutes * 60 * 1000);
+  const current = cart.preferredDelivery.slot;
+
+  if (current && await heldSlotIs(current, wanted)) {
+    const { modifiedCount } = await Cart.updateOne(
+      { _id: cart._id, 'preferredDelivery.slot': current },
+      { $set: { 'preferredDelivery.heldUntil': heldUntil } }
+    );
+
+    if (modifiedCount === 1) {
+      cart.preferredDelivery.heldUntil = heldUntil;
+      return cart;
+    }
+  }
+
+  const taken = await take(wanted, slot.capacity);
+  if (!taken) {
+    throw new AppError('That slot is fully booked. Please choose another', 409);
+  }
+
+  if (current) await releaseHold(cart);
+
+  Object.assign(cart.preferredDelivery, {
+    date: new Date(date),
+    timeSlot: slot.timeSlot || undefined,
+    slot: taken._id,
+    heldUntil
+  });
+
+  return cart;
+};
+
+/**
+ * Give back the holds of checkouts that were abandoned. Run periodically.
+ * The choice stays on the cart, so coming back to checkout books it again if
+ * it's still free.
+ */
+const releaseExpiredHolds = async (now = new Date()) => {
+  const carts = await Cart.find({
+    'preferredDelivery.slot': { $exists: true },
+    'preferredDelivery.heldUntil': { $lte: now }
+  }).select('preferredDelivery');
+
+  let released = 0;
+  for (const cart of carts) {
+    const slotId = cart.preferredDelivery.slot;
+    if (await claimHold(cart, slotId, { 'preferredDelivery.heldUntil': { $lte: now } })) {
+      await giveBack(slotId);
+      released += 1;
+    }
+  }
+
+  return released;
+};
+
+const stationSnapshot = (station) => ({
+  station: station._id,
+  code: station.code,
+  name: station.name,
+  address: station.address,
+  town: station.town,
+  county: station.county,
+  phone: station.phone
+});
+
+/**
+ * Book the delivery `cart` chose for the order being placed: the held slot
+ * when it still holds it, otherwise the same slot again if it's free. Pickup
+ * needs a station and a collection day; a home delivery slot is optional.
+ * Throws a 400 AppError when something is missing or can't be booked and a
+ * 409 when the slot filled up meanwhile.
+ *
+ * Resolves to the order's delivery booking fields ({} when nothing was
+ * booked). The hold leaves the cart; if the order then isn't placed, hand the
+ * booking's slot to giveBack.
+ */
+const bookForOrder = async (cart, now = new Date()) => {
+  const { method, county, pickupStation, date, timeSlot, slot: heldSlot } = cart.preferredDelivery;
+
+  let station;
+  if (method === 'pickup') {
+    station = pickupStation && await PickupStation.findOne({ _id: pickupStation, isActive: true });
+    if (!station) throw new AppError('Please choose a pickup station', 400);
+    if (!date) throw new AppError('Please choose a day to collect your order', 400);
+  } else if (!date) {
+    await releaseHold(cart);
+    return {};
+  }
+
+  const wanted = { date: dayKey(date), timeSlot: station ? null : timeSlot, station };
+  let slotId;
+
+  if (heldSlot && await heldSlotIs(heldSlot, wanted)) {
+    if (await claimHold(cart, heldSlot)) slotId = heldSlot;
+  } else if (heldSlot) {
+    // Held for another method or station than the one being ordered
+    await releaseHold(cart);
+  }
+
+  if (!slotId) {
+    const slot = offeredSlot({ method, county, station, date: wanted.date, timeSlot: wanted.timeSlot, now });
+    if (!slot) throw new AppError('Your delivery slot can no longer be booked. Please choose another', 400);
+
+    const taken = await take(wanted, slot.capacity);
+    if (!taken) throw new AppError('Your delivery slot is no longer available. Please choose another', 409);
+    slotId = taken._id;
+  }
+
+  clearSlot(cart);
+
+  return {
+    ...(station && { pickupStation: stationSnapshot(station) }),
+    date: new Date(wanted.date),
+    timeSlot: wanted.timeSlot || undefined,
+    timeSlotLabel: station ? undefined : windowFor(wanted.timeSlot)?.label,
+    slot: slotId,
+    slotStatus: 'booked'
+  };
+};
+
+/**
+ * Give back a cancelled order's booked slot. Resolves to true when this call
+ * gave it back.
+ */
+const releaseOrderBooking = async (order) => {
+  const { modifiedCount } = await Order.updateOne(
+    { _id: order._id, 'delivery.slotStatus': 'booked' },
+    { $set: { 'delivery.slotStatus': 'released' } }
+  );
+  if (modifiedCount !== 1) return false;
+
+  await giveBack(order.delivery.slot);
+  order.delivery.slotStatus = 'released';
+
+  businessLogger.order(order._id, 'delivery_slot_released', { slot: order.delivery.slot });
+  return true;
+};
+
+/**
+ * One line describing an order's delivery, e.g. 'Standard delivery on Tue 21
+ * Oct 2026, 8am - 12pm' or 'Collect from Westgate (Nairobi) from Tue 21 Oct 2026'
+ */
+const describeDelivery = (delivery = {}) => {
+  const { pickupStation, date, timeSlotLabel } = delivery;
+
+  if (pickupStation?.name) {
+    const place = [pickupStation.name, pickupStation.town || pickupStation.county].filter(Boolean);
+    return `Collect from ${place[0]}${place[1] ? ` (${place[1]})` : ''}${date ? ` from ${formatDay(date)}` : ''}`;
+  }
+
+  const method = shippingConfig.methods[delivery.method || 'standard'].name;
+  return date ? `${method} on ${formatDay(date)}${timeSlotLabel ? `, ${timeSlotLabel}` : ''}` : method;
+};
+
+module.exports = {
+  dayKey,
+  isDayKey,
+  windowFor,
+  calendar,
+  hold,
+  releaseHold,
+  releaseExpiredHolds,
+  bookForOrder,
+  giveBack,
+  releaseOrderBooking,
+  describeDelivery
+};
@@ -0,0 +1,175 @@
+// backend/src/services/shipping/shippingService.js
+
+// Prices delivery from the zones, rate tables and methods in config/shipping.js.
+// The county picks the zone; the lines are weighed per shipping class and
+// each class is priced on its rate table. Products marked free shipping are
+// left out altogether, and subtotals above the threshold ship free except
+// for classes the threshold doesn't cover (bulky goods).
+
+const Product = require('../../models/Product');
+const PickupStation = require('../../models/PickupStation');
+const { shippingConfig } = require('../../config/shipping');
+const { idOf, unitPrice, roundKES } = require('../pricing/cartScope');
+
+const METHODS = Object.keys(shippingConfig.methods);
+
+const normalizeCounty = (county) => String(county || '')
+  .trim()
+  .replace(/\s+county$/i, '')
+  .toLowerCase();
+
+/**
+ * The shipping zone a county is in, as { code, name, estimated }. Without a
+ * county the estimate zone is used and `estimated` is true.
+ */
+const zoneFor = (county) => {
+  const wanted = normalizeCounty(county);
+
+  const code = !wanted
+    ? shippingConfig.estimateZone
+    : Object.keys(shippingConfig.zones).find((zone) => (
+      shippingConfig.zones[zone].counties.some((name) => name.toLowerCase() === wanted)
+    )) || shippingConfig.defaultZone;
+
+  return { code, name: shippingConfig.zones[code].name, estimated: !wanted };
+};
+
+// Map product id -> what shipping needs to know about it
+const loadProfiles = async (lines) => {
+  const products = await Product.find({ _id: { $in: lines.map((line) => idOf(line.product)) } })
+    .select('price dimensions.weight shipping.freeShipping shipping.shippingClass');
+
+  return new Map(products.map((product) => [idOf(product), product]));
+};
+
+const classOf = (product) => (
+  shippingConfig.classes[product.shipping?.shippingClass] ? product.shipping.shippingClass : 'standard'
+);
+
+// The chargeable lines weighed per shipping class
+const parcelsFor = (lines, profiles) => {
+  const weights = new Map();
+
+  lines.forEach((line) => {
+    const product = profiles.get(idOf(line.product));
+    if (!product || product.shipping?.freeShipping) return;
+
+    const shippingClass = classOf(product);
+    const weight = (product.dimensions?.weight || shippingConfig.defaultWeightKg) * line.quantity;
+    weights.set(shippingClass, (weights.get(shippingClass) || 0) + weight);
+  });
+
+  return [...weights].map(([shippingClass, weight]) => ({
+    shippingClass,
+    settings: shippingConfig.classes[shippingClass],
+    weight
+  }));
+};
+
+const rateFor = ({ bands, perExtraKg }, weight) => {
+  const band = bands.find(([upTo]) => weight <= upTo);
+  if (band) return band[1];
+
+  const [lastUpTo, lastFee] = bands[bands.length - 1];
+  return lastFee + Math.ceil(weight - lastUpTo) * perExtraKg;
+};
+
+const parcelFee = (parcel, zone) => (
+  rateFor(shippingConfig.rates[parcel.settings.rates][zone], parcel.weight) + (parcel.settings.handlingFee || 0)
+);
+
+const daysFor = (method, zone) => {
+  const days = shippingConfig.methods[method].days?.[zone];
+  return days ? { min: days[0], max: days[1] } : undefined;
+};
+
+// Every delivery method with its fee, or why it isn't offered
+const priceOptions = (parcels, zone, subtotal) => {
+  const freeOver = subtotal > shippingConfig.freeShippingOver;
+  const { express, pickup } = shippingConfig.methods;
+
+  const fullFee = parcels.reduce((sum, parcel) => sum + parcelFee(parcel, zone), 0);
+  const standardFee = parcels.reduce((sum, parcel) => (
+    freeOver && parcel.settings.freeOverThreshold !== false ? sum : sum + parcelFee(parcel, zone)
+  ), 0);
+
+  const option = (method, fee, unavailableReason) => ({
+    method,
+    name: shippingConfig.methods[method].name,
+    fee: unavailableReason ? null : roundKES(fee),
+    estimatedDays: daysFor(method, zone),
+    available: !unavailableReason,
+    unavailableReason
+  });
+
+  return [
+    option('standard', standardFee),
+    express.surcharge[zone] === undefined
+      ? option('express', 0, `Express delivery isn't available in ${shippingConfig.zones[zone].name}`)
+      : option('express', fullFee + express.surcharge[zone]),
+    parcels.some((parcel) => parcel.settings.pickup === false)
+      ? option('pickup', 0, 'Some items are too large for a pickup station')
+      : option('pickup', parcels.length === 0 || freeOver ? 0 : pickup.fee[zone])
+  ];
+};
+
+/**
+ * Quote delivery of `lines` (cart items or { product, quantity, price }) to
+ * `county` by `method`. Products that no longer exist are skipped.
+ *
+ * Resolves to { county, zone, weight, subtotal, freeShippingOver, options,
+ * method, fee }: every method's price, and the one asked for (standard when
+ * that isn't available) with its fee.
+ */
+const quote = async (lines, { county, method = 'standard', subtotal } = {}) => {
+  const profiles = await loadProfiles(lines);
+  const zone = zoneFor(county);
+  const parcels = parcelsFor(lines, profiles);
+
+  const total = subtotal ?? lines.reduce((sum, line) => {
+    const price = line.price === undefined ? profiles.get(idOf(line.product))?.price || 0 : unitPrice(line);
+    return sum + price * line.quantity;
+  }, 0);
+
+  const options = priceOptions(parcels, zone.code, total);
+  const selected = options.find((entry) => entry.method === method && entry.available) || options[0];
+
+  return {
+    county: county || null,
+    zone,
+    weight: roundKES(parcels.reduce((sum, parcel) => sum + parcel.weight, 0)),
+    subtotal: roundKES(total),
+    freeShippingOver: shippingConfig.freeShippingOver,
+    options,
+    method: selected.method,
+    fee: selected.fee
+  };
+};
+
+/**
+ * Quote a cart's delivery by its preferred method and county (the pickup
+ * station's county, for pickup). Resolves to null for an empty cart.
+ */
+const quoteCart = async (cart) => {
+  if (cart.items.length === 0) {
+    return null;
+  }
+
+  const { method, county, pickupStation } = cart.preferredDelivery || {};
+  const station = method === 'pickup' && pickupStation
+    ? await PickupStation.findById(pickupStation).select('county')
+    : null;
+
+  return quote(cart.items, {
+    county: station ? station.county : county,
+    method,
+    subtotal: cart.totals.subtotal
+  });
+};
+
+module.exports = {
+  METHODS,
+  zoneFor,
+  quote,
+  quoteCart
+};
@@ -0,0 +1,48 @@
+// backend/src/services/sms/smsService.js
+
+const { getSMSService, smsConfig, smsTemplates, formatPhoneNumber, validatePhoneNumber } = require('../../config/sms');
+const logger = require('../../config/logger').smsLogger;
+
+class SMSService {
+  async sendSMS(phoneNumber, message) {
+    if (!validatePhoneNumber(phoneNumber)) {
+      throw new Error(`Invalid phone number: ${phoneNumber}`);
+    }
+
+    const to = `+${formatPhoneNumber(phoneNumber)}`;
+    const result = await getSMSService().send({
+      to: [to],
+      message,
+      from: smsConfig.from,
+    });
+
+    logger.info('SMS sent', { to });
+    return result;
+  }
+
+  async sendPasswordResetCode(phoneNumber, code, expiresInMinutes) {
+    return this.sendSMS(phoneNumber, smsTemplates.passwordReset(code, expiresInMinutes));
+  }
+
+  async sendLoginCode(phoneNumber, code, expiresInMinutes) {
+    return this.sendSMS(phoneNumber, smsTemplates.loginCode(code, expiresInMinutes));
+  }
+
+  async sendAccountLocked(phoneNumber, lockMinutes) {
+    return this.sendSMS(phoneNumber, smsTemplates.accountLocked(lockMinutes));
+  }
+
+  async sendGuestOrderAccess(phoneNumber, url) {
+    return this.sendSMS(phoneNumber, smsTemplates.guestOrderAccess(url));
+  }
+
+  async sendWishlistPriceDrop(phoneNumber, productName, price) {
+    return this.sendSMS(phoneNumber, smsTemplates.wishlistPriceDrop(productName, price));
+  }
+
+  async sendWishlistBackInStock(phoneNumber, productName) {
+    return this.sendSMS(phoneNumber, smsTemplates.wishlistBackInStock(productName));
+  }
+}
+
+module.exports = SMSService;
@@ -0,0 +1,229 @@
+// backend/src/services/tax/taxService.js
+
+// Works out VAT per cart line from the tax classes in config/tax.js. A
+// product is taxed in its own class, else its category's, else the nearest
+// ancestor category's, else the default class. Discounts come off the lines
+// before tax: shipping coupons off the delivery charge, everything else
+// spread over the goods by value. Each line is rounded to the cent and the
+// totals are the sums of the lines, so an order copying the cart's lines
+// adds up to exactly what the cart did.
+
+const Product = require('../../models/Product');
+const Category = require('../../models/Category');
+const { taxConfig } = require('../../config/tax');
+const { idOf, unitPrice, roundKES } = require('../pricing/cartScope');
+
+const CLASSES = Object.keys(taxConfig.classes);
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+const isTaxClass = (code) => CLASSES.includes(code);
+
+/**
+ * The class `code` names, as { code, name, rate, exempt }; the default class
+ * for anything unknown
+ */
+const classFor = (code) => {
+  const resolved = isTaxClass(code) ? code : taxConfig.defaultClass;
+  const { name, rate, exempt = false } = taxConfig.classes[resolved];
+
+  return { code: resolved, name, rate, exempt };
+};
+
+/**
+ * The VAT on `amount` (a line value after discounts) in class `code`, as
+ * { taxClass, rate, taxableAmount, tax }. With tax-inclusive prices the VAT
+ * is worked back out of the amount; otherwise it's added on top.
+ */
+const taxLine = (amount, code, pricesIncludeTax = taxConfig.pricesIncludeTax) => {
+  const { code: taxClass, rate } = classFor(code);
+  const tax = roundKES(pricesIncludeTax ? amount * rate / (1 + rate) : amount * rate);
+
+  return {
+    taxClass,
+    rate,
+    taxableAmount: roundKES(pricesIncludeTax ? amount - tax : amount),
+    tax
+  };
+};
+
+/**
+ * Split `amount` over `weights` in proportion, in whole cents, so the
+ * shares add up to exactly `amount`
+ */
+const allocate = (amount, weights) => {
+  const cents = Math.round(amount * 100);
+  const total = sum(weights);
+
+  if (cents <= 0 || total <= 0) return weights.map(() => 0);
+
+  const exact = weights.map((weight) => cents * weight / total);
+  const shares = exact.map(Math.floor);
+
+  // The cents lost to rounding down go to the largest remainders
+  exact
+    .map((value, i) => ({ i, remainder: value - shares[i] }))
+    .sort((a, b) => b.remainder - a.remainder)
+    .slice(0, cents - sum(shares))
+    .forEach(({ i }) => { shares[i] += 1; });
+
+  return shares.map((share) => share / 100);
+};
+
+/**
+ * Lines added up per class, as [{ taxClass, rate, taxableAmount, tax }].
+ * Classes with nothing in them are left out.
+ */
+const summarise = (lines) => {
+  const byClass = new Map();
+
+  lines.filter(Boolean).forEach((line) => {
+    const entry = byClass.get(line.taxClass) || { taxClass: line.taxClass, rate: line.rate, taxableAmount: 0, tax: 0 };
+    entry.taxableAmount = roundKES(entry.taxableAmount + line.taxableAmount);
+    entry.tax = roundKES(entry.tax + line.tax);
+    byClass.set(line.taxClass, entry);
+  });
+
+  return [...byClass.values()].filter((entry) => entry.taxableAmount > 0 || entry.tax > 0);
+};
+
+/**
+ * Map product id -> the tax class code each of `productIds` is taxed in
+ */
+const productTaxClasses = async (productIds) => {
+  const products = await Product.find({ _id: { $in: productIds.map(idOf) } })
+    .select('taxClass category')
+    .lean();
+
+  const categories = await Category.find({ _id: { $in: products.map((product) => product.category).filter(Boolean) } })
+    .select('taxClass path')
+    .lean();
+  const ancestorIds = [...new Set(categories.flatMap((category) => (category.path ? category.path.split('/') : [])))];
+  const ancestors = ancestorIds.length > 0
+    ? await Category.find({ _id: { $in: ancestorIds } }).select('taxClass').lean()
+    : [];
+
+  const classOfCategory = new Map([...ancestors, ...categories].map((category) => [idOf(category), category.taxClass]));
+
+  // The category's own class, else the nearest ancestor's
+  const categoryClass = (category) => {
+    if (!category) return undefined;
+
+    const chain = [...(category.path ? category.path.split('/') : []), idOf(category)].reverse();
+    return chain.map((id) => classOfCategory.get(id)).find(isTaxClass);
+  };
+
+  const categoryById = new Map(categories.map((category) => [idOf(category), category]));
+
+  return new Map(products.map((product) => [
+    idOf(product),
+    [product.taxClass, categoryClass(categoryById.get(idOf(product.category)))].find(isTaxClass) || taxConfig.defaultClass
+  ]));
+};
+
+/**
+ * `product` as JSON with the class it's taxed in added as `tax` (see
+ * classFor), from a productTaxClasses map
+ */
+const withTax = (product, taxClasses) => ({
+  ...product.toJSON(),
+  tax: classFor(taxClasses.get(idOf(product)))
+});
+
+/**
+ * Work out the VAT on a cart whose subtotal, shipping, discount and coupons
+ * are already priced (see Cart's pre-save hook). Resolves to
+ * { included, items, shipping, breakdown, tax }: whether the tax is already
+ * in the prices, one line per cart item (in order), the delivery charge's
+ * line, the lines added up per class and the total VAT.
+ */
+const taxCart = async (cart) => {
+  const { subtotal, shipping, discount } = cart.totals;
+  const classes = await productTaxClasses(cart.items.map((item) => item.product));
+
+  // Shipping coupons come off the delivery charge, the rest off the goods;
+  // anything the goods can't absorb (coupons are capped by the whole cart)
+  // comes off the delivery charge too
+  const shippingCoupons = sum(cart.appliedCoupons
+    .filter((coupon) => coupon.type === 'shipping')
+    .map((coupon) => coupon.discount));
+  const goodsDiscount = Math.min(subtotal, Math.max(0, discount - shippingCoupons));
+  const shippingDiscount = Math.min(shipping, discount - goodsDiscount);
+
+  const amounts = cart.items.map((item) => unitPrice(item) * item.quantity);
+  const shares = allocate(goodsDiscount, amounts);
+
+  const items = cart.items.map((item, i) => (
+    taxLine(roundKES(amounts[i] - shares[i]), classes.get(idOf(item.product)))
+  ));
+  const shippingLine = taxLine(roundKES(shipping - shippingDiscount), taxConfig.shippingClass);
+
+  return {
+    included: taxConfig.pricesIncludeTax,
+    items,
+    shipping: shippingLine,
+    breakdown: summarise([...items, shippingLine]),
+    tax: roundKES(sum([...items, shippingLine].map((line) => line.tax)))
+  };
+};
+
+/**
+ * The VAT on an order, in the same shape as taxCart. Orders placed before
+ * tax classes were charged the standard rate on the goods before discount
+ * and nothing on delivery, which is what they're given back here.
+ */
+const orderTax = (order) => {
+  const { summary } = order;
+
+  if (summary.taxBreakdown?.length > 0) {
+    return {
+      included: Boolean(summary.taxIncluded),
+      items: order.items.map((item) => item.tax),
+      shipping: summary.shippingTax?.taxClass ? summary.shippingTax : null,
+      breakdown: summary.taxBreakdown,
+      tax: summary.tax || 0
+    };
+  }
+
+  const { rate } = taxConfig.classes.standard;
+  const items = order.items.map((item) => ({
+    taxClass: 'standard',
+    rate,
+    taxableAmount: item.total,
+    tax: roundKES(item.total * rate)
+  }));
+
+  return {
+    included: false,
+    items,
+    shipping: null,
+    breakdown: summary.tax ? [{ taxClass: 'standard', rate, taxableAmount: summary.subtotal, tax: summary.tax }] : [],
+    tax: summary.tax || 0
+  };
+};
+
+/**
+ * What the storefront needs to show prices: the classes and their rates,
+ * and whether prices are entered and shown with VAT in
+ */
+const settings = () => ({
+  classes: CLASSES.map((code) => classFor(code)),
+  defaultClass: taxConfig.defaultClass,
+  shippingClass: taxConfig.shippingClass,
+  pricesIncludeTax: taxConfig.pricesIncludeTax,
+  displayPricesIncludingTax: taxConfig.displayPricesIncludingTax
+});
+
+module.exports = {
+  CLASSES,
+  isTaxClass,
+  classFor,
+  taxLine,
+  allocate,
+  summarise,
+  productTaxClasses,
+  withTax,
+  taxCart,
+  orderTax,
+  settings
+};
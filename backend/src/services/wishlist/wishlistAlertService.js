@@ -0,0 +1,90 @@
+// backend/src/services/wishlist/wishlistAlertService.js
+
+// Tells shoppers when something on their wishlist gets cheaper or comes back
+// into stock. Alerts are sent only on the transition, so re-saving a product
+// without changing its price or availability notifies nobody.
+
+const User = require('../../models/User');
+const EmailService = require('../email/emailService');
+const SMSService = require('../sms/smsService');
+const { logger } = require('../../config/logger');
+
+const productURL = (product) =>
+  `${process.env.FRONTEND_URL || 'http://localhost:3000'}/products/${product._id}`;
+
+/**
+ * Work out which alert, if any, a product change deserves
+ */
+const detectChange = (previous, product) => {
+  if (!previous || !product || !product.isAvailable) return null;
+
+  if (!previous.isAvailable) {
+    return { type: 'back_in_stock' };
+  }
+
+  if (product.price < previous.price) {
+    return { type: 'price_drop', previousPrice: previous.price };
+  }
+
+  return null;
+};
+
+const notifyUser = async (user, product, change) => {
+  const url = productURL(product);
+  const sms = user.preferences?.smsNotifications && user.phone ? new SMSService() : null;
+
+  if (change.type === 'price_drop') {
+    if (user.email) {
+      await new EmailService(user, url).sendWishlistPriceDrop({
+        productName: product.name,
+        previousPrice: change.previousPrice,
+        price: product.price
+      });
+    }
+    if (sms) await sms.sendWishlistPriceDrop(user.phone, product.name, product.price);
+    return;
+  }
+
+  if (user.email) {
+    await new EmailService(user, url).sendWishlistBackInStock({
+      productName: product.name,
+      price: product.price
+    });
+  }
+  if (sms) await sms.sendWishlistBackInStock(user.phone, product.name);
+};
+
+/**
+ * Compare a product before and after an update and alert everyone who has it
+ * wishlisted. Resolves to the number of shoppers notified.
+ */
+const productChanged = async (previous, product) => {
+  const change = detectChange(previous, product);
+  if (!change) return 0;
+
+  const cursor = User.find({
+    wishlist: product._id,
+    isActive: true,
+    'preferences.wishlistAlerts': { $ne: false }
+  }).select('firstName email phone preferences').cursor();
+
+  let notified = 0;
+
+  for await (const user of cursor) {
+    try {
+      await notifyUser(user, product, change);
+      notified += 1;
+    } catch (error) {
+      logger.error('Failed to send wishlist alert', { userId: user._id, productId: product._id, error: error.message });
+    }
+  }
+
+  logger.info('Wishlist alerts sent', { productId: product._id, type: change.type, notified });
+
+  return notified;
+};
+
+module.exports = {
+  detectChange,
+  productChanged
+};
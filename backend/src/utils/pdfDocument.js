@@ -0,0 +1,191 @@
+// backend/src/utils/pdfDocument.js
+
+// A small PDF writer for generated documents (invoices). It draws text,
+// lines and filled boxes on A4 pages in Helvetica, one of the fonts every
+// PDF reader has built in, so nothing is embedded. Output depends only on
+// what was drawn and the metadata given, so the same document always renders
+// to the same bytes and can be snapshot-tested.
+//
+// Coordinates are in points from the top-left corner of the page.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+const FONTS = {
+  regular: { name: 'F1', baseFont: 'Helvetica' },
+  bold: { name: 'F2', baseFont: 'Helvetica-Bold' },
+};
+
+// Glyph widths (per 1000 units of font size) of printable ASCII, from the
+// standard Adobe font metrics
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+  ],
+};
+
+// Characters outside WinAnsi (Latin-1 here) print as '?'
+const toWinAnsi = (text) => String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const escape = (text) => toWinAnsi(text).replace(/[\\()]/g, (char) => `\\${char}`);
+
+const num = (value) => Number(value.toFixed(2)).toString();
+
+// PDF date string (D:YYYYMMDDHHmmSSZ) for a Date, in UTC
+const pdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+class PdfDocument {
+  constructor({ title, author, creator, createdAt } = {}) {
+    this.info = { title, author, creator, createdAt };
+    this.pages = [];
+    this.addPage();
+  }
+
+  get width() {
+    return PAGE_WIDTH;
+  }
+
+  get height() {
+    return PAGE_HEIGHT;
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    return this;
+  }
+
+  /**
+   * Width in points of `text` at `size`
+   */
+  widthOf(text, { size = 10, bold = false } = {}) {
+    const widths = WIDTHS[bold ? 'bold' : 'regular'];
+    const units = [...toWinAnsi(text)].reduce((sum, char) => {
+      const code = char.charCodeAt(0);
+      return sum + (code >= 32 && code <= 126 ? widths[code - 32] : 556);
+    }, 0);
+    return (units * size) / 1000;
+  }
+
+  /**
+   * Shorten `text` with an ellipsis until it fits in `width`
+   */
+  fit(text, width, options) {
+    let fitted = String(text);
+    if (this.widthOf(fitted, options) <= width) return fitted;
+
+    while (fitted.length > 0 && this.widthOf(`${fitted}...`, options) > width) {
+      fitted = fitted.slice(0, -1);
+    }
+    return `${fitted.trimEnd()}...`;
+  }
+
+  /**
+   * Draw `text` with its top-left corner at (x, y). With `align: 'right'`,
+   * x is where the text ends instead.
+   */
+  text(text, x, y, { size = 10, bold = false, align = 'left', gray = 0 } = {}) {
+    const left = align === 'right' ? x - this.widthOf(text, { size, bold }) : x;
+    const font = FONTS[bold ? 'bold' : 'regular'].name;
+
+    this.page.push(
+      `BT ${num(gray)} g /${font} ${num(size)} Tf ${num(left)} ${num(PAGE_HEIGHT - y - size * 0.8)} Td (${escape(text)}) Tj ET`
+    );
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) {
+    this.page.push(
+      `${num(gray)} G ${num(width)} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`
+    );
+    return this;
+  }
+
+  rect(x, y, width, height, { gray = 0.9 } = {}) {
+    this.page.push(
+      `${num(gray)} g ${num(x)} ${num(PAGE_HEIGHT - y - height)} ${num(width)} ${num(height)} re f`
+    );
+    return this;
+  }
+
+  /**
+   * Draw on every page in turn, e.g. for page footers once the page count is
+   * known. `draw` gets the page number and the page count.
+   */
+  forEachPage(draw) {
+    const current = this.page;
+    this.pages.forEach((page, i) => {
+      this.page = page;
+      draw(i + 1, this.pages.length);
+    });
+    this.page = current;
+    return this;
+  }
+
+  /**
+   * The finished document
+   */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalog = add(null);
+    const pages = add(null);
+    const fonts = Object.values(FONTS).map((font) => [
+      font.name,
+      add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`),
+    ]);
+    const resources = `<< /Font << ${fonts.map(([name, id]) => `/${name} ${id} 0 R`).join(' ')} >> >>`;
+
+    const kids = this.pages.map((operations) => {
+      const content = operations.join('\n');
+      const stream = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+      return add(
+        `<< /Type /Page /Parent ${pages} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources ${resources} /Contents ${stream} 0 R >>`
+      );
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pages} 0 R >>`;
+    objects[pages - 1] = `<< /Type /Pages /Kids [${kids.map((id) => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+    const { title, author, creator, createdAt } = this.info;
+    const info = add(`<< ${[
+      title && `/Title (${escape(title)})`,
+      author && `/Author (${escape(author)})`,
+      creator && `/Creator (${escape(creator)})`,
+      createdAt && `/CreationDate (${pdfDate(new Date(createdAt))})`,
+    ].filter(Boolean).join(' ')} >>`);
+
+    let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = objects.map((body, i) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xref = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = PdfDocument;
@@ -0,0 +1,348 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Cart = require('../src/models/Cart');
+const Coupon = require('../src/models/Coupon');
+const Order = require('../src/models/Order');
+const Payment = require('../src/models/Payment');
+const couponService = require('../src/services/coupons/couponService');
+const { mpesaConfig } = require('../src/config/mpesa');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+const { createProduct, cartItem } = require('./helpers/fixtures');
+const darajaStub = require('./helpers/darajaStub');
+
+describe('Coupons', () => {
+  const shoes = new mongoose.Types.ObjectId();
+  const books = new mongoose.Types.ObjectId();
+
+  let user;
+  let auth;
+  let adminAuth;
+  let sneaker;
+  let novel;
+
+  const createCoupon = (overrides = {}) => Coupon.create({
+    code: 'SAVE10',
+    type: 'percentage',
+    value: 10,
+    ...overrides
+  });
+
+  const applyCoupon = (couponCode) => request(app)
+    .post('/api/v1/cart/coupon')
+    .set('Authorization', auth)
+    .send({ couponCode });
+
+  const placeOrder = () => request(app)
+    .post('/api/v1/orders')
+    .set('Authorization', auth)
+    .send({
+      paymentMethod: 'mpesa',
+      shippingAddress: {
+        name: 'Jane Doe',
+        phone: '254712345678',
+        address: 'Moi Avenue',
+        city: 'Nairobi',
+        county: 'Nairobi'
+      }
+    });
+
+  beforeAll(async () => {
+    await db.connect();
+    mpesaConfig.callbackToken = darajaStub.CALLBACK_TOKEN;
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+
+    user = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123',
+      isVerified: true
+    });
+    auth = `Bearer ${await loginToken(user)}`;
+
+    const admin = await User.create({
+      firstName: 'Ada',
+      lastName: 'Admin',
+      email: 'admin@example.com',
+      phone: '254722222222',
+      password: 'password123',
+      role: 'admin'
+    });
+    adminAuth = `Bearer ${await loginToken(admin)}`;
+
+    sneaker = await createProduct({ name: 'Sneaker', price: 4000, category: shoes });
+    novel = await createProduct({ name: 'Novel', price: 1000, category: books });
+
+    await Cart.create({ user: user._id, items: [cartItem(sneaker), cartItem(novel)] });
+  });
+
+  describe('admin API', () => {
+    it('should create, list and update coupons', async () => {
+      const created = await request(app)
+        .post('/api/v1/admin/coupons')
+        .set('Authorization', adminAuth)
+        .send({ code: 'karibu', type: 'fixed', value: 500, usageLimit: 100 })
+        .expect(201);
+
+      expect(created.body.data.coupon).toMatchObject({ code: 'KARIBU', usedCount: 0 });
+
+      const list = await request(app).get('/api/v1/admin/coupons').set('Authorization', adminAuth).expect(200);
+      expect(list.body.data.coupons).toHaveLength(1);
+
+      const updated = await request(app)
+        .patch(`/api/v1/admin/coupons/${created.body.data.coupon._id}`)
+        .set('Authorization', adminAuth)
+        .send({ isActive: false })
+        .expect(200);
+      expect(updated.body.data.coupon.isActive).toBe(false);
+    });
+
+    it('should validate coupon input', async () => {
+      const create = (body) => request(app)
+        .post('/api/v1/admin/coupons')
+        .set('Authorization', adminAuth)
+        .send(body);
+
+      await create({ code: 'BIG', type: 'percentage', value: 150 }).expect(400);
+      await create({ code: 'ZERO', type: 'fixed', value: 0 }).expect(400);
+      await create({ code: 'X', type: 'shipping' }).expect(400);
+      await create({ code: 'DATES', type: 'shipping', startsAt: '2030-01-02', expiresAt: '2030-01-01' }).expect(400);
+
+      await create({ code: 'FREESHIP', type: 'shipping' }).expect(201);
+      await create({ code: 'freeship', type: 'shipping' }).expect(400);
+    });
+
+    it('should refuse to delete a redeemed coupon', async () => {
+      const coupon = await createCoupon();
+      await Coupon.redeem(coupon._id, { user: user._id, discount: 100 });
+
+      await request(app)
+        .delete(`/api/v1/admin/coupons/${coupon._id}`)
+        .set('Authorization', adminAuth)
+        .expect(400);
+    });
+
+    it('should be closed to customers', async () => {
+      await request(app).get('/api/v1/admin/coupons').set('Authorization', auth).expect(403);
+    });
+  });
+
+  describe('applying to a cart', () => {
+    it('should replace the hardcoded codes with stored coupons', async () => {
+      await applyCoupon('NEWUSER').expect(400);
+
+      await createCoupon();
+      const res = await applyCoupon('save10').expect(200);
+
+      expect(res.body.data.savings).toBe(500);
+      expect(res.body.data.cart.totals.discount).toBe(500);
+    });
+
+    it('should only discount included categories and skip excluded products', async () => {
+      await createCoupon({ code: 'SHOES20', value: 20, categories: [shoes] });
+      await createCoupon({ code: 'NOBOOKS', type: 'fixed', value: 5000, excludedProducts: [novel._id], stackable: true });
+
+      const res = await applyCoupon('SHOES20').expect(200);
+      expect(res.body.data.savings).toBe(800);
+
+      await Coupon.updateOne({ code: 'SHOES20' }, { stackable: true });
+      const second = await applyCoupon('NOBOOKS').expect(200);
+      // Fixed discounts never exceed the eligible subtotal
+      expect(second.body.data.savings).toBe(4000);
+    });
+
+    it('should enforce validity windows, minimum subtotal and first-order rules', async () => {
+      await createCoupon({ code: 'LATER', startsAt: new Date(Date.now() + 60 * 60 * 1000) });
+      await createCoupon({ code: 'OLD', expiresAt: new Date(Date.now() - 1000) });
+      await createCoupon({ code: 'BIGSPEND', minSubtotal: 10000 });
+      await createCoupon({ code: 'FIRST', firstOrderOnly: true });
+
+      expect((await applyCoupon('LATER').expect(400)).body.message).toMatch(/not active yet/);
+      expect((await applyCoupon('OLD').expect(400)).body.message).toMatch(/expired/);
+      expect((await applyCoupon('BIGSPEND').expect(400)).body.message).toMatch(/Spend at least KES 10,000/);
+
+      await Order.create({
+        orderNumber: 'ORD-PREVIOUS',
+        customer: user._id,
+        items: [{ ...cartItem(novel), total: 1000 }],
+        summary: { subtotal: 1000, total: 1000 },
+        shippingAddress: { name: 'Jane', phone: '254712345678', address: 'Moi Avenue', city: 'Nairobi', county: 'Nairobi' },
+        payment: { method: 'mpesa' }
+      });
+      expect((await applyCoupon('FIRST').expect(400)).body.message).toMatch(/first order/);
+    });
+
+    it('should not stack coupons unless both allow it', async () => {
+      await createCoupon();
+      await createCoupon({ code: 'FREESHIP', type: 'shipping', stackable: true });
+
+      await applyCoupon('SAVE10').expect(200);
+      const res = await applyCoupon('FREESHIP').expect(400);
+      expect(res.body.message).toMatch(/cannot be combined/);
+    });
+
+    it('should re-validate coupons whenever the cart changes', async () => {
+      await createCoupon({ minSubtotal: 4500 });
+      await applyCoupon('SAVE10').expect(200);
+
+      const res = await request(app)
+        .delete(`/api/v1/cart/items/${novel._id}`)
+        .set('Authorization', auth)
+        .expect(200);
+
+      expect(res.body.data.cart.appliedCoupons).toHaveLength(0);
+      expect(res.body.data.cart.totals.discount).toBe(0);
+      expect(res.body.data.removedCoupons[0]).toMatchObject({ code: 'SAVE10' });
+    });
+  });
+
+  describe('checkout', () => {
+    it('should record the redemption on the coupon and the order', async () => {
+      const coupon = await createCoupon();
+      await applyCoupon('SAVE10').expect(200);
+
+      const res = await placeOrder().expect(201);
+
+      expect(res.body.data.order.summary.discount).toBe(500);
+      expect(res.body.data.order.coupons[0]).toMatchObject({ code: 'SAVE10', amount: 500 });
+
+      const redeemed = await Coupon.findById(coupon._id);
+      expect(redeemed.usedCount).toBe(1);
+      expect(String(redeemed.redemptions[0].order)).toBe(res.body.data.order._id);
+    });
+
+    it('should refuse the order when a coupon stopped qualifying', async () => {
+      const coupon = await createCoupon();
+      await applyCoupon('SAVE10').expect(200);
+      await Coupon.updateOne({ _id: coupon._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      const res = await placeOrder().expect(400);
+      expect(res.body.message).toMatch(/SAVE10: This coupon has expired/);
+
+      const cart = await Cart.findOne({ user: user._id });
+      expect(cart.appliedCoupons).toHaveLength(0);
+      expect(await Order.countDocuments()).toBe(0);
+    });
+
+    it('should enforce the per-customer limit', async () => {
+      const coupon = await createCoupon();
+      await Coupon.redeem(coupon._id, { user: user._id, discount: 100 });
+
+      const res = await applyCoupon('SAVE10').expect(400);
+      expect(res.body.message).toMatch(/already used/);
+    });
+
+    it('should hold guests to the per-customer limit by email and phone', async () => {
+      await createCoupon();
+      await applyCoupon('SAVE10').expect(200);
+      await placeOrder().expect(201);
+
+      const guest = request.agent(app);
+      await guest.post('/api/v1/cart/items').send({ productId: novel._id, quantity: 1 }).expect(201);
+      await guest.post('/api/v1/cart/coupon').send({ couponCode: 'SAVE10' }).expect(200);
+
+      const res = await guest
+        .post('/api/v1/orders')
+        .send({
+          paymentMethod: 'mpesa',
+          contact: { firstName: 'Jane', lastName: 'Doe', email: 'someone@example.com', phone: '0712345678' },
+          shippingAddress: { name: 'Jane Doe', phone: '254712345678', address: 'Moi Avenue', city: 'Nairobi', county: 'Nairobi' }
+        })
+        .expect(400);
+
+      expect(res.body.message).toMatch(/already used coupon "SAVE10"/);
+      expect((await Coupon.findOne({ code: 'SAVE10' })).usedCount).toBe(1);
+    });
+
+    it('should give the coupon back when the order is cancelled and take it again when reopened', async () => {
+      const coupon = await createCoupon();
+      await applyCoupon('SAVE10').expect(200);
+      const { order } = (await placeOrder().expect(201)).body.data;
+
+      await request(app).patch(`/api/v1/orders/${order._id}/cancel`).set('Authorization', auth).expect(200);
+      expect(await Coupon.findById(coupon._id)).toMatchObject({ usedCount: 0, redemptions: [] });
+
+      await request(app)
+        .patch(`/api/v1/orders/${order._id}/status`)
+        .set('Authorization', adminAuth)
+        .send({ status: 'pending' })
+        .expect(200);
+
+      const retaken = await Coupon.findById(coupon._id);
+      expect(retaken.usedCount).toBe(1);
+      expect(String(retaken.redemptions[0].order)).toBe(order._id);
+    });
+
+    it('should not reopen an order whose coupon has been used up meanwhile', async () => {
+      const coupon = await createCoupon({ usageLimit: 1 });
+      await applyCoupon('SAVE10').expect(200);
+      const { order } = (await placeOrder().expect(201)).body.data;
+
+      await request(app).patch(`/api/v1/orders/${order._id}/cancel`).set('Authorization', auth).expect(200);
+      await Coupon.redeem(coupon._id, { user: new mongoose.Types.ObjectId(), discount: 100 });
+
+      const res = await request(app)
+        .patch(`/api/v1/orders/${order._id}/status`)
+        .set('Authorization', adminAuth)
+        .send({ status: 'pending' })
+        .expect(409);
+
+      expect(res.body.message).toMatch(/Coupon "SAVE10" is no longer available/);
+      expect((await Order.findById(order._id)).status).toBe('cancelled');
+    });
+
+    it('should give the coupon back when the payment fails and take it again on the next attempt', async () => {
+      const coupon = await createCoupon();
+      await applyCoupon('SAVE10').expect(200);
+      const { order } = (await placeOrder().expect(201)).body.data;
+
+      await Payment.create({
+        order: order._id,
+        customer: user._id,
+        amount: order.summary.total,
+        method: 'mpesa',
+        status: 'processing',
+        mpesa: { phoneNumber: '254712345678', checkoutRequestID: 'ws_CO_coupon' }
+      });
+
+      await request(app)
+        .post(darajaStub.callbackPath('callback'))
+        .send(darajaStub.stkCallback('ws_CO_coupon', { resultCode: 1032 }))
+        .expect(200);
+
+      expect((await Coupon.findById(coupon._id)).usedCount).toBe(0);
+
+      // Paying again takes it back before anything is charged
+      const paid = await Order.findById(order._id);
+      await couponService.redeemOrderCoupons(paid);
+      expect((await Coupon.findById(coupon._id)).usedCount).toBe(1);
+    });
+
+    it('should never over-redeem a limited coupon under concurrency', async () => {
+      const coupon = await createCoupon({ usageLimit: 3, usageLimitPerCustomer: null });
+      const customers = Array.from({ length: 10 }, () => new mongoose.Types.ObjectId());
+
+      const results = await Promise.all(customers.map((customer) => (
+        Coupon.redeem(coupon._id, { user: customer, discount: 100 })
+      )));
+
+      expect(results.filter(Boolean)).toHaveLength(3);
+      const stored = await Coupon.findById(coupon._id);
+      expect(stored.usedCount).toBe(3);
+      expect(stored.redemptions).toHaveLength(3);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Cart = require('../src/models/Cart');
+const { rebuildStaleIndexes } = require('../src/config/database');
+const db = require('./helpers/db');
+
+describe('Stale index rebuild', () => {
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  const indexNamed = async (Model, name) => (await Model.collection.indexes()).find((index) => index.name === name);
+
+  // Start from the collection as an older release left it
+  const recreate = async (Model, key, options) => {
+    await Model.collection.drop().catch(() => {});
+    await mongoose.connection.createCollection(Model.collection.collectionName);
+    await Model.collection.createIndex(key, options);
+  };
+
+  it('should make the users email index sparse so phone signups can share no email', async () => {
+    await recreate(User, { email: 1 }, { unique: true });
+
+    await rebuildStaleIndexes();
+
+    const index = await indexNamed(User, 'email_1');
+    expect(index).toMatchObject({ unique: true, sparse: true });
+
+    const phoneUser = (phone) => User.create({ firstName: 'Jane', lastName: 'Doe', phone, signupMethod: 'phone' });
+    await phoneUser('254712345678');
+    await phoneUser('254722222222');
+    expect(await User.countDocuments()).toBe(2);
+  });
+
+  it('should let any number of guest carts exist beside the users ones', async () => {
+    await recreate(Cart, { user: 1 }, { unique: true });
+
+    await rebuildStaleIndexes();
+
+    const index = await indexNamed(Cart, 'user_1');
+    expect(index).toMatchObject({ unique: true, partialFilterExpression: { user: { $type: 'objectId' } } });
+
+    await Cart.collection.insertMany([{ sessionId: 'guest-1', isGuest: true }, { sessionId: 'guest-2', isGuest: true }]);
+    const user = new mongoose.Types.ObjectId();
+    await Cart.collection.insertOne({ user });
+    await expect(Cart.collection.insertOne({ user })).rejects.toMatchObject({ code: 11000 });
+  });
+
+  it('should leave an up to date index alone', async () => {
+    await Promise.all([User.createIndexes(), Cart.createIndexes()]);
+    const dropIndex = jest.spyOn(User.collection, 'dropIndex');
+
+    await rebuildStaleIndexes();
+
+    expect(dropIndex).not.toHaveBeenCalled();
+    dropIndex.mockRestore();
+  });
+});
@@ -0,0 +1,326 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const Product = require('../src/models/Product');
+const Cart = require('../src/models/Cart');
+const Order = require('../src/models/Order');
+const PickupStation = require('../src/models/PickupStation');
+const DeliverySlot = require('../src/models/DeliverySlot');
+const deliverySlotService = require('../src/services/shipping/deliverySlotService');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+const { createUser } = require('./helpers/fixtures');
+
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6].map((day) => ({ day, opens: '08:00', closes: '18:00' }));
+
+describe('Delivery slots and pickup stations', () => {
+  let customer;
+  let auth;
+  let other;
+  let otherAuth;
+  let admin;
+  let adminAuth;
+  let novel;
+  let westgate;
+  let nyali;
+
+  const createCart = (user) => Cart.create({
+    user: user._id,
+    items: [{ product: novel._id, name: novel.name, sku: novel.sku, price: novel.price, quantity: 1 }]
+  });
+
+  const calendar = (query) => request(app).get('/api/v1/shipping/slots').query(query).expect(200)
+    .then((res) => res.body.data.calendar);
+
+  // The first slot that can be booked
+  const firstSlot = async (query = { method: 'standard', county: 'Nairobi' }) => {
+    const { days } = await calendar(query);
+    return { date: days[0].date, timeSlot: days[0].slots[0].timeSlot };
+  };
+
+  const setDelivery = (body, as = auth) => request(app)
+    .put('/api/v1/cart/delivery')
+    .set('Authorization', as)
+    .send(body);
+
+  const placeOrder = (body = {}) => request(app)
+    .post('/api/v1/orders')
+    .set('Authorization', auth)
+    .send({
+      paymentMethod: 'mpesa',
+      shippingAddress: { name: 'Jane Doe', phone: '254712345678', address: 'Moi Avenue', city: 'Nairobi', county: 'Nairobi' },
+      ...body
+    });
+
+  const takenOf = async (slot) => (await DeliverySlot.findOne({ date: slot.date, timeSlot: slot.timeSlot || null }))?.taken;
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+
+    customer = await createUser();
+    auth = `Bearer ${await loginToken(customer)}`;
+    other = await createUser({ email: 'john@example.com', phone: '254733333333' });
+    otherAuth = `Bearer ${await loginToken(other)}`;
+    admin = await createUser({ email: 'admin@example.com', phone: '254722222222', role: 'admin' });
+    adminAuth = `Bearer ${await loginToken(admin)}`;
+
+    novel = await Product.create({
+      name: 'Novel',
+      description: 'Test product',
+      price: 1000,
+      sku: 'NOVEL-1',
+      category: new mongoose.Types.ObjectId(),
+      dimensions: { weight: 1 },
+      inventory: { quantity: 50 },
+      createdBy: admin._id
+    });
+
+    westgate = await PickupStation.create({
+      code: 'NBO-WG',
+      name: 'Westgate',
+      address: 'Westgate Mall, Mwanzi Road',
+      town: 'Westlands',
+      county: 'Nairobi',
+      openingHours: EVERY_DAY,
+      capacity: 30
+    });
+    nyali = await PickupStation.create({
+      code: 'MSA-NY',
+      name: 'Nyali Centre',
+      address: 'Links Road',
+      town: 'Nyali',
+      county: 'Mombasa',
+      openingHours: EVERY_DAY,
+      capacity: 1
+    });
+    await PickupStation.create({
+      code: 'KSM-01',
+      name: 'Kisumu (closed)',
+      address: 'Oginga Odinga Street',
+      county: 'Kisumu',
+      openingHours: EVERY_DAY,
+      capacity: 10,
+      isActive: false
+    });
+
+    await createCart(customer);
+    await createCart(other);
+  });
+
+  describe('calendar', () => {
+    it('should list the open pickup stations in a county', async () => {
+      const all = await request(app).get('/api/v1/shipping/pickup-stations').expect(200);
+      const mombasa = await request(app).get('/api/v1/shipping/pickup-stations?county=mombasa county').expect(200);
+
+      expect(all.body.data.stations.map((station) => station.code)).toEqual(['MSA-NY', 'NBO-WG']);
+      expect(mombasa.body.data.stations.map((station) => station.code)).toEqual(['MSA-NY']);
+    });
+
+    it('should offer time windows from the method\'s earliest day, never on closed days', async () => {
+      const { days, zone } = await calendar({ method: 'standard', county: 'Mombasa' });
+
+      expect(zone).toBe('major_towns');
+      expect(days.length).toBeGreaterThan(0);
+      expect(days.every((day) => new Date(day.date).getUTCDay() !== 0)).toBe(true);
+      expect(days[0].slots[0]).toMatchObject({ remaining: 20, available: true });
+      expect(days[0].date > deliverySlotService.dayKey(new Date())).toBe(true);
+    });
+
+    it('should offer nothing for express where it isn\'t available', async () => {
+      const { days } = await calendar({ method: 'express', county: 'Turkana' });
+      expect(days).toEqual([]);
+    });
+
+    it('should offer a station\'s collection days with its capacity', async () => {
+      const { days } = await calendar({ method: 'pickup', station: String(nyali._id) });
+
+      expect(days[0].slots).toEqual([{ timeSlot: null, label: '08:00 - 18:00', remaining: 1, available: true }]);
+    });
+  });
+
+  describe('holding slots at checkout', () => {
+    it('should hold a slot for the cart and give back the one it replaces', async () => {
+      const { days } = await calendar({ method: 'standard', county: 'Nairobi' });
+      const first = { date: days[0].date, timeSlot: days[0].slots[0].timeSlot };
+      const second = { date: days[1].date, timeSlot: days[1].slots[0].timeSlot };
+
+      const res = await setDelivery({ method: 'standard', county: 'Nairobi', ...first }).expect(200);
+      expect(res.body.data.delivery.heldUntil).toBeTruthy();
+      expect(await takenOf(first)).toBe(1);
+
+      // Choosing it again only renews the hold
+      await setDelivery({ method: 'standard', county: 'Nairobi', ...first }).expect(200);
+      expect(await takenOf(first)).toBe(1);
+
+      await setDelivery({ method: 'standard', county: 'Nairobi', ...second }).expect(200);
+      expect(await takenOf(first)).toBe(0);
+      expect(await takenOf(second)).toBe(1);
+
+      await setDelivery({ method: 'standard', county: 'Nairobi' }).expect(200);
+      expect(await takenOf(second)).toBe(0);
+    });
+
+    it('should refuse a slot that is full', async () => {
+      const slot = await firstSlot();
+      await request(app)
+        .put('/api/v1/admin/delivery-slots')
+        .set('Authorization', adminAuth)
+        .send({ ...slot, capacity: 1 })
+        .expect(200);
+
+      await setDelivery({ method: 'standard', county: 'Nairobi', ...slot }).expect(200);
+      const res = await setDelivery({ method: 'standard', county: 'Nairobi', ...slot }, otherAuth).expect(409);
+
+      expect(res.body.message).toMatch(/fully booked/);
+    });
+
+    it('should refuse days and windows outside the calendar', async () => {
+      await setDelivery({ method: 'standard', county: 'Nairobi', date: '2020-01-01', timeSlot: 'morning' }).expect(400);
+      await setDelivery({ method: 'standard', county: 'Nairobi', date: '21/10/2026', timeSlot: 'morning' }).expect(400);
+      await setDelivery({ method: 'standard', county: 'Nairobi', ...(await firstSlot()), timeSlot: 'midnight' }).expect(400);
+      await setDelivery({ method: 'pickup' }).expect(400);
+    });
+
+    it('should give back holds of abandoned checkouts and keep the choice', async () => {
+      const slot = await firstSlot();
+      await setDelivery({ method: 'standard', county: 'Nairobi', ...slot }).expect(200);
+
+      const released = await deliverySlotService.releaseExpiredHolds(new Date(Date.now() + 60 * 60 * 1000));
+
+      expect(released).toBe(1);
+      expect(await takenOf(slot)).toBe(0);
+
+      const cart = await Cart.findOne({ user: customer._id });
+      expect(cart.preferredDelivery.slot).toBeUndefined();
+      expect(cart.preferredDelivery.timeSlot).toBe(slot.timeSlot);
+    });
+  });
+
+  describe('placing the order', () => {
+    it('should book the held slot onto the order', async () => {
+      const slot = await firstSlot();
+      await setDelivery({ method: 'standard', county: 'Nairobi', ...slot }).expect(200);
+
+      const res = await placeOrder({ deliveryMethod: 'standard' }).expect(201);
+
+      expect(res.body.data.order.delivery).toMatchObject({
+        method: 'standard',
+        timeSlot: slot.timeSlot,
+        slotStatus: 'booked'
+      });
+      expect(res.body.data.order.delivery.date.slice(0, 10)).toBe(slot.date);
+      expect(await takenOf(slot)).toBe(1);
+
+      // The hold moved to the order, so expiring holds leaves it alone
+      await deliverySlotService.releaseExpiredHolds(new Date(Date.now() + 60 * 60 * 1000));
+      expect(await takenOf(slot)).toBe(1);
+    });
+
+    it('should book the slot again when the hold ran out, if it is still free', async () => {
+      const slot = await firstSlot();
+      await setDelivery({ method: 'standard', county: 'Nairobi', ...slot }).expect(200);
+      await deliverySlotService.releaseExpiredHolds(new Date(Date.now() + 60 * 60 * 1000));
+
+      await placeOrder().expect(201);
+      expect(await takenOf(slot)).toBe(1);
+    });
+
+    it('should need a station and a collection day for pickup, priced by the station\'s county', async () => {
+      await placeOrder({ deliveryMethod: 'pickup' }).expect(400);
+
+      const slot = await firstSlot({ method: 'pickup', station: String(nyali._id) });
+      await setDelivery({ method: 'pickup', pickupStation: String(nyali._id), date: slot.date }).expect(200);
+
+      const res = await placeOrder({ deliveryMethod: 'pickup' }).expect(201);
+      const { order } = res.body.data;
+
+      expect(order.summary.shipping).toBe(150);
+      expect(order.delivery).toMatchObject({
+        method: 'pickup',
+        zone: 'major_towns',
+        pickupStation: { code: 'MSA-NY', name: 'Nyali Centre' },
+        slotStatus: 'booked'
+      });
+
+      // Nyali takes one collection a day
+      const full = await calendar({ method: 'pickup', station: String(nyali._id) });
+      expect(full.days[0].slots[0]).toMatchObject({ remaining: 0, available: false });
+    });
+
+    it('should give the slot back when the order is cancelled', async () => {
+      const slot = await firstSlot();
+      await setDelivery({ method: 'standard', county: 'Nairobi', ...slot }).expect(200);
+      const res = await placeOrder().expect(201);
+
+      await request(app)
+        .patch(`/api/v1/orders/${res.body.data.order._id}/cancel`)
+        .set('Authorization', auth)
+        .send({ reason: 'Changed my mind' })
+        .expect(200);
+
+      expect(await takenOf(slot)).toBe(0);
+      expect((await Order.findById(res.body.data.order._id)).delivery.slotStatus).toBe('released');
+    });
+  });
+
+  describe('admin', () => {
+    it('should create and update pickup stations', async () => {
+      await request(app)
+        .post('/api/v1/admin/pickup-stations')
+        .set('Authorization', adminAuth)
+        .send({ code: 'nbo-cbd', name: 'CBD', address: 'Moi Avenue', county: 'Nairobi', capacity: 40,
+          openingHours: [{ day: 1, opens: '18:00', closes: '08:00' }] })
+        .expect(400);
+
+      const created = await request(app)
+        .post('/api/v1/admin/pickup-stations')
+        .set('Authorization', adminAuth)
+        .send({ code: 'nbo-cbd', name: 'CBD', address: 'Moi Avenue', county: 'Nairobi', capacity: 40,
+          openingHours: [{ day: 1, opens: '08:00', closes: '17:00' }] })
+        .expect(201);
+      expect(created.body.data.station.code).toBe('NBO-CBD');
+
+      await request(app)
+        .patch(`/api/v1/admin/pickup-stations/${westgate._id}`)
+        .set('Authorization', adminAuth)
+        .send({ isActive: false })
+        .expect(200);
+
+      await request(app)
+        .get(`/api/v1/shipping/slots?method=pickup&station=${westgate._id}`)
+        .expect(404);
+    });
+
+    it('should be for admins only', async () => {
+      await request(app).get('/api/v1/admin/delivery-slots').set('Authorization', auth).expect(403);
+    });
+  });
+
+  describe('describeDelivery', () => {
+    it('should describe home deliveries and collections', () => {
+      expect(deliverySlotService.describeDelivery({
+        method: 'standard',
+        date: new Date('2026-10-20'),
+        timeSlotLabel: '8am - 12pm'
+      })).toBe('Standard delivery on Tue 20 Oct 2026, 8am - 12pm');
+
+      expect(deliverySlotService.describeDelivery({
+        method: 'pickup',
+        pickupStation: { name: 'Westgate', town: 'Westlands' },
+        date: new Date('2026-10-21')
+      })).toBe('Collect from Westgate (Westlands) from Wed 21 Oct 2026');
+
+      expect(deliverySlotService.describeDelivery({ method: 'express' })).toBe('Express delivery');
+    });
+  });
+});
@@ -0,0 +1,126 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const EmailService = require('../src/services/email/emailService');
+const { authConfig } = require('../src/config/auth');
+const db = require('./helpers/db');
+
+describe('Email verification', () => {
+  let sendEmailVerification;
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    sendEmailVerification = jest.spyOn(EmailService.prototype, 'sendEmailVerification');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    authConfig.emailVerification.requiredForCheckout = false;
+  });
+
+  const signup = () => request(app)
+    .post('/api/v1/auth/signup')
+    .send({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123',
+      passwordConfirm: 'password123'
+    })
+    .expect(201);
+
+  const emailedToken = (call = 0) => sendEmailVerification.mock.instances[call].url.split('/').pop();
+
+  it('should send a verification link on signup and verify the account', async () => {
+    const res = await signup();
+    expect(res.body.data.user.isVerified).toBe(false);
+    expect(sendEmailVerification).toHaveBeenCalledTimes(1);
+
+    const token = emailedToken();
+    const stored = await User.findOne({ email: 'jane@example.com' });
+    expect(stored.verificationToken).toBe(User.hashToken(token));
+
+    const verified = await request(app).get(`/api/v1/auth/verify-email/${token}`).expect(200);
+    expect(verified.body.data.user.isVerified).toBe(true);
+
+    // Tokens are single use
+    await request(app).get(`/api/v1/auth/verify-email/${token}`).expect(400);
+  });
+
+  it('should reject an expired verification link', async () => {
+    await signup();
+    await User.updateOne({ email: 'jane@example.com' }, { verificationTokenExpires: Date.now() - 1000 });
+
+    await request(app).get(`/api/v1/auth/verify-email/${emailedToken()}`).expect(400);
+  });
+
+  it('should throttle resends and invalidate the previous link', async () => {
+    const res = await signup();
+    const firstToken = emailedToken();
+
+    await request(app)
+      .post('/api/v1/auth/resend-verification')
+      .set('Authorization', `Bearer ${res.body.token}`)
+      .expect(429);
+
+    await User.updateOne({ email: 'jane@example.com' }, { verificationSentAt: Date.now() - 5 * 60 * 1000 });
+
+    await request(app)
+      .post('/api/v1/auth/resend-verification')
+      .set('Authorization', `Bearer ${res.body.token}`)
+      .expect(200);
+
+    await request(app).get(`/api/v1/auth/verify-email/${firstToken}`).expect(400);
+    await request(app).get(`/api/v1/auth/verify-email/${emailedToken(1)}`).expect(200);
+
+    await request(app)
+      .post('/api/v1/auth/resend-verification')
+      .set('Authorization', `Bearer ${res.body.token}`)
+      .expect(400);
+  });
+
+  it('should cap resends per hour without Redis', async () => {
+    const res = await signup();
+    const { maxResendsPerHour } = authConfig.emailVerification;
+
+    const resend = async () => {
+      await User.updateOne({ email: 'jane@example.com' }, { verificationSentAt: Date.now() - 5 * 60 * 1000 });
+      return request(app)
+        .post('/api/v1/auth/resend-verification')
+        .set('Authorization', `Bearer ${res.body.token}`);
+    };
+
+    for (let i = 0; i < maxResendsPerHour; i += 1) {
+      expect((await resend()).status).toBe(200);
+    }
+
+    const limited = await resend();
+    expect(limited.status).toBe(429);
+    expect(limited.body.message).toMatch(/Too many verification emails/);
+  });
+
+  it('should block checkout for unverified accounts when required', async () => {
+    authConfig.emailVerification.requiredForCheckout = true;
+    const res = await signup();
+
+    const order = await request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', `Bearer ${res.body.token}`)
+      .send({ paymentMethod: 'mpesa' })
+      .expect(403);
+
+    expect(order.body.message).toMatch(/verify your email/);
+  });
+});
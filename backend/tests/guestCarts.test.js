@@ -0,0 +1,170 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const Category = require('../src/models/Category');
+const Cart = require('../src/models/Cart');
+const Coupon = require('../src/models/Coupon');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+const { createProduct, cartItem } = require('./helpers/fixtures');
+
+describe('Guest carts', () => {
+  let customer;
+  let kettle;
+  let flour;
+  let lamp;
+
+  const cartCookie = (res) => (res.headers['set-cookie'] || []).find((cookie) => cookie.startsWith('cartId='));
+
+  const addItem = (agent, product, quantity = 1) => agent
+    .post('/api/v1/cart/items')
+    .send({ productId: product._id, quantity });
+
+  const login = (agent) => agent
+    .post('/api/v1/auth/login')
+    .send({ email: 'jane@example.com', password: 'password123' })
+    .expect(200);
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+
+    customer = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123',
+      isVerified: true
+    });
+
+    const kitchen = await Category.create({ name: 'Kitchen', createdBy: customer._id });
+    kettle = await createProduct({ name: 'Kettle', price: 2500, category: kitchen._id });
+    flour = await createProduct({ name: 'Flour', price: 200, category: kitchen._id, inventory: { quantity: 2 } });
+    lamp = await createProduct({ name: 'Lamp', price: 1500, category: kitchen._id });
+  });
+
+  describe('shopping as a guest', () => {
+    it('should not store a cart until something is added', async () => {
+      const res = await request(app).get('/api/v1/cart').expect(200);
+
+      expect(res.body.data.cart.items).toEqual([]);
+      expect(cartCookie(res)).toBeUndefined();
+      expect(await Cart.countDocuments()).toBe(0);
+    });
+
+    it('should keep the cart on the server, found from a signed cookie', async () => {
+      const agent = request.agent(app);
+
+      const added = await addItem(agent, kettle, 2).expect(201);
+      const cookie = cartCookie(added);
+      expect(cookie).toMatch(/HttpOnly/);
+
+      const stored = await Cart.findOne();
+      expect(stored).toMatchObject({ isGuest: true, isActive: true });
+      expect(stored.user).toBeUndefined();
+      expect(stored.guestExpiresAt.getTime()).toBeGreaterThan(Date.now());
+      // Only a hash of the token is kept
+      expect(cookie).not.toContain(stored.sessionId);
+
+      const res = await agent.get('/api/v1/cart').expect(200);
+      expect(res.body.data.cart.items).toHaveLength(1);
+      expect(res.body.data.cart.totals.subtotal).toBe(5000);
+    });
+
+    it('should ignore a cart cookie that has been tampered with', async () => {
+      const added = await addItem(request.agent(app), kettle).expect(201);
+      const [value] = cartCookie(added).split(';');
+      const forged = value.replace(/\.[^.]+$/, '.forged');
+
+      const res = await request(app).get('/api/v1/cart').set('Cookie', forged).expect(200);
+      expect(res.body.data.cart.items).toEqual([]);
+    });
+
+    it('should ask guests to sign in for coupons limited per customer', async () => {
+      await Coupon.create({ code: 'WELCOME', type: 'percentage', value: 10, firstOrderOnly: true });
+      await Coupon.create({ code: 'SAVE100', type: 'fixed', value: 100 });
+      const agent = request.agent(app);
+      await addItem(agent, kettle).expect(201);
+
+      const refused = await agent.post('/api/v1/cart/coupon').send({ couponCode: 'WELCOME' }).expect(400);
+      expect(refused.body.message).toBe('Sign in to use this coupon');
+
+      const res = await agent.post('/api/v1/cart/coupon').send({ couponCode: 'SAVE100' }).expect(200);
+      expect(res.body.data.cart.totals.discount).toBe(100);
+    });
+  });
+
+  describe('merging at login', () => {
+    it('should hand the guest cart over to a user without one', async () => {
+      const agent = request.agent(app);
+      await addItem(agent, kettle).expect(201);
+      const guestCart = await Cart.findOne();
+
+      const res = await login(agent);
+
+      expect(res.body.data.cartMerge).toEqual({ merged: 1, adjusted: [], removed: [], removedCoupons: [] });
+
+      const cart = await Cart.findOne({ user: customer._id });
+      expect(cart._id).toEqual(guestCart._id);
+      expect(cart.isGuest).toBe(false);
+      expect(cart.sessionId).toBeUndefined();
+      expect(cart.guestExpiresAt).toBeUndefined();
+    });
+
+    it('should merge into the user\'s cart by the conflict rules', async () => {
+      await Coupon.create({ code: 'MINE', type: 'fixed', value: 100 });
+      await Coupon.create({ code: 'THEIRS', type: 'fixed', value: 200 });
+      await Cart.create({ user: customer._id, items: [cartItem(kettle, 1)] });
+      await request(app).post('/api/v1/cart/coupon')
+        .set('Authorization', `Bearer ${await loginToken(customer)}`)
+        .send({ couponCode: 'MINE' })
+        .expect(200);
+
+      const agent = request.agent(app);
+      await addItem(agent, kettle, 3).expect(201);
+      await addItem(agent, flour, 2).expect(201);
+      await addItem(agent, lamp).expect(201);
+      await agent.post('/api/v1/cart/coupon').send({ couponCode: 'THEIRS' }).expect(200);
+
+      // Meanwhile flour runs low and the lamp is taken off sale
+      await Product.updateOne({ _id: flour._id }, { 'inventory.quantity': 1 });
+      await Product.updateOne({ _id: lamp._id }, { status: 'archived' });
+
+      const res = await login(agent);
+
+      expect(res.body.data.cartMerge).toMatchObject({
+        merged: 2,
+        adjusted: [expect.objectContaining({ name: 'Flour', quantity: 1 })],
+        removed: [expect.objectContaining({ name: 'Lamp', reason: 'No longer available' })],
+        // Coupons don't stack by default, and the user's came first
+        removedCoupons: [expect.objectContaining({ code: 'THEIRS' })]
+      });
+
+      const cart = await Cart.findOne({ user: customer._id });
+      expect(cart.items.map((item) => [item.name, item.quantity])).toEqual([['Kettle', 3], ['Flour', 1]]);
+      expect(cart.appliedCoupons.map((coupon) => coupon.code)).toEqual(['MINE']);
+
+      // The guest cart is spent and its cookie cleared
+      expect(await Cart.countDocuments({ isGuest: true, isActive: true })).toBe(0);
+      expect(cartCookie(res)).toMatch(/^cartId=;/);
+      const after = await agent.get('/api/v1/cart').set('Authorization', `Bearer ${res.body.token}`).expect(200);
+      expect(after.body.data.cart._id).toBe(cart._id.toString());
+    });
+
+    it('should log in without a merge when there is no guest cart', async () => {
+      const res = await login(request.agent(app));
+      expect(res.body.data.cartMerge).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,306 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const Category = require('../src/models/Category');
+const Order = require('../src/models/Order');
+const Payment = require('../src/models/Payment');
+const Coupon = require('../src/models/Coupon');
+const GuestCustomer = require('../src/models/GuestCustomer');
+const EmailService = require('../src/services/email/emailService');
+const { mpesaConfig } = require('../src/config/mpesa');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+const { createUser } = require('./helpers/fixtures');
+const darajaStub = require('./helpers/darajaStub');
+
+describe('Guest checkout', () => {
+  let daraja;
+  let admin;
+  let kettle;
+  let sendGuestOrderAccess;
+
+  const contact = {
+    firstName: 'Jane',
+    lastName: 'Doe',
+    email: 'Jane@Example.com',
+    phone: '0712345678'
+  };
+
+  const shippingAddress = {
+    name: 'Jane Doe',
+    phone: '254712345678',
+    address: 'Moi Avenue',
+    city: 'Nairobi',
+    county: 'Nairobi'
+  };
+
+  // Shop as a guest and check out, resolving to the order response
+  const checkout = async (body = {}) => {
+    const agent = request.agent(app);
+    await agent.post('/api/v1/cart/items').send({ productId: kettle._id, quantity: 1 }).expect(201);
+
+    return agent
+      .post('/api/v1/orders')
+      .send({ paymentMethod: 'mpesa', shippingAddress, contact, ...body });
+  };
+
+  const emailedToken = (call = 0) => new URL(sendGuestOrderAccess.mock.instances[call].url).searchParams.get('token');
+
+  const asGuest = (req, token) => req.set('X-Guest-Token', token);
+
+  beforeAll(async () => {
+    await db.connect();
+    daraja = await darajaStub.start();
+    Object.assign(mpesaConfig, {
+      baseURL: daraja.url,
+      consumerKey: 'key',
+      consumerSecret: 'secret',
+      shortCode: '174379',
+      passKey: 'passkey',
+      callbackURL: 'http://localhost/api/v1/payments/mpesa/callback',
+      callbackToken: darajaStub.CALLBACK_TOKEN,
+    });
+  });
+
+  afterAll(async () => {
+    await daraja.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    daraja.requests.length = 0;
+    sendGuestOrderAccess = jest.spyOn(EmailService.prototype, 'sendGuestOrderAccess').mockResolvedValue();
+
+    admin = await User.create({
+      firstName: 'Ada',
+      lastName: 'Admin',
+      email: 'admin@example.com',
+      phone: '254700000001',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    const kitchen = await Category.create({ name: 'Kitchen', createdBy: admin._id });
+    kettle = await Product.create({
+      name: 'Kettle',
+      description: 'Test product',
+      sku: `SKU-${new mongoose.Types.ObjectId()}`,
+      price: 2500,
+      status: 'active',
+      category: kitchen._id,
+      inventory: { quantity: 10 },
+      createdBy: admin._id
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('placing an order', () => {
+    it('should create the order for a guest record and email a link to it', async () => {
+      const res = await checkout().expect(201);
+
+      const guest = await GuestCustomer.findOne();
+      expect(guest).toMatchObject({ email: 'jane@example.com', phone: '254712345678', firstName: 'Jane' });
+
+      const order = await Order.findById(res.body.data.order._id);
+      expect(order.customer).toBeUndefined();
+      expect(order.guest).toEqual(guest._id);
+      expect(order.summary.total).toBeGreaterThan(0);
+
+      expect(res.body.data.guestToken).toEqual(expect.any(String));
+      expect(sendGuestOrderAccess).toHaveBeenCalledWith(expect.objectContaining({ orderNumber: order.orderNumber }));
+    });
+
+    it('should keep one guest record per email address', async () => {
+      await checkout().expect(201);
+      await checkout({ contact: { ...contact, email: 'jane@example.com', phone: '0722000000' } }).expect(201);
+
+      const guests = await GuestCustomer.find();
+      expect(guests).toHaveLength(1);
+      expect(guests[0].phone).toBe('254712345678');
+      expect(await Order.countDocuments({ guest: guests[0]._id })).toBe(2);
+
+      const orders = await Order.find().sort({ createdAt: 1 });
+      expect(orders.map((order) => order.contact.phone)).toEqual(['254712345678', '254722000000']);
+    });
+
+    it('should not hand someone else\'s orders to a checkout with their email', async () => {
+      const placed = await checkout().expect(201);
+      const { _id: janesOrder, orderNumber } = placed.body.data.order;
+
+      const res = await checkout({
+        contact: { ...contact, firstName: 'Mallory', phone: '0722000000' },
+        shippingAddress: { ...shippingAddress, phone: '254722000000' }
+      }).expect(201);
+      const { guestToken } = res.body.data;
+
+      // The checkout token opens only the order just placed
+      const mine = await asGuest(request(app).get('/api/v1/orders/my-orders'), guestToken).expect(200);
+      expect(mine.body.data.orders.map((order) => order._id)).toEqual([res.body.data.order._id]);
+      await asGuest(request(app).get(`/api/v1/orders/${janesOrder}`), guestToken).expect(404);
+
+      // Nor can the new phone number track or claim Jane's order
+      await request(app)
+        .post('/api/v1/orders/track')
+        .send({ orderNumber, phone: '0722000000' })
+        .expect(404);
+
+      const user = await User.create({
+        firstName: 'Mallory',
+        lastName: 'Doe',
+        email: 'mallory@example.com',
+        phone: '254722000000',
+        phoneVerified: true,
+        password: 'password123'
+      });
+      await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'mallory@example.com', password: 'password123' })
+        .expect(200);
+
+      expect((await Order.findById(janesOrder)).customer).toBeUndefined();
+      expect(await Order.countDocuments({ customer: user._id })).toBe(1);
+    });
+
+    it('should ask guests for their contact details', async () => {
+      const res = await checkout({ contact: { ...contact, email: '' } }).expect(400);
+      expect(res.body.message).toMatch(/email/);
+
+      await checkout({ contact: { ...contact, phone: '12345' } }).expect(400);
+      expect(await Order.countDocuments()).toBe(0);
+    });
+  });
+
+  describe('the order link', () => {
+    it('should let the guest see and track only their orders', async () => {
+      const res = await checkout().expect(201);
+      const token = emailedToken();
+      const { _id: orderId } = res.body.data.order;
+
+      const mine = await asGuest(request(app).get('/api/v1/orders/my-orders'), token).expect(200);
+      expect(mine.body.data.orders.map((order) => order._id)).toEqual([orderId]);
+
+      const detail = await asGuest(request(app).get(`/api/v1/orders/${orderId}`), token).expect(200);
+      expect(detail.body.data.order.guest.email).toBe('jane@example.com');
+      expect(detail.body.data.transitions).toEqual([]);
+
+      await asGuest(request(app).get(`/api/v1/orders/${orderId}/tracking`), token).expect(200);
+
+      // Someone else's guest order
+      await checkout({ contact: { ...contact, email: 'other@example.com' } }).expect(201);
+      const other = await Order.findOne({ _id: { $ne: orderId } });
+      await asGuest(request(app).get(`/api/v1/orders/${other._id}`), token).expect(404);
+    });
+
+    it('should refuse a missing or forged link', async () => {
+      await request(app).get('/api/v1/orders/my-orders').expect(401);
+      await asGuest(request(app).get('/api/v1/orders/my-orders'), 'not-a-token').expect(401);
+      await asGuest(request(app).get('/api/v1/orders/my-orders'), await loginToken(admin)).expect(401);
+    });
+
+    it('should keep account-only actions behind a login', async () => {
+      const res = await checkout().expect(201);
+
+      await asGuest(request(app).patch(`/api/v1/orders/${res.body.data.order._id}/cancel`), res.body.data.guestToken)
+        .expect(401);
+    });
+
+    it('should send a new link without saying whether anyone matched', async () => {
+      await checkout().expect(201);
+      sendGuestOrderAccess.mockClear();
+
+      const known = await request(app).post('/api/v1/orders/guest/link').send({ email: 'jane@example.com' }).expect(200);
+      const unknown = await request(app).post('/api/v1/orders/guest/link').send({ email: 'nobody@example.com' }).expect(200);
+
+      expect(unknown.body.message).toBe(known.body.message);
+      expect(sendGuestOrderAccess).toHaveBeenCalledTimes(1);
+
+      const token = emailedToken();
+      const mine = await asGuest(request(app).get('/api/v1/orders/my-orders'), token).expect(200);
+      expect(mine.body.data.orders).toHaveLength(1);
+    });
+  });
+
+  describe('paying with M-Pesa', () => {
+    it('should let the guest pay and follow the payment', async () => {
+      const res = await checkout().expect(201);
+      const { guestToken, order } = res.body.data;
+
+      const paid = await asGuest(request(app).post('/api/v1/payments/mpesa/initiate'), guestToken)
+        .send({ orderId: order._id, phoneNumber: '0712345678' })
+        .expect(200);
+
+      const payment = await Payment.findById(paid.body.data.paymentId);
+      expect(payment.customer).toBeUndefined();
+      expect(String(payment.guest)).toBe(order.guest._id);
+
+      await asGuest(request(app).get(`/api/v1/payments/status/${payment._id}`), guestToken).expect(200);
+    });
+  });
+
+  describe('claiming orders', () => {
+    const login = () => request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'jane@example.com', password: 'password123' })
+      .expect(200);
+
+    it('should move guest orders into an account with the same verified email', async () => {
+      await Coupon.create({ code: 'SAVE100', type: 'fixed', value: 100 });
+      const agent = request.agent(app);
+      await agent.post('/api/v1/cart/items').send({ productId: kettle._id, quantity: 1 }).expect(201);
+      await agent.post('/api/v1/cart/coupon').send({ couponCode: 'SAVE100' }).expect(200);
+      const placed = await agent
+        .post('/api/v1/orders')
+        .send({ paymentMethod: 'mpesa', shippingAddress, contact })
+        .expect(201);
+      const { guestToken } = placed.body.data;
+
+      const user = await createUser({ phone: '254799999999' });
+      const res = await login();
+      expect(res.body.data.claimedOrders).toBe(1);
+
+      const order = await Order.findById(placed.body.data.order._id);
+      expect(order.customer).toEqual(user._id);
+
+      const coupon = await Coupon.findOne({ code: 'SAVE100' });
+      expect(coupon.redemptionsBy(user._id)).toBe(1);
+
+      const mine = await request(app).get('/api/v1/orders/my-orders')
+        .set('Authorization', `Bearer ${res.body.token}`)
+        .expect(200);
+      expect(mine.body.data.orders).toHaveLength(1);
+
+      // The guest link no longer shows it
+      const viaLink = await asGuest(request(app).get('/api/v1/orders/my-orders'), guestToken).expect(200);
+      expect(viaLink.body.data.orders).toEqual([]);
+    });
+
+    it('should claim by a verified phone number', async () => {
+      await checkout().expect(201);
+      const user = await createUser({ email: 'someone@example.com', isVerified: false, phoneVerified: true });
+
+      await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'someone@example.com', password: 'password123' })
+        .expect(200);
+
+      expect(await Order.countDocuments({ customer: user._id })).toBe(1);
+    });
+
+    it('should wait for the email to be verified', async () => {
+      await checkout().expect(201);
+      await createUser({ phone: '254799999999', isVerified: false });
+
+      const res = await login();
+      expect(res.body.data.claimedOrders).toBeUndefined();
+      expect(await Order.countDocuments({ customer: { $ne: null } })).toBe(0);
+    });
+  });
+});
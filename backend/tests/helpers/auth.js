@@ -0,0 +1,15 @@
+// backend/tests/helpers/auth.js
+
+const { createSession } = require('../../src/services/auth/sessionService');
+const { signToken } = require('../../src/middleware/auth');
+
+// An access token for `user` backed by a live session, as a login would
+// issue; twoFactor marks the session as past the second step
+const loginToken = async (user, { twoFactor = false } = {}) => {
+  const { session } = await createSession(user, {}, { twoFactorVerified: twoFactor });
+  return signToken(user._id, session._id, { twoFactor });
+};
+
+module.exports = {
+  loginToken,
+};
@@ -0,0 +1,127 @@
+// backend/tests/helpers/darajaStub.js
+
+// Minimal local stand-in for the Safaricom Daraja API, used by pointing
+// mpesaConfig.baseURL (or MPESA_BASE_URL) at the URL returned by start().
+
+const express = require('express');
+
+// Set as mpesaConfig.callbackToken so tests can post callbacks (see callbackPath)
+const CALLBACK_TOKEN = 'stub-callback-token';
+
+// Where Daraja posts a callback, e.g. callbackPath('callback')
+const callbackPath = (route) => `/api/v1/payments/mpesa/${route}/${CALLBACK_TOKEN}`;
+
+const start = () => {
+  const app = express();
+  const requests = [];
+  const queryResults = {};
+  let sequence = 0;
+
+  app.use(express.json());
+
+  app.get('/oauth/v1/generate', (req, res) => {
+    res.json({ access_token: 'stub-access-token', expires_in: '3599' });
+  });
+
+  app.post('/mpesa/stkpush/v1/processrequest', (req, res) => {
+    requests.push({ endpoint: 'stkPush', body: req.body, headers: req.headers });
+    sequence += 1;
+
+    res.json({
+      MerchantRequestID: `stub-merchant-${sequence}`,
+      CheckoutRequestID: `ws_CO_stub_${sequence}`,
+      ResponseCode: '0',
+      ResponseDescription: 'Success. Request accepted for processing',
+      CustomerMessage: 'Success. Request accepted for processing',
+    });
+  });
+
+  app.post('/mpesa/stkpushquery/v1/query', (req, res) => {
+    requests.push({ endpoint: 'stkQuery', body: req.body, headers: req.headers });
+    const result = queryResults[req.body.CheckoutRequestID];
+
+    if (!result) {
+      return res.status(500).json({ errorCode: '500.001.1001', errorMessage: 'The transaction is being processed' });
+    }
+
+    res.json({
+      ResponseCode: '0',
+      CheckoutRequestID: req.body.CheckoutRequestID,
+      ResultCode: String(result.resultCode),
+      ResultDesc: result.resultDesc,
+    });
+  });
+
+  // Reversal and B2C requests are only accepted here; their results are
+  // posted to the refund callback by the test (see refundResult)
+  const acceptInitiatorRequest = (endpoint) => (req, res) => {
+    requests.push({ endpoint, body: req.body, headers: req.headers });
+    sequence += 1;
+
+    res.json({
+      ConversationID: `AG_stub_${sequence}`,
+      OriginatorConversationID: `stub-originator-${sequence}`,
+      ResponseCode: '0',
+      ResponseDescription: 'Accept the service request successfully.',
+    });
+  };
+
+  app.post('/mpesa/reversal/v1/request', acceptInitiatorRequest('reversal'));
+  app.post('/mpesa/b2c/v1/paymentrequest', acceptInitiatorRequest('b2c'));
+
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        setQueryResult: (checkoutRequestID, result) => {
+          queryResults[checkoutRequestID] = result;
+        },
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+};
+
+// Build a Daraja STK callback body
+const stkCallback = (checkoutRequestID, { resultCode = 0, amount, receiptNumber, phoneNumber } = {}) => {
+  const stkCallbackBody = {
+    MerchantRequestID: 'stub-merchant',
+    CheckoutRequestID: checkoutRequestID,
+    ResultCode: resultCode,
+    ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'Request cancelled by user',
+  };
+
+  if (resultCode === 0) {
+    stkCallbackBody.CallbackMetadata = {
+      Item: [
+        { Name: 'Amount', Value: amount },
+        { Name: 'MpesaReceiptNumber', Value: receiptNumber },
+        { Name: 'TransactionDate', Value: 20260101120000 },
+        { Name: 'PhoneNumber', Value: Number(phoneNumber) },
+      ],
+    };
+  }
+
+  return { Body: { stkCallback: stkCallbackBody } };
+};
+
+// Build a Daraja reversal or B2C result body
+const refundResult = (conversationID, { resultCode = 0, transactionID = 'RFD123XYZ' } = {}) => ({
+  Result: {
+    ResultType: 0,
+    ResultCode: resultCode,
+    ResultDesc: resultCode === 0 ? 'The service request is processed successfully.' : 'The initiator information is invalid.',
+    OriginatorConversationID: 'stub-originator',
+    ConversationID: conversationID,
+    TransactionID: transactionID,
+  },
+});
+
+module.exports = {
+  CALLBACK_TOKEN,
+  callbackPath,
+  start,
+  stkCallback,
+  refundResult,
+};
@@ -0,0 +1,22 @@
+// backend/tests/helpers/db.js
+
+const mongoose = require('mongoose');
+
+const connect = async () => {
+  await mongoose.connect(process.env.MONGODB_URI_TEST || 'mongodb://127.0.0.1:27017/shopsawa_test');
+};
+
+const clear = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+};
+
+const close = async () => {
+  await mongoose.connection.close();
+};
+
+module.exports = {
+  connect,
+  clear,
+  close,
+};
@@ -0,0 +1,48 @@
+// backend/tests/helpers/fixtures.js
+
+// Factories for the documents most suites start from. Pass only the fields a
+// test cares about; the rest are valid defaults.
+
+const mongoose = require('mongoose');
+const User = require('../../src/models/User');
+const Product = require('../../src/models/Product');
+
+// A verified customer who signs in with jane@example.com / password123
+const createUser = (overrides = {}) => User.create({
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: 'jane@example.com',
+  phone: '254712345678',
+  password: 'password123',
+  isVerified: true,
+  ...overrides
+});
+
+// A published product with stock, in a category of its own unless one is given
+const createProduct = (overrides = {}) => Product.create({
+  name: 'Test product',
+  description: 'Test product',
+  price: 1000,
+  category: new mongoose.Types.ObjectId(),
+  sku: `SKU-${new mongoose.Types.ObjectId()}`,
+  status: 'active',
+  inventory: { quantity: 50 },
+  createdBy: new mongoose.Types.ObjectId(),
+  ...overrides
+});
+
+// A cart line for `product` at its current price
+const cartItem = (product, quantity = 1, variant) => ({
+  product: product._id,
+  name: product.name,
+  sku: product.sku,
+  price: product.price,
+  quantity,
+  variant
+});
+
+module.exports = {
+  createUser,
+  createProduct,
+  cartItem,
+};
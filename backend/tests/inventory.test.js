@@ -0,0 +1,307 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const Product = require('../src/models/Product');
+const Cart = require('../src/models/Cart');
+const Order = require('../src/models/Order');
+const Payment = require('../src/models/Payment');
+const { mpesaConfig } = require('../src/config/mpesa');
+const inventoryService = require('../src/services/inventory/inventoryService');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+const { createUser, cartItem } = require('./helpers/fixtures');
+const darajaStub = require('./helpers/darajaStub');
+
+describe('Order inventory', () => {
+  let daraja;
+  let user;
+  let auth;
+  let mug;
+  let customers = 0;
+
+  const createCustomer = async () => {
+    customers += 1;
+    const customer = await createUser({
+      lastName: `Doe ${customers}`,
+      email: `jane${customers}@example.com`,
+      phone: `2547123${String(customers).padStart(5, '0')}`
+    });
+    return { customer, auth: `Bearer ${await loginToken(customer)}` };
+  };
+
+  const placeOrder = (authorization, paymentMethod = 'mpesa') => request(app)
+    .post('/api/v1/orders')
+    .set('Authorization', authorization)
+    .send({
+      paymentMethod,
+      shippingAddress: {
+        name: 'Jane Doe',
+        phone: '254712345678',
+        address: 'Moi Avenue',
+        city: 'Nairobi',
+        county: 'Nairobi'
+      }
+    });
+
+  const stockOf = async (product) => (await Product.findById(product._id)).toObject();
+
+  beforeAll(async () => {
+    await db.connect();
+    daraja = await darajaStub.start();
+    Object.assign(mpesaConfig, {
+      baseURL: daraja.url,
+      consumerKey: 'key',
+      consumerSecret: 'secret',
+      shortCode: '174379',
+      passKey: 'passkey',
+      callbackURL: 'http://localhost/api/v1/payments/mpesa/callback',
+      callbackToken: darajaStub.CALLBACK_TOKEN,
+    });
+  });
+
+  afterAll(async () => {
+    await daraja.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+
+    ({ customer: user, auth } = await createCustomer());
+
+    mug = await Product.create({
+      name: 'Mug',
+      description: 'Test product',
+      price: 1000,
+      category: new mongoose.Types.ObjectId(),
+      sku: 'MUG-1',
+      inventory: { quantity: 5 },
+      createdBy: user._id
+    });
+  });
+
+  describe('placing an order', () => {
+    it('should reserve stock for an M-Pesa order until it is paid', async () => {
+      await Cart.create({ user: user._id, items: [cartItem(mug, 2)] });
+
+      const res = await placeOrder(auth).expect(201);
+
+      expect(res.body.data.order.inventory.status).toBe('reserved');
+      const stock = await stockOf(mug);
+      expect(stock.inventory).toMatchObject({ quantity: 5, reserved: 2 });
+      expect(stock.sales.totalSold).toBe(0);
+    });
+
+    it('should take stock straight away for cash on delivery', async () => {
+      await Cart.create({ user: user._id, items: [cartItem(mug, 2)] });
+
+      const res = await placeOrder(auth, 'cod').expect(201);
+
+      expect(res.body.data.order.inventory.status).toBe('committed');
+      const stock = await stockOf(mug);
+      expect(stock.inventory).toMatchObject({ quantity: 3, reserved: 0 });
+      expect(stock.sales).toMatchObject({ totalSold: 2, revenue: 2000 });
+    });
+
+    it('should refuse more than the unreserved stock', async () => {
+      await Product.updateOne({ _id: mug._id }, { 'inventory.reserved': 4 });
+      await Cart.create({ user: user._id, items: [cartItem(mug, 2)] });
+
+      const res = await placeOrder(auth).expect(400);
+      expect(res.body.message).toMatch(/Only 1 units of Mug available/);
+    });
+
+    it('should release earlier lines when a later one is short', async () => {
+      const plate = await Product.create({
+        name: 'Plate',
+        description: 'Test product',
+        price: 500,
+        category: new mongoose.Types.ObjectId(),
+        sku: 'PLATE-1',
+        inventory: { quantity: 1 },
+        createdBy: user._id
+      });
+
+      await expect(inventoryService.reserveStock([
+        { product: mug._id, name: 'Mug', quantity: 2 },
+        { product: plate._id, name: 'Plate', quantity: 2 }
+      ])).rejects.toThrow(/Only 1 units of Plate/);
+
+      expect((await stockOf(mug)).inventory.reserved).toBe(0);
+      expect((await stockOf(plate)).inventory.reserved).toBe(0);
+    });
+
+    it('should ignore stock levels for products that do not track them', async () => {
+      await Product.updateOne({ _id: mug._id }, { 'inventory.trackQuantity': false, 'inventory.quantity': 0 });
+      await Cart.create({ user: user._id, items: [cartItem(mug, 3)] });
+
+      await placeOrder(auth, 'cod').expect(201);
+
+      const stock = await stockOf(mug);
+      expect(stock.inventory).toMatchObject({ quantity: 0, reserved: 0 });
+      expect(stock.sales.totalSold).toBe(3);
+    });
+  });
+
+  describe('concurrency', () => {
+    it('should hand out exactly the units in stock when reservations race', async () => {
+      const results = await Promise.allSettled(Array.from({ length: 10 }, () => (
+        inventoryService.reserveStock([{ product: mug._id, name: 'Mug', quantity: 1 }])
+      )));
+
+      expect(results.filter((r) => r.status === 'fulfilled')).toHaveLength(5);
+      expect((await stockOf(mug)).inventory).toMatchObject({ quantity: 5, reserved: 5 });
+    });
+
+    it('should never oversell when checkouts race for the last units', async () => {
+      const buyers = await Promise.all(Array.from({ length: 10 }, () => createCustomer()));
+      await Promise.all(buyers.map(({ customer }) => Cart.create({ user: customer._id, items: [cartItem(mug, 2)] })));
+
+      const results = await Promise.all(buyers.map(({ auth: authorization }) => placeOrder(authorization)));
+      const placed = results.filter((r) => r.status === 201).length;
+
+      // 5 in stock at 2 a time: at most two orders can ever be placed
+      expect(placed).toBeGreaterThan(0);
+      expect(placed).toBeLessThanOrEqual(2);
+      expect(await Order.countDocuments()).toBe(placed);
+      expect((await stockOf(mug)).inventory).toMatchObject({ quantity: 5, reserved: placed * 2 });
+    });
+
+    it('should never oversell a variant option', async () => {
+      await Product.updateOne({ _id: mug._id }, {
+        variants: [{
+          name: 'Colour',
+          options: [
+            { name: 'Red', value: 'red', inventory: { quantity: 2 } },
+            { name: 'Blue', value: 'blue', inventory: { quantity: 3 } }
+          ]
+        }]
+      });
+      const red = { name: 'Colour', value: 'red' };
+
+      const results = await Promise.allSettled(Array.from({ length: 6 }, () => (
+        inventoryService.reserveStock([{ product: mug._id, name: 'Mug', quantity: 1, variant: red }])
+      )));
+
+      expect(results.filter((r) => r.status === 'fulfilled')).toHaveLength(2);
+
+      const stock = await stockOf(mug);
+      expect(stock.inventory.reserved).toBe(2);
+      expect(stock.variants[0].options[0].inventory.reserved).toBe(2);
+      expect(stock.variants[0].options[1].inventory.reserved).toBe(0);
+    });
+  });
+
+  describe('M-Pesa payment', () => {
+    let order;
+
+    const initiate = () => request(app)
+      .post('/api/v1/payments/mpesa/initiate')
+      .set('Authorization', auth)
+      .send({ orderId: order._id, phoneNumber: '0712345678' });
+
+    // Start a payment, resolving to the checkout request Daraja will call back about
+    const initiateCheckout = async () => {
+      const { paymentId } = (await initiate().expect(200)).body.data;
+      return (await Payment.findById(paymentId)).mpesa.checkoutRequestID;
+    };
+
+    beforeEach(async () => {
+      await Cart.create({ user: user._id, items: [cartItem(mug, 2)] });
+      order = (await placeOrder(auth).expect(201)).body.data.order;
+    });
+
+    it('should commit the reservation when the payment completes', async () => {
+      const checkoutRequestID = await initiateCheckout();
+
+      await request(app)
+        .post(darajaStub.callbackPath('callback'))
+        .send(darajaStub.stkCallback(checkoutRequestID, {
+          amount: Math.ceil(order.summary.total),
+          receiptNumber: 'QAB1CD2EF3',
+          phoneNumber: '254712345678'
+        }))
+        .expect(200);
+
+      const stock = await stockOf(mug);
+      expect(stock.inventory).toMatchObject({ quantity: 3, reserved: 0 });
+      expect(stock.sales.totalSold).toBe(2);
+      expect((await Order.findById(order._id)).inventory.status).toBe('committed');
+    });
+
+    it('should release the reservation when the payment fails and take it again on retry', async () => {
+      const checkoutRequestID = await initiateCheckout();
+
+      await request(app)
+        .post(darajaStub.callbackPath('callback'))
+        .send(darajaStub.stkCallback(checkoutRequestID, { resultCode: 1032 }))
+        .expect(200);
+
+      expect((await stockOf(mug)).inventory.reserved).toBe(0);
+      expect((await Order.findById(order._id)).inventory.status).toBe('released');
+
+      await initiate().expect(200);
+      expect((await stockOf(mug)).inventory.reserved).toBe(2);
+    });
+
+    it('should release the reservation on a Daraja timeout', async () => {
+      const checkoutRequestID = await initiateCheckout();
+
+      await request(app).post(darajaStub.callbackPath('timeout')).send({ CheckoutRequestID: checkoutRequestID }).expect(200);
+
+      expect((await stockOf(mug)).inventory.reserved).toBe(0);
+    });
+
+    it('should refuse a retry once the stock has gone', async () => {
+      await inventoryService.releaseOrderStock(await Order.findById(order._id));
+      await Product.updateOne({ _id: mug._id }, { 'inventory.quantity': 1 });
+
+      const res = await initiate().expect(400);
+      expect(res.body.message).toMatch(/Only 1 units of Mug available/);
+      expect((await Order.findById(order._id)).inventory.status).toBe('released');
+    });
+
+    it('should release reservations that were held too long', async () => {
+      expect(await inventoryService.releaseExpiredReservations()).toBe(0);
+
+      const later = new Date(Date.now() + (inventoryService.RESERVATION_MINUTES + 1) * 60 * 1000);
+      expect(await inventoryService.releaseExpiredReservations(later)).toBe(1);
+
+      expect((await stockOf(mug)).inventory.reserved).toBe(0);
+      // Running again moves nothing
+      expect(await inventoryService.releaseExpiredReservations(later)).toBe(0);
+    });
+  });
+
+  describe('cancelling', () => {
+    const cancel = (orderId) => request(app)
+      .patch(`/api/v1/orders/${orderId}/cancel`)
+      .set('Authorization', auth)
+      .send({ reason: 'Changed my mind' });
+
+    it('should restock a committed order exactly once', async () => {
+      await Cart.create({ user: user._id, items: [cartItem(mug, 2)] });
+      const order = (await placeOrder(auth, 'cod').expect(201)).body.data.order;
+
+      await cancel(order._id).expect(200);
+      await cancel(order._id).expect(409);
+
+      const stock = await stockOf(mug);
+      expect(stock.inventory).toMatchObject({ quantity: 5, reserved: 0 });
+      expect(stock.sales).toMatchObject({ totalSold: 0, revenue: 0 });
+    });
+
+    it('should release the reservation of an unpaid order', async () => {
+      await Cart.create({ user: user._id, items: [cartItem(mug, 2)] });
+      const order = (await placeOrder(auth).expect(201)).body.data.order;
+
+      await cancel(order._id).expect(200);
+
+      const stock = await stockOf(mug);
+      expect(stock.inventory).toMatchObject({ quantity: 5, reserved: 0 });
+      expect((await Order.findById(order._id)).inventory.status).toBe('released');
+    });
+  });
+});
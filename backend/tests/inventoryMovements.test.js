@@ -0,0 +1,274 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const Cart = require('../src/models/Cart');
+const InventoryMovement = require('../src/models/InventoryMovement');
+const EmailService = require('../src/services/email/emailService');
+const inventoryService = require('../src/services/inventory/inventoryService');
+const { processMovement } = require('../src/services/inventory/stockAlertService');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+const { cartItem } = require('./helpers/fixtures');
+
+describe('Inventory movements', () => {
+  let user;
+  let auth;
+  let admin;
+  let adminAuth;
+  let mug;
+
+  const placeOrder = (paymentMethod) => request(app)
+    .post('/api/v1/orders')
+    .set('Authorization', auth)
+    .send({
+      paymentMethod,
+      shippingAddress: {
+        name: 'Jane Doe',
+        phone: '254712345678',
+        address: 'Moi Avenue',
+        city: 'Nairobi',
+        county: 'Nairobi'
+      }
+    });
+
+  const adjust = (body, product = mug) => request(app)
+    .post(`/api/v1/admin/inventory/${product._id}/adjustments`)
+    .set('Authorization', adminAuth)
+    .send(body);
+
+  const movementsOf = (product) => InventoryMovement.find({ product: product._id }).sort({ createdAt: 1, _id: 1 });
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+
+    user = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123',
+      isVerified: true
+    });
+    auth = `Bearer ${await loginToken(user)}`;
+
+    admin = await User.create({
+      firstName: 'Admin',
+      lastName: 'User',
+      email: 'admin@example.com',
+      phone: '254712345679',
+      password: 'password123',
+      isVerified: true,
+      role: 'admin'
+    });
+    adminAuth = `Bearer ${await loginToken(admin)}`;
+
+    mug = await Product.create({
+      name: 'Mug',
+      description: 'Test product',
+      price: 1000,
+      category: new mongoose.Types.ObjectId(),
+      sku: 'MUG-1',
+      inventory: { quantity: 20, lowStockThreshold: 5 },
+      createdBy: admin._id
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('order movements', () => {
+    it('should record the reservation and sale of an order', async () => {
+      await Cart.create({ user: user._id, items: [cartItem(mug, 2)] });
+      const order = (await placeOrder('cod').expect(201)).body.data.order;
+
+      const movements = await movementsOf(mug);
+      expect(movements.map((m) => m.type)).toEqual(['reservation', 'sale']);
+      expect(movements[0]).toMatchObject({ quantity: 0, reserved: 2, quantityAfter: 20, reservedAfter: 2, sku: 'MUG-1' });
+      expect(movements[1]).toMatchObject({ quantity: -2, reserved: -2, quantityAfter: 18, reservedAfter: 0 });
+      movements.forEach((movement) => {
+        expect(String(movement.order)).toBe(order._id);
+        expect(String(movement.user)).toBe(String(user._id));
+      });
+    });
+
+    it('should record a restock when a committed order is cancelled', async () => {
+      await Cart.create({ user: user._id, items: [cartItem(mug, 2)] });
+      const order = (await placeOrder('cod').expect(201)).body.data.order;
+
+      await request(app)
+        .patch(`/api/v1/orders/${order._id}/cancel`)
+        .set('Authorization', auth)
+        .send({ reason: 'Changed my mind' })
+        .expect(200);
+
+      const restock = (await movementsOf(mug)).pop();
+      expect(restock).toMatchObject({ type: 'restock', quantity: 2, quantityAfter: 20, reason: 'cancelled' });
+    });
+
+    it('should record the release when a checkout falls through', async () => {
+      const plate = await Product.create({
+        name: 'Plate',
+        description: 'Test product',
+        price: 500,
+        category: new mongoose.Types.ObjectId(),
+        sku: 'PLATE-1',
+        inventory: { quantity: 1 },
+        createdBy: admin._id
+      });
+
+      await expect(inventoryService.reserveStock([
+        { product: mug._id, name: 'Mug', quantity: 2 },
+        { product: plate._id, name: 'Plate', quantity: 2 }
+      ])).rejects.toThrow(/Only 1 units of Plate/);
+
+      const movements = await movementsOf(mug);
+      expect(movements.map((m) => [m.type, m.reserved])).toEqual([['reservation', 2], ['release', -2]]);
+      expect(await InventoryMovement.countDocuments({ product: plate._id })).toBe(0);
+    });
+  });
+
+  describe('admin adjustments', () => {
+    it('should adjust stock and record who did it and why', async () => {
+      const res = await adjust({ type: 'damage', quantity: -3, reason: 'Dropped in the warehouse' }).expect(201);
+
+      expect(res.body.data.inventory.quantity).toBe(17);
+      expect(res.body.data.movement).toMatchObject({
+        type: 'damage',
+        quantity: -3,
+        quantityAfter: 17,
+        reason: 'Dropped in the warehouse',
+        user: String(admin._id)
+      });
+    });
+
+    it('should require a reason', async () => {
+      const res = await adjust({ type: 'restock', quantity: 10 }).expect(400);
+      expect(res.body.message).toMatch(/reason is required/);
+    });
+
+    it('should refuse a movement in the wrong direction for its type', async () => {
+      await adjust({ type: 'restock', quantity: -1, reason: 'Oops' }).expect(400);
+      await adjust({ type: 'damage', quantity: 1, reason: 'Oops' }).expect(400);
+      expect(await InventoryMovement.countDocuments()).toBe(0);
+    });
+
+    it('should never remove units reserved for unpaid orders', async () => {
+      await Product.updateOne({ _id: mug._id }, { 'inventory.reserved': 18 });
+
+      const res = await adjust({ type: 'adjustment', quantity: -3, reason: 'Stock take' }).expect(400);
+      expect(res.body.message).toMatch(/Only 2 unreserved units of Mug/);
+      expect((await Product.findById(mug._id)).inventory.quantity).toBe(20);
+    });
+
+    it('should adjust a variant option along with the product', async () => {
+      await Product.updateOne({ _id: mug._id }, {
+        variants: [{
+          name: 'Colour',
+          options: [{ name: 'Red', value: 'red', sku: 'MUG-1-RED', inventory: { quantity: 4 } }]
+        }]
+      });
+
+      const res = await adjust({
+        type: 'restock',
+        quantity: 6,
+        reason: 'Supplier delivery',
+        variant: { name: 'Colour', value: 'red' }
+      }).expect(201);
+
+      expect(res.body.data.movement).toMatchObject({ sku: 'MUG-1-RED', variant: { name: 'Colour', value: 'red' } });
+      const stock = await Product.findById(mug._id);
+      expect(stock.inventory.quantity).toBe(26);
+      expect(stock.variants[0].options[0].inventory.quantity).toBe(10);
+    });
+
+    it('should only allow admins', async () => {
+      await request(app)
+        .post(`/api/v1/admin/inventory/${mug._id}/adjustments`)
+        .set('Authorization', auth)
+        .send({ type: 'restock', quantity: 1, reason: 'Sneaky' })
+        .expect(403);
+    });
+  });
+
+  describe('history and report', () => {
+    it('should list movements for a SKU, newest first', async () => {
+      await adjust({ type: 'restock', quantity: 5, reason: 'Delivery' }).expect(201);
+      await adjust({ type: 'damage', quantity: -1, reason: 'Chipped' }).expect(201);
+
+      const res = await request(app)
+        .get('/api/v1/admin/inventory/movements?sku=MUG-1')
+        .set('Authorization', adminAuth)
+        .expect(200);
+
+      expect(res.body.total).toBe(2);
+      expect(res.body.data.movements.map((m) => m.type)).toEqual(['damage', 'restock']);
+      expect(res.body.data.movements[0].user.email).toBe('admin@example.com');
+    });
+
+    it('should report stock as it was at a point in time', async () => {
+      await adjust({ type: 'restock', quantity: 5, reason: 'Delivery' }).expect(201);
+      const at = new Date();
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      await adjust({ type: 'damage', quantity: -4, reason: 'Flood' }).expect(201);
+
+      const then = await request(app)
+        .get(`/api/v1/admin/inventory/report?at=${at.toISOString()}`)
+        .set('Authorization', adminAuth)
+        .expect(200);
+      expect(then.body.data.stock[0]).toMatchObject({ sku: 'MUG-1', quantity: 25, reserved: 0 });
+
+      const now = await request(app)
+        .get('/api/v1/admin/inventory/report')
+        .set('Authorization', adminAuth)
+        .expect(200);
+      expect(now.body.data.stock[0]).toMatchObject({ quantity: 21 });
+    });
+  });
+
+  describe('low-stock alerts', () => {
+    it('should alert admins when stock on hand crosses the threshold', async () => {
+      const sendLowStock = jest.spyOn(EmailService.prototype, 'sendLowStock').mockResolvedValue({});
+
+      const { movement } = await inventoryService.adjustStock(mug._id, {
+        type: 'damage', quantity: -15, reason: 'Flood', user: admin._id
+      });
+
+      expect(await processMovement(movement._id)).toEqual({ level: 'low_stock', notified: 1 });
+      expect(sendLowStock).toHaveBeenCalledWith(expect.objectContaining({ productName: 'Mug', quantity: 5, threshold: 5 }));
+    });
+
+    it('should not alert again while stock stays below the threshold', async () => {
+      await Product.updateOne({ _id: mug._id }, { 'inventory.quantity': 4 });
+
+      const { movement } = await inventoryService.adjustStock(mug._id, {
+        type: 'damage', quantity: -1, reason: 'Chipped', user: admin._id
+      });
+
+      expect(await processMovement(movement)).toBeNull();
+    });
+
+    it('should alert when the last unit goes', async () => {
+      jest.spyOn(EmailService.prototype, 'sendLowStock').mockResolvedValue({});
+      await Product.updateOne({ _id: mug._id }, { 'inventory.quantity': 1 });
+
+      const { movement } = await inventoryService.adjustStock(mug._id, {
+        type: 'damage', quantity: -1, reason: 'Chipped', user: admin._id
+      });
+
+      expect((await processMovement(movement)).level).toBe('out_of_stock');
+    });
+  });
+});
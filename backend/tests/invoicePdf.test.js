@@ -0,0 +1,116 @@
+const { renderInvoice } = require('../src/services/orders/invoiceService');
+
+describe('Invoice PDF', () => {
+  const invoice = (overrides = {}) => ({
+    invoiceNumber: 'INV-2026-000042',
+    issuedAt: new Date('2026-03-14T21:30:00Z'),
+    orderNumber: 'SS-2026-000123',
+    orderDate: new Date('2026-03-14T20:05:00Z'),
+    seller: {
+      name: 'ShopSawa',
+      kraPin: 'P051234567X',
+      address: 'Kimathi Street, Nairobi',
+      phone: '0700000000',
+      email: 'sales@shopsawa.co.ke'
+    },
+    billTo: { name: 'Doe Traders Ltd', phone: '0722000222', address: 'Kenyatta Avenue', city: 'Nairobi', county: 'Nairobi' },
+    shipTo: { name: 'Jane Doe', phone: '0711000111', address: 'Moi Avenue', city: 'Nairobi', county: 'Nairobi' },
+    payment: { method: 'M-Pesa', status: 'paid', mpesaReceiptNumber: 'QAB1C2D3E4', paidAt: new Date('2026-03-14T20:06:00Z') },
+    items: [
+      { description: 'Ceramic Mug (Blue)', sku: 'MUG-1-BLU', quantity: 2, unitPrice: 1000, vatClass: 'standard', vatRate: 0.16, vat: 312.27, amount: 2000 },
+      { description: 'Espresso Machine', sku: 'ESP-900', quantity: 1, unitPrice: 18500, vatClass: 'standard', vatRate: 0.16, vat: 2888.5, amount: 18500 },
+      { description: 'Maize Flour 2kg', sku: 'FLR-2', quantity: 1, unitPrice: 200, vatClass: 'zero_rated', vatRate: 0, vat: 0, amount: 200 }
+    ],
+    totals: {
+      subtotal: 20700,
+      discount: 500,
+      shipping: 300,
+      shippingVat: 48,
+      vat: 3248.77,
+      vatIncluded: false,
+      vatBreakdown: [
+        { vatClass: 'standard', name: 'Standard rate', exempt: false, rate: 0.16, taxableValue: 20304.83, vat: 3248.77 },
+        { vatClass: 'zero_rated', name: 'Zero rated', exempt: false, rate: 0, taxableValue: 195.17, vat: 0 }
+      ],
+      total: 23748.77
+    },
+    currency: 'KES',
+    ...overrides
+  });
+
+  it('should render the same invoice to the same bytes', () => {
+    expect(renderInvoice(invoice()).equals(renderInvoice(invoice()))).toBe(true);
+  });
+
+  it('should match the snapshot', () => {
+    expect(renderInvoice(invoice()).toString('latin1')).toMatchSnapshot();
+  });
+
+  it('should show the VAT breakdown, M-Pesa receipt and both addresses', () => {
+    const pdf = renderInvoice(invoice()).toString('latin1');
+
+    expect(pdf).toContain('(KRA PIN: P051234567X)');
+    expect(pdf).toContain('(Invoice date)');
+    expect(pdf).toContain('(15 Mar 2026)');
+    expect(pdf).toContain('(Payment: M-Pesa  |  M-Pesa receipt QAB1C2D3E4  |  Paid 14 Mar 2026)');
+    expect(pdf).toContain('(Doe Traders Ltd)');
+    expect(pdf).toContain('(Moi Avenue)');
+    expect(pdf).toContain('(-500.00)');
+    expect(pdf).toContain('(VAT 16% on 20,304.83)');
+    expect(pdf).toContain('(3,248.77)');
+    expect(pdf).toContain('(VAT 0% on 195.17)');
+    expect(pdf).toContain('(23,748.77)');
+  });
+
+  it('should show each line\'s VAT rate and amount', () => {
+    const pdf = renderInvoice(invoice()).toString('latin1');
+
+    expect(pdf).toContain('(VAT %)');
+    expect(pdf).toContain('(2,888.50)');
+    expect(pdf).toContain('(0%)');
+  });
+
+  it('should show VAT already in tax-inclusive prices, and exempt supplies', () => {
+    const pdf = renderInvoice(invoice({
+      items: [
+        { description: 'Exercise Book', sku: 'BK-1', quantity: 10, unitPrice: 50, vatClass: 'exempt', vatRate: 0, vat: 0, amount: 500 },
+        { description: 'Pen', sku: 'PEN-1', quantity: 1, unitPrice: 116, vatClass: 'standard', vatRate: 0.16, vat: 16, amount: 116 }
+      ],
+      totals: {
+        subtotal: 616,
+        discount: 0,
+        shipping: 0,
+        shippingVat: 0,
+        vat: 16,
+        vatIncluded: true,
+        vatBreakdown: [
+          { vatClass: 'exempt', name: 'Exempt', exempt: true, rate: 0, taxableValue: 500, vat: 0 },
+          { vatClass: 'standard', name: 'Standard rate', exempt: false, rate: 0.16, taxableValue: 100, vat: 16 }
+        ],
+        total: 616
+      }
+    })).toString('latin1');
+
+    expect(pdf).toContain('(Exempt)');
+    expect(pdf).toContain('(Exempt from VAT: 500.00)');
+    expect(pdf).toContain('(Includes VAT 16% on 100.00)');
+    expect(pdf).toContain('(616.00)');
+  });
+
+  it('should carry long item lists over to more pages', () => {
+    const items = Array.from({ length: 70 }, (_, i) => ({
+      description: `Item ${i + 1} with a name far too long to fit in the description column of the table`,
+      sku: `SKU-${i + 1}`,
+      quantity: 1,
+      unitPrice: 100,
+      amount: 100
+    }));
+
+    const pdf = renderInvoice(invoice({ items })).toString('latin1');
+
+    expect(pdf).toContain('/Count 3');
+    expect(pdf).toContain('(Page 3 of 3)');
+    expect(pdf.match(/\(Unit price\)/g)).toHaveLength(3);
+    expect(pdf).toMatch(/\(Item 70 with a name far too long[^)]*\.\.\.\)/);
+  });
+});
@@ -0,0 +1,207 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Order = require('../src/models/Order');
+const EmailService = require('../src/services/email/emailService');
+const { formatNumber } = require('../src/services/numbering/numberingService');
+const orderStatusService = require('../src/services/orders/orderStatusService');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+
+describe('Invoices', () => {
+  let customer;
+  let auth;
+  let admin;
+  let adminAuth;
+  let order;
+
+  const createOrder = (overrides = {}) => Order.create({
+    customer: customer._id,
+    items: [{
+      product: new mongoose.Types.ObjectId(),
+      name: 'Mug',
+      sku: 'MUG-1',
+      price: 1000,
+      quantity: 2,
+      total: 2000
+    }],
+    summary: { subtotal: 2000, tax: 320, shipping: 300, total: 2620 },
+    shippingAddress: {
+      name: 'Jane Doe',
+      phone: '0711000111',
+      address: 'Moi Avenue',
+      city: 'Nairobi',
+      county: 'Nairobi'
+    },
+    billingAddress: {
+      name: 'Doe Traders Ltd',
+      phone: '0722000222',
+      address: 'Kenyatta Avenue',
+      city: 'Nairobi',
+      county: 'Nairobi',
+      sameAsShipping: false
+    },
+    payment: { method: 'mpesa', status: 'paid', amount: 2620, mpesaReceiptNumber: 'QAB1C2D3E4', paidAt: new Date() },
+    ...overrides
+  });
+
+  const confirm = (target = order) => orderStatusService.transition(target, 'confirmed', { actor: 'system' });
+
+  const download = (target = order, token = auth) => request(app)
+    .get(`/api/v1/orders/${target._id}/invoice.pdf`)
+    .set('Authorization', token)
+    .responseType('blob');
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    jest.spyOn(EmailService.prototype, 'send').mockResolvedValue({});
+
+    customer = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123',
+      isVerified: true
+    });
+    auth = `Bearer ${await loginToken(customer)}`;
+
+    admin = await User.create({
+      firstName: 'Ada',
+      lastName: 'Admin',
+      email: 'admin@example.com',
+      phone: '254722222222',
+      password: 'password123',
+      role: 'admin'
+    });
+    adminAuth = `Bearer ${await loginToken(admin)}`;
+
+    order = await createOrder();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should number invoices in sequence as orders are confirmed', async () => {
+    const second = await createOrder();
+
+    await confirm(order);
+    await confirm(second);
+
+    expect(order.invoice.number).toBe(formatNumber('invoice', 1));
+    expect(second.invoice.number).toBe(formatNumber('invoice', 2));
+    expect((await Order.findById(order._id)).invoice.issuedAt).toBeDefined();
+  });
+
+  it('should let customers download their own invoice as a PDF', async () => {
+    await confirm();
+
+    const res = await download().expect(200);
+
+    expect(res.headers['content-type']).toMatch(/application\/pdf/);
+    expect(res.headers['content-disposition']).toBe(`attachment; filename="${order.invoice.number}.pdf"`);
+
+    const pdf = res.body.toString('latin1');
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('(TAX INVOICE)');
+    expect(pdf).toContain(`(${order.invoice.number})`);
+    expect(pdf).toContain('M-Pesa receipt QAB1C2D3E4');
+    expect(pdf).toContain('(VAT 16% on 2,000.00)');
+    expect(pdf).toContain('(2,620.00)');
+  });
+
+  it('should render the same invoice to the same bytes every time', async () => {
+    await confirm();
+
+    const first = await download().expect(200);
+    const second = await download(order, adminAuth).expect(200);
+
+    expect(second.body.equals(first.body)).toBe(true);
+  });
+
+  it('should let admins download any invoice but not other customers', async () => {
+    await confirm();
+
+    const other = await User.create({
+      firstName: 'Sam',
+      lastName: 'Other',
+      email: 'sam@example.com',
+      phone: '254733333333',
+      password: 'password123'
+    });
+
+    await download(order, adminAuth).expect(200);
+    await download(order, `Bearer ${await loginToken(other)}`).expect(404);
+  });
+
+  it('should not invoice an order that was never confirmed', async () => {
+    const res = await download().expect(409);
+    expect(res.body.message).toMatch(/once the order is confirmed/);
+  });
+
+  it('should invoice orders confirmed before invoices were issued, once', async () => {
+    order = await createOrder({ status: 'shipped' });
+
+    await download().expect(200);
+    await download().expect(200);
+
+    const saved = await Order.findById(order._id);
+    expect(saved.invoice.number).toBe(formatNumber('invoice', 1));
+  });
+
+  it('should serve the invoice details as the receipt', async () => {
+    await confirm();
+
+    const res = await request(app)
+      .get(`/api/v1/orders/${order._id}/receipt`)
+      .set('Authorization', auth)
+      .expect(200);
+
+    expect(res.body.data.receipt).toMatchObject({
+      invoiceNumber: order.invoice.number,
+      orderNumber: order.orderNumber,
+      billTo: { name: 'Doe Traders Ltd', address: 'Kenyatta Avenue' },
+      shipTo: { name: 'Jane Doe', address: 'Moi Avenue' },
+      payment: { method: 'M-Pesa', mpesaReceiptNumber: 'QAB1C2D3E4' },
+      items: [{ description: 'Mug', sku: 'MUG-1', quantity: 2, unitPrice: 1000, vatRate: 0.16, vat: 320, amount: 2000 }],
+      totals: {
+        subtotal: 2000,
+        shipping: 300,
+        vat: 320,
+        vatIncluded: false,
+        vatBreakdown: [{ vatClass: 'standard', rate: 0.16, taxableValue: 2000, vat: 320 }],
+        total: 2620
+      }
+    });
+  });
+
+  it('should attach the invoice to the order confirmation email', async () => {
+    await confirm();
+
+    // The customer is told in the background
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    expect(EmailService.prototype.send).toHaveBeenCalledWith(
+      'order-confirmation',
+      expect.any(String),
+      expect.objectContaining({ invoiceNumber: order.invoice.number }),
+      [expect.objectContaining({
+        filename: `${order.invoice.number}.pdf`,
+        encoding: 'base64',
+        contentType: 'application/pdf'
+      })]
+    );
+  });
+});
@@ -0,0 +1,153 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const RateLimitCounter = require('../src/models/RateLimitCounter');
+const EmailService = require('../src/services/email/emailService');
+const { getSMSService } = require('../src/config/sms');
+const { authConfig } = require('../src/config/auth');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+
+describe('Login brute-force protection', () => {
+  const settings = { ...authConfig.loginProtection };
+  const sms = getSMSService();
+  let user;
+  let sendAccountLocked;
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    sms.clear();
+    Object.assign(authConfig.loginProtection, settings, { baseDelayMs: 0 });
+    sendAccountLocked = jest.spyOn(EmailService.prototype, 'sendAccountLocked').mockResolvedValue({});
+
+    user = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const login = (password, email = 'jane@example.com') => request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+
+  const failUntilLocked = async () => {
+    for (let i = 1; i < authConfig.loginProtection.maxFailedAttempts; i += 1) {
+      await login('wrong-password').expect(401);
+    }
+    return login('wrong-password').expect(423);
+  };
+
+  it('should lock the account after too many failures and notify the owner', async () => {
+    await failUntilLocked();
+
+    // Even the right password is refused while locked
+    await login('password123').expect(423);
+
+    const locked = await User.findById(user._id).select('+lockUntil +loginAttempts');
+    expect(locked.isLocked).toBe(true);
+    expect(locked.loginAttempts).toBe(authConfig.loginProtection.maxFailedAttempts);
+
+    expect(sendAccountLocked).toHaveBeenCalledTimes(1);
+    expect(sms.lastMessageTo('254712345678').message).toMatch(/locked/);
+  });
+
+  it('should count failures in Mongo when Redis is unavailable', async () => {
+    await login('wrong-password').expect(401);
+    await login('wrong-password').expect(401);
+
+    const counter = await RateLimitCounter.findOne({ key: 'login-fail:email:jane@example.com' });
+    expect(counter.count).toBe(2);
+  });
+
+  it('should reset the count after a successful login', async () => {
+    await login('wrong-password').expect(401);
+    await login('password123').expect(200);
+
+    for (let i = 1; i < authConfig.loginProtection.maxFailedAttempts; i += 1) {
+      await login('wrong-password').expect(401);
+    }
+    await login('password123').expect(200);
+  });
+
+  it('should answer unknown emails exactly like wrong passwords', async () => {
+    for (let i = 0; i < authConfig.loginProtection.maxFailedAttempts + 1; i += 1) {
+      await login('wrong-password', 'nobody@example.com').expect(401);
+    }
+  });
+
+  it('should slow down responses as failures pile up', async () => {
+    authConfig.loginProtection.baseDelayMs = 200;
+
+    for (let i = 0; i < authConfig.loginProtection.delayAfter; i += 1) {
+      await login('wrong-password').expect(401);
+    }
+
+    const started = Date.now();
+    await login('wrong-password').expect(401);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(200);
+  });
+
+  it('should refuse an IP after too many failures across accounts', async () => {
+    authConfig.loginProtection.maxFailedPerIp = 3;
+
+    await login('wrong-password', 'a@example.com').expect(401);
+    await login('wrong-password', 'b@example.com').expect(401);
+    await login('wrong-password', 'c@example.com').expect(401);
+
+    await login('password123').expect(429);
+  });
+
+  it('should let an admin unlock the account', async () => {
+    await failUntilLocked();
+
+    const admin = await User.create({
+      firstName: 'Ada',
+      lastName: 'Admin',
+      email: 'admin@example.com',
+      phone: '254722222222',
+      password: 'password123',
+      role: 'admin'
+    });
+
+    const res = await request(app)
+      .patch(`/api/v1/admin/users/${user._id}/unlock`)
+      .set('Authorization', `Bearer ${await loginToken(admin)}`)
+      .expect(200);
+    expect(res.body.data.user.isLocked).toBe(false);
+
+    await login('password123').expect(200);
+  });
+
+  it('should unlock the account when the password is reset', async () => {
+    await failUntilLocked();
+
+    const locked = await User.findById(user._id);
+    const { resetToken } = locked.createPasswordResetToken();
+    await locked.save({ validateBeforeSave: false });
+    jest.spyOn(EmailService.prototype, 'sendPasswordChanged').mockResolvedValue({});
+
+    await request(app)
+      .patch(`/api/v1/auth/reset-password/${resetToken}`)
+      .send({ password: 'newpassword123', passwordConfirm: 'newpassword123' })
+      .expect(200);
+
+    await login('newpassword123').expect(200);
+  });
+});
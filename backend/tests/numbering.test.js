@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const User = require('../src/models/User');
+const Order = require('../src/models/Order');
+const Payment = require('../src/models/Payment');
+const { nextNumber, formatNumber } = require('../src/services/numbering/numberingService');
+const db = require('./helpers/db');
+
+describe('Document numbers', () => {
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+  });
+
+  it('should format numbers with the prefix, year and padded sequence', () => {
+    expect(formatNumber('order', 123, new Date('2026-06-01T12:00:00Z'))).toBe('SS-2026-000123');
+    // New Year's Eve after 9pm UTC is already next year in Nairobi
+    expect(formatNumber('payment', 7, new Date('2026-12-31T22:30:00Z'))).toBe('PAY-2027-000007');
+  });
+
+  it('should hand out consecutive numbers', async () => {
+    const date = new Date('2026-06-01T12:00:00Z');
+
+    expect(await nextNumber('order', date)).toBe('SS-2026-000001');
+    expect(await nextNumber('order', date)).toBe('SS-2026-000002');
+    // Sequences are independent
+    expect(await nextNumber('invoice', date)).toBe('INV-2026-000001');
+  });
+
+  it('should never hand out the same number twice under concurrency', async () => {
+    const numbers = await Promise.all(Array.from({ length: 25 }, () => nextNumber('order')));
+
+    expect(new Set(numbers).size).toBe(25);
+    const seqs = numbers.map((number) => Number(number.split('-').pop())).sort((a, b) => a - b);
+    expect(seqs).toEqual(Array.from({ length: 25 }, (_, i) => i + 1));
+  });
+
+  it('should start again each year', async () => {
+    await nextNumber('order', new Date('2026-06-01T12:00:00Z'));
+    await nextNumber('order', new Date('2026-07-01T12:00:00Z'));
+
+    expect(await nextNumber('order', new Date('2027-01-15T12:00:00Z'))).toBe('SS-2027-000001');
+  });
+
+  it('should number new orders and payments', async () => {
+    const user = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123'
+    });
+
+    const order = await Order.create({
+      customer: user._id,
+      items: [{
+        product: new mongoose.Types.ObjectId(),
+        name: 'Test Product',
+        sku: 'SKU-1',
+        price: 1000,
+        quantity: 1,
+        total: 1000
+      }],
+      summary: { subtotal: 1000, tax: 160, shipping: 300, total: 1460 },
+      shippingAddress: {
+        name: 'Jane Doe',
+        phone: '254712345678',
+        address: 'Moi Avenue',
+        city: 'Nairobi',
+        county: 'Nairobi'
+      },
+      payment: { method: 'mpesa', amount: 1460 }
+    });
+    expect(order.orderNumber).toMatch(/^SS-\d{4}-000001$/);
+
+    const payment = await Payment.create({
+      order: order._id,
+      customer: user._id,
+      amount: 1460,
+      method: 'mpesa'
+    });
+    expect(payment.paymentNumber).toMatch(/^PAY-\d{4}-000001$/);
+  });
+});
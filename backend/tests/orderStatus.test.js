@@ -0,0 +1,283 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const Order = require('../src/models/Order');
+const Payment = require('../src/models/Payment');
+const EmailService = require('../src/services/email/emailService');
+const orderStatusService = require('../src/services/orders/orderStatusService');
+const inventoryService = require('../src/services/inventory/inventoryService');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+
+describe('Order status', () => {
+  let customer;
+  let auth;
+  let admin;
+  let adminAuth;
+  let mug;
+  let order;
+
+  const createOrder = async (overrides = {}) => {
+    const items = [{
+      product: mug._id,
+      name: 'Mug',
+      sku: 'MUG-1',
+      price: 1000,
+      quantity: 2,
+      total: 2000
+    }];
+    const allocations = await inventoryService.reserveStock(items);
+    items.forEach((item, i) => { item.allocation = allocations[i]; });
+
+    return Order.create({
+      orderNumber: `ORD-TEST-${new mongoose.Types.ObjectId()}`,
+      customer: customer._id,
+      items,
+      summary: { subtotal: 2000, tax: 320, shipping: 300, total: 2620 },
+      shippingAddress: {
+        name: 'Jane Doe',
+        phone: '254712345678',
+        address: 'Moi Avenue',
+        city: 'Nairobi',
+        county: 'Nairobi'
+      },
+      payment: { method: 'mpesa', amount: 2620 },
+      inventory: { status: 'reserved', reservedUntil: inventoryService.reservationExpiry() },
+      ...overrides
+    });
+  };
+
+  const setStatus = (status, body = {}) => request(app)
+    .patch(`/api/v1/orders/${order._id}/status`)
+    .set('Authorization', adminAuth)
+    .send({ status, ...body });
+
+  const stockOf = async () => (await Product.findById(mug._id)).inventory;
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+
+    customer = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123',
+      isVerified: true
+    });
+    auth = `Bearer ${await loginToken(customer)}`;
+
+    admin = await User.create({
+      firstName: 'Ada',
+      lastName: 'Admin',
+      email: 'admin@example.com',
+      phone: '254722222222',
+      password: 'password123',
+      role: 'admin'
+    });
+    adminAuth = `Bearer ${await loginToken(admin)}`;
+
+    mug = await Product.create({
+      name: 'Mug',
+      description: 'Test product',
+      price: 1000,
+      category: new mongoose.Types.ObjectId(),
+      sku: 'MUG-1',
+      inventory: { quantity: 10 },
+      createdBy: admin._id
+    });
+
+    order = await createOrder();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('transitions', () => {
+    it('should walk an order through fulfilment and record who moved it', async () => {
+      await setStatus('confirmed').expect(200);
+      await setStatus('processing').expect(200);
+      await setStatus('shipped', { trackingInfo: { number: 'TRK123', carrier: 'G4S' } }).expect(200);
+      const res = await setStatus('delivered').expect(200);
+
+      const { statusHistory, tracking } = res.body.data.order;
+      expect(statusHistory.map((entry) => entry.status)).toEqual(['confirmed', 'processing', 'shipped', 'delivered']);
+      statusHistory.forEach((entry) => {
+        expect(entry).toMatchObject({ updatedBy: String(admin._id), actor: 'admin' });
+      });
+      expect(tracking).toMatchObject({ number: 'TRK123', carrier: 'G4S' });
+      expect(tracking.shippedAt).toBeDefined();
+      expect(tracking.deliveredAt).toBeDefined();
+    });
+
+    it('should refuse an illegal transition with a 409', async () => {
+      const res = await setStatus('shipped').expect(409);
+      expect(res.body.message).toMatch(/Cannot move an order from pending to shipped/);
+      expect(res.body.message).toMatch(/Allowed next: confirmed, cancelled/);
+
+      expect((await Order.findById(order._id)).statusHistory).toHaveLength(0);
+    });
+
+    it('should never take a delivered order back to pending', async () => {
+      await Order.updateOne({ _id: order._id }, { status: 'delivered' });
+
+      await setStatus('pending').expect(409);
+      expect((await Order.findById(order._id)).status).toBe('delivered');
+    });
+
+    it('should reject an illegal transition even when saved directly', async () => {
+      const doc = await Order.findById(order._id);
+      doc.status = 'delivered';
+
+      await expect(doc.save()).rejects.toThrow(/Illegal order status transition from pending to delivered/);
+    });
+
+    it('should only let customers cancel', async () => {
+      await expect(orderStatusService.transition(order, 'confirmed', { actor: 'customer', user: customer }))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should let only one of two racing changes through', async () => {
+      await setStatus('confirmed').expect(200);
+
+      // Both loaded the confirmed order before either cancelled it
+      const [first, second] = await Promise.all([Order.findById(order._id), Order.findById(order._id)]);
+      const results = await Promise.allSettled([
+        orderStatusService.transition(first, 'cancelled', { actor: 'admin', user: admin }),
+        orderStatusService.transition(second, 'cancelled', { actor: 'admin', user: admin })
+      ]);
+
+      expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find((result) => result.status === 'rejected').reason).toMatchObject({ statusCode: 409 });
+
+      // Restocked once
+      expect(await stockOf()).toMatchObject({ quantity: 10, reserved: 0 });
+      const cancelled = await Order.findById(order._id);
+      expect(cancelled.statusHistory.map((entry) => entry.status)).toEqual(['confirmed', 'cancelled']);
+    });
+
+    it('should leave the status as it was when a side effect fails', async () => {
+      jest.spyOn(inventoryService, 'commitOrderStock').mockRejectedValue(new Error('Stock ledger unavailable'));
+
+      await setStatus('confirmed').expect(500);
+
+      const current = await Order.findById(order._id);
+      expect(current.status).toBe('pending');
+      expect(current.statusHistory).toHaveLength(0);
+    });
+
+    it('should list the next statuses with the order', async () => {
+      const res = await request(app)
+        .get(`/api/v1/orders/${order._id}`)
+        .set('Authorization', auth)
+        .expect(200);
+
+      expect(res.body.data.transitions).toEqual(['cancelled']);
+    });
+  });
+
+  describe('side effects', () => {
+    it('should commit stock on confirm and restock on cancel', async () => {
+      await setStatus('confirmed').expect(200);
+      expect(await stockOf()).toMatchObject({ quantity: 8, reserved: 0 });
+
+      await request(app)
+        .patch(`/api/v1/orders/${order._id}/cancel`)
+        .set('Authorization', auth)
+        .send({ reason: 'Changed my mind' })
+        .expect(200);
+
+      expect(await stockOf()).toMatchObject({ quantity: 10, reserved: 0 });
+
+      const cancelled = await Order.findById(order._id);
+      expect(cancelled.cancellation).toMatchObject({ reason: 'Changed my mind', refundStatus: 'pending' });
+      expect(cancelled.statusHistory.pop()).toMatchObject({ status: 'cancelled', actor: 'customer' });
+    });
+
+    it('should refund the payment of a cancelled paid order', async () => {
+      // A card payment is refunded by hand, so the refund completes right away
+      await Payment.create({
+        order: order._id,
+        customer: customer._id,
+        amount: 2620,
+        actualAmount: 2620,
+        method: 'card',
+        paymentGateway: 'manual',
+        status: 'completed'
+      });
+      // As the M-Pesa callback does before confirming
+      order.payment.status = 'paid';
+      order = await orderStatusService.transition(order, 'confirmed', { actor: 'system' });
+      await orderStatusService.transition(order, 'cancelled', { actor: 'admin', user: admin });
+
+      await setStatus('refunded', { note: 'Out of stock at the supplier' }).expect(200);
+
+      const payment = await Payment.findOne({ order: order._id });
+      expect(payment.status).toBe('refunded');
+      expect(payment.refunds[0]).toMatchObject({ amount: 2620, description: 'Out of stock at the supplier', method: 'manual', status: 'completed' });
+
+      const refunded = await Order.findById(order._id);
+      expect(refunded.payment.status).toBe('refunded');
+      expect(refunded.cancellation.refundStatus).toBe('processed');
+    });
+
+    it('should refuse to refund an unpaid order', async () => {
+      await orderStatusService.transition(order, 'cancelled', { actor: 'admin', user: admin });
+
+      const res = await setStatus('refunded').expect(409);
+      expect(res.body.message).toMatch(/Only a paid order can be refunded/);
+    });
+
+    it('should reserve stock again when a cancelled order is reopened', async () => {
+      await orderStatusService.transition(order, 'cancelled', { actor: 'admin', user: admin });
+      expect((await stockOf()).reserved).toBe(0);
+
+      await setStatus('pending').expect(200);
+      expect((await stockOf()).reserved).toBe(2);
+    });
+
+    it('should mark cash on delivery paid when delivered', async () => {
+      order = await createOrder({ payment: { method: 'cod', amount: 2620 } });
+      await orderStatusService.transition(order, 'confirmed', { actor: 'admin', user: admin });
+      expect(order.payment.status).toBe('pending');
+
+      await orderStatusService.transition(order, 'processing', { actor: 'admin', user: admin });
+      await orderStatusService.transition(order, 'shipped', { actor: 'admin', user: admin });
+      await orderStatusService.transition(order, 'delivered', { actor: 'admin', user: admin });
+
+      expect((await Order.findById(order._id)).payment.status).toBe('paid');
+    });
+
+    it('should email the customer when the order ships', async () => {
+      const send = jest.spyOn(EmailService.prototype, 'send').mockResolvedValue({});
+      await orderStatusService.transition(order, 'confirmed', { actor: 'system' });
+      await orderStatusService.transition(order, 'processing', { actor: 'admin', user: admin });
+      await orderStatusService.transition(order, 'shipped', {
+        actor: 'admin',
+        user: admin,
+        trackingInfo: { number: 'TRK123', url: 'https://track.example.com/TRK123' }
+      });
+
+      await new Promise((resolve) => setImmediate(resolve));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      expect(send).toHaveBeenCalledWith('order-shipped', expect.any(String), expect.objectContaining({
+        orderNumber: order.orderNumber,
+        trackingNumber: 'TRK123'
+      }), []);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const PhoneOtp = require('../src/models/PhoneOtp');
+const RateLimitCounter = require('../src/models/RateLimitCounter');
+const { authConfig } = require('../src/config/auth');
+const EmailService = require('../src/services/email/emailService');
+const SMSService = require('../src/services/sms/smsService');
+const db = require('./helpers/db');
+
+describe('Password reset', () => {
+  let user;
+  let sendPasswordReset;
+  let sendSMS;
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    sendPasswordReset = jest.spyOn(EmailService.prototype, 'sendPasswordReset');
+    jest.spyOn(EmailService.prototype, 'sendPasswordChanged').mockResolvedValue({});
+    sendSMS = jest.spyOn(SMSService.prototype, 'sendSMS').mockResolvedValue({});
+
+    user = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123'
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Pull the token back out of the link that was emailed
+  const emailedToken = () => {
+    const service = sendPasswordReset.mock.instances[0];
+    return new URL(service.url).searchParams.get('token');
+  };
+
+  it('should answer the same way for unknown accounts', async () => {
+    const res = await request(app)
+      .post('/api/v1/auth/forgot-password')
+      .send({ email: 'nobody@example.com' })
+      .expect(200);
+
+    expect(res.body.status).toBe('success');
+    expect(sendPasswordReset).not.toHaveBeenCalled();
+  });
+
+  it('should email a reset link and store only the token hash', async () => {
+    await request(app)
+      .post('/api/v1/auth/forgot-password')
+      .send({ email: 'jane@example.com' })
+      .expect(200);
+
+    const token = emailedToken();
+    const stored = await User.findById(user._id);
+    expect(stored.passwordResetToken).toBe(User.hashToken(token));
+    expect(stored.passwordResetToken).not.toBe(token);
+
+    await request(app).get(`/api/v1/auth/reset-password/${token}`).expect(200);
+  });
+
+  it('should reset the password and revoke previously issued tokens', async () => {
+    const oldToken = jwt.sign(
+      { id: user._id, iat: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    );
+
+    await request(app).get('/api/v1/auth/me').set('Authorization', `Bearer ${oldToken}`).expect(200);
+
+    await request(app).post('/api/v1/auth/forgot-password').send({ email: 'jane@example.com' });
+    const token = emailedToken();
+
+    const res = await request(app)
+      .patch(`/api/v1/auth/reset-password/${token}`)
+      .send({ password: 'newpassword456', passwordConfirm: 'newpassword456' })
+      .expect(200);
+
+    await request(app).get('/api/v1/auth/me').set('Authorization', `Bearer ${oldToken}`).expect(401);
+    await request(app).get('/api/v1/auth/me').set('Authorization', `Bearer ${res.body.token}`).expect(200);
+
+    // The link is single use
+    await request(app)
+      .patch(`/api/v1/auth/reset-password/${token}`)
+      .send({ password: 'anotherpassword' })
+      .expect(400);
+
+    await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'jane@example.com', password: 'newpassword456' })
+      .expect(200);
+  });
+
+  it('should reject an expired reset token', async () => {
+    await request(app).post('/api/v1/auth/forgot-password').send({ email: 'jane@example.com' });
+    const token = emailedToken();
+
+    await User.updateOne({ _id: user._id }, { passwordResetExpires: Date.now() - 1000 });
+
+    await request(app)
+      .patch(`/api/v1/auth/reset-password/${token}`)
+      .send({ password: 'newpassword456' })
+      .expect(400);
+  });
+
+  describe('by SMS', () => {
+    const requestCode = () => request(app)
+      .post('/api/v1/auth/forgot-password')
+      .send({ phone: '0712345678' });
+
+    const resetWith = (code, password = 'newpassword456') => request(app)
+      .patch('/api/v1/auth/reset-password')
+      .send({ phone: '0712345678', code, password });
+
+    const sentCode = () => sendSMS.mock.calls.at(-1)[1].match(/\d{6}/)[0];
+    const wrongFor = (code) => (code === '000000' ? '111111' : '000000');
+    const expireCooldown = () => RateLimitCounter.deleteMany({ key: /^phone-otp:cooldown:/ });
+
+    it('should reset with a code and then burn it', async () => {
+      await requestCode().expect(200);
+      const code = sentCode();
+
+      const stored = await PhoneOtp.findOne({ phone: '254712345678', purpose: 'password_reset' }).select('+codeHash');
+      expect(stored.codeHash).not.toBe(User.hashToken(code));
+
+      for (let i = 0; i < 4; i += 1) {
+        await resetWith(wrongFor(code)).expect(400);
+      }
+      await resetWith(code).expect(200);
+
+      await request(app)
+        .post('/api/v1/auth/login')
+        .send({ email: 'jane@example.com', password: 'newpassword456' })
+        .expect(200);
+
+      await resetWith(code, 'otherpassword').expect(400);
+    });
+
+    it('should not hand out more guesses for asking again', async () => {
+      await requestCode().expect(200);
+      const first = sentCode();
+
+      for (let i = 0; i < authConfig.phoneOtp.maxAttempts; i += 1) {
+        await resetWith(wrongFor(first)).expect(400);
+      }
+
+      // Within the cooldown nothing more is sent
+      await requestCode().expect(429);
+
+      await expireCooldown();
+      await requestCode().expect(200);
+
+      await resetWith(sentCode()).expect(429);
+    });
+
+    it('should count parallel guesses against the same limit', async () => {
+      await requestCode().expect(200);
+      const wrong = wrongFor(sentCode());
+      const { maxAttempts } = authConfig.phoneOtp;
+
+      const results = await Promise.all(Array.from({ length: maxAttempts + 3 }, () => resetWith(wrong)));
+
+      const statuses = results.map((res) => res.status);
+      expect(statuses.filter((status) => status === 400)).toHaveLength(maxAttempts);
+      expect(statuses.filter((status) => status === 429)).toHaveLength(3);
+    });
+
+    it('should throttle numbers without an account the same way', async () => {
+      const unknown = () => request(app).post('/api/v1/auth/forgot-password').send({ phone: '0799999999' });
+
+      await unknown().expect(200);
+      await unknown().expect(429);
+      expect(sendSMS).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a number shared by several accounts', async () => {
+      await User.create({
+        firstName: 'John',
+        lastName: 'Doe',
+        email: 'john@example.com',
+        phone: '254712345678',
+        password: 'password123'
+      });
+
+      await requestCode().expect(409);
+      await resetWith('123456').expect(409);
+      expect(sendSMS).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should check the current password before updating it', async () => {
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'jane@example.com', password: 'password123' });
+
+    await request(app)
+      .patch('/api/v1/auth/update-password')
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .send({ currentPassword: 'wrong-password', newPassword: 'newpassword456' })
+      .expect(401);
+
+    await request(app)
+      .patch('/api/v1/auth/update-password')
+      .set('Authorization', `Bearer ${login.body.token}`)
+      .send({ currentPassword: 'password123', newPassword: 'newpassword456' })
+      .expect(200);
+  });
+});
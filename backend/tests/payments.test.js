@@ -0,0 +1,333 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '1h';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Order = require('../src/models/Order');
+const Payment = require('../src/models/Payment');
+const { mpesaConfig } = require('../src/config/mpesa');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+const darajaStub = require('./helpers/darajaStub');
+
+describe('M-Pesa payments', () => {
+  let daraja;
+  let user;
+  let token;
+  let order;
+
+  beforeAll(async () => {
+    await db.connect();
+    daraja = await darajaStub.start();
+    Object.assign(mpesaConfig, {
+      baseURL: daraja.url,
+      consumerKey: 'key',
+      consumerSecret: 'secret',
+      shortCode: '174379',
+      passKey: 'passkey',
+      callbackURL: 'http://localhost/api/v1/payments/mpesa/callback',
+      callbackToken: darajaStub.CALLBACK_TOKEN,
+    });
+  });
+
+  afterAll(async () => {
+    await daraja.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    daraja.requests.length = 0;
+
+    user = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123'
+    });
+    token = await loginToken(user);
+
+    order = await Order.create({
+      orderNumber: 'ORD-TEST-1',
+      customer: user._id,
+      items: [{
+        product: new mongoose.Types.ObjectId(),
+        name: 'Test Product',
+        sku: 'SKU-1',
+        price: 1000,
+        quantity: 1,
+        total: 1000
+      }],
+      summary: { subtotal: 1000, tax: 160, shipping: 300, total: 1460 },
+      shippingAddress: {
+        name: 'Jane Doe',
+        phone: '254712345678',
+        address: 'Moi Avenue',
+        city: 'Nairobi',
+        county: 'Nairobi'
+      },
+      payment: { method: 'mpesa', amount: 1460 }
+    });
+  });
+
+  const initiate = () => request(app)
+    .post('/api/v1/payments/mpesa/initiate')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ orderId: order._id, phoneNumber: '0712345678' });
+
+  // The checkout request an initiate response's payment is waiting on
+  const checkoutRequestOf = async (res) => (await Payment.findById(res.body.data.paymentId)).mpesa.checkoutRequestID;
+
+  it('should send an STK push to Daraja and record the checkout request', async () => {
+    const res = await initiate().expect(200);
+
+    const stkPush = daraja.requests.find((r) => r.endpoint === 'stkPush');
+    expect(stkPush.body.Amount).toBe(1460);
+    expect(stkPush.body.PhoneNumber).toBe('254712345678');
+    expect(stkPush.body.CallBackURL).toBe(`http://localhost/api/v1/payments/mpesa/callback/${darajaStub.CALLBACK_TOKEN}`);
+    expect(stkPush.headers.authorization).toBe('Bearer stub-access-token');
+
+    // The buyer never learns the checkout request a callback would name
+    expect(res.body.data.checkoutRequestID).toBeUndefined();
+
+    const payment = await Payment.findById(res.body.data.paymentId);
+    expect(payment.status).toBe('processing');
+    expect(payment.mpesa.checkoutRequestID).toEqual(expect.any(String));
+  });
+
+  it('should complete the payment and order on a successful callback', async () => {
+    const res = await initiate().expect(200);
+    const checkoutRequestID = await checkoutRequestOf(res);
+
+    await request(app)
+      .post(darajaStub.callbackPath('callback'))
+      .send(darajaStub.stkCallback(checkoutRequestID, {
+        amount: 1460,
+        receiptNumber: 'QAB1CD2EF3',
+        phoneNumber: '254712345678'
+      }))
+      .expect(200);
+
+    const payment = await Payment.findById(res.body.data.paymentId);
+    expect(payment.status).toBe('completed');
+    expect(payment.mpesa.receiptNumber).toBe('QAB1CD2EF3');
+
+    const updatedOrder = await Order.findById(order._id);
+    expect(updatedOrder.payment.status).toBe('paid');
+    expect(updatedOrder.payment.mpesaReceiptNumber).toBe('QAB1CD2EF3');
+    expect(updatedOrder.status).toBe('confirmed');
+  });
+
+  it('should mark the payment failed when the customer cancels', async () => {
+    const res = await initiate().expect(200);
+    const checkoutRequestID = await checkoutRequestOf(res);
+
+    await request(app)
+      .post(darajaStub.callbackPath('callback'))
+      .send(darajaStub.stkCallback(checkoutRequestID, { resultCode: 1032 }))
+      .expect(200);
+
+    const payment = await Payment.findById(res.body.data.paymentId);
+    expect(payment.status).toBe('failed');
+    expect(payment.failure.code).toBe('1032');
+
+    const updatedOrder = await Order.findById(order._id);
+    expect(updatedOrder.payment.status).toBe('failed');
+  });
+
+  it('should resolve an in-flight payment through an STK query', async () => {
+    const res = await initiate().expect(200);
+    const checkoutRequestID = await checkoutRequestOf(res);
+
+    await request(app)
+      .get(`/api/v1/payments/status/${res.body.data.paymentId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect((r) => expect(r.body.data.payment.status).toBe('processing'));
+
+    daraja.setQueryResult(checkoutRequestID, { resultCode: 1032, resultDesc: 'Request cancelled by user' });
+
+    await request(app)
+      .get(`/api/v1/payments/status/${res.body.data.paymentId}`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200)
+      .expect((r) => expect(r.body.data.payment.status).toBe('failed'));
+  });
+
+  describe('one payment at a time', () => {
+    const paidCallback = (checkoutRequestID, receiptNumber) => darajaStub.stkCallback(checkoutRequestID, {
+      amount: 1460,
+      receiptNumber,
+      phoneNumber: '254712345678'
+    });
+
+    it('should refuse a second STK push while one is in flight', async () => {
+      const results = await Promise.all([initiate(), initiate()]);
+      expect(results.map((r) => r.status).sort()).toEqual([200, 409]);
+      expect(daraja.requests.filter((r) => r.endpoint === 'stkPush')).toHaveLength(1);
+
+      // Once the first one fails the customer can try again
+      const first = results.find((r) => r.status === 200);
+      await request(app)
+        .post(darajaStub.callbackPath('callback'))
+        .send(darajaStub.stkCallback(await checkoutRequestOf(first), { resultCode: 1032 }))
+        .expect(200);
+
+      await initiate().expect(200);
+    });
+
+    it('should flag a payment that completes after the order was paid', async () => {
+      const first = await initiate().expect(200);
+
+      // The first push's hold has run out without an answer
+      await Order.updateOne({ _id: order._id }, { $set: { 'payment.attempt.expiresAt': new Date(Date.now() - 1000) } });
+      const second = await initiate().expect(200);
+
+      await request(app)
+        .post(darajaStub.callbackPath('callback'))
+        .send(paidCallback(await checkoutRequestOf(first), 'QAB1CD2EF3'))
+        .expect(200);
+      await request(app)
+        .post(darajaStub.callbackPath('callback'))
+        .send(paidCallback(await checkoutRequestOf(second), 'QAB1CD2EF4'))
+        .expect(200);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.payment.mpesaReceiptNumber).toBe('QAB1CD2EF3');
+      expect(updatedOrder.payment.attempt?.payment).toBeUndefined();
+
+      const extra = await Payment.findById(second.body.data.paymentId);
+      expect(extra.status).toBe('completed');
+      expect(extra.risk.reviewRequired).toBe(true);
+      expect([...extra.risk.factors]).toEqual(['order_already_paid']);
+    });
+  });
+
+  describe('callback idempotency', () => {
+    const successCallback = (checkoutRequestID, overrides = {}) => darajaStub.stkCallback(checkoutRequestID, {
+      amount: 1460,
+      receiptNumber: 'QAB1CD2EF3',
+      phoneNumber: '254712345678',
+      ...overrides
+    });
+
+    it('should apply a retried callback only once and record both payloads', async () => {
+      const res = await initiate().expect(200);
+      const { paymentId } = res.body.data;
+      const checkoutRequestID = await checkoutRequestOf(res);
+
+      await Promise.all([
+        request(app).post(darajaStub.callbackPath('callback')).send(successCallback(checkoutRequestID)).expect(200),
+        request(app).post(darajaStub.callbackPath('callback')).send(successCallback(checkoutRequestID)).expect(200)
+      ]);
+
+      const payment = await Payment.findById(paymentId);
+      expect(payment.webhookData).toHaveLength(2);
+      expect(payment.webhookData.map((w) => w.outcome).sort()).toEqual(['applied', 'duplicate']);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.statusHistory.filter((h) => h.status === 'confirmed')).toHaveLength(1);
+    });
+
+    it('should never overwrite a completed payment with a timeout or failure', async () => {
+      const res = await initiate().expect(200);
+      const { paymentId } = res.body.data;
+      const checkoutRequestID = await checkoutRequestOf(res);
+
+      await request(app).post(darajaStub.callbackPath('callback')).send(successCallback(checkoutRequestID)).expect(200);
+      await request(app).post(darajaStub.callbackPath('timeout')).send({ CheckoutRequestID: checkoutRequestID }).expect(200);
+      await request(app)
+        .post(darajaStub.callbackPath('callback'))
+        .send(darajaStub.stkCallback(checkoutRequestID, { resultCode: 1032 }))
+        .expect(200);
+
+      const payment = await Payment.findById(paymentId);
+      expect(payment.status).toBe('completed');
+      expect(payment.webhookData.map((w) => w.outcome)).toEqual(['applied', 'ignored', 'ignored']);
+
+      const updatedOrder = await Order.findById(order._id);
+      expect(updatedOrder.payment.status).toBe('paid');
+    });
+
+    it('should refuse callbacks without the secret path or from other addresses', async () => {
+      const res = await initiate().expect(200);
+      const checkoutRequestID = await checkoutRequestOf(res);
+
+      await request(app).post('/api/v1/payments/mpesa/callback').send(successCallback(checkoutRequestID)).expect(404);
+      await request(app)
+        .post('/api/v1/payments/mpesa/callback/guessed-token')
+        .send(successCallback(checkoutRequestID))
+        .expect(404);
+
+      mpesaConfig.callbackIPs = ['196.201.214.200'];
+      try {
+        await request(app).post(darajaStub.callbackPath('callback')).send(successCallback(checkoutRequestID)).expect(404);
+      } finally {
+        mpesaConfig.callbackIPs = [];
+      }
+
+      const payment = await Payment.findById(res.body.data.paymentId);
+      expect(payment.status).toBe('processing');
+      expect(payment.webhookData).toHaveLength(0);
+    });
+
+    it('should reject callbacks for unknown checkout requests', async () => {
+      await request(app)
+        .post(darajaStub.callbackPath('callback'))
+        .send(successCallback('ws_CO_unknown'))
+        .expect(404);
+    });
+
+    it('should reject a callback whose amount does not match the payment', async () => {
+      const res = await initiate().expect(200);
+      const checkoutRequestID = await checkoutRequestOf(res);
+
+      await request(app)
+        .post(darajaStub.callbackPath('callback'))
+        .send(successCallback(checkoutRequestID, { amount: 1 }))
+        .expect(422);
+
+      const payment = await Payment.findById(res.body.data.paymentId);
+      expect(payment.status).toBe('processing');
+      expect(payment.webhookData[0].outcome).toBe('rejected');
+      expect(payment.risk.reviewRequired).toBe(true);
+    });
+
+    it('should let admins browse and replay stored webhooks', async () => {
+      const admin = await User.create({
+        firstName: 'Ada',
+        lastName: 'Admin',
+        email: 'admin@example.com',
+        phone: '254722222222',
+        password: 'password123',
+        role: 'admin'
+      });
+      const adminToken = await loginToken(admin);
+
+      const res = await initiate().expect(200);
+      const { paymentId } = res.body.data;
+      const checkoutRequestID = await checkoutRequestOf(res);
+      await request(app).post(darajaStub.callbackPath('callback')).send(successCallback(checkoutRequestID)).expect(200);
+
+      const ledger = await request(app)
+        .get('/api/v1/admin/payments/webhooks?outcome=applied')
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(ledger.body.total).toBe(1);
+
+      const webhookId = ledger.body.data.webhooks[0]._id;
+      const replay = await request(app)
+        .post(`/api/v1/admin/payments/${paymentId}/webhooks/${webhookId}/replay`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+      expect(replay.body.data.outcome).toBe('duplicate');
+
+      const payment = await Payment.findById(paymentId);
+      expect(payment.webhookData).toHaveLength(2);
+      expect(payment.webhookData[1].source).toBe('replay');
+    });
+  });
+});
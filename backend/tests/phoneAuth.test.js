@@ -0,0 +1,183 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const PhoneOtp = require('../src/models/PhoneOtp');
+const RateLimitCounter = require('../src/models/RateLimitCounter');
+const { getSMSService } = require('../src/config/sms');
+const { authConfig } = require('../src/config/auth');
+const db = require('./helpers/db');
+
+describe('Phone OTP login', () => {
+  const sms = getSMSService();
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    sms.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const requestCode = (phone = '0712345678') => request(app)
+    .post('/api/v1/auth/phone/request-code')
+    .send({ phone });
+
+  const sentCode = (phone = '254712345678') => sms.lastMessageTo(phone).message.match(/\d{6}/)[0];
+
+  const verifyCode = (code, phone = '0712345678') => request(app)
+    .post('/api/v1/auth/phone/verify-code')
+    .send({ phone, code });
+
+  // Let the resend cooldown pass without waiting for it
+  const expireCooldown = () => RateLimitCounter.deleteMany({ key: /^phone-otp:cooldown:/ });
+
+  it('should send a code through the SMS transport and store only its hash', async () => {
+    await requestCode().expect(200);
+
+    expect(sms.messages).toHaveLength(1);
+    expect(sms.messages[0].to).toBe('+254712345678');
+
+    const otp = await PhoneOtp.findOne({ phone: '254712345678' }).select('+codeHash');
+    expect(otp.codeHash).not.toContain(sentCode());
+  });
+
+  it('should log an existing customer in with the code and mark the phone verified', async () => {
+    const user = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123'
+    });
+
+    await requestCode().expect(200);
+    const res = await verifyCode(sentCode()).expect(200);
+
+    expect(res.body.token).toBeDefined();
+    expect(res.body.data.user._id).toBe(user._id.toString());
+    expect((await User.findById(user._id)).phoneVerified).toBe(true);
+
+    // Codes are single use
+    await verifyCode(sentCode()).expect(400);
+  });
+
+  it('should sign up a new number without a password', async () => {
+    await requestCode().expect(200);
+    const verified = await verifyCode(sentCode()).expect(200);
+
+    expect(verified.body.token).toBeUndefined();
+    expect(verified.body.data.signupRequired).toBe(true);
+
+    const res = await request(app)
+      .post('/api/v1/auth/phone/signup')
+      .send({ signupToken: verified.body.data.signupToken, firstName: 'Wanjiru', lastName: 'Kamau' })
+      .expect(201);
+
+    expect(res.body.token).toBeDefined();
+
+    const user = await User.findOne({ phone: '254712345678' });
+    expect(user.signupMethod).toBe('phone');
+    expect(user.phoneVerified).toBe(true);
+    expect(user.email).toBeUndefined();
+  });
+
+  it('should burn a code after too many wrong guesses', async () => {
+    await requestCode().expect(200);
+    const code = sentCode();
+    const wrong = code === '000000' ? '111111' : '000000';
+
+    for (let i = 0; i < authConfig.phoneOtp.maxAttempts; i += 1) {
+      await verifyCode(wrong).expect(400);
+    }
+
+    await verifyCode(code).expect(429);
+  });
+
+  it('should only accept the newest code', async () => {
+    await requestCode().expect(200);
+    const first = sentCode();
+    await expireCooldown();
+
+    await requestCode().expect(200);
+    const second = sentCode();
+
+    if (first !== second) {
+      await verifyCode(first).expect(400);
+    }
+    await verifyCode(second).expect(200);
+  });
+
+  it('should throttle code requests', async () => {
+    await requestCode().expect(200);
+    await requestCode().expect(429);
+    expect(sms.messages).toHaveLength(1);
+  });
+
+  it('should send one code for parallel requests', async () => {
+    const responses = await Promise.all([requestCode(), requestCode(), requestCode()]);
+
+    expect(responses.map((res) => res.status).sort()).toEqual([200, 429, 429]);
+    expect(sms.messages).toHaveLength(1);
+  });
+
+  it('should cap codes per phone number per hour without Redis', async () => {
+    const { maxPerPhonePerHour } = authConfig.phoneOtp;
+
+    for (let i = 0; i < maxPerPhonePerHour; i += 1) {
+      await expireCooldown();
+      await requestCode().expect(200);
+    }
+
+    await expireCooldown();
+    await requestCode().expect(429);
+    expect(sms.messages).toHaveLength(maxPerPhonePerHour);
+
+    const counter = await RateLimitCounter.findOne({ key: 'phone-otp:phone:254712345678' });
+    expect(counter.count).toBe(maxPerPhonePerHour + 1);
+  });
+
+  it('should reject numbers that are not Kenyan mobile numbers', async () => {
+    await requestCode('12345').expect(400);
+    expect(sms.messages).toHaveLength(0);
+  });
+
+  it('should verify the phone number of a logged-in user', async () => {
+    await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123'
+    });
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'jane@example.com', password: 'password123' })
+      .expect(200);
+    const auth = `Bearer ${login.body.token}`;
+
+    await request(app).post('/api/v1/auth/phone/send-verification').set('Authorization', auth).expect(200);
+
+    await request(app)
+      .post('/api/v1/auth/phone/verify')
+      .set('Authorization', auth)
+      .send({ code: sentCode() })
+      .expect(200);
+
+    const user = await User.findOne({ email: 'jane@example.com' });
+    expect(user.phoneVerified).toBe(true);
+
+    await request(app).post('/api/v1/auth/phone/send-verification').set('Authorization', auth).expect(400);
+  });
+});
@@ -0,0 +1,227 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Cart = require('../src/models/Cart');
+const Coupon = require('../src/models/Coupon');
+const Promotion = require('../src/models/Promotion');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+const { createProduct, cartItem } = require('./helpers/fixtures');
+
+describe('Promotions', () => {
+  const shoes = new mongoose.Types.ObjectId();
+  const books = new mongoose.Types.ObjectId();
+
+  let user;
+  let auth;
+  let adminAuth;
+  let sneaker;
+  let sandal;
+  let novel;
+
+  const fillCart = (...items) => Cart.create({ user: user._id, items });
+
+  const getCart = () => request(app).get('/api/v1/cart').set('Authorization', auth).expect(200)
+    .then((res) => res.body.data.cart);
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+
+    user = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123',
+      isVerified: true
+    });
+    auth = `Bearer ${await loginToken(user)}`;
+
+    const admin = await User.create({
+      firstName: 'Ada',
+      lastName: 'Admin',
+      email: 'admin@example.com',
+      phone: '254722222222',
+      password: 'password123',
+      role: 'admin'
+    });
+    adminAuth = `Bearer ${await loginToken(admin)}`;
+
+    sneaker = await createProduct({ name: 'Sneaker', price: 4000, category: shoes });
+    sandal = await createProduct({ name: 'Sandal', price: 1500, category: shoes });
+    novel = await createProduct({ name: 'Novel', price: 1000, category: books });
+  });
+
+  describe('cart totals', () => {
+    it('should give the cheapest qualifying units away on buy X get Y', async () => {
+      await Promotion.create({ name: 'Shoes: buy 2 get 1 free', type: 'buy_x_get_y', buyQuantity: 2, getQuantity: 1, categories: [shoes] });
+      await fillCart(cartItem(sneaker, 2), cartItem(sandal), cartItem(novel));
+
+      const cart = await getCart();
+
+      expect(cart.totals.promotions).toHaveLength(1);
+      expect(cart.totals.promotions[0]).toMatchObject({ name: 'Shoes: buy 2 get 1 free', type: 'buy_x_get_y', discount: 1500 });
+      expect(cart.totals.discount).toBe(1500);
+    });
+
+    it('should apply the highest tier reached', async () => {
+      await Promotion.create({
+        name: 'Spend more, save more',
+        type: 'tiered_spend',
+        tiers: [
+          { minSubtotal: 2000, type: 'fixed', value: 200 },
+          { minSubtotal: 5000, type: 'percentage', value: 10 }
+        ]
+      });
+
+      await fillCart(cartItem(sneaker), cartItem(novel));
+      expect((await getCart()).totals.promotions[0].discount).toBe(500);
+
+      await Cart.deleteMany();
+      await fillCart(cartItem(novel, 3));
+      expect((await getCart()).totals.promotions[0].discount).toBe(200);
+
+      await Cart.deleteMany();
+      await fillCart(cartItem(novel));
+      expect((await getCart()).totals.promotions).toHaveLength(0);
+    });
+
+    it('should price each complete bundle at the bundle price', async () => {
+      await Promotion.create({
+        name: 'Sneaker and sandal combo',
+        type: 'bundle',
+        bundleItems: [{ product: sneaker._id }, { product: sandal._id }],
+        bundlePrice: 5000
+      });
+      await fillCart(cartItem(sneaker, 2), cartItem(sandal, 1));
+
+      const cart = await getCart();
+      expect(cart.totals.promotions[0].discount).toBe(500);
+    });
+
+    it('should ignore promotions outside their window or switched off', async () => {
+      const tiers = [{ minSubtotal: 0, type: 'fixed', value: 100 }];
+      await Promotion.create({ name: 'Later', type: 'tiered_spend', tiers, startsAt: new Date(Date.now() + 60 * 60 * 1000) });
+      await Promotion.create({ name: 'Over', type: 'tiered_spend', tiers, expiresAt: new Date(Date.now() - 1000) });
+      await Promotion.create({ name: 'Off', type: 'tiered_spend', tiers, isActive: false });
+      await fillCart(cartItem(novel));
+
+      expect((await getCart()).totals.promotions).toHaveLength(0);
+    });
+
+    it('should stack stackable promotions unless a non-stackable one is worth more', async () => {
+      await Promotion.create({ name: 'KES 100 off', type: 'tiered_spend', tiers: [{ minSubtotal: 0, type: 'fixed', value: 100 }] });
+      await Promotion.create({ name: 'KES 150 off', type: 'tiered_spend', tiers: [{ minSubtotal: 0, type: 'fixed', value: 150 }] });
+      const solo = await Promotion.create({
+        name: '5% off everything',
+        type: 'tiered_spend',
+        stackable: false,
+        tiers: [{ minSubtotal: 0, type: 'percentage', value: 5 }]
+      });
+      await fillCart(cartItem(sneaker), cartItem(novel));
+
+      let cart = await getCart();
+      expect(cart.totals.promotions.map((p) => p.name).sort()).toEqual(['KES 100 off', 'KES 150 off']);
+
+      await Promotion.updateOne({ _id: solo._id }, { 'tiers.0.value': 10 });
+      cart = await getCart();
+      expect(cart.totals.promotions).toHaveLength(1);
+      expect(cart.totals.promotions[0]).toMatchObject({ name: '5% off everything', discount: 500 });
+    });
+
+    it('should take promotions off before coupons', async () => {
+      await Promotion.create({ name: 'KES 4000 off', type: 'tiered_spend', tiers: [{ minSubtotal: 0, type: 'fixed', value: 4000 }] });
+      await Coupon.create({ code: 'BIG', type: 'fixed', value: 5000 });
+      await fillCart(cartItem(sneaker), cartItem(novel));
+
+      const res = await request(app)
+        .post('/api/v1/cart/coupon')
+        .set('Authorization', auth)
+        .send({ couponCode: 'BIG' })
+        .expect(200);
+
+      // Subtotal 5000 plus 300 shipping: the coupon can only cover what is left
+      expect(res.body.data.savings).toBe(1300);
+      expect(res.body.data.cart.totals.discount).toBe(5300);
+    });
+  });
+
+  describe('checkout', () => {
+    it('should carry the promotion lines through to the order', async () => {
+      await Promotion.create({ name: 'Shoes: buy 1 get 1 half off', type: 'buy_x_get_y', buyQuantity: 1, getQuantity: 1, getDiscountPercent: 50, categories: [shoes] });
+      await fillCart(cartItem(sneaker), cartItem(sandal));
+
+      const res = await request(app)
+        .post('/api/v1/orders')
+        .set('Authorization', auth)
+        .send({
+          paymentMethod: 'mpesa',
+          shippingAddress: {
+            name: 'Jane Doe',
+            phone: '254712345678',
+            address: 'Moi Avenue',
+            city: 'Nairobi',
+            county: 'Nairobi'
+          }
+        })
+        .expect(201);
+
+      const { summary } = res.body.data.order;
+      expect(summary.discount).toBe(750);
+      expect(summary.promotions[0]).toMatchObject({ name: 'Shoes: buy 1 get 1 half off', discount: 750 });
+    });
+  });
+
+  describe('admin API', () => {
+    const create = (body) => request(app)
+      .post('/api/v1/admin/promotions')
+      .set('Authorization', adminAuth)
+      .send(body);
+
+    it('should create, list and update promotions', async () => {
+      const created = await create({ name: 'BOGO', type: 'buy_x_get_y', buyQuantity: 1, getQuantity: 1 }).expect(201);
+      expect(created.body.data.promotion).toMatchObject({ name: 'BOGO', getDiscountPercent: 100, stackable: true });
+
+      const list = await request(app).get('/api/v1/admin/promotions').set('Authorization', adminAuth).expect(200);
+      expect(list.body.data.promotions).toHaveLength(1);
+
+      const updated = await request(app)
+        .patch(`/api/v1/admin/promotions/${created.body.data.promotion._id}`)
+        .set('Authorization', adminAuth)
+        .send({ isActive: false })
+        .expect(200);
+      expect(updated.body.data.promotion.isActive).toBe(false);
+
+      await request(app)
+        .delete(`/api/v1/admin/promotions/${created.body.data.promotion._id}`)
+        .set('Authorization', adminAuth)
+        .expect(204);
+    });
+
+    it('should validate the rule for each promotion type', async () => {
+      await create({ name: 'No type' }).expect(400);
+      await create({ name: 'BOGO', type: 'buy_x_get_y', buyQuantity: 1 }).expect(400);
+      await create({ name: 'Tiers', type: 'tiered_spend', tiers: [] }).expect(400);
+      await create({ name: 'Tiers', type: 'tiered_spend', tiers: [{ minSubtotal: 0, type: 'percentage', value: 120 }] }).expect(400);
+      await create({ name: 'Bundle', type: 'bundle', bundleItems: [{ product: sneaker._id }], bundlePrice: 100 }).expect(400);
+      await create({ name: 'Bundle', type: 'bundle', bundleItems: [{ product: sneaker._id }, { product: sandal._id }] }).expect(400);
+
+      await create({ name: 'Bundle', type: 'bundle', bundleItems: [{ product: sneaker._id }, { product: sandal._id }], bundlePrice: 5000 }).expect(201);
+    });
+
+    it('should be closed to customers', async () => {
+      await request(app).get('/api/v1/admin/promotions').set('Authorization', auth).expect(403);
+    });
+  });
+});
@@ -0,0 +1,315 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Order = require('../src/models/Order');
+const Payment = require('../src/models/Payment');
+const EmailService = require('../src/services/email/emailService');
+const { mpesaConfig } = require('../src/config/mpesa');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+const darajaStub = require('./helpers/darajaStub');
+
+describe('Refunds', () => {
+  let daraja;
+  let customer;
+  let auth;
+  let admin;
+  let adminAuth;
+  let order;
+
+  const createOrder = (overrides = {}) => Order.create({
+    orderNumber: `ORD-TEST-${new mongoose.Types.ObjectId()}`,
+    customer: customer._id,
+    items: [{
+      product: new mongoose.Types.ObjectId(),
+      name: 'Mug',
+      sku: 'MUG-1',
+      price: 1000,
+      quantity: 2,
+      total: 2000
+    }],
+    summary: { subtotal: 2000, tax: 320, shipping: 300, total: 2620 },
+    shippingAddress: {
+      name: 'Jane Doe',
+      phone: '254712345678',
+      address: 'Moi Avenue',
+      city: 'Nairobi',
+      county: 'Nairobi'
+    },
+    payment: { method: 'mpesa', status: 'paid', amount: 2620 },
+    status: 'delivered',
+    ...overrides
+  });
+
+  const createMpesaPayment = () => Payment.create({
+    order: order._id,
+    customer: customer._id,
+    amount: 2620,
+    actualAmount: 2620,
+    method: 'mpesa',
+    status: 'completed',
+    mpesa: { phoneNumber: '254712345678', receiptNumber: 'QAB1C2D3E4' }
+  });
+
+  const refund = (body = {}, target = order, token = adminAuth) => request(app)
+    .post(`/api/v1/admin/orders/${target._id}/refunds`)
+    .set('Authorization', token)
+    .send(body);
+
+  const postResult = (body, path = 'result') => request(app)
+    .post(darajaStub.callbackPath(`refund/${path}`))
+    .send(body);
+
+  const lastRequest = () => daraja.requests.at(-1);
+
+  beforeAll(async () => {
+    await db.connect();
+    daraja = await darajaStub.start();
+    Object.assign(mpesaConfig, {
+      baseURL: daraja.url,
+      consumerKey: 'key',
+      consumerSecret: 'secret',
+      shortCode: '174379',
+      b2cShortCode: '600000',
+      initiatorName: 'testapi',
+      securityCredential: 'credential',
+      refundResultURL: 'http://localhost/api/v1/payments/mpesa/refund/result',
+      refundTimeoutURL: 'http://localhost/api/v1/payments/mpesa/refund/timeout',
+      callbackToken: darajaStub.CALLBACK_TOKEN,
+    });
+  });
+
+  afterAll(async () => {
+    await daraja.close();
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    daraja.requests.length = 0;
+
+    customer = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123',
+      isVerified: true
+    });
+    auth = `Bearer ${await loginToken(customer)}`;
+
+    admin = await User.create({
+      firstName: 'Ada',
+      lastName: 'Admin',
+      email: 'admin@example.com',
+      phone: '254722222222',
+      password: 'password123',
+      role: 'admin'
+    });
+    adminAuth = `Bearer ${await loginToken(admin)}`;
+
+    order = await createOrder();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('M-Pesa', () => {
+    beforeEach(async () => {
+      await createMpesaPayment();
+    });
+
+    it('should reverse a full refund and complete it when Daraja reports back', async () => {
+      const send = jest.spyOn(EmailService.prototype, 'send').mockResolvedValue({});
+
+      const res = await refund({ reason: 'requested_by_customer' }).expect(201);
+
+      expect(res.body.data.refund).toMatchObject({ amount: 2620, method: 'mpesa_reversal', status: 'processing', attempts: 1 });
+      expect(lastRequest()).toMatchObject({
+        endpoint: 'reversal',
+        body: { CommandID: 'TransactionReversal', TransactionID: 'QAB1C2D3E4', Amount: 2620 }
+      });
+
+      // Nothing has moved until the money is back
+      expect((await Order.findById(order._id)).payment.status).toBe('paid');
+
+      const { conversationID } = res.body.data.refund;
+      await postResult(darajaStub.refundResult(conversationID, { transactionID: 'RVS123' })).expect(200);
+
+      const payment = await Payment.findOne({ order: order._id });
+      expect(payment.status).toBe('refunded');
+      expect(payment.refunds[0]).toMatchObject({ status: 'completed', gatewayRefundId: 'RVS123' });
+      expect((await Order.findById(order._id)).payment.status).toBe('refunded');
+
+      // The customer is told in the background
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(send).toHaveBeenCalledWith('order-refunded', expect.any(String), expect.objectContaining({ amount: 2620 }), []);
+    });
+
+    it('should pay a partial refund back by B2C and leave the rest refundable', async () => {
+      const res = await refund({ amount: 1000, description: 'One mug broken' }).expect(201);
+
+      expect(res.body.data.refund).toMatchObject({ amount: 1000, method: 'mpesa_b2c' });
+      expect(lastRequest()).toMatchObject({
+        endpoint: 'b2c',
+        body: { CommandID: 'BusinessPayment', PartyA: '600000', PartyB: '254712345678', Amount: 1000 }
+      });
+
+      await postResult(darajaStub.refundResult(res.body.data.refund.conversationID)).expect(200);
+
+      const payment = await Payment.findOne({ order: order._id });
+      expect(payment.status).toBe('partial_refund');
+      expect(payment.refundableAmount).toBe(1620);
+      expect((await Order.findById(order._id)).payment.status).toBe('partial_refund');
+    });
+
+    it('should apply a repeated result only once', async () => {
+      const { conversationID } = (await refund().expect(201)).body.data.refund;
+      const body = darajaStub.refundResult(conversationID);
+
+      await postResult(body).expect(200);
+      await postResult(body).expect(200);
+
+      const payment = await Payment.findOne({ order: order._id });
+      expect(payment.refunds).toHaveLength(1);
+      expect(payment.webhookData.map((entry) => entry.outcome)).toEqual(['applied', 'duplicate']);
+    });
+
+    it('should fail the refund and flag the cancelled order when Daraja refuses it', async () => {
+      await Order.updateOne({ _id: order._id }, { $set: { status: 'cancelled', cancellation: { refundStatus: 'pending' } } });
+
+      const { conversationID } = (await refund().expect(201)).body.data.refund;
+      await postResult(darajaStub.refundResult(conversationID, { resultCode: 2001 })).expect(200);
+
+      const payment = await Payment.findOne({ order: order._id });
+      expect(payment.status).toBe('completed');
+      expect(payment.refunds[0]).toMatchObject({ status: 'failed', failure: { code: '2001' } });
+      expect(payment.refundableAmount).toBe(2620);
+      expect((await Order.findById(order._id)).cancellation.refundStatus).toBe('failed');
+    });
+
+    it('should never send a timed-out refund again', async () => {
+      const { conversationID } = (await refund({ amount: 500 }).expect(201)).body.data.refund;
+
+      await postResult(darajaStub.refundResult(conversationID), 'timeout').expect(200);
+
+      let payment = await Payment.findOne({ order: order._id });
+      expect(payment.refunds[0]).toMatchObject({ status: 'processing', attempts: 1, conversationID });
+      expect(payment.webhookData[0].outcome).toBe('ignored');
+      expect(daraja.requests.filter((entry) => entry.endpoint === 'b2c')).toHaveLength(1);
+
+      // The result can still arrive afterwards
+      await postResult(darajaStub.refundResult(conversationID)).expect(200);
+
+      payment = await Payment.findOne({ order: order._id });
+      expect(payment.refunds[0].status).toBe('completed');
+    });
+
+    it('should mark the order refunded only once the money is back', async () => {
+      const setStatus = () => request(app)
+        .patch(`/api/v1/orders/${order._id}/status`)
+        .set('Authorization', adminAuth)
+        .send({ status: 'refunded' });
+
+      const res = await setStatus().expect(200);
+      expect(res.body.data.order.status).toBe('delivered');
+      expect(res.body.message).toMatch(/once the money is back/);
+
+      // Marking it again while the refund is out sends nothing more
+      await setStatus().expect(409);
+      expect(daraja.requests).toHaveLength(1);
+
+      const { conversationID } = (await Payment.findOne({ order: order._id })).refunds[0];
+      await postResult(darajaStub.refundResult(conversationID)).expect(200);
+
+      const refunded = await Order.findById(order._id);
+      expect(refunded.status).toBe('refunded');
+      expect(refunded.statusHistory.at(-1)).toMatchObject({ status: 'refunded', actor: 'system' });
+    });
+
+    it('should leave the order as it was when its refund fails', async () => {
+      await request(app)
+        .patch(`/api/v1/orders/${order._id}/status`)
+        .set('Authorization', adminAuth)
+        .send({ status: 'refunded' })
+        .expect(200);
+
+      const { conversationID } = (await Payment.findOne({ order: order._id })).refunds[0];
+      await postResult(darajaStub.refundResult(conversationID, { resultCode: 2001 })).expect(200);
+
+      const current = await Order.findById(order._id);
+      expect(current.status).toBe('delivered');
+      expect(current.payment.status).toBe('paid');
+    });
+
+    it('should 404 a result for an unknown conversation', async () => {
+      await postResult(darajaStub.refundResult('AG_unknown')).expect(404);
+    });
+
+    it('should only take results on the secret path given to Daraja', async () => {
+      const { conversationID } = (await refund({ amount: 500 }).expect(201)).body.data.refund;
+      expect(lastRequest().body.ResultURL)
+        .toBe(`http://localhost/api/v1/payments/mpesa/refund/result/${darajaStub.CALLBACK_TOKEN}`);
+
+      await request(app)
+        .post('/api/v1/payments/mpesa/refund/result/guessed-token')
+        .send(darajaStub.refundResult(conversationID))
+        .expect(404);
+      await request(app)
+        .post('/api/v1/payments/mpesa/refund/timeout')
+        .send(darajaStub.refundResult(conversationID))
+        .expect(404);
+
+      const { refunds } = await Payment.findOne({ order: order._id });
+      expect(refunds[0].status).toBe('processing');
+    });
+
+    it('should refuse to refund more than is left', async () => {
+      await refund({ amount: 2000 }).expect(201);
+
+      const res = await refund({ amount: 1000 }).expect(400);
+      expect(res.body.message).toMatch(/exceeds the refundable amount of 620/);
+    });
+  });
+
+  describe('manual', () => {
+    it('should record a cash on delivery refund against a payment made for it', async () => {
+      order = await createOrder({ payment: { method: 'cod', status: 'paid', amount: 2620 } });
+
+      const res = await refund({ amount: 620, reference: 'CASH-0042' }).expect(201);
+
+      expect(res.body.data.refund).toMatchObject({ amount: 620, method: 'manual', status: 'completed', gatewayRefundId: 'CASH-0042' });
+      expect(res.body.data.payment).toMatchObject({ method: 'cash_on_delivery', paymentGateway: 'manual', status: 'partial_refund' });
+      expect(daraja.requests).toHaveLength(0);
+      expect((await Order.findById(order._id)).payment.status).toBe('partial_refund');
+    });
+  });
+
+  it('should refuse to refund an unpaid order', async () => {
+    order = await createOrder({ payment: { method: 'mpesa', status: 'pending', amount: 2620 } });
+
+    const res = await refund().expect(409);
+    expect(res.body.message).toMatch(/Only a paid order can be refunded/);
+  });
+
+  it('should list an order\'s refunds', async () => {
+    await createMpesaPayment();
+    await refund({ amount: 500 }).expect(201);
+
+    const res = await request(app)
+      .get(`/api/v1/admin/orders/${order._id}/refunds`)
+      .set('Authorization', adminAuth)
+      .expect(200);
+
+    expect(res.body.results).toBe(1);
+    expect(res.body.data.refundable).toBe(2120);
+  });
+
+  it('should only allow admins', async () => {
+    await refund({}, order, auth).expect(403);
+  });
+});
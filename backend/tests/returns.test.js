@@ -0,0 +1,445 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const Category = require('../src/models/Category');
+const Order = require('../src/models/Order');
+const Payment = require('../src/models/Payment');
+const Return = require('../src/models/Return');
+const InventoryMovement = require('../src/models/InventoryMovement');
+const { mpesaConfig } = require('../src/config/mpesa');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+const darajaStub = require('./helpers/darajaStub');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Returns', () => {
+  let customer;
+  let auth;
+  let admin;
+  let adminAuth;
+  let kitchen;
+  let mug;
+  let order;
+
+  const createOrder = async ({ deliveredDaysAgo = 2, items, ...overrides } = {}) => Order.create({
+    customer: customer._id,
+    items: items || [{
+      product: mug._id,
+      name: 'Mug',
+      sku: 'MUG-1',
+      price: 1000,
+      quantity: 2,
+      total: 2000,
+      tax: { taxClass: 'standard', rate: 0.16, taxableAmount: 1800, tax: 288 },
+      allocation: { tracked: true }
+    }],
+    summary: {
+      subtotal: 2000,
+      tax: 288,
+      taxBreakdown: [{ taxClass: 'standard', rate: 0.16, taxableAmount: 1800, tax: 288 }],
+      shipping: 300,
+      discount: 200,
+      total: 2388
+    },
+    shippingAddress: {
+      name: 'Jane Doe',
+      phone: '254712345678',
+      address: 'Moi Avenue',
+      city: 'Nairobi',
+      county: 'Nairobi'
+    },
+    payment: { method: 'mpesa', status: 'paid', amount: 2388 },
+    status: 'delivered',
+    inventory: { status: 'committed' },
+    tracking: { deliveredAt: new Date(Date.now() - deliveredDaysAgo * DAY_MS) },
+    ...overrides
+  });
+
+  const requestReturn = (body, target = order) => request(app)
+    .post(`/api/v1/orders/${target._id}/return`)
+    .set('Authorization', auth)
+    .send(body);
+
+  const lineOf = (target = order, index = 0) => String(target.items[index]._id);
+
+  const setStatus = (ret, status, body = {}) => request(app)
+    .patch(`/api/v1/admin/returns/${ret._id}/status`)
+    .set('Authorization', adminAuth)
+    .send({ status, ...body });
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+
+    customer = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123',
+      isVerified: true
+    });
+    auth = `Bearer ${await loginToken(customer)}`;
+
+    admin = await User.create({
+      firstName: 'Ada',
+      lastName: 'Admin',
+      email: 'admin@example.com',
+      phone: '254722222222',
+      password: 'password123',
+      role: 'admin'
+    });
+    adminAuth = `Bearer ${await loginToken(admin)}`;
+
+    kitchen = await Category.create({ name: 'Kitchen', createdBy: admin._id });
+
+    mug = await Product.create({
+      name: 'Mug',
+      description: 'Test product',
+      price: 1000,
+      category: kitchen._id,
+      sku: 'MUG-1',
+      inventory: { quantity: 8 },
+      createdBy: admin._id
+    });
+
+    order = await createOrder();
+  });
+
+  describe('requesting a return', () => {
+    it('should open a numbered return for the items, refunding their discounted price and VAT', async () => {
+      const res = await requestReturn({
+        items: [{ item: lineOf(), quantity: 1 }],
+        reason: 'damaged',
+        description: 'Arrived chipped'
+      }).expect(201);
+
+      const ret = res.body.data.return;
+      expect(ret.returnNumber).toMatch(/^RMA-\d{4}-000001$/);
+      expect(ret).toMatchObject({ status: 'requested', reason: 'damaged', refundAmount: 1044 });
+      expect(ret.items[0]).toMatchObject({ name: 'Mug', quantity: 1, total: 1000 });
+    });
+
+    it('should accept the items as a JSON string, as multipart forms send them', async () => {
+      await requestReturn({
+        items: JSON.stringify([{ product: String(mug._id), quantity: 2 }]),
+        reason: 'no_longer_needed'
+      }).expect(201);
+    });
+
+    it('should refuse orders that were not delivered', async () => {
+      order = await createOrder({ status: 'shipped', tracking: {} });
+
+      const res = await requestReturn({ items: [{ item: lineOf(), quantity: 1 }], reason: 'damaged' }).expect(409);
+      expect(res.body.message).toMatch(/Only delivered orders can be returned/);
+    });
+
+    it('should refuse once the return window has closed', async () => {
+      order = await createOrder({ deliveredDaysAgo: 31 });
+
+      const res = await requestReturn({ items: [{ item: lineOf(), quantity: 1 }], reason: 'damaged' }).expect(409);
+      expect(res.body.message).toMatch(/30-day return window/);
+    });
+
+    it('should never return more than was delivered, counting earlier returns', async () => {
+      await requestReturn({ items: [{ item: lineOf(), quantity: 1 }], reason: 'damaged' }).expect(201);
+
+      const res = await requestReturn({ items: [{ item: lineOf(), quantity: 2 }], reason: 'damaged' }).expect(400);
+      expect(res.body.message).toMatch(/Only 1 of Mug can still be returned/);
+    });
+
+    it('should not refund VAT that was already in the prices', async () => {
+      order = await createOrder({
+        items: [{
+          product: mug._id,
+          name: 'Mug',
+          sku: 'MUG-1',
+          price: 1000,
+          quantity: 2,
+          total: 2000,
+          tax: { taxClass: 'standard', rate: 0.16, taxableAmount: 1551.72, tax: 248.28 }
+        }],
+        summary: {
+          subtotal: 2000,
+          tax: 248.28,
+          taxIncluded: true,
+          taxBreakdown: [{ taxClass: 'standard', rate: 0.16, taxableAmount: 1551.72, tax: 248.28 }],
+          shipping: 300,
+          discount: 200,
+          total: 2100
+        }
+      });
+
+      const res = await requestReturn({ items: [{ item: lineOf(), quantity: 1 }], reason: 'damaged' }).expect(201);
+      expect(res.body.data.return.refundAmount).toBe(900);
+    });
+
+    it('should return each unit once when requests arrive together', async () => {
+      const results = await Promise.all([
+        requestReturn({ items: [{ item: lineOf(), quantity: 2 }], reason: 'damaged' }),
+        requestReturn({ items: [{ item: lineOf(), quantity: 2 }], reason: 'defective' })
+      ]);
+
+      expect(results.filter((res) => res.status === 201)).toHaveLength(1);
+      expect(await Return.countDocuments({ order: order._id })).toBe(1);
+      expect((await Order.findById(order._id)).items[0].returnedQuantity).toBe(2);
+    });
+
+    it('should free the quantity of a rejected return', async () => {
+      const first = (await requestReturn({ items: [{ item: lineOf(), quantity: 2 }], reason: 'damaged' }).expect(201)).body.data.return;
+      await setStatus(first, 'rejected', { note: 'No damage visible in the photos' }).expect(200);
+
+      await requestReturn({ items: [{ item: lineOf(), quantity: 2 }], reason: 'defective' }).expect(201);
+    });
+
+    it('should refuse items from a non-returnable category or its subcategories', async () => {
+      const hygiene = await Category.create({ name: 'Hygiene', returnable: false, createdBy: admin._id });
+      const toothbrushes = await Category.create({ name: 'Toothbrushes', parent: hygiene._id, createdBy: admin._id });
+      const brush = await Product.create({
+        name: 'Toothbrush',
+        description: 'Test product',
+        price: 200,
+        category: toothbrushes._id,
+        sku: 'BRUSH-1',
+        createdBy: admin._id
+      });
+      order = await createOrder({
+        items: [{ product: brush._id, name: 'Toothbrush', sku: 'BRUSH-1', price: 200, quantity: 1, total: 200 }]
+      });
+
+      const res = await requestReturn({ items: [{ item: lineOf(), quantity: 1 }], reason: 'no_longer_needed' }).expect(400);
+      expect(res.body.message).toMatch(/Toothbrush is in a category that can't be returned/);
+    });
+
+    it('should not let customers return items on someone else\'s order', async () => {
+      const other = await User.create({
+        firstName: 'Sam',
+        lastName: 'Other',
+        email: 'sam@example.com',
+        phone: '254733333333',
+        password: 'password123'
+      });
+      order = await createOrder({ customer: other._id });
+
+      await requestReturn({ items: [{ item: lineOf(), quantity: 1 }], reason: 'damaged' }).expect(404);
+    });
+  });
+
+  describe('admin workflow', () => {
+    let ret;
+
+    beforeEach(async () => {
+      ret = (await requestReturn({ items: [{ item: lineOf(), quantity: 2 }], reason: 'defective' }).expect(201)).body.data.return;
+    });
+
+    it('should list requested returns in the approval queue', async () => {
+      const res = await request(app)
+        .get('/api/v1/admin/returns?status=requested')
+        .set('Authorization', adminAuth)
+        .expect(200);
+
+      expect(res.body.total).toBe(1);
+      expect(res.body.data.returns[0]).toMatchObject({ returnNumber: ret.returnNumber, order: { orderNumber: order.orderNumber } });
+    });
+
+    it('should restock the items when the return is received', async () => {
+      await setStatus(ret, 'approved').expect(200);
+      const res = await setStatus(ret, 'received').expect(200);
+
+      expect(res.body.data.return.receivedAt).toBeDefined();
+      expect((await Product.findById(mug._id)).inventory.quantity).toBe(10);
+
+      const movement = await InventoryMovement.findOne({ product: mug._id });
+      expect(movement).toMatchObject({ type: 'return', quantity: 2, quantityAfter: 10, reason: `Return ${ret.returnNumber}` });
+      expect(String(movement.order)).toBe(String(order._id));
+    });
+
+    it('should refund the return on the order\'s payment', async () => {
+      await Payment.create({
+        order: order._id,
+        customer: customer._id,
+        amount: 2388,
+        actualAmount: 2388,
+        method: 'card',
+        paymentGateway: 'manual',
+        status: 'completed'
+      });
+
+      await setStatus(ret, 'approved').expect(200);
+      await setStatus(ret, 'received').expect(200);
+      const res = await setStatus(ret, 'refunded').expect(200);
+
+      // Paid back by hand, so it completes at once
+      expect(res.body.data.return.status).toBe('refunded');
+
+      const payment = await Payment.findOne({ order: order._id });
+      expect(payment.status).toBe('partial_refund');
+      expect(payment.refunds[0]).toMatchObject({ amount: 2088, description: `Return ${ret.returnNumber}`, status: 'completed' });
+      expect((await Order.findById(order._id)).payment.status).toBe('partial_refund');
+    });
+
+    describe('refunded through M-Pesa', () => {
+      let daraja;
+
+      const postResult = (body) => request(app)
+        .post(darajaStub.callbackPath('refund/result'))
+        .send(body)
+        .expect(200);
+
+      beforeAll(async () => {
+        daraja = await darajaStub.start();
+        Object.assign(mpesaConfig, {
+          baseURL: daraja.url,
+          consumerKey: 'key',
+          consumerSecret: 'secret',
+          b2cShortCode: '600000',
+          initiatorName: 'testapi',
+          securityCredential: 'credential',
+          refundResultURL: 'http://localhost/api/v1/payments/mpesa/refund/result',
+          refundTimeoutURL: 'http://localhost/api/v1/payments/mpesa/refund/timeout',
+          callbackToken: darajaStub.CALLBACK_TOKEN,
+        });
+      });
+
+      afterAll(async () => {
+        await daraja.close();
+      });
+
+      beforeEach(async () => {
+        await Payment.create({
+          order: order._id,
+          customer: customer._id,
+          amount: 2388,
+          actualAmount: 2388,
+          method: 'mpesa',
+          status: 'completed',
+          mpesa: { phoneNumber: '254712345678', receiptNumber: 'QAB1C2D3E4' }
+        });
+
+        await setStatus(ret, 'approved').expect(200);
+        await setStatus(ret, 'received').expect(200);
+      });
+
+      const conversationOf = async () => (await Payment.findOne({ order: order._id })).refunds[0].conversationID;
+
+      it('should wait for the money to be back before marking the return refunded', async () => {
+        const res = await setStatus(ret, 'refunded').expect(200);
+        expect(res.body.data.return.status).toBe('refund_pending');
+
+        // Nothing more can be done to it meanwhile
+        await setStatus(ret, 'refunded').expect(409);
+
+        await postResult(darajaStub.refundResult(await conversationOf()));
+
+        const refunded = await Return.findById(ret._id);
+        expect(refunded.status).toBe('refunded');
+        expect(refunded.refundedAt).toBeDefined();
+        expect(refunded.statusHistory.map((entry) => entry.status)).toEqual(['requested', 'approved', 'received', 'refund_pending', 'refunded']);
+      });
+
+      it('should put the return back to received when its refund fails', async () => {
+        await setStatus(ret, 'refunded').expect(200);
+
+        await postResult(darajaStub.refundResult(await conversationOf(), { resultCode: 2001 }));
+
+        const current = await Return.findById(ret._id);
+        expect(current.status).toBe('received');
+        expect(current.refundedAt).toBeUndefined();
+
+        // And it can be refunded again
+        await setStatus(ret, 'refunded').expect(200);
+      });
+    });
+
+    it('should refuse to skip steps', async () => {
+      const res = await setStatus(ret, 'received').expect(409);
+      expect(res.body.message).toMatch(/Allowed next: approved, rejected/);
+    });
+
+    it('should require a reason to reject', async () => {
+      await setStatus(ret, 'rejected').expect(400);
+
+      const res = await setStatus(ret, 'rejected', { note: 'Outside warranty' }).expect(200);
+      expect(res.body.data.return).toMatchObject({ status: 'rejected', rejectionReason: 'Outside warranty' });
+    });
+
+    it('should restock only once when two admins receive the same return', async () => {
+      await setStatus(ret, 'approved').expect(200);
+
+      const results = await Promise.all([setStatus(ret, 'received'), setStatus(ret, 'received')]);
+
+      expect(results.map((res) => res.status).sort()).toEqual([200, 409]);
+      expect((await Product.findById(mug._id)).inventory.quantity).toBe(10);
+    });
+
+    it('should only allow admins', async () => {
+      await request(app)
+        .patch(`/api/v1/admin/returns/${ret._id}/status`)
+        .set('Authorization', auth)
+        .send({ status: 'approved' })
+        .expect(403);
+    });
+  });
+
+  describe('order history', () => {
+    it('should show the returns on each order and whether more can be returned', async () => {
+      const ret = (await requestReturn({ items: [{ item: lineOf(), quantity: 1 }], reason: 'damaged' }).expect(201)).body.data.return;
+
+      let res = await request(app)
+        .get('/api/v1/orders/my-orders')
+        .set('Authorization', auth)
+        .expect(200);
+
+      expect(res.body.data.orders[0].canReturn).toBe(true);
+      expect(res.body.data.orders[0].returns).toEqual([
+        expect.objectContaining({ returnNumber: ret.returnNumber, status: 'requested' })
+      ]);
+
+      await requestReturn({ items: [{ item: lineOf(), quantity: 1 }], reason: 'damaged' }).expect(201);
+
+      res = await request(app)
+        .get('/api/v1/orders/my-orders')
+        .set('Authorization', auth)
+        .expect(200);
+
+      expect(res.body.data.orders[0].canReturn).toBe(false);
+    });
+
+    it('should list an order\'s returns', async () => {
+      await requestReturn({ items: [{ item: lineOf(), quantity: 1 }], reason: 'damaged' }).expect(201);
+
+      const res = await request(app)
+        .get(`/api/v1/orders/${order._id}/returns`)
+        .set('Authorization', auth)
+        .expect(200);
+
+      expect(res.body.results).toBe(1);
+      expect(res.body.data.returnDeadline).toBeDefined();
+    });
+  });
+
+  it('should reject an illegal transition even when saved directly', async () => {
+    const ret = await Return.create({
+      order: order._id,
+      customer: customer._id,
+      items: [{ orderItem: order.items[0]._id, product: mug._id, name: 'Mug', price: 1000, quantity: 1, total: 1000 }],
+      reason: 'damaged',
+      refundAmount: 1044
+    });
+    ret.status = 'refunded';
+
+    await expect(ret.save()).rejects.toThrow(/Illegal return status transition from requested to refunded/);
+  });
+});
@@ -0,0 +1,182 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Session = require('../src/models/Session');
+const db = require('./helpers/db');
+
+describe('Refresh tokens and sessions', () => {
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+
+    await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123'
+    });
+  });
+
+  const login = (userAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) Chrome/120.0 Safari/537.36') => request(app)
+    .post('/api/v1/auth/login')
+    .set('User-Agent', userAgent)
+    .send({ email: 'jane@example.com', password: 'password123' })
+    .expect(200);
+
+  const refresh = (refreshToken) => request(app)
+    .post('/api/v1/auth/refresh-token')
+    .send({ refreshToken });
+
+  it('should issue a short-lived access token and a refresh token on login', async () => {
+    const res = await login();
+
+    expect(res.body.token).toBeDefined();
+    expect(res.body.refreshToken).toBeDefined();
+    expect(res.body.expiresIn).toBeLessThanOrEqual(15 * 60);
+    expect(res.headers['set-cookie'].some((c) => c.startsWith('refreshToken='))).toBe(true);
+
+    const session = await Session.findById(res.body.refreshToken.split('.')[0]).select('+refreshTokenHash');
+    expect(session.refreshTokenHash).not.toContain(res.body.refreshToken.split('.')[1]);
+  });
+
+  it('should rotate the refresh token on every use', async () => {
+    const { body } = await login();
+
+    const first = await refresh(body.refreshToken).expect(200);
+    expect(first.body.refreshToken).not.toBe(body.refreshToken);
+
+    const second = await refresh(first.body.refreshToken).expect(200);
+
+    await request(app)
+      .get('/api/v1/auth/me')
+      .set('Authorization', `Bearer ${second.body.token}`)
+      .expect(200);
+  });
+
+  it('should also accept the refresh token cookie', async () => {
+    const res = await login();
+    const cookie = res.headers['set-cookie'].find((c) => c.startsWith('refreshToken=')).split(';')[0];
+
+    await request(app)
+      .post('/api/v1/auth/refresh-token')
+      .set('Cookie', cookie)
+      .expect(200);
+  });
+
+  it('should revoke the whole family when an old refresh token is reused', async () => {
+    const { body } = await login();
+    const rotated = await refresh(body.refreshToken).expect(200);
+    await Session.updateOne({ _id: body.refreshToken.split('.')[0] }, { lastUsedAt: Date.now() - 60 * 1000 });
+
+    // Replaying the spent token looks like theft
+    await refresh(body.refreshToken).expect(401);
+
+    // ...so the legitimate holder is logged out too
+    await refresh(rotated.body.refreshToken).expect(401);
+    await request(app)
+      .get('/api/v1/auth/me')
+      .set('Authorization', `Bearer ${rotated.body.token}`)
+      .expect(401);
+
+    const session = await Session.findById(body.refreshToken.split('.')[0]);
+    expect(session.revokedReason).toBe('token_reuse');
+  });
+
+  it('should only let one of two concurrent refreshes win without ending the session', async () => {
+    const { body } = await login();
+
+    const results = await Promise.all([refresh(body.refreshToken), refresh(body.refreshToken)]);
+    expect(results.map((r) => r.status).sort()).toEqual([200, 401]);
+
+    const winner = results.find((r) => r.status === 200);
+    await refresh(winner.body.refreshToken).expect(200);
+  });
+
+  it('should list sessions and revoke other devices', async () => {
+    const laptop = await login();
+    const phone = await login('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1');
+
+    const list = await request(app)
+      .get('/api/v1/auth/sessions')
+      .set('Authorization', `Bearer ${laptop.body.token}`)
+      .expect(200);
+
+    expect(list.body.results).toBe(2);
+    const current = list.body.data.sessions.find((s) => s.current);
+    const other = list.body.data.sessions.find((s) => !s.current);
+    expect(current.device.os).toBe('macOS');
+    expect(other.device.type).toBe('mobile');
+
+    await request(app)
+      .delete(`/api/v1/auth/sessions/${other._id}`)
+      .set('Authorization', `Bearer ${laptop.body.token}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/v1/auth/me')
+      .set('Authorization', `Bearer ${phone.body.token}`)
+      .expect(401);
+    await refresh(phone.body.refreshToken).expect(401);
+
+    await request(app)
+      .get('/api/v1/auth/me')
+      .set('Authorization', `Bearer ${laptop.body.token}`)
+      .expect(200);
+  });
+
+  it('should not let users revoke sessions belonging to someone else', async () => {
+    const jane = await login();
+    await User.create({
+      firstName: 'John',
+      lastName: 'Doe',
+      email: 'john@example.com',
+      phone: '254722222222',
+      password: 'password123'
+    });
+    const john = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'john@example.com', password: 'password123' })
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/v1/auth/sessions/${jane.body.refreshToken.split('.')[0]}`)
+      .set('Authorization', `Bearer ${john.body.token}`)
+      .expect(404);
+  });
+
+  it('should end the session on logout', async () => {
+    const { body } = await login();
+
+    await request(app)
+      .post('/api/v1/auth/logout')
+      .send({ refreshToken: body.refreshToken })
+      .expect(200);
+
+    await refresh(body.refreshToken).expect(401);
+    await request(app)
+      .get('/api/v1/auth/me')
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(401);
+  });
+
+  it('should refuse an access token that belongs to no session', async () => {
+    const user = await User.findOne({ email: 'jane@example.com' });
+    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: '15m' });
+
+    await request(app)
+      .get('/api/v1/auth/me')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(401);
+  });
+});
@@ -0,0 +1,167 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Cart = require('../src/models/Cart');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+const { createProduct } = require('./helpers/fixtures');
+
+describe('Shipping', () => {
+  let user;
+  let auth;
+  let novel;
+  let kettle;
+  let vase;
+  let sofa;
+  let giftCard;
+
+  const quote = (items, extra = {}) => request(app)
+    .post('/api/v1/shipping/quote')
+    .send({ items: items.map(([product, quantity = 1]) => ({ productId: product._id, quantity })), ...extra });
+
+  const optionFor = (res, method) => res.body.data.quote.options.find((option) => option.method === method);
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+
+    user = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123',
+      isVerified: true
+    });
+    auth = `Bearer ${await loginToken(user)}`;
+
+    novel = await createProduct({ name: 'Novel', price: 1000, dimensions: { weight: 1 } });
+    kettle = await createProduct({ name: 'Kettle', price: 2500, dimensions: { weight: 2 } });
+    vase = await createProduct({ name: 'Vase', price: 1500, dimensions: { weight: 1 }, shipping: { shippingClass: 'fragile' } });
+    sofa = await createProduct({ name: 'Sofa', price: 40000, dimensions: { weight: 20 }, shipping: { shippingClass: 'bulky' } });
+    giftCard = await createProduct({ name: 'Gift card', price: 500, shipping: { freeShipping: true } });
+  });
+
+  describe('quotes', () => {
+    it('should price standard delivery by the county\'s zone', async () => {
+      const nairobi = await quote([[novel]], { county: 'Nairobi' }).expect(200);
+      const mombasa = await quote([[novel]], { county: 'mombasa county' }).expect(200);
+      const turkana = await quote([[novel]], { county: 'Turkana' }).expect(200);
+
+      expect(nairobi.body.data.quote).toMatchObject({ zone: { code: 'nairobi', estimated: false }, method: 'standard', fee: 300 });
+      expect(mombasa.body.data.quote).toMatchObject({ zone: { code: 'major_towns' }, fee: 450 });
+      expect(turkana.body.data.quote).toMatchObject({ zone: { code: 'rest_of_kenya' }, fee: 600 });
+    });
+
+    it('should estimate for Nairobi until a county is given', async () => {
+      const res = await quote([[novel]]).expect(200);
+      expect(res.body.data.quote).toMatchObject({ county: null, zone: { code: 'nairobi', estimated: true }, fee: 300 });
+    });
+
+    it('should charge by weight band and per kg beyond the last band', async () => {
+      const sixKg = await quote([[kettle, 3]], { county: 'Nairobi' }).expect(200);
+      const twelveKg = await quote([[kettle, 6]], { county: 'Nairobi' }).expect(200);
+
+      expect(sixKg.body.data.quote).toMatchObject({ weight: 6, fee: 550 });
+      // 10 kg band plus 2 extra kg at 40
+      expect(twelveKg.body.data.quote).toMatchObject({ weight: 12, fee: 630 });
+    });
+
+    it('should add the express surcharge where express is offered', async () => {
+      const nairobi = await quote([[novel]], { county: 'Nairobi', method: 'express' }).expect(200);
+      expect(nairobi.body.data.quote).toMatchObject({ method: 'express', fee: 550 });
+
+      const turkana = await quote([[novel]], { county: 'Turkana', method: 'express' }).expect(200);
+      expect(turkana.body.data.quote).toMatchObject({ method: 'standard', fee: 600 });
+      expect(optionFor(turkana, 'express')).toMatchObject({ available: false, fee: null });
+    });
+
+    it('should ship free above the threshold, except express', async () => {
+      const res = await quote([[kettle, 3]], { county: 'Nairobi' }).expect(200);
+
+      expect(res.body.data.quote.subtotal).toBe(7500);
+      expect(optionFor(res, 'standard').fee).toBe(0);
+      expect(optionFor(res, 'pickup').fee).toBe(0);
+      expect(optionFor(res, 'express').fee).toBe(800);
+    });
+
+    it('should leave free shipping products out of the weight', async () => {
+      const alone = await quote([[giftCard, 2]], { county: 'Turkana' }).expect(200);
+      const mixed = await quote([[giftCard, 2], [novel]], { county: 'Turkana' }).expect(200);
+
+      expect(alone.body.data.quote).toMatchObject({ weight: 0, fee: 0 });
+      expect(mixed.body.data.quote).toMatchObject({ weight: 1, fee: 600 });
+    });
+
+    it('should price each shipping class on its own table', async () => {
+      const fragile = await quote([[vase]], { county: 'Nairobi' }).expect(200);
+      expect(fragile.body.data.quote.fee).toBe(450);
+
+      // Bulky goods are charged over the threshold and can't go to a pickup station
+      const bulky = await quote([[sofa], [novel]], { county: 'Nairobi', method: 'pickup' }).expect(200);
+      expect(bulky.body.data.quote).toMatchObject({ method: 'standard', fee: 1500 });
+      expect(optionFor(bulky, 'pickup')).toMatchObject({ available: false });
+    });
+
+    it('should reject bad requests', async () => {
+      await request(app).post('/api/v1/shipping/quote').send({ county: 'Nairobi' }).expect(400);
+      await quote([[novel, 0]]).expect(400);
+      await quote([[novel]], { method: 'drone' }).expect(400);
+    });
+  });
+
+  describe('cart and checkout', () => {
+    const placeOrder = (body) => request(app)
+      .post('/api/v1/orders')
+      .set('Authorization', auth)
+      .send({
+        paymentMethod: 'mpesa',
+        shippingAddress: {
+          name: 'Jane Doe',
+          phone: '254712345678',
+          address: 'Moi Avenue',
+          city: 'Mombasa',
+          county: 'Mombasa'
+        },
+        ...body
+      });
+
+    beforeEach(async () => {
+      await Cart.create({
+        user: user._id,
+        items: [{ product: novel._id, name: novel.name, sku: novel.sku, price: novel.price, quantity: 1 }]
+      });
+    });
+
+    it('should price the cart\'s shipping with the engine', async () => {
+      const res = await request(app).get('/api/v1/cart').set('Authorization', auth).expect(200);
+      expect(res.body.data.cart.totals.shipping).toBe(300);
+    });
+
+    it('should charge the chosen method to the delivery county at checkout', async () => {
+      const res = await placeOrder({ deliveryMethod: 'express' }).expect(201);
+
+      const { order } = res.body.data;
+      expect(order.summary.shipping).toBe(850);
+      expect(order.delivery).toMatchObject({ method: 'express', zone: 'major_towns' });
+    });
+
+    it('should refuse a method the county doesn\'t get', async () => {
+      const res = await placeOrder({
+        deliveryMethod: 'express',
+        shippingAddress: { name: 'Jane Doe', phone: '254712345678', address: 'Main Street', city: 'Lodwar', county: 'Turkana' }
+      }).expect(400);
+
+      expect(res.body.message).toMatch(/isn't available in Rest of Kenya/);
+    });
+  });
+});
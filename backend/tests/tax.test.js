@@ -0,0 +1,276 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const Category = require('../src/models/Category');
+const Cart = require('../src/models/Cart');
+const Order = require('../src/models/Order');
+const taxService = require('../src/services/tax/taxService');
+const { invoiceData } = require('../src/services/orders/invoiceService');
+const { taxConfig } = require('../src/config/tax');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+const { createProduct, cartItem } = require('./helpers/fixtures');
+
+describe('Tax', () => {
+  let customer;
+  let auth;
+  let admin;
+  let adminAuth;
+  let kettle;
+  let flour;
+  let textbook;
+
+  const getCart = () => request(app).get('/api/v1/cart').set('Authorization', auth).expect(200)
+    .then((res) => res.body.data.cart);
+
+  const placeOrder = () => request(app)
+    .post('/api/v1/orders')
+    .set('Authorization', auth)
+    .send({
+      paymentMethod: 'mpesa',
+      shippingAddress: { name: 'Jane Doe', phone: '254712345678', address: 'Moi Avenue', city: 'Nairobi', county: 'Nairobi' }
+    });
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+
+    customer = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123',
+      isVerified: true
+    });
+    auth = `Bearer ${await loginToken(customer)}`;
+
+    admin = await User.create({
+      firstName: 'Ada',
+      lastName: 'Admin',
+      email: 'admin@example.com',
+      phone: '254722222222',
+      password: 'password123',
+      role: 'admin'
+    });
+    adminAuth = `Bearer ${await loginToken(admin)}`;
+
+    const kitchen = await Category.create({ name: 'Kitchen', createdBy: admin._id });
+    const food = await Category.create({ name: 'Food', taxClass: 'zero_rated', createdBy: admin._id });
+    const education = await Category.create({ name: 'Education', taxClass: 'exempt', createdBy: admin._id });
+    const textbooks = await Category.create({ name: 'Textbooks', parent: education._id, createdBy: admin._id });
+
+    kettle = await createProduct({ name: 'Kettle', price: 2500, category: kitchen._id });
+    flour = await createProduct({ name: 'Flour', price: 200, category: food._id });
+    textbook = await createProduct({ name: 'Textbook', price: 1000, category: textbooks._id });
+
+    await Cart.create({ user: customer._id, items: [cartItem(kettle), cartItem(flour, 2), cartItem(textbook)] });
+  });
+
+  describe('classes', () => {
+    it('should tax each line in its class, inheriting from parent categories', async () => {
+      const cart = await getCart();
+
+      expect(cart.items.map((item) => item.tax)).toEqual([
+        { taxClass: 'standard', rate: 0.16, taxableAmount: 2500, tax: 400 },
+        { taxClass: 'zero_rated', rate: 0, taxableAmount: 400, tax: 0 },
+        { taxClass: 'exempt', rate: 0, taxableAmount: 1000, tax: 0 }
+      ]);
+      expect(cart.totals).toMatchObject({
+        subtotal: 3900,
+        shipping: 300,
+        shippingTax: { taxClass: 'standard', taxableAmount: 300, tax: 48 },
+        tax: 448,
+        taxIncluded: false,
+        total: 4648
+      });
+      expect(cart.totals.taxBreakdown).toEqual([
+        { taxClass: 'standard', rate: 0.16, taxableAmount: 2800, tax: 448 },
+        { taxClass: 'zero_rated', rate: 0, taxableAmount: 400, tax: 0 },
+        { taxClass: 'exempt', rate: 0, taxableAmount: 1000, tax: 0 }
+      ]);
+    });
+
+    it('should let a product override its category', async () => {
+      await Product.updateOne({ _id: textbook._id }, { taxClass: 'standard' });
+
+      const cart = await getCart();
+      expect(cart.items[2].tax).toMatchObject({ taxClass: 'standard', tax: 160 });
+    });
+
+    it('should refuse unknown tax classes', async () => {
+      await expect(createProduct({ name: 'Yacht', price: 1, category: kettle.category, taxClass: 'luxury' }))
+        .rejects.toThrow(/is not a tax class/);
+    });
+
+    it('should show products with the class they are taxed in', async () => {
+      const res = await request(app).get(`/api/v1/products/${textbook._id}`).expect(200);
+      expect(res.body.data.product.tax).toMatchObject({ code: 'exempt', rate: 0, exempt: true });
+    });
+
+    it('should publish the tax settings', async () => {
+      const res = await request(app).get('/api/v1/tax/settings').expect(200);
+
+      expect(res.body.data.settings).toMatchObject({ pricesIncludeTax: false, defaultClass: 'standard', shippingClass: 'standard' });
+      expect(res.body.data.settings.classes).toContainEqual({ code: 'standard', name: 'Standard rate', rate: 0.16, exempt: false });
+    });
+  });
+
+  describe('discounts and rounding', () => {
+    it('should split discounts over the lines by value, in whole cents', () => {
+      expect(taxService.allocate(100, [2500, 400, 1000])).toEqual([64.1, 10.26, 25.64]);
+      expect(taxService.allocate(0.01, [1, 1, 1])).toEqual([0.01, 0, 0]);
+    });
+
+    it('should take discounts off before tax, and shipping coupons off delivery', async () => {
+      const cart = await Cart.findOne({ user: customer._id });
+      cart.totals.discount = 400;
+      cart.appliedCoupons = [{ code: 'FREESHIP', type: 'shipping', value: 0, discount: 300 }];
+
+      const tax = await taxService.taxCart(cart);
+
+      expect(tax.items[0]).toEqual({ taxClass: 'standard', rate: 0.16, taxableAmount: 2435.9, tax: 389.74 });
+      expect(tax.shipping).toMatchObject({ taxableAmount: 0, tax: 0 });
+      expect(tax.tax).toBe(389.74);
+    });
+
+    it('should work VAT out of tax-inclusive prices', async () => {
+      taxConfig.pricesIncludeTax = true;
+
+      try {
+        const cart = await getCart();
+
+        expect(cart.items[0].tax).toEqual({ taxClass: 'standard', rate: 0.16, taxableAmount: 2155.17, tax: 344.83 });
+        expect(cart.totals).toMatchObject({ tax: 386.21, taxIncluded: true, total: 4200 });
+      } finally {
+        taxConfig.pricesIncludeTax = false;
+      }
+    });
+  });
+
+  describe('orders and invoices', () => {
+    it('should charge the order exactly what the cart came to', async () => {
+      const cart = await getCart();
+      const res = await placeOrder().expect(201);
+
+      const { order } = res.body.data;
+      expect(order.summary).toMatchObject({
+        subtotal: cart.totals.subtotal,
+        shipping: cart.totals.shipping,
+        tax: cart.totals.tax,
+        total: cart.totals.total,
+        taxBreakdown: cart.totals.taxBreakdown
+      });
+      expect(order.items.map((item) => item.tax)).toEqual(cart.items.map((item) => item.tax));
+      expect(order.payment.amount).toBe(4648);
+    });
+
+    it('should keep each variant line\'s own VAT', async () => {
+      const sizes = [{ name: 'Size', value: 'M' }, { name: 'Size', value: 'L', priceAdjustment: 500 }];
+      await Cart.updateOne(
+        { user: customer._id },
+        { items: sizes.map((variant) => ({ ...cartItem(kettle), variant })) }
+      );
+
+      const cart = await getCart();
+      expect(cart.items[0].tax).not.toBe(cart.items[1].tax);
+
+      const { order } = (await placeOrder().expect(201)).body.data;
+      expect(order.items.map((item) => item.tax)).toEqual(cart.items.map((item) => item.tax));
+      expect(order.summary.tax).toBe(cart.totals.tax);
+    });
+
+    it('should put each line\'s VAT and the VAT per class on the invoice', async () => {
+      const res = await placeOrder().expect(201);
+      const order = await Order.findById(res.body.data.order._id);
+      order.invoice = { number: 'INV-2026-000001', issuedAt: new Date() };
+
+      const invoice = await invoiceData(order);
+
+      expect(invoice.items.map((item) => [item.vatRate, item.vat])).toEqual([[0.16, 400], [0, 0], [0, 0]]);
+      expect(invoice.totals).toMatchObject({ shippingVat: 48, vat: 448, vatIncluded: false, total: 4648 });
+      expect(invoice.totals.vatBreakdown).toEqual([
+        { vatClass: 'standard', name: 'Standard rate', exempt: false, rate: 0.16, taxableValue: 2800, vat: 448 },
+        { vatClass: 'zero_rated', name: 'Zero rated', exempt: false, rate: 0, taxableValue: 400, vat: 0 },
+        { vatClass: 'exempt', name: 'Exempt', exempt: true, rate: 0, taxableValue: 1000, vat: 0 }
+      ]);
+    });
+  });
+
+  describe('VAT report', () => {
+    const createOrder = (overrides = {}) => Order.create({
+      customer: customer._id,
+      items: [{ product: kettle._id, name: 'Kettle', sku: kettle.sku, price: 1000, quantity: 1, total: 1000 }],
+      summary: {
+        subtotal: 1000,
+        tax: 160,
+        shipping: 0,
+        total: 1160,
+        taxBreakdown: [{ taxClass: 'standard', rate: 0.16, taxableAmount: 1000, tax: 160 }]
+      },
+      shippingAddress: { name: 'Jane Doe', phone: '0711000111', address: 'Moi Avenue', city: 'Nairobi', county: 'Nairobi' },
+      payment: { method: 'mpesa', status: 'paid', amount: 1160 },
+      status: 'confirmed',
+      invoice: { number: `INV-${new mongoose.Types.ObjectId()}`, issuedAt: new Date('2026-10-05T09:00:00Z') },
+      ...overrides
+    });
+
+    const report = (query) => request(app)
+      .get('/api/v1/admin/reports/vat')
+      .set('Authorization', adminAuth)
+      .query(query);
+
+    it('should add up the VAT on the period\'s invoices per class and month', async () => {
+      await createOrder();
+      await createOrder({
+        summary: {
+          subtotal: 600,
+          tax: 0,
+          shipping: 0,
+          total: 600,
+          taxBreakdown: [{ taxClass: 'zero_rated', rate: 0, taxableAmount: 600, tax: 0 }]
+        },
+        invoice: { number: 'INV-2', issuedAt: new Date('2026-11-10T09:00:00Z') }
+      });
+      // Placed before tax classes: standard rate on the goods
+      await createOrder({
+        summary: { subtotal: 2000, tax: 320, shipping: 300, total: 2620 },
+        invoice: { number: 'INV-3', issuedAt: new Date('2026-11-30T20:30:00Z') }
+      });
+      // Cancelled, or invoiced outside the period (1 Dec in Nairobi)
+      await createOrder({ status: 'cancelled' });
+      await createOrder({ invoice: { number: 'INV-5', issuedAt: new Date('2026-11-30T21:30:00Z') } });
+
+      const res = await report({ from: '2026-10-01', to: '2026-11-30' }).expect(200);
+
+      const { report: vat } = res.body.data;
+      expect(vat.invoices).toBe(3);
+      expect(vat.classes).toEqual(expect.arrayContaining([
+        expect.objectContaining({ vatClass: 'standard', rate: 0.16, taxableValue: 3000, vat: 480 }),
+        expect.objectContaining({ vatClass: 'zero_rated', rate: 0, taxableValue: 600, vat: 0 })
+      ]));
+      expect(vat.months).toEqual([
+        { month: '2026-10', taxableValue: 1000, vat: 160 },
+        { month: '2026-11', taxableValue: 2600, vat: 320 }
+      ]);
+      expect(vat.totals).toEqual({ taxableValue: 3600, vat: 480 });
+    });
+
+    it('should reject bad periods and non-admins', async () => {
+      await report({ from: '2026-02-31' }).expect(400);
+      await report({ from: '2026-11-01', to: '2026-10-01' }).expect(400);
+      await request(app).get('/api/v1/admin/reports/vat').set('Authorization', auth).expect(403);
+    });
+  });
+});
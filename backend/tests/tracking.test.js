@@ -0,0 +1,217 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Order = require('../src/models/Order');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+
+describe('Order tracking', () => {
+  let customer;
+  let auth;
+  let admin;
+  let adminAuth;
+  let order;
+
+  const createOrder = (overrides = {}) => Order.create({
+    customer: customer._id,
+    items: [{
+      product: new mongoose.Types.ObjectId(),
+      name: 'Mug',
+      sku: 'MUG-1',
+      price: 1000,
+      quantity: 2,
+      total: 2000
+    }],
+    summary: { subtotal: 2000, tax: 320, shipping: 300, total: 2620 },
+    shippingAddress: {
+      name: 'Jane Doe',
+      phone: '0711000111',
+      address: 'Moi Avenue',
+      city: 'Nairobi',
+      county: 'Nairobi'
+    },
+    payment: { method: 'cod', amount: 2620 },
+    status: 'processing',
+    statusHistory: [{ status: 'pending', note: 'Order placed', actor: 'customer', timestamp: new Date(Date.now() - 60 * 60 * 1000) }],
+    ...overrides
+  });
+
+  const addShipment = (body = { carrier: 'G4S', trackingNumber: 'G4S-001' }) => request(app)
+    .post(`/api/v1/admin/orders/${order._id}/shipments`)
+    .set('Authorization', adminAuth)
+    .send(body);
+
+  const addEvent = (shipmentId, body) => request(app)
+    .post(`/api/v1/admin/orders/${order._id}/shipments/${shipmentId}/events`)
+    .set('Authorization', adminAuth)
+    .send(body);
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+
+    customer = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123',
+      isVerified: true
+    });
+    auth = `Bearer ${await loginToken(customer)}`;
+
+    admin = await User.create({
+      firstName: 'Ada',
+      lastName: 'Admin',
+      email: 'admin@example.com',
+      phone: '254722222222',
+      password: 'password123',
+      role: 'admin'
+    });
+    adminAuth = `Bearer ${await loginToken(admin)}`;
+
+    order = await createOrder();
+  });
+
+  describe('shipments', () => {
+    it('should add a shipment and mirror it onto the order\'s tracking', async () => {
+      const res = await addShipment({ carrier: 'G4S', trackingNumber: 'G4S-001', url: 'https://track.example.com/G4S-001' }).expect(201);
+
+      expect(res.body.data.shipment).toMatchObject({ carrier: 'G4S', trackingNumber: 'G4S-001' });
+      expect(res.body.data.shipment.events[0].status).toBe('label_created');
+      expect(res.body.data.order.tracking).toMatchObject({ number: 'G4S-001', carrier: 'G4S' });
+    });
+
+    it('should refuse a tracking number the order already has', async () => {
+      await addShipment().expect(201);
+      await addShipment().expect(409);
+    });
+
+    it('should refuse shipments for cancelled orders', async () => {
+      order = await createOrder({ status: 'cancelled' });
+      await addShipment().expect(409);
+    });
+
+    it('should ship the order when the carrier picks the parcel up', async () => {
+      const shipment = (await addShipment().expect(201)).body.data.shipment;
+
+      const res = await addEvent(shipment._id, { status: 'picked_up', location: 'Nairobi hub' }).expect(201);
+
+      expect(res.body.data.order.status).toBe('shipped');
+      expect(res.body.data.order.tracking.shippedAt).toBeDefined();
+    });
+
+    it('should deliver the order only once every shipment is delivered', async () => {
+      const first = (await addShipment().expect(201)).body.data.shipment;
+      const second = (await addShipment({ carrier: 'G4S', trackingNumber: 'G4S-002' }).expect(201)).body.data.shipment;
+      await addEvent(first._id, { status: 'in_transit' }).expect(201);
+
+      let res = await addEvent(first._id, { status: 'delivered', location: 'Westlands' }).expect(201);
+      expect(res.body.data.order.status).toBe('shipped');
+
+      res = await addEvent(second._id, { status: 'delivered', location: 'Westlands' }).expect(201);
+      expect(res.body.data.order.status).toBe('delivered');
+      expect(res.body.data.order.payment.status).toBe('paid');
+    });
+
+    it('should reject unknown event statuses and future timestamps', async () => {
+      const shipment = (await addShipment().expect(201)).body.data.shipment;
+
+      await addEvent(shipment._id, { status: 'teleported' }).expect(400);
+      await addEvent(shipment._id, { status: 'in_transit', timestamp: new Date(Date.now() + 60 * 60 * 1000) }).expect(400);
+      await addEvent(new mongoose.Types.ObjectId(), { status: 'in_transit' }).expect(404);
+    });
+
+    it('should only allow admins', async () => {
+      await request(app)
+        .post(`/api/v1/admin/orders/${order._id}/shipments`)
+        .set('Authorization', auth)
+        .send({ carrier: 'G4S', trackingNumber: 'G4S-001' })
+        .expect(403);
+    });
+  });
+
+  describe('timeline', () => {
+    beforeEach(async () => {
+      const shipment = (await addShipment().expect(201)).body.data.shipment;
+      await addEvent(shipment._id, { status: 'in_transit', location: 'Nakuru' }).expect(201);
+    });
+
+    it('should merge status changes and scans, newest first', async () => {
+      const res = await request(app)
+        .get(`/api/v1/orders/${order._id}/tracking`)
+        .set('Authorization', auth)
+        .expect(200);
+
+      const { timeline, shipments, statusHistory } = res.body.data;
+      expect(shipments[0].events.map((event) => event.status)).toEqual(['in_transit', 'label_created']);
+      expect(statusHistory.map((entry) => entry.status)).toEqual(['pending', 'shipped']);
+      expect(timeline.map((entry) => `${entry.type}:${entry.status}`).sort()).toEqual([
+        'shipment:in_transit',
+        'shipment:label_created',
+        'status:pending',
+        'status:shipped'
+      ]);
+      const times = timeline.map((entry) => new Date(entry.timestamp).getTime());
+      expect(times).toEqual([...times].sort((a, b) => b - a));
+      expect(timeline.at(-1).status).toBe('pending');
+      expect(timeline.find((entry) => entry.status === 'in_transit')).toMatchObject({ location: 'Nakuru', carrier: 'G4S', trackingNumber: 'G4S-001' });
+      expect(timeline.every((entry) => entry.updatedBy === undefined)).toBe(true);
+    });
+
+    it('should not show other customers\' orders', async () => {
+      const other = await User.create({
+        firstName: 'Sam',
+        lastName: 'Other',
+        email: 'sam@example.com',
+        phone: '254733333333',
+        password: 'password123'
+      });
+
+      await request(app)
+        .get(`/api/v1/orders/${order._id}/tracking`)
+        .set('Authorization', `Bearer ${await loginToken(other)}`)
+        .expect(404);
+    });
+
+    it('should let guests track by order number and delivery phone', async () => {
+      const res = await request(app)
+        .post('/api/v1/orders/track')
+        .send({ orderNumber: order.orderNumber.toLowerCase(), phone: '+254 711 000 111' })
+        .expect(200);
+
+      expect(res.body.data).toMatchObject({ orderNumber: order.orderNumber, status: 'shipped' });
+      expect(res.body.data.shippingAddress).toBeUndefined();
+    });
+
+    it('should accept the customer\'s account phone too', async () => {
+      await request(app)
+        .post('/api/v1/orders/track')
+        .send({ orderNumber: order.orderNumber, phone: '0712345678' })
+        .expect(200);
+    });
+
+    it('should not say whether the order number or the phone was wrong', async () => {
+      const wrongPhone = await request(app)
+        .post('/api/v1/orders/track')
+        .send({ orderNumber: order.orderNumber, phone: '0799999999' })
+        .expect(404);
+      const wrongNumber = await request(app)
+        .post('/api/v1/orders/track')
+        .send({ orderNumber: 'SS-2000-999999', phone: '0711000111' })
+        .expect(404);
+
+      expect(wrongPhone.body.message).toBe(wrongNumber.body.message);
+    });
+  });
+});
@@ -0,0 +1,272 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { authenticator } = require('otplib');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Order = require('../src/models/Order');
+const EmailService = require('../src/services/email/emailService');
+const { authConfig } = require('../src/config/auth');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+
+describe('Two-factor authentication', () => {
+  const realNow = Date.now;
+  let step = 0;
+
+  // TOTP codes are single use per 30s step, so move the clock between codes
+  const nextCode = (secret) => {
+    step += 1;
+    const now = realNow() + step * 30 * 1000;
+    Date.now = () => now;
+    return authenticator.generate(secret);
+  };
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    step = 0;
+    Date.now = realNow;
+    authConfig.twoFactor.requiredRoles = ['super_admin'];
+
+    await User.create({
+      firstName: 'Ada',
+      lastName: 'Admin',
+      email: 'admin@example.com',
+      phone: '254722222222',
+      password: 'password123',
+      role: 'admin'
+    });
+  });
+
+  afterEach(() => {
+    Date.now = realNow;
+    jest.restoreAllMocks();
+  });
+
+  const login = (email = 'admin@example.com') => request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password: 'password123' })
+    .expect(200);
+
+  const enrol = async () => {
+    const { body } = await login();
+    const auth = `Bearer ${body.token}`;
+
+    const setup = await request(app).post('/api/v1/auth/2fa/setup').set('Authorization', auth).expect(200);
+    const { secret } = setup.body.data;
+    expect(setup.body.data.qrCode).toMatch(/^data:image\/png;base64,/);
+
+    const enabled = await request(app)
+      .post('/api/v1/auth/2fa/enable')
+      .set('Authorization', auth)
+      .send({ code: nextCode(secret) })
+      .expect(200);
+
+    return { secret, token: enabled.body.token, recoveryCodes: enabled.body.data.recoveryCodes };
+  };
+
+  const verify = (challengeToken, body) => request(app)
+    .post('/api/v1/auth/2fa/verify')
+    .send({ challengeToken, ...body });
+
+  it('should enrol with a code and return single-view recovery codes', async () => {
+    const { recoveryCodes, token } = await enrol();
+
+    expect(recoveryCodes).toHaveLength(authConfig.twoFactor.recoveryCodeCount);
+
+    const status = await request(app)
+      .get('/api/v1/auth/2fa/status')
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+    expect(status.body.data.enabled).toBe(true);
+    expect(status.body.data.recoveryCodesRemaining).toBe(recoveryCodes.length);
+
+    const user = await User.findOne({ email: 'admin@example.com' }).select('+twoFactor.secret');
+    expect(user.twoFactor.secret).not.toContain(recoveryCodes[0]);
+  });
+
+  it('should answer a password login with a challenge and issue tokens after the code', async () => {
+    const { secret } = await enrol();
+
+    const { body } = await login();
+    expect(body.token).toBeUndefined();
+    expect(body.data.twoFactorRequired).toBe(true);
+
+    const res = await verify(body.data.challengeToken, { code: nextCode(secret) }).expect(200);
+    expect(res.body.token).toBeDefined();
+
+    await request(app)
+      .get('/api/v1/admin/dashboard')
+      .set('Authorization', `Bearer ${res.body.token}`)
+      .expect((r) => expect(r.status).not.toBe(401));
+  });
+
+  it('should not accept a challenge token in place of a login', async () => {
+    await enrol();
+    const { body } = await login();
+
+    await request(app)
+      .get('/api/v1/users/me')
+      .set('Authorization', `Bearer ${body.data.challengeToken}`)
+      .expect(401);
+
+    await request(app)
+      .get('/api/v1/auth/sessions')
+      .set('Cookie', `jwt=${body.data.challengeToken}`)
+      .expect(401);
+  });
+
+  it('should not accept the same code twice', async () => {
+    const { secret } = await enrol();
+    const code = nextCode(secret);
+
+    const first = await login();
+    await verify(first.body.data.challengeToken, { code }).expect(200);
+
+    const second = await login();
+    await verify(second.body.data.challengeToken, { code }).expect(401);
+  });
+
+  it('should accept each recovery code only once', async () => {
+    const { recoveryCodes } = await enrol();
+
+    const first = await login();
+    await verify(first.body.data.challengeToken, { recoveryCode: recoveryCodes[0] }).expect(200);
+
+    const second = await login();
+    await verify(second.body.data.challengeToken, { recoveryCode: recoveryCodes[0] }).expect(401);
+  });
+
+  it('should lock the second factor after repeated wrong codes', async () => {
+    const { secret } = await enrol();
+    const { body } = await login();
+
+    for (let i = 0; i < authConfig.twoFactor.maxAttempts; i += 1) {
+      await verify(body.data.challengeToken, { code: '000000' }).expect(401);
+    }
+
+    await verify(body.data.challengeToken, { code: nextCode(secret) }).expect(429);
+  });
+
+  it('should count parallel wrong codes against the same limit', async () => {
+    await enrol();
+    const { body } = await login();
+    const { maxAttempts } = authConfig.twoFactor;
+
+    const results = await Promise.all(
+      Array.from({ length: maxAttempts + 3 }, () => verify(body.data.challengeToken, { code: '000000' }))
+    );
+
+    const statuses = results.map((res) => res.status);
+    expect(statuses.filter((status) => status === 401)).toHaveLength(maxAttempts);
+    expect(statuses.filter((status) => status === 429)).toHaveLength(3);
+  });
+
+  it('should ask for the second factor after a password reset', async () => {
+    const { secret } = await enrol();
+    const sendPasswordReset = jest.spyOn(EmailService.prototype, 'sendPasswordReset').mockResolvedValue({});
+    jest.spyOn(EmailService.prototype, 'sendPasswordChanged').mockResolvedValue({});
+
+    await request(app).post('/api/v1/auth/forgot-password').send({ email: 'admin@example.com' }).expect(200);
+    const token = new URL(sendPasswordReset.mock.instances[0].url).searchParams.get('token');
+
+    const { body } = await request(app)
+      .patch(`/api/v1/auth/reset-password/${token}`)
+      .send({ password: 'newpassword456' })
+      .expect(200);
+
+    expect(body.token).toBeUndefined();
+    expect(body.data.twoFactorRequired).toBe(true);
+
+    await verify(body.data.challengeToken, { code: nextCode(secret) }).expect(200);
+  });
+
+  it('should keep a session without the second factor out of admin routes', async () => {
+    await enrol();
+
+    // Simulate an access token issued before the code was checked
+    const admin = await User.findOne({ email: 'admin@example.com' });
+
+    await request(app)
+      .get('/api/v1/admin/dashboard')
+      .set('Authorization', `Bearer ${await loginToken(admin)}`)
+      .expect(401);
+  });
+
+  it('should keep a session without the second factor out of other customers\' orders', async () => {
+    await enrol();
+    const admin = await User.findOne({ email: 'admin@example.com' });
+    const auth = `Bearer ${await loginToken(admin)}`;
+
+    const customer = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123'
+    });
+    const order = await Order.create({
+      customer: customer._id,
+      items: [{ product: new mongoose.Types.ObjectId(), name: 'Kettle', sku: 'SKU-1', price: 1000, quantity: 1, total: 1000 }],
+      summary: { subtotal: 1000, total: 1000 },
+      shippingAddress: { name: 'Jane Doe', phone: '254712345678', address: 'Moi Avenue', city: 'Nairobi', county: 'Nairobi' },
+      payment: { method: 'mpesa' }
+    });
+
+    await request(app).get(`/api/v1/orders/${order._id}`).set('Authorization', auth).expect(401);
+    await request(app).get(`/api/v1/orders/${order._id}/returns`).set('Authorization', auth).expect(401);
+    await request(app).patch(`/api/v1/orders/${order._id}/cancel`).set('Authorization', auth).expect(401);
+
+    expect((await Order.findById(order._id)).status).toBe('pending');
+  });
+
+  it('should require super admins to enrol before using admin routes', async () => {
+    await User.create({
+      firstName: 'Sam',
+      lastName: 'Super',
+      email: 'super@example.com',
+      phone: '254733333333',
+      password: 'password123',
+      role: 'super_admin'
+    });
+
+    const { body } = await login('super@example.com');
+
+    await request(app)
+      .get('/api/v1/admin/dashboard')
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(403);
+
+    await request(app)
+      .post('/api/v1/auth/2fa/disable')
+      .set('Authorization', `Bearer ${body.token}`)
+      .send({ password: 'password123', code: '000000' })
+      .expect(403);
+  });
+
+  it('should refuse setup for customers', async () => {
+    await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123'
+    });
+
+    const { body } = await login('jane@example.com');
+
+    await request(app)
+      .post('/api/v1/auth/2fa/setup')
+      .set('Authorization', `Bearer ${body.token}`)
+      .expect(403);
+  });
+});
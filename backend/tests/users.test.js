@@ -0,0 +1,298 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const EmailService = require('../src/services/email/emailService');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+
+describe('Users me API', () => {
+  let user;
+  let auth;
+
+  const address = (overrides = {}) => ({
+    label: 'Home',
+    name: 'Jane Doe',
+    phone: '0712345678',
+    address: 'Moi Avenue',
+    city: 'Nairobi',
+    county: 'Nairobi',
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+
+    user = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123',
+      isVerified: true,
+      phoneVerified: true
+    });
+    auth = `Bearer ${await loginToken(user)}`;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should require authentication', async () => {
+    await request(app).get('/api/v1/users/me').expect(401);
+  });
+
+  describe('profile', () => {
+    it('should update names and ignore fields outside the whitelist', async () => {
+      const res = await request(app)
+        .patch('/api/v1/users/me')
+        .set('Authorization', auth)
+        .send({ firstName: 'Janet', role: 'admin' })
+        .expect(200);
+
+      expect(res.body.data.user.firstName).toBe('Janet');
+
+      const updated = await User.findById(user._id);
+      expect(updated.role).toBe('customer');
+    });
+
+    it('should refuse password changes', async () => {
+      await request(app)
+        .patch('/api/v1/users/me')
+        .set('Authorization', auth)
+        .send({ password: 'newpassword123' })
+        .expect(400);
+    });
+
+    it('should require re-verification after an email or phone change', async () => {
+      jest.spyOn(EmailService.prototype, 'sendEmailVerification').mockResolvedValue({});
+      const sendEmailChanged = jest.spyOn(EmailService.prototype, 'sendEmailChanged').mockResolvedValue({});
+
+      const res = await request(app)
+        .patch('/api/v1/users/me')
+        .set('Authorization', auth)
+        .send({ email: 'Janet@Example.com', phone: '0722000000', currentPassword: 'password123' })
+        .expect(200);
+
+      expect(res.body.data.user.password).toBeUndefined();
+
+      const updated = await User.findById(user._id).select('+password');
+      expect(updated.email).toBe('janet@example.com');
+      expect(updated.isVerified).toBe(false);
+      expect(updated.phone).toBe('254722000000');
+      expect(updated.phoneVerified).toBe(false);
+      expect(await updated.comparePassword('password123')).toBe(true);
+
+      // The old address hears about it
+      expect(sendEmailChanged).toHaveBeenCalledWith({ newEmail: 'janet@example.com' });
+      expect(sendEmailChanged.mock.instances[0].to).toBe('jane@example.com');
+    });
+
+    it('should take the current password to change the email', async () => {
+      const sendEmailChanged = jest.spyOn(EmailService.prototype, 'sendEmailChanged').mockResolvedValue({});
+      const changeEmail = (body) => request(app)
+        .patch('/api/v1/users/me')
+        .set('Authorization', auth)
+        .send({ email: 'mallory@example.com', ...body });
+
+      await changeEmail({}).expect(401);
+      await changeEmail({ currentPassword: 'wrongpassword' }).expect(401);
+
+      expect((await User.findById(user._id)).email).toBe('jane@example.com');
+      expect(sendEmailChanged).not.toHaveBeenCalled();
+
+      // Other fields still change without it
+      await request(app).patch('/api/v1/users/me').set('Authorization', auth).send({ firstName: 'Janet' }).expect(200);
+    });
+
+    it('should reject an email that belongs to another account', async () => {
+      await User.create({
+        firstName: 'John',
+        lastName: 'Doe',
+        email: 'john@example.com',
+        phone: '254733333333',
+        password: 'password123'
+      });
+
+      await request(app)
+        .patch('/api/v1/users/me')
+        .set('Authorization', auth)
+        .send({ email: 'john@example.com', currentPassword: 'password123' })
+        .expect(400);
+    });
+
+    it('should change the password and issue a new token', async () => {
+      const res = await request(app)
+        .patch('/api/v1/users/me/password')
+        .set('Authorization', auth)
+        .send({ currentPassword: 'password123', newPassword: 'newpassword123' })
+        .expect(200);
+
+      expect(res.body.token).toBeDefined();
+
+      const updated = await User.findById(user._id).select('+password');
+      expect(await updated.comparePassword('newpassword123')).toBe(true);
+    });
+
+    it('should reject an avatar request without a file', async () => {
+      await request(app)
+        .patch('/api/v1/users/upload-avatar')
+        .set('Authorization', auth)
+        .expect(400);
+    });
+  });
+
+  describe('addresses', () => {
+    const addAddress = (body) => request(app)
+      .post('/api/v1/users/me/addresses')
+      .set('Authorization', auth)
+      .send(body);
+
+    it('should make the first address the default and normalise its phone', async () => {
+      const res = await addAddress(address()).expect(201);
+
+      expect(res.body.data.address.isDefault).toBe(true);
+      expect(res.body.data.address.phone).toBe('254712345678');
+    });
+
+    it('should keep a single default address', async () => {
+      await addAddress(address()).expect(201);
+      const second = await addAddress(address({ label: 'Office', isDefault: true })).expect(201);
+
+      const defaults = second.body.data.addresses.filter((a) => a.isDefault);
+      expect(defaults).toHaveLength(1);
+      expect(defaults[0].label).toBe('Office');
+
+      const firstId = second.body.data.addresses[0]._id;
+      const res = await request(app)
+        .put(`/api/v1/users/me/addresses/${firstId}`)
+        .set('Authorization', auth)
+        .send({ city: 'Mombasa', isDefault: true })
+        .expect(200);
+
+      expect(res.body.data.address.city).toBe('Mombasa');
+      expect(res.body.data.addresses.filter((a) => a.isDefault).map((a) => a._id)).toEqual([firstId]);
+    });
+
+    it('should promote another address when the default is deleted', async () => {
+      const first = await addAddress(address()).expect(201);
+      await addAddress(address({ label: 'Office' })).expect(201);
+
+      const res = await request(app)
+        .delete(`/api/v1/users/me/addresses/${first.body.data.address._id}`)
+        .set('Authorization', auth)
+        .expect(200);
+
+      expect(res.body.data.addresses).toHaveLength(1);
+      expect(res.body.data.addresses[0].isDefault).toBe(true);
+
+      const list = await request(app).get('/api/v1/users/me/addresses').set('Authorization', auth).expect(200);
+      expect(list.body.data.addresses[0].label).toBe('Office');
+    });
+
+    it('should validate required fields', async () => {
+      await addAddress(address({ city: undefined })).expect(400);
+      await addAddress(address({ phone: '12345' })).expect(400);
+    });
+
+    it('should return 404 for an unknown address', async () => {
+      await request(app)
+        .put(`/api/v1/users/me/addresses/${user._id}`)
+        .set('Authorization', auth)
+        .send({ city: 'Mombasa' })
+        .expect(404);
+    });
+  });
+
+  describe('payment methods', () => {
+    it('should save M-Pesa numbers once and remove them', async () => {
+      const res = await request(app)
+        .post('/api/v1/users/me/payment-methods')
+        .set('Authorization', auth)
+        .send({ phone: '0712345678', label: 'My line' })
+        .expect(201);
+
+      expect(res.body.data.paymentMethod).toMatchObject({ type: 'mpesa', phone: '254712345678', isDefault: true });
+
+      await request(app)
+        .post('/api/v1/users/me/payment-methods')
+        .set('Authorization', auth)
+        .send({ phone: '+254 712 345 678' })
+        .expect(400);
+
+      await request(app)
+        .delete(`/api/v1/users/me/payment-methods/${res.body.data.paymentMethod._id}`)
+        .set('Authorization', auth)
+        .expect(200);
+
+      const list = await request(app).get('/api/v1/users/me/payment-methods').set('Authorization', auth).expect(200);
+      expect(list.body.data.paymentMethods).toHaveLength(0);
+    });
+
+    it('should refuse card details', async () => {
+      await request(app)
+        .post('/api/v1/users/me/payment-methods')
+        .set('Authorization', auth)
+        .send({ type: 'card', cardNumber: '4242424242424242' })
+        .expect(400);
+    });
+  });
+
+  describe('preferences', () => {
+    it('should read and update notification preferences', async () => {
+      const initial = await request(app)
+        .get('/api/v1/users/me/notifications/preferences')
+        .set('Authorization', auth)
+        .expect(200);
+
+      expect(initial.body.data.preferences).toEqual({
+        orderUpdates: true,
+        promotions: false,
+        wishlistAlerts: true,
+        newsletter: true,
+        smsNotifications: true
+      });
+
+      const res = await request(app)
+        .patch('/api/v1/users/me/notifications/preferences')
+        .set('Authorization', auth)
+        .send({ promotions: true, smsNotifications: false })
+        .expect(200);
+
+      expect(res.body.data.preferences).toMatchObject({ promotions: true, smsNotifications: false, newsletter: true });
+
+      const updated = await User.findById(user._id);
+      expect(updated.preferences.smsNotifications).toBe(false);
+    });
+
+    it('should store privacy settings in preferences', async () => {
+      const res = await request(app)
+        .patch('/api/v1/users/me/preferences')
+        .set('Authorization', auth)
+        .send({ privacy: { profileVisibility: 'public', allowReviews: false } })
+        .expect(200);
+
+      expect(res.body.data.preferences.privacy).toMatchObject({
+        profileVisibility: 'public',
+        showPurchaseHistory: false,
+        allowReviews: false
+      });
+
+      await request(app)
+        .patch('/api/v1/users/me/preferences')
+        .set('Authorization', auth)
+        .send({ privacy: { profileVisibility: 'everyone' } })
+        .expect(400);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const app = require('../src/app');
+const User = require('../src/models/User');
+const Product = require('../src/models/Product');
+const Cart = require('../src/models/Cart');
+const EmailService = require('../src/services/email/emailService');
+const wishlistAlerts = require('../src/services/wishlist/wishlistAlertService');
+const { getSMSService } = require('../src/config/sms');
+const db = require('./helpers/db');
+const { loginToken } = require('./helpers/auth');
+const { createProduct } = require('./helpers/fixtures');
+
+describe('Wishlist', () => {
+  const sms = getSMSService();
+  let user;
+  let auth;
+  let product;
+
+  const addToWishlist = (productId) => request(app)
+    .post('/api/v1/users/me/wishlist')
+    .set('Authorization', auth)
+    .send({ productId });
+
+  beforeAll(async () => {
+    await db.connect();
+  });
+
+  afterAll(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.clear();
+    sms.clear();
+
+    user = await User.create({
+      firstName: 'Jane',
+      lastName: 'Doe',
+      email: 'jane@example.com',
+      phone: '254712345678',
+      password: 'password123',
+      isVerified: true
+    });
+    auth = `Bearer ${await loginToken(user)}`;
+    product = await createProduct({ name: 'Kikoy Beach Towel', price: 1500, inventory: { quantity: 10 } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('API', () => {
+    it('should add, list and remove products with their live price and stock', async () => {
+      await addToWishlist(product._id).expect(201);
+      await addToWishlist(product._id).expect(200);
+
+      const list = await request(app).get('/api/v1/users/me/wishlist').set('Authorization', auth).expect(200);
+
+      expect(list.body.data.items).toHaveLength(1);
+      expect(list.body.data.items[0]).toMatchObject({
+        name: 'Kikoy Beach Towel',
+        price: 1500,
+        isAvailable: true,
+        availableQuantity: 10
+      });
+
+      const res = await request(app)
+        .delete(`/api/v1/users/me/wishlist/${product._id}`)
+        .set('Authorization', auth)
+        .expect(200);
+
+      expect(res.body.data.items).toHaveLength(0);
+    });
+
+    it('should refuse unknown or unpublished products', async () => {
+      const draft = await createProduct({ status: 'draft' });
+
+      await addToWishlist('not-an-id').expect(400);
+      await addToWishlist(new mongoose.Types.ObjectId()).expect(404);
+      await addToWishlist(draft._id).expect(404);
+    });
+
+    it('should drop deleted products from the list', async () => {
+      await addToWishlist(product._id).expect(201);
+      await Product.deleteOne({ _id: product._id });
+
+      const list = await request(app).get('/api/v1/users/me/wishlist').set('Authorization', auth).expect(200);
+
+      expect(list.body.data.items).toHaveLength(0);
+      expect((await User.findById(user._id)).wishlist).toHaveLength(0);
+    });
+
+    it('should merge a guest wishlist without duplicates', async () => {
+      const other = await createProduct({ name: 'Maasai Shuka' });
+      await addToWishlist(product._id).expect(201);
+
+      const res = await request(app)
+        .post('/api/v1/users/me/wishlist/merge')
+        .set('Authorization', auth)
+        .send({ productIds: [String(product._id), String(other._id), 'bogus'] })
+        .expect(200);
+
+      expect(res.body.data.items.map((item) => item.name).sort()).toEqual(['Kikoy Beach Towel', 'Maasai Shuka']);
+    });
+
+    it('should move an available product into the cart', async () => {
+      await addToWishlist(product._id).expect(201);
+
+      const res = await request(app)
+        .post(`/api/v1/users/me/wishlist/${product._id}/move-to-cart`)
+        .set('Authorization', auth)
+        .send({ quantity: 2 })
+        .expect(200);
+
+      expect(res.body.data.items).toHaveLength(0);
+
+      const cart = await Cart.findOne({ user: user._id });
+      expect(cart.items).toHaveLength(1);
+      expect(cart.items[0]).toMatchObject({ name: 'Kikoy Beach Towel', price: 1500, quantity: 2 });
+    });
+
+    it('should keep out-of-stock products on the wishlist', async () => {
+      await addToWishlist(product._id).expect(201);
+      await Product.updateOne({ _id: product._id }, { 'inventory.quantity': 0 });
+
+      await request(app)
+        .post(`/api/v1/users/me/wishlist/${product._id}/move-to-cart`)
+        .set('Authorization', auth)
+        .expect(400);
+
+      expect((await User.findById(user._id)).wishlist).toHaveLength(1);
+    });
+  });
+
+  describe('alerts', () => {
+    let sendPriceDrop;
+    let sendBackInStock;
+
+    beforeEach(async () => {
+      sendPriceDrop = jest.spyOn(EmailService.prototype, 'sendWishlistPriceDrop').mockResolvedValue({});
+      sendBackInStock = jest.spyOn(EmailService.prototype, 'sendWishlistBackInStock').mockResolvedValue({});
+      await User.updateOne({ _id: user._id }, { $set: { wishlist: [product._id] } });
+    });
+
+    // Apply a change and report what the admin product update would have seen
+    const change = async (update) => {
+      const previous = await Product.findById(product._id);
+      const updated = await Product.findByIdAndUpdate(product._id, update, { new: true });
+      return wishlistAlerts.productChanged(previous, updated);
+    };
+
+    it('should announce price drops by email and SMS', async () => {
+      expect(await change({ price: 1200 })).toBe(1);
+
+      expect(sendPriceDrop).toHaveBeenCalledWith(expect.objectContaining({ previousPrice: 1500, price: 1200 }));
+      expect(sms.lastMessageTo('254712345678').message).toContain('Kikoy Beach Towel');
+    });
+
+    it('should announce restocks', async () => {
+      await Product.updateOne({ _id: product._id }, { 'inventory.quantity': 0 });
+
+      expect(await change({ 'inventory.quantity': 5 })).toBe(1);
+      expect(sendBackInStock).toHaveBeenCalled();
+    });
+
+    it('should stay quiet for price rises and for opted-out shoppers', async () => {
+      expect(await change({ price: 1800 })).toBe(0);
+
+      await User.updateOne({ _id: user._id }, { 'preferences.wishlistAlerts': false });
+      expect(await change({ price: 1000 })).toBe(0);
+
+      expect(sendPriceDrop).not.toHaveBeenCalled();
+      expect(sms.messages).toHaveLength(0);
+    });
+  });
+});
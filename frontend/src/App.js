@@ -12,6 +12,7 @@ import {
 import { AnimatePresence } from 'framer-motion';
 import { AuthProvider } from './context/AuthContext';
 import { SimpleCartProvider } from './context/SimpleCartContext';
+import { WishlistProvider } from './context/WishlistContext';
 import { AppProvider } from './context/AppContext';
 import { NotificationProvider } from './context/NotificationContext';
 import ThemeProvider from './theme/ThemeProvider';
@@ -25,12 +26,17 @@ import HomePage from './pages/HomePage';
 import ProductsPage from './pages/ProductPage';
 import ProductDetailPage from './pages/ProductDetailPage';
 import CartPage from './pages/CartPage';
+import WishlistPage from './pages/WishlistPage';
 import CheckoutPage from './pages/CheckoutPage';
 import LoginPage from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
+import { ForgotPasswordPage, ResetPasswordPage } from './pages/PasswordResetFlow';
+import VerifyEmailPage from './pages/VerifyEmailPage';
 import ProfilePage from './pages/ProfilePage';
 import OrderConfirmationPage from './pages/OrderConfirmationPage';
 import OrderHistoryPage from './pages/OrderHistoryPage';
+import OrderTrackingPage from './pages/OrderTrackingPage';
+import GuestOrdersPage from './pages/GuestOrdersPage';
 import NotFoundPage from './pages/NotFoundPage';
 
 // Admin Pages
@@ -109,13 +115,15 @@ const router = createBrowserRouter(
           <NotificationProvider>
             <AuthProvider>
               <SimpleCartProvider>
-                <ThemeProvider>
-                  <div className="App">
-                    <AnimatePresence mode="wait">
-                      <Layout key={window.location.pathname} />
-                    </AnimatePresence>
-                  </div>
-                </ThemeProvider>
+                <WishlistProvider>
+                  <ThemeProvider>
+                    <div className="App">
+                      <AnimatePresence mode="wait">
+                        <Layout key={window.location.pathname} />
+                      </AnimatePresence>
+                    </div>
+                  </ThemeProvider>
+                </WishlistProvider>
               </SimpleCartProvider>
             </AuthProvider>
           </NotificationProvider>
@@ -127,32 +135,30 @@ const router = createBrowserRouter(
       <Route path="/admin/login" element={<AdminLoginPage />} />
       <Route path="/admin/register" element={<AdminRegisterPage />} />
       <Route path="/register" element={<RegisterPage />} />
+      <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+      <Route path="/reset-password" element={<ResetPasswordPage />} />
+      <Route path="/verify-email/:token" element={<VerifyEmailPage />} />
       
       {/* Public Routes - With Layout */}
       <Route path="/" element={<HomePage />} />
       <Route path="products" element={<ProductsPage />} />
       <Route path="products/:id" element={<ProductDetailPage />} />
       <Route path="cart" element={<CartPage />} />
+      <Route path="wishlist" element={<WishlistPage />} />
       
-      {/* Protected Routes */}
-      <Route path="checkout" element={
-        <ProtectedRoute>
-          <CheckoutPage />
-        </ProtectedRoute>
-      } />
+      {/* Checkout and order pages guests reach with their order link too */}
+      <Route path="checkout" element={<CheckoutPage />} />
+      <Route path="order-confirmation/:orderId" element={<OrderConfirmationPage />} />
+      <Route path="orders/guest" element={<GuestOrdersPage />} />
+      <Route path="orders/:orderId/tracking" element={<OrderTrackingPage />} />
       
+      {/* Protected Routes */}
       <Route path="profile" element={
         <ProtectedRoute>
           <ProfilePage />
         </ProtectedRoute>
       } />
       
-      <Route path="order-confirmation/:orderId" element={
-        <ProtectedRoute>
-          <OrderConfirmationPage />
-        </ProtectedRoute>
-      } />
-      
       <Route path="orders" element={
         <ProtectedRoute>
           <OrderHistoryPage />
@@ -168,7 +174,7 @@ const router = createBrowserRouter(
       <Route path="shipping" element={<Navigate to="/faq#shipping" replace />} />
       <Route path="returns" element={<Navigate to="/faq#returns" replace />} />
       <Route path="size-guide" element={<Navigate to="/faq#sizing" replace />} />
-      <Route path="track-order" element={<Navigate to="/profile/orders" replace />} />
+      <Route path="track-order" element={<OrderTrackingPage />} />
       <Route path="help" element={<Navigate to="/contact" replace />} />
       <Route path="careers" element={<Navigate to="/about#careers" replace />} />
       <Route path="blog" element={<Navigate to="/" replace />} />
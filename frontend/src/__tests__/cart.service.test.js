@@ -1,5 +1,5 @@
 import { CartService } from '../services/cart.service';
-import { API_ENDPOINTS, STORAGE_KEYS } from '../utils/constants';
+import { API_ENDPOINTS } from '../utils/constants';
 import apiService from '../services/api';
 import authService from '../services/auth.service';
 
@@ -7,20 +7,6 @@ import authService from '../services/auth.service';
 jest.mock('../services/api');
 jest.mock('../services/auth.service');
 
-// Mock secureStorage
-jest.mock('../utils/helpers', () => ({
-  secureStorage: {
-    get: jest.fn(),
-    set: jest.fn(),
-    remove: jest.fn(),
-    clear: jest.fn()
-  },
-  calculateTax: jest.fn(),
-  calculateShipping: jest.fn()
-}));
-
-import { secureStorage } from '../utils/helpers';
-
 describe('CartService', () => {
   let cartService;
   
@@ -59,10 +45,6 @@ describe('CartService', () => {
     // Create a new instance of CartService for each test
     cartService = new CartService();
     
-    // Setup default mocks
-    secureStorage.get.mockImplementation(() => null);
-    secureStorage.set.mockImplementation(() => {});
-    
     // Mock auth service
     authService.isAuthenticated.mockReturnValue(false);
     authService.logout.mockResolvedValue({});
@@ -188,16 +170,12 @@ describe('CartService', () => {
       }));
     });
 
-    it('should add item to guest cart when not authenticated', async () => {
+    it('should add item to the server cart for guests too', async () => {
       // Mock unauthenticated user (already set in beforeEach)
-      
-      // Setup mock for secureStorage.get to return empty cart
-      secureStorage.get.mockImplementation(() => ({
-        items: [],
-        subtotal: 0,
-        total: 0,
-        itemCount: 0
-      }));
+      apiService.get.mockResolvedValueOnce({
+        success: true,
+        data: { cart: { ...mockEmptyCart, items: [{ product: 'product123', quantity: 2, price: 29.99 }] } }
+      });
       
       // Call addItem
       const result = await cartService.addItem({
@@ -205,34 +183,63 @@ describe('CartService', () => {
         quantity: 2
       });
       
-      // Verify secureStorage.set was called with updated cart
-      expect(secureStorage.set).toHaveBeenCalledWith(
-        STORAGE_KEYS.GUEST_CART,
+      // Guest carts live on the server, found from the cart cookie
+      expect(apiService.post).toHaveBeenCalledWith(
+        API_ENDPOINTS.CART.ITEMS,
         expect.objectContaining({
-          items: expect.arrayContaining([
-            expect.objectContaining({
-              product: 'product123',
-              quantity: 2,
-              price: 29.99
-            })
-          ]),
-          itemCount: 2,
-          subtotal: expect.any(Number),
-          total: expect.any(Number)
+          productId: 'product123',
+          quantity: 2
         })
       );
+      expect(apiService.get).toHaveBeenCalledWith(API_ENDPOINTS.CART.BASE);
       
       // Verify response is formatted correctly
       expect(result).toEqual(expect.objectContaining({
         success: true,
-        message: 'Item added to cart',
-        data: expect.objectContaining({
-          items: expect.any(Array),
-          itemCount: 2,
-          subtotal: expect.any(Number),
-          total: expect.any(Number)
-        })
+        message: 'Item added to cart successfully'
       }));
     });
   });
+
+  describe('normalizeCartData', () => {
+    it('should keep the promotion and coupon savings lines', () => {
+      const cart = cartService.normalizeCartData({
+        _id: 'cart123',
+        items: [{ product: 'product123', name: 'Test Product', price: 1000, quantity: 2 }],
+        totals: {
+          subtotal: 2000,
+          discount: 600,
+          tax: 320,
+          shipping: 300,
+          promotions: [{ promotion: 'promo123', name: 'Buy 1 get 1 half off', type: 'buy_x_get_y', discount: 500 }]
+        },
+        appliedCoupons: [{ code: 'SAVE100', type: 'fixed', value: 100, discount: 100 }]
+      });
+
+      expect(cart.totals.discount).toBe(600);
+      expect(cart.totals.promotions).toEqual([
+        expect.objectContaining({ name: 'Buy 1 get 1 half off', discount: 500 })
+      ]);
+      expect(cart.totals.coupons).toEqual([
+        expect.objectContaining({ code: 'SAVE100', discount: 100 })
+      ]);
+    });
+
+    it('should not add VAT that is already in the prices', () => {
+      const cart = cartService.normalizeCartData({
+        _id: 'cart123',
+        items: [{ product: 'product123', name: 'Test Product', price: 1160, quantity: 1 }],
+        totals: {
+          subtotal: 1160,
+          tax: 160,
+          taxIncluded: true,
+          taxBreakdown: [{ taxClass: 'standard', rate: 0.16, taxableAmount: 1000, tax: 160 }],
+          shipping: 0
+        }
+      });
+
+      expect(cart.totals.total).toBe(1160);
+      expect(cart.totals.taxBreakdown).toHaveLength(1);
+    });
+  });
 });
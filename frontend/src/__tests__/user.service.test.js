@@ -0,0 +1,70 @@
+import userService from '../services/user.service';
+import { API_ENDPOINTS } from '../utils/constants';
+import apiService from '../services/api';
+import authService from '../services/auth.service';
+
+// Mock dependencies
+jest.mock('../services/api');
+jest.mock('../services/auth.service');
+
+describe('userService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('should unwrap saved addresses from the API response', async () => {
+    const addresses = [{ _id: 'a1', label: 'Home', isDefault: true }];
+    apiService.get.mockResolvedValue({ success: true, data: { addresses } });
+
+    const response = await userService.getAddresses();
+
+    expect(apiService.get).toHaveBeenCalledWith(API_ENDPOINTS.USERS.ADDRESSES);
+    expect(response).toEqual({ success: true, data: addresses });
+  });
+
+  it('should surface API errors instead of returning an empty list', async () => {
+    apiService.get.mockRejectedValue(new Error('Network error'));
+
+    await expect(userService.getPaymentMethods()).rejects.toThrow('Network error');
+  });
+
+  it('should send the avatar as multipart form data', async () => {
+    apiService.patch.mockResolvedValue({ success: true, data: { avatarUrl: 'https://cdn/avatar.jpg' } });
+    const file = new File(['avatar'], 'avatar.png', { type: 'image/png' });
+
+    await userService.uploadAvatar(file);
+
+    const [url, body] = apiService.patch.mock.calls[0];
+    expect(url).toBe(API_ENDPOINTS.USERS.AVATAR);
+    expect(body).toBeInstanceOf(FormData);
+    expect(body.get('avatar')).toBeInstanceOf(File);
+  });
+
+  it('should keep the token issued after a password change', async () => {
+    const response = { success: true, token: 'new-token', data: { user: { _id: 'u1' } } };
+    apiService.patch.mockResolvedValue(response);
+
+    await userService.changePassword('old-password', 'new-password');
+
+    expect(apiService.patch).toHaveBeenCalledWith(API_ENDPOINTS.USERS.PASSWORD, {
+      currentPassword: 'old-password',
+      newPassword: 'new-password'
+    });
+    expect(authService.storeSession).toHaveBeenCalledWith(response);
+  });
+
+  it('should store privacy settings under preferences', async () => {
+    const privacy = { profileVisibility: 'public', showPurchaseHistory: false, allowReviews: true };
+    apiService.patch.mockResolvedValue({ success: true, data: { preferences: { privacy } } });
+
+    const response = await userService.updatePreferences({ privacy });
+
+    expect(apiService.patch).toHaveBeenCalledWith(API_ENDPOINTS.USERS.PREFERENCES, { privacy });
+    expect(response.data.privacy).toEqual(privacy);
+  });
+});
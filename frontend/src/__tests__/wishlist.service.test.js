@@ -0,0 +1,76 @@
+import wishlistService from '../services/wishlist.service';
+import { API_ENDPOINTS } from '../utils/constants';
+import apiService from '../services/api';
+import authService from '../services/auth.service';
+import productService from '../services/product.service';
+
+// Mock dependencies
+jest.mock('../services/api');
+jest.mock('../services/auth.service');
+jest.mock('../services/product.service');
+
+describe('wishlistService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    wishlistService.clearGuestWishlist();
+  });
+
+  describe('guests', () => {
+    beforeEach(() => {
+      authService.isAuthenticated.mockReturnValue(false);
+    });
+
+    it('should keep product ids in local storage without calling the API', async () => {
+      await wishlistService.addItem('p1');
+      await wishlistService.addItem('p1');
+      await wishlistService.addItem('p2');
+      await wishlistService.removeItem('p1');
+
+      expect(wishlistService.getGuestWishlist()).toEqual(['p2']);
+      expect(apiService.post).not.toHaveBeenCalled();
+    });
+
+    it('should load saved products and forget the ones that are gone', async () => {
+      wishlistService.saveGuestWishlist(['p1', 'gone']);
+      productService.getProductById.mockImplementation(async (id) => {
+        if (id === 'gone') throw new Error('Product not found');
+        return { success: true, data: { _id: id, name: 'Kikoy', price: 1500, isAvailable: true } };
+      });
+
+      const response = await wishlistService.getWishlist();
+
+      expect(response.data).toEqual([expect.objectContaining({ _id: 'p1', name: 'Kikoy', isAvailable: true })]);
+      expect(wishlistService.getGuestWishlist()).toEqual(['p1']);
+    });
+  });
+
+  describe('logged-in users', () => {
+    beforeEach(() => {
+      authService.isAuthenticated.mockReturnValue(true);
+    });
+
+    it('should merge the guest wishlist once and clear it', async () => {
+      wishlistService.saveGuestWishlist(['p1', 'p2']);
+      apiService.post.mockResolvedValue({ success: true, data: { items: [{ _id: 'p1' }, { _id: 'p2' }] } });
+
+      const response = await wishlistService.mergeGuestWishlist();
+
+      expect(apiService.post).toHaveBeenCalledWith(API_ENDPOINTS.USERS.WISHLIST_MERGE, { productIds: ['p1', 'p2'] });
+      expect(response.data).toHaveLength(2);
+      expect(wishlistService.getGuestWishlist()).toEqual([]);
+
+      expect(await wishlistService.mergeGuestWishlist()).toBeNull();
+      expect(apiService.post).toHaveBeenCalledTimes(1);
+    });
+
+    it('should save products on the account', async () => {
+      apiService.post.mockResolvedValue({ success: true, data: { items: [{ _id: 'p1' }] } });
+
+      const response = await wishlistService.addItem('p1');
+
+      expect(apiService.post).toHaveBeenCalledWith(API_ENDPOINTS.USERS.WISHLIST, { productId: 'p1' });
+      expect(response.data).toEqual([{ _id: 'p1' }]);
+      expect(wishlistService.getGuestWishlist()).toEqual([]);
+    });
+  });
+});
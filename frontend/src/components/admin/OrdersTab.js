@@ -4,6 +4,23 @@ import React from 'react';
  * OrdersTab – lists recent orders with basic info and status badge.
  * Placeholder implementation. To be expanded with filters & actions later.
  */
+const METHOD_NAMES = { standard: 'Standard', express: 'Express', pickup: 'Pickup' };
+
+// e.g. 'Express · Tue 21 Oct, 8am - 12pm' or 'Pickup · Westgate · Wed 22 Oct'
+const describeDelivery = (delivery) => {
+  if (!delivery) return '-';
+
+  const day = delivery.date && new Date(delivery.date).toLocaleDateString('en-KE', {
+    weekday: 'short', day: 'numeric', month: 'short', timeZone: 'UTC'
+  });
+
+  return [
+    METHOD_NAMES[delivery.method] || delivery.method,
+    delivery.pickupStation?.name,
+    day && [day, delivery.timeSlotLabel].filter(Boolean).join(', ')
+  ].filter(Boolean).join(' · ');
+};
+
 const OrdersTab = ({ dashboardData = {}, loading }) => {
   const { orders = [] } = dashboardData;
 
@@ -20,6 +37,7 @@ const OrdersTab = ({ dashboardData = {}, loading }) => {
             <th className="px-4 py-2 text-left font-medium text-gray-700">Order #</th>
             <th className="px-4 py-2 text-left font-medium text-gray-700">Customer</th>
             <th className="px-4 py-2 text-left font-medium text-gray-700">Total</th>
+            <th className="px-4 py-2 text-left font-medium text-gray-700">Delivery</th>
             <th className="px-4 py-2 text-left font-medium text-gray-700">Status</th>
             <th className="px-4 py-2 text-left font-medium text-gray-700">Date</th>
           </tr>
@@ -30,6 +48,7 @@ const OrdersTab = ({ dashboardData = {}, loading }) => {
               <td className="px-4 py-2 whitespace-nowrap">{o.orderNumber}</td>
               <td className="px-4 py-2 whitespace-nowrap text-gray-500">{o.customer?.name || 'Guest'}</td>
               <td className="px-4 py-2 whitespace-nowrap">${o.total?.toFixed?.(2) ?? o.total}</td>
+              <td className="px-4 py-2 whitespace-nowrap text-gray-500">{describeDelivery(o.delivery)}</td>
               <td className="px-4 py-2 whitespace-nowrap">
                 <span className={`px-2 py-0.5 text-xs rounded-full ${o.status === 'delivered' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'}`}>{o.status}</span>
               </td>
@@ -38,7 +57,7 @@ const OrdersTab = ({ dashboardData = {}, loading }) => {
           ))}
           {orders.length === 0 && (
             <tr>
-              <td colSpan={5} className="px-4 py-4 text-center text-gray-500">No orders found.</td>
+              <td colSpan={6} className="px-4 py-4 text-center text-gray-500">No orders found.</td>
             </tr>
           )}
         </tbody>
@@ -1,10 +1,11 @@
 // frontend/src/components/auth/LoginForm.js
 
 import React, { useState, useEffect } from 'react';
-import { Eye, EyeOff, Mail, Lock, ArrowRight, Loader2, AlertCircle } from 'lucide-react';
+import { Eye, EyeOff, Mail, Lock, ArrowRight, Loader2, AlertCircle, Smartphone } from 'lucide-react';
 import { Link, useSearchParams } from 'react-router-dom';
 import Button from '../common/Button';
 import Input from '../common/Input';
+import PhoneLoginForm from './PhoneLoginForm';
 import { useAuth } from '../../context/AuthContext';
 import { useNotification } from '../../hooks/useNotification';
 import { validateEmail, validatePassword } from '../../utils/validators';
@@ -27,6 +28,7 @@ const LoginForm = ({ onSuccess }) => {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [loginAttempts, setLoginAttempts] = useState(0);
   const [showResetPrompt, setShowResetPrompt] = useState(false);
+  const [usePhone, setUsePhone] = useState(false);
   const redirectTo = searchParams.get('redirect') || '/';
   
   // Check for password reset success message
@@ -186,7 +188,31 @@ const LoginForm = ({ onSuccess }) => {
         </div>
       </motion.div>
 
-      {/* Login Form */}
+      {/* Sign-in Method */}
+      <div className="mb-6 text-center">
+        <button
+          type="button"
+          onClick={() => setUsePhone(!usePhone)}
+          className="inline-flex items-center text-sm font-medium text-blue-600 hover:text-blue-500 dark:text-blue-400 dark:hover:text-blue-300 transition-colors"
+        >
+          {usePhone ? (
+            <>
+              <Mail className="w-4 h-4 mr-2" />
+              Sign in with email and password
+            </>
+          ) : (
+            <>
+              <Smartphone className="w-4 h-4 mr-2" />
+              Sign in with your phone number
+            </>
+          )}
+        </button>
+      </div>
+
+      {usePhone ? (
+        <PhoneLoginForm onSuccess={onSuccess} />
+      ) : (
+      /* Login Form */
       <form onSubmit={handleSubmit} className="space-y-5">
         {/* Email Field */}
         <div>
@@ -306,6 +332,7 @@ const LoginForm = ({ onSuccess }) => {
           </Button>
         </div>
       </form>
+      )}
 
       {/* Sign Up Link */}
       <div className="mt-6 text-center">
@@ -0,0 +1,224 @@
+// frontend/src/components/auth/PhoneLoginForm.js
+
+import React, { useState, useEffect } from 'react';
+import { Phone, KeyRound, User, Mail, ArrowRight } from 'lucide-react';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import { useAuth } from '../../context/AuthContext';
+import { useNotification } from '../../hooks/useNotification';
+import authService from '../../services/auth.service';
+
+/**
+ * Passwordless sign in: phone number, then the SMS code, then (for new
+ * numbers only) a name to finish creating the account.
+ */
+const PhoneLoginForm = ({ onSuccess }) => {
+  const { loginWithPhone, completePhoneSignup } = useAuth();
+  const { showNotification } = useNotification();
+
+  const [step, setStep] = useState('phone');
+  const [phone, setPhone] = useState('');
+  const [code, setCode] = useState('');
+  const [signupToken, setSignupToken] = useState(null);
+  const [details, setDetails] = useState({ firstName: '', lastName: '', email: '' });
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [resendIn, setResendIn] = useState(0);
+
+  // Count down until another code may be requested
+  useEffect(() => {
+    if (resendIn <= 0) return undefined;
+    const timer = setTimeout(() => setResendIn(resendIn - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [resendIn]);
+
+  const sendCode = async () => {
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await authService.requestPhoneCode(phone.trim());
+      setStep('code');
+      setCode('');
+      setResendIn(response.data?.resendAfterSeconds || 60);
+      showNotification('success', response.message || 'We sent you a code');
+    } catch (err) {
+      setError(err.message || 'Could not send a code to that number');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePhoneSubmit = (e) => {
+    e.preventDefault();
+    sendCode();
+  };
+
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const result = await loginWithPhone(phone.trim(), code.trim());
+
+      if (result.signupRequired) {
+        setSignupToken(result.signupToken);
+        setStep('signup');
+        return;
+      }
+
+      if (result.twoFactorRequired) {
+        setError('This account uses an authenticator app. Please sign in with your email and password.');
+        return;
+      }
+
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+
+      showNotification('success', 'Welcome back! Login successful');
+      if (onSuccess) onSuccess();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSignupSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const result = await completePhoneSignup({ signupToken, ...details });
+
+      if (!result.success) {
+        setError(result.error);
+        return;
+      }
+
+      showNotification('success', 'Welcome to ShopSawa!');
+      if (onSuccess) onSuccess();
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDetailChange = (e) => {
+    const { name, value } = e.target;
+    setDetails((prev) => ({ ...prev, [name]: value }));
+  };
+
+  return (
+    <div className="space-y-5">
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400" role="alert">{error}</p>
+      )}
+
+      {step === 'phone' && (
+        <form onSubmit={handlePhoneSubmit} className="space-y-5">
+          <Input
+            type="tel"
+            name="phone"
+            label="Phone Number"
+            placeholder="07XX XXX XXX"
+            value={phone}
+            onChange={(e) => setPhone(e.target.value)}
+            startIcon={Phone}
+            required
+            autoComplete="tel"
+            disabled={loading}
+          />
+          <Button type="submit" size="lg" fullWidth loading={loading} endIcon={ArrowRight}>
+            Send Code
+          </Button>
+        </form>
+      )}
+
+      {step === 'code' && (
+        <form onSubmit={handleCodeSubmit} className="space-y-5">
+          <Input
+            type="text"
+            name="code"
+            label="SMS Code"
+            placeholder="123456"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            startIcon={KeyRound}
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            required
+            disabled={loading}
+            helperText={`Sent to ${phone}`}
+          />
+          <Button type="submit" size="lg" fullWidth loading={loading}>
+            Verify and Sign In
+          </Button>
+          <div className="flex items-center justify-between text-sm">
+            <button
+              type="button"
+              onClick={() => setStep('phone')}
+              className="text-gray-600 hover:text-gray-900 dark:text-gray-400 dark:hover:text-white"
+            >
+              Change number
+            </button>
+            <button
+              type="button"
+              onClick={sendCode}
+              disabled={resendIn > 0 || loading}
+              className="font-medium text-blue-600 hover:text-blue-500 disabled:text-gray-400 dark:text-blue-400"
+            >
+              {resendIn > 0 ? `Resend in ${resendIn}s` : 'Resend code'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {step === 'signup' && (
+        <form onSubmit={handleSignupSubmit} className="space-y-5">
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Your number is verified. Tell us your name to finish creating your account.
+          </p>
+          <div className="grid grid-cols-2 gap-4">
+            <Input
+              name="firstName"
+              label="First Name"
+              value={details.firstName}
+              onChange={handleDetailChange}
+              startIcon={User}
+              required
+              autoComplete="given-name"
+              disabled={loading}
+            />
+            <Input
+              name="lastName"
+              label="Last Name"
+              value={details.lastName}
+              onChange={handleDetailChange}
+              required
+              autoComplete="family-name"
+              disabled={loading}
+            />
+          </div>
+          <Input
+            type="email"
+            name="email"
+            label="Email Address (optional)"
+            placeholder="For receipts and order updates"
+            value={details.email}
+            onChange={handleDetailChange}
+            startIcon={Mail}
+            autoComplete="email"
+            disabled={loading}
+          />
+          <Button type="submit" size="lg" fullWidth loading={loading}>
+            Create Account
+          </Button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default PhoneLoginForm;
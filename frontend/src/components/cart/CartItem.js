@@ -5,13 +5,16 @@ import { Minus, Plus, Trash2, Heart } from 'lucide-react';
 import Button from '../common/Button';
 import { formatCurrency } from '../../utils/helpers';
 import { useCart } from '../../context/SimpleCartContext';
+import { useWishlist } from '../../context/WishlistContext';
 import { useNotification } from '../../hooks/useNotification';
 
 const CartItem = ({ item, showRemoveButton = true, isCheckout = false }) => {
   const { updateCartItem, removeFromCart } = useCart();
+  const { addToWishlist } = useWishlist();
   const { showNotification } = useNotification();
   const [updating, setUpdating] = useState(false);
   const [removing, setRemoving] = useState(false);
+  const [moving, setMoving] = useState(false);
 
   const handleQuantityChange = async (newQuantity) => {
     if (newQuantity < 1) return;
@@ -44,8 +47,16 @@ const CartItem = ({ item, showRemoveButton = true, isCheckout = false }) => {
   };
 
   const handleMoveToWishlist = async () => {
-    // TODO: Implement wishlist functionality
-    showNotification('info', 'Wishlist feature coming soon!');
+    try {
+      setMoving(true);
+      await addToWishlist(item.product);
+      await removeFromCart(item.product._id);
+      showNotification('success', 'Item moved to wishlist');
+    } catch (error) {
+      showNotification('error', 'Failed to move item to wishlist');
+    } finally {
+      setMoving(false);
+    }
   };
 
   const productImage = item.product.images?.[0]?.url || '/api/placeholder/150/150';
@@ -161,6 +172,7 @@ const CartItem = ({ item, showRemoveButton = true, isCheckout = false }) => {
                 variant="ghost"
                 size="sm"
                 onClick={handleMoveToWishlist}
+                disabled={moving}
                 className="text-gray-500 hover:text-red-500 p-2"
                 title="Move to Wishlist"
               >
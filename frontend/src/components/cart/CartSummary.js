@@ -7,22 +7,24 @@ import Input from '../common/Input';
 import { formatCurrency } from '../../utils/helpers';
 import { useCart } from '../../context/SimpleCartContext';
 import { useNotification } from '../../hooks/useNotification';
-import { SHIPPING_RATES } from '../../utils/constants';
+import shippingService from '../../services/shipping.service';
+import taxService from '../../services/tax.service';
 
 // Currency configuration
 const CURRENCY = 'KES';
 
 const CartSummary = ({ 
   onCheckout, 
-  subtotal = 0,
-  shipping = 0,
-  tax = 0,
-  discount = 0,
-  total = 0,
+  subtotal,
+  shipping,
+  tax,
+  discount,
+  total,
   isCheckout = false, 
   isLoading = false,
   isCheckoutLoading = false,
   showPromoCode = true,
+  shippingQuote = null,
   className = ''
 }) => {
   const { cartItems, summary, applyCoupon, removeCoupon } = useCart();
@@ -31,6 +33,7 @@ const CartSummary = ({
   const [appliedPromo, setAppliedPromo] = useState(null);
   const [applyingPromo, setApplyingPromo] = useState(false);
   const [isMounted, setIsMounted] = useState(false);
+  const [ownQuote, setOwnQuote] = useState(null);
 
   // Use props if provided, otherwise calculate from cart
   const calculatedSubtotal = subtotal !== undefined ? subtotal : (summary?.subtotal || 0);
@@ -42,17 +45,61 @@ const CartSummary = ({
   // Calculate item count from cart items
   const itemCount = cartItems.reduce((sum, item) => sum + (item.quantity || 1), 0);
   
-  // Calculate free shipping eligibility
-  const isEligibleForFreeShipping = calculatedSubtotal >= SHIPPING_RATES.FREE_SHIPPING_THRESHOLD;
-  const amountForFreeShipping = Math.max(0, SHIPPING_RATES.FREE_SHIPPING_THRESHOLD - calculatedSubtotal);
+  // Checkout passes the quote for the chosen county and method; elsewhere
+  // the cart is quoted for standard delivery (estimated until a county is known)
+  const quoteKey = cartItems
+    .map((item) => `${item.product?._id || item.product?.id || item.product}:${item.quantity}`)
+    .join(',');
+
+  useEffect(() => {
+    if (shippingQuote || cartItems.length === 0) return undefined;
+
+    let cancelled = false;
+    shippingService.getQuote(cartItems)
+      .then((quote) => { if (!cancelled) setOwnQuote(quote); })
+      .catch((error) => console.error('Failed to quote shipping:', error));
+
+    return () => { cancelled = true; };
+    // cartItems is covered by quoteKey
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [quoteKey, shippingQuote]);
+
+  const quote = shippingQuote || ownQuote;
+  const isEligibleForFreeShipping = shippingService.qualifiesForFreeShipping(quote);
+  const amountForFreeShipping = shippingService.amountToFreeShipping(quote);
   
   // Calculate promo discount (if any promo is applied)
   const promoDiscount = appliedPromo ? (calculatedSubtotal * (appliedPromo.discount || 0) / 100) : 0;
   
   // Calculate final values
   const finalDiscount = calculatedDiscount + promoDiscount;
-  const finalShipping = isEligibleForFreeShipping ? 0 : calculatedShipping;
-  const finalTotal = Math.max(0, calculatedSubtotal + calculatedTax + finalShipping - finalDiscount);
+
+  // Savings breakdown from the server: automatic promotions, then coupons
+  const savingsLines = [
+    ...(summary?.promotions || []).map((promotion) => ({
+      key: `promotion-${promotion.promotion || promotion.name}`,
+      label: promotion.name,
+      amount: promotion.discount
+    })),
+    ...(summary?.coupons || []).map((coupon) => ({
+      key: `coupon-${coupon.code}`,
+      label: `Coupon ${coupon.code}`,
+      amount: coupon.discount
+    }))
+  ].filter((line) => line.amount > 0);
+  const finalShipping = quote ? quote.fee : calculatedShipping;
+
+  // The server's VAT covers the delivery charge it priced; a quote for another
+  // method or county is taxed at the same rate instead. VAT already in the
+  // prices isn't added again.
+  const taxIncluded = Boolean(summary?.taxIncluded);
+  const shippingTax = summary?.shippingTax;
+  const shippingCoupon = (summary?.coupons || []).some((coupon) => coupon.type === 'shipping');
+  const finalTax = quote && shippingTax
+    ? Math.round((calculatedTax - shippingTax.tax +
+      taxService.taxOn(shippingCoupon ? 0 : finalShipping, shippingTax.rate, taxIncluded)) * 100) / 100
+    : calculatedTax;
+  const finalTotal = Math.max(0, calculatedSubtotal + finalShipping - finalDiscount + (taxIncluded ? 0 : finalTax));
 
   const handleApplyPromo = async () => {
     if (!promoCode.trim()) {
@@ -136,22 +183,48 @@ const CartSummary = ({
           </div>
           
           <div className="flex justify-between text-sm">
-            <span className="text-gray-600">Shipping</span>
+            <span className="text-gray-600">
+              Shipping
+              {quote?.zone?.estimated && (
+                <span className="text-xs text-gray-400"> (estimate for {quote.zone.name})</span>
+              )}
+            </span>
             <span className="font-medium" data-testid="shipping">
-              {isEligibleForFreeShipping ? 'FREE' : formatCurrency(finalShipping, CURRENCY)}
+              {quote && finalShipping === 0 ? 'FREE' : formatCurrency(finalShipping, CURRENCY)}
             </span>
           </div>
           
-          {calculatedTax > 0 && (
-            <div className="flex justify-between text-sm">
-              <span className="text-gray-600">Tax</span>
+          {finalTax > 0 && (
+            <div className={`flex justify-between text-sm ${taxIncluded ? 'text-gray-500' : ''}`}>
+              <span className={taxIncluded ? '' : 'text-gray-600'}>
+                {taxIncluded ? 'Includes VAT' : 'VAT'}
+              </span>
               <span className="font-medium" data-testid="tax">
-                {formatCurrency(calculatedTax, CURRENCY)}
+                {formatCurrency(finalTax, CURRENCY)}
               </span>
             </div>
           )}
           
-          {finalDiscount > 0 && (
+          {savingsLines.length > 0 ? (
+            <div className="space-y-2" data-testid="savings-breakdown">
+              {savingsLines.map((line) => (
+                <div key={line.key} className="flex justify-between text-sm text-green-600">
+                  <span>{line.label}</span>
+                  <span className="font-medium">
+                    -{formatCurrency(line.amount, CURRENCY)}
+                  </span>
+                </div>
+              ))}
+              {savingsLines.length > 1 && (
+                <div className="flex justify-between text-sm font-medium text-green-700">
+                  <span>Total savings</span>
+                  <span data-testid="discount">
+                    -{formatCurrency(finalDiscount, CURRENCY)}
+                  </span>
+                </div>
+              )}
+            </div>
+          ) : finalDiscount > 0 && (
             <div className="flex justify-between text-sm text-green-600">
               <span>Discount</span>
               <span className="font-medium" data-testid="discount">
@@ -169,7 +242,7 @@ const CartSummary = ({
             </div>
             {finalTotal > 0 && (
               <p className="text-xs text-gray-500 mt-1">
-                {CURRENCY} {formatCurrency(finalTotal, '')} including all taxes
+                {CURRENCY} {formatCurrency(finalTotal, '')} including VAT
               </p>
             )}
           </div>
@@ -225,7 +298,7 @@ const CartSummary = ({
         )}
 
         {/* Free Shipping Banner */}
-        {!isEligibleForFreeShipping && amountForFreeShipping > 0 && (
+        {quote && !isEligibleForFreeShipping && finalShipping > 0 && (
           <div className="p-3 bg-blue-50 border border-blue-200 rounded-lg mt-6">
             <div className="flex items-start gap-2">
               <Truck className="w-4 h-4 text-blue-600 mt-0.5" />
@@ -234,7 +307,8 @@ const CartSummary = ({
                   Free Shipping Available!
                 </p>
                 <p className="text-xs text-blue-600 mt-1">
-                  Add {formatCurrency(amountForFreeShipping, CURRENCY)} more to qualify for free shipping
+                  Standard delivery is free on orders over {formatCurrency(quote.freeShippingOver, CURRENCY)}
+                  {amountForFreeShipping > 0 && ` - add ${formatCurrency(amountForFreeShipping, CURRENCY)} more`}
                 </p>
               </div>
             </div>
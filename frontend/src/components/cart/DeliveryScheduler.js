@@ -0,0 +1,181 @@
+// frontend/src/components/cart/DeliveryScheduler.js
+
+import React, { useState, useEffect } from 'react';
+import { Calendar, Clock, MapPin } from 'lucide-react';
+import LoadingSpinner from '../common/LoadingSpinner';
+import { useNotification } from '../../hooks/useNotification';
+import shippingService from '../../services/shipping.service';
+
+/**
+ * Pick a pickup station and collection day, or a home delivery day and time
+ * window, at checkout. Each pick is held on the server while the customer
+ * checks out (see shippingService.reserveDelivery).
+ *
+ * `value` is { pickupStation, stationCounty, date, timeSlot, label, heldUntil };
+ * `onChange` gets the new value.
+ */
+const DeliveryScheduler = ({ method, county, value = {}, onChange, error }) => {
+  const { showNotification } = useNotification();
+  const [stations, setStations] = useState([]);
+  const [calendar, setCalendar] = useState(null);
+  const [reserving, setReserving] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const isPickup = method === 'pickup';
+  const station = stations.find((entry) => entry._id === value.pickupStation);
+
+  // Stations, once pickup is chosen
+  useEffect(() => {
+    if (!isPickup || stations.length > 0) return;
+
+    shippingService.getPickupStations()
+      .then(setStations)
+      .catch((err) => console.error('Failed to load pickup stations:', err));
+  }, [isPickup, stations.length]);
+
+  // What can be booked for the method and county, or the station
+  useEffect(() => {
+    if (isPickup && !value.pickupStation) {
+      setCalendar(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await shippingService.getSlots({
+          method,
+          county: isPickup ? undefined : county,
+          station: isPickup ? value.pickupStation : undefined
+        });
+        if (!cancelled) setCalendar(result);
+      } catch (err) {
+        console.error('Failed to load delivery slots:', err);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [method, county, isPickup, value.pickupStation, refreshKey]);
+
+  const reserve = async (choice) => {
+    setReserving(true);
+    try {
+      const { delivery } = await shippingService.reserveDelivery({
+        method,
+        county,
+        pickupStation: choice.pickupStation,
+        date: choice.date,
+        timeSlot: choice.timeSlot
+      });
+      onChange({ ...choice, heldUntil: delivery.heldUntil });
+    } catch (err) {
+      showNotification('error', err.message || 'That slot could not be reserved');
+      setRefreshKey((key) => key + 1);
+    } finally {
+      setReserving(false);
+    }
+  };
+
+  const handleStationChange = (e) => {
+    const chosen = stations.find((entry) => entry._id === e.target.value);
+    const next = { pickupStation: chosen?._id, stationCounty: chosen?.county };
+
+    // A new station needs a new collection day; give back the old one
+    if (value.date) reserve(next);
+    else onChange(next);
+  };
+
+  const isSelected = (date, timeSlot) => value.date === date && (value.timeSlot || null) === timeSlot;
+
+  return (
+    <div className="mt-4 space-y-4">
+      {isPickup && (
+        <div>
+          <label htmlFor="pickupStation" className="block text-sm font-medium text-gray-700 mb-1">
+            Pickup station
+          </label>
+          <select
+            id="pickupStation"
+            value={value.pickupStation || ''}
+            onChange={handleStationChange}
+            className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm"
+          >
+            <option value="">Choose a pickup station</option>
+            {stations.map((entry) => (
+              <option key={entry._id} value={entry._id}>
+                {entry.name} - {entry.town || entry.county}
+              </option>
+            ))}
+          </select>
+          {station && (
+            <p className="mt-2 text-sm text-gray-500 flex items-start">
+              <MapPin className="w-4 h-4 mr-1 mt-0.5 flex-shrink-0" />
+              {station.address}, {station.county}
+              {station.phone && ` · ${station.phone}`}
+            </p>
+          )}
+        </div>
+      )}
+
+      {(!isPickup || value.pickupStation) && (
+        <div>
+          <p className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+            <Calendar className="w-4 h-4 mr-1" />
+            {isPickup ? 'Collection day' : 'Delivery time (optional)'}
+          </p>
+
+          {!calendar ? (
+            <LoadingSpinner size="sm" />
+          ) : calendar.days.length === 0 ? (
+            <p className="text-sm text-gray-500">No days can be booked for this delivery method.</p>
+          ) : (
+            <div className="space-y-3">
+              {calendar.days.map((day) => (
+                <div key={day.date} className="flex flex-wrap items-center gap-2">
+                  <span className="w-32 text-sm text-gray-700">{day.label}</span>
+                  {day.slots.map((slot) => (
+                    <button
+                      key={slot.timeSlot || 'day'}
+                      type="button"
+                      disabled={reserving || (!slot.available && !isSelected(day.date, slot.timeSlot))}
+                      onClick={() => reserve({
+                        pickupStation: value.pickupStation,
+                        stationCounty: value.stationCounty,
+                        date: day.date,
+                        timeSlot: slot.timeSlot,
+                        label: `${day.label}, ${slot.label}`
+                      })}
+                      className={`px-3 py-1 text-xs rounded-full border ${
+                        isSelected(day.date, slot.timeSlot)
+                          ? 'border-blue-500 bg-blue-50 text-blue-700'
+                          : 'border-gray-300 text-gray-700 hover:border-blue-400'
+                      } disabled:opacity-50 disabled:cursor-not-allowed`}
+                    >
+                      {slot.label}
+                      {!slot.available && ' (full)'}
+                    </button>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {value.heldUntil && (
+        <p className="text-xs text-green-700 flex items-center">
+          <Clock className="w-3.5 h-3.5 mr-1" />
+          {value.label} is reserved for you until{' '}
+          {new Date(value.heldUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+        </p>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default DeliveryScheduler;
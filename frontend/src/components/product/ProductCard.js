@@ -19,11 +19,13 @@ import {
 } from 'lucide-react';
 
 import { useCart } from '../../context/SimpleCartContext';
-import { useAuth } from '../../context/AuthContext';
+import { useWishlist } from '../../context/WishlistContext';
 import { useApp } from '../../context/AppContext';
 import Button from '../common/Button';
+import { useTaxSettings } from '../../hooks/useTaxSettings';
+import taxService from '../../services/tax.service';
 import { formatPrice, getImageUrl } from '../../utils/helpers';
-import { ROUTES } from '../../utils/constants';
+import { ROUTES, SUCCESS_MESSAGES } from '../../utils/constants';
 
 const ProductCard = ({ 
   product, 
@@ -37,7 +39,7 @@ const ProductCard = ({
   ...props 
 }) => {
   const { addItem, isInCart, getItemQuantity } = useCart();
-  const { isAuthenticated } = useAuth();
+  const { isInWishlist, toggleWishlist } = useWishlist();
   const { navigate, addNotification } = useApp();
   
   const [isAddingToCart, setIsAddingToCart] = useState(false);
@@ -62,8 +64,14 @@ const ProductCard = ({
     sku
   } = product || {};
 
+  // Prices with or without VAT, as the store shows them
+  const taxSettings = useTaxSettings();
+  const shownPrice = taxService.displayPrice(price, product, taxSettings);
+  const shownComparePrice = comparePrice && taxService.displayPrice(comparePrice, product, taxSettings);
+
   const inCart = isInCart(_id);
   const cartQuantity = getItemQuantity(_id);
+  const wishlisted = isInWishlist(_id);
   const discount = discountPercentage || (comparePrice && price < comparePrice ? 
     Math.round(((comparePrice - price) / comparePrice) * 100) : 0);
 
@@ -158,26 +166,25 @@ const ProductCard = ({
     }
   };
 
-  // Handle wishlist toggle
-  const handleWishlistToggle = (e) => {
+  // Handle wishlist toggle (guests keep their wishlist in this browser until they log in)
+  const handleWishlistToggle = async (e) => {
     e.stopPropagation();
-    
-    if (!isAuthenticated) {
+
+    try {
+      const added = await toggleWishlist(product);
       addNotification({
-        type: 'info',
-        message: 'Please login to add items to wishlist',
-        duration: 4000
+        type: 'success',
+        message: added ? SUCCESS_MESSAGES.ITEM_ADDED_TO_WISHLIST : SUCCESS_MESSAGES.ITEM_REMOVED_FROM_WISHLIST,
+        duration: 3000
+      });
+    } catch (error) {
+      console.error('Error in handleWishlistToggle:', error);
+      addNotification({
+        type: 'error',
+        message: error.message || 'Failed to update wishlist',
+        duration: 5000
       });
-      navigate(ROUTES.LOGIN);
-      return;
     }
-
-    // TODO: Implement wishlist functionality
-    addNotification({
-      type: 'info',
-      message: 'Wishlist feature coming soon!',
-      duration: 3000
-    });
   };
 
   // Handle quick view
@@ -319,9 +326,10 @@ const ProductCard = ({
                   size="sm"
                   onClick={handleWishlistToggle}
                   className="bg-white bg-opacity-90 hover:bg-opacity-100 text-gray-900 p-2"
-                  aria-label="Add to wishlist"
+                  aria-label={wishlisted ? 'Remove from wishlist' : 'Add to wishlist'}
+                  aria-pressed={wishlisted}
                 >
-                  <Heart className="w-4 h-4" />
+                  <Heart className={`w-4 h-4 ${wishlisted ? 'text-red-500 fill-current' : ''}`} />
                 </Button>
               </div>
             </div>
@@ -369,11 +377,11 @@ const ProductCard = ({
           <div className="flex items-center justify-between mb-3">
             <div className="space-y-1">
               <p className="text-lg font-bold text-gray-900 dark:text-gray-100">
-                {formatPrice(price)}
+                {formatPrice(shownPrice)}
               </p>
               {comparePrice && comparePrice > price && (
                 <p className="text-sm text-gray-500 dark:text-gray-400 line-through">
-                  {formatPrice(comparePrice)}
+                  {formatPrice(shownComparePrice)}
                 </p>
               )}
             </div>
@@ -463,11 +471,11 @@ const ProductCard = ({
         <div className="flex items-center justify-between">
           <div>
             <p className="text-lg font-bold text-gray-900 dark:text-gray-100">
-              {formatPrice(price)}
+              {formatPrice(shownPrice)}
             </p>
             {comparePrice && comparePrice > price && (
               <p className="text-sm text-gray-500 dark:text-gray-400 line-through">
-                {formatPrice(comparePrice)}
+                {formatPrice(shownComparePrice)}
               </p>
             )}
           </div>
@@ -480,9 +488,10 @@ const ProductCard = ({
                   size="sm"
                   onClick={handleWishlistToggle}
                   className="p-2"
-                  aria-label="Add to wishlist"
+                  aria-label={wishlisted ? 'Remove from wishlist' : 'Add to wishlist'}
+                  aria-pressed={wishlisted}
                 >
-                  <Heart className="w-4 h-4" />
+                  <Heart className={`w-4 h-4 ${wishlisted ? 'text-red-500 fill-current' : ''}`} />
                 </Button>
               </>
             )}
@@ -49,6 +49,7 @@ const ActionTypes = {
   LOGIN_START: 'LOGIN_START',
   LOGIN_SUCCESS: 'LOGIN_SUCCESS',
   LOGIN_FAILURE: 'LOGIN_FAILURE',
+  LOGIN_CHALLENGE: 'LOGIN_CHALLENGE',
   
   // Register
   REGISTER_START: 'REGISTER_START',
@@ -133,6 +134,13 @@ const authReducer = (state, action) => {
         lastError: action.payload.error
       };
 
+    case ActionTypes.LOGIN_CHALLENGE:
+      return {
+        ...state,
+        loginLoading: false,
+        error: null
+      };
+
     case ActionTypes.REGISTER_START:
       return {
         ...state,
@@ -181,7 +189,7 @@ const authReducer = (state, action) => {
     case ActionTypes.USER_UPDATE:
       return {
         ...state,
-        user: { ...state.user, ...action.payload.user },
+        user: state.user ? { ...state.user, ...action.payload.user } : state.user,
         successMessage: action.payload.message || SUCCESS_MESSAGES.PROFILE_UPDATED
       };
 
@@ -312,6 +320,12 @@ export const AuthProvider = ({ children }) => {
         hasUserData: !!(response?.user || response?.data?.user),
         hasToken: !!(response?.token || response?.data?.token)
       });
+
+      // ✅ Accounts with two-factor authentication need a code before tokens are issued
+      if (response?.twoFactorRequired) {
+        dispatch({ type: ActionTypes.LOGIN_CHALLENGE });
+        return { success: false, twoFactorRequired: true, challengeToken: response.challengeToken };
+      }
       
       // ✅ Enhanced response validation with role checking
       if (response && response.success) {
@@ -397,6 +411,107 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  /**
+   * Second login step for accounts with two-factor authentication
+   */
+  const verifyTwoFactor = useCallback(async (challengeToken, { code, recoveryCode }) => {
+    dispatch({ type: ActionTypes.LOGIN_START });
+
+    try {
+      const response = await authService.verifyTwoFactor(challengeToken, { code, recoveryCode });
+      const userData = response.user || response.data?.user;
+
+      dispatch({
+        type: ActionTypes.LOGIN_SUCCESS,
+        payload: { user: userData }
+      });
+
+      window.dispatchEvent(new CustomEvent('auth:loginSuccess', {
+        detail: { user: userData }
+      }));
+
+      return { success: true, user: userData };
+    } catch (error) {
+      let errorMessage = error.message || 'Invalid authentication code';
+
+      if (error.status === 429) {
+        errorMessage = 'Too many invalid codes. Please try again later.';
+      }
+
+      dispatch({
+        type: ActionTypes.LOGIN_FAILURE,
+        payload: { error: errorMessage }
+      });
+
+      // An expired challenge means starting again from the password step
+      return { success: false, error: errorMessage, expired: /expired/i.test(errorMessage) };
+    }
+  }, []);
+
+  /**
+   * Passwordless login with an SMS code. New numbers come back with a signup
+   * token for completePhoneSignup.
+   */
+  const loginWithPhone = useCallback(async (phone, code) => {
+    dispatch({ type: ActionTypes.LOGIN_START });
+
+    try {
+      const response = await authService.verifyPhoneCode(phone, code);
+
+      if (response.signupRequired || response.twoFactorRequired) {
+        dispatch({ type: ActionTypes.LOGIN_CHALLENGE });
+        return { success: false, ...response };
+      }
+
+      dispatch({
+        type: ActionTypes.LOGIN_SUCCESS,
+        payload: { user: response.user }
+      });
+
+      window.dispatchEvent(new CustomEvent('auth:loginSuccess', {
+        detail: { user: response.user }
+      }));
+
+      return { success: true, user: response.user };
+    } catch (error) {
+      const errorMessage = error.message || 'Invalid code';
+
+      dispatch({
+        type: ActionTypes.LOGIN_FAILURE,
+        payload: { error: errorMessage }
+      });
+
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
+  /**
+   * Finish creating an account for a verified phone number
+   */
+  const completePhoneSignup = useCallback(async (details) => {
+    dispatch({ type: ActionTypes.REGISTER_START });
+
+    try {
+      const response = await authService.completePhoneSignup(details);
+
+      dispatch({
+        type: ActionTypes.REGISTER_SUCCESS,
+        payload: { user: response.user }
+      });
+
+      return { success: true, user: response.user };
+    } catch (error) {
+      const errorMessage = error.message || 'Could not create your account';
+
+      dispatch({
+        type: ActionTypes.REGISTER_FAILURE,
+        payload: { error: errorMessage }
+      });
+
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
   /**
    * ENHANCED: Register new user with better response handling
    */
@@ -522,6 +637,22 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  /**
+   * Reload the current user after an account change made elsewhere
+   */
+  const refreshUser = useCallback(async (message) => {
+    try {
+      const user = await authService.getCurrentUser();
+      dispatch({
+        type: ActionTypes.USER_UPDATE,
+        payload: { user, message }
+      });
+      return { success: true, user };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }, []);
+
   /**
    * Change password
    */
@@ -551,6 +682,67 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  /**
+   * Redeem an email verification token
+   */
+  const verifyEmail = useCallback(async (token) => {
+    try {
+      const response = await authService.verifyEmail(token);
+
+      if (response && response.success) {
+        dispatch({
+          type: ActionTypes.USER_UPDATE,
+          payload: {
+            user: { isVerified: true },
+            message: response.message || 'Email verified successfully'
+          }
+        });
+
+        return { success: true };
+      } else {
+        throw new Error(response?.message || 'Email verification failed');
+      }
+    } catch (error) {
+      const errorMessage = error.message || 'Email verification failed';
+
+      dispatch({
+        type: ActionTypes.ERROR_SET,
+        payload: { error: errorMessage }
+      });
+
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
+  /**
+   * Send a new verification email
+   */
+  const resendVerification = useCallback(async () => {
+    try {
+      const response = await authService.resendVerification();
+
+      if (response && response.success) {
+        dispatch({
+          type: ActionTypes.SUCCESS_MESSAGE_SET,
+          payload: { message: 'Verification email sent. Please check your inbox.' }
+        });
+
+        return { success: true };
+      } else {
+        throw new Error(response?.message || 'Could not send verification email');
+      }
+    } catch (error) {
+      const errorMessage = error.message || 'Could not send verification email';
+
+      dispatch({
+        type: ActionTypes.ERROR_SET,
+        payload: { error: errorMessage }
+      });
+
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
   /**
    * Request password reset
    */
@@ -656,10 +848,20 @@ export const AuthProvider = ({ children }) => {
       dispatch({ type: ActionTypes.USER_CLEAR });
     };
 
+    // Verification can happen in another tab or before login
+    const handleEmailVerified = () => {
+      dispatch({
+        type: ActionTypes.USER_UPDATE,
+        payload: { user: { isVerified: true }, message: 'Email verified successfully' }
+      });
+    };
+
     window.addEventListener('auth:error', handleAuthError);
+    window.addEventListener('auth:emailVerified', handleEmailVerified);
     
     return () => {
       window.removeEventListener('auth:error', handleAuthError);
+      window.removeEventListener('auth:emailVerified', handleEmailVerified);
     };
   }, []);
 
@@ -691,17 +893,24 @@ export const AuthProvider = ({ children }) => {
   const contextValue = useMemo(() => ({
     // State
     ...state,
+    isEmailVerified: !!state.user?.isVerified,
     
     // Auth actions
     login,
+    verifyTwoFactor,
+    loginWithPhone,
+    completePhoneSignup,
     register,
     logout,
     
     // User management
     updateProfile,
+    refreshUser,
     changePassword,
     forgotPassword,
     resetPassword,
+    verifyEmail,
+    resendVerification,
     
     // Utility functions
     clearError,
@@ -713,7 +922,7 @@ export const AuthProvider = ({ children }) => {
     loginLoadingMessage: state.loginLoading ? LOADING_MESSAGES.LOGGING_IN : null,
     registerLoadingMessage: state.registerLoading ? LOADING_MESSAGES.CREATING_ACCOUNT : null,
     logoutLoadingMessage: state.logoutLoading ? 'Logging out...' : null,
-  }), [state, login, register, logout, updateProfile, changePassword, forgotPassword, resetPassword, clearError, clearSuccessMessage, hasRole, isAdmin]);
+  }), [state, login, verifyTwoFactor, loginWithPhone, completePhoneSignup, register, logout, updateProfile, refreshUser, changePassword, forgotPassword, resetPassword, verifyEmail, resendVerification, clearError, clearSuccessMessage, hasRole, isAdmin]);
 
   return (
     <AuthContext.Provider value={contextValue}>
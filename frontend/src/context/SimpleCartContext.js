@@ -1,6 +1,6 @@
 // frontend/src/context/SimpleCartContext.js
 
-import React, { createContext, useContext, useReducer, useCallback, useMemo } from 'react';
+import React, { createContext, useContext, useReducer, useCallback, useMemo, useEffect } from 'react';
 import cartService from '../services/cart.service';
 
 // Initial state
@@ -52,23 +52,35 @@ const ActionTypes = {
   CLEAR_SUCCESS_MESSAGE: 'CLEAR_SUCCESS_MESSAGE'
 };
 
-// Helper function to calculate cart summary
-const calculateSummary = (items) => {
+// Helper function to calculate cart summary. `totals` are the server's cart
+// totals when we have them, which carry the promotion and coupon savings.
+const calculateSummary = (items, totals = {}) => {
   const subtotal = items.reduce((sum, item) => sum + (item.price * item.quantity), 0);
   const itemCount = items.reduce((sum, item) => sum + item.quantity, 0);
   const uniqueItems = items.length;
   
-  // These would be calculated based on your business logic
-  const tax = 0;
+  // VAT is worked out by the server per tax class; shipping is quoted
+  // separately (see CartSummary)
+  const tax = Number(totals.tax) || 0;
+  const taxIncluded = Boolean(totals.taxIncluded);
+  const taxBreakdown = totals.taxBreakdown || [];
+  const shippingTax = totals.shippingTax || null;
   const shipping = 0;
-  const discount = 0;
-  const total = subtotal + tax + shipping - discount;
+  const promotions = totals.promotions || [];
+  const coupons = totals.coupons || [];
+  const discount = Number(totals.discount) || 0;
+  const total = subtotal + shipping - discount + (taxIncluded ? 0 : tax);
   
   return {
     subtotal,
     tax,
+    taxIncluded,
+    taxBreakdown,
+    shippingTax,
     shipping,
     discount,
+    promotions,
+    coupons,
     total,
     itemCount,
     uniqueItems
@@ -83,7 +95,7 @@ const cartReducer = (state, action) => {
       
     case ActionTypes.LOAD_CART_SUCCESS: {
       const items = action.payload.items || [];
-      const summary = calculateSummary(items);
+      const summary = calculateSummary(items, action.payload.totals);
       
       return {
         ...state,
@@ -280,11 +292,15 @@ export const SimpleCartProvider = ({ children }) => {
     
     try {
       const response = await cartService.getCart();
-      const items = response.data?.items || [];
+      const cart = response.data?.cart || response.data || {};
+      const items = cart.items || [];
       
       dispatch({
         type: ActionTypes.LOAD_CART_SUCCESS,
-        payload: { items }
+        payload: {
+          items,
+          totals: { ...cart.totals, coupons: cart.appliedCoupons || [] }
+        }
       });
       
       return { success: true, items };
@@ -293,6 +309,23 @@ export const SimpleCartProvider = ({ children }) => {
     }
   }, []);
 
+  // Logging in merges the guest cart into the user's on the server, so load
+  // the merged cart; logging out leaves a guest with no cart yet
+  useEffect(() => {
+    const handleLogin = () => { loadCart(); };
+    const handleLogout = () => dispatch({ type: ActionTypes.RESET_CART });
+
+    window.addEventListener('auth:login', handleLogin);
+    window.addEventListener('auth:register', handleLogin);
+    window.addEventListener('auth:logout', handleLogout);
+
+    return () => {
+      window.removeEventListener('auth:login', handleLogin);
+      window.removeEventListener('auth:register', handleLogin);
+      window.removeEventListener('auth:logout', handleLogout);
+    };
+  }, [loadCart]);
+
   // Add item to cart
   const addItem = useCallback(async (product, quantity = 1, options = {}) => {
     dispatch({ type: ActionTypes.ADD_ITEM_START });
@@ -0,0 +1,143 @@
+// frontend/src/context/WishlistContext.js
+
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import wishlistService from '../services/wishlist.service';
+import { useAuth } from './AuthContext';
+import { useCart } from './SimpleCartContext';
+
+const WishlistContext = createContext(null);
+
+// Provider component
+export const WishlistProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const { addItem: addToCart, loadCart } = useCart();
+
+  const [items, setItems] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const applyResponse = (response) => {
+    if (Array.isArray(response?.data)) {
+      setItems(response.data);
+    }
+    return response;
+  };
+
+  // Load the wishlist, merging any guest items into the account first
+  const loadWishlist = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      if (isAuthenticated) {
+        await wishlistService.mergeGuestWishlist();
+      }
+      applyResponse(await wishlistService.getWishlist());
+    } catch (err) {
+      console.error('Error loading wishlist:', err);
+      setError(err.message || 'Failed to load wishlist');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [isAuthenticated]);
+
+  useEffect(() => {
+    loadWishlist();
+  }, [loadWishlist]);
+
+  const isInWishlist = useCallback(
+    (productId) => items.some((item) => item._id === productId),
+    [items]
+  );
+
+  const addToWishlist = useCallback(async (product) => {
+    const response = await wishlistService.addItem(product._id);
+
+    if (isAuthenticated) {
+      applyResponse(response);
+    } else {
+      setItems((current) => (
+        current.some((item) => item._id === product._id)
+          ? current
+          : [...current, wishlistService.toWishlistItem(product)]
+      ));
+    }
+    return response;
+  }, [isAuthenticated]);
+
+  const removeFromWishlist = useCallback(async (productId) => {
+    const response = await wishlistService.removeItem(productId);
+
+    if (isAuthenticated) {
+      applyResponse(response);
+    } else {
+      setItems((current) => current.filter((item) => item._id !== productId));
+    }
+    return response;
+  }, [isAuthenticated]);
+
+  // Returns true when the product was added, false when it was removed
+  const toggleWishlist = useCallback(async (product) => {
+    if (isInWishlist(product._id)) {
+      await removeFromWishlist(product._id);
+      return false;
+    }
+    await addToWishlist(product);
+    return true;
+  }, [isInWishlist, addToWishlist, removeFromWishlist]);
+
+  const moveToCart = useCallback(async (productId, quantity = 1) => {
+    if (isAuthenticated) {
+      applyResponse(await wishlistService.moveToCart(productId, quantity));
+      await loadCart();
+      return { success: true };
+    }
+
+    const result = await addToCart({ _id: productId }, quantity);
+    if (!result?.success) {
+      throw new Error(result?.error || 'Failed to add item to cart');
+    }
+    await removeFromWishlist(productId);
+    return result;
+  }, [isAuthenticated, addToCart, loadCart, removeFromWishlist]);
+
+  const contextValue = useMemo(() => ({
+    items,
+    isLoading,
+    error,
+    count: items.length,
+    loadWishlist,
+    isInWishlist,
+    addToWishlist,
+    removeFromWishlist,
+    toggleWishlist,
+    moveToCart
+  }), [
+    items,
+    isLoading,
+    error,
+    loadWishlist,
+    isInWishlist,
+    addToWishlist,
+    removeFromWishlist,
+    toggleWishlist,
+    moveToCart
+  ]);
+
+  return (
+    <WishlistContext.Provider value={contextValue}>
+      {children}
+    </WishlistContext.Provider>
+  );
+};
+
+// Custom hook
+export const useWishlist = () => {
+  const context = useContext(WishlistContext);
+  if (!context) {
+    throw new Error('useWishlist must be used within a WishlistProvider');
+  }
+  return context;
+};
+
+export default WishlistProvider;
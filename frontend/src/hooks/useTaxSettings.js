@@ -0,0 +1,27 @@
+// frontend/src/hooks/useTaxSettings.js
+
+import { useState, useEffect } from 'react';
+import taxService from '../services/tax.service';
+
+/**
+ * The store's tax settings (see taxService.getSettings); null until loaded,
+ * or if they can't be, in which case prices are shown as stored
+ * @returns {object|null} The settings
+ */
+export const useTaxSettings = () => {
+  const [settings, setSettings] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    taxService.getSettings()
+      .then((loaded) => { if (!cancelled) setSettings(loaded); })
+      .catch((error) => console.error('Failed to load tax settings:', error));
+
+    return () => { cancelled = true; };
+  }, []);
+
+  return settings;
+};
+
+export default useTaxSettings;
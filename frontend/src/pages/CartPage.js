@@ -305,7 +305,7 @@ const CartPage = () => {
                           </li>
                           <li className="flex items-start">
                             <Truck className="w-3.5 h-3.5 text-green-600 mt-0.5 mr-1.5 flex-shrink-0" />
-                            <span>Free shipping on orders over KSh 2,000</span>
+                            <span>Delivery to all 47 counties, or collect from a pickup station</span>
                           </li>
                           <li className="flex items-start">
                             <ShieldCheck className="w-3.5 h-3.5 text-green-600 mt-0.5 mr-1.5 flex-shrink-0" />
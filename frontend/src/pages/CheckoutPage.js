@@ -1,7 +1,7 @@
 // frontend/src/pages/CheckoutPage.js
 
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import { 
   CreditCard, 
   MapPin, 
@@ -19,10 +19,13 @@ import Input from '../components/common/Input';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import CartItem from '../components/cart/CartItem';
 import CartSummary from '../components/cart/CartSummary';
+import DeliveryScheduler from '../components/cart/DeliveryScheduler';
 import { useCart } from '../context/SimpleCartContext';
 import { useAuth } from '../context/AuthContext';
 import { useNotification } from '../hooks/useNotification';
 import { orderService } from '../services/order.service';
+import shippingService from '../services/shipping.service';
+import { formatCurrency } from '../utils/helpers';
 import { validateEmail, validatePhone } from '../utils/validators';
 
 const CheckoutPage = () => {
@@ -58,6 +61,11 @@ const CheckoutPage = () => {
     cardName: ''
   });
 
+  // Delivery
+  const [deliveryMethod, setDeliveryMethod] = useState('standard');
+  const [deliveryChoice, setDeliveryChoice] = useState({});
+  const [shippingQuote, setShippingQuote] = useState(null);
+
   const [errors, setErrors] = useState({});
   const [agreeToTerms, setAgreeToTerms] = useState(false);
 
@@ -66,16 +74,70 @@ const CheckoutPage = () => {
     if (cartItems.length === 0) {
       showNotification('info', 'Your cart is empty');
       navigate('/cart');
-      return;
     }
+  }, [cartItems, navigate, showNotification]);
 
-    // Redirect if not logged in
-    if (!user) {
-      showNotification('info', 'Please login to proceed with checkout');
-      navigate('/login?redirect=/checkout');
-      return;
+  // Fill in the user's details once they've loaded (guests type their own)
+  useEffect(() => {
+    if (!user) return;
+
+    setShippingInfo((prev) => ({
+      ...prev,
+      firstName: prev.firstName || user.firstName || '',
+      lastName: prev.lastName || user.lastName || '',
+      email: prev.email || user.email || '',
+      phone: prev.phone || user.phone || ''
+    }));
+    setPaymentInfo((prev) => ({ ...prev, mpesaPhone: prev.mpesaPhone || user.phone || '' }));
+  }, [user]);
+
+  // Pickup is priced by the station's county
+  const deliveryCounty = deliveryMethod === 'pickup' && deliveryChoice.stationCounty
+    ? deliveryChoice.stationCounty
+    : shippingInfo.county.trim();
+
+  // Re-quote delivery whenever the county, method or cart changes
+  useEffect(() => {
+    if (cartItems.length === 0) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const quote = await shippingService.getQuote(cartItems, {
+          county: deliveryCounty,
+          method: deliveryMethod
+        });
+        if (!cancelled) setShippingQuote(quote);
+      } catch (error) {
+        console.error('Failed to quote shipping:', error);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [cartItems, deliveryCounty, deliveryMethod]);
+
+  const handleDeliveryMethodChange = (method) => {
+    // A slot held for the old method is given back
+    if (deliveryChoice.heldUntil) {
+      shippingService.reserveDelivery({ method, county: shippingInfo.county.trim() })
+        .catch((error) => console.error('Failed to release delivery slot:', error));
+    }
+
+    setDeliveryMethod(method);
+    setDeliveryChoice({});
+    setErrors((prev) => ({ ...prev, delivery: '' }));
+  };
+
+  // Fall back to standard delivery when the chosen method isn't offered
+  useEffect(() => {
+    if (shippingQuote && shippingQuote.method !== deliveryMethod) {
+      setDeliveryMethod(shippingQuote.method);
+      setDeliveryChoice({});
     }
-  }, [cartItems, user, navigate, showNotification]);
+  }, [shippingQuote, deliveryMethod]);
 
   const handleShippingChange = (e) => {
     const { name, value } = e.target;
@@ -144,6 +206,12 @@ const CheckoutPage = () => {
       newErrors.county = 'County is required';
     }
 
+    if (deliveryMethod === 'pickup' && !deliveryChoice.pickupStation) {
+      newErrors.delivery = 'Please choose a pickup station';
+    } else if (deliveryMethod === 'pickup' && !deliveryChoice.date) {
+      newErrors.delivery = 'Please choose a day to collect your order';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -219,6 +287,16 @@ const CheckoutPage = () => {
           postalCode: shippingInfo.postalCode,
           specialInstructions: shippingInfo.specialInstructions
         },
+        deliveryMethod,
+        // Guests check out with their contact details in place of an account
+        ...(!user && {
+          contact: {
+            firstName: shippingInfo.firstName,
+            lastName: shippingInfo.lastName,
+            email: shippingInfo.email,
+            phone: shippingInfo.phone
+          }
+        }),
         paymentMethod: paymentMethod,
         paymentDetails: paymentMethod === 'mpesa' 
           ? { phone: paymentInfo.mpesaPhone }
@@ -230,12 +308,26 @@ const CheckoutPage = () => {
       };
 
       const response = await orderService.createOrder(orderData);
+      const orderId = response.data.order._id;
       
       // Clear cart after successful order
       await clearCart();
       
-      showNotification('success', 'Order placed successfully!');
-      navigate(`/order-confirmation/${response.data.order._id}`);
+      showNotification('success', user
+        ? 'Order placed successfully!'
+        : 'Order placed! We\'ve emailed you a link to view and track it.');
+
+      // Send the M-Pesa prompt; the order stays open to pay later if it fails
+      if (paymentMethod === 'mpesa') {
+        try {
+          await orderService.processMpesaPayment(orderId, { phoneNumber: paymentInfo.mpesaPhone });
+          showNotification('info', 'Check your phone to complete the M-Pesa payment');
+        } catch (paymentError) {
+          showNotification('error', paymentError.message || 'Could not start the M-Pesa payment');
+        }
+      }
+
+      navigate(`/order-confirmation/${orderId}`);
       
     } catch (error) {
       console.error('Order placement failed:', error);
@@ -333,6 +425,16 @@ const CheckoutPage = () => {
                   Shipping Information
                 </h2>
 
+                {!user && (
+                  <p className="mb-6 p-3 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+                    Checking out as a guest. We'll email you a link to follow your order.{' '}
+                    <Link to="/login?redirect=/checkout" className="font-medium underline">
+                      Log in
+                    </Link>{' '}
+                    to use your account instead.
+                  </p>
+                )}
+
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                   <Input
                     type="text"
@@ -431,6 +533,70 @@ const CheckoutPage = () => {
                   </div>
                 </div>
 
+                {/* Delivery Method */}
+                <div className="mt-8">
+                  <h3 className="font-semibold text-gray-900 mb-4 flex items-center">
+                    <Truck className="w-4 h-4 mr-2" />
+                    Delivery Method
+                  </h3>
+
+                  {!shippingQuote ? (
+                    <LoadingSpinner size="sm" />
+                  ) : (
+                    <div className="space-y-3">
+                      {shippingQuote.options.map((option) => (
+                        <label
+                          key={option.method}
+                          className={`flex items-start justify-between p-4 border rounded-lg ${
+                            option.available ? 'cursor-pointer' : 'opacity-50 cursor-not-allowed'
+                          } ${deliveryMethod === option.method ? 'border-blue-500 bg-blue-50' : 'border-gray-200'}`}
+                        >
+                          <div className="flex items-start">
+                            <input
+                              type="radio"
+                              name="deliveryMethod"
+                              value={option.method}
+                              checked={deliveryMethod === option.method}
+                              disabled={!option.available}
+                              onChange={(e) => handleDeliveryMethodChange(e.target.value)}
+                              className="w-4 h-4 mt-1 text-blue-600"
+                            />
+                            <div className="ml-3">
+                              <p className="font-medium text-gray-900">{option.name}</p>
+                              <p className="text-sm text-gray-500">
+                                {option.available
+                                  ? shippingService.describeDelivery(option)
+                                  : option.unavailableReason}
+                              </p>
+                            </div>
+                          </div>
+                          {option.available && (
+                            <span className="font-medium text-gray-900">
+                              {option.fee === 0 ? 'FREE' : formatCurrency(option.fee, 'KES')}
+                            </span>
+                          )}
+                        </label>
+                      ))}
+                      {shippingQuote.zone.estimated && (
+                        <p className="text-xs text-gray-500">
+                          Prices are estimates until you enter your county.
+                        </p>
+                      )}
+                    </div>
+                  )}
+
+                  <DeliveryScheduler
+                    method={deliveryMethod}
+                    county={shippingInfo.county.trim()}
+                    value={deliveryChoice}
+                    onChange={(choice) => {
+                      setDeliveryChoice(choice);
+                      setErrors((prev) => ({ ...prev, delivery: '' }));
+                    }}
+                    error={errors.delivery}
+                  />
+                </div>
+
                 <div className="flex justify-end mt-8">
                   <Button onClick={handleNextStep} size="lg">
                     Continue to Payment
@@ -637,6 +803,12 @@ const CheckoutPage = () => {
                       {shippingInfo.postalCode && <p>{shippingInfo.postalCode}</p>}
                       <p>{shippingInfo.phone}</p>
                       <p>{shippingInfo.email}</p>
+                      {shippingService.optionFor(shippingQuote, deliveryMethod) && (
+                        <p className="pt-2 font-medium text-gray-900">
+                          {shippingService.optionFor(shippingQuote, deliveryMethod).name}
+                        </p>
+                      )}
+                      {deliveryChoice.label && <p>{deliveryChoice.label}</p>}
                     </div>
                   </div>
 
@@ -688,6 +860,7 @@ const CheckoutPage = () => {
               <CartSummary 
                 isCheckout={true}
                 showPromoCode={false}
+                shippingQuote={shippingQuote}
               />
             </div>
           </div>
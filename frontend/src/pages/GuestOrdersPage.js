@@ -0,0 +1,240 @@
+// frontend/src/pages/GuestOrdersPage.js
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, Navigate, useNavigate, useSearchParams } from 'react-router-dom';
+import { Package, Truck, Mail, Smartphone, AlertTriangle } from 'lucide-react';
+import Button from '../components/common/Button';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import { useAuth } from '../context/AuthContext';
+import { useNotification } from '../hooks/useNotification';
+import { orderService } from '../services/order.service';
+import { formatCurrency } from '../utils/helpers';
+
+/**
+ * A guest's orders (/orders/guest), opened from the link emailed after a
+ * guest checkout (?token=...). The token is kept so the order and tracking
+ * pages work too; without one, or once it expires, guests can ask for a new
+ * link.
+ */
+const GuestOrdersPage = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { showNotification } = useNotification();
+
+  const [orders, setOrders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expired, setExpired] = useState(false);
+  const [paying, setPaying] = useState(null);
+
+  const linkToken = searchParams.get('token');
+
+  const loadOrders = useCallback(async () => {
+    if (!orderService.hasGuestToken()) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const response = await orderService.getMyOrders({ limit: 50 });
+      setOrders(response.data.orders);
+    } catch (error) {
+      if (error.status === 401) {
+        orderService.clearGuestToken();
+        setExpired(true);
+      } else {
+        showNotification('error', error.message || 'Failed to load your orders');
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [showNotification]);
+
+  useEffect(() => {
+    // Keep the token from the link, and take it out of the address bar
+    if (linkToken) {
+      orderService.setGuestToken(linkToken);
+      navigate('/orders/guest', { replace: true });
+      return;
+    }
+
+    loadOrders();
+  }, [linkToken, navigate, loadOrders]);
+
+  const handlePay = async (order) => {
+    try {
+      setPaying(order._id);
+      await orderService.processMpesaPayment(order._id, { phoneNumber: order.shippingAddress?.phone || '' });
+      showNotification('info', 'Check your phone to complete the M-Pesa payment');
+    } catch (error) {
+      showNotification('error', error.message || 'Could not start the M-Pesa payment');
+    } finally {
+      setPaying(null);
+    }
+  };
+
+  // Logged-in customers have their orders in their account
+  if (user) {
+    return <Navigate to="/orders" replace />;
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const hasAccess = orderService.hasGuestToken();
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900 py-12">
+      <div className="container mx-auto px-4 max-w-2xl">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+            Your Orders
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            {hasAccess
+              ? 'Orders placed with your email as a guest'
+              : 'We\'ll send you a link to view and track the orders you placed as a guest'}
+          </p>
+        </div>
+
+        {expired && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6 flex items-start space-x-3 text-sm text-yellow-800">
+            <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+            <p>Your order link has expired, or its orders have moved into your account. Ask for a new link below, or log in.</p>
+          </div>
+        )}
+
+        {hasAccess ? (
+          <GuestOrderList orders={orders} paying={paying} onPay={handlePay} />
+        ) : (
+          <OrderLinkForm />
+        )}
+
+        <p className="text-sm text-gray-500 dark:text-gray-400 text-center mt-6">
+          <Link to="/register" className="text-blue-600 hover:text-blue-700">Create an account</Link>
+          {' '}with the same email or phone number to keep all your orders in one place, or{' '}
+          <Link to="/login?redirect=/orders" className="text-blue-600 hover:text-blue-700">log in</Link>.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+// Guest Order List Component
+const GuestOrderList = ({ orders, paying, onPay }) => {
+  if (orders.length === 0) {
+    return (
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 text-center">
+        <Package className="w-12 h-12 text-gray-300 mx-auto mb-4" />
+        <p className="text-gray-600 dark:text-gray-400">No orders to show</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {orders.map((order) => {
+        const awaitingMpesa = order.payment?.method === 'mpesa'
+          && order.payment?.status !== 'paid'
+          && !['cancelled', 'refunded'].includes(order.status);
+
+        return (
+          <div key={order._id} className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6">
+            <div className="flex items-center justify-between flex-wrap gap-2 mb-4">
+              <div>
+                <p className="font-semibold text-gray-900 dark:text-white">{order.orderNumber}</p>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {order.formattedDate} · {order.items?.length || 0} item{order.items?.length !== 1 ? 's' : ''}
+                </p>
+              </div>
+              <div className="text-right">
+                <p className="font-semibold text-gray-900 dark:text-white">{formatCurrency(order.summary.total)}</p>
+                <p className="text-sm text-gray-500 dark:text-gray-400">
+                  {order.statusDisplay} · {order.paymentStatusDisplay}
+                </p>
+              </div>
+            </div>
+            <div className="flex flex-wrap items-center gap-4 text-sm">
+              <Link to={`/order-confirmation/${order._id}`} className="inline-flex items-center text-blue-600 hover:text-blue-700">
+                <Package className="w-4 h-4 mr-1" />
+                View order
+              </Link>
+              <Link to={`/orders/${order._id}/tracking`} className="inline-flex items-center text-blue-600 hover:text-blue-700">
+                <Truck className="w-4 h-4 mr-1" />
+                Track
+              </Link>
+              {awaitingMpesa && (
+                <Button size="sm" startIcon={Smartphone} loading={paying === order._id} onClick={() => onPay(order)}>
+                  Pay with M-Pesa
+                </Button>
+              )}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+// Order Link Form Component
+const OrderLinkForm = () => {
+  const [contact, setContact] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    const value = contact.trim();
+    const request = value.includes('@') ? { email: value } : { phone: value };
+
+    try {
+      setSubmitting(true);
+      const response = await orderService.requestGuestOrderLink(request);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || 'Failed to send the link');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 space-y-4">
+      <div>
+        <label htmlFor="contact" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Email or phone number you checked out with
+        </label>
+        <input
+          id="contact"
+          type="text"
+          value={contact}
+          onChange={(e) => setContact(e.target.value)}
+          placeholder="you@example.com or 07XX XXX XXX"
+          className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700"
+          required
+        />
+      </div>
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      )}
+      {message && (
+        <p className="text-sm text-green-700 dark:text-green-400">{message}</p>
+      )}
+      <Button type="submit" variant="primary" loading={submitting} fullWidth startIcon={Mail}>
+        Send Me a Link
+      </Button>
+    </form>
+  );
+};
+
+export default GuestOrdersPage;
@@ -17,6 +17,7 @@ import {
 import Button from '../components/common/Button';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import { orderService } from '../services/order.service';
+import { useAuth } from '../context/AuthContext';
 import { formatCurrency, formatDate } from '../utils/helpers';
 import { useNotification } from '../hooks/useNotification';
 
@@ -24,9 +25,14 @@ const OrderConfirmationPage = () => {
   const { orderId } = useParams();
   const navigate = useNavigate();
   const { showNotification } = useNotification();
+  const { user } = useAuth();
+
+  // Guests keep their orders on the page their order link opens
+  const ordersLink = user ? '/profile?tab=orders' : '/orders/guest';
 
   const [order, setOrder] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
 
   useEffect(() => {
     if (orderId) {
@@ -42,14 +48,31 @@ const OrderConfirmationPage = () => {
     } catch (error) {
       console.error('Failed to load order details:', error);
       showNotification('error', 'Order not found');
-      navigate('/profile?tab=orders');
+      navigate(ordersLink);
     } finally {
       setLoading(false);
     }
   };
 
-  const handleDownloadReceipt = () => {
-    showNotification('info', 'Receipt download feature coming soon!');
+  const handleDownloadReceipt = async () => {
+    try {
+      setDownloading(true);
+      const response = await orderService.downloadInvoice(orderId);
+
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.setAttribute('download', `invoice-${order.orderNumber}.pdf`);
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      // Unconfirmed orders (e.g. awaiting M-Pesa payment) have no invoice yet
+      showNotification('error', error.message || 'Failed to download receipt');
+    } finally {
+      setDownloading(false);
+    }
   };
 
   const getEstimatedDelivery = () => {
@@ -80,7 +103,7 @@ const OrderConfirmationPage = () => {
       <div className="min-h-screen flex items-center justify-center">
         <div className="text-center">
           <h2 className="text-2xl font-bold text-gray-900 mb-4">Order Not Found</h2>
-          <Button as={Link} to="/profile?tab=orders">
+          <Button as={Link} to={ordersLink}>
             View All Orders
           </Button>
         </div>
@@ -276,13 +299,14 @@ const OrderConfirmationPage = () => {
               variant="outline"
               icon={Download}
               size="lg"
+              loading={downloading}
             >
               Download Receipt
             </Button>
             
             <Button
               as={Link}
-              to="/profile?tab=orders"
+              to={ordersLink}
               variant="outline"
               icon={Package}
               size="lg"
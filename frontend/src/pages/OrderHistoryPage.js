@@ -31,6 +31,7 @@ import { useApp } from '../context/AppContext';
 import Button from '../components/common/Button';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import { orderService } from '../services/order.service';
+import { RETURN_REASONS } from '../utils/constants';
 import { formatCurrency, formatDate } from '../utils/helpers';
 
 const OrderHistoryPage = () => {
@@ -49,6 +50,7 @@ const OrderHistoryPage = () => {
   const [totalPages, setTotalPages] = useState(1);
   const [totalOrders, setTotalOrders] = useState(0);
   const [expandedOrders, setExpandedOrders] = useState(new Set());
+  const [returningOrder, setReturningOrder] = useState(null);
   const [showFilters, setShowFilters] = useState(false);
 
   const ordersPerPage = 10;
@@ -101,7 +103,7 @@ const OrderHistoryPage = () => {
         dateRange: dateRange !== 'all' ? dateRange : undefined
       };
 
-      const response = await orderService.getUserOrders(params);
+      const response = await orderService.getMyOrders(params);
       
       if (response.success) {
         setOrders(response.data.orders || []);
@@ -180,7 +182,17 @@ const OrderHistoryPage = () => {
   };
 
   const handleReturnRequest = (orderId) => {
-    navigate(`/orders/${orderId}/return`);
+    setReturningOrder(returningOrder === orderId ? null : orderId);
+  };
+
+  const handleReturnSubmitted = (ret) => {
+    setReturningOrder(null);
+    addNotification({
+      type: 'success',
+      title: 'Return Requested',
+      message: `Return ${ret.returnNumber} is waiting for approval`
+    });
+    loadOrders();
   };
 
   const handleDownloadInvoice = async (orderId) => {
@@ -365,6 +377,9 @@ const OrderHistoryPage = () => {
                 onReorder={() => handleReorder(order._id)}
                 onTrackOrder={() => handleTrackOrder(order._id)}
                 onReturnRequest={() => handleReturnRequest(order._id)}
+                isReturning={returningOrder === order._id}
+                onReturnSubmitted={handleReturnSubmitted}
+                onReturnCancel={() => setReturningOrder(null)}
                 onDownloadInvoice={() => handleDownloadInvoice(order._id)}
                 onWriteReview={handleWriteReview}
               />
@@ -445,6 +460,9 @@ const OrderCard = ({
   onReorder, 
   onTrackOrder, 
   onReturnRequest, 
+  isReturning,
+  onReturnSubmitted,
+  onReturnCancel,
   onDownloadInvoice,
   onWriteReview 
 }) => {
@@ -475,7 +493,7 @@ const OrderCard = ({
     return <Icon className="w-4 h-4" />;
   };
 
-  const canTrack = ['confirmed', 'processing', 'shipped'].includes(order.status);
+  const canTrack = ['confirmed', 'processing', 'shipped', 'delivered'].includes(order.status);
   const canReturn = order.status === 'delivered' && order.canReturn;
   const canReorder = !['pending', 'cancelled'].includes(order.status);
 
@@ -502,7 +520,7 @@ const OrderCard = ({
 
           <div className="text-right">
             <p className="text-lg font-bold text-gray-900 dark:text-white">
-              {formatCurrency(order.total)}
+              {formatCurrency(order.summary.total)}
             </p>
             <p className="text-sm text-gray-600 dark:text-gray-400">
               {order.items.length} item{order.items.length !== 1 ? 's' : ''}
@@ -573,6 +591,24 @@ const OrderCard = ({
           </Button>
         </div>
 
+        {/* Return Request */}
+        {isReturning && (
+          <ReturnRequestForm
+            order={order}
+            onSubmitted={onReturnSubmitted}
+            onCancel={onReturnCancel}
+          />
+        )}
+
+        {/* Returns */}
+        {order.returns && order.returns.length > 0 && (
+          <div className="mb-4 space-y-2">
+            {order.returns.map((ret) => (
+              <ReturnStatus key={ret._id} ret={ret} />
+            ))}
+          </div>
+        )}
+
         {/* Order Summary */}
         <div className="flex items-center justify-between text-sm">
           <div className="flex items-center space-x-4">
@@ -586,8 +622,8 @@ const OrderCard = ({
             <div className="flex items-center space-x-1">
               <CreditCard className="w-4 h-4 text-gray-400" />
               <span className="text-gray-600 dark:text-gray-400">
-                {order.paymentMethod.type === 'mpesa' ? 'M-Pesa' :
-                 order.paymentMethod.type === 'card' ? 'Card' : 'Bank Transfer'}
+                {order.payment?.method === 'mpesa' ? 'M-Pesa' :
+                 order.payment?.method === 'card' ? 'Card' : 'Cash on Delivery'}
               </span>
             </div>
 
@@ -647,9 +683,11 @@ const OrderCard = ({
                 Payment & Shipping
               </h5>
               <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
-                <p>Payment: {order.paymentMethod.type === 'mpesa' ? 'M-Pesa' :
-                           order.paymentMethod.type === 'card' ? 'Credit Card' : 'Bank Transfer'}</p>
-                <p>Shipping: {order.shippingMethod.name}</p>
+                <p>Payment: {order.payment?.method === 'mpesa' ? 'M-Pesa' :
+                           order.payment?.method === 'card' ? 'Credit Card' : 'Cash on Delivery'}</p>
+                {order.shippingMethod && (
+                  <p>Shipping: {order.shippingMethod.name}</p>
+                )}
                 {order.trackingNumber && (
                   <p>Tracking: {order.trackingNumber}</p>
                 )}
@@ -693,6 +731,146 @@ const OrderCard = ({
   );
 };
 
+// Return Status Component
+const ReturnStatus = ({ ret }) => {
+  const colors = {
+    requested: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200',
+    approved: 'bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200',
+    rejected: 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200',
+    received: 'bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200',
+    refund_pending: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900 dark:text-indigo-200',
+    refunded: 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200'
+  };
+
+  return (
+    <div className="flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-700 rounded-lg text-sm">
+      <div className="flex items-center space-x-2">
+        <RotateCcw className="w-4 h-4 text-gray-400" />
+        <span className="font-medium text-gray-900 dark:text-white">
+          Return {ret.returnNumber}
+        </span>
+        <span className="text-gray-600 dark:text-gray-400">
+          {ret.itemCount} item{ret.itemCount !== 1 ? 's' : ''} · requested {formatDate(ret.createdAt)}
+        </span>
+      </div>
+      <div className="flex items-center space-x-3">
+        <span className="text-gray-600 dark:text-gray-400">
+          {formatCurrency(ret.refundAmount)}
+        </span>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium capitalize ${colors[ret.status] || colors.requested}`}>
+          {ret.status.replace('_', ' ')}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+// Return Request Form Component
+const ReturnRequestForm = ({ order, onSubmitted, onCancel }) => {
+  const [quantities, setQuantities] = useState({});
+  const [reason, setReason] = useState('');
+  const [description, setDescription] = useState('');
+  const [photos, setPhotos] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const items = Object.entries(quantities)
+    .filter(([, quantity]) => quantity > 0)
+    .map(([item, quantity]) => ({ item, quantity }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      setSubmitting(true);
+      const response = await orderService.requestReturn(order._id, { items, reason, description, photos });
+      onSubmitted(response.data.return);
+    } catch (err) {
+      setError(err.message || 'Failed to request return');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-4 p-4 border border-gray-200 dark:border-gray-700 rounded-lg space-y-4">
+      <h4 className="font-semibold text-gray-900 dark:text-white">Return items</h4>
+
+      {order.items.map((item) => (
+        <div key={item._id} className="flex items-center justify-between text-sm">
+          <span className="text-gray-900 dark:text-white">
+            {item.name || item.product?.name}
+          </span>
+          <select
+            value={quantities[item._id] || 0}
+            onChange={(e) => setQuantities({ ...quantities, [item._id]: parseInt(e.target.value, 10) })}
+            className="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700"
+          >
+            {[...Array(item.quantity + 1)].map((_, quantity) => (
+              <option key={quantity} value={quantity}>{quantity}</option>
+            ))}
+          </select>
+        </div>
+      ))}
+
+      <select
+        value={reason}
+        onChange={(e) => setReason(e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700"
+      >
+        <option value="">Why are you returning these?</option>
+        {RETURN_REASONS.map((option) => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+
+      <textarea
+        value={description}
+        onChange={(e) => setDescription(e.target.value)}
+        placeholder="Tell us more (optional)"
+        rows={3}
+        className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg dark:bg-gray-700"
+      />
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Photos (up to 5)
+        </label>
+        <input
+          type="file"
+          accept="image/jpeg,image/png,image/webp"
+          multiple
+          onChange={(e) => setPhotos(Array.from(e.target.files).slice(0, 5))}
+          className="text-sm"
+        />
+      </div>
+
+      {error && (
+        <p className="flex items-center text-sm text-red-600 dark:text-red-400">
+          <AlertTriangle className="w-4 h-4 mr-1" />
+          {error}
+        </p>
+      )}
+
+      <div className="flex space-x-2">
+        <Button
+          type="submit"
+          size="sm"
+          variant="primary"
+          loading={submitting}
+          disabled={items.length === 0 || !reason}
+        >
+          Request Return
+        </Button>
+        <Button type="button" size="sm" variant="ghost" onClick={onCancel}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+};
+
 // Order Item Component
 const OrderItem = ({ item, order, onWriteReview }) => {
   const canReview = order.status === 'delivered' && !item.reviewed;
@@ -0,0 +1,311 @@
+// frontend/src/pages/OrderTrackingPage.js
+
+import React, { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  Package,
+  Truck,
+  CheckCircle,
+  XCircle,
+  Clock,
+  MapPin,
+  Search,
+  AlertTriangle,
+  RotateCcw,
+  ExternalLink
+} from 'lucide-react';
+import Button from '../components/common/Button';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import { orderService } from '../services/order.service';
+import { formatDate } from '../utils/helpers';
+
+const STATUS_LABELS = {
+  pending: 'Order placed',
+  confirmed: 'Order confirmed',
+  processing: 'Being prepared',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  refunded: 'Refunded'
+};
+
+const SHIPMENT_LABELS = {
+  label_created: 'Shipping label created',
+  picked_up: 'Picked up by carrier',
+  in_transit: 'In transit',
+  arrived_at_facility: 'Arrived at facility',
+  out_for_delivery: 'Out for delivery',
+  delivery_attempted: 'Delivery attempted',
+  delivered: 'Delivered',
+  exception: 'Delivery problem'
+};
+
+const iconFor = (entry) => {
+  if (entry.status === 'delivered') return CheckCircle;
+  if (entry.status === 'cancelled') return XCircle;
+  if (entry.status === 'refunded') return RotateCcw;
+  if (['exception', 'delivery_attempted'].includes(entry.status)) return AlertTriangle;
+  if (entry.type === 'shipment') return Truck;
+  return Package;
+};
+
+/**
+ * Tracking for a signed-in customer's order (/orders/:orderId/tracking), or a
+ * lookup by order number and phone for guests (/track-order)
+ */
+const OrderTrackingPage = () => {
+  const { orderId } = useParams();
+
+  const [tracking, setTracking] = useState(null);
+  const [loading, setLoading] = useState(Boolean(orderId));
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!orderId) return;
+
+    const loadTracking = async () => {
+      try {
+        setLoading(true);
+        const response = await orderService.trackOrder(orderId);
+        setTracking(response.data);
+      } catch (err) {
+        setError(err.message || 'Failed to load tracking');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadTracking();
+  }, [orderId]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 dark:bg-gray-900">
+      <div className="container mx-auto px-4 py-8 max-w-3xl">
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+            Track Order
+          </h1>
+          <p className="text-gray-600 dark:text-gray-400">
+            {tracking ? `Order ${tracking.orderNumber}` : 'Enter your order number and phone number to see where your order is'}
+          </p>
+        </div>
+
+        {!orderId && !tracking && (
+          <GuestLookupForm onFound={setTracking} />
+        )}
+
+        {error && (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 text-center">
+            <AlertTriangle className="w-12 h-12 text-red-400 mx-auto mb-4" />
+            <p className="text-gray-700 dark:text-gray-300 mb-4">{error}</p>
+            <Link to="/orders" className="text-blue-600 hover:text-blue-700">
+              Back to my orders
+            </Link>
+          </div>
+        )}
+
+        {tracking && (
+          <>
+            <TrackingSummary tracking={tracking} />
+            <Shipments shipments={tracking.shipments} />
+            <Timeline entries={tracking.timeline} />
+            {!orderId && (
+              <div className="text-center mt-6">
+                <Button variant="outline" onClick={() => setTracking(null)}>
+                  Track another order
+                </Button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Guest Lookup Form Component
+const GuestLookupForm = ({ onFound }) => {
+  const [orderNumber, setOrderNumber] = useState('');
+  const [phone, setPhone] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      setSubmitting(true);
+      const response = await orderService.trackGuestOrder(orderNumber, phone);
+      onFound(response.data);
+    } catch (err) {
+      setError(err.status === 404
+        ? 'We couldn\'t find an order with that order number and phone number'
+        : err.message || 'Failed to look up the order');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 space-y-4">
+      <div>
+        <label htmlFor="orderNumber" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Order number
+        </label>
+        <input
+          id="orderNumber"
+          type="text"
+          value={orderNumber}
+          onChange={(e) => setOrderNumber(e.target.value)}
+          placeholder="e.g. SS-2026-000123"
+          className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700"
+          required
+        />
+      </div>
+      <div>
+        <label htmlFor="phone" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+          Phone number
+        </label>
+        <input
+          id="phone"
+          type="tel"
+          value={phone}
+          onChange={(e) => setPhone(e.target.value)}
+          placeholder="07XX XXX XXX"
+          className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700"
+          required
+        />
+      </div>
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      )}
+      <Button type="submit" variant="primary" loading={submitting} fullWidth startIcon={Search}>
+        Track Order
+      </Button>
+      <p className="text-sm text-gray-500 dark:text-gray-400 text-center">
+        Have an account? <Link to="/orders" className="text-blue-600 hover:text-blue-700">See all your orders</Link>
+      </p>
+    </form>
+  );
+};
+
+// Tracking Summary Component
+const TrackingSummary = ({ tracking }) => (
+  <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-6">
+    <div className="flex items-center justify-between flex-wrap gap-4">
+      <div>
+        <p className="text-sm text-gray-500 dark:text-gray-400">Status</p>
+        <p className="text-xl font-semibold text-gray-900 dark:text-white">
+          {STATUS_LABELS[tracking.status] || tracking.status}
+        </p>
+      </div>
+      <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1 text-right">
+        <p>Placed {formatDate(tracking.placedAt)} · {tracking.itemCount} item{tracking.itemCount !== 1 ? 's' : ''}</p>
+        {tracking.deliveredAt ? (
+          <p>Delivered {formatDate(tracking.deliveredAt)}</p>
+        ) : tracking.estimatedDelivery && (
+          <p>Expected by {formatDate(tracking.estimatedDelivery)}</p>
+        )}
+      </div>
+    </div>
+  </div>
+);
+
+// Shipments Component
+const Shipments = ({ shipments }) => {
+  if (!shipments?.length) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6 mb-6 space-y-3">
+      <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+        Shipment{shipments.length !== 1 ? 's' : ''}
+      </h2>
+      {shipments.map((shipment) => (
+        <div key={shipment._id} className="flex items-center justify-between p-3 bg-gray-50 dark:bg-gray-700 rounded-lg text-sm">
+          <div className="flex items-center space-x-2">
+            <Truck className="w-4 h-4 text-gray-400" />
+            <span className="font-medium text-gray-900 dark:text-white">{shipment.carrier}</span>
+            <span className="text-gray-600 dark:text-gray-400">{shipment.trackingNumber}</span>
+          </div>
+          <div className="flex items-center space-x-3">
+            {shipment.events[0] && (
+              <span className="text-gray-600 dark:text-gray-400">
+                {SHIPMENT_LABELS[shipment.events[0].status] || shipment.events[0].status}
+              </span>
+            )}
+            {shipment.url && (
+              <a
+                href={shipment.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="inline-flex items-center text-blue-600 hover:text-blue-700"
+              >
+                Carrier site <ExternalLink className="w-3 h-3 ml-1" />
+              </a>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Timeline Component
+const Timeline = ({ entries }) => (
+  <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm p-6">
+    <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-6">
+      Timeline
+    </h2>
+    {entries.length === 0 ? (
+      <p className="text-gray-600 dark:text-gray-400">No updates yet</p>
+    ) : (
+      <ol className="relative border-l border-gray-200 dark:border-gray-700 ml-3">
+        {entries.map((entry, index) => {
+          const Icon = iconFor(entry);
+          const label = entry.type === 'shipment'
+            ? SHIPMENT_LABELS[entry.status] || entry.status
+            : STATUS_LABELS[entry.status] || entry.status;
+
+          return (
+            <li key={`${entry.type}-${entry.status}-${entry.timestamp}-${index}`} className="mb-6 ml-6 last:mb-0">
+              <span className={`absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full ring-4 ring-white dark:ring-gray-800 ${
+                index === 0 ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-500 dark:bg-gray-700'
+              }`}>
+                <Icon className="w-3 h-3" />
+              </span>
+              <p className="font-medium text-gray-900 dark:text-white">{label}</p>
+              {entry.type === 'status' && entry.note && (
+                <p className="text-sm text-gray-600 dark:text-gray-400">{entry.note}</p>
+              )}
+              {entry.type === 'shipment' && entry.description && entry.description !== label && (
+                <p className="text-sm text-gray-600 dark:text-gray-400">{entry.description}</p>
+              )}
+              {entry.location && (
+                <p className="text-sm text-gray-600 dark:text-gray-400 flex items-center">
+                  <MapPin className="w-3 h-3 mr-1" />
+                  {entry.location}
+                </p>
+              )}
+              <p className="text-xs text-gray-500 dark:text-gray-500 mt-1 flex items-center">
+                <Clock className="w-3 h-3 mr-1" />
+                {entry.formattedDate}
+                {entry.type === 'shipment' && ` · ${entry.carrier} ${entry.trackingNumber}`}
+              </p>
+            </li>
+          );
+        })}
+      </ol>
+    )}
+  </div>
+);
+
+export default OrderTrackingPage;
@@ -22,7 +22,7 @@ import { useAuth } from '../context/AuthContext';
 import { useApp } from '../context/AppContext';
 import Button from '../components/common/Button';
 import LoadingSpinner from '../components/common/LoadingSpinner';
-import { authService } from '../services/auth.service';
+import authService from '../services/auth.service';
 
 // =============================================================================
 // FORGOT PASSWORD PAGE
@@ -237,7 +237,7 @@ export const ForgotPasswordPage = () => {
                     <ul className="list-disc list-inside space-y-1">
                       <li>Click the reset link in the email</li>
                       <li>Check your spam folder if you don't see it</li>
-                      <li>The link expires in 1 hour</li>
+                      <li>The link expires in 10 minutes</li>
                     </ul>
                   </div>
                 </div>
@@ -437,10 +437,7 @@ export const ResetPasswordPage = () => {
     try {
       setLoading(true);
       
-      const response = await authService.resetPassword({
-        token,
-        password: formData.password
-      });
+      const response = await authService.resetPassword(token, formData.password);
       
       if (response.success) {
         setPasswordReset(true);
@@ -6,6 +6,8 @@ import { formatCurrency } from '../utils/helpers';
 import Button from '../components/common/Button';
 import { useCart } from '../context/SimpleCartContext';
 import { useNotification } from '../hooks/useNotification';
+import { useTaxSettings } from '../hooks/useTaxSettings';
+import taxService from '../services/tax.service';
 
 const ProductDetailPage = () => {
   const [addingToCart, setAddingToCart] = useState(false);
@@ -15,6 +17,7 @@ const ProductDetailPage = () => {
   const { product, loading, error } = useProduct(id);
   const { addItem } = useCart(); // FIXED: Changed from addToCart to addItem
   const { showNotification } = useNotification();
+  const taxSettings = useTaxSettings();
 
   const handleAddToCart = async () => {
     try {
@@ -280,11 +283,16 @@ const ProductDetailPage = () => {
             </p>
             <div className="mt-4">
               <span className="text-3xl font-bold text-gray-900">
-                {formatCurrency(product.price)}
+                {formatCurrency(taxService.displayPrice(product.price, product, taxSettings))}
               </span>
               {product.originalPrice && (
                 <span className="ml-2 text-sm text-gray-500 line-through">
-                  {formatCurrency(product.originalPrice)}
+                  {formatCurrency(taxService.displayPrice(product.originalPrice, product, taxSettings))}
+                </span>
+              )}
+              {taxSettings && (
+                <span className="ml-2 text-sm text-gray-500">
+                  {product.tax?.exempt ? 'VAT exempt' : taxService.priceLabel(taxSettings)}
                 </span>
               )}
             </div>
@@ -1,7 +1,7 @@
 // frontend/src/pages/ProfilePage.js - COMPLETE USER PROFILE & ACCOUNT MANAGEMENT
 
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { 
   User, 
   Mail, 
@@ -37,9 +37,11 @@ import {
 
 import { useAuth } from '../context/AuthContext';
 import { useApp } from '../context/AppContext';
+import { useWishlist } from '../context/WishlistContext';
 import Button from '../components/common/Button';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import { userService } from '../services/user.service';
+import authService from '../services/auth.service';
 import { formatCurrency, formatDate } from '../utils/helpers';
 
 const ConfirmationDialog = ({
@@ -110,11 +112,12 @@ const ConfirmationDialog = ({
 
 const ProfilePage = () => {
   const navigate = useNavigate();
-  const { user, isAuthenticated, updateProfile } = useAuth();
+  const { user, isAuthenticated, updateProfile, refreshUser } = useAuth();
   const { addNotification, theme, toggleTheme } = useApp();
+  const [searchParams] = useSearchParams();
 
   // State
-  const [activeTab, setActiveTab] = useState('profile');
+  const [activeTab, setActiveTab] = useState(searchParams.get('tab') || 'profile');
   const [loading, setLoading] = useState(false);
   const [editMode, setEditMode] = useState(false);
   const [passwordChangeMode, setPasswordChangeMode] = useState(false);
@@ -128,6 +131,10 @@ const ProfilePage = () => {
     bio: user?.bio || ''
   });
   
+  // Changing the email takes the current password
+  const [emailPassword, setEmailPassword] = useState('');
+  const emailChanging = profileData.email.trim().toLowerCase() !== (user?.email || '');
+
   const [passwordData, setPasswordData] = useState({
     currentPassword: '',
     newPassword: '',
@@ -135,12 +142,14 @@ const ProfilePage = () => {
   });
 
   const [addresses, setAddresses] = useState([]);
+  const [addressForm, setAddressForm] = useState(null);
   const [paymentMethods, setPaymentMethods] = useState([]);
   const [notifications, setNotifications] = useState({
     orderUpdates: true,
     promotions: false,
+    wishlistAlerts: true,
     newsletter: true,
-    sms: false
+    smsNotifications: true
   });
   
   const [privacy, setPrivacy] = useState({
@@ -192,15 +201,21 @@ const ProfilePage = () => {
       setLoading(true);
       
       // Load user profile data
-      const [addressesRes, paymentRes, statsRes] = await Promise.all([
+      const [addressesRes, paymentRes, statsRes, notificationsRes, preferencesRes] = await Promise.all([
         userService.getUserAddresses(),
         userService.getPaymentMethods(),
-        userService.getAccountStats()
+        userService.getAccountStats(),
+        userService.getNotificationPreferences(),
+        userService.getPreferences()
       ]);
 
       if (addressesRes.success) setAddresses(addressesRes.data || []);
       if (paymentRes.success) setPaymentMethods(paymentRes.data || []);
       if (statsRes.success) setAccountStats(statsRes.data || accountStats);
+      if (notificationsRes.success) setNotifications((current) => ({ ...current, ...notificationsRes.data }));
+      if (preferencesRes.success && preferencesRes.data.privacy) {
+        setPrivacy((current) => ({ ...current, ...preferencesRes.data.privacy }));
+      }
 
     } catch (error) {
       console.error('Failed to load user data:', error);
@@ -220,10 +235,13 @@ const ProfilePage = () => {
     try {
       setLoading(true);
       
-      const result = await updateProfile(profileData);
+      const result = await updateProfile(
+        emailChanging ? { ...profileData, currentPassword: emailPassword } : profileData
+      );
       
       if (result.success) {
         setEditMode(false);
+        setEmailPassword('');
         addNotification({
           type: 'success',
           title: 'Profile Updated',
@@ -258,10 +276,10 @@ const ProfilePage = () => {
     try {
       setLoading(true);
       
-      const response = await userService.changePassword({
-        currentPassword: passwordData.currentPassword,
-        newPassword: passwordData.newPassword
-      });
+      const response = await userService.changePassword(
+        passwordData.currentPassword,
+        passwordData.newPassword
+      );
       
       if (response.success) {
         setPasswordChangeMode(false);
@@ -291,45 +309,20 @@ const ProfilePage = () => {
 
     try {
       setLoading(true);
-      
-      // Create a temporary URL for the selected image to show it immediately
-      const tempUrl = URL.createObjectURL(file);
-      
-      // Update the user's avatar in the local state for immediate feedback
-      await updateProfile({
-        ...user,
-        avatar: {
-          ...user?.avatar,
-          url: tempUrl
-        }
-      });
-      
+
       const formData = new FormData();
       formData.append('avatar', file);
-      
+
       const response = await userService.uploadAvatar(formData);
-      
+
       if (response.success) {
-        // Update the user's avatar with the final URL from the server
-        await updateProfile({
-          ...user,
-          avatar: {
-            ...user?.avatar,
-            url: response.data.avatarUrl || tempUrl
-          }
-        });
-        
+        await refreshUser('Your profile picture has been updated');
         addNotification({
           type: 'success',
           title: 'Avatar Updated',
           message: 'Your profile picture has been updated'
         });
-        
-        // Refresh user data to ensure everything is in sync
-        await loadUserData();
       } else {
-        // Revert to the previous avatar if upload fails
-        await updateProfile(user);
         throw new Error(response.message || 'Failed to upload avatar');
       }
     } catch (error) {
@@ -341,15 +334,41 @@ const ProfilePage = () => {
       });
     } finally {
       setLoading(false);
+      event.target.value = '';
     }
   };
 
   const handleAddAddress = () => {
-    navigate('/profile/addresses/add');
+    setAddressForm({ address: null });
   };
 
   const handleEditAddress = (addressId) => {
-    navigate(`/profile/addresses/${addressId}/edit`);
+    setAddressForm({ address: addresses.find((addr) => addr._id === addressId) });
+  };
+
+  const handleSaveAddress = async (addressData) => {
+    try {
+      const editing = addressForm?.address;
+      const response = editing
+        ? await userService.updateAddress(editing._id, addressData)
+        : await userService.addAddress(addressData);
+
+      if (response.success) {
+        setAddresses(response.data.addresses || []);
+        setAddressForm(null);
+        addNotification({
+          type: 'success',
+          title: editing ? 'Address Updated' : 'Address Added',
+          message: response.message
+        });
+      }
+    } catch (error) {
+      addNotification({
+        type: 'error',
+        title: 'Address Not Saved',
+        message: error.message
+      });
+    }
   };
 
   const handleDeleteAddress = async (addressId) => {
@@ -366,7 +385,8 @@ const ProfilePage = () => {
       const response = await userService.deleteAddress(deleteDialog.addressId);
       
       if (response.success) {
-        setAddresses(addresses.filter(addr => addr._id !== deleteDialog.addressId));
+        // Another address may have become the default
+        setAddresses(response.data.addresses || []);
         addNotification({
           type: 'success',
           title: 'Address Deleted',
@@ -387,10 +407,10 @@ const ProfilePage = () => {
 
   const handleNotificationUpdate = async (newNotifications) => {
     try {
-      const response = await userService.updateNotificationSettings(newNotifications);
+      const response = await userService.updateNotificationPreferences(newNotifications);
       
       if (response.success) {
-        setNotifications(newNotifications);
+        setNotifications(response.data);
         addNotification({
           type: 'success',
           title: 'Settings Updated',
@@ -410,10 +430,10 @@ const ProfilePage = () => {
 
   const handlePrivacyUpdate = async (newPrivacy) => {
     try {
-      const response = await userService.updatePrivacySettings(newPrivacy);
+      const response = await userService.updatePreferences({ privacy: newPrivacy });
       
       if (response.success) {
-        setPrivacy(newPrivacy);
+        setPrivacy(response.data.privacy || newPrivacy);
         addNotification({
           type: 'success',
           title: 'Privacy Updated',
@@ -438,6 +458,9 @@ const ProfilePage = () => {
           <ProfileTab
             profileData={profileData}
             setProfileData={setProfileData}
+            emailChanging={emailChanging}
+            emailPassword={emailPassword}
+            setEmailPassword={setEmailPassword}
             editMode={editMode}
             setEditMode={setEditMode}
             onSave={handleProfileUpdate}
@@ -452,9 +475,13 @@ const ProfilePage = () => {
         return (
           <AddressesTab
             addresses={addresses}
+            addressForm={addressForm}
             onAdd={handleAddAddress}
             onEdit={handleEditAddress}
             onDelete={handleDeleteAddress}
+            onSave={handleSaveAddress}
+            onCancel={() => setAddressForm(null)}
+            user={user}
           />
         );
       
@@ -633,6 +660,9 @@ const ProfilePage = () => {
 const ProfileTab = ({ 
   profileData, 
   setProfileData, 
+  emailChanging, 
+  emailPassword, 
+  setEmailPassword, 
   editMode, 
   setEditMode, 
   onSave, 
@@ -750,6 +780,25 @@ const ProfileTab = ({
             />
           </div>
 
+          {emailChanging && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Current Password
+              </label>
+              <input
+                type="password"
+                value={emailPassword}
+                onChange={(e) => setEmailPassword(e.target.value)}
+                autoComplete="current-password"
+                className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-700"
+                required
+              />
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                Needed to change your email. We'll let your old address know.
+              </p>
+            </div>
+          )}
+
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
               Phone Number
@@ -893,18 +942,110 @@ const ProfileTab = ({
   </div>
 );
 
+// Shared input styling for the inline forms below
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent dark:bg-gray-800';
+
+// Address Form Component
+const AddressForm = ({ address, user, onSave, onCancel }) => {
+  const [form, setForm] = useState({
+    label: address?.label || '',
+    name: address?.name || [user?.firstName, user?.lastName].filter(Boolean).join(' '),
+    phone: address?.phone || user?.phone || '',
+    address: address?.address || '',
+    city: address?.city || '',
+    county: address?.county || '',
+    isDefault: address?.isDefault || false
+  });
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm({ ...form, [field]: value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    await onSave(form);
+    setSaving(false);
+  };
+
+  const fields = [
+    { name: 'label', label: 'Label (e.g. Home, Office)', required: false },
+    { name: 'name', label: 'Recipient Name', required: true },
+    { name: 'phone', label: 'Phone Number', required: true, type: 'tel' },
+    { name: 'address', label: 'Street Address', required: true },
+    { name: 'city', label: 'City / Town', required: true },
+    { name: 'county', label: 'County', required: true }
+  ];
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4 bg-gray-50 dark:bg-gray-700 p-4 rounded-lg mb-6">
+      <h3 className="font-semibold text-gray-900 dark:text-white">
+        {address ? 'Edit Address' : 'New Address'}
+      </h3>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {fields.map((field) => (
+          <div key={field.name}>
+            <label htmlFor={`address-${field.name}`} className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              {field.label}
+            </label>
+            <input
+              id={`address-${field.name}`}
+              type={field.type || 'text'}
+              value={form[field.name]}
+              onChange={handleChange(field.name)}
+              className={inputClassName}
+              required={field.required}
+            />
+          </div>
+        ))}
+      </div>
+
+      {!address?.isDefault && (
+        <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+          <input type="checkbox" checked={form.isDefault} onChange={handleChange('isDefault')} />
+          <span>Use as my default address</span>
+        </label>
+      )}
+
+      <div className="flex space-x-3">
+        <Button type="submit" loading={saving} disabled={saving} startIcon={Save}>
+          Save Address
+        </Button>
+        <Button type="button" variant="outline" onClick={onCancel} startIcon={X}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+};
+
 // Addresses Tab Component
-const AddressesTab = ({ addresses, onAdd, onEdit, onDelete }) => (
+const AddressesTab = ({ addresses, addressForm, onAdd, onEdit, onDelete, onSave, onCancel, user }) => (
   <div className="p-6">
     <div className="flex items-center justify-between mb-6">
       <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
         Saved Addresses
       </h2>
-      <Button onClick={onAdd} icon={Plus}>
-        Add Address
-      </Button>
+      {!addressForm && (
+        <Button onClick={onAdd} startIcon={Plus}>
+          Add Address
+        </Button>
+      )}
     </div>
 
+    {addressForm && (
+      <AddressForm
+        key={addressForm.address?._id || 'new'}
+        address={addressForm.address}
+        user={user}
+        onSave={onSave}
+        onCancel={onCancel}
+      />
+    )}
+
     {addresses.length > 0 ? (
       <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
         {addresses.map((address) => (
@@ -927,12 +1068,14 @@ const AddressesTab = ({ addresses, onAdd, onEdit, onDelete }) => (
                 <button
                   onClick={() => onEdit(address._id)}
                   className="text-blue-600 hover:text-blue-700"
+                  aria-label="Edit address"
                 >
                   <Edit2 className="w-4 h-4" />
                 </button>
                 <button
                   onClick={() => onDelete(address._id)}
                   className="text-red-600 hover:text-red-700"
+                  aria-label="Delete address"
                 >
                   <Trash2 className="w-4 h-4" />
                 </button>
@@ -940,7 +1083,7 @@ const AddressesTab = ({ addresses, onAdd, onEdit, onDelete }) => (
             </div>
             
             <div className="text-sm text-gray-600 dark:text-gray-400 space-y-1">
-              <p>{address.firstName} {address.lastName}</p>
+              <p>{address.name}</p>
               <p>{address.address}</p>
               <p>{address.city}, {address.county}</p>
               <p>{address.phone}</p>
@@ -948,7 +1091,7 @@ const AddressesTab = ({ addresses, onAdd, onEdit, onDelete }) => (
           </div>
         ))}
       </div>
-    ) : (
+    ) : !addressForm && (
       <div className="text-center py-12">
         <MapPin className="w-12 h-12 text-gray-400 mx-auto mb-4" />
         <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
@@ -957,7 +1100,7 @@ const AddressesTab = ({ addresses, onAdd, onEdit, onDelete }) => (
         <p className="text-gray-600 dark:text-gray-400 mb-6">
           Add an address to make checkout faster
         </p>
-        <Button onClick={onAdd} icon={Plus}>
+        <Button onClick={onAdd} startIcon={Plus}>
           Add Your First Address
         </Button>
       </div>
@@ -965,71 +1108,161 @@ const AddressesTab = ({ addresses, onAdd, onEdit, onDelete }) => (
   </div>
 );
 
-// Payment Methods Tab Component
-const PaymentMethodsTab = ({ paymentMethods, setPaymentMethods }) => (
-  <div className="p-6">
-    <div className="flex items-center justify-between mb-6">
-      <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
-        Payment Methods
-      </h2>
-      <Button icon={Plus}>
-        Add Payment Method
-      </Button>
-    </div>
+// Payment Methods Tab Component - saved M-Pesa numbers
+const PaymentMethodsTab = ({ paymentMethods, setPaymentMethods }) => {
+  const { addNotification } = useApp();
+  const [adding, setAdding] = useState(false);
+  const [form, setForm] = useState({ phone: '', label: '', isDefault: false });
+  const [working, setWorking] = useState(false);
 
-    {paymentMethods.length > 0 ? (
-      <div className="space-y-4">
-        {paymentMethods.map((method) => (
-          <div
-            key={method._id}
-            className="flex items-center justify-between p-4 border border-gray-200 dark:border-gray-700 rounded-lg"
-          >
-            <div className="flex items-center space-x-4">
-              <div className="w-12 h-8 bg-gray-100 dark:bg-gray-700 rounded flex items-center justify-center">
-                <CreditCard className="w-6 h-6 text-gray-400" />
-              </div>
-              <div>
-                <p className="font-medium text-gray-900 dark:text-white">
-                  **** **** **** {method.lastFour}
-                </p>
-                <p className="text-sm text-gray-600 dark:text-gray-400">
-                  Expires {method.expiryMonth}/{method.expiryYear}
-                </p>
-              </div>
-              {method.isDefault && (
-                <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
-                  Default
-                </span>
-              )}
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    try {
+      const response = await userService.addPaymentMethod({ type: 'mpesa', ...form });
+      setPaymentMethods(response.data.paymentMethods || []);
+      setAdding(false);
+      setForm({ phone: '', label: '', isDefault: false });
+      addNotification({ type: 'success', title: 'Payment Method Added', message: response.message });
+    } catch (error) {
+      addNotification({ type: 'error', title: 'Payment Method Not Saved', message: error.message });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRemove = async (method) => {
+    setWorking(true);
+    try {
+      const response = await userService.removePaymentMethod(method._id);
+      setPaymentMethods(response.data.paymentMethods || []);
+      addNotification({ type: 'success', title: 'Payment Method Removed', message: response.message });
+    } catch (error) {
+      addNotification({ type: 'error', title: 'Remove Failed', message: error.message });
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-2xl font-bold text-gray-900 dark:text-white">
+          Payment Methods
+        </h2>
+        {!adding && (
+          <Button onClick={() => setAdding(true)} startIcon={Plus}>
+            Add M-Pesa Number
+          </Button>
+        )}
+      </div>
+
+      {adding && (
+        <form onSubmit={handleAdd} className="space-y-4 bg-gray-50 dark:bg-gray-700 p-4 rounded-lg mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label htmlFor="payment-phone" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                M-Pesa Number
+              </label>
+              <input
+                id="payment-phone"
+                type="tel"
+                placeholder="07XX XXX XXX"
+                value={form.phone}
+                onChange={(e) => setForm({ ...form, phone: e.target.value })}
+                className={inputClassName}
+                required
+              />
             </div>
-            
-            <div className="flex space-x-2">
-              <Button variant="outline" size="sm">
-                Edit
-              </Button>
-              <Button variant="outline" size="sm" className="text-red-600 border-red-300 hover:bg-red-50">
+            <div>
+              <label htmlFor="payment-label" className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Label (optional)
+              </label>
+              <input
+                id="payment-label"
+                type="text"
+                value={form.label}
+                onChange={(e) => setForm({ ...form, label: e.target.value })}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+
+          <label className="flex items-center space-x-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={form.isDefault}
+              onChange={(e) => setForm({ ...form, isDefault: e.target.checked })}
+            />
+            <span>Use as my default payment method</span>
+          </label>
+
+          <div className="flex space-x-3">
+            <Button type="submit" loading={working} disabled={working} startIcon={Save}>
+              Save Number
+            </Button>
+            <Button type="button" variant="outline" onClick={() => setAdding(false)} startIcon={X}>
+              Cancel
+            </Button>
+          </div>
+        </form>
+      )}
+
+      {paymentMethods.length > 0 ? (
+        <div className="space-y-4">
+          {paymentMethods.map((method) => (
+            <div
+              key={method._id}
+              className="flex items-center justify-between p-4 border border-gray-200 dark:border-gray-700 rounded-lg"
+            >
+              <div className="flex items-center space-x-4">
+                <div className="w-12 h-8 bg-green-100 dark:bg-green-900/20 rounded flex items-center justify-center">
+                  <Smartphone className="w-6 h-6 text-green-600" />
+                </div>
+                <div>
+                  <p className="font-medium text-gray-900 dark:text-white">
+                    {method.label || 'M-Pesa'}
+                  </p>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    +{method.phone}
+                  </p>
+                </div>
+                {method.isDefault && (
+                  <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
+                    Default
+                  </span>
+                )}
+              </div>
+              
+              <Button
+                variant="outline"
+                size="sm"
+                className="text-red-600 border-red-300 hover:bg-red-50"
+                onClick={() => handleRemove(method)}
+                disabled={working}
+              >
                 Remove
               </Button>
             </div>
-          </div>
-        ))}
-      </div>
-    ) : (
-      <div className="text-center py-12">
-        <CreditCard className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-        <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
-          No payment methods saved
-        </h3>
-        <p className="text-gray-600 dark:text-gray-400 mb-6">
-          Add a payment method for faster checkout
-        </p>
-        <Button icon={Plus}>
-          Add Payment Method
-        </Button>
-      </div>
-    )}
-  </div>
-);
+          ))}
+        </div>
+      ) : !adding && (
+        <div className="text-center py-12">
+          <CreditCard className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+            No payment methods saved
+          </h3>
+          <p className="text-gray-600 dark:text-gray-400 mb-6">
+            Save an M-Pesa number for faster checkout
+          </p>
+          <Button onClick={() => setAdding(true)} startIcon={Plus}>
+            Add M-Pesa Number
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
 
 // Orders Tab Component
 const OrdersTab = () => {
@@ -1065,6 +1298,7 @@ const OrdersTab = () => {
 // Wishlist Tab Component
 const WishlistTab = () => {
   const navigate = useNavigate();
+  const { items } = useWishlist();
   
   return (
     <div className="p-6">
@@ -1077,18 +1311,43 @@ const WishlistTab = () => {
         </Button>
       </div>
 
-      <div className="text-center py-12">
-        <Heart className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-        <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
-          Your wishlist is empty
-        </h3>
-        <p className="text-gray-600 dark:text-gray-400 mb-6">
-          Save items you love for later
-        </p>
-        <Button onClick={() => navigate('/products')} variant="primary">
-          Browse Products
-        </Button>
-      </div>
+      {items.length > 0 ? (
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          {items.slice(0, 6).map((item) => (
+            <button
+              key={item._id}
+              onClick={() => navigate(`/products/${item._id}`)}
+              className="flex items-center gap-4 p-4 text-left border border-gray-200 dark:border-gray-700 rounded-lg hover:shadow-md transition-shadow"
+            >
+              <img
+                src={item.image?.url}
+                alt={item.image?.alt || item.name}
+                className="w-16 h-16 object-cover rounded-lg bg-gray-100"
+              />
+              <div className="min-w-0">
+                <p className="font-medium text-gray-900 dark:text-white truncate">{item.name}</p>
+                <p className="text-sm text-gray-600 dark:text-gray-400">{formatCurrency(item.price)}</p>
+                {!item.isAvailable && (
+                  <p className="text-xs text-red-600">Out of stock</p>
+                )}
+              </div>
+            </button>
+          ))}
+        </div>
+      ) : (
+        <div className="text-center py-12">
+          <Heart className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white mb-2">
+            Your wishlist is empty
+          </h3>
+          <p className="text-gray-600 dark:text-gray-400 mb-6">
+            Save items you love for later
+          </p>
+          <Button onClick={() => navigate('/products')} variant="primary">
+            Browse Products
+          </Button>
+        </div>
+      )}
     </div>
   );
 };
@@ -1143,6 +1402,24 @@ const NotificationsTab = ({ notifications, onUpdate }) => {
           </label>
         </div>
 
+        <div className="flex items-center justify-between">
+          <div>
+            <h3 className="font-medium text-gray-900 dark:text-white">Wishlist Alerts</h3>
+            <p className="text-sm text-gray-600 dark:text-gray-400">
+              Hear when saved items drop in price or come back in stock
+            </p>
+          </div>
+          <label className="relative inline-flex items-center cursor-pointer">
+            <input
+              type="checkbox"
+              checked={notifications.wishlistAlerts}
+              onChange={() => handleToggle('wishlistAlerts')}
+              className="sr-only peer"
+            />
+            <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 dark:peer-focus:ring-blue-800 rounded-full peer dark:bg-gray-700 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-600 peer-checked:bg-blue-600"></div>
+          </label>
+        </div>
+
         <div className="flex items-center justify-between">
           <div>
             <h3 className="font-medium text-gray-900 dark:text-white">Newsletter</h3>
@@ -1171,8 +1448,8 @@ const NotificationsTab = ({ notifications, onUpdate }) => {
           <label className="relative inline-flex items-center cursor-pointer">
             <input
               type="checkbox"
-              checked={notifications.sms}
-              onChange={() => handleToggle('sms')}
+              checked={notifications.smsNotifications}
+              onChange={() => handleToggle('smsNotifications')}
               className="sr-only peer"
             />
             <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-blue-300 dark:peer-focus:ring-blue-800 rounded-full peer dark:bg-gray-700 peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all dark:border-gray-600 peer-checked:bg-blue-600"></div>
@@ -1314,49 +1591,378 @@ const SecurityTab = ({
       </div>
 
       {/* Two-Factor Authentication */}
-      <div className="border-t border-gray-200 dark:border-gray-700 pt-6">
-        <div className="flex items-center justify-between">
-          <div>
-            <h3 className="font-semibold text-gray-900 dark:text-white">Two-Factor Authentication</h3>
-            <p className="text-sm text-gray-600 dark:text-gray-400">
-              Add an extra layer of security to your account
+      <TwoFactorSettings />
+
+      {/* Login Sessions */}
+      <ActiveSessions />
+    </div>
+  </div>
+);
+
+// Two-Factor Authentication Component
+const TwoFactorSettings = () => {
+  const { addNotification } = useApp();
+  const [status, setStatus] = useState(null);
+  const [enrolment, setEnrolment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [disableMode, setDisableMode] = useState(false);
+  const [working, setWorking] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      const response = await authService.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (error) {
+      setStatus(null);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const notifyError = (error, fallback) => {
+    addNotification({
+      type: 'error',
+      title: 'Two-Factor Authentication',
+      message: error.message || fallback
+    });
+  };
+
+  const handleSetup = async () => {
+    try {
+      setWorking(true);
+      const response = await authService.setupTwoFactor();
+      setEnrolment(response.data);
+      setCode('');
+    } catch (error) {
+      notifyError(error, 'Could not start two-factor setup');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    try {
+      setWorking(true);
+      const response = await authService.enableTwoFactor(code);
+      setRecoveryCodes(response.data?.recoveryCodes || []);
+      setEnrolment(null);
+      setCode('');
+      await loadStatus();
+      addNotification({
+        type: 'success',
+        title: 'Two-Factor Enabled',
+        message: 'Your account now requires a code from your authenticator app'
+      });
+    } catch (error) {
+      notifyError(error, 'Invalid authentication code');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const currentCode = window.prompt('Enter a code from your authenticator app');
+    if (!currentCode) return;
+
+    try {
+      setWorking(true);
+      const response = await authService.regenerateRecoveryCodes(currentCode);
+      setRecoveryCodes(response.data?.recoveryCodes || []);
+      await loadStatus();
+    } catch (error) {
+      notifyError(error, 'Could not generate new recovery codes');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    try {
+      setWorking(true);
+      await authService.disableTwoFactor({ password, code });
+      setDisableMode(false);
+      setPassword('');
+      setCode('');
+      setRecoveryCodes(null);
+      await loadStatus();
+      addNotification({
+        type: 'success',
+        title: 'Two-Factor Disabled',
+        message: 'Two-factor authentication has been turned off'
+      });
+    } catch (error) {
+      notifyError(error, 'Could not disable two-factor authentication');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  // Only staff accounts can enrol
+  if (!status?.available) return null;
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white';
+
+  return (
+    <div className="border-t border-gray-200 dark:border-gray-700 pt-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="font-semibold text-gray-900 dark:text-white">Two-Factor Authentication</h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            {status.enabled
+              ? `Enabled • ${status.recoveryCodesRemaining} recovery codes left`
+              : 'Add an extra layer of security to your account'}
+          </p>
+          {status.required && !status.enabled && (
+            <p className="text-sm text-red-600 dark:text-red-400 mt-1">
+              Your role requires two-factor authentication before you can use the admin panel.
             </p>
-          </div>
-          <Button variant="outline" icon={Smartphone}>
-            Enable 2FA
-          </Button>
+          )}
         </div>
+        {status.enabled ? (
+          <div className="flex space-x-2">
+            <Button variant="outline" onClick={handleRegenerate} disabled={working}>
+              New Recovery Codes
+            </Button>
+            {!status.required && (
+              <Button variant="outline" onClick={() => setDisableMode(!disableMode)} disabled={working}>
+                Disable
+              </Button>
+            )}
+          </div>
+        ) : (
+          !enrolment && (
+            <Button variant="outline" startIcon={Smartphone} onClick={handleSetup} loading={working}>
+              Enable 2FA
+            </Button>
+          )
+        )}
       </div>
 
-      {/* Login Sessions */}
-      <div className="border-t border-gray-200 dark:border-gray-700 pt-6">
-        <div className="flex items-center justify-between mb-4">
-          <div>
-            <h3 className="font-semibold text-gray-900 dark:text-white">Active Sessions</h3>
-            <p className="text-sm text-gray-600 dark:text-gray-400">
-              Manage your active login sessions
-            </p>
+      {enrolment && (
+        <form onSubmit={handleEnable} className="mt-4 bg-gray-50 dark:bg-gray-700 p-4 rounded-lg space-y-4">
+          <p className="text-sm text-gray-700 dark:text-gray-300">
+            Scan this QR code with Google Authenticator, Authy or a similar app, then enter the six digit code it shows.
+          </p>
+          <img src={enrolment.qrCode} alt="Two-factor QR code" className="w-48 h-48 bg-white p-2 rounded" />
+          <p className="text-xs text-gray-600 dark:text-gray-400 break-all">
+            Can&apos;t scan? Enter this key manually: <span className="font-mono">{enrolment.secret}</span>
+          </p>
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="123456"
+            className={inputClass}
+            required
+          />
+          <div className="flex space-x-3">
+            <Button type="submit" loading={working}>
+              Verify and Enable
+            </Button>
+            <Button type="button" variant="outline" onClick={() => setEnrolment(null)}>
+              Cancel
+            </Button>
           </div>
-          <Button variant="outline">
-            View All Sessions
+        </form>
+      )}
+
+      {disableMode && (
+        <form onSubmit={handleDisable} className="mt-4 bg-gray-50 dark:bg-gray-700 p-4 rounded-lg space-y-4">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Current password"
+            className={inputClass}
+            required
+          />
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Authentication code"
+            className={inputClass}
+            required
+          />
+          <Button type="submit" variant="danger" loading={working}>
+            Disable Two-Factor Authentication
           </Button>
-        </div>
-        
-        <div className="bg-gray-50 dark:bg-gray-700 p-4 rounded-lg">
-          <div className="flex items-center justify-between">
-            <div>
-              <p className="font-medium text-gray-900 dark:text-white">Current Session</p>
-              <p className="text-sm text-gray-600 dark:text-gray-400">MacBook Air • Chrome • Nairobi, Kenya</p>
-            </div>
-            <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">
-              Active
-            </span>
+        </form>
+      )}
+
+      {recoveryCodes && (
+        <div className="mt-4 bg-yellow-50 dark:bg-yellow-900 border border-yellow-200 dark:border-yellow-700 p-4 rounded-lg">
+          <p className="text-sm font-medium text-yellow-800 dark:text-yellow-200 mb-2">
+            Save these recovery codes. Each one works once, and they will not be shown again.
+          </p>
+          <div className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900 dark:text-white">
+            {recoveryCodes.map((recoveryCode) => (
+              <span key={recoveryCode}>{recoveryCode}</span>
+            ))}
           </div>
+          <Button variant="outline" size="sm" className="mt-3" onClick={() => setRecoveryCodes(null)}>
+            I&apos;ve saved them
+          </Button>
         </div>
+      )}
+    </div>
+  );
+};
+
+// Active Sessions Component
+const ActiveSessions = () => {
+  const navigate = useNavigate();
+  const { logout } = useAuth();
+  const { addNotification } = useApp();
+  const [sessions, setSessions] = useState([]);
+  const [loadingSessions, setLoadingSessions] = useState(true);
+  const [revoking, setRevoking] = useState(null);
+
+  const loadSessions = async () => {
+    try {
+      const response = await authService.getSessions();
+      setSessions(response.data?.sessions || []);
+    } catch (error) {
+      addNotification({
+        type: 'error',
+        title: 'Sessions Unavailable',
+        message: error.message || 'Could not load your active sessions'
+      });
+    } finally {
+      setLoadingSessions(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const describeDevice = (session) => {
+    const { browser, os } = session.device || {};
+    return [os, browser].filter(Boolean).join(' • ') || 'Unknown device';
+  };
+
+  const handleRevoke = async (session) => {
+    try {
+      setRevoking(session._id);
+      await authService.revokeSession(session._id);
+
+      if (session.current) {
+        await logout();
+        navigate('/login');
+        return;
+      }
+
+      setSessions(sessions.filter((s) => s._id !== session._id));
+      addNotification({
+        type: 'success',
+        title: 'Session Ended',
+        message: `Signed out of ${describeDevice(session)}`
+      });
+    } catch (error) {
+      addNotification({
+        type: 'error',
+        title: 'Error',
+        message: error.message || 'Failed to end session'
+      });
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    try {
+      setRevoking('others');
+      const response = await authService.revokeOtherSessions();
+      setSessions(sessions.filter((s) => s.current));
+      addNotification({
+        type: 'success',
+        title: 'Sessions Ended',
+        message: response.message || 'Signed out of all other devices'
+      });
+    } catch (error) {
+      addNotification({
+        type: 'error',
+        title: 'Error',
+        message: error.message || 'Failed to end sessions'
+      });
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  return (
+    <div className="border-t border-gray-200 dark:border-gray-700 pt-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="font-semibold text-gray-900 dark:text-white">Active Sessions</h3>
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            Manage your active login sessions
+          </p>
+        </div>
+        {sessions.length > 1 && (
+          <Button
+            variant="outline"
+            onClick={handleRevokeOthers}
+            loading={revoking === 'others'}
+            disabled={!!revoking}
+          >
+            Sign Out Other Devices
+          </Button>
+        )}
       </div>
+
+      {loadingSessions ? (
+        <div className="flex justify-center py-4">
+          <LoadingSpinner />
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {sessions.map((session) => (
+            <div key={session._id} className="bg-gray-50 dark:bg-gray-700 p-4 rounded-lg">
+              <div className="flex items-center justify-between">
+                <div>
+                  <p className="font-medium text-gray-900 dark:text-white">
+                    {describeDevice(session)}
+                  </p>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    {session.ipAddress || 'Unknown location'} • Last active {formatDate(session.lastUsedAt, { includeTime: true })}
+                  </p>
+                </div>
+                {session.current ? (
+                  <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-200">
+                    This device
+                  </span>
+                ) : (
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleRevoke(session)}
+                    loading={revoking === session._id}
+                    disabled={!!revoking}
+                  >
+                    Sign Out
+                  </Button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
     </div>
-  </div>
-);
+  );
+};
 
 // Preferences Tab Component
 const PreferencesTab = ({ privacy, onPrivacyUpdate, theme, onThemeToggle }) => (
@@ -1486,4 +2092,4 @@ const PreferencesTab = ({ privacy, onPrivacyUpdate, theme, onThemeToggle }) => (
   </div>
 );
 
-export default ProfilePage;
\ No newline at end of file
+export default ProfilePage;
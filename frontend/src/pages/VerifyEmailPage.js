@@ -0,0 +1,126 @@
+// frontend/src/pages/VerifyEmailPage.js
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { CheckCircle, AlertCircle, Mail, RefreshCw } from 'lucide-react';
+
+import { useAuth } from '../context/AuthContext';
+import Button from '../components/common/Button';
+import { PageLoader } from '../components/common/LoadingSpinner';
+
+const VerifyEmailPage = () => {
+  const { token } = useParams();
+  const { isAuthenticated, isEmailVerified, verifyEmail, resendVerification } = useAuth();
+
+  const [status, setStatus] = useState('verifying');
+  const [error, setError] = useState('');
+  const [resending, setResending] = useState(false);
+  const [resent, setResent] = useState(false);
+
+  // Tokens are single use, so guard against StrictMode double effects
+  const attempted = useRef(false);
+
+  useEffect(() => {
+    if (attempted.current) return;
+    attempted.current = true;
+
+    const verify = async () => {
+      const result = await verifyEmail(token);
+      if (result.success) {
+        setStatus('verified');
+      } else {
+        setStatus('failed');
+        setError(result.error);
+      }
+    };
+
+    verify();
+  }, [token, verifyEmail]);
+
+  const handleResend = async () => {
+    setResending(true);
+    const result = await resendVerification();
+    setResending(false);
+
+    if (result.success) {
+      setResent(true);
+    } else {
+      setError(result.error);
+    }
+  };
+
+  if (status === 'verifying') {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900">
+        <PageLoader message="Verifying your email..." />
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50 dark:bg-gray-900 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full text-center space-y-6">
+        {status === 'verified' || isEmailVerified ? (
+          <>
+            <div className="mx-auto h-16 w-16 bg-green-100 dark:bg-green-900 rounded-full flex items-center justify-center">
+              <CheckCircle className="h-8 w-8 text-green-600 dark:text-green-400" />
+            </div>
+            <h2 className="text-3xl font-bold text-gray-900 dark:text-white">
+              Email verified
+            </h2>
+            <p className="text-gray-600 dark:text-gray-400">
+              Thanks for confirming your email address. Your account is ready to use.
+            </p>
+            <Link
+              to={isAuthenticated ? '/products' : '/login'}
+              className="inline-flex w-full justify-center py-3 px-4 rounded-lg text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+            >
+              {isAuthenticated ? 'Continue shopping' : 'Sign in'}
+            </Link>
+          </>
+        ) : (
+          <>
+            <div className="mx-auto h-16 w-16 bg-red-100 dark:bg-red-900 rounded-full flex items-center justify-center">
+              <AlertCircle className="h-8 w-8 text-red-600 dark:text-red-400" />
+            </div>
+            <h2 className="text-3xl font-bold text-gray-900 dark:text-white">
+              Verification failed
+            </h2>
+            <p className="text-gray-600 dark:text-gray-400">
+              {error || 'This verification link is invalid or has expired.'}
+            </p>
+
+            {isAuthenticated ? (
+              resent ? (
+                <div className="flex items-center justify-center text-sm text-green-700 dark:text-green-400">
+                  <Mail className="w-4 h-4 mr-2" />
+                  A new verification link is on its way.
+                </div>
+              ) : (
+                <Button
+                  onClick={handleResend}
+                  loading={resending}
+                  disabled={resending}
+                  variant="outline"
+                  startIcon={RefreshCw}
+                  fullWidth
+                >
+                  Send a new link
+                </Button>
+              )
+            ) : (
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                <Link to="/login" className="font-medium text-blue-600 dark:text-blue-400 hover:text-blue-500">
+                  Sign in
+                </Link>{' '}
+                to request a new verification link.
+              </p>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmailPage;
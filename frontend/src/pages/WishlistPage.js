@@ -0,0 +1,164 @@
+// frontend/src/pages/WishlistPage.js
+
+import React, { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { Heart, ArrowLeft, ShoppingCart, Trash2, Loader2 } from 'lucide-react';
+import Button from '../components/common/Button';
+import { useWishlist } from '../context/WishlistContext';
+import { useAuth } from '../context/AuthContext';
+import { useNotification } from '../hooks/useNotification';
+import { formatPrice, getImageUrl } from '../utils/helpers';
+import { ROUTES } from '../utils/constants';
+
+const WishlistItem = ({ item, onMoveToCart, onRemove, busy }) => (
+  <div className="flex gap-4 p-4 bg-white rounded-lg border border-gray-200 hover:shadow-md transition-shadow">
+    <Link to={`${ROUTES.PRODUCTS}/${item._id}`} className="flex-shrink-0">
+      <img
+        src={getImageUrl(item.image?.url)}
+        alt={item.image?.alt || item.name}
+        className="w-20 h-20 md:w-24 md:h-24 object-cover rounded-lg"
+      />
+    </Link>
+
+    <div className="flex-1 min-w-0">
+      <Link
+        to={`${ROUTES.PRODUCTS}/${item._id}`}
+        className="font-medium text-gray-900 hover:text-blue-600 line-clamp-2"
+      >
+        {item.name}
+      </Link>
+
+      <div className="flex items-center gap-2 mt-1">
+        <span className="text-lg font-bold text-gray-900">{formatPrice(item.price)}</span>
+        {item.comparePrice > item.price && (
+          <span className="text-sm text-gray-500 line-through">{formatPrice(item.comparePrice)}</span>
+        )}
+      </div>
+
+      <p className={`text-sm mt-1 ${item.isAvailable ? 'text-green-600' : 'text-red-600'}`}>
+        {item.isAvailable
+          ? item.availableQuantity !== null && item.availableQuantity <= 5
+            ? `Only ${item.availableQuantity} left`
+            : 'In stock'
+          : 'Out of stock'}
+      </p>
+    </div>
+
+    <div className="flex flex-col items-end justify-between gap-2">
+      <Button
+        variant="ghost"
+        size="sm"
+        onClick={() => onRemove(item)}
+        disabled={busy}
+        className="text-gray-500 hover:text-red-500 p-2"
+        aria-label="Remove from wishlist"
+      >
+        <Trash2 className="w-4 h-4" />
+      </Button>
+      <Button
+        size="sm"
+        onClick={() => onMoveToCart(item)}
+        disabled={!item.isAvailable || busy}
+        loading={busy}
+        startIcon={ShoppingCart}
+      >
+        Move to Cart
+      </Button>
+    </div>
+  </div>
+);
+
+const WishlistPage = () => {
+  const navigate = useNavigate();
+  const { items, isLoading, moveToCart, removeFromWishlist } = useWishlist();
+  const { isAuthenticated } = useAuth();
+  const { showNotification } = useNotification();
+  const [busyId, setBusyId] = useState(null);
+
+  const handleMoveToCart = async (item) => {
+    try {
+      setBusyId(item._id);
+      await moveToCart(item._id);
+      showNotification('success', `${item.name} moved to cart`);
+    } catch (error) {
+      showNotification('error', error.message || 'Failed to move item to cart');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = async (item) => {
+    try {
+      setBusyId(item._id);
+      await removeFromWishlist(item._id);
+      showNotification('success', 'Item removed from wishlist');
+    } catch (error) {
+      showNotification('error', 'Failed to remove item');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="container mx-auto px-4 py-8 max-w-4xl">
+        {/* Header */}
+        <div className="flex items-center space-x-4 mb-8">
+          <Button
+            variant="ghost"
+            onClick={() => navigate(-1)}
+            startIcon={ArrowLeft}
+            className="text-gray-600 hover:text-gray-900"
+          >
+            Back
+          </Button>
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Wishlist</h1>
+            <p className="text-gray-600 mt-1">
+              {items.length > 0
+                ? `${items.length} saved ${items.length === 1 ? 'item' : 'items'}`
+                : 'Save items you love for later'}
+            </p>
+          </div>
+        </div>
+
+        {!isAuthenticated && items.length > 0 && (
+          <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+            Your wishlist is saved in this browser.{' '}
+            <Link to={ROUTES.LOGIN} className="font-medium underline">Log in</Link>
+            {' '}to keep it on your account and get price-drop alerts.
+          </div>
+        )}
+
+        {isLoading && items.length === 0 ? (
+          <div className="flex justify-center py-16">
+            <Loader2 className="w-8 h-8 animate-spin text-blue-600" />
+          </div>
+        ) : items.length === 0 ? (
+          <div className="text-center py-16 bg-white rounded-lg border border-gray-200">
+            <Heart className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+            <h2 className="text-lg font-medium text-gray-900 mb-2">Your wishlist is empty</h2>
+            <p className="text-gray-600 mb-6">Tap the heart on any product to save it here</p>
+            <Button onClick={() => navigate(ROUTES.PRODUCTS)} variant="primary">
+              Browse Products
+            </Button>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {items.map((item) => (
+              <WishlistItem
+                key={item._id}
+                item={item}
+                busy={busyId === item._id}
+                onMoveToCart={handleMoveToCart}
+                onRemove={handleRemove}
+              />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WishlistPage;
@@ -2,6 +2,7 @@ import React, { useState } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
 import api from '../../services/api';
+import authService from '../../services/auth.service';
 import { toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
@@ -12,8 +13,11 @@ const AdminLoginPage = () => {
   });
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -23,6 +27,67 @@ const AdminLoginPage = () => {
     }));
   };
 
+  // Send admins on to the dashboard, or to enrolment when their role requires 2FA
+  const finishLogin = async (loggedInUser) => {
+    let user = loggedInUser;
+
+    if (!user) {
+      console.log('No user in login result, fetching user data...');
+      const userResponse = await api.get('/auth/me');
+      user = userResponse.data?.data?.user || userResponse.data?.user;
+      console.log('Fetched user data:', user);
+    }
+
+    if (user && (user.role === 'admin' || user.role === 'super_admin')) {
+      const twoFactor = await authService.getTwoFactorStatus().catch(() => null);
+
+      if (twoFactor?.data?.required && !twoFactor.data.enabled) {
+        toast.info('Set up two-factor authentication to access the admin panel');
+        navigate('/profile?tab=security');
+        return;
+      }
+
+      console.log('User has admin role, redirecting to admin dashboard');
+      // Redirect to admin root which will show the dashboard by default
+      navigate('/admin');
+      toast.success('Successfully logged in as admin');
+    } else {
+      console.warn('User does not have admin role, logging out', { 
+        role: user?.role,
+        hasUser: !!user 
+      });
+      // Log out if not an admin
+      await api.post('/auth/logout');
+      setError('You do not have admin privileges. Please register as an admin first.');
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const result = await verifyTwoFactor(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }
+      );
+
+      if (!result.success) {
+        if (result.expired) {
+          setChallengeToken(null);
+        }
+        setCode('');
+        setError(result.error);
+        return;
+      }
+
+      await finishLogin(result.user);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -46,31 +111,13 @@ const AdminLoginPage = () => {
       );
 
       console.log('Login result:', loginResult);
-      
-      // Get the current user data from the login result or fetch it
-      let user = loginResult?.user;
-      
-      if (!user) {
-        console.log('No user in login result, fetching user data...');
-        const userResponse = await api.get('/auth/me');
-        user = userResponse.data?.data?.user || userResponse.data?.user;
-        console.log('Fetched user data:', user);
-      }
-      
-      if (user && (user.role === 'admin' || user.role === 'super_admin')) {
-        console.log('User has admin role, redirecting to admin dashboard');
-        // Redirect to admin root which will show the dashboard by default
-        navigate('/admin');
-        toast.success('Successfully logged in as admin');
-      } else {
-        console.warn('User does not have admin role, logging out', { 
-          role: user?.role,
-          hasUser: !!user 
-        });
-        // Log out if not an admin
-        await api.post('/auth/logout');
-        setError('You do not have admin privileges. Please register as an admin first.');
+
+      if (loginResult?.twoFactorRequired) {
+        setChallengeToken(loginResult.challengeToken);
+        return;
       }
+
+      await finishLogin(loginResult?.user);
     } catch (err) {
       console.error('Login error:', err);
       setError(err.response?.data?.message || 'Failed to log in. Please check your credentials.');
@@ -116,6 +163,64 @@ const AdminLoginPage = () => {
           </div>
         )}
 
+        {challengeToken ? (
+          <form className="mt-8 space-y-6" onSubmit={handleVerify}>
+            <div>
+              <label htmlFor="code" className="block text-sm font-medium text-gray-700">
+                {useRecoveryCode ? 'Recovery code' : 'Authentication code'}
+              </label>
+              <p className="mt-1 text-xs text-gray-500">
+                {useRecoveryCode
+                  ? 'Enter one of the recovery codes you saved when you set up two-factor authentication.'
+                  : 'Enter the six digit code from your authenticator app.'}
+              </p>
+              <input
+                id="code"
+                name="code"
+                type="text"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                className="mt-2 appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 focus:outline-none focus:ring-indigo-500 focus:border-indigo-500 sm:text-sm"
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+            </div>
+
+            <div className="flex items-center justify-between text-sm">
+              <button
+                type="button"
+                className="font-medium text-indigo-600 hover:text-indigo-500 bg-transparent border-0 p-0 cursor-pointer"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setCode('');
+                }}
+              >
+                {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+              </button>
+              <button
+                type="button"
+                className="font-medium text-gray-600 hover:text-gray-500 bg-transparent border-0 p-0 cursor-pointer"
+                onClick={() => {
+                  setChallengeToken(null);
+                  setCode('');
+                }}
+              >
+                Back to sign in
+              </button>
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className={`group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white bg-indigo-600 hover:bg-indigo-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500 ${loading ? 'opacity-70 cursor-not-allowed' : ''}`}
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+        ) : (
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
           <input type="hidden" name="remember" value="true" />
           <div className="rounded-md shadow-sm -space-y-px">
@@ -191,6 +296,7 @@ const AdminLoginPage = () => {
             </button>
           </div>
         </form>
+        )}
       </div>
     </div>
   );
@@ -23,6 +23,9 @@ class ApiService {
     this.retryAttempts = API_CONFIG.RETRY_ATTEMPTS;
     this.retryDelay = API_CONFIG.RETRY_DELAY;
     
+    // In-flight token refresh shared by concurrent requests
+    this.refreshPromise = null;
+
     // Request interceptors
     this.requestInterceptors = [];
     this.responseInterceptors = [];
@@ -36,7 +39,8 @@ class ApiService {
   // ===========================================================================
 
   setupDefaultInterceptors() {
-    // Request interceptor for auth token
+    // Request interceptor for auth token, or a guest's order token when
+    // not logged in (lets guests see and pay for their orders)
     this.addRequestInterceptor((config) => {
       const token = this.getAuthToken();
       if (token && config.includeAuth !== false) {
@@ -44,6 +48,15 @@ class ApiService {
           ...config.headers,
           Authorization: `Bearer ${token}`
         };
+      } else if (config.includeAuth !== false) {
+        const guestToken = secureStorage.get(STORAGE_KEYS.GUEST_ORDER_TOKEN);
+        if (guestToken) {
+          config.headers = {
+            ...config.headers,
+            'X-Guest-Token': guestToken
+          };
+          config._guest = true;
+        }
       }
       console.log(`API Request: ${config.method.toUpperCase()} ${config.url}`, {
         params: config.params,
@@ -56,7 +69,14 @@ class ApiService {
     this.addResponseInterceptor(
       (response) => response,
       async (error) => {
-        if (error.status === 401 && error.config && !error.config._retry) {
+        // A guest's expired order link has no session to refresh
+        if (
+          error.status === 401 &&
+          error.config &&
+          !error.config._retry &&
+          !error.config._guest &&
+          error.config.includeAuth !== false
+        ) {
           error.config._retry = true;
           
           try {
@@ -135,25 +155,41 @@ class ApiService {
     }
   }
 
-  async refreshToken() {
-    try {
-      const response = await this.request({
+  /**
+   * Exchange the refresh token cookie for a new access token. Concurrent
+   * callers share one request because the server rotates the refresh token
+   * on every use and would treat a second use as token theft.
+   * @returns {Promise<string>} The new access token
+   */
+  refreshToken() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.request({
         url: API_ENDPOINTS.AUTH.REFRESH_TOKEN,
         method: 'POST',
-        includeAuth: true,
+        includeAuth: false,
         skipRetry: true
-      });
-
-      if (response.data?.token) {
-        this.setAuthToken(response.data.token);
-        return response.data.token;
-      }
+      })
+        .then((response) => {
+          if (!response.token) {
+            throw new Error('No token in refresh response');
+          }
 
-      throw new Error('No token in refresh response');
-    } catch (error) {
-      this.removeAuthToken();
-      throw error;
+          this.setAuthToken(response.token);
+          window.dispatchEvent(new CustomEvent('auth:tokenRefreshed', {
+            detail: { token: response.token }
+          }));
+          return response.token;
+        })
+        .catch((error) => {
+          this.removeAuthToken();
+          throw error;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
     }
+
+    return this.refreshPromise;
   }
 
   handleAuthError() {
@@ -264,6 +300,7 @@ class ApiService {
           return {
             success: true,
             token: response.token,
+            expiresIn: response.expiresIn,
             data: response.data || response.user || {},
             message: response.message || 'Authentication successful'
           };
@@ -391,6 +428,8 @@ class ApiService {
         return await this.executeResponseInterceptors(normalizedResponse);
       } catch (error) {
         lastError = error;
+        // Keep the full request so the 401 interceptor can replay it
+        lastError.config = { ...modifiedConfig, ...error.config, url: modifiedConfig.url };
 
         // Don't retry on authentication errors or client errors
         if (error.status < 500 || attempt === maxAttempts) {
@@ -419,6 +458,7 @@ class ApiService {
       data,
       params,
       timeout = this.timeout,
+      responseType,
       ...restConfig
     } = config;
 
@@ -489,7 +529,7 @@ class ApiService {
       const response = await fetch(urlWithParams, fetchOptions);
       clearTimeout(timeoutId);
 
-      return await this.handleResponse(response);
+      return await this.handleResponse(response, responseType);
     } catch (error) {
       clearTimeout(timeoutId);
       throw this.handleError(error);
@@ -499,10 +539,15 @@ class ApiService {
   /**
    * ✅ ULTIMATE FIX: Enhanced response handling with comprehensive error parsing
    */
-  async handleResponse(response) {
+  async handleResponse(response, responseType) {
     let data;
     let responseText;
 
+    // Files (e.g. invoice PDFs) come back as-is; errors are still JSON
+    if (responseType === 'blob' && response.ok) {
+      return { success: true, data: await response.blob() };
+    }
+
     try {
       // Get the raw response text first
       responseText = await response.text();
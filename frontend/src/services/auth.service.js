@@ -75,6 +75,16 @@ class AuthService {
         });
       }
 
+      // Two-factor accounts get a challenge to exchange at /auth/2fa/verify
+      if (response && response.success && response.data?.twoFactorRequired) {
+        return {
+          success: true,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken,
+          message: response.message
+        };
+      }
+
       if (response && response.success && response.token) {
         // Always use the API service to set the token
         const tokenSet = apiService.setAuthToken(response.token);
@@ -87,6 +97,8 @@ class AuthService {
           secureStorage.set(STORAGE_KEYS.USER_DATA, response.data.user); // Fixed: setItem → set
         }
 
+        this.setupTokenRefresh(response.expiresIn);
+
         window.dispatchEvent(new CustomEvent('auth:login', {
           detail: { user: response.data?.user }
         }));
@@ -195,6 +207,8 @@ class AuthService {
           secureStorage.set(STORAGE_KEYS.USER_DATA, response.data.user); // Fixed: setItem → set
         }
 
+        this.setupTokenRefresh(response.expiresIn);
+
         window.dispatchEvent(new CustomEvent('auth:register', {
           detail: { user: response.data?.user }
         }));
@@ -240,6 +254,7 @@ class AuthService {
       }
 
       // Clear all authentication data
+      clearTimeout(this.refreshTimer);
       this.clearAuthData();
       
       // Ensure the token is removed from the API service
@@ -315,6 +330,19 @@ class AuthService {
     }
   }
 
+  /**
+   * Send a new verification email to the current user
+   * @returns {Promise<object>} Resend response
+   */
+  async resendVerification() {
+    try {
+      const response = await apiService.post(API_ENDPOINTS.AUTH.RESEND_VERIFICATION);
+      return response;
+    } catch (error) {
+      throw this.handleAuthError(error);
+    }
+  }
+
   /**
    * Request password reset
    * @param {string} email - User email
@@ -333,6 +361,41 @@ class AuthService {
     }
   }
 
+  /**
+   * Request a password reset code by SMS
+   * @param {string} phone - Registered phone number
+   * @returns {Promise<object>} Reset request response
+   */
+  async forgotPasswordBySms(phone) {
+    try {
+      const response = await apiService.post(
+        API_ENDPOINTS.AUTH.FORGOT_PASSWORD,
+        { phone: phone.trim(), channel: 'sms' },
+        { includeAuth: false }
+      );
+      return response;
+    } catch (error) {
+      throw this.handleAuthError(error);
+    }
+  }
+
+  /**
+   * Check that a reset token is still valid
+   * @param {string} token - Reset token
+   * @returns {Promise<object>} Validation response
+   */
+  async validateResetToken(token) {
+    try {
+      const response = await apiService.get(
+        `${API_ENDPOINTS.AUTH.RESET_PASSWORD}/${token}`,
+        { includeAuth: false }
+      );
+      return response;
+    } catch (error) {
+      throw this.handleAuthError(error);
+    }
+  }
+
   /**
    * Reset password with token
    * @param {string} token - Reset token
@@ -352,6 +415,24 @@ class AuthService {
     }
   }
 
+  /**
+   * Reset password with an SMS code
+   * @param {object} resetData - { phone, code, password }
+   * @returns {Promise<object>} Reset response
+   */
+  async resetPasswordWithCode({ phone, code, password }) {
+    try {
+      const response = await apiService.patch(
+        API_ENDPOINTS.AUTH.RESET_PASSWORD,
+        { phone: phone.trim(), code: code.trim(), password },
+        { includeAuth: false }
+      );
+      return response;
+    } catch (error) {
+      throw this.handleAuthError(error);
+    }
+  }
+
   /**
    * Update password (authenticated user)
    * @param {object} passwordData - { currentPassword, newPassword }
@@ -363,12 +444,28 @@ class AuthService {
         API_ENDPOINTS.AUTH.UPDATE_PASSWORD,
         passwordData
       );
+      // Older tokens are revoked once the password changes
+      this.storeSession(response);
       return response;
     } catch (error) {
       throw this.handleAuthError(error);
     }
   }
 
+  /**
+   * Store the token and user returned by a password change
+   * @param {object} response - API response
+   */
+  storeSession(response) {
+    if (!response || !response.success || !response.token) return;
+
+    apiService.setAuthToken(response.token);
+    if (response.data?.user) {
+      secureStorage.set(STORAGE_KEYS.USER_DATA, response.data.user);
+    }
+    this.setupTokenRefresh(response.expiresIn || this.getTokenLifetime(response.token));
+  }
+
   /**
    * Update user profile
    * @param {object} userData - Updated user data
@@ -377,7 +474,7 @@ class AuthService {
   async updateProfile(userData) {
     try {
       const response = await apiService.patch(
-        API_ENDPOINTS.AUTH.UPDATE_PROFILE,
+        API_ENDPOINTS.USERS.ME,
         userData
       );
 
@@ -503,6 +600,18 @@ class AuthService {
     return enhancedError;
   }
 
+  /**
+   * Like handleAuthError, but keep the server's reason for one-time code checks,
+   * where a 401 means a wrong or expired code rather than bad credentials
+   * @param {Error} error - Original error
+   * @returns {Error} Enhanced error
+   */
+  handleCodeError(error) {
+    const authError = this.handleAuthError(error);
+    if (error.data?.message) authError.message = error.data.message;
+    return authError;
+  }
+
   /**
    * Refresh authentication token
    * @returns {Promise<string>} New token
@@ -540,16 +649,291 @@ class AuthService {
    * @param {number} expiresIn - Token expiry time in seconds
    */
   setupTokenRefresh(expiresIn) {
-    const refreshTime = (expiresIn - 300) * 1000;
-    if (refreshTime > 0) {
-      setTimeout(async () => {
-        try {
-          await this.refreshToken();
-        } catch (error) {
-          console.error('Token refresh failed:', error);
-          this.logout();
-        }
-      }, refreshTime);
+    clearTimeout(this.refreshTimer);
+    if (!expiresIn) return;
+
+    // Refresh five minutes early, or halfway through very short lifetimes
+    const refreshTime = Math.max(expiresIn - 300, expiresIn / 2) * 1000;
+    this.refreshTimer = setTimeout(async () => {
+      try {
+        const token = await this.refreshToken();
+        this.setupTokenRefresh(this.getTokenLifetime(token));
+      } catch (error) {
+        console.error('Token refresh failed:', error);
+        this.logout();
+      }
+    }, refreshTime);
+  }
+
+  /**
+   * Seconds until a JWT expires, read from its payload
+   * @param {string} token - Access token
+   * @returns {number|null} Remaining lifetime in seconds
+   */
+  getTokenLifetime(token) {
+    try {
+      const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+      return Math.max(payload.exp - Math.floor(Date.now() / 1000), 0);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * List the current user's logged-in devices
+   * @returns {Promise<object>} Sessions response
+   */
+  async getSessions() {
+    try {
+      const response = await apiService.get(API_ENDPOINTS.AUTH.SESSIONS);
+      return response;
+    } catch (error) {
+      throw this.handleAuthError(error);
+    }
+  }
+
+  /**
+   * Log out one device
+   * @param {string} sessionId - Session to revoke
+   * @returns {Promise<object>} Revoke response
+   */
+  async revokeSession(sessionId) {
+    try {
+      const response = await apiService.delete(`${API_ENDPOINTS.AUTH.SESSIONS}/${sessionId}`);
+      return response;
+    } catch (error) {
+      throw this.handleAuthError(error);
+    }
+  }
+
+  /**
+   * Log out every device except this one
+   * @returns {Promise<object>} Revoke response
+   */
+  async revokeOtherSessions() {
+    try {
+      const response = await apiService.delete(API_ENDPOINTS.AUTH.SESSIONS);
+      return response;
+    } catch (error) {
+      throw this.handleAuthError(error);
+    }
+  }
+
+  /**
+   * Finish a two-factor login with an authenticator or recovery code
+   * @param {string} challengeToken - Token returned by login
+   * @param {object} codes - { code } or { recoveryCode }
+   * @returns {Promise<object>} Login response
+   */
+  async verifyTwoFactor(challengeToken, { code, recoveryCode }) {
+    try {
+      const response = await apiService.post(
+        `${API_ENDPOINTS.AUTH.TWO_FACTOR}/verify`,
+        { challengeToken, code, recoveryCode },
+        { includeAuth: false }
+      );
+
+      return this.completeLogin(response);
+    } catch (error) {
+      throw this.handleCodeError(error);
+    }
+  }
+
+  /**
+   * Send a login code by SMS
+   * @param {string} phone - Kenyan phone number in any common format
+   * @returns {Promise<object>} Response with expiry and resend delay
+   */
+  async requestPhoneCode(phone) {
+    try {
+      const response = await apiService.post(
+        `${API_ENDPOINTS.AUTH.PHONE}/request-code`,
+        { phone },
+        { includeAuth: false }
+      );
+      return response;
+    } catch (error) {
+      throw this.handleCodeError(error);
+    }
+  }
+
+  /**
+   * Log in with an SMS code. New numbers get a signup token instead of a session,
+   * and accounts with 2FA get a challenge.
+   * @param {string} phone - Phone number the code was sent to
+   * @param {string} code - Six digit code
+   * @returns {Promise<object>} Login response
+   */
+  async verifyPhoneCode(phone, code) {
+    try {
+      const response = await apiService.post(
+        `${API_ENDPOINTS.AUTH.PHONE}/verify-code`,
+        { phone, code },
+        { includeAuth: false }
+      );
+
+      if (response?.data?.signupRequired) {
+        return { success: true, signupRequired: true, signupToken: response.data.signupToken };
+      }
+
+      if (response?.data?.twoFactorRequired) {
+        return { success: true, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
+
+      return this.completeLogin(response);
+    } catch (error) {
+      throw this.handleCodeError(error);
+    }
+  }
+
+  /**
+   * Create an account for a phone number that has passed its SMS code
+   * @param {object} details - { signupToken, firstName, lastName, email }
+   * @returns {Promise<object>} Signup response
+   */
+  async completePhoneSignup({ signupToken, firstName, lastName, email }) {
+    try {
+      const response = await apiService.post(
+        `${API_ENDPOINTS.AUTH.PHONE}/signup`,
+        {
+          signupToken,
+          firstName: firstName?.trim(),
+          lastName: lastName?.trim(),
+          email: email?.trim().toLowerCase() || undefined
+        },
+        { includeAuth: false }
+      );
+
+      return this.completeLogin(response);
+    } catch (error) {
+      throw this.handleCodeError(error);
+    }
+  }
+
+  /**
+   * Send a code to confirm the logged-in user's phone number
+   * @returns {Promise<object>} Response
+   */
+  async sendPhoneVerification() {
+    try {
+      const response = await apiService.post(`${API_ENDPOINTS.AUTH.PHONE}/send-verification`);
+      return response;
+    } catch (error) {
+      throw this.handleAuthError(error);
+    }
+  }
+
+  /**
+   * Confirm the logged-in user's phone number
+   * @param {string} code - Six digit code
+   * @returns {Promise<object>} Response
+   */
+  async verifyPhone(code) {
+    try {
+      const response = await apiService.post(`${API_ENDPOINTS.AUTH.PHONE}/verify`, { code });
+      if (response?.success) {
+        const user = secureStorage.get(STORAGE_KEYS.USER_DATA);
+        if (user) secureStorage.set(STORAGE_KEYS.USER_DATA, { ...user, phoneVerified: true });
+      }
+      return response;
+    } catch (error) {
+      throw this.handleAuthError(error);
+    }
+  }
+
+  /**
+   * Store the session from a login-style response and announce the login
+   * @param {object} response - API response with token and user
+   * @returns {object} Normalised login result
+   */
+  completeLogin(response) {
+    if (!response || !response.success || !response.token) {
+      throw new Error('Invalid response format from server');
+    }
+
+    this.storeSession(response);
+
+    window.dispatchEvent(new CustomEvent('auth:login', {
+      detail: { user: response.data?.user }
+    }));
+
+    return {
+      success: true,
+      token: response.token,
+      data: response.data,
+      user: response.data?.user
+    };
+  }
+
+  /**
+   * Get two-factor status for the current user
+   * @returns {Promise<object>} Status response
+   */
+  async getTwoFactorStatus() {
+    try {
+      const response = await apiService.get(`${API_ENDPOINTS.AUTH.TWO_FACTOR}/status`);
+      return response;
+    } catch (error) {
+      throw this.handleAuthError(error);
+    }
+  }
+
+  /**
+   * Start two-factor enrolment
+   * @returns {Promise<object>} Response with secret and QR code
+   */
+  async setupTwoFactor() {
+    try {
+      const response = await apiService.post(`${API_ENDPOINTS.AUTH.TWO_FACTOR}/setup`);
+      return response;
+    } catch (error) {
+      throw this.handleAuthError(error);
+    }
+  }
+
+  /**
+   * Confirm enrolment with a code from the authenticator app
+   * @param {string} code - Six digit code
+   * @returns {Promise<object>} Response with recovery codes
+   */
+  async enableTwoFactor(code) {
+    try {
+      const response = await apiService.post(`${API_ENDPOINTS.AUTH.TWO_FACTOR}/enable`, { code });
+      // The session is now verified, so swap in the upgraded access token
+      if (response?.token) {
+        apiService.setAuthToken(response.token);
+      }
+      return response;
+    } catch (error) {
+      throw this.handleAuthError(error);
+    }
+  }
+
+  /**
+   * Replace the recovery codes
+   * @param {string} code - Six digit code
+   * @returns {Promise<object>} Response with recovery codes
+   */
+  async regenerateRecoveryCodes(code) {
+    try {
+      const response = await apiService.post(`${API_ENDPOINTS.AUTH.TWO_FACTOR}/recovery-codes`, { code });
+      return response;
+    } catch (error) {
+      throw this.handleAuthError(error);
+    }
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * @param {object} data - { password, code }
+   * @returns {Promise<object>} Disable response
+   */
+  async disableTwoFactor({ password, code }) {
+    try {
+      const response = await apiService.post(`${API_ENDPOINTS.AUTH.TWO_FACTOR}/disable`, { password, code });
+      return response;
+    } catch (error) {
+      throw this.handleAuthError(error);
     }
   }
 
@@ -574,6 +958,7 @@ class AuthService {
 
     try {
       await this.getCurrentUser();
+      this.setupTokenRefresh(this.getTokenLifetime(this.getToken()));
       return true;
     } catch (error) {
       if (error.status === 401) {
@@ -4,92 +4,41 @@
  * =============================================================================
  * CART SERVICE
  * =============================================================================
- * Handles cart operations for both authenticated and guest users
+ * Handles cart operations for both authenticated and guest users. Guest carts
+ * are kept on the server too, found again from a cookie the server sets, and
+ * are merged into the user's cart when they log in.
  */
 
 import apiService from './api';
 import authService from './auth.service';
-import { API_ENDPOINTS, STORAGE_KEYS, BUSINESS_RULES } from '../utils/constants';
-import { secureStorage, calculateTax, calculateShipping } from '../utils/helpers';
+import { API_ENDPOINTS, BUSINESS_RULES } from '../utils/constants';
 
 class CartService {
-  constructor() {
-    this.guestCartKey = STORAGE_KEYS.GUEST_CART;
-  }
-
   /**
-   * Get user's cart with proper normalization
+   * Get the user's or guest's cart with proper normalization
    * @returns {Promise<{success: boolean, data: object, message?: string}>} Normalized cart response
    */
   async getCart() {
     try {
-      let response;
-      
-      if (authService.isAuthenticated()) {
-        console.log('[CartService] Fetching cart from server...');
-        response = await apiService.get(API_ENDPOINTS.CART.BASE);
-        console.log('[CartService] Server cart response:', response);
-      } else {
-        console.log('[CartService] Getting guest cart from localStorage');
-        const guestCart = this.getGuestCart();
-        console.log('[CartService] Guest cart:', guestCart);
-        response = { data: guestCart };
-      }
-      
-      const formattedResponse = this.formatCartResponse(response);
-      
-      if (formattedResponse.success && formattedResponse.data) {
-        if (authService.isAuthenticated()) {
-          this.saveGuestCart(formattedResponse.data);
-        }
-      }
-      
-      return formattedResponse;
+      console.log('[CartService] Fetching cart from server...');
+      const response = await apiService.get(API_ENDPOINTS.CART.BASE);
+      console.log('[CartService] Server cart response:', response);
+
+      return this.formatCartResponse(response);
       
     } catch (error) {
       console.error('[CartService] Error in getCart:', error);
       
       if (error.status === 401) {
-        console.log('[CartService] Authentication required, falling back to guest cart');
+        // The login has expired; the next load is as a guest
+        console.log('[CartService] Authentication expired, logging out');
         await authService.logout();
-        const guestCart = this.getGuestCart();
-        return this.formatCartResponse({ data: guestCart });
-      }
-      
-      if (error.status === 404) {
-        console.log('[CartService] No cart found, returning empty cart');
-        return this.formatCartResponse({ data: this.getEmptyCart() });
       }
       
-      console.warn('[CartService] Error fetching cart, attempting fallback:', error);
-      try {
-        const guestCart = this.getGuestCart();
-        return this.formatCartResponse({ 
-          success: false, 
-          data: guestCart,
-          message: 'Error fetching cart. Using local data.'
-        });
-      } catch (innerError) {
-        console.error('[CartService] Critical error in getCart fallback:', innerError);
-        return this.formatCartResponse({
-          success: false,
-          data: this.getEmptyCart(),
-          message: 'Unable to load cart. Please refresh the page.'
-        });
-      }
+      throw this.handleCartError(error);
     }
   }
 
-  /**
-   * Add item to cart with proper validation and normalization
-   * @param {object} itemData - Item data to add
-   * @returns {Promise<{success: boolean, data: object, message?: string}>} Add response
-   */
-  /**
-   * Add item to cart with proper validation and normalization
-   * @param {object} itemData - Item data to add
-   * @returns {Promise<{success: boolean, data: object, message?: string}>} Add response
-   */
   /**
    * Add item to cart with proper validation and normalization
    * @param {object} itemData - Item data to add
@@ -134,135 +83,38 @@ class CartService {
     }
 
     try {
-      if (authService.isAuthenticated()) {
-        // Handle authenticated user
-        console.log('[CartService] Adding item to server cart');
-        
-        // Prepare request data
-        const requestData = {
-          productId: productId,
-          quantity: quantity,
-          variant: variant,
-          name: product.name || 'Unnamed Product',
-          price: parseFloat(product.price) || 0,
-          sku: product.sku || `SKU-${productId}`,
-          image: {
-            url: Array.isArray(product.images) && product.images[0]?.url || '',
-            alt: Array.isArray(product.images) && product.images[0]?.alt || product.name || 'Product image'
-          }
-        };
-        
-        // Clean up undefined values
-        Object.keys(requestData).forEach(key => requestData[key] === undefined && delete requestData[key]);
-        
-        try {
-          // Make API call to add item to cart
-          const apiResponse = await apiService.post(API_ENDPOINTS.CART.ITEMS, requestData);
-          console.log('[CartService] Add item API response:', apiResponse);
-          
-          // Fetch the latest cart to ensure we have the most up-to-date data
-          const cartResponse = await this.getCart();
-          console.log('[CartService] Refreshed cart after adding item:', cartResponse);
-          
-          return this.formatCartResponse({
-            success: true,
-            data: cartResponse.data,
-            message: 'Item added to cart successfully'
-          });
-          
-        } catch (apiError) {
-          console.error('[CartService] Error adding item to cart:', apiError);
-          
-          // If we get a 401, the session might be expired - log out and try again
-          if (apiError.status === 401) {
-            console.log('[CartService] Session expired, logging out and retrying as guest');
-            await authService.logout();
-            // Continue to guest cart handling
-          } else {
-            // For other errors, try to add to guest cart as fallback
-            console.warn('[CartService] Failed to add item to server cart, falling back to guest cart');
-            const guestCart = this.getGuestCart();
-            const updatedCart = this.addItemToGuestCart(guestCart, {
-              product: productId,
-              quantity,
-              variant,
-              price: parseFloat(product.price) || 0,
-              name: product.name,
-              sku: product.sku,
-              images: product.images
-            });
-            this.saveGuestCart(updatedCart);
-            
-            return this.formatCartResponse({
-              success: true,
-              data: updatedCart,
-              message: 'Item added to guest cart (offline mode)'
-            });
-          }
-        }
-      } else {
-        console.log('[CartService] Adding item to guest cart');
-        
-        try {
-          // Get current guest cart
-          const guestCart = this.getGuestCart();
-          console.log('[CartService] Current guest cart:', guestCart);
-          
-          // Prepare cart item data
-          const cartItem = {
-            _id: `guest_${Date.now()}_${Math.floor(Math.random() * 1000)}`,
-            product: productId,
-            name: product.name || 'Unnamed Product',
-            sku: product.sku || `SKU-${productId}`,
-            price: parseFloat(product.price) || 0,
-            quantity: quantity,
-            variant: variant,
-            image: {
-              url: Array.isArray(product.images) && product.images[0]?.url || '',
-              alt: Array.isArray(product.images) && product.images[0]?.alt || product.name || 'Product image'
-            },
-            productData: {
-              _id: productId,
-              name: product.name,
-              price: product.price,
-              images: product.images,
-              sku: product.sku,
-              stock: product.stock,
-              isAvailable: product.isAvailable,
-              discountPercentage: product.discountPercentage
-            }
-          };
-          
-          // Clean up undefined values in productData
-          Object.keys(cartItem.productData).forEach(key => {
-            if (cartItem.productData[key] === undefined) {
-              delete cartItem.productData[key];
-            }
-          });
-          
-          console.log('[CartService] New cart item:', cartItem);
-          
-          // Add to guest cart
-          const updatedCart = this.addItemToGuestCart(guestCart, cartItem);
-          console.log('[CartService] Updated guest cart:', updatedCart);
-          
-          // Save to storage
-          this.saveGuestCart(updatedCart);
-          
-          // Return success response with formatted cart
-          return this.formatCartResponse({
-            success: true,
-            data: updatedCart,
-            message: 'Item added to cart'
-          });
-          
-        } catch (error) {
-          console.error('[CartService] Error adding to guest cart:', error);
-          throw this.handleCartError(error);
+      // Prepare request data
+      const requestData = {
+        productId: productId,
+        quantity: quantity,
+        variant: variant,
+        name: product.name || 'Unnamed Product',
+        price: parseFloat(product.price) || 0,
+        sku: product.sku || `SKU-${productId}`,
+        image: {
+          url: Array.isArray(product.images) && product.images[0]?.url || '',
+          alt: Array.isArray(product.images) && product.images[0]?.alt || product.name || 'Product image'
         }
-      }
+      };
+      
+      // Clean up undefined values
+      Object.keys(requestData).forEach(key => requestData[key] === undefined && delete requestData[key]);
+      
+      // Make API call to add item to cart; a guest's first item starts their cart
+      const apiResponse = await apiService.post(API_ENDPOINTS.CART.ITEMS, requestData);
+      console.log('[CartService] Add item API response:', apiResponse);
+      
+      // Fetch the latest cart to ensure we have the most up-to-date data
+      const cartResponse = await this.getCart();
+      console.log('[CartService] Refreshed cart after adding item:', cartResponse);
+      
+      return this.formatCartResponse({
+        success: true,
+        data: cartResponse.data,
+        message: 'Item added to cart successfully'
+      });
     } catch (error) {
-      console.error('[CartService] Unexpected error in addItem:', error);
+      console.error('[CartService] Error adding item to cart:', error);
       throw this.handleCartError(error);
     }
   }
@@ -284,30 +136,16 @@ class CartService {
     }
 
     try {
-      if (authService.isAuthenticated()) {
-        // Update server cart
-        if (quantity === 0) {
-          return this.removeItem(productId, variant);
-        }
-
-        const response = await apiService.patch(
-          API_ENDPOINTS.CART.ITEM(productId),
-          { quantity, variant }
-        );
+      if (quantity === 0) {
+        return this.removeItem(productId);
+      }
 
-        return this.formatCartResponse(response);
-      } else {
-        // Update guest cart
-        const guestCart = this.getGuestCart();
-        const updatedCart = this.updateItemInGuestCart(guestCart, productId, quantity, variant);
-        this.saveGuestCart(updatedCart);
+      const response = await apiService.patch(
+        API_ENDPOINTS.CART.ITEM(productId),
+        { quantity, variant }
+      );
 
-        return {
-          success: true,
-          data: updatedCart,
-          message: quantity === 0 ? 'Item removed from cart' : 'Cart updated'
-        };
-      }
+      return this.formatCartResponse(response);
     } catch (error) {
       throw this.handleCartError(error);
     }
@@ -316,31 +154,16 @@ class CartService {
   /**
    * Remove item from cart
    * @param {string} productId - Product ID
-   * @param {object} variant - Product variant
    * @returns {Promise<object>} Remove response
    */
-  async removeItem(productId, variant = null) {
+  async removeItem(productId) {
     if (!productId) {
       throw new Error('Product ID is required');
     }
 
     try {
-      if (authService.isAuthenticated()) {
-        // Remove from server cart
-        const response = await apiService.delete(API_ENDPOINTS.CART.ITEM(productId));
-        return this.formatCartResponse(response);
-      } else {
-        // Remove from guest cart
-        const guestCart = this.getGuestCart();
-        const updatedCart = this.removeItemFromGuestCart(guestCart, productId, variant);
-        this.saveGuestCart(updatedCart);
-
-        return {
-          success: true,
-          data: updatedCart,
-          message: 'Item removed from cart'
-        };
-      }
+      const response = await apiService.delete(API_ENDPOINTS.CART.ITEM(productId));
+      return this.formatCartResponse(response);
     } catch (error) {
       throw this.handleCartError(error);
     }
@@ -352,28 +175,16 @@ class CartService {
    */
   async clearCart() {
     try {
-      if (authService.isAuthenticated()) {
-        // Clear server cart
-        const response = await apiService.delete(API_ENDPOINTS.CART.BASE);
-        return this.formatCartResponse(response);
-      } else {
-        // Clear guest cart
-        const emptyCart = this.createEmptyCart();
-        this.saveGuestCart(emptyCart);
-
-        return {
-          success: true,
-          data: emptyCart,
-          message: 'Cart cleared'
-        };
-      }
+      const response = await apiService.delete(API_ENDPOINTS.CART.BASE);
+      return this.formatCartResponse(response);
     } catch (error) {
       throw this.handleCartError(error);
     }
   }
 
   /**
-   * Apply coupon to cart
+   * Apply coupon to cart. Coupons limited per customer need the shopper to
+   * sign in, which the server says when it refuses one.
    * @param {string} couponCode - Coupon code
    * @returns {Promise<object>} Apply response
    */
@@ -383,16 +194,11 @@ class CartService {
     }
 
     try {
-      if (authService.isAuthenticated()) {
-        // Apply coupon to server cart
-        const response = await apiService.post(API_ENDPOINTS.CART.COUPON, {
-          code: couponCode.trim().toUpperCase()
-        });
-
-        return this.formatCartResponse(response);
-      } else {
-        throw new Error('Please login to apply coupons');
-      }
+      const response = await apiService.post(API_ENDPOINTS.CART.COUPON, {
+        couponCode: couponCode.trim().toUpperCase()
+      });
+
+      return this.formatCartResponse(response);
     } catch (error) {
       throw this.handleCartError(error);
     }
@@ -409,16 +215,11 @@ class CartService {
     }
 
     try {
-      if (authService.isAuthenticated()) {
-        // Remove coupon from server cart
-        const response = await apiService.delete(
-          API_ENDPOINTS.CART.REMOVE_COUPON(couponCode)
-        );
-
-        return this.formatCartResponse(response);
-      } else {
-        throw new Error('Please login to manage coupons');
-      }
+      const response = await apiService.delete(
+        API_ENDPOINTS.CART.REMOVE_COUPON(couponCode)
+      );
+
+      return this.formatCartResponse(response);
     } catch (error) {
       throw this.handleCartError(error);
     }
@@ -442,58 +243,6 @@ class CartService {
     }
   }
 
-  /**
-   * Sync guest cart with user cart after login
-   * @returns {Promise<object>} Sync response
-   */
-  async syncGuestCart() {
-    if (!authService.isAuthenticated()) {
-      throw new Error('User must be authenticated to sync cart');
-    }
-
-    const guestCart = this.getGuestCart();
-    
-    if (!guestCart.items || guestCart.items.length === 0) {
-      return { success: true, message: 'No guest cart to sync' };
-    }
-
-    try {
-      // Add each guest cart item to the user's cart
-      for (const item of guestCart.items) {
-        await this.addItem({
-          product: { 
-            _id: item.product,
-            name: item.name,
-            sku: item.sku,
-            price: item.price,
-            images: item.image ? [item.image] : []
-          },
-          quantity: item.quantity,
-          variant: item.variant,
-          customization: item.customization
-        });
-      }
-
-      // Clear guest cart after successful sync
-      this.clearGuestCart();
-
-      return {
-        success: true,
-        message: 'Guest cart synced successfully'
-      };
-    } catch (error) {
-      throw this.handleCartError(error);
-    }
-  }
-
-  // ===========================================================================
-  // GUEST CART METHODS
-  // ===========================================================================
-
-  /**
-   * Get guest cart from localStorage
-   * @returns {object} Guest cart data
-   */
   /**
    * Get an empty cart object with default values
    * @returns {object} Empty cart object with default structure
@@ -514,144 +263,6 @@ class CartService {
     };
   }
 
-  /**
-   * Get guest cart from storage or create a new one if it doesn't exist
-   * @returns {object} Guest cart object
-   */
-  getGuestCart() {
-    try {
-      const stored = secureStorage.get(this.guestCartKey);
-      if (!stored) {
-        return this.getEmptyCart();
-      }
-      // Ensure the stored cart has all required fields
-      const cart = JSON.parse(JSON.stringify(stored));
-      return {
-        ...this.getEmptyCart(),
-        ...cart,
-        items: cart.items || [],
-        updatedAt: cart.updatedAt || new Date().toISOString()
-      };
-    } catch (error) {
-      console.error('[CartService] Error getting guest cart:', error);
-      return this.getEmptyCart();
-    }
-  }
-
-  /**
-   * Add an item to the guest cart
-   * @param {object} cart - The current cart object
-   * @param {object} item - The item to add to the cart
-   * @returns {object} Updated cart object
-   */
-  addItemToGuestCart(cart, item) {
-    try {
-      // Create a deep copy of the cart to avoid mutating the original
-      const updatedCart = JSON.parse(JSON.stringify(cart));
-      
-      // Ensure items array exists
-      updatedCart.items = updatedCart.items || [];
-      
-      // Check if item already exists in cart
-      const existingItemIndex = updatedCart.items.findIndex(cartItem => 
-        cartItem.product === item.product && 
-        JSON.stringify(cartItem.variant) === JSON.stringify(item.variant)
-      );
-      
-      if (existingItemIndex >= 0) {
-        // Update quantity if item exists
-        updatedCart.items[existingItemIndex].quantity += item.quantity || 1;
-      } else {
-        // Add new item to cart
-        updatedCart.items.push({
-          product: item.product,
-          name: item.name,
-          price: parseFloat(item.price) || 0,
-          quantity: item.quantity || 1,
-          sku: item.sku,
-          variant: item.variant || null,
-          image: item.image || null,
-          addedAt: new Date().toISOString()
-        });
-      }
-      
-      // Recalculate cart totals
-      updatedCart.subtotal = updatedCart.items.reduce(
-        (sum, item) => sum + (item.price * item.quantity), 0
-      );
-      
-      // Apply any discounts here if needed
-      updatedCart.discounts = 0; // Reset and recalculate if needed
-      
-      // Calculate tax and shipping (using mock functions for now)
-      updatedCart.tax = calculateTax(updatedCart.subtotal - updatedCart.discounts);
-      updatedCart.shipping = calculateShipping(updatedCart);
-      
-      // Calculate final total
-      updatedCart.total = updatedCart.subtotal + 
-                         updatedCart.tax + 
-                         updatedCart.shipping - 
-                         updatedCart.discounts;
-      
-      // Update item counts
-      updatedCart.itemCount = updatedCart.items.reduce(
-        (sum, item) => sum + item.quantity, 0
-      );
-      updatedCart.uniqueItems = updatedCart.items.length;
-      
-      // Update timestamp
-      updatedCart.updatedAt = new Date().toISOString();
-      
-      return updatedCart;
-      
-    } catch (error) {
-      console.error('[CartService] Error in addItemToGuestCart:', error);
-      // Return the original cart in case of error
-      return cart;
-    }
-  }
-
-  /**
-   * Save guest cart to localStorage
-   * @param {object} cart - Cart data to save
-   */
-  saveGuestCart(cart) {
-    secureStorage.set(this.guestCartKey, cart);
-    
-    // Dispatch cart update event
-    window.dispatchEvent(new CustomEvent('cart:updated', {
-      detail: { cart }
-    }));
-  }
-
-  /**
-   * Clear guest cart
-   */
-  clearGuestCart() {
-    secureStorage.remove(this.guestCartKey);
-    
-    // Create a timestamp for the cart
-    const now = new Date().toISOString();
-    
-    return {
-      _id: null,
-      user: null,
-      items: [],
-      totals: {
-        subtotal: 0,
-        discount: 0,
-        tax: 0,
-        shipping: 0,
-        total: 0,
-        itemCount: 0,
-        uniqueItems: 0
-      },
-      isActive: true,
-      createdAt: now,
-      updatedAt: now
-    };
-  }
-
   /**
    * Format cart response to ensure consistent structure
    * @param {object} response - API response
@@ -716,16 +327,24 @@ class CartService {
       const totals = {
         subtotal: Number(cartData.totals?.subtotal) || subtotal,
         discount: Number(cartData.totals?.discount) || 0,
-        tax: Number(cartData.totals?.tax) || calculateTax(subtotal),
-        shipping: Number(cartData.totals?.shipping) || calculateShipping(subtotal, items.length),
+        tax: Number(cartData.totals?.tax) || 0,
+        // Whether the VAT is already in the prices, the VAT per tax class and on delivery
+        taxIncluded: Boolean(cartData.totals?.taxIncluded),
+        taxBreakdown: Array.isArray(cartData.totals?.taxBreakdown) ? cartData.totals.taxBreakdown : [],
+        shippingTax: cartData.totals?.shippingTax || null,
+        shipping: Number(cartData.totals?.shipping) || 0,
         itemCount: items.reduce((sum, item) => sum + (Number(item.quantity) || 0), 0),
         uniqueItems: new Set(items.map(item => 
           item.product?._id || item.product?.id || item.product
-        )).size
+        )).size,
+        // Savings lines behind the discount
+        promotions: Array.isArray(cartData.totals?.promotions) ? cartData.totals.promotions : [],
+        coupons: Array.isArray(cartData.appliedCoupons) ? cartData.appliedCoupons : []
       };
 
-      // Calculate total
-      totals.total = totals.subtotal - totals.discount + totals.tax + totals.shipping;
+      // Calculate total; VAT in tax-inclusive prices is already counted
+      totals.total = totals.subtotal - totals.discount + totals.shipping +
+        (totals.taxIncluded ? 0 : totals.tax);
 
       return {
         _id: cartData._id || null,
@@ -800,7 +419,7 @@ class CartService {
     }
 
     // Ensure cart data has proper structure
-    const cart = response.data || this.createEmptyCart();
+    const cart = response.data || this.getEmptyCart();
     
     // Format items to ensure consistency
     if (cart.items) {
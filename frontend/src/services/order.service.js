@@ -8,13 +8,14 @@
  */
 
 import apiService from './api';
-import { API_ENDPOINTS, ORDER_STATUS, PAYMENT_STATUS } from '../utils/constants';
-import { canCancelOrder, formatDate } from '../utils/helpers';
+import { API_ENDPOINTS, ORDER_STATUS, PAYMENT_STATUS, STORAGE_KEYS } from '../utils/constants';
+import { canCancelOrder, formatDate, secureStorage } from '../utils/helpers';
 
 class OrderService {
   /**
-   * Create new order
-   * @param {object} orderData - Order creation data
+   * Create new order. Guests send their contact details and get back a
+   * token for their orders, which is kept for later requests.
+   * @param {object} orderData - Order creation data (contact: { firstName, lastName, email, phone } for guests)
    * @returns {Promise<object>} Order creation response
    */
   async createOrder(orderData) {
@@ -27,6 +28,7 @@ class OrderService {
       shippingAddress,
       billingAddress,
       paymentMethod,
+      contact,
       notes = '',
       couponCode = ''
     } = orderData;
@@ -50,10 +52,15 @@ class OrderService {
         shippingAddress,
         billingAddress: billingAddress || shippingAddress,
         paymentMethod,
+        ...(contact && { contact }),
         notes: notes.trim(),
         couponCode: couponCode.trim()
       });
 
+      if (response.data?.guestToken) {
+        this.setGuestToken(response.data.guestToken);
+      }
+
       return this.formatOrderResponse(response);
     } catch (error) {
       throw this.handleOrderError(error);
@@ -140,9 +147,33 @@ class OrderService {
     }
 
     try {
-      const response = await apiService.get(
-        `${API_ENDPOINTS.ORDERS.DETAIL(orderId)}/tracking`
-      );
+      const response = await apiService.get(API_ENDPOINTS.ORDERS.TRACKING(orderId));
+
+      return {
+        success: true,
+        data: this.formatTrackingData(response.data)
+      };
+    } catch (error) {
+      throw this.handleOrderError(error);
+    }
+  }
+
+  /**
+   * Track an order without signing in
+   * @param {string} orderNumber - Order number from the confirmation
+   * @param {string} phone - Phone number the order was placed with
+   * @returns {Promise<object>} Order tracking info
+   */
+  async trackGuestOrder(orderNumber, phone) {
+    if (!orderNumber?.trim() || !phone?.trim()) {
+      throw new Error('Order number and phone number are required');
+    }
+
+    try {
+      const response = await apiService.post(API_ENDPOINTS.ORDERS.TRACK, {
+        orderNumber: orderNumber.trim(),
+        phone: phone.trim()
+      });
 
       return {
         success: true,
@@ -153,6 +184,55 @@ class OrderService {
     }
   }
 
+  // ===========================================================================
+  // GUEST ORDERS
+  // ===========================================================================
+
+  /**
+   * Keep the token from a guest's order link; requests send it when no one
+   * is logged in
+   * @param {string} token - Token from the order link or a guest checkout
+   */
+  setGuestToken(token) {
+    secureStorage.set(STORAGE_KEYS.GUEST_ORDER_TOKEN, token);
+  }
+
+  /**
+   * Whether a guest order token is kept
+   * @returns {boolean}
+   */
+  hasGuestToken() {
+    return Boolean(secureStorage.get(STORAGE_KEYS.GUEST_ORDER_TOKEN));
+  }
+
+  /**
+   * Forget the guest order token, e.g. once it has expired
+   */
+  clearGuestToken() {
+    secureStorage.remove(STORAGE_KEYS.GUEST_ORDER_TOKEN);
+  }
+
+  /**
+   * Ask for a new link to a guest's orders, sent to the email (or by SMS to
+   * the phone) they checked out with
+   * @param {object} contact - { email } or { phone }
+   * @returns {Promise<object>} Response with the message to show
+   */
+  async requestGuestOrderLink({ email, phone }) {
+    if (!email?.trim() && !phone?.trim()) {
+      throw new Error('Email or phone number is required');
+    }
+
+    try {
+      return await apiService.post(
+        API_ENDPOINTS.ORDERS.GUEST_LINK,
+        email?.trim() ? { email: email.trim() } : { phone: phone.trim() }
+      );
+    } catch (error) {
+      throw this.handleOrderError(error);
+    }
+  }
+
   /**
    * Get order receipt/invoice
    * @param {string} orderId - Order ID
@@ -177,7 +257,7 @@ class OrderService {
   /**
    * Request order return/refund
    * @param {string} orderId - Order ID
-   * @param {object} returnData - Return request data
+   * @param {object} returnData - Items ({ item, quantity }), reason, description and optional photo files
    * @returns {Promise<object>} Return request response
    */
   async requestReturn(orderId, returnData) {
@@ -185,7 +265,7 @@ class OrderService {
       throw new Error('Order ID is required');
     }
 
-    const { items, reason, description = '' } = returnData;
+    const { items, reason, description = '', photos = [] } = returnData;
 
     if (!items || items.length === 0) {
       throw new Error('At least one item must be selected for return');
@@ -196,13 +276,24 @@ class OrderService {
     }
 
     try {
+      let body = {
+        items,
+        reason,
+        description: description.trim()
+      };
+
+      // Photos go as multipart, with the items as a JSON string beside them
+      if (photos.length > 0) {
+        body = new FormData();
+        body.append('items', JSON.stringify(items));
+        body.append('reason', reason);
+        body.append('description', description.trim());
+        photos.forEach((photo) => body.append('photos', photo));
+      }
+
       const response = await apiService.post(
         `${API_ENDPOINTS.ORDERS.DETAIL(orderId)}/return`,
-        {
-          items,
-          reason,
-          description: description.trim()
-        }
+        body
       );
 
       return response;
@@ -314,34 +405,27 @@ class OrderService {
   // ===========================================================================
 
   /**
-   * Process M-Pesa payment
+   * Process M-Pesa payment (sends an STK push to the customer's phone)
    * @param {string} orderId - Order ID
    * @param {object} paymentData - Payment data
-   * @returns {Promise<object>} Payment response
+   * @returns {Promise<object>} Payment response with paymentId
    */
   async processMpesaPayment(orderId, paymentData) {
     if (!orderId) {
       throw new Error('Order ID is required');
     }
 
-    const { phoneNumber, amount } = paymentData;
+    const { phoneNumber } = paymentData;
 
     if (!phoneNumber) {
       throw new Error('Phone number is required for M-Pesa payment');
     }
 
-    if (!amount || amount <= 0) {
-      throw new Error('Valid payment amount is required');
-    }
-
     try {
-      const response = await apiService.post(
-        `${API_ENDPOINTS.ORDERS.DETAIL(orderId)}/payment/mpesa`,
-        {
-          phoneNumber: phoneNumber.trim(),
-          amount: parseFloat(amount)
-        }
-      );
+      const response = await apiService.post(`${API_ENDPOINTS.PAYMENTS.MPESA}/initiate`, {
+        orderId,
+        phoneNumber: phoneNumber.trim()
+      });
 
       return response;
     } catch (error) {
@@ -351,18 +435,17 @@ class OrderService {
 
   /**
    * Check payment status
-   * @param {string} orderId - Order ID
-   * @param {string} transactionId - Transaction ID
+   * @param {string} paymentId - Payment ID returned by processMpesaPayment
    * @returns {Promise<object>} Payment status
    */
-  async checkPaymentStatus(orderId, transactionId) {
-    if (!orderId || !transactionId) {
-      throw new Error('Order ID and Transaction ID are required');
+  async checkPaymentStatus(paymentId) {
+    if (!paymentId) {
+      throw new Error('Payment ID is required');
     }
 
     try {
       const response = await apiService.get(
-        `${API_ENDPOINTS.ORDERS.DETAIL(orderId)}/payment/${transactionId}/status`
+        `${API_ENDPOINTS.PAYMENTS.BASE}/status/${paymentId}`
       );
 
       return response;
@@ -418,9 +501,15 @@ class OrderService {
       throw new Error(response.message || 'Failed to fetch orders');
     }
 
+    // The orders endpoint wraps the list as { orders }
+    const orders = Array.isArray(response.data) ? response.data : (response.data?.orders || []);
+
     return {
       ...response,
-      data: (response.data || []).map(order => this.formatOrder(order))
+      data: {
+        ...(Array.isArray(response.data) ? {} : response.data),
+        orders: orders.map(order => this.formatOrder(order))
+      }
     };
   }
 
@@ -472,13 +561,20 @@ class OrderService {
   formatTrackingData(tracking) {
     if (!tracking) return null;
 
+    const withDate = (entry) => ({
+      ...entry,
+      formattedDate: formatDate(entry.timestamp, { includeTime: true }),
+      timestamp: entry.timestamp
+    });
+
     return {
       ...tracking,
-      statusHistory: (tracking.statusHistory || []).map(status => ({
-        ...status,
-        formattedDate: formatDate(status.timestamp),
-        timestamp: status.timestamp
-      }))
+      statusHistory: (tracking.statusHistory || []).map(withDate),
+      shipments: (tracking.shipments || []).map(shipment => ({
+        ...shipment,
+        events: (shipment.events || []).map(withDate)
+      })),
+      timeline: (tracking.timeline || []).map(withDate)
     };
   }
 
@@ -0,0 +1,131 @@
+// frontend/src/services/shipping.service.js
+
+/**
+ * =============================================================================
+ * SHIPPING SERVICE
+ * =============================================================================
+ * Delivery prices come from the server's shipping engine (zones by county,
+ * weight, shipping class and delivery method), for the cart and checkout alike.
+ */
+
+import apiService from './api';
+import { API_ENDPOINTS } from '../utils/constants';
+
+const { SHIPPING, CART } = API_ENDPOINTS;
+
+class ShippingService {
+  /**
+   * Quote delivery of cart items, for every delivery method
+   * @param {Array} items - Cart items ({ product, quantity })
+   * @param {object} options - county (optional until known) and method
+   * @returns {Promise<object>} The quote: zone, options, the chosen method and its fee
+   */
+  async getQuote(items, { county, method = 'standard' } = {}) {
+    const response = await apiService.post(SHIPPING.QUOTE, {
+      items: items.map((item) => ({
+        productId: item.product?._id || item.product?.id || item.product,
+        quantity: Number(item.quantity) || 1
+      })),
+      county: county || undefined,
+      method
+    });
+
+    return response.data.quote;
+  }
+
+  /**
+   * Pickup stations open for collections
+   * @param {string} county - Only stations in this county (optional)
+   * @returns {Promise<Array>} The stations
+   */
+  async getPickupStations(county) {
+    const response = await apiService.get(SHIPPING.PICKUP_STATIONS, {
+      params: county ? { county } : {}
+    });
+
+    return response.data.stations;
+  }
+
+  /**
+   * The days and time windows that can be booked
+   * @param {object} options - method and county, or method 'pickup' and station (id)
+   * @returns {Promise<object>} The calendar: { days: [{ date, label, slots }] }
+   */
+  async getSlots({ method = 'standard', county, station } = {}) {
+    const params = { method };
+    if (county) params.county = county;
+    if (station) params.station = station;
+
+    const response = await apiService.get(SHIPPING.SLOTS, { params });
+    return response.data.calendar;
+  }
+
+  /**
+   * Choose the cart's delivery and hold its slot while checking out. Leaving
+   * out the date gives back any slot held.
+   * @param {object} delivery - method, county, pickupStation, date (YYYY-MM-DD), timeSlot
+   * @returns {Promise<object>} { delivery (with heldUntil), shippingQuote }
+   */
+  async reserveDelivery({ method, county, pickupStation, date, timeSlot }) {
+    const response = await apiService.put(CART.DELIVERY, {
+      method,
+      county: county || undefined,
+      pickupStation: pickupStation || undefined,
+      date: date || undefined,
+      timeSlot: timeSlot || undefined
+    });
+
+    return response.data;
+  }
+
+  /**
+   * The option in a quote for a delivery method
+   * @param {object} quote - Quote from getQuote
+   * @param {string} method - standard, express or pickup
+   * @returns {object|undefined} The option
+   */
+  optionFor(quote, method) {
+    return quote?.options?.find((option) => option.method === method);
+  }
+
+  /**
+   * When an option delivers, e.g. '2-3 business days'
+   * @param {object} option - Option from a quote
+   * @returns {string} The estimate ('' when there's none)
+   */
+  describeDelivery(option) {
+    const days = option?.estimatedDays;
+    if (!days) return '';
+
+    if (days.max === 0) return 'Same business day';
+    const plural = days.max === 1 ? '' : 's';
+    if (days.min === 0) return `Within ${days.max} business day${plural}`;
+    if (days.min === days.max) return `${days.max} business day${plural}`;
+    return `${days.min}-${days.max} business days`;
+  }
+
+  /**
+   * Whether the subtotal is over the free standard delivery threshold
+   * @param {object} quote - Quote from getQuote
+   * @returns {boolean} True once it is
+   */
+  qualifiesForFreeShipping(quote) {
+    return Boolean(quote) && quote.subtotal > quote.freeShippingOver;
+  }
+
+  /**
+   * How far the subtotal is from the free standard delivery threshold
+   * @param {object} quote - Quote from getQuote
+   * @returns {number} Amount in KES (0 once it qualifies)
+   */
+  amountToFreeShipping(quote) {
+    if (!quote || this.qualifiesForFreeShipping(quote)) return 0;
+    return quote.freeShippingOver - quote.subtotal;
+  }
+}
+
+// Create singleton instance
+const shippingService = new ShippingService();
+
+export default shippingService;
+export { ShippingService };
@@ -0,0 +1,86 @@
+// frontend/src/services/tax.service.js
+
+/**
+ * =============================================================================
+ * TAX SERVICE
+ * =============================================================================
+ * VAT is worked out by the server per product tax class. The shop only needs
+ * the settings, to show catalogue prices with or without VAT the way the
+ * store is set up, and the same rounding to show the VAT on a delivery fee.
+ */
+
+import apiService from './api';
+import { API_ENDPOINTS } from '../utils/constants';
+
+const { TAX } = API_ENDPOINTS;
+
+const roundKES = (amount) => Math.round(amount * 100) / 100;
+
+class TaxService {
+  constructor() {
+    this.settingsRequest = null;
+  }
+
+  /**
+   * The tax settings, fetched once and shared
+   * @returns {Promise<object>} { classes, defaultClass, shippingClass, pricesIncludeTax, displayPricesIncludingTax }
+   */
+  getSettings() {
+    if (!this.settingsRequest) {
+      this.settingsRequest = apiService.get(TAX.SETTINGS)
+        .then((response) => response.data.settings)
+        .catch((error) => {
+          // Try again next time
+          this.settingsRequest = null;
+          throw error;
+        });
+    }
+
+    return this.settingsRequest;
+  }
+
+  /**
+   * The VAT on an amount, worked back out of it when prices include VAT
+   * @param {number} amount - Amount in KES
+   * @param {number} rate - VAT rate (0.16 is 16%)
+   * @param {boolean} included - Whether the amount already includes the VAT
+   * @returns {number} The VAT, to the cent
+   */
+  taxOn(amount, rate, included = false) {
+    if (!amount || amount <= 0 || !rate) return 0;
+    return roundKES(included ? amount * rate / (1 + rate) : amount * rate);
+  }
+
+  /**
+   * A catalogue price as the shop shows it: with VAT in or out, whichever
+   * way the prices were entered
+   * @param {number} price - Price as stored on the product
+   * @param {object} product - The product, with the class it's taxed in (product.tax)
+   * @param {object} settings - Settings from getSettings (the price is shown as is without them)
+   * @returns {number} The price to show
+   */
+  displayPrice(price, product, settings) {
+    const rate = product?.tax?.rate || 0;
+    if (!settings || !rate || settings.pricesIncludeTax === settings.displayPricesIncludingTax) return price;
+
+    return settings.displayPricesIncludingTax
+      ? roundKES(price * (1 + rate))
+      : roundKES(price / (1 + rate));
+  }
+
+  /**
+   * How shown prices stand with VAT, e.g. 'incl. VAT'
+   * @param {object} settings - Settings from getSettings
+   * @returns {string} The label ('' without settings)
+   */
+  priceLabel(settings) {
+    if (!settings) return '';
+    return settings.displayPricesIncludingTax ? 'incl. VAT' : 'excl. VAT';
+  }
+}
+
+// Create singleton instance
+const taxService = new TaxService();
+
+export default taxService;
+export { TaxService };
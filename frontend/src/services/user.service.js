@@ -2,12 +2,16 @@
 
 // Import the apiService instance (default export) from api.js
 import apiService from './api';
+import authService from './auth.service';
+import { API_ENDPOINTS } from '../utils/constants';
+
+const { USERS } = API_ENDPOINTS;
 
 // User profile operations
 export const updateProfile = async (profileData) => {
   try {
-    const response = await apiService.patch('/users/me', profileData);
-    return response.data;
+    const response = await apiService.patch(USERS.ME, profileData);
+    return response;
   } catch (error) {
     console.error('Error updating profile:', error);
     throw error;
@@ -17,22 +21,18 @@ export const updateProfile = async (profileData) => {
 // Address operations
 export const getAddresses = async () => {
   try {
-    // For now, return empty array as the endpoint is not implemented
-    return { success: true, data: [] };
-    
-    // Uncomment this when the backend endpoint is ready
-    // const response = await apiService.get('/users/me/addresses');
-    // return response.data;
+    const response = await apiService.get(USERS.ADDRESSES);
+    return { ...response, data: response.data?.addresses || [] };
   } catch (error) {
     console.error('Error fetching addresses:', error);
-    return { success: true, data: [] }; // Return empty array on error
+    throw error;
   }
 };
 
 export const addAddress = async (addressData) => {
   try {
-    const response = await apiService.post('/users/me/addresses', addressData);
-    return response.data;
+    const response = await apiService.post(USERS.ADDRESSES, addressData);
+    return response;
   } catch (error) {
     console.error('Error adding address:', error);
     throw error;
@@ -41,8 +41,8 @@ export const addAddress = async (addressData) => {
 
 export const updateAddress = async (addressId, addressData) => {
   try {
-    const response = await apiService.put(`/users/me/addresses/${addressId}`, addressData);
-    return response.data;
+    const response = await apiService.put(USERS.ADDRESS(addressId), addressData);
+    return response;
   } catch (error) {
     console.error('Error updating address:', error);
     throw error;
@@ -51,33 +51,29 @@ export const updateAddress = async (addressId, addressData) => {
 
 export const deleteAddress = async (addressId) => {
   try {
-    const response = await apiService.delete(`/users/me/addresses/${addressId}`);
-    return response.data;
+    const response = await apiService.delete(USERS.ADDRESS(addressId));
+    return response;
   } catch (error) {
     console.error('Error deleting address:', error);
     throw error;
   }
 };
 
-// Payment methods operations
+// Payment methods operations (saved M-Pesa numbers)
 export const getPaymentMethods = async () => {
   try {
-    // For now, return empty array as the endpoint is not implemented
-    return { success: true, data: [] };
-    
-    // Uncomment this when the backend endpoint is ready
-    // const response = await apiService.get('/users/me/payment-methods');
-    // return response.data;
+    const response = await apiService.get(USERS.PAYMENT_METHODS);
+    return { ...response, data: response.data?.paymentMethods || [] };
   } catch (error) {
     console.error('Error fetching payment methods:', error);
-    return { success: true, data: [] }; // Return empty array on error
+    throw error;
   }
 };
 
 export const addPaymentMethod = async (paymentMethodData) => {
   try {
-    const response = await apiService.post('/users/me/payment-methods', paymentMethodData);
-    return response.data;
+    const response = await apiService.post(USERS.PAYMENT_METHODS, paymentMethodData);
+    return response;
   } catch (error) {
     console.error('Error adding payment method:', error);
     throw error;
@@ -86,8 +82,8 @@ export const addPaymentMethod = async (paymentMethodData) => {
 
 export const removePaymentMethod = async (paymentMethodId) => {
   try {
-    const response = await apiService.delete(`/users/me/payment-methods/${paymentMethodId}`);
-    return response.data;
+    const response = await apiService.delete(USERS.PAYMENT_METHOD(paymentMethodId));
+    return response;
   } catch (error) {
     console.error('Error removing payment method:', error);
     throw error;
@@ -97,47 +93,24 @@ export const removePaymentMethod = async (paymentMethodId) => {
 // Avatar operations
 export const uploadAvatar = async (fileInput) => {
   try {
-    // Check if we have a file input event or a direct file
-    const file = fileInput?.target?.files?.[0] || fileInput;
-    
-    if (!file) {
-      throw new Error('No file selected');
-    }
+    // Accept a file input event, a File, or a ready-made FormData
+    let formData = fileInput;
 
-    // For now, return a mock success response with a placeholder image
-    // since we can't create an object URL from FormData
-    return { 
-      success: true, 
-      data: { 
-        avatarUrl: 'https://via.placeholder.com/150',
-        message: 'Avatar updated successfully (mock response)'
-      } 
-    };
-    
-    /*
-    // Uncomment this when the backend endpoint is ready
-    const formData = new FormData();
-    formData.append('avatar', file);
-    
-    const response = await apiService.patch('/users/upload-avatar', formData, {
-      headers: {
-        'Content-Type': 'multipart/form-data'
+    if (!(fileInput instanceof FormData)) {
+      const file = fileInput?.target?.files?.[0] || fileInput;
+
+      if (!file) {
+        throw new Error('No file selected');
       }
-    });
-    return response.data;
-    */
+
+      formData = new FormData();
+      formData.append('avatar', file);
+    }
+
+    const response = await apiService.patch(USERS.AVATAR, formData);
+    return response;
   } catch (error) {
     console.error('Error uploading avatar:', error);
-    // Still return success with mock data in development
-    if (process.env.NODE_ENV === 'development') {
-      return { 
-        success: true, 
-        data: { 
-          avatarUrl: 'https://via.placeholder.com/150',
-          message: 'Avatar update simulated in development mode'
-        } 
-      };
-    }
     throw error;
   }
 };
@@ -145,11 +118,13 @@ export const uploadAvatar = async (fileInput) => {
 // Password operations
 export const changePassword = async (currentPassword, newPassword) => {
   try {
-    const response = await apiService.patch('/users/me/password', {
+    const response = await apiService.patch(USERS.PASSWORD, {
       currentPassword,
       newPassword,
     });
-    return response.data;
+    // Other sessions are revoked, so keep the token issued for this one
+    authService.storeSession(response);
+    return response;
   } catch (error) {
     console.error('Error changing password:', error);
     throw error;
@@ -159,8 +134,8 @@ export const changePassword = async (currentPassword, newPassword) => {
 // Notification preferences
 export const getNotificationPreferences = async () => {
   try {
-    const response = await apiService.get('/users/me/notifications/preferences');
-    return response.data;
+    const response = await apiService.get(USERS.NOTIFICATION_PREFERENCES);
+    return { ...response, data: response.data?.preferences || {} };
   } catch (error) {
     console.error('Error fetching notification preferences:', error);
     throw error;
@@ -169,14 +144,35 @@ export const getNotificationPreferences = async () => {
 
 export const updateNotificationPreferences = async (preferences) => {
   try {
-    const response = await apiService.patch('/users/me/notifications/preferences', preferences);
-    return response.data;
+    const response = await apiService.patch(USERS.NOTIFICATION_PREFERENCES, preferences);
+    return { ...response, data: response.data?.preferences || {} };
   } catch (error) {
     console.error('Error updating notification preferences:', error);
     throw error;
   }
 };
 
+// Account preferences (privacy, favourite categories)
+export const getPreferences = async () => {
+  try {
+    const response = await apiService.get(USERS.PREFERENCES);
+    return { ...response, data: response.data?.preferences || {} };
+  } catch (error) {
+    console.error('Error fetching preferences:', error);
+    throw error;
+  }
+};
+
+export const updatePreferences = async (preferences) => {
+  try {
+    const response = await apiService.patch(USERS.PREFERENCES, preferences);
+    return { ...response, data: response.data?.preferences || {} };
+  } catch (error) {
+    console.error('Error updating preferences:', error);
+    throw error;
+  }
+};
+
 // Mock account stats for development
 const getAccountStats = async () => {
   return {
@@ -199,27 +195,31 @@ export const userService = {
   getAccountStats,
   // Alias for getAddresses to maintain backward compatibility
   getUserAddresses: getAddresses,
-  
+
   // Addresses
   getAddresses,
   addAddress,
   updateAddress,
   deleteAddress,
-  
+
   // Payment Methods
   getPaymentMethods,
   addPaymentMethod,
   removePaymentMethod,
-  
+
   // Avatar
   uploadAvatar,
-  
+
   // Password
   changePassword,
-  
+
   // Notifications
   getNotificationPreferences,
   updateNotificationPreferences,
+
+  // Preferences
+  getPreferences,
+  updatePreferences,
 };
 
 export default userService;
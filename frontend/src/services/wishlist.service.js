@@ -0,0 +1,162 @@
+// frontend/src/services/wishlist.service.js
+
+/**
+ * =============================================================================
+ * WISHLIST SERVICE
+ * =============================================================================
+ * Keeps the wishlist on the account for logged-in users and in localStorage
+ * for guests. The guest list is merged into the account after login.
+ */
+
+import apiService from './api';
+import authService from './auth.service';
+import productService from './product.service';
+import { API_ENDPOINTS, STORAGE_KEYS } from '../utils/constants';
+import { secureStorage } from '../utils/helpers';
+
+const { USERS } = API_ENDPOINTS;
+
+class WishlistService {
+  constructor() {
+    this.guestWishlistKey = STORAGE_KEYS.WISHLIST;
+  }
+
+  /**
+   * Get the wishlist with current prices and availability
+   * @returns {Promise<{success: boolean, data: Array}>} Wishlist items
+   */
+  async getWishlist() {
+    if (authService.isAuthenticated()) {
+      const response = await apiService.get(USERS.WISHLIST);
+      return this.formatWishlistResponse(response);
+    }
+
+    const ids = this.getGuestWishlist();
+    const results = await Promise.allSettled(ids.map((id) => productService.getProductById(id)));
+
+    const items = results
+      .filter((result) => result.status === 'fulfilled' && result.value?.data)
+      .map((result) => this.toWishlistItem(result.value.data.product || result.value.data));
+
+    // Forget products that no longer exist
+    if (items.length !== ids.length) {
+      this.saveGuestWishlist(items.map((item) => item._id));
+    }
+
+    return { success: true, data: items };
+  }
+
+  /**
+   * Add a product to the wishlist
+   * @param {string} productId - Product to save
+   */
+  async addItem(productId) {
+    if (authService.isAuthenticated()) {
+      const response = await apiService.post(USERS.WISHLIST, { productId });
+      return this.formatWishlistResponse(response);
+    }
+
+    const ids = this.getGuestWishlist();
+    if (!ids.includes(productId)) {
+      this.saveGuestWishlist([...ids, productId]);
+    }
+    return { success: true };
+  }
+
+  /**
+   * Remove a product from the wishlist
+   * @param {string} productId - Product to remove
+   */
+  async removeItem(productId) {
+    if (authService.isAuthenticated()) {
+      const response = await apiService.delete(USERS.WISHLIST_ITEM(productId));
+      return this.formatWishlistResponse(response);
+    }
+
+    this.saveGuestWishlist(this.getGuestWishlist().filter((id) => id !== productId));
+    return { success: true };
+  }
+
+  /**
+   * Move a saved product into the cart (logged-in users only)
+   * @param {string} productId - Product to move
+   * @param {number} quantity - Quantity to add to the cart
+   */
+  async moveToCart(productId, quantity = 1) {
+    const response = await apiService.post(USERS.WISHLIST_MOVE_TO_CART(productId), { quantity });
+    return this.formatWishlistResponse(response);
+  }
+
+  /**
+   * Merge the guest wishlist into the account after login
+   * @returns {Promise<object|null>} Merged wishlist, or null when there was nothing to merge
+   */
+  async mergeGuestWishlist() {
+    const productIds = this.getGuestWishlist();
+
+    if (!authService.isAuthenticated() || productIds.length === 0) {
+      return null;
+    }
+
+    const response = await apiService.post(USERS.WISHLIST_MERGE, { productIds });
+    this.clearGuestWishlist();
+    return this.formatWishlistResponse(response);
+  }
+
+  // ===========================================================================
+  // GUEST WISHLIST METHODS
+  // ===========================================================================
+
+  getGuestWishlist() {
+    const stored = secureStorage.get(this.guestWishlistKey);
+    return Array.isArray(stored) ? stored : [];
+  }
+
+  saveGuestWishlist(productIds) {
+    secureStorage.set(this.guestWishlistKey, productIds);
+  }
+
+  clearGuestWishlist() {
+    secureStorage.remove(this.guestWishlistKey);
+  }
+
+  // ===========================================================================
+  // HELPERS
+  // ===========================================================================
+
+  /**
+   * Shape a product like the items the API returns
+   * @param {object} product - Product from the catalogue
+   */
+  toWishlistItem(product) {
+    const inventory = product.inventory || {};
+
+    return {
+      _id: product._id,
+      name: product.name,
+      slug: product.slug,
+      price: product.price,
+      comparePrice: product.comparePrice,
+      image: product.images?.[0] || null,
+      ratings: product.ratings,
+      status: product.status,
+      isAvailable: product.isAvailable !== false,
+      availableQuantity: inventory.trackQuantity
+        ? Math.max((inventory.quantity || 0) - (inventory.reserved || 0), 0)
+        : null
+    };
+  }
+
+  formatWishlistResponse(response) {
+    return {
+      ...response,
+      data: response?.data?.items || []
+    };
+  }
+}
+
+// Create singleton instance
+const wishlistService = new WishlistService();
+
+export default wishlistService;
+export { WishlistService };
@@ -29,13 +29,35 @@ export const API_CONFIG = {
       LOGIN: '/auth/login',
       REGISTER: '/auth/signup',
       LOGOUT: '/auth/logout',
+      REFRESH_TOKEN: '/auth/refresh-token',
+      SESSIONS: '/auth/sessions',
+      TWO_FACTOR: '/auth/2fa',
+      PHONE: '/auth/phone',
       ME: '/auth/me',
       VERIFY_EMAIL: '/auth/verify-email',
+      RESEND_VERIFICATION: '/auth/resend-verification',
       FORGOT_PASSWORD: '/auth/forgot-password',
       RESET_PASSWORD: '/auth/reset-password',
       UPDATE_PASSWORD: '/auth/update-password',
     },
     
+    // Current user endpoints
+    USERS: {
+      ME: '/users/me',
+      PASSWORD: '/users/me/password',
+      AVATAR: '/users/upload-avatar',
+      ADDRESSES: '/users/me/addresses',
+      ADDRESS: (id) => `/users/me/addresses/${id}`,
+      PAYMENT_METHODS: '/users/me/payment-methods',
+      PAYMENT_METHOD: (id) => `/users/me/payment-methods/${id}`,
+      NOTIFICATION_PREFERENCES: '/users/me/notifications/preferences',
+      PREFERENCES: '/users/me/preferences',
+      WISHLIST: '/users/me/wishlist',
+      WISHLIST_ITEM: (id) => `/users/me/wishlist/${id}`,
+      WISHLIST_MERGE: '/users/me/wishlist/merge',
+      WISHLIST_MOVE_TO_CART: (id) => `/users/me/wishlist/${id}/move-to-cart`,
+    },
+    
     // Product endpoints
     PRODUCTS: {
       BASE: '/products',
@@ -60,6 +82,7 @@ export const API_CONFIG = {
       SUMMARY: '/cart/summary',
       COUPON: '/cart/coupon',
       REMOVE_COUPON: (code) => `/cart/coupon/${code}`,
+      DELIVERY: '/cart/delivery',
     },
     
     // Order endpoints
@@ -69,6 +92,9 @@ export const API_CONFIG = {
       DETAIL: (id) => `/orders/${id}`,
       CANCEL: (id) => `/orders/${id}/cancel`,
       STATUS: (id) => `/orders/${id}/status`,
+      TRACKING: (id) => `/orders/${id}/tracking`,
+      TRACK: '/orders/track',
+      GUEST_LINK: '/orders/guest/link',
       STATS: '/orders/admin/stats',
     },
     
@@ -78,6 +104,18 @@ export const API_CONFIG = {
       MPESA: '/payments/mpesa',
       VERIFY: '/payments/verify',
     },
+
+    // Shipping endpoints
+    SHIPPING: {
+      QUOTE: '/shipping/quote',
+      PICKUP_STATIONS: '/shipping/pickup-stations',
+      SLOTS: '/shipping/slots',
+    },
+
+    // Tax
+    TAX: {
+      SETTINGS: '/tax/settings',
+    },
   };
   
   // =============================================================================
@@ -111,6 +149,7 @@ export const API_CONFIG = {
     AUTH_TOKEN: 'shopsawa_auth_token',
     USER_DATA: 'shopsawa_user_data',
     GUEST_CART: 'shopsawa_guest_cart',
+    GUEST_ORDER_TOKEN: 'shopsawa_guest_order_token',
     WISHLIST: 'shopsawa_wishlist',
     PREFERENCES: 'shopsawa_preferences',
     SEARCH_HISTORY: 'shopsawa_search_history',
@@ -163,13 +202,6 @@ export const API_CONFIG = {
   // BUSINESS RULES
   // =============================================================================
   export const BUSINESS_RULES = {
-    // Shipping
-    FREE_SHIPPING_THRESHOLD: 5000, // KES
-    DEFAULT_SHIPPING_COST: 300, // KES
-    
-    // Tax
-    VAT_RATE: 0.16, // 16% VAT for Kenya
-    
     // Orders
     ORDER_CANCELLATION_WINDOW: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
     ORDER_RETURN_WINDOW: 30 * 24 * 60 * 60 * 1000, // 30 days in milliseconds
@@ -196,36 +228,6 @@ export const API_CONFIG = {
   };
 
   // =============================================================================
-// SHIPPING CONFIGURATION
-// =============================================================================
-export const SHIPPING_RATES = {
-  STANDARD: {
-    name: 'Standard Shipping',
-    rate: 300, // KES
-    estimatedDays: '3-5 business days',
-    freeThreshold: 5000 // Free shipping over KES 5000
-  },
-  EXPRESS: {
-    name: 'Express Shipping',
-    rate: 600, // KES
-    estimatedDays: '1-2 business days',
-    freeThreshold: 10000 // Free express shipping over KES 10000
-  },
-  SAME_DAY: {
-    name: 'Same Day Delivery',
-    rate: 1000, // KES
-    estimatedDays: 'Same day',
-    availability: 'Nairobi only',
-    cutoffTime: '14:00' // 2 PM cutoff
-  }
-};
-
-// =============================================================================
-// TAX RATES
-// =============================================================================
-export const TAX_RATE = 0.16; // 16% VAT for Kenya
-
-// =============================================================================
 // PRICE RANGES FOR FILTERING
 // =============================================================================
 export const PRICE_RANGES = [
@@ -280,6 +282,23 @@ export const PRICE_RANGES = [
     REFUNDED: 'refunded',
   };
   
+  export const RETURN_STATUS = {
+    REQUESTED: 'requested',
+    APPROVED: 'approved',
+    REJECTED: 'rejected',
+    RECEIVED: 'received',
+    REFUNDED: 'refunded',
+  };
+  
+  export const RETURN_REASONS = [
+    { value: 'damaged', label: 'Arrived damaged' },
+    { value: 'defective', label: 'Defective or not working' },
+    { value: 'wrong_item', label: 'Wrong item sent' },
+    { value: 'not_as_described', label: 'Not as described' },
+    { value: 'no_longer_needed', label: 'No longer needed' },
+    { value: 'other', label: 'Other' },
+  ];
+  
   export const PAYMENT_STATUS = {
     PENDING: 'pending',
     PAID: 'paid',
@@ -464,10 +483,10 @@ export const PRICE_RANGES = [
     STORAGE_KEYS,
     UI_CONFIG,
     BUSINESS_RULES,
-    SHIPPING_RATES,
-    TAX_RATE,
     PRICE_RANGES,
     ORDER_STATUS,
+    RETURN_STATUS,
+    RETURN_REASONS,
     PAYMENT_STATUS,
     PRODUCT_STATUS,
     USER_ROLES,
@@ -676,35 +676,6 @@ export const formatCurrency = (amount, options = {}) => {
     return Math.round(((originalPrice - discountedPrice) / originalPrice) * 100);
   };
   
-  /**
-   * Calculate tax amount
-   * @param {number} amount - Amount to calculate tax for
-   * @param {number} rate - Tax rate (default: VAT rate)
-   * @returns {number} Tax amount
-   */
-  export const calculateTax = (amount, rate = BUSINESS_RULES.VAT_RATE) => {
-    if (!amount || amount <= 0) return 0;
-    return Math.round((amount * rate) * 100) / 100;
-  };
-  
-  /**
-   * Calculate shipping cost
-   * @param {number} subtotal - Order subtotal
-   * @param {Object} options - Shipping options
-   * @returns {number} Shipping cost
-   */
-  export const calculateShipping = (subtotal, options = {}) => {
-    const { 
-      freeShippingThreshold = BUSINESS_RULES.FREE_SHIPPING_THRESHOLD,
-      defaultCost = BUSINESS_RULES.DEFAULT_SHIPPING_COST,
-      expressMultiplier = 2 
-    } = options;
-    
-    if (subtotal >= freeShippingThreshold) return 0;
-    
-    return options.express ? defaultCost * expressMultiplier : defaultCost;
-  };
-  
   /**
    * Validate order can be cancelled
    * @param {Object} order - Order object
@@ -753,7 +724,5 @@ export const formatCurrency = (amount, options = {}) => {
     throttle,
     lazyLoadImage,
     calculateDiscountPercentage,
-    calculateTax,
-    calculateShipping,
     canCancelOrder,
   };
\ No newline at end of file